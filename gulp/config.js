@@ -47,10 +47,6 @@ module.exports = {
       ],
       module: {
         rules: [
-          {
-            test: /ammo.js$/,
-            loader: 'script-loader'
-          },
           {
             test: /\.js$/,
             exclude: [/node_modules/, /ammo.js$/],
@@ -86,10 +82,6 @@ module.exports = {
       ],
       module: {
         rules: [
-          {
-            test: /ammo.js$/,
-            loader: 'script-loader'
-          },
           {
             test: /\.js$/,
             exclude: [/node_modules/, /ammo.js$/],
@@ -129,10 +121,6 @@ module.exports = {
       ],
       module: {
         rules: [
-          {
-            test: /ammo.js$/,
-            loader: 'script-loader'
-          },
           {
             test: /\.js$/,
             exclude: [/node_modules/, /ammo.js$/],
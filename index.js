@@ -8,6 +8,9 @@ import CGPoint from './src/js/CoreGraphics/CGPoint'
 import CGPathApplierFunction from './src/js/CoreGraphics/CGPathApplierFunction'
 import CGPathFillRule from './src/js/CoreGraphics/CGPathFillRule'
 import CGMutablePath from './src/js/CoreGraphics/CGMutablePath'
+import CGAffineTransform from './src/js/CoreGraphics/CGAffineTransform'
+import CGPathElement from './src/js/CoreGraphics/CGPathElement'
+import CGPathElementType from './src/js/CoreGraphics/CGPathElementType'
 import CGVector from './src/js/CoreGraphics/CGVector'
 import _Buffer from './src/js/util/_Buffer'
 import _HTMLCanvasElement from './src/js/util/_HTMLCanvasElement'
@@ -222,6 +225,9 @@ import NotificationCenter from './src/js/Foundation/NotificationCenter'
 import NSMutableArray from './src/js/Foundation/NSMutableArray'
 import AVAudioNode from './src/js/AVFoundation/AVAudioNode'
 import AVAudioMixerNode from './src/js/AVFoundation/AVAudioMixerNode'
+import AVAudioEnvironmentNode from './src/js/AVFoundation/AVAudioEnvironmentNode'
+import AVAudioEnvironmentDistanceAttenuationParameters from './src/js/AVFoundation/AVAudioEnvironmentDistanceAttenuationParameters'
+import AVAudioEnvironmentDistanceAttenuationModel from './src/js/AVFoundation/AVAudioEnvironmentDistanceAttenuationModel'
 import GKAgent2D from './src/js/GameplayKit/GKAgent2D'
 import GKSCNNodeComponent from './src/js/GameplayKit/GKSCNNodeComponent'
 import GKGoal from './src/js/GameplayKit/GKGoal'
@@ -276,6 +282,7 @@ import CAAction from './src/js/QuartzCore/CAAction'
 import LKNSValueCodingProxy from './src/js/QuartzCore/LKNSValueCodingProxy'
 import CACurrentMediaTime from './src/js/QuartzCore/CACurrentMediaTime'
 import NSColor from './src/js/AppKit/NSColor'
+import NSFont from './src/js/AppKit/NSFont'
 import NSColorSpaceModel from './src/js/AppKit/NSColorSpaceModel'
 import CFAbsoluteTimeGetCurrent from './src/js/CoreFoundation/CFAbsoluteTimeGetCurrent'
 import NSObject from './src/js/ObjectiveC/NSObject'
@@ -297,6 +304,15 @@ const kCAAnimationCubic = constants.kCAAnimationCubic
 const kCAAnimationCubicPaced = constants.kCAAnimationCubicPaced
 const kCAAnimationRotateAuto = constants.kCAAnimationRotateAuto
 const kCAAnimationRotateAutoReverse = constants.kCAAnimationRotateAutoReverse
+const kCAAlignmentNatural = constants.kCAAlignmentNatural
+const kCAAlignmentLeft = constants.kCAAlignmentLeft
+const kCAAlignmentRight = constants.kCAAlignmentRight
+const kCAAlignmentCenter = constants.kCAAlignmentCenter
+const kCAAlignmentJustified = constants.kCAAlignmentJustified
+const kCATruncationNone = constants.kCATruncationNone
+const kCATruncationStart = constants.kCATruncationStart
+const kCATruncationEnd = constants.kCATruncationEnd
+const kCATruncationMiddle = constants.kCATruncationMiddle
 
 _ClassList.registerClass(CGLineCap, 'CGLineCap')
 _ClassList.registerClass(CGLineJoin, 'CGLineJoin')
@@ -308,6 +324,9 @@ _ClassList.registerClass(CGPoint, 'CGPoint')
 _ClassList.registerClass(CGPathApplierFunction, 'CGPathApplierFunction')
 _ClassList.registerClass(CGPathFillRule, 'CGPathFillRule')
 _ClassList.registerClass(CGMutablePath, 'CGMutablePath')
+_ClassList.registerClass(CGAffineTransform, 'CGAffineTransform')
+_ClassList.registerClass(CGPathElement, 'CGPathElement')
+_ClassList.registerClass(CGPathElementType, 'CGPathElementType')
 _ClassList.registerClass(CGVector, 'CGVector')
 _ClassList.registerClass(MTLTessellationPartitionMode, 'MTLTessellationPartitionMode')
 _ClassList.registerClass(DispatchTimeInterval, 'DispatchTimeInterval')
@@ -511,6 +530,9 @@ _ClassList.registerClass(NotificationCenter, 'NotificationCenter')
 _ClassList.registerClass(NSMutableArray, 'NSMutableArray')
 _ClassList.registerClass(AVAudioNode, 'AVAudioNode')
 _ClassList.registerClass(AVAudioMixerNode, 'AVAudioMixerNode')
+_ClassList.registerClass(AVAudioEnvironmentNode, 'AVAudioEnvironmentNode')
+_ClassList.registerClass(AVAudioEnvironmentDistanceAttenuationParameters, 'AVAudioEnvironmentDistanceAttenuationParameters')
+_ClassList.registerClass(AVAudioEnvironmentDistanceAttenuationModel, 'AVAudioEnvironmentDistanceAttenuationModel')
 _ClassList.registerClass(GKAgent2D, 'GKAgent2D')
 _ClassList.registerClass(GKSCNNodeComponent, 'GKSCNNodeComponent')
 _ClassList.registerClass(GKGoal, 'GKGoal')
@@ -566,6 +588,7 @@ _ClassList.registerClass(LKNSValueCodingProxy, 'LKNSValueCodingProxy')
 _ClassList.registerClass(CACurrentMediaTime, 'CACurrentMediaTime')
 _ClassList.registerClass(NSColor, 'NSColor')
 _ClassList.registerClass(NSColorSpaceModel, 'NSColorSpaceModel')
+_ClassList.registerClass(NSFont, 'NSFont')
 _ClassList.registerClass(CFAbsoluteTimeGetCurrent, 'CFAbsoluteTimeGetCurrent')
 _ClassList.registerClass(NSObject, 'NSObject')
 
@@ -580,6 +603,9 @@ export {
   CGPathApplierFunction,
   CGPathFillRule,
   CGMutablePath,
+  CGAffineTransform,
+  CGPathElement,
+  CGPathElementType,
   CGVector,
   _Buffer,
   _HTMLCanvasElement,
@@ -794,6 +820,9 @@ export {
   NSMutableArray,
   AVAudioNode,
   AVAudioMixerNode,
+  AVAudioEnvironmentNode,
+  AVAudioEnvironmentDistanceAttenuationParameters,
+  AVAudioEnvironmentDistanceAttenuationModel,
   GKAgent2D,
   GKSCNNodeComponent,
   GKGoal,
@@ -849,6 +878,7 @@ export {
   CACurrentMediaTime,
   NSColor,
   NSColorSpaceModel,
+  NSFont,
   CFAbsoluteTimeGetCurrent,
   NSObject,
 
@@ -868,4 +898,13 @@ export {
   kCAAnimationCubicPaced,
   kCAAnimationRotateAuto,
   kCAAnimationRotateAutoReverse,
+  kCAAlignmentNatural,
+  kCAAlignmentLeft,
+  kCAAlignmentRight,
+  kCAAlignmentCenter,
+  kCAAlignmentJustified,
+  kCATruncationNone,
+  kCATruncationStart,
+  kCATruncationEnd,
+  kCATruncationMiddle,
 }
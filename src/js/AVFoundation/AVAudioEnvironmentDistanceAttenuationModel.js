@@ -0,0 +1,18 @@
+'use strict'
+
+
+/**
+ * Types of distance attenuation models.
+ * @typedef {Object} AVAudioEnvironmentDistanceAttenuationModel
+ * @property {number} exponential - The gain drops exponentially as the source moves away from the listener: (distance / referenceDistance) ^ (-rolloffFactor)
+ * @property {number} inverse - The gain drops inversely to the distance: referenceDistance / (referenceDistance + rolloffFactor * (distance - referenceDistance))
+ * @property {number} linear - The gain drops linearly between referenceDistance and maximumDistance: 1 - rolloffFactor * (distance - referenceDistance) / (maximumDistance - referenceDistance)
+ * @see https://developer.apple.com/documentation/avfoundation/avaudioenvironmentdistanceattenuationmodel
+ */
+const AVAudioEnvironmentDistanceAttenuationModel = {
+  exponential: 1,
+  inverse: 2,
+  linear: 3
+}
+
+export default AVAudioEnvironmentDistanceAttenuationModel
@@ -0,0 +1,67 @@
+'use strict'
+
+import NSObject from '../ObjectiveC/NSObject'
+import AVAudioEnvironmentDistanceAttenuationModel from './AVAudioEnvironmentDistanceAttenuationModel'
+
+
+/**
+ * The attenuation parameters applied to sources as they move away from the listener.
+ * @access public
+ * @extends {NSObject}
+ * @see https://developer.apple.com/documentation/avfoundation/avaudioenvironmentdistanceattenuationparameters
+ */
+export default class AVAudioEnvironmentDistanceAttenuationParameters extends NSObject {
+  /**
+   * constructor
+   * @access public
+   * @constructor
+   */
+  constructor() {
+    super()
+
+    /**
+     * The distance attenuation model.
+     * @type {AVAudioEnvironmentDistanceAttenuationModel}
+     * @see https://developer.apple.com/documentation/avfoundation/avaudioenvironmentdistanceattenuationparameters/1389853-distanceattenuationmodel
+     */
+    this.distanceAttenuationModel = AVAudioEnvironmentDistanceAttenuationModel.inverse
+
+    /**
+     * The minimum distance at which attenuation is applied.
+     * @type {number}
+     * @see https://developer.apple.com/documentation/avfoundation/avaudioenvironmentdistanceattenuationparameters/1386974-referencedistance
+     */
+    this.referenceDistance = 1
+
+    /**
+     * The distance beyond which no further attenuation is applied.
+     * @type {number}
+     * @see https://developer.apple.com/documentation/avfoundation/avaudioenvironmentdistanceattenuationparameters/1387652-maximumdistance
+     */
+    this.maximumDistance = 100000
+
+    /**
+     * Determines the attenuation curve.
+     * @type {number}
+     * @desc A higher value results in a steeper attenuation curve. The rolloff factor should be a value greater than 0.
+     * @see https://developer.apple.com/documentation/avfoundation/avaudioenvironmentdistanceattenuationparameters/1390789-rollofffactor
+     */
+    this.rolloffFactor = 1
+  }
+
+  /**
+   * The name of the attenuation model used by Web Audio PannerNode.
+   * @access private
+   * @type {string}
+   */
+  get _webAudioDistanceModel() {
+    switch(this.distanceAttenuationModel){
+      case AVAudioEnvironmentDistanceAttenuationModel.exponential:
+        return 'exponential'
+      case AVAudioEnvironmentDistanceAttenuationModel.linear:
+        return 'linear'
+      default:
+        return 'inverse'
+    }
+  }
+}
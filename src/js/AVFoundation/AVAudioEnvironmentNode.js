@@ -0,0 +1,234 @@
+'use strict'
+
+import AVAudioNode from './AVAudioNode'
+import AVAudioEnvironmentDistanceAttenuationParameters from './AVAudioEnvironmentDistanceAttenuationParameters'
+import SCNVector3 from '../SceneKit/SCNVector3'
+import _AudioContext from '../util/_AudioContext'
+
+/**
+ * @access private
+ * @type {SCNVector3}
+ */
+const _listenerForward = new SCNVector3(0, 0, -1)
+
+/**
+ * @access private
+ * @type {SCNVector3}
+ */
+const _listenerUp = new SCNVector3(0, 1, 0)
+
+/**
+ * @access private
+ * @type {number}
+ */
+const _reverbDuration = 2.0
+
+/**
+ * @access private
+ * @param {?AudioParam} param -
+ * @param {number} value -
+ * @returns {boolean} - false if the param is not supported.
+ */
+const _setParam = (param, value) => {
+  if(!param){
+    return false
+  }
+  param.value = value
+  return true
+}
+
+/**
+ * A mixer node that simulates a 3D audio environment.
+ * @access public
+ * @extends {AVAudioNode}
+ * @see https://developer.apple.com/documentation/avfoundation/avaudioenvironmentnode
+ */
+export default class AVAudioEnvironmentNode extends AVAudioNode {
+  /**
+   * constructor
+   * @access public
+   * @constructor
+   */
+  constructor() {
+    super()
+
+    // Getting and Setting Positional Properties
+
+    /**
+     * The listener’s position in the 3D environment.
+     * @type {SCNVector3}
+     * @see https://developer.apple.com/documentation/avfoundation/avaudioenvironmentnode/1390705-listenerposition
+     */
+    this.listenerPosition = new SCNVector3(0, 0, 0)
+
+    /**
+     * The listener’s orientation in the environment, expressed as forward and up vectors.
+     * @type {{forward: SCNVector3, up: SCNVector3}}
+     * @see https://developer.apple.com/documentation/avfoundation/avaudioenvironmentnode/1387200-listenervectororientation
+     */
+    this.listenerVectorOrientation = {
+      forward: _listenerForward,
+      up: _listenerUp
+    }
+
+    // Getting Attenuation and Reverb Properties
+
+    this._distanceAttenuationParameters = new AVAudioEnvironmentDistanceAttenuationParameters()
+
+    // Getting and Setting the Environment Output Volume
+
+    this._outputVolume = 1
+
+    /**
+     * @access private
+     * @type {?GainNode}
+     */
+    this._inputNode = null
+
+    /**
+     * @access private
+     * @type {?ConvolverNode}
+     */
+    this._reverbNode = null
+  }
+
+  // Getting Attenuation and Reverb Properties
+
+  /**
+   * The distance attenuation parameters.
+   * @type {AVAudioEnvironmentDistanceAttenuationParameters}
+   * @see https://developer.apple.com/documentation/avfoundation/avaudioenvironmentnode/1388468-distanceattenuationparameters
+   */
+  get distanceAttenuationParameters() {
+    return this._distanceAttenuationParameters
+  }
+
+  // Getting and Setting the Environment Output Volume
+
+  /**
+   * The mixer’s output volume.
+   * @type {number}
+   * @desc This accesses the mixer’s output volume (0.0-1.0, inclusive).
+   * @see https://developer.apple.com/documentation/avfoundation/avaudioenvironmentnode/1389024-outputvolume
+   */
+  get outputVolume() {
+    return this._outputVolume
+  }
+
+  set outputVolume(newValue) {
+    this._outputVolume = newValue
+    if(this._inputNode){
+      _setParam(this._inputNode.gain, newValue)
+    }
+  }
+
+  /**
+   * Moves the listener to the given node.
+   * @access private
+   * @param {?SCNNode} node - the node whose world transform is used as the listener pose.
+   * @returns {void}
+   */
+  _updateListener(node) {
+    if(node){
+      const p = node.presentation || node
+      const transform = p.worldTransform
+      this.listenerPosition = transform.getTranslation()
+      this.listenerVectorOrientation = {
+        forward: _listenerForward.rotate(transform).normalize(),
+        up: _listenerUp.rotate(transform).normalize()
+      }
+    }
+
+    if(_AudioContext === null){
+      return
+    }
+    const listener = _AudioContext.listener
+    const pos = this.listenerPosition
+    const forward = this.listenerVectorOrientation.forward
+    const up = this.listenerVectorOrientation.up
+    if(_setParam(listener.positionX, pos.x)){
+      _setParam(listener.positionY, pos.y)
+      _setParam(listener.positionZ, pos.z)
+      _setParam(listener.forwardX, forward.x)
+      _setParam(listener.forwardY, forward.y)
+      _setParam(listener.forwardZ, forward.z)
+      _setParam(listener.upX, up.x)
+      _setParam(listener.upY, up.y)
+      _setParam(listener.upZ, up.z)
+    }else{
+      listener.setPosition(pos.x, pos.y, pos.z)
+      listener.setOrientation(forward.x, forward.y, forward.z, up.x, up.y, up.z)
+    }
+  }
+
+  /**
+   * Spatializes the audio of the player attached to the given node.
+   * @access private
+   * @param {SCNAudioPlayer} player -
+   * @param {SCNNode} node - the node which owns the player.
+   * @returns {void}
+   */
+  _updatePlayer(player, node) {
+    const mixer = player.audioNode
+    if(mixer === null){
+      return
+    }
+    if(player._environment !== this){
+      this._createNodes()
+      player._connectToEnvironment(this)
+    }
+
+    const source = player.audioSource
+    if(source !== null && !source.isPositional){
+      return
+    }
+
+    const p = node.presentation || node
+    const position = p.worldTransform.getTranslation()
+    mixer.position = position
+
+    const panner = mixer._pannerNode
+    if(panner){
+      const params = this._distanceAttenuationParameters
+      panner.distanceModel = params._webAudioDistanceModel
+      panner.refDistance = params.referenceDistance
+      panner.maxDistance = params.maximumDistance
+      panner.rolloffFactor = params.rolloffFactor
+      if(!_setParam(panner.positionX, position.x)){
+        panner.setPosition(position.x, position.y, position.z)
+      }else{
+        _setParam(panner.positionY, position.y)
+        _setParam(panner.positionZ, position.z)
+      }
+    }
+  }
+
+  /**
+   * Creates the Web Audio nodes of the environment.
+   * @access private
+   * @returns {void}
+   */
+  _createNodes() {
+    if(_AudioContext === null || this._inputNode !== null){
+      return
+    }
+    const context = _AudioContext
+    this._inputNode = context.createGain()
+    this._inputNode.gain.value = this._outputVolume
+    this._inputNode.connect(context.destination)
+
+    // a decaying noise is used as the impulse response of the reverb.
+    const rate = context.sampleRate
+    const length = Math.floor(rate * _reverbDuration)
+    const impulse = context.createBuffer(2, length, rate)
+    for(let ch=0; ch<2; ch++){
+      const data = impulse.getChannelData(ch)
+      for(let i=0; i<length; i++){
+        data[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / length, 2)
+      }
+    }
+    this._reverbNode = context.createConvolver()
+    this._reverbNode.buffer = impulse
+    this._reverbNode.connect(this._inputNode)
+  }
+}
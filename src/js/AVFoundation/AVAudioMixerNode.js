@@ -1,18 +1,166 @@
 'use strict'
 
 import AVAudioNode from './AVAudioNode'
+import SCNVector3 from '../SceneKit/SCNVector3'
 
+/**
+ * @access private
+ * @param {?AudioParam} param -
+ * @param {number} value -
+ * @returns {void}
+ */
+const _setParam = (param, value) => {
+  if(param){
+    param.value = value
+  }
+}
+
+/**
+ * A mixer node which SceneKit uses to play and spatialize the audio of a player.
+ * @access public
+ * @extends {AVAudioNode}
+ * @see https://developer.apple.com/documentation/avfoundation/avaudiomixernode
+ */
 export default class AVAudioMixerNode extends AVAudioNode {
+  /**
+   * constructor
+   * @access public
+   * @constructor
+   */
   constructor() {
     super()
 
+    this._volume = 1
+    this._rate = 1
+    this._reverbBlend = 0
+
+    /**
+     * The location of the source in the 3D mixing space.
+     * @type {SCNVector3}
+     * @see https://developer.apple.com/documentation/avfoundation/avaudio3dmixing/1387982-position
+     */
+    this.position = new SCNVector3(0, 0, 0)
+
+    this._sourceNode = null
     this._gainNode = null
+    this._pannerNode = null
+    this._dryGainNode = null
+    this._wetGainNode = null
   }
 
+  /**
+   * The bus’s input volume.
+   * @type {number}
+   * @see https://developer.apple.com/documentation/avfoundation/avaudiomixing/1389101-volume
+   */
   get volume() {
-    return this._gainNode.gain.value
+    return this._volume
   }
+
   set volume(newValue) {
-    this._gainNode.gain.value = newValue
+    this._volume = newValue
+    if(this._gainNode){
+      _setParam(this._gainNode.gain, newValue)
+    }
+  }
+
+  /**
+   * Changes the playback rate of the input signal.
+   * @type {number}
+   * @desc A value of 2.0 results in the output audio playing one octave higher. A value of 0.5, results in the output audio playing one octave lower.
+   * @see https://developer.apple.com/documentation/avfoundation/avaudio3dmixing/1389462-rate
+   */
+  get rate() {
+    return this._rate
+  }
+
+  set rate(newValue) {
+    this._rate = newValue
+    if(this._sourceNode){
+      _setParam(this._sourceNode.playbackRate, newValue)
+    }
+  }
+
+  /**
+   * The blend of the unprocessed and reverb-processed signal.
+   * @type {number}
+   * @desc The range of valid values is 0.0 (completely dry) to 1.0 (completely wet).
+   * @see https://developer.apple.com/documentation/avfoundation/avaudio3dmixing/1388123-reverbblend
+   */
+  get reverbBlend() {
+    return this._reverbBlend
+  }
+
+  set reverbBlend(newValue) {
+    this._reverbBlend = Math.min(Math.max(newValue, 0), 1)
+    if(this._dryGainNode){
+      _setParam(this._dryGainNode.gain, 1 - this._reverbBlend)
+      _setParam(this._wetGainNode.gain, this._reverbBlend)
+    }
+  }
+
+  /**
+   * Creates the Web Audio nodes for playback.
+   * @access private
+   * @param {AudioContext} context -
+   * @param {boolean} isPositional - true if the audio is spatialized with a PannerNode.
+   * @returns {void}
+   */
+  _createNodes(context, isPositional) {
+    if(this._gainNode !== null){
+      return
+    }
+    this._gainNode = context.createGain()
+    this._dryGainNode = context.createGain()
+    this._wetGainNode = context.createGain()
+
+    let output = this._gainNode
+    if(isPositional){
+      this._pannerNode = context.createPanner()
+      this._pannerNode.panningModel = 'HRTF'
+      this._gainNode.connect(this._pannerNode)
+      output = this._pannerNode
+    }
+    output.connect(this._dryGainNode)
+    output.connect(this._wetGainNode)
+
+    this.volume = this._volume
+    this.reverbBlend = this._reverbBlend
+  }
+
+  /**
+   * Connects the outputs of the mixer to the given destinations.
+   * @access private
+   * @param {AudioNode} destination - the node for the dry signal.
+   * @param {?AudioNode} reverb - the node for the wet signal.
+   * @returns {void}
+   */
+  _connect(destination, reverb) {
+    if(this._dryGainNode === null){
+      return
+    }
+    this._dryGainNode.disconnect()
+    this._wetGainNode.disconnect()
+    this._dryGainNode.connect(destination)
+    if(reverb){
+      this._wetGainNode.connect(reverb)
+    }
+  }
+
+  /**
+   * Plays the given buffer source through the mixer.
+   * @access private
+   * @param {AudioBufferSourceNode} sourceNode -
+   * @returns {void}
+   */
+  _setSourceNode(sourceNode) {
+    if(this._sourceNode){
+      this._sourceNode.disconnect()
+    }
+    this._sourceNode = sourceNode
+    if(sourceNode){
+      sourceNode.connect(this._gainNode)
+      this.rate = this._rate
+    }
   }
 }
@@ -0,0 +1,232 @@
+'use strict'
+
+import NSObject from '../ObjectiveC/NSObject'
+import _BinaryRequest from '../util/_BinaryRequest'
+import _OpenTypeFont from '../util/_OpenTypeFont'
+
+/**
+ * fonts registered with registerFontWithData, keyed by their PostScript, full and family names.
+ * @access private
+ * @type {Map<string, _OpenTypeFont>}
+ */
+const _registeredFonts = new Map()
+
+const _defaultFontSize = 12.0
+
+/**
+ * The representation of a font in an app.
+ * @access public
+ * @extends {NSObject}
+ * @see https://developer.apple.com/documentation/appkit/nsfont
+ */
+export default class NSFont extends NSObject {
+  // Creating Arbitrary Fonts
+
+  /**
+   * Creates a font object for the specified font name and font size.
+   * @access public
+   * @constructor
+   * @param {string} name - The fully specified family-face name of the font.
+   * @param {number} [size = 12.0] - The font size in points. If 0 or negative, the default size is used.
+   * @desc The font must be registered with registerFontWithData beforehand. Otherwise the font has no glyphs.
+   * @see https://developer.apple.com/documentation/appkit/nsfont/1525977-init
+   */
+  constructor(name = '', size = _defaultFontSize) {
+    super()
+
+    this._fontName = name
+    this._pointSize = size > 0 ? size : _defaultFontSize
+
+    /**
+     * @access private
+     * @type {?_OpenTypeFont}
+     */
+    this._face = _registeredFonts.get(name) || null
+  }
+
+  /**
+   * Returns a font object for the specified font name and font size.
+   * @access public
+   * @param {string} name - The fully specified family-face name of the font.
+   * @param {number} size - The font size in points.
+   * @returns {?NSFont} - null if no font with the name is registered.
+   * @see https://developer.apple.com/documentation/appkit/nsfont/1525977-init
+   */
+  static fontWithNameSize(name, size) {
+    if(!_registeredFonts.has(name)){
+      return null
+    }
+    return new NSFont(name, size)
+  }
+
+  /**
+   * Returns a font object from the contents of a TrueType, OpenType or WOFF font file.
+   * @access public
+   * @param {Buffer|ArrayBuffer|Uint8Array|string} data - The contents of the font file.
+   * @param {number} size - The font size in points.
+   * @returns {NSFont} -
+   * @throws {Error} - when the data is not a supported font.
+   */
+  static fontWithDataSize(data, size) {
+    const face = new _OpenTypeFont(data)
+    const font = new NSFont(face.postScriptName, size)
+    font._face = face
+    return font
+  }
+
+  /**
+   * Loads a TrueType, OpenType or WOFF font file and returns a font object.
+   * @access public
+   * @param {string} url - The URL of the font file.
+   * @param {number} size - The font size in points.
+   * @returns {Promise} - resolves to an NSFont.
+   */
+  static fontWithURLSize(url, size) {
+    return _BinaryRequest.get(url)
+      .then((data) => NSFont.fontWithDataSize(data, size))
+  }
+
+  /**
+   * Makes a font available to fontWithNameSize.
+   * @access public
+   * @param {Buffer|ArrayBuffer|Uint8Array|string} data - The contents of a TrueType, OpenType or WOFF font file.
+   * @returns {string} - The PostScript name of the font. The full name and the family name of the font are registered as well.
+   * @throws {Error} - when the data is not a supported font.
+   */
+  static registerFontWithData(data) {
+    const face = new _OpenTypeFont(data)
+    for(const name of [face.familyName, face.fullName, face.postScriptName]){
+      if(name){
+        _registeredFonts.set(name, face)
+      }
+    }
+    return face.postScriptName
+  }
+
+  /**
+   * Returns a font object that is the same as the font, except it has the specified size.
+   * @access public
+   * @param {number} fontSize - The desired size in points.
+   * @returns {NSFont} -
+   * @see https://developer.apple.com/documentation/uikit/uifont/1619029-withsize
+   */
+  withSize(fontSize) {
+    const font = new NSFont(this._fontName, fontSize)
+    font._face = this._face
+    return font
+  }
+
+  // Getting General Font Information
+
+  /**
+   * The point size of the font.
+   * @type {number}
+   * @desc
+   * @see https://developer.apple.com/documentation/appkit/nsfont/1531599-pointsize
+   */
+  get pointSize() {
+    return this._pointSize
+  }
+
+  // Getting Information About a Font
+
+  /**
+   * The full name of the font, as used in PostScript language code—for example, “Times-Roman” or “Helvetica-Oblique.”
+   * @type {string}
+   * @desc
+   * @see https://developer.apple.com/documentation/appkit/nsfont/1534402-fontname
+   */
+  get fontName() {
+    return this._face ? this._face.postScriptName : this._fontName
+  }
+
+  /**
+   * The name of the font, including family and face names, to use when displaying the font information to the user.
+   * @type {?string}
+   * @desc
+   * @see https://developer.apple.com/documentation/appkit/nsfont/1526634-displayname
+   */
+  get displayName() {
+    return this._face ? this._face.fullName : null
+  }
+
+  /**
+   * The family name of the font—for example, “Times” or “Helvetica.”
+   * @type {?string}
+   * @desc
+   * @see https://developer.apple.com/documentation/appkit/nsfont/1534315-familyname
+   */
+  get familyName() {
+    return this._face ? this._face.familyName : null
+  }
+
+  // Getting Font Metrics
+
+  /**
+   * The top y-coordinate, offset from the baseline, of the font’s longest ascender.
+   * @type {number}
+   * @desc
+   * @see https://developer.apple.com/documentation/appkit/nsfont/1529209-ascender
+   */
+  get ascender() {
+    return this._face ? this._face.ascender * this._unitScale : 0
+  }
+
+  /**
+   * The bottom y-coordinate, offset from the baseline, of the font’s longest descender.
+   * @type {number}
+   * @desc
+   * @see https://developer.apple.com/documentation/appkit/nsfont/1530931-descender
+   */
+  get descender() {
+    return this._face ? this._face.descender * this._unitScale : 0
+  }
+
+  /**
+   * The line height of the font.
+   * @type {number}
+   * @desc
+   * @see https://developer.apple.com/documentation/appkit/nsfont/1525826-leading
+   */
+  get leading() {
+    return this._face ? this._face.lineGap * this._unitScale : 0
+  }
+
+  /**
+   * The cap height of the font.
+   * @type {number}
+   * @desc
+   * @see https://developer.apple.com/documentation/appkit/nsfont/1534963-capheight
+   */
+  get capHeight() {
+    return this._face ? this._face.capHeight * this._unitScale : 0
+  }
+
+  /**
+   * The x-height of the font.
+   * @type {number}
+   * @desc
+   * @see https://developer.apple.com/documentation/appkit/nsfont/1531112-xheight
+   */
+  get xHeight() {
+    return this._face ? this._face.xHeight * this._unitScale : 0
+  }
+
+  /**
+   * The distance between the baselines of two lines of text.
+   * @access private
+   * @type {number}
+   */
+  get _lineHeight() {
+    return this.ascender - this.descender + this.leading
+  }
+
+  /**
+   * The scale from font units to points.
+   * @access private
+   * @type {number}
+   */
+  get _unitScale() {
+    return this._pointSize / this._face.unitsPerEm
+  }
+}
@@ -0,0 +1,191 @@
+'use strict'
+
+/**
+ * An affine transformation matrix for use in drawing 2D graphics.
+ * @access public
+ * @see https://developer.apple.com/documentation/coregraphics/cgaffinetransform
+ */
+export default class CGAffineTransform {
+  // Initializers
+
+  /**
+   * Returns an affine transformation matrix constructed from values you provide.
+   * @access public
+   * @constructor
+   * @param {number} a - The value at position [1,1] in the matrix.
+   * @param {number} b - The value at position [1,2] in the matrix.
+   * @param {number} c - The value at position [2,1] in the matrix.
+   * @param {number} d - The value at position [2,2] in the matrix.
+   * @param {number} tx - The value at position [3,1] in the matrix.
+   * @param {number} ty - The value at position [3,2] in the matrix.
+   * @see https://developer.apple.com/documentation/coregraphics/cgaffinetransform/1455865-init
+   */
+  constructor(a = 1, b = 0, c = 0, d = 1, tx = 0, ty = 0) {
+    this.a = a
+    this.b = b
+    this.c = c
+    this.d = d
+    this.tx = tx
+    this.ty = ty
+  }
+
+  /**
+   * Returns an affine transformation matrix constructed from translation values you provide.
+   * @access public
+   * @param {number} tx - The value by which to move the x-axis of the coordinate system.
+   * @param {number} ty - The value by which to move the y-axis of the coordinate system.
+   * @returns {CGAffineTransform} -
+   * @see https://developer.apple.com/documentation/coregraphics/cgaffinetransform/1455822-init
+   */
+  static translationXY(tx, ty) {
+    return new CGAffineTransform(1, 0, 0, 1, tx, ty)
+  }
+
+  /**
+   * Returns an affine transformation matrix constructed from scaling values you provide.
+   * @access public
+   * @param {number} sx - The factor by which to scale the x-axis of the coordinate system.
+   * @param {number} sy - The factor by which to scale the y-axis of the coordinate system.
+   * @returns {CGAffineTransform} -
+   * @see https://developer.apple.com/documentation/coregraphics/cgaffinetransform/1455016-init
+   */
+  static scaleXY(sx, sy) {
+    return new CGAffineTransform(sx, 0, 0, sy, 0, 0)
+  }
+
+  /**
+   * Returns an affine transformation matrix constructed from a rotation value you provide.
+   * @access public
+   * @param {number} angle - The angle, in radians, by which this matrix rotates the coordinate system axes. A positive value specifies counterclockwise rotation and a negative value specifies clockwise rotation.
+   * @returns {CGAffineTransform} -
+   * @see https://developer.apple.com/documentation/coregraphics/cgaffinetransform/1455666-init
+   */
+  static rotationAngle(angle) {
+    const cos = Math.cos(angle)
+    const sin = Math.sin(angle)
+    return new CGAffineTransform(cos, sin, -sin, cos, 0, 0)
+  }
+
+  // Special Values
+
+  /**
+   * The identity transform.
+   * @type {CGAffineTransform}
+   * @desc
+   * @see https://developer.apple.com/documentation/coregraphics/cgaffinetransform/1455144-identity
+   */
+  static get identity() {
+    return new CGAffineTransform(1, 0, 0, 1, 0, 0)
+  }
+
+  // Checking Characteristics
+
+  /**
+   * Checks whether an affine transform is the identity transform.
+   * @type {boolean}
+   * @desc
+   * @see https://developer.apple.com/documentation/coregraphics/cgaffinetransform/1455754-isidentity
+   */
+  get isIdentity() {
+    return this.a === 1 && this.b === 0 && this.c === 0 && this.d === 1 && this.tx === 0 && this.ty === 0
+  }
+
+  // Modifying Affine Transformations
+
+  /**
+   * Returns an affine transformation matrix constructed by translating an existing affine transform.
+   * @access public
+   * @param {number} tx - The value by which to move x values with the affine transform.
+   * @param {number} ty - The value by which to move y values with the affine transform.
+   * @returns {CGAffineTransform} -
+   * @see https://developer.apple.com/documentation/coregraphics/cgaffinetransform/1455822-translatedby
+   */
+  translatedBy(tx, ty) {
+    return CGAffineTransform.translationXY(tx, ty).concatenating(this)
+  }
+
+  /**
+   * Returns an affine transformation matrix constructed by scaling an existing affine transform.
+   * @access public
+   * @param {number} sx - The value by which to scale x values of the affine transform.
+   * @param {number} sy - The value by which to scale y values of the affine transform.
+   * @returns {CGAffineTransform} -
+   * @see https://developer.apple.com/documentation/coregraphics/cgaffinetransform/1455882-scaledby
+   */
+  scaledBy(sx, sy) {
+    return CGAffineTransform.scaleXY(sx, sy).concatenating(this)
+  }
+
+  /**
+   * Returns an affine transformation matrix constructed by rotating an existing affine transform.
+   * @access public
+   * @param {number} angle - The angle, in radians, by which to rotate the affine transform. A positive value specifies counterclockwise rotation and a negative value specifies clockwise rotation.
+   * @returns {CGAffineTransform} -
+   * @see https://developer.apple.com/documentation/coregraphics/cgaffinetransform/1455962-rotated
+   */
+  rotatedBy(angle) {
+    return CGAffineTransform.rotationAngle(angle).concatenating(this)
+  }
+
+  /**
+   * Returns an affine transformation matrix constructed by inverting an existing affine transform.
+   * @access public
+   * @returns {CGAffineTransform} -
+   * @desc If the affine transform passed in parameter t cannot be inverted, the affine transform is returned unchanged.
+   * @see https://developer.apple.com/documentation/coregraphics/cgaffinetransform/1455264-inverted
+   */
+  inverted() {
+    const det = this.a * this.d - this.b * this.c
+    if(det === 0){
+      return this.copy()
+    }
+    const a = this.d / det
+    const b = -this.b / det
+    const c = -this.c / det
+    const d = this.a / det
+    const tx = -(a * this.tx + c * this.ty)
+    const ty = -(b * this.tx + d * this.ty)
+    return new CGAffineTransform(a, b, c, d, tx, ty)
+  }
+
+  /**
+   * Returns an affine transformation matrix constructed by combining two existing affine transforms.
+   * @access public
+   * @param {CGAffineTransform} t2 - The affine transform to concatenate to this affine transform.
+   * @returns {CGAffineTransform} -
+   * @desc Concatenation combines two affine transformation matrices by multiplying them together. The resulting transform applies this transform first and then t2.
+   * @see https://developer.apple.com/documentation/coregraphics/cgaffinetransform/1455996-concatenating
+   */
+  concatenating(t2) {
+    return new CGAffineTransform(
+      this.a * t2.a + this.b * t2.c,
+      this.a * t2.b + this.b * t2.d,
+      this.c * t2.a + this.d * t2.c,
+      this.c * t2.b + this.d * t2.d,
+      this.tx * t2.a + this.ty * t2.c + t2.tx,
+      this.tx * t2.b + this.ty * t2.d + t2.ty
+    )
+  }
+
+  // Applying Affine Transformations
+
+  /**
+   * Checks whether two affine transforms are equal.
+   * @access public
+   * @param {CGAffineTransform} t2 - An affine transform to be compared with this affine transform.
+   * @returns {boolean} -
+   * @see https://developer.apple.com/documentation/coregraphics/cgaffinetransform/1455788-equalto
+   */
+  equalTo(t2) {
+    return this.a === t2.a && this.b === t2.b && this.c === t2.c
+        && this.d === t2.d && this.tx === t2.tx && this.ty === t2.ty
+  }
+
+  /**
+   * @access public
+   * @returns {CGAffineTransform} -
+   */
+  copy() {
+    return new CGAffineTransform(this.a, this.b, this.c, this.d, this.tx, this.ty)
+  }
+}
@@ -1,15 +1,163 @@
 'use strict'
 
-//import CGRect from './CGRect'
-//import CGLineCap from './CGLineCap'
-//import CGLineJoin from './CGLineJoin'
+import CGAffineTransform from './CGAffineTransform'
+import CGLineCap from './CGLineCap'
+import CGLineJoin from './CGLineJoin'
+import CGPathElement from './CGPathElement'
+import CGPathElementType from './CGPathElementType'
+import CGPathFillRule from './CGPathFillRule'
+import CGPoint from './CGPoint'
+import CGRect from './CGRect'
+import CGSize from './CGSize'
+import _ClassList from '../util/_ClassList'
 //import CGMutablePath from './CGMutablePath'
-//import CGPoint from './CGPoint'
-//import CGPathFillRule from './CGPathFillRule'
 //import CGPathApplierFunction from './CGPathApplierFunction'
 
 const _typeID = null
 
+/**
+ * The number of line segments used to approximate a curve.
+ * @access private
+ * @type {number}
+ */
+const _curveSegments = 16
+
+/**
+ * Control point distance for approximating a quarter circle with a cubic Bézier curve.
+ * @access private
+ * @type {number}
+ */
+const _kappa = 0.5522847498307936
+
+/**
+ * @access private
+ * @param {CGPoint} point -
+ * @param {?CGAffineTransform} transform -
+ * @returns {CGPoint} -
+ */
+const _applyTransform = (point, transform) => {
+  if(transform){
+    return point.applying(transform)
+  }
+  return new CGPoint(point.x, point.y)
+}
+
+/**
+ * @access private
+ * @param {CGPoint[]} points -
+ * @returns {number} - positive if the points are ordered counterclockwise.
+ */
+const _signedArea = (points) => {
+  let area = 0
+  const len = points.length
+  for(let i=0; i<len; i++){
+    const p0 = points[i]
+    const p1 = points[(i + 1) % len]
+    area += p0.x * p1.y - p1.x * p0.y
+  }
+  return area * 0.5
+}
+
+/**
+ * Returns the parameters in (0, 1) where the derivative of a 1D Bézier curve is zero.
+ * @access private
+ * @param {number[]} v - coordinates of the start point, the control points and the end point.
+ * @returns {number[]} -
+ */
+const _bezierExtrema = (v) => {
+  const ts = []
+  if(v.length === 3){
+    // B'(t) = 2(1-t)(v1-v0) + 2t(v2-v1)
+    const denom = v[0] - 2 * v[1] + v[2]
+    if(denom !== 0){
+      ts.push((v[0] - v[1]) / denom)
+    }
+  }else{
+    // B'(t) = 3(a t^2 + b t + c)
+    const a = -v[0] + 3 * v[1] - 3 * v[2] + v[3]
+    const b = 2 * (v[0] - 2 * v[1] + v[2])
+    const c = v[1] - v[0]
+    if(Math.abs(a) < 1e-12){
+      if(b !== 0){
+        ts.push(-c / b)
+      }
+    }else{
+      const d = b * b - 4 * a * c
+      if(d >= 0){
+        const sq = Math.sqrt(d)
+        ts.push((-b + sq) / (2 * a))
+        ts.push((-b - sq) / (2 * a))
+      }
+    }
+  }
+  return ts.filter((t) => t > 0 && t < 1)
+}
+
+/**
+ * @access private
+ * @param {CGPoint[]} p - the start point, the control points and the end point.
+ * @param {number} t -
+ * @returns {CGPoint} -
+ */
+const _bezierPoint = (p, t) => {
+  const s = 1 - t
+  if(p.length === 3){
+    return new CGPoint(
+      s * s * p[0].x + 2 * s * t * p[1].x + t * t * p[2].x,
+      s * s * p[0].y + 2 * s * t * p[1].y + t * t * p[2].y
+    )
+  }
+  const s2 = s * s
+  const t2 = t * t
+  return new CGPoint(
+    s2 * s * p[0].x + 3 * s2 * t * p[1].x + 3 * s * t2 * p[2].x + t2 * t * p[3].x,
+    s2 * s * p[0].y + 3 * s2 * t * p[1].y + 3 * s * t2 * p[2].y + t2 * t * p[3].y
+  )
+}
+
+/**
+ * Returns the number of line segments needed to keep the polyline within the flatness of the curve.
+ * @access private
+ * @param {CGPoint[]} p - the start point, the control points and the end point.
+ * @param {number} flatness -
+ * @returns {number} -
+ */
+const _segmentCountForFlatness = (p, flatness) => {
+  // the distance between a curve and its polyline is at most max|B''| / (8 n^2).
+  let d = 0
+  for(let i=0; i<p.length-2; i++){
+    const dx = p[i].x - 2 * p[i + 1].x + p[i + 2].x
+    const dy = p[i].y - 2 * p[i + 1].y + p[i + 2].y
+    d = Math.max(d, Math.sqrt(dx * dx + dy * dy))
+  }
+  const degree = p.length - 1
+  const maxSecondDerivative = degree * (degree - 1) * d
+  const count = Math.ceil(Math.sqrt(maxSecondDerivative / (8 * flatness)))
+  return Math.min(Math.max(count, 1), 1024)
+}
+
+/**
+ * @access private
+ * @param {CGPoint[]} points -
+ * @returns {CGRect} -
+ */
+const _boundsOfPoints = (points) => {
+  if(points.length === 0){
+    return new CGRect(new CGPoint(Infinity, Infinity), null)
+  }
+  let minX = Infinity
+  let minY = Infinity
+  let maxX = -Infinity
+  let maxY = -Infinity
+  for(const p of points){
+    minX = Math.min(minX, p.x)
+    minY = Math.min(minY, p.y)
+    maxX = Math.max(maxX, p.x)
+    maxY = Math.max(maxY, p.y)
+  }
+  return new CGRect(new CGPoint(minX, minY), new CGSize(maxX - minX, maxY - minY))
+}
+
 /**
  * An immutable graphics path: a mathematical description of shapes or lines to be drawn in a graphics context.
  * @access public
@@ -23,38 +171,43 @@ export default class CGPath {
    * Create an immutable path of a rectangle.
    * @access public
    * @constructor
-   * @param {CGRect} rect - The rectangle to add.
-   * @param {?UnsafePointer<CGAffineTransform>} transform - A pointer to an affine transformation matrix, or NULL if no transformation is needed. If specified, Core Graphics applies the transformation to the rectangle before it is added to the path.
-   * @desc This is a convenience function that creates a path of an rectangle. Using this convenience function is more efficient than creating a mutable path and adding an rectangle to it.Calling this function is equivalent to using minX and related functions to find the corners of the rectangle, then using the moveTo(_:x:y:), addLineTo(_:x:y:), and closeSubpath() functions to draw the rectangle. 
+   * @param {?CGRect} [rect = null] - The rectangle to add.
+   * @param {?CGAffineTransform} [transform = null] - An affine transformation matrix, or null if no transformation is needed. If specified, Core Graphics applies the transformation to the rectangle before it is added to the path.
+   * @desc This is a convenience function that creates a path of an rectangle. Using this convenience function is more efficient than creating a mutable path and adding an rectangle to it.Calling this function is equivalent to using minX and related functions to find the corners of the rectangle, then using the moveTo(_:x:y:), addLineTo(_:x:y:), and closeSubpath() functions to draw the rectangle.
    * @see https://developer.apple.com/documentation/coregraphics/cgpath/1411155-init
    */
-  constructor(rect, transform) {
-
-    // Examining a Graphics Path
-
-    this._boundingBox = null
-    this._boundingBoxOfPath = null
-    this._currentPoint = null
-    this._isEmpty = false
+  constructor(rect = null, transform = null) {
+    /**
+     * @access private
+     * @type {CGPathElement[]}
+     */
+    this._elements = []
+
+    /**
+     * The start point of the current subpath.
+     * @access private
+     * @type {?CGPoint}
+     */
+    this._subpathStart = null
+
+    if(rect){
+      this._addRect(rect, transform)
+    }
   }
 
   /**
    * Create an immutable path of an ellipse.
    * @access public
    * @param {CGRect} rect - The rectangle that bounds the ellipse.
-   * @param {?UnsafePointer<CGAffineTransform>} transform - A pointer to an affine transformation matrix, or NULL if no transformation is needed. If specified, Core Graphics applies the transformation to the ellipse before it is added to the path.
+   * @param {?CGAffineTransform} transform - An affine transformation matrix, or null if no transformation is needed. If specified, Core Graphics applies the transformation to the ellipse before it is added to the path.
    * @returns {void}
    * @desc This is a convenience function that creates a path of an ellipse. Using this convenience function is more efficient than creating a mutable path and adding an ellipse to it.The ellipse is approximated by a sequence of Bézier curves. Its center is the midpoint of the rectangle defined by the rect parameter. If the rectangle is square, then the ellipse is circular with a radius equal to one-half the width (or height) of the rectangle. If the rect parameter specifies a rectangular shape, then the major and minor axes of the ellipse are defined by the width and height of the rectangle. The ellipse forms a complete subpath of the path—that is, the ellipse drawing starts with a move-to operation and ends with a close-subpath operation, with all moves oriented in the clockwise direction. If you supply an affine transform, then the constructed Bézier curves that define the ellipse are transformed before they are added to the path.
    * @see https://developer.apple.com/documentation/coregraphics/cgpath/1411177-init
    */
   initEllipseIn(rect, transform) {
-
-    // Examining a Graphics Path
-
-    this._boundingBox = null
-    this._boundingBoxOfPath = null
-    this._currentPoint = null
-    this._isEmpty = false
+    this._elements = []
+    this._subpathStart = null
+    this._addEllipseIn(rect, transform)
   }
 
   /**
@@ -63,19 +216,15 @@ export default class CGPath {
    * @param {CGRect} rect - The rectangle to add.
    * @param {number} cornerWidth - The width of the rounded corner sections.
    * @param {number} cornerHeight - The height of the rounded corner sections.
-   * @param {?UnsafePointer<CGAffineTransform>} transform - A pointer to an affine transformation matrix, or NULL if no transformation is needed. If specified, Core Graphics applies the transformation to the rectangle before it is added to the path.
+   * @param {?CGAffineTransform} transform - An affine transformation matrix, or null if no transformation is needed. If specified, Core Graphics applies the transformation to the rectangle before it is added to the path.
    * @returns {void}
    * @desc This is a convenience function that creates a path of an rounded rectangle. Using this convenience function is more efficient than creating a mutable path and adding an rectangle to it.Each corner of the rounded rectangle is one-quarter of an ellipse with axes equal to the cornerWidth and cornerHeight parameters. The rounded rectangle forms a complete subpath and is oriented in the clockwise direction.
    * @see https://developer.apple.com/documentation/coregraphics/cgpath/1411218-init
    */
   initRoundedRect(rect, cornerWidth, cornerHeight, transform) {
-
-    // Examining a Graphics Path
-
-    this._boundingBox = null
-    this._boundingBoxOfPath = null
-    this._currentPoint = null
-    this._isEmpty = false
+    this._elements = []
+    this._subpathStart = null
+    this._addRoundedRect(rect, cornerWidth, cornerHeight, transform)
   }
 
   // Copying a Graphics Path
@@ -83,74 +232,232 @@ export default class CGPath {
   /**
    * Creates an immutable copy of a graphics path.
    * @access public
-   * @returns {?CGPath} - 
+   * @returns {?CGPath} -
    * @see https://developer.apple.com/documentation/coregraphics/cgpath/1411211-copy
    */
   copy() {
-    return null
+    return this.copyUsing(null)
   }
 
   /**
    * Creates an immutable copy of a graphics path transformed by a transformation matrix.
    * @access public
-   * @param {?UnsafePointer<CGAffineTransform>} transform - A pointer to an affine transformation matrix, or NULL if no transformation is needed. If specified, Core Graphics applies the transformation to all elements of the new path.
-   * @returns {?CGPath} - 
+   * @param {?CGAffineTransform} transform - An affine transformation matrix, or null if no transformation is needed. If specified, Core Graphics applies the transformation to all elements of the new path.
+   * @returns {?CGPath} -
    * @see https://developer.apple.com/documentation/coregraphics/cgpath/1411161-copy
    */
   copyUsing(transform) {
-    return null
+    const path = new CGPath()
+    path._addPath(this, transform)
+    return path
   }
 
   /**
    * Returns a new path equivalent to the results of drawing the path with a dashed stroke.
    * @access public
-   * @param {number} phase - A value that specifies how far into the dash pattern the line starts, in units of the user space. For example, a value of 0 draws a line starting with the beginning of a dash pattern, and a value of 3 means the line is drawn with the dash pattern starting at three units from its beginning. 
+   * @param {number} phase - A value that specifies how far into the dash pattern the line starts, in units of the user space. For example, a value of 0 draws a line starting with the beginning of a dash pattern, and a value of 3 means the line is drawn with the dash pattern starting at three units from its beginning.
    * @param {number[]} lengths - An array of values that specify the lengths, in user space coordinates, of the painted and unpainted segments  of the dash pattern.For example, the array [2,3] sets a dash pattern that alternates between a 2-unit-long painted segment and a 3-unit-long unpainted segment. The array [1,3,4,2] sets the pattern to a 1-unit painted segment, a 3-unit unpainted segment, a 4-unit painted segment, and a 2-unit unpainted segment.Pass an empty array to clear the dash pattern so that all stroke drawing in the context uses solid lines.
-   * @param {CGAffineTransform} transform - An affine transform to apply to the path before dashing. Defaults to the identity transform if not specified.
-   * @returns {CGPath} - 
+   * @param {CGAffineTransform} [transform = CGAffineTransform.identity] - An affine transform to apply to the path before dashing. Defaults to the identity transform if not specified.
+   * @returns {CGPath} -
    * @desc The new path is created so that filling the new path draws the same pixels as stroking the original path with the specified dash parameters.
    * @see https://developer.apple.com/documentation/coregraphics/cgpath/2427137-copy
    */
-  copyDashingWithPhase(phase, lengths, transform) {
-    return null
+  copyDashingWithPhase(phase, lengths, transform = CGAffineTransform.identity) {
+    const total = lengths.reduce((sum, len) => sum + len, 0)
+    if(lengths.length === 0 || total <= 0){
+      return this.copyUsing(transform)
+    }
+
+    // an odd-length pattern is repeated to pair painted and unpainted segments.
+    const pattern = lengths.length % 2 === 0 ? lengths : lengths.concat(lengths)
+    const path = new CGPath()
+    for(const subpath of this._flatten(transform)){
+      const points = subpath.closed ? subpath.points.concat([subpath.points[0]]) : subpath.points
+
+      // find the position in the pattern from the phase.
+      let index = 0
+      let remaining = pattern[0]
+      let offset = ((phase % total) + total) % total
+      while(offset > 0){
+        if(offset < remaining){
+          remaining -= offset
+          break
+        }
+        offset -= remaining
+        index = (index + 1) % pattern.length
+        remaining = pattern[index]
+      }
+
+      let painting = false
+      for(let i=0; i<points.length-1; i++){
+        const p0 = points[i]
+        const p1 = points[i + 1]
+        const segLength = p1.sub(p0).length()
+        let pos = 0
+        while(pos < segLength){
+          const step = Math.min(remaining, segLength - pos)
+          const isOn = index % 2 === 0
+          if(isOn){
+            if(!painting){
+              path._moveTo(p0.lerp(p1, pos / segLength))
+              painting = true
+            }
+            path._addLineTo(p0.lerp(p1, (pos + step) / segLength))
+          }
+          pos += step
+          remaining -= step
+          if(remaining <= 0){
+            index = (index + 1) % pattern.length
+            remaining = pattern[index]
+            painting = false
+          }
+        }
+      }
+    }
+    return path
   }
 
   /**
-   * Returns a new path equivalent to the results of drawing the path with a solid stroke. 
+   * Returns a new path equivalent to the results of drawing the path with a solid stroke.
    * @access public
    * @param {number} lineWidth - The line width to use, in user space units. The value must be greater than 0.
-   * @param {CGLineCap} lineCap - The line cap style to render. (For equivalent CGContext drawing methods, the default style is butt.) 
-   * @param {CGLineJoin} lineJoin - The line join style to render. (For equivalent CGContext drawing methods, the default style is miter.) 
-   * @param {number} miterLimit - A value that limits how sharp individual corners in the path can be when using the miter line join style. When the ratio of a the length required for a mitered corner to the line width exceeds this value, that corner uses the bevel style instead.
-   * @param {CGAffineTransform} transform - An affine transform to apply to the path before dashing. Defaults to the identity transform if not specified.
-   * @returns {CGPath} - 
-   * @desc The new path is created so that filling the new path draws the same pixels as stroking the original path with the specified line style.
+   * @param {CGLineCap} [lineCap = CGLineCap.butt] - The line cap style to render. (For equivalent CGContext drawing methods, the default style is butt.)
+   * @param {CGLineJoin} [lineJoin = CGLineJoin.miter] - The line join style to render. (For equivalent CGContext drawing methods, the default style is miter.)
+   * @param {number} [miterLimit = 10] - A value that limits how sharp individual corners in the path can be when using the miter line join style. When the ratio of a the length required for a mitered corner to the line width exceeds this value, that corner uses the bevel style instead.
+   * @param {CGAffineTransform} [transform = CGAffineTransform.identity] - An affine transform to apply to the path before dashing. Defaults to the identity transform if not specified.
+   * @returns {CGPath} -
+   * @desc The new path is created so that filling the new path draws the same pixels as stroking the original path with the specified line style. The outline is made of overlapping counterclockwise subpaths, so the new path should be filled with the winding rule.
    * @see https://developer.apple.com/documentation/coregraphics/cgpath/2427133-copy
    */
-  copyStrokingWithWidth(lineWidth, lineCap, lineJoin, miterLimit, transform) {
-    return null
+  copyStrokingWithWidth(lineWidth, lineCap = CGLineCap.butt, lineJoin = CGLineJoin.miter, miterLimit = 10, transform = CGAffineTransform.identity) {
+    const path = new CGPath()
+    const hw = lineWidth * 0.5
+    if(hw <= 0){
+      return path
+    }
+
+    const addPolygon = (points) => {
+      const polygon = _signedArea(points) < 0 ? points.slice().reverse() : points
+      path._moveTo(polygon[0])
+      for(let i=1; i<polygon.length; i++){
+        path._addLineTo(polygon[i])
+      }
+      path._closeSubpath()
+    }
+    const addCircle = (center) => {
+      path._addEllipseIn(CGRect.rectWithXYWidthHeight(center.x - hw, center.y - hw, lineWidth, lineWidth), null)
+    }
+    const normalOf = (dir) => new CGPoint(-dir.y * hw, dir.x * hw)
+
+    for(const subpath of this._flatten(transform)){
+      // remove zero-length segments
+      const points = []
+      for(const p of subpath.points){
+        if(points.length === 0 || !points[points.length - 1].equalTo(p)){
+          points.push(p)
+        }
+      }
+      if(subpath.closed && points.length > 1 && points[0].equalTo(points[points.length - 1])){
+        points.pop()
+      }
+
+      if(points.length === 1){
+        // a zero-length subpath is drawn only by the round or square caps.
+        const p = points[0]
+        if(lineCap === CGLineCap.round){
+          addCircle(p)
+        }else if(lineCap === CGLineCap.square){
+          addPolygon([
+            new CGPoint(p.x - hw, p.y - hw), new CGPoint(p.x + hw, p.y - hw),
+            new CGPoint(p.x + hw, p.y + hw), new CGPoint(p.x - hw, p.y + hw)
+          ])
+        }
+        continue
+      }
+
+      const closed = subpath.closed && points.length > 2
+      const segmentCount = closed ? points.length : points.length - 1
+      const dirs = []
+      for(let i=0; i<segmentCount; i++){
+        const p0 = points[i]
+        const p1 = points[(i + 1) % points.length]
+        const dir = p1.sub(p0).normalize()
+        const n = normalOf(dir)
+        dirs.push(dir)
+        addPolygon([p0.sub(n), p1.sub(n), p1.add(n), p0.add(n)])
+      }
+
+      // joins
+      const joinStart = closed ? 0 : 1
+      for(let i=joinStart; i<segmentCount; i++){
+        const p = points[i]
+        const d0 = dirs[(i - 1 + segmentCount) % segmentCount]
+        const d1 = dirs[i]
+        const cross = d0.x * d1.y - d0.y * d1.x
+        if(Math.abs(cross) < 1e-9 && d0.dot(d1) > 0){
+          continue
+        }
+        if(lineJoin === CGLineJoin.round){
+          addCircle(p)
+          continue
+        }
+        // the outer side of a left turn is the right side.
+        const sign = cross > 0 ? -1 : 1
+        const o0 = p.add(normalOf(d0).mul(sign))
+        const o1 = p.add(normalOf(d1).mul(sign))
+        const cosHalf = Math.sqrt(Math.max(0, (1 + d0.dot(d1)) * 0.5))
+        if(lineJoin === CGLineJoin.miter && cosHalf > 0 && 1 / cosHalf <= miterLimit){
+          const bisector = o0.sub(p).add(o1.sub(p)).normalize()
+          const tip = p.add(bisector.mul(hw / cosHalf))
+          addPolygon([p, o0, tip, o1])
+        }else{
+          addPolygon([p, o0, o1])
+        }
+      }
+
+      // caps
+      if(!closed){
+        const ends = [
+          { p: points[0], dir: dirs[0].mul(-1) },
+          { p: points[points.length - 1], dir: dirs[segmentCount - 1] }
+        ]
+        for(const end of ends){
+          if(lineCap === CGLineCap.round){
+            addCircle(end.p)
+          }else if(lineCap === CGLineCap.square){
+            const n = normalOf(end.dir)
+            const ext = end.p.add(end.dir.mul(hw))
+            addPolygon([end.p.sub(n), ext.sub(n), ext.add(n), end.p.add(n)])
+          }
+        }
+      }
+    }
+    return path
   }
 
   /**
    * Creates a mutable copy of an existing graphics path.
    * @access public
-   * @returns {?CGMutablePath} - 
+   * @returns {?CGMutablePath} -
    * @desc You can modify a mutable graphics path by calling the various path geometry functions, such as addArc(_:x:y:radius:startAngle:endAngle:clockwise:), addLineTo(_:x:y:), and moveTo(_:x:y:).
    * @see https://developer.apple.com/documentation/coregraphics/cgpath/1411196-mutablecopy
    */
   mutableCopy() {
-    return null
+    return this.mutableCopyUsing(null)
   }
 
   /**
    * Creates a mutable copy of a graphics path transformed by a transformation matrix.
    * @access public
-   * @param {?UnsafePointer<CGAffineTransform>} transform - A pointer to an affine transformation matrix, or NULL if no transformation is needed. If specified, Core Graphics applies the transformation to all elements of the new path.
-   * @returns {?CGMutablePath} - 
+   * @param {?CGAffineTransform} transform - An affine transformation matrix, or null if no transformation is needed. If specified, Core Graphics applies the transformation to all elements of the new path.
+   * @returns {?CGMutablePath} -
    * @see https://developer.apple.com/documentation/coregraphics/cgpath/1411150-mutablecopy
    */
   mutableCopyUsing(transform) {
-    return null
+    const CGMutablePath = _ClassList.get('CGMutablePath')
+    const path = new CGMutablePath()
+    path._addPath(this, transform)
+    return path
   }
 
   // Examining a Graphics Path
@@ -159,44 +466,147 @@ export default class CGPath {
    * Returns whether the specified point is interior to the path.
    * @access public
    * @param {CGPoint} point - The point to check.
-   * @param {CGPathFillRule} rule - The rule for determining which areas to treat as the interior of the path. Defaults to the winding rule if not specified.
-   * @param {CGAffineTransform} transform - An affine transform to apply to the point before checking for containment in the path. Defaults to the identity transform if not specified.
-   * @returns {boolean} - 
+   * @param {CGPathFillRule} [rule = CGPathFillRule.winding] - The rule for determining which areas to treat as the interior of the path. Defaults to the winding rule if not specified.
+   * @param {CGAffineTransform} [transform = CGAffineTransform.identity] - An affine transform to apply to the point before checking for containment in the path. Defaults to the identity transform if not specified.
+   * @returns {boolean} -
    * @desc A point is contained in a path if it would be inside the painted region when the path is filled.
    * @see https://developer.apple.com/documentation/coregraphics/cgpath/2427117-contains
    */
-  containsUsing(point, rule, transform) {
-    return false
+  containsUsing(point, rule = CGPathFillRule.winding, transform = CGAffineTransform.identity) {
+    const p = _applyTransform(point, transform)
+    let winding = 0
+    let crossings = 0
+    for(const subpath of this._flatten(null)){
+      // every subpath is implicitly closed when it is filled.
+      const points = subpath.points
+      const len = points.length
+      for(let i=0; i<len; i++){
+        const p0 = points[i]
+        const p1 = points[(i + 1) % len]
+        if(p0.y <= p.y){
+          if(p1.y > p.y && (p1.x - p0.x) * (p.y - p0.y) - (p.x - p0.x) * (p1.y - p0.y) > 0){
+            winding += 1
+            crossings += 1
+          }
+        }else if(p1.y <= p.y && (p1.x - p0.x) * (p.y - p0.y) - (p.x - p0.x) * (p1.y - p0.y) < 0){
+          winding -= 1
+          crossings += 1
+        }
+      }
+    }
+    if(rule === CGPathFillRule.evenOdd){
+      return crossings % 2 === 1
+    }
+    return winding !== 0
   }
 
   /**
    * Indicates whether or not a graphics path represents a rectangle.
    * @access public
-   * @param {?UnsafeMutablePointer<CGRect>} rect - On input, a pointer to an uninitialized rectangle. If the specified path represents a rectangle, on return contains a copy of the rectangle. 
-   * @returns {boolean} - 
+   * @param {?CGRect} rect - If the specified path represents a rectangle, on return contains a copy of the rectangle.
+   * @returns {boolean} -
    * @see https://developer.apple.com/documentation/coregraphics/cgpath/1411163-isrect
    */
   isRect(rect) {
-    return false
+    const elements = this._elements.slice()
+    if(elements.length > 0 && elements[elements.length - 1].type === CGPathElementType.closeSubpath){
+      elements.pop()
+    }
+    if(elements.length < 4 || elements.length > 5 || elements[0].type !== CGPathElementType.moveToPoint){
+      return false
+    }
+    const points = []
+    for(let i=0; i<elements.length; i++){
+      if(i > 0 && elements[i].type !== CGPathElementType.addLineToPoint){
+        return false
+      }
+      points.push(elements[i].points[0])
+    }
+    if(points.length === 5){
+      if(!points[4].equalTo(points[0])){
+        return false
+      }
+      points.pop()
+    }
+
+    // the edges must be axis-aligned and alternate between horizontal and vertical.
+    const horizontal = []
+    for(let i=0; i<4; i++){
+      const p0 = points[i]
+      const p1 = points[(i + 1) % 4]
+      const dx = Math.abs(p1.x - p0.x)
+      const dy = Math.abs(p1.y - p0.y)
+      if(dx > 0 && dy > 0){
+        return false
+      }
+      horizontal.push(dy === 0)
+    }
+    if(horizontal[0] === horizontal[1] || horizontal[1] === horizontal[2] || horizontal[2] === horizontal[3]){
+      return false
+    }
+
+    if(rect){
+      const bounds = _boundsOfPoints(points)
+      rect.origin = bounds.origin
+      rect.size = bounds.size
+    }
+    return true
   }
+
   /**
    * Returns the bounding box containing all points in a graphics path.
    * @type {CGRect}
-   * @desc The bounding box is the smallest rectangle completely enclosing all points in the path, including control points for Bézier and quadratic curves. 
+   * @desc The bounding box is the smallest rectangle completely enclosing all points in the path, including control points for Bézier and quadratic curves.
    * @see https://developer.apple.com/documentation/coregraphics/cgpath/1411165-boundingbox
    */
   get boundingBox() {
-    return this._boundingBox
+    const points = []
+    for(const element of this._elements){
+      points.push(...element.points)
+    }
+    return _boundsOfPoints(points)
   }
+
   /**
    * Returns the bounding box of a graphics path.
    * @type {CGRect}
-   * @desc The path bounding box is the smallest rectangle completely enclosing all points in the path but not including control points for Bézier and quadratic curves. 
+   * @desc The path bounding box is the smallest rectangle completely enclosing all points in the path but not including control points for Bézier and quadratic curves.
    * @see https://developer.apple.com/documentation/coregraphics/cgpath/1411200-boundingboxofpath
    */
   get boundingBoxOfPath() {
-    return this._boundingBoxOfPath
+    const points = []
+    let current = null
+    let start = null
+    for(const element of this._elements){
+      switch(element.type){
+        case CGPathElementType.moveToPoint:
+          start = element.points[0]
+          current = start
+          points.push(current)
+          break
+        case CGPathElementType.addLineToPoint:
+          current = element.points[0]
+          points.push(current)
+          break
+        case CGPathElementType.addQuadCurveToPoint:
+        case CGPathElementType.addCurveToPoint: {
+          const curve = [current, ...element.points]
+          const ts = _bezierExtrema(curve.map((p) => p.x)).concat(_bezierExtrema(curve.map((p) => p.y)))
+          for(const t of ts){
+            points.push(_bezierPoint(curve, t))
+          }
+          current = element.points[element.points.length - 1]
+          points.push(current)
+          break
+        }
+        case CGPathElementType.closeSubpath:
+          current = start
+          break
+      }
+    }
+    return _boundsOfPoints(points)
   }
+
   /**
    * Returns the current point in a graphics path.
    * @type {CGPoint}
@@ -204,8 +614,16 @@ export default class CGPath {
    * @see https://developer.apple.com/documentation/coregraphics/cgpath/1411132-currentpoint
    */
   get currentPoint() {
-    return this._currentPoint
+    const last = this._elements[this._elements.length - 1]
+    if(typeof last === 'undefined'){
+      return CGPoint.zero
+    }
+    if(last.type === CGPathElementType.closeSubpath){
+      return this._subpathStart.copy()
+    }
+    return last.points[last.points.length - 1].copy()
   }
+
   /**
    * Indicates whether or not a graphics path is empty.
    * @type {boolean}
@@ -213,7 +631,7 @@ export default class CGPath {
    * @see https://developer.apple.com/documentation/coregraphics/cgpath/1411149-isempty
    */
   get isEmpty() {
-    return this._isEmpty
+    return this._elements.length === 0
   }
 
   // Applying a Function to the Elements of a Path
@@ -221,20 +639,23 @@ export default class CGPath {
   /**
    * For each element in a graphics path, calls a custom applier function.
    * @access public
-   * @param {?Object} info - A pointer to the user data that Core Graphics will pass to the function being applied, or NULL.
-   * @param {CGPathApplierFunction} _function - 
+   * @param {?Object} info - The user data that Core Graphics will pass to the function being applied, or null.
+   * @param {CGPathApplierFunction} _function -
    * @returns {void}
    * @desc For each element in the specified path, Core Graphics calls the applier function, which can examine (but not modify) the element.
    * @see https://developer.apple.com/documentation/coregraphics/cgpath/1411203-apply
    */
   apply(info, _function) {
+    for(const element of this._elements){
+      _function(info, element.copy())
+    }
   }
 
   // Working with Core Foundation Types
   /**
    * Returns the Core Foundation type identifier for Core Graphics graphics paths.
    * @type {CFTypeID}
-   * @desc 
+   * @desc
    * @see https://developer.apple.com/documentation/coregraphics/cgpath/1411192-typeid
    */
   static get typeID() {
@@ -247,44 +668,306 @@ export default class CGPath {
    * Creates a dashed copy of another path.
    * @access public
    * @param {CGPath} path - The path to copy.
-   * @param {?UnsafePointer<CGAffineTransform>} transform - A pointer to an affine transformation matrix, or NULL if no transformation is needed. If specified, Core Graphics applies the transformation to elements of the converted path before adding them to the new path.
+   * @param {?CGAffineTransform} transform - An affine transformation matrix, or null if no transformation is needed. If specified, Core Graphics applies the transformation to elements of the converted path before adding them to the new path.
    * @param {number} phase - A value that specifies how far into the dash pattern the line starts, in units of the user space. For example, passing a value of 3 means the line is drawn with the dash pattern starting at three units from its beginning. Passing a value of 0 draws a line starting with the beginning of a dash pattern.
-   * @param {?UnsafePointer<CGFloat>} lengths - An array of values that specify the lengths of the painted segments and unpainted segments, respectively, of the dash pattern—or NULL for no dash pattern.For example, passing an array with the values [2,3] sets a dash pattern that alternates between a 2-user-space-unit-long painted segment and a 3-user-space-unit-long unpainted segment. Passing the values [1,3,4,2] sets the pattern to a 1-unit painted segment, a 3-unit unpainted segment, a 4-unit painted segment, and a 2-unit unpainted segment.
+   * @param {?number[]} lengths - An array of values that specify the lengths of the painted segments and unpainted segments, respectively, of the dash pattern—or null for no dash pattern.For example, passing an array with the values [2,3] sets a dash pattern that alternates between a 2-user-space-unit-long painted segment and a 3-user-space-unit-long unpainted segment. Passing the values [1,3,4,2] sets the pattern to a 1-unit painted segment, a 3-unit unpainted segment, a 4-unit painted segment, and a 2-unit unpainted segment.
    * @param {number} count - If the lengths parameter specifies an array, pass the number of elements in the array. Otherwise, pass 0.
    * @returns {void}
    * @desc The new path is created so that filling the new path draws the same pixels as stroking the original path with the specified dash parameters.
    * @see https://developer.apple.com/documentation/coregraphics/cgpath/1411134-init
    */
   init__byDashing(path, transform, phase, lengths, count) {
-
-    // Examining a Graphics Path
-
-    this._boundingBox = null
-    this._boundingBoxOfPath = null
-    this._currentPoint = null
-    this._isEmpty = false
+    const dashed = path.copyDashingWithPhase(phase, lengths ? lengths.slice(0, count) : [], transform)
+    this._elements = dashed._elements
+    this._subpathStart = dashed._subpathStart
   }
 
   /**
    * Creates a stroked copy of another path.
    * @access public
    * @param {CGPath} path - The path to copy.
-   * @param {?UnsafePointer<CGAffineTransform>} transform - A pointer to an affine transformation matrix, or NULL if no transformation is needed. If specified, Core Graphics applies the transformation to elements of the converted path before adding them to the new path.
+   * @param {?CGAffineTransform} transform - An affine transformation matrix, or null if no transformation is needed. If specified, Core Graphics applies the transformation to elements of the converted path before adding them to the new path.
    * @param {number} lineWidth - The line width to use, in user space units. The value must be greater than 0.
-   * @param {CGLineCap} lineCap - A line cap style constant—butt (the default), round, or square. 
-   * @param {CGLineJoin} lineJoin - A line join value—miter (the default), round, or bevel. 
+   * @param {CGLineCap} lineCap - A line cap style constant—butt (the default), round, or square.
+   * @param {CGLineJoin} lineJoin - A line join value—miter (the default), round, or bevel.
    * @param {number} miterLimit - The miter limit to use.
    * @returns {void}
-   * @desc The new path is created so that filling the new path draws the same pixels as stroking the original path.If the line join style is set to kCGLineJoinMiter, Core Graphics uses the miter limit to determine whether the lines should be joined with a bevel instead of a miter. Core Graphics divides the length of the miter by the line width. If the result is greater than the miter limit, Core Graphics converts the style to a bevel. 
+   * @desc The new path is created so that filling the new path draws the same pixels as stroking the original path.If the line join style is set to kCGLineJoinMiter, Core Graphics uses the miter limit to determine whether the lines should be joined with a bevel instead of a miter. Core Graphics divides the length of the miter by the line width. If the result is greater than the miter limit, Core Graphics converts the style to a bevel.
    * @see https://developer.apple.com/documentation/coregraphics/cgpath/1411128-init
    */
   init__byStroking(path, transform, lineWidth, lineCap, lineJoin, miterLimit) {
+    const stroked = path.copyStrokingWithWidth(lineWidth, lineCap, lineJoin, miterLimit, transform)
+    this._elements = stroked._elements
+    this._subpathStart = stroked._subpathStart
+  }
+
+  // Constructing a Graphics Path
 
-    // Examining a Graphics Path
+  /**
+   * @access private
+   * @param {CGPathElementType} type -
+   * @param {CGPoint[]} points -
+   * @returns {void}
+   */
+  _addElement(type, points) {
+    this._elements.push(new CGPathElement(type, points))
+  }
 
-    this._boundingBox = null
-    this._boundingBoxOfPath = null
-    this._currentPoint = null
-    this._isEmpty = false
+  /**
+   * @access private
+   * @returns {boolean} - true if a new subpath has to be started before adding a segment.
+   */
+  _needsMove() {
+    const last = this._elements[this._elements.length - 1]
+    return typeof last === 'undefined'
+  }
+
+  /**
+   * @access private
+   * @param {CGPoint} point -
+   * @param {?CGAffineTransform} [transform = null] -
+   * @returns {void}
+   */
+  _moveTo(point, transform = null) {
+    const p = _applyTransform(point, transform)
+    this._addElement(CGPathElementType.moveToPoint, [p])
+    this._subpathStart = p
+  }
+
+  /**
+   * @access private
+   * @returns {void}
+   */
+  _beginSegment() {
+    if(this._needsMove()){
+      throw new Error('CGPath: no current point')
+    }
+    // a segment after closeSubpath implicitly starts a new subpath at the previous start point.
+    if(this._elements[this._elements.length - 1].type === CGPathElementType.closeSubpath){
+      this._addElement(CGPathElementType.moveToPoint, [this._subpathStart.copy()])
+    }
+  }
+
+  /**
+   * @access private
+   * @param {CGPoint} point -
+   * @param {?CGAffineTransform} [transform = null] -
+   * @returns {void}
+   */
+  _addLineTo(point, transform = null) {
+    this._beginSegment()
+    this._addElement(CGPathElementType.addLineToPoint, [_applyTransform(point, transform)])
+  }
+
+  /**
+   * @access private
+   * @param {CGPoint} end -
+   * @param {CGPoint} control -
+   * @param {?CGAffineTransform} [transform = null] -
+   * @returns {void}
+   */
+  _addQuadCurveTo(end, control, transform = null) {
+    this._beginSegment()
+    this._addElement(CGPathElementType.addQuadCurveToPoint, [
+      _applyTransform(control, transform),
+      _applyTransform(end, transform)
+    ])
+  }
+
+  /**
+   * @access private
+   * @param {CGPoint} end -
+   * @param {CGPoint} control1 -
+   * @param {CGPoint} control2 -
+   * @param {?CGAffineTransform} [transform = null] -
+   * @returns {void}
+   */
+  _addCurveTo(end, control1, control2, transform = null) {
+    this._beginSegment()
+    this._addElement(CGPathElementType.addCurveToPoint, [
+      _applyTransform(control1, transform),
+      _applyTransform(control2, transform),
+      _applyTransform(end, transform)
+    ])
+  }
+
+  /**
+   * @access private
+   * @returns {void}
+   */
+  _closeSubpath() {
+    const last = this._elements[this._elements.length - 1]
+    if(typeof last === 'undefined' || last.type === CGPathElementType.closeSubpath){
+      return
+    }
+    this._addElement(CGPathElementType.closeSubpath, [])
+  }
+
+  /**
+   * @access private
+   * @param {CGRect} rect -
+   * @param {?CGAffineTransform} [transform = null] -
+   * @returns {void}
+   */
+  _addRect(rect, transform = null) {
+    this._moveTo(new CGPoint(rect.minX, rect.minY), transform)
+    this._addLineTo(new CGPoint(rect.maxX, rect.minY), transform)
+    this._addLineTo(new CGPoint(rect.maxX, rect.maxY), transform)
+    this._addLineTo(new CGPoint(rect.minX, rect.maxY), transform)
+    this._closeSubpath()
+  }
+
+  /**
+   * @access private
+   * @param {CGRect} rect -
+   * @param {?CGAffineTransform} [transform = null] -
+   * @returns {void}
+   */
+  _addEllipseIn(rect, transform = null) {
+    const rx = rect.width * 0.5
+    const ry = rect.height * 0.5
+    const cx = rect.minX + rx
+    const cy = rect.minY + ry
+    const kx = rx * _kappa
+    const ky = ry * _kappa
+    const p = (x, y) => new CGPoint(x, y)
+    this._moveTo(p(cx + rx, cy), transform)
+    this._addCurveTo(p(cx, cy + ry), p(cx + rx, cy + ky), p(cx + kx, cy + ry), transform)
+    this._addCurveTo(p(cx - rx, cy), p(cx - kx, cy + ry), p(cx - rx, cy + ky), transform)
+    this._addCurveTo(p(cx, cy - ry), p(cx - rx, cy - ky), p(cx - kx, cy - ry), transform)
+    this._addCurveTo(p(cx + rx, cy), p(cx + kx, cy - ry), p(cx + rx, cy - ky), transform)
+    this._closeSubpath()
+  }
+
+  /**
+   * @access private
+   * @param {CGRect} rect -
+   * @param {number} cornerWidth -
+   * @param {number} cornerHeight -
+   * @param {?CGAffineTransform} [transform = null] -
+   * @returns {void}
+   */
+  _addRoundedRect(rect, cornerWidth, cornerHeight, transform = null) {
+    const cw = Math.min(Math.max(cornerWidth, 0), rect.width * 0.5)
+    const ch = Math.min(Math.max(cornerHeight, 0), rect.height * 0.5)
+    if(cw === 0 || ch === 0){
+      this._addRect(rect, transform)
+      return
+    }
+    const minX = rect.minX
+    const minY = rect.minY
+    const maxX = rect.maxX
+    const maxY = rect.maxY
+    const kx = cw * (1 - _kappa)
+    const ky = ch * (1 - _kappa)
+    const p = (x, y) => new CGPoint(x, y)
+    this._moveTo(p(minX + cw, minY), transform)
+    this._addLineTo(p(maxX - cw, minY), transform)
+    this._addCurveTo(p(maxX, minY + ch), p(maxX - kx, minY), p(maxX, minY + ky), transform)
+    this._addLineTo(p(maxX, maxY - ch), transform)
+    this._addCurveTo(p(maxX - cw, maxY), p(maxX, maxY - ky), p(maxX - kx, maxY), transform)
+    this._addLineTo(p(minX + cw, maxY), transform)
+    this._addCurveTo(p(minX, maxY - ch), p(minX + kx, maxY), p(minX, maxY - ky), transform)
+    this._addLineTo(p(minX, minY + ch), transform)
+    this._addCurveTo(p(minX + cw, minY), p(minX, minY + ky), p(minX + kx, minY), transform)
+    this._closeSubpath()
+  }
+
+  /**
+   * @access private
+   * @param {CGPoint} center -
+   * @param {number} radius -
+   * @param {number} startAngle -
+   * @param {number} delta - positive for a counterclockwise arc.
+   * @param {?CGAffineTransform} [transform = null] -
+   * @returns {void}
+   */
+  _addRelativeArc(center, radius, startAngle, delta, transform = null) {
+    const pointAt = (angle) => new CGPoint(
+      center.x + radius * Math.cos(angle),
+      center.y + radius * Math.sin(angle)
+    )
+    const start = pointAt(startAngle)
+    if(this._needsMove()){
+      this._moveTo(start, transform)
+    }else{
+      this._addLineTo(start, transform)
+    }
+    if(delta === 0 || radius === 0){
+      return
+    }
+
+    // each segment spans a quarter circle at most.
+    const count = Math.ceil(Math.abs(delta) / (Math.PI * 0.5) - 1e-9)
+    const step = delta / count
+    const k = 4.0 / 3.0 * Math.tan(step * 0.25) * radius
+    let angle = startAngle
+    for(let i=0; i<count; i++){
+      const next = angle + step
+      const p0 = pointAt(angle)
+      const p1 = pointAt(next)
+      const c1 = new CGPoint(p0.x - k * Math.sin(angle), p0.y + k * Math.cos(angle))
+      const c2 = new CGPoint(p1.x + k * Math.sin(next), p1.y - k * Math.cos(next))
+      this._addCurveTo(p1, c1, c2, transform)
+      angle = next
+    }
+  }
+
+  /**
+   * @access private
+   * @param {CGPath} path -
+   * @param {?CGAffineTransform} [transform = null] -
+   * @returns {void}
+   */
+  _addPath(path, transform = null) {
+    for(const element of path._elements){
+      const points = element.points.map((p) => _applyTransform(p, transform))
+      this._addElement(element.type, points)
+      if(element.type === CGPathElementType.moveToPoint){
+        this._subpathStart = points[0]
+      }
+    }
+  }
+
+  /**
+   * Approximates the path with polylines.
+   * @access private
+   * @param {?CGAffineTransform} [transform = null] -
+   * @param {number} [flatness = 0] - the maximum distance between a curve and its polyline. 0 uses a fixed number of segments.
+   * @returns {Array<{points: CGPoint[], closed: boolean}>} -
+   */
+  _flatten(transform = null, flatness = 0) {
+    const subpaths = []
+    let subpath = null
+    let current = null
+    for(const element of this._elements){
+      const points = element.points.map((p) => _applyTransform(p, transform))
+      switch(element.type){
+        case CGPathElementType.moveToPoint:
+          subpath = { points: [points[0]], closed: false }
+          subpaths.push(subpath)
+          current = points[0]
+          break
+        case CGPathElementType.addLineToPoint:
+          subpath.points.push(points[0])
+          current = points[0]
+          break
+        case CGPathElementType.addQuadCurveToPoint:
+        case CGPathElementType.addCurveToPoint: {
+          const curve = [current, ...points]
+          const count = flatness > 0 ? _segmentCountForFlatness(curve, flatness) : _curveSegments
+          for(let i=1; i<=count; i++){
+            subpath.points.push(_bezierPoint(curve, i / count))
+          }
+          current = points[points.length - 1]
+          break
+        }
+        case CGPathElementType.closeSubpath:
+          subpath.closed = true
+          current = subpath.points[0]
+          break
+      }
+    }
+    return subpaths
   }
 }
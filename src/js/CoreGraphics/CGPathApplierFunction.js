@@ -3,7 +3,9 @@
 
 /**
  * Defines a callback function that can view an element in a graphics path.
- * @type {function(): void}
+ * @type {function(info: ?Object, element: CGPathElement): void}
+ * @param {?Object} info - The user data passed to the apply function.
+ * @param {CGPathElement} element - The path element to examine.
  * @returns {void}
  * @see https://developer.apple.com/documentation/coregraphics/cgpathapplierfunction
  */
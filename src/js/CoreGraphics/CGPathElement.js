@@ -0,0 +1,42 @@
+'use strict'
+
+import CGPathElementType from './CGPathElementType'
+
+/**
+ * A data structure that provides information about a path element.
+ * @access public
+ * @see https://developer.apple.com/documentation/coregraphics/cgpathelement
+ */
+export default class CGPathElement {
+  /**
+   * constructor
+   * @access public
+   * @constructor
+   * @param {CGPathElementType} type - An element type (or operation).
+   * @param {CGPoint[]} points - An array of one or more points that serve as arguments.
+   * @see https://developer.apple.com/documentation/coregraphics/cgpathelement/1454791-init
+   */
+  constructor(type = CGPathElementType.moveToPoint, points = []) {
+    /**
+     * An element type (or operation).
+     * @type {CGPathElementType}
+     * @see https://developer.apple.com/documentation/coregraphics/cgpathelement/1454828-type
+     */
+    this.type = type
+
+    /**
+     * An array of one or more points that serve as arguments.
+     * @type {CGPoint[]}
+     * @see https://developer.apple.com/documentation/coregraphics/cgpathelement/1455457-points
+     */
+    this.points = points
+  }
+
+  /**
+   * @access public
+   * @returns {CGPathElement} -
+   */
+  copy() {
+    return new CGPathElement(this.type, this.points.map((p) => p.copy()))
+  }
+}
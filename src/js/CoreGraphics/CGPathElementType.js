@@ -0,0 +1,22 @@
+'use strict'
+
+
+/**
+ * The type of element found in a path.
+ * @typedef {Object} CGPathElementType
+ * @property {number} moveToPoint - The path element that starts a new subpath. The element holds a single point for the destination.
+ * @property {number} addLineToPoint - The path element that adds a line from the current point to the specified point. The element holds a single point for the destination.
+ * @property {number} addQuadCurveToPoint - The path element that adds a quadratic curve from the current point to the specified point. The element holds a control point and a destination point.
+ * @property {number} addCurveToPoint - The path element that adds a cubic curve from the current point to the specified point. The element holds two control points and a destination point.
+ * @property {number} closeSubpath - The path element that closes and completes a subpath. The element does not contain any points.
+ * @see https://developer.apple.com/documentation/coregraphics/cgpathelementtype
+ */
+const CGPathElementType = {
+  moveToPoint: 0,
+  addLineToPoint: 1,
+  addQuadCurveToPoint: 2,
+  addCurveToPoint: 3,
+  closeSubpath: 4
+}
+
+export default CGPathElementType
@@ -46,7 +46,10 @@ export default class CGPoint {
    * @see https://developer.apple.com/documentation/coregraphics/cgpoint/1454251-applying
    */
   applying(t) {
-    return null
+    return new CGPoint(
+      t.a * this.x + t.c * this.y + t.tx,
+      t.b * this.x + t.d * this.y + t.ty
+    )
   }
 
   // Alternate Representations
@@ -23,7 +23,7 @@ export default class CGRect {
 
     // Basic Geometric Properties
     this.origin = origin.copy()
-    this.size = size.copy()
+    this.size = size ? size.copy() : null
   }
 
   // Special Values
@@ -149,7 +149,20 @@ export default class CGRect {
    * @see https://developer.apple.com/documentation/coregraphics/cgrect/1455875-applying
    */
   applying(t) {
-    return null
+    if(this.isNull){
+      return this.copy()
+    }
+    const points = [
+      new CGPoint(this.minX, this.minY),
+      new CGPoint(this.maxX, this.minY),
+      new CGPoint(this.minX, this.maxY),
+      new CGPoint(this.maxX, this.maxY)
+    ].map((p) => p.applying(t))
+    const xs = points.map((p) => p.x)
+    const ys = points.map((p) => p.y)
+    const minX = Math.min(...xs)
+    const minY = Math.min(...ys)
+    return new CGRect(new CGPoint(minX, minY), new CGSize(Math.max(...xs) - minX, Math.max(...ys) - minY))
   }
 
   /**
@@ -1,5 +1,7 @@
 'use strict'
 
+import NSValue from '../Foundation/NSValue'
+
 /**
  * A structure that contains width and height values.
  * @access public
@@ -156,4 +158,22 @@ export default class CGSize {
   copy() {
     return new CGSize(this.width, this.height)
   }
+
+  /**
+   * CGSize is archived in an NSValue object.
+   * @access private
+   * @type {Object}
+   */
+  get classForKeyedArchiver() {
+    return NSValue
+  }
+
+  /**
+   * @access private
+   * @param {NSCoder} coder -
+   * @returns {void}
+   */
+  encodeWithCoder(coder) {
+    coder.encodeObjectForKey(`{${this.width}, ${this.height}}`, 'NS.sizeval')
+  }
 }
@@ -193,6 +193,39 @@ export default class NSCoder extends NSObject {
   encodeCIntForKey(intv, key) {
   }
 
+  /**
+   * Encodes point and associates it with the string key.
+   * @access public
+   * @param {CGPoint} point - 
+   * @param {string} key - 
+   * @returns {void}
+   * @desc Subclasses must override this method if they perform keyed coding.
+   */
+  encodePointForKey(point, key) {
+  }
+
+  /**
+   * Encodes rect and associates it with the string key.
+   * @access public
+   * @param {CGRect} rect - 
+   * @param {string} key - 
+   * @returns {void}
+   * @desc Subclasses must override this method if they perform keyed coding.
+   */
+  encodeRectForKey(rect, key) {
+  }
+
+  /**
+   * Encodes size and associates it with the string key.
+   * @access public
+   * @param {CGSize} size - 
+   * @param {string} key - 
+   * @returns {void}
+   * @desc Subclasses must override this method if they perform keyed coding.
+   */
+  encodeSizeForKey(size, key) {
+  }
+
   /**
    * Encodes the property list aPropertyList.
    * @access public
@@ -1,9 +1,25 @@
 'use strict'
 
 import NSCoder from './NSCoder'
+import NSArray from './NSArray'
+import NSDictionary from './NSDictionary'
+import _FileWriter from '../util/_FileWriter'
 //import NSMutableData from './NSMutableData'
 //import NSKeyedArchiverDelegate from '../undefined/NSKeyedArchiverDelegate'
 
+/*global Buffer*/
+
+const _classNameForClass = new Map()
+
+class _UID {
+  constructor(value) {
+    this._value = value
+  }
+  get value() {
+    return this._value
+  }
+}
+
 
 /**
  * NSKeyedArchiver, a concrete subclass of NSCoder, provides a way to encode objects (and scalar values) into an architecture-independent format that can be stored in a file. When you archive a set of objects, the class information and instance variables for each object are written to the archive. NSKeyedArchiver’s companion class, NSKeyedUnarchiver, decodes the data in an archive and creates a set of objects equivalent to the original set.
@@ -37,7 +53,7 @@ export default class NSKeyedArchiver extends NSCoder {
      * @type {boolean}
      * @see https://developer.apple.com/documentation/foundation/nskeyedarchiver/1417084-requiressecurecoding
      */
-    this.requiresSecureCoding = false
+    this._requiresSecureCoding = false
 
 
     // Managing the Delegate
@@ -53,6 +69,56 @@ export default class NSKeyedArchiver extends NSCoder {
     // Instance Properties
 
     this._encodedData = null
+
+    /**
+     * @access private
+     * @type {Object[]}
+     */
+    this._objects = ['$null']
+
+    /**
+     * @access private
+     * @type {Map<Object, number>}
+     */
+    this._objectIndices = new Map()
+
+    /**
+     * @access private
+     * @type {Map<string, number>}
+     */
+    this._classIndices = new Map()
+
+    /**
+     * @access private
+     * @type {Object[]}
+     */
+    this._conditionalObjects = []
+
+    /**
+     * @access private
+     * @type {Object}
+     */
+    this._top = {}
+
+    /**
+     * the dictionary of the object which is being encoded.
+     * @access private
+     * @type {Object}
+     */
+    this._refObj = this._top
+
+    /**
+     * @access private
+     * @type {boolean}
+     */
+    this._encodingFinished = false
+
+    /**
+     * a function which returns the URL of an image written in the archive.
+     * @access private
+     * @type {?function(image: ?Image, originalImageURL: string): string}
+     */
+    this._imageURLTranslator = null
   }
 
   // Initializing an NSKeyedArchiver Object
@@ -84,7 +150,10 @@ export default class NSKeyedArchiver extends NSCoder {
    * @see https://developer.apple.com/documentation/foundation/nskeyedarchiver/1413189-archiveddata
    */
   static archivedDataWithRootObject(rootObject) {
-    return null
+    const archiver = new NSKeyedArchiver()
+    archiver.encodeObjectForKey(rootObject, 'root')
+    archiver.finishEncoding()
+    return archiver.encodedData
   }
 
   /**
@@ -97,7 +166,8 @@ export default class NSKeyedArchiver extends NSCoder {
    * @see https://developer.apple.com/documentation/foundation/nskeyedarchiver/1410621-archiverootobject
    */
   static archiveRootObjectToFile(rootObject, path) {
-    return false
+    const data = NSKeyedArchiver.archivedDataWithRootObject(rootObject)
+    return _FileWriter.writeFile(path, data)
   }
 
   /**
@@ -108,6 +178,22 @@ export default class NSKeyedArchiver extends NSCoder {
    * @see https://developer.apple.com/documentation/foundation/nskeyedarchiver/1413904-finishencoding
    */
   finishEncoding() {
+    if(this._encodingFinished){
+      return
+    }
+    for(const conditional of this._conditionalObjects){
+      const index = this._objectIndices.get(conditional.obj)
+      conditional.dict[conditional.key] = new _UID(typeof index === 'undefined' ? 0 : index)
+    }
+    this._conditionalObjects = []
+    this._encodingFinished = true
+
+    this._encodedData = this._createBPlist({
+      $version: 100000,
+      $archiver: 'NSKeyedArchiver',
+      $top: this._top,
+      $objects: this._objects
+    })
   }
 
   // Encoding Data and Objects
@@ -121,6 +207,135 @@ export default class NSKeyedArchiver extends NSCoder {
    * @see https://developer.apple.com/documentation/foundation/nskeyedarchiver/1416972-encode
    */
   encodeForKey(realv, key) {
+    if(typeof realv === 'number'){
+      this.encodeDoubleForKey(realv, key)
+    }else if(typeof realv === 'boolean'){
+      this.encodeBoolForKey(realv, key)
+    }else{
+      this.encodeObjectForKey(realv, key)
+    }
+  }
+
+  /**
+   * Encodes a given Boolean value and associates it with a given key.
+   * @access public
+   * @param {boolean} boolv - The value to encode.
+   * @param {string} key - The key with which to associate boolv. This value must not be nil.
+   * @returns {void}
+   * @see https://developer.apple.com/documentation/foundation/nskeyedarchiver/1413322-encode
+   */
+  encodeBoolForKey(boolv, key) {
+    this._setValueForKey(Boolean(boolv), key)
+  }
+
+  /**
+   * Encodes a given double value and associates it with a given key.
+   * @access public
+   * @param {number} realv - The value to encode.
+   * @param {string} key - The key with which to associate realv. This value must not be nil.
+   * @returns {void}
+   * @see https://developer.apple.com/documentation/foundation/nskeyedarchiver/1408990-encode
+   */
+  encodeDoubleForKey(realv, key) {
+    this._setValueForKey(realv, key)
+  }
+
+  /**
+   * Encodes a given float value and associates it with a given key.
+   * @access public
+   * @param {number} realv - The value to encode.
+   * @param {string} key - The key with which to associate realv. This value must not be nil.
+   * @returns {void}
+   * @see https://developer.apple.com/documentation/foundation/nskeyedarchiver/1416972-encode
+   */
+  encodeFloatForKey(realv, key) {
+    this._setValueForKey(realv, key)
+  }
+
+  /**
+   * Encodes intv and associates it with the string key.
+   * @access public
+   * @param {number} intv - The value to encode.
+   * @param {string} key - The key with which to associate intv. This value must not be nil.
+   * @returns {void}
+   * @see https://developer.apple.com/documentation/foundation/nscoder/1413906-encodecint
+   */
+  encodeCIntForKey(intv, key) {
+    this._setValueForKey(intv, key)
+  }
+
+  /**
+   * Encodes a 32-bit integer value and associates it with a given key.
+   * @access public
+   * @param {number} intv - The value to encode.
+   * @param {string} key - The key with which to associate intv. This value must not be nil.
+   * @returns {void}
+   * @see https://developer.apple.com/documentation/foundation/nskeyedarchiver/1408613-encode
+   */
+  encodeInt32ForKey(intv, key) {
+    this._setValueForKey(intv, key)
+  }
+
+  /**
+   * Encodes a 64-bit integer value and associates it with a given key.
+   * @access public
+   * @param {number} intv - The value to encode.
+   * @param {string} key - The key with which to associate intv. This value must not be nil.
+   * @returns {void}
+   * @see https://developer.apple.com/documentation/foundation/nskeyedarchiver/1410974-encode
+   */
+  encodeInt64ForKey(intv, key) {
+    this._setValueForKey(intv, key)
+  }
+
+  /**
+   * Encodes a given object and associates it with a given key.
+   * @access public
+   * @param {?Object} objv - The value to encode. This value may be nil.
+   * @param {string} key - The key with which to associate objv. This value must not be nil.
+   * @returns {void}
+   * @see https://developer.apple.com/documentation/foundation/nskeyedarchiver/1413060-encode
+   */
+  encodeObjectForKey(objv, key) {
+    const refObj = this._refObj
+    const uid = this._encodeObject(objv)
+    this._checkFinished(key)
+    refObj[key] = uid
+  }
+
+  /**
+   * Encodes a given point as a string like "{x, y}" and associates it with a given key.
+   * @access public
+   * @param {CGPoint} point - The value to encode.
+   * @param {string} key - The key with which to associate point. This value must not be nil.
+   * @returns {void}
+   */
+  encodePointForKey(point, key) {
+    this.encodeObjectForKey(`{${point.x}, ${point.y}}`, key)
+  }
+
+  /**
+   * Encodes a given rectangle as a string like "{{x, y}, {width, height}}" and associates it with a given key.
+   * @access public
+   * @param {CGRect} rect - The value to encode.
+   * @param {string} key - The key with which to associate rect. This value must not be nil.
+   * @returns {void}
+   */
+  encodeRectForKey(rect, key) {
+    const origin = rect.origin
+    const size = rect.size
+    this.encodeObjectForKey(`{{${origin.x}, ${origin.y}}, {${size.width}, ${size.height}}}`, key)
+  }
+
+  /**
+   * Encodes a given size as a string like "{width, height}" and associates it with a given key.
+   * @access public
+   * @param {CGSize} size - The value to encode.
+   * @param {string} key - The key with which to associate size. This value must not be nil.
+   * @returns {void}
+   */
+  encodeSizeForKey(size, key) {
+    this.encodeObjectForKey(`{${size.width}, ${size.height}}`, key)
   }
 
   /**
@@ -133,6 +348,7 @@ export default class NSKeyedArchiver extends NSCoder {
    * @see https://developer.apple.com/documentation/foundation/nskeyedarchiver/1417696-encodebytes
    */
   encodeBytesLengthForKey(bytesp, lenv, key) {
+    this._setValueForKey(Buffer.from(bytesp).slice(0, lenv), key)
   }
 
   /**
@@ -144,6 +360,276 @@ export default class NSKeyedArchiver extends NSCoder {
    * @see https://developer.apple.com/documentation/foundation/nskeyedarchiver/1413677-encodeconditionalobject
    */
   encodeConditionalObjectForKey(objv, key) {
+    this._checkFinished(key)
+    if(objv === null || typeof objv === 'undefined'){
+      this._refObj[key] = new _UID(0)
+      return
+    }
+    // the reference is resolved in finishEncoding()
+    this._conditionalObjects.push({ dict: this._refObj, key: key, obj: objv })
+  }
+
+  /**
+   * Encodes the value as a nested archive which is decoded by decodePropertyListForKey.
+   * @access private
+   * @param {Object} value -
+   * @param {string} key -
+   * @returns {void}
+   */
+  _encodePropertyListForKey(value, key) {
+    const data = NSKeyedArchiver.archivedDataWithRootObject(value)
+    this.encodeObjectForKey(data, key)
+  }
+
+  /**
+   * @access private
+   * @param {string} key -
+   * @returns {void}
+   */
+  _checkFinished(key) {
+    if(this._encodingFinished){
+      throw new Error(`can't encode '${key}' after finishEncoding() is called`)
+    }
+  }
+
+  /**
+   * @access private
+   * @param {number|boolean|Buffer} value -
+   * @param {string} key -
+   * @returns {void}
+   */
+  _setValueForKey(value, key) {
+    this._checkFinished(key)
+    this._refObj[key] = value
+  }
+
+  /**
+   * Adds the object to $objects if it is not archived yet.
+   * @access private
+   * @param {?Object} obj -
+   * @returns {_UID} - the reference to the object.
+   */
+  _encodeObject(obj) {
+    if(obj === null || typeof obj === 'undefined'){
+      return new _UID(0)
+    }
+    if(this._objectIndices.has(obj)){
+      return new _UID(this._objectIndices.get(obj))
+    }
+    const index = this._objects.length
+    const type = typeof obj
+    if(type === 'string' || type === 'number' || type === 'boolean' || obj instanceof Buffer){
+      this._objects.push(obj)
+      this._objectIndices.set(obj, index)
+      return new _UID(index)
+    }
+
+    // register the object before encoding its properties for reference loops.
+    const dict = {}
+    this._objects.push(dict)
+    this._objectIndices.set(obj, index)
+
+    if(Array.isArray(obj)){
+      dict['NS.objects'] = obj.map((o) => this._encodeObject(o))
+      dict.$class = this._encodeClass(NSArray)
+    }else if(Object.getPrototypeOf(obj) === Object.prototype || Object.getPrototypeOf(obj) === null){
+      const keys = Object.keys(obj)
+      dict['NS.keys'] = keys.map((k) => this._encodeObject(k))
+      dict['NS.objects'] = keys.map((k) => this._encodeObject(obj[k]))
+      dict.$class = this._encodeClass(NSDictionary)
+    }else{
+      const classObj = obj.classForKeyedArchiver || obj.constructor
+      if(typeof obj.encodeWithCoder !== 'function'){
+        throw new Error(`${obj.constructor.name} can't be archived`)
+      }
+      dict.$class = this._encodeClass(classObj)
+
+      const refObj = this._refObj
+      this._refObj = dict
+      obj.encodeWithCoder(this)
+      this._refObj = refObj
+    }
+    return new _UID(index)
+  }
+
+  /**
+   * @access private
+   * @param {Object} classObj -
+   * @returns {_UID} - the reference to the class information.
+   */
+  _encodeClass(classObj) {
+    const className = NSKeyedArchiver.classNameFor(classObj) || classObj.className
+    if(typeof className !== 'string'){
+      throw new Error(`class name is not registered: ${classObj.name}`)
+    }
+    if(!this._classIndices.has(className)){
+      const classes = [className]
+      let superClass = typeof classObj.superclass === 'function' ? classObj.superclass() : null
+      while(superClass !== null && typeof superClass.className === 'string'){
+        classes.push(superClass.className)
+        superClass = superClass.superclass()
+      }
+      this._classIndices.set(className, this._objects.length)
+      this._objects.push({ $classname: className, $classes: classes })
+    }
+    return new _UID(this._classIndices.get(className))
+  }
+
+  /**
+   * Serializes the object in the binary property list format.
+   * @access private
+   * @param {Object} root -
+   * @returns {Buffer} -
+   */
+  _createBPlist(root) {
+    // flatten the objects
+    const table = []
+    const scalarIndices = new Map()
+    const flatten = (value) => {
+      let scalarKey = null
+      if(value instanceof _UID){
+        scalarKey = `uid:${value.value}`
+      }else if(typeof value !== 'object'){
+        scalarKey = `${typeof value}:${value}`
+      }
+      if(scalarKey !== null){
+        if(!scalarIndices.has(scalarKey)){
+          scalarIndices.set(scalarKey, table.length)
+          table.push({ value: value })
+        }
+        return scalarIndices.get(scalarKey)
+      }
+
+      const index = table.length
+      const entry = { value: value }
+      table.push(entry)
+      if(Array.isArray(value)){
+        entry.refs = value.map(flatten)
+      }else if(!(value instanceof Buffer)){
+        const keys = Object.keys(value).filter((k) => value[k] !== null && typeof value[k] !== 'undefined')
+        entry.keyRefs = keys.map(flatten)
+        entry.refs = keys.map((k) => flatten(value[k]))
+      }
+      return index
+    }
+    flatten(root)
+
+    const refSize = NSKeyedArchiver._byteSizeOf(table.length - 1)
+    const writeRefs = (refs) => {
+      const data = Buffer.alloc(refs.length * refSize)
+      refs.forEach((ref, i) => data.writeUIntBE(ref, i * refSize, refSize))
+      return data
+    }
+
+    const chunks = [Buffer.from('bplist00', 'ascii')]
+    const offsets = []
+    let offset = chunks[0].length
+    for(const entry of table){
+      const value = entry.value
+      let data = null
+      if(value instanceof _UID){
+        const size = NSKeyedArchiver._byteSizeOf(value.value)
+        data = Buffer.alloc(1 + size)
+        data.writeUInt8(0x80 | (size - 1), 0)
+        data.writeUIntBE(value.value, 1, size)
+      }else if(typeof value === 'boolean'){
+        data = Buffer.from([value ? 0x09 : 0x08])
+      }else if(typeof value === 'number'){
+        data = NSKeyedArchiver._numberData(value)
+      }else if(typeof value === 'string'){
+        if(/^[ -~]*$/.test(value)){
+          data = Buffer.concat([NSKeyedArchiver._markerData(0x50, value.length), Buffer.from(value, 'ascii')])
+        }else{
+          const utf16 = Buffer.from(value, 'utf16le').swap16()
+          data = Buffer.concat([NSKeyedArchiver._markerData(0x60, value.length), utf16])
+        }
+      }else if(value instanceof Buffer){
+        data = Buffer.concat([NSKeyedArchiver._markerData(0x40, value.length), value])
+      }else if(Array.isArray(value)){
+        data = Buffer.concat([NSKeyedArchiver._markerData(0xA0, entry.refs.length), writeRefs(entry.refs)])
+      }else{
+        data = Buffer.concat([
+          NSKeyedArchiver._markerData(0xD0, entry.refs.length),
+          writeRefs(entry.keyRefs),
+          writeRefs(entry.refs)
+        ])
+      }
+      offsets.push(offset)
+      chunks.push(data)
+      offset += data.length
+    }
+
+    // offset table
+    const tablePos = offset
+    const offsetSize = NSKeyedArchiver._byteSizeOf(tablePos)
+    const offsetTable = Buffer.alloc(offsets.length * offsetSize)
+    offsets.forEach((o, i) => offsetTable.writeUIntBE(o, i * offsetSize, offsetSize))
+    chunks.push(offsetTable)
+
+    // trailer: 6 unused bytes, offset size, reference size, object count, top object, offset table position
+    const trailer = Buffer.alloc(32)
+    trailer.writeUInt8(offsetSize, 6)
+    trailer.writeUInt8(refSize, 7)
+    trailer.writeUInt32BE(table.length, 12)
+    trailer.writeUInt32BE(0, 20)
+    trailer.writeUInt32BE(tablePos, 28)
+    chunks.push(trailer)
+
+    return Buffer.concat(chunks)
+  }
+
+  /**
+   * @access private
+   * @param {number} value -
+   * @returns {number} - the number of bytes to store the unsigned value.
+   */
+  static _byteSizeOf(value) {
+    if(value < 0x100){
+      return 1
+    }else if(value < 0x10000){
+      return 2
+    }
+    return 4
+  }
+
+  /**
+   * @access private
+   * @param {number} type -
+   * @param {number} count -
+   * @returns {Buffer} - the marker byte and the length of the object.
+   */
+  static _markerData(type, count) {
+    if(count < 0x0F){
+      return Buffer.from([type | count])
+    }
+    return Buffer.concat([Buffer.from([type | 0x0F]), NSKeyedArchiver._numberData(count)])
+  }
+
+  /**
+   * @access private
+   * @param {number} value -
+   * @returns {Buffer} -
+   */
+  static _numberData(value) {
+    let data = null
+    if(!Number.isInteger(value)){
+      data = Buffer.alloc(9)
+      data.writeUInt8(0x23, 0)
+      data.writeDoubleBE(value, 1)
+    }else if(value >= 0 && value <= 0xFFFFFFFF){
+      const size = NSKeyedArchiver._byteSizeOf(value)
+      data = Buffer.alloc(1 + size)
+      data.writeUInt8(0x10 | Math.log2(size), 0)
+      data.writeUIntBE(value, 1, size)
+    }else{
+      // 8-byte integers are signed
+      const high = Math.floor(value / 0x100000000)
+      data = Buffer.alloc(9)
+      data.writeUInt8(0x13, 0)
+      data.writeInt32BE(high, 1)
+      data.writeUInt32BE(value - high * 0x100000000, 5)
+    }
+    return data
   }
 
   // Managing Classes and Class Names
@@ -158,6 +644,11 @@ export default class NSKeyedArchiver extends NSCoder {
    * @see https://developer.apple.com/documentation/foundation/nskeyedarchiver/1414746-setclassname
    */
   static setClassNameFor(codedName, cls) {
+    if(codedName === null){
+      _classNameForClass.delete(cls)
+      return
+    }
+    _classNameForClass.set(cls, codedName)
   }
 
   /**
@@ -168,7 +659,11 @@ export default class NSKeyedArchiver extends NSCoder {
    * @see https://developer.apple.com/documentation/foundation/nskeyedarchiver/1407245-classname
    */
   static classNameFor(cls) {
-    return null
+    const codedName = _classNameForClass.get(cls)
+    if(typeof codedName === 'undefined'){
+      return null
+    }
+    return codedName
   }
 
   
@@ -180,6 +675,9 @@ export default class NSKeyedArchiver extends NSCoder {
    * @see https://developer.apple.com/documentation/foundation/nskeyedarchiver/1643042-encodeddata
    */
   get encodedData() {
+    if(!this._encodingFinished){
+      this.finishEncoding()
+    }
     return this._encodedData
   }
 }
@@ -2,6 +2,9 @@
 
 import NSCoder from './NSCoder'
 import NSData from './NSData'
+import CGPoint from '../CoreGraphics/CGPoint'
+import CGRect from '../CoreGraphics/CGRect'
+import CGSize from '../CoreGraphics/CGSize'
 import _File from '../util/_File'
 import _FileReader from '../util/_FileReader'
 import _BinaryReader from '../util/_BinaryReader'
@@ -177,8 +180,7 @@ export default class NSKeyedUnarchiver extends NSCoder {
   static unarchiveObjectWithData(data, path = null, options = new Map()) {
     const unarchiver = new NSKeyedUnarchiver(data, options)
     unarchiver._filePath = path
-    const topObjIndex = unarchiver._parsedObj.$top.root.value
-    return unarchiver._parseClassAt(topObjIndex)
+    return unarchiver._parseClassAt(unarchiver._topObjectIndex)
   }
 
   _checkHeader() {
@@ -266,7 +268,8 @@ export default class NSKeyedUnarchiver extends NSCoder {
       // Int
       const len = Math.pow(2, type2)
       //console.log('   type: integer ' + len)
-      return reader.readInteger(len, signed)
+      // 8-byte integers are always signed
+      return reader.readInteger(len, signed || len >= 8)
     }else if(type1 === 0x20){
       // Float
       const len = Math.pow(2, type2)
@@ -295,7 +298,9 @@ export default class NSKeyedUnarchiver extends NSCoder {
       // UTF-16
       const count = this._getDataSize(type2)
       //console.log('   type: UTF-16 ' + count)
-      return reader.readString(count, 'utf16be') // Big Endian might not be supported...
+      // count is the number of UTF-16 characters
+      const data = Buffer.from(reader.readData(count * 2))
+      return data.swap16().toString('utf16le')
     }else if(type1 === 0x80){
       // UID
       const uid = reader.readInteger(type2 + 1, false)
@@ -570,6 +575,60 @@ export default class NSKeyedUnarchiver extends NSCoder {
     throw new Error(`unknown data type for key ${key}: ${parsedObj}`)
   }
 
+  /**
+   * Decodes a point which is encoded as a string like "{x, y}".
+   * @access public
+   * @param {string} key - A key in the archive within the current decoding scope. key must not be nil.
+   * @returns {CGPoint} - 
+   * @see https://developer.apple.com/documentation/foundation/nscoder/1391214-decodepoint
+   */
+  decodePointForKey(key) {
+    const values = this._decodeNumbersForKey(key, 2)
+    return new CGPoint(values[0], values[1])
+  }
+
+  /**
+   * Decodes a rectangle which is encoded as a string like "{{x, y}, {width, height}}".
+   * @access public
+   * @param {string} key - A key in the archive within the current decoding scope. key must not be nil.
+   * @returns {CGRect} - 
+   * @see https://developer.apple.com/documentation/foundation/nscoder/1391116-decoderect
+   */
+  decodeRectForKey(key) {
+    const values = this._decodeNumbersForKey(key, 4)
+    return new CGRect(new CGPoint(values[0], values[1]), new CGSize(values[2], values[3]))
+  }
+
+  /**
+   * Decodes a size which is encoded as a string like "{width, height}".
+   * @access public
+   * @param {string} key - A key in the archive within the current decoding scope. key must not be nil.
+   * @returns {CGSize} - 
+   * @see https://developer.apple.com/documentation/foundation/nscoder/1391253-decodesize
+   */
+  decodeSizeForKey(key) {
+    const values = this._decodeNumbersForKey(key, 2)
+    return new CGSize(values[0], values[1])
+  }
+
+  /**
+   * @access private
+   * @param {string} key -
+   * @param {number} count - the number of values in the string.
+   * @returns {number[]} -
+   */
+  _decodeNumbersForKey(key, count) {
+    const str = this.decodeObjectForKey(key)
+    if(typeof str !== 'string'){
+      throw new Error(`${key}: value is not String type`)
+    }
+    const values = str.replace(/[{}]/g, '').split(',').map(parseFloat)
+    if(values.length !== count || values.some(isNaN)){
+      throw new Error(`${key}: ${str} doesn't have ${count} numbers`)
+    }
+    return values
+  }
+
   /**
    * Returns a decoded property list for the specified key.
    * @access public
@@ -690,4 +749,56 @@ export default class NSKeyedUnarchiver extends NSCoder {
     }
     return value
   }
+
+  /**
+   * @access private
+   * @type {number}
+   */
+  get _objectCount() {
+    return this._parsedObj.$objects.length
+  }
+
+  /**
+   * @access private
+   * @type {number}
+   */
+  get _topObjectIndex() {
+    return this._parsedObj.$top.root.value
+  }
+
+  /**
+   * Returns the archived data of the object without decoding it.
+   * @access private
+   * @param {number} index - index of the object in the archive.
+   * @returns {Object} -
+   */
+  _objectAt(index) {
+    return this._parsedObj.$objects[index]
+  }
+
+  /**
+   * @access private
+   * @param {number} index - index of the object in the archive.
+   * @returns {?string} - the class name of the object, or null if the object is not an instance of a class.
+   */
+  _classNameAt(index) {
+    const obj = this._objectAt(index)
+    if(obj === null || typeof obj !== 'object' || !(obj.$class instanceof _UID)){
+      return null
+    }
+    return obj.$class.obj.$classname
+  }
+
+  /**
+   * Returns the archived data which the value refers to.
+   * @access private
+   * @param {Object} value -
+   * @returns {Object} -
+   */
+  _resolveReference(value) {
+    if(value instanceof _UID){
+      return value.obj
+    }
+    return value
+  }
 }
@@ -3820,6 +3820,120 @@ validateToolbarItem(_:) is called very frequently, so it must be efficient.If th
     }
   }
 
+  /**
+   * Encodes the receiver using a given archiver.
+   * @access public
+   * @param {NSCoder} coder - An archiver object.
+   * @returns {void}
+   * @desc NSObject’s implementation encodes the properties described by _propTypes.
+   * @see https://developer.apple.com/documentation/foundation/nscoding/1413933-encode
+   */
+  encodeWithCoder(coder) {
+    this.constructor._saveProperties(coder, this, this.constructor._propTypes)
+  }
+
+  /**
+   * Encodes the properties of the instance. A value is read from the getter function which is the third element
+   * of the property definition if it exists, from propName if it is a string, or from the property named key otherwise.
+   * The getter function is called with the instance, the key and the coder.
+   * Properties whose value is null or undefined are not encoded.
+   * @access private
+   * @param {NSCoder} coder -
+   * @param {Object} instance -
+   * @param {Object} propTypes -
+   * @returns {void}
+   */
+  static _saveProperties(coder, instance, propTypes) {
+    for(const key of Object.keys(propTypes)){
+      if(key.charAt(0) === '$'){
+        continue
+      }
+      const def = propTypes[key]
+      let type = ''
+      let propName = key
+      let getter = null
+      if(typeof def === 'string'){
+        type = def
+      }else if(Array.isArray(def)){
+        type = def[0]
+        if(def.length >= 2){
+          propName = def[1]
+        }
+        if(def.length >= 3){
+          getter = def[2]
+        }
+      }
+
+      let value = null
+      if(getter !== null){
+        value = getter(instance, key, coder)
+      }else if(typeof propName === 'string'){
+        value = instance[propName]
+      }else{
+        value = instance[key]
+      }
+      if(value === null || typeof value === 'undefined' || typeof value === 'function'){
+        continue
+      }
+
+      switch(type){
+        case 'boolean':
+          coder.encodeBoolForKey(Boolean(value), key)
+          break
+        case 'bytes':
+          if(value instanceof Buffer){
+            coder.encodeBytesLengthForKey(value, value.length, key)
+          }
+          break
+        case 'double':
+          coder.encodeDoubleForKey(value, key)
+          break
+        case 'float':
+          coder.encodeFloatForKey(value, key)
+          break
+        case 'integer':
+          coder.encodeCIntForKey(value, key)
+          break
+        case 'int32':
+          coder.encodeInt32ForKey(value, key)
+          break
+        case 'int64':
+          coder.encodeInt64ForKey(value, key)
+          break
+        case 'point':
+          coder.encodePointForKey(value, key)
+          break
+        case 'rect':
+          coder.encodeRectForKey(value, key)
+          break
+        case 'size':
+          coder.encodeSizeForKey(value, key)
+          break
+        case 'plist':
+          coder._encodePropertyListForKey(value, key)
+          break
+        case 'string':
+          if(typeof value === 'string'){
+            coder.encodeObjectForKey(value, key)
+          }
+          break
+        default: {
+          const classObj = _ClassList.get(type)
+          if(typeof classObj === 'undefined'){
+            throw new Error(`unknown class name: ${type}`)
+          }
+          if(typeof classObj._initWithData === 'function' && typeof value._getData === 'function'){
+            // struct
+            const data = value._getData()
+            coder.encodeBytesLengthForKey(data, data.length, key)
+          }else{
+            coder.encodeObjectForKey(value, key)
+          }
+        }
+      }
+    }
+  }
+
   _destroy() {
     if(this._destroyed){
       throw new Error('_destroy() called twice')
@@ -1,8 +1,12 @@
 'use strict'
 
 import CAPropertyAnimation from './CAPropertyAnimation'
+import CGPoint from '../CoreGraphics/CGPoint'
 //import CGPath from '../CoreGraphics/CGPath'
 //import CAMediaTimingFunction from './CAMediaTimingFunction'
+import SCNVector3 from '../SceneKit/SCNVector3'
+import SCNVector4 from '../SceneKit/SCNVector4'
+import _InstanceOf from '../util/_InstanceOf'
 import * as Constants from '../constants'
 
 
@@ -117,6 +121,12 @@ export default class CAKeyframeAnimation extends CAPropertyAnimation {
      * @type {number}
      */
     this._indexCache = 0
+
+    /**
+     * @access private
+     * @type {?Object}
+     */
+    this._keyframeCache = null
   }
 
   /**
@@ -154,86 +164,460 @@ export default class CAKeyframeAnimation extends CAPropertyAnimation {
       t = baseTime
     }
 
-    let index = this._indexCache
-    let key0 = 0
-    let key1 = 0
-
     if(t > 1){
       throw new Error(`CAKeyframeAnimation._applyAnimation: t ${t} > 1`)
     }
 
-    const len = this.keyTimes.length
-    if(index >= len){
-      console.log(`CAKeyframeAnimation index >= len  ${index} >= ${len}`)
-      index = len - 1
+    let value = null
+    switch(this.calculationMode){
+      case Constants.kCAAnimationLinear:
+        value = this._linearValueAt(t)
+        break
+      case Constants.kCAAnimationDiscrete:
+        value = this._discreteValueAt(t)
+        break
+      case Constants.kCAAnimationPaced:
+        value = this._pacedValueAt(t)
+        break
+      case Constants.kCAAnimationCubic:
+        value = this._cubicValueAt(t)
+        break
+      case Constants.kCAAnimationCubicPaced:
+        value = this._cubicPacedValueAt(t)
+        break
+      default:
+        throw new Error(`unknown calculation mode: ${this.calculationMode}`)
+    }
+
+    value = this._calculateWithBaseValue(obj, value)
+
+    this._applyValue(obj, value)
+    this._handleEvents(obj, t)
+  }
+
+  /**
+   * @access private
+   * @param {number} t - base time
+   * @returns {Object} -
+   */
+  _linearValueAt(t) {
+    if(this.values.length < 2){
+      return this.values[0]
     }
+    const [index, rate] = this._segmentAt(t, this._keyTimesForValues())
+    return this._lerp(this.values[index], this.values[index + 1], this._timingRate(index, rate))
+  }
 
-    // search keyTime linearly
-    if(this.keyTimes[index] < t){
-      for(; index < len; index++){
-        if(this.keyTimes[index] >= t)
-          break
+  /**
+   * @access private
+   * @param {number} t - base time
+   * @returns {Object} -
+   */
+  _discreteValueAt(t) {
+    const len = this.values.length
+    let index = 0
+    if(this.keyTimes !== null){
+      // keyTimes can have one more entry than values.
+      while(index < this.keyTimes.length - 1 && this.keyTimes[index + 1] <= t){
+        index += 1
       }
-      key0 = index - 1
-      key1 = index
     }else{
-      for(; index >= 0; index--){
-        if(this.keyTimes[index] < t)
-          break
-      }
-      key0 = index
-      key1 = index + 1
+      index = Math.floor(t * len)
     }
-    if(key0 <= 0){
-      key0 = 0
+    return this.values[Math.min(index, len - 1)]
+  }
+
+  /**
+   * @access private
+   * @param {number} t - base time
+   * @returns {Object} -
+   */
+  _pacedValueAt(t) {
+    if(this.values.length < 2){
+      return this.values[0]
     }
-    if(key1 >= len){
-      key1 = len - 1
+    const cache = this._getKeyframeCache()
+    if(cache.pacedKeyTimes === null){
+      cache.pacedKeyTimes = this._pacedKeyTimes()
     }
+    const [index, rate] = this._segmentAt(t, cache.pacedKeyTimes)
+    return this._lerp(this.values[index], this.values[index + 1], rate)
+  }
 
-    this._indexCache = key0
+  /**
+   * @access private
+   * @param {number} t - base time
+   * @returns {Object} -
+   */
+  _cubicValueAt(t) {
+    if(this.values.length < 2){
+      return this.values[0]
+    }
+    const keyTimes = this._keyTimesForValues()
+    const [index, rate] = this._segmentAt(t, keyTimes)
+    return this._cubicSegmentValue(index, this._timingRate(index, rate), keyTimes)
+  }
 
-    const time0 = this.keyTimes[key0]
-    const time1 = this.keyTimes[key1]
-    const val0 = this.values[key0]
-    const val1 = this.values[key1]
+  /**
+   * @access private
+   * @param {number} t - base time
+   * @returns {Object} -
+   */
+  _cubicPacedValueAt(t) {
+    if(this.values.length < 2){
+      return this.values[0]
+    }
+    const cache = this._getKeyframeCache()
+    if(cache.cubicPacedTable === null){
+      cache.cubicPacedTable = this._cubicPacedTable()
+    }
+    const table = cache.cubicPacedTable
+    let k = 0
+    while(k < table.length - 2 && table[k + 1].length <= t){
+      k += 1
+    }
+    const e0 = table[k]
+    const e1 = table[k + 1]
+    if(e0.index !== e1.index){
+      return this._cubicSegmentValue(e1.index, e1.rate, null)
+    }
+    const dl = e1.length - e0.length
+    const f = dl > 0 ? Math.min(Math.max((t - e0.length) / dl, 0), 1) : 0
+    return this._cubicSegmentValue(e0.index, e0.rate + (e1.rate - e0.rate) * f, null)
+  }
+
+  /**
+   * @access private
+   * @returns {number[]} -
+   */
+  _keyTimesForValues() {
+    if(this.keyTimes !== null){
+      return this.keyTimes
+    }
+    const len = this.values.length
+    return this.values.map((v, i) => len > 1 ? i / (len - 1) : 0)
+  }
 
-    let value = val0
-    if(time0 !== time1){
-      const dt = (t - time0) / (time1 - time0)
-      let r = dt
-      if(this.timingFunctions !== null){
-        r = this.timingFunctions[key0]._getValueAtTime(dt)
+  /**
+   * @access private
+   * @param {number} t - base time
+   * @param {number[]} keyTimes -
+   * @returns {number[]} - the index of the first keyframe of the segment and the rate in the segment.
+   */
+  _segmentAt(t, keyTimes) {
+    const last = Math.min(keyTimes.length, this.values.length) - 1
+    if(last <= 0){
+      return [0, 0]
+    }
+    let index = Math.min(Math.max(this._indexCache, 0), last - 1)
+    while(index > 0 && keyTimes[index] > t){
+      index -= 1
+    }
+    while(index < last - 1 && keyTimes[index + 1] <= t){
+      index += 1
+    }
+    this._indexCache = index
+
+    const time0 = keyTimes[index]
+    const time1 = keyTimes[index + 1]
+    if(time1 <= time0){
+      return [index, t >= time1 ? 1 : 0]
+    }
+    const rate = (t - time0) / (time1 - time0)
+    return [index, Math.min(Math.max(rate, 0), 1)]
+  }
+
+  /**
+   * @access private
+   * @param {number} index - the index of the segment.
+   * @param {number} rate -
+   * @returns {number} -
+   */
+  _timingRate(index, rate) {
+    if(this.timingFunctions !== null && this.timingFunctions[index]){
+      return this.timingFunctions[index]._getValueAtTime(rate)
+    }
+    return rate
+  }
+
+  /**
+   * @access private
+   * @returns {Object} -
+   */
+  _getKeyframeCache() {
+    const cache = this._keyframeCache
+    if(cache === null || cache.values !== this.values || cache.keyTimes !== this.keyTimes){
+      this._keyframeCache = {
+        values: this.values,
+        keyTimes: this.keyTimes,
+        quaternions: null,
+        pacedKeyTimes: null,
+        cubicPacedTable: null
       }
+    }
+    return this._keyframeCache
+  }
+
+  /**
+   * @access private
+   * @returns {boolean} -
+   */
+  get _isQuaternionKeyPath() {
+    const key = this._lastKeyOfKeyPath
+    return key === 'orientation' || key === 'rotation'
+  }
 
-      switch(this.calculationMode){
-        case Constants.kCAAnimationLinear:
-          value = this._lerp(val0, val1, r)
-          break
-        case Constants.kCAAnimationDiscrete:
-          // TODO: implement
-          throw new Error('kCAAnimationDiscrete not implemented')
-        case Constants.kCAAnimationPaced:
-          // TODO: implement
-          throw new Error('kCAAnimationPaced not implemented')
-        case Constants.kCAAnimationCubic:
-          // TODO: implement
-          throw new Error('kCAAnimationCubic not implemented')
-        case Constants.kCAAnimationCubicPaced:
-          // TODO: impelement
-          throw new Error('kCAAnimationCubicPaced not implemented')
-        default:
-          throw new Error(`unknown calculation mode: ${this.calculationMode}`)
+  /**
+   * Returns the keyframe values as quaternions, each on the same hemisphere as the previous one.
+   * @access private
+   * @returns {SCNVector4[]} -
+   */
+  _keyframeQuaternions() {
+    const cache = this._getKeyframeCache()
+    if(cache.quaternions !== null){
+      return cache.quaternions
+    }
+    const isRotation = this._lastKeyOfKeyPath === 'rotation'
+    const quats = []
+    this.values.forEach((value) => {
+      let q = isRotation ? value.rotationToQuat() : value.normalize()
+      if(quats.length > 0 && quats[quats.length - 1].dot(q) < 0){
+        q = q.mul(-1)
       }
+      quats.push(q)
+    })
+    cache.quaternions = quats
+    return quats
+  }
+
+  /**
+   * @access private
+   * @param {number} index - the index of the first keyframe.
+   * @returns {number} - the distance between the keyframe and the next one.
+   */
+  _segmentLength(index) {
+    const v0 = this.values[index]
+    const v1 = this.values[index + 1]
+    if(this._isQuaternionKeyPath){
+      const quats = this._keyframeQuaternions()
+      return this._quaternionDistance(quats[index], quats[index + 1])
+    }
+    return this._distance(v0, v1)
+  }
+
+  /**
+   * @access private
+   * @param {Object} v0 -
+   * @param {Object} v1 -
+   * @returns {number} -
+   */
+  _distance(v0, v1) {
+    if(typeof v0 === 'number'){
+      return Math.abs(v1 - v0)
+    }
+    if(this._isInterpolatableVector(v0)){
+      return v1.sub(v0).length()
+    }
+    // the distance is unknown; keyframes are spaced evenly.
+    return 1
+  }
+
+  /**
+   * @access private
+   * @param {SCNVector4} q0 -
+   * @param {SCNVector4} q1 -
+   * @returns {number} - the angle between two orientations.
+   */
+  _quaternionDistance(q0, q1) {
+    const d = Math.min(Math.abs(q0.normalize().dot(q1.normalize())), 1)
+    return 2.0 * Math.acos(d)
+  }
+
+  /**
+   * Distributes keyframes so that the value changes at a constant speed.
+   * @access private
+   * @returns {number[]} -
+   */
+  _pacedKeyTimes() {
+    const len = this.values.length
+    const lengths = [0]
+    for(let i=0; i<len-1; i++){
+      lengths.push(lengths[i] + this._segmentLength(i))
+    }
+    const total = lengths[len - 1]
+    if(total <= 0){
+      return lengths.map((l, i) => i / (len - 1))
+    }
+    return lengths.map((l) => l / total)
+  }
 
-      //console.log(`t: ${t}, time0: ${time0}, time1: ${time1}, dt: ${dt}, r: ${r}, value: ${value}`)
+  /**
+   * Samples the spline to reparameterize it by its arc length.
+   * @access private
+   * @returns {Object[]} - entries of the segment index, the rate in the segment and the normalized arc length.
+   */
+  _cubicPacedTable() {
+    const samples = 16
+    const isQuaternion = this._isQuaternionKeyPath
+    const table = []
+    let length = 0
+    let prev = null
+    for(let i=0; i<this.values.length-1; i++){
+      for(let j=0; j<=samples; j++){
+        const rate = j / samples
+        const value = this._cubicSegmentValue(i, rate, null, true)
+        if(prev !== null){
+          length += isQuaternion ? this._quaternionDistance(prev, value) : this._distance(prev, value)
+        }
+        table.push({ index: i, rate: rate, length: length })
+        prev = value
+      }
+    }
+    if(length <= 0){
+      const last = table.length - 1
+      table.forEach((entry, k) => { entry.length = k / last })
     }else{
-      //console.log(`t: ${t}, time0: ${time0}, time1: ${time1}, value: ${value}`)
+      table.forEach((entry) => { entry.length /= length })
     }
+    return table
+  }
 
-    value = this._calculateWithBaseValue(obj, value)
+  /**
+   * @access private
+   * @param {Object} value -
+   * @returns {boolean} -
+   */
+  _isInterpolatableVector(value) {
+    return _InstanceOf(value, SCNVector3) || _InstanceOf(value, SCNVector4) || _InstanceOf(value, CGPoint)
+  }
 
-    this._applyValue(obj, value)
-    this._handleEvents(obj, t)
+  /**
+   * @access private
+   * @param {?number[]} values -
+   * @param {number} index -
+   * @returns {number} -
+   */
+  _tcbValue(values, index) {
+    if(values === null || typeof values[index] !== 'number'){
+      return 0
+    }
+    return values[index]
+  }
+
+  /**
+   * Computes the Kochanek-Bartels tangents at both ends of a segment.
+   * @access private
+   * @param {Object} d10 - the difference from the previous keyframe to the first keyframe.
+   * @param {Object} d21 - the difference from the first keyframe to the second keyframe.
+   * @param {Object} d12 - the same difference as d21, measured at the second keyframe.
+   * @param {Object} d32 - the difference from the second keyframe to the next keyframe.
+   * @param {number} index - the index of the first keyframe of the segment.
+   * @param {?number[]} keyTimes - keyTimes to adjust tangents for non-uniform segments.
+   * @returns {Object} - the outgoing tangent of the first keyframe and the incoming tangent of the second keyframe.
+   */
+  _tcbTangents(d10, d21, d12, d32, index, keyTimes) {
+    const len = this.values.length
+    const t1 = this._tcbValue(this.tensionValues, index)
+    const c1 = this._tcbValue(this.continuityValues, index)
+    const b1 = this._tcbValue(this.biasValues, index)
+    const t2 = this._tcbValue(this.tensionValues, index + 1)
+    const c2 = this._tcbValue(this.continuityValues, index + 1)
+    const b2 = this._tcbValue(this.biasValues, index + 1)
+
+    let out1 = this._addValues(
+      this._mulValues(d10, (1 - t1) * (1 + b1) * (1 + c1) * 0.5),
+      this._mulValues(d21, (1 - t1) * (1 - b1) * (1 - c1) * 0.5)
+    )
+    let in2 = this._addValues(
+      this._mulValues(d12, (1 - t2) * (1 + b2) * (1 - c2) * 0.5),
+      this._mulValues(d32, (1 - t2) * (1 - b2) * (1 + c2) * 0.5)
+    )
+    if(keyTimes !== null){
+      const dt = keyTimes[index + 1] - keyTimes[index]
+      const dtPrev = index > 0 ? keyTimes[index] - keyTimes[index - 1] : dt
+      const dtNext = index + 2 < len ? keyTimes[index + 2] - keyTimes[index + 1] : dt
+      if(dtPrev + dt > 0){
+        out1 = this._mulValues(out1, 2.0 * dt / (dtPrev + dt))
+      }
+      if(dt + dtNext > 0){
+        in2 = this._mulValues(in2, 2.0 * dt / (dt + dtNext))
+      }
+    }
+    return { out: out1, in: in2 }
+  }
+
+  /**
+   * @access private
+   * @param {SCNVector4} q - the unit quaternion of the keyframe.
+   * @param {SCNVector4} p - the unit quaternion of the neighbor keyframe.
+   * @returns {SCNVector4} - ln(q^-1 * p) along the shortest arc.
+   */
+  _quaternionLog(q, p) {
+    const inv = new SCNVector4(-q.x, -q.y, -q.z, q.w)
+    const r = q.dot(p) < 0 ? p.mul(-1) : p
+    return inv.cross(r).ln()
+  }
+
+  /**
+   * Interpolates a segment of the Kochanek-Bartels spline which goes through the keyframe values.
+   * @access private
+   * @param {number} index - the index of the first keyframe of the segment.
+   * @param {number} rate -
+   * @param {?number[]} keyTimes - keyTimes to adjust tangents for non-uniform segments.
+   * @param {boolean} [asQuaternion = false] - returns a quaternion for rotation key paths.
+   * @returns {Object} -
+   */
+  _cubicSegmentValue(index, rate, keyTimes, asQuaternion = false) {
+    const values = this.values
+    const len = values.length
+    if(this._isQuaternionKeyPath){
+      const quats = this._keyframeQuaternions()
+      const q0 = quats[Math.max(index - 1, 0)]
+      const q1 = quats[index]
+      const q2 = quats[index + 1]
+      const q3 = quats[Math.min(index + 2, len - 1)]
+
+      // the tangents are computed in the log space of each keyframe.
+      const prev1 = this._quaternionLog(q1, q0)
+      const next1 = this._quaternionLog(q1, q2)
+      const prev2 = this._quaternionLog(q2, q1)
+      const next2 = this._quaternionLog(q2, q3)
+      const tangents = this._tcbTangents(prev1.mul(-1), next1, prev2.mul(-1), next2, index, keyTimes)
+
+      // squad leaves q1 with the velocity next1 + 2 * ln(q1^-1 * a).
+      const a = q1.cross(tangents.out.sub(next1).mul(0.5).exp())
+      const b = q2.cross(tangents.in.add(prev2).mul(-0.5).exp())
+      const q = q1.squad(q2, a, b, rate)
+      if(asQuaternion || this._lastKeyOfKeyPath === 'orientation'){
+        return q
+      }
+      return q.quatToRotation()
+    }
+
+    const p0 = values[Math.max(index - 1, 0)]
+    const p1 = values[index]
+    const p2 = values[index + 1]
+    const p3 = values[Math.min(index + 2, len - 1)]
+    if(typeof p1 !== 'number' && !this._isInterpolatableVector(p1)){
+      return this._lerp(p1, p2, rate)
+    }
+
+    const d21 = this._subValues(p2, p1)
+    const tangents = this._tcbTangents(this._subValues(p1, p0), d21, d21, this._subValues(p3, p2), index, keyTimes)
+    const out1 = tangents.out
+    const in2 = tangents.in
+
+    // Hermite basis functions
+    const s2 = rate * rate
+    const s3 = s2 * rate
+    const h00 = 2 * s3 - 3 * s2 + 1
+    const h10 = s3 - 2 * s2 + rate
+    const h01 = -2 * s3 + 3 * s2
+    const h11 = s3 - s2
+
+    return this._addValues(
+      this._addValues(this._mulValues(p1, h00), this._mulValues(out1, h10)),
+      this._addValues(this._mulValues(p2, h01), this._mulValues(in2, h11))
+    )
   }
 }
@@ -142,6 +142,13 @@ export default class CAPropertyAnimation extends CAAnimation {
     return v1 + v2
   }
 
+  _subValues(v1, v2) {
+    if(v1 instanceof Object){
+      return v1.sub(v2)
+    }
+    return v1 - v2
+  }
+
   _mulValues(v1, v2) {
     if(v1 instanceof Object){
       return v1.mul(v2)
@@ -155,7 +162,12 @@ export default class CAPropertyAnimation extends CAAnimation {
       return to
     }
     if(_InstanceOf(from, SCNVector4)){
-      // TODO: slerp for Quaternion
+      const key = this._lastKeyOfKeyPath
+      if(key === 'orientation'){
+        return from.slerp(to, t)
+      }else if(key === 'rotation'){
+        return from.slerpRotation(to, t)
+      }
       return from.lerp(to, t)
     }else if(_InstanceOf(from, SCNVector3)){
       return from.lerp(to, t)
@@ -173,6 +185,18 @@ export default class CAPropertyAnimation extends CAAnimation {
     return from + (to - from) * t
   }
 
+  /**
+   * @access private
+   * @type {?string}
+   */
+  get _lastKeyOfKeyPath() {
+    if(typeof this.keyPath !== 'string'){
+      return null
+    }
+    const keys = this.keyPath.split('.')
+    return keys[keys.length - 1]
+  }
+
   _slerp(from, to, t) {
     if(!_InstanceOf(from, SCNVector4)){
       throw new Error('CABasicAnimation._slerp: object is not SCNVector4')
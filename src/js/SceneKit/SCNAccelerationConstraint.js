@@ -1,9 +1,10 @@
 'use strict'
 
 import SCNConstraint from './SCNConstraint'
+import SCNVector3 from './SCNVector3'
 
 /**
- * 
+ * A constraint that smooths out changes in the position of a node by limiting its velocity and acceleration.
  * @access public
  * @extends {SCNConstraint}
  * @see https://developer.apple.com/documentation/scenekit/scnaccelerationconstraint
@@ -21,32 +22,98 @@ export default class SCNAccelerationConstraint extends SCNConstraint {
     // Instance Properties
 
     /**
-     * 
+     * The fraction of the velocity which is lost in each frame.
      * @type {number}
      * @see https://developer.apple.com/documentation/scenekit/scnaccelerationconstraint/2873359-damping
      */
-    this.damping = 0
+    this.damping = 0.1
 
     /**
-     * 
+     * The distance from the destination at which the node begins to slow down. 0 means that the node doesn't slow down.
      * @type {number}
      * @see https://developer.apple.com/documentation/scenekit/scnaccelerationconstraint/2873367-decelerationdistance
      */
     this.decelerationDistance = 0
 
     /**
-     * 
+     * The maximum acceleration of the node.
      * @type {number}
      * @see https://developer.apple.com/documentation/scenekit/scnaccelerationconstraint/2873355-maximumlinearacceleration
      */
-    this.maximumLinearAcceleration = 0
+    this.maximumLinearAcceleration = Number.POSITIVE_INFINITY
 
     /**
-     * 
+     * The maximum velocity of the node.
      * @type {number}
      * @see https://developer.apple.com/documentation/scenekit/scnaccelerationconstraint/2873384-maximumlinearvelocity
      */
-    this.maximumLinearVelocity = 0
+    this.maximumLinearVelocity = Number.POSITIVE_INFINITY
 
+    /**
+     * the position, velocity and time of each constrained node in the previous frame.
+     * @access private
+     * @type {WeakMap<SCNNode, Object>}
+     */
+    this._states = new WeakMap()
+  }
+
+  /**
+   * @access private
+   * @param {SCNNode} node -
+   * @param {SCNMatrix4} transform -
+   * @param {?SCNSceneRenderer} renderer -
+   * @returns {?SCNMatrix4} -
+   */
+  _constrainedWorldTransform(node, transform, renderer) {
+    const time = renderer ? renderer.currentTime : Date.now() * 0.001
+    const destination = transform.getTranslation()
+    const state = this._states.get(node)
+    if(typeof state === 'undefined'){
+      this._states.set(node, { position: destination, velocity: new SCNVector3(0, 0, 0), time: time })
+      return null
+    }
+    const dt = time - state.time
+    let position = state.position
+    if(dt > 0){
+      const velocity = this._velocity(state, destination, dt)
+      position = state.position.add(velocity.mul(dt))
+      this._states.set(node, { position: position, velocity: velocity, time: time })
+    }
+
+    const m = transform._copy()
+    m.m41 = position.x
+    m.m42 = position.y
+    m.m43 = position.z
+    return m
+  }
+
+  /**
+   * @access private
+   * @param {Object} state - the state of the previous frame.
+   * @param {SCNVector3} destination -
+   * @param {number} dt -
+   * @returns {SCNVector3} - the velocity of this frame.
+   */
+  _velocity(state, destination, dt) {
+    const velocity = state.velocity.mul(1.0 - this.damping)
+    const offset = destination.sub(state.position)
+    const distance = offset.length()
+
+    let maxVelocity = this.maximumLinearVelocity
+    if(this.decelerationDistance > 0 && distance < this.decelerationDistance && Number.isFinite(maxVelocity)){
+      maxVelocity *= distance / this.decelerationDistance
+    }
+    let desiredVelocity = offset.mul(1.0 / dt)
+    const speed = desiredVelocity.length()
+    if(speed > maxVelocity){
+      desiredVelocity = desiredVelocity.mul(maxVelocity / speed)
+    }
+
+    let acceleration = desiredVelocity.sub(velocity).mul(1.0 / dt)
+    const accel = acceleration.length()
+    if(accel > this.maximumLinearAcceleration){
+      acceleration = acceleration.mul(this.maximumLinearAcceleration / accel)
+    }
+    return velocity.add(acceleration.mul(dt))
   }
 }
@@ -525,7 +525,7 @@ SCNAction *sequenceReverse = [sequence reversedAction];
    * @see https://developer.apple.com/documentation/scenekit/scnaction/1522815-reversed
    */
   reversed() {
-    return null
+    return this.copy()
   }
 
   /**
@@ -598,6 +598,15 @@ SCNAction *sequenceReverse = [sequence reversedAction];
 
   _getTime(time, needTimeConversion) {
     const t = this.__getTime(time, needTimeConversion)
+    return this._applyTimingMode(t)
+  }
+
+  /**
+   * @access private
+   * @param {number} t - base time (0-1)
+   * @returns {number} - base time modified by timingMode.
+   */
+  _applyTimingMode(t) {
     if(this._timingMode === SCNActionTimingMode.easeIn){
       return CAMediaTimingFunction.functionWithName(Constants.kCAMediaTimingFunctionEaseIn)._getValueAtTime(t)
     }else if(this._timingMode === SCNActionTimingMode.easeOut){
@@ -656,19 +665,13 @@ SCNAction *sequenceReverse = [sequence reversedAction];
     if(this.speed === 0){
       return 0
     }
-    if(this._duration === 0){
-      return dt / Math.abs(this.speed)
-    }
-    let duration = this._duration / Math.abs(this.speed)
-    if(duration === 0){
-      duration = 0.25
-    }
-
+    const duration = this.duration / Math.abs(this.speed)
     if(dt >= duration){
       // the action is over.
       if(!this._finished){
         this._finished = true
       }
+      return 1.0
     }
 
     return dt / duration
@@ -687,8 +690,7 @@ SCNAction *sequenceReverse = [sequence reversedAction];
       return to
     }
     if(_InstanceOf(from, SCNVector4)){
-      // TODO: slerp for Quaternion
-      return from.lerp(to, t)
+      return this._slerp(from, to, t)
     }else if(_InstanceOf(from, SCNVector3)){
       return from.lerp(to, t)
     }else if(_InstanceOf(from, CGSize)){
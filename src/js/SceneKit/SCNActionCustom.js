@@ -31,6 +31,51 @@ export default class SCNActionCustom extends SCNAction {
     this._beginTime = 0
     this._isRunning = false
     this._pausedTime = 0
+
+    this._block = null
+  }
+
+  /**
+   * Creates an action that executes a block periodically over a specified duration.
+   * @access public
+   * @param {number} seconds - The duration of the action, in seconds.
+   * @param {function(arg1: SCNNode, arg2: number): void} block - The block to run. The block takes the following parameters:nodeThe node on which the action is running.elapsedTimeThe amount of time that has passed since the action began executing.
+   * @returns {SCNAction} - 
+   * @desc When the action executes, SceneKit calls the block repeatedly until the action’s duration expires. For each call, SceneKit computes the elapsed time and passes it to the block.This action is not reversible; the reverse action executes the same block.
+   * @see https://developer.apple.com/documentation/scenekit/scnaction/1523692-customaction
+   */
+  static customActionDurationAction(seconds, block) {
+    const action = new SCNActionCustom()
+    action._duration = seconds
+    action._block = block
+    return action
+  }
+
+  /**
+   * @access public
+   * @returns {SCNActionCustom} -
+   */
+  copy() {
+    const action = super.copy()
+
+    action._block = this._block
+
+    return action
+  }
+
+  /**
+   * apply action to the given node.
+   * @access private
+   * @param {Object} obj - target object to apply this action.
+   * @param {number} time - active time
+   * @param {boolean} [needTimeConversion = true] -
+   * @returns {void}
+   */
+  _applyAction(obj, time, needTimeConversion = true) {
+    const t = this._getTime(time, needTimeConversion)
+    this._block(obj, t * this.duration)
   }
 }
 
+SCNAction.customActionDurationAction = SCNActionCustom.customActionDurationAction
+
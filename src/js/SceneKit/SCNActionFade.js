@@ -38,6 +38,13 @@ export default class SCNActionFade extends SCNAction {
 
     this._toValue = null
     this._byValue = null
+
+    /**
+     * fadeIn and fadeOut are reversed to each other, while fadeOpacityTo is not reversible.
+     * @access private
+     * @type {boolean}
+     */
+    this._isFadeInOut = false
   }
 
   /**
@@ -53,6 +60,7 @@ export default class SCNActionFade extends SCNAction {
   static fadeInDuration(sec) {
     const action = new SCNActionFade()
     action._toValue = 1
+    action._isFadeInOut = true
     action._duration = sec
     return action
   }
@@ -70,6 +78,7 @@ export default class SCNActionFade extends SCNAction {
   static fadeOutDuration(sec) {
     const action = new SCNActionFade()
     action._toValue = 0
+    action._isFadeInOut = true
     action._duration = sec
     return action
   }
@@ -108,6 +117,27 @@ export default class SCNActionFade extends SCNAction {
     return action
   }
 
+  // Reversing an Action
+
+  /**
+   * fadeIn and fadeOut are reversed to each other, and fadeOpacityBy is reversed with the negative factor.
+   * @access public
+   * @returns {SCNAction} -
+   */
+  reversed() {
+    const action = this.copy()
+    if(this._byValue !== null){
+      action._byValue = -this._byValue
+    }else if(this._isFadeInOut){
+      action._toValue = 1 - this._toValue
+    }else{
+      // fadeOpacityTo: the reverse has the same duration but does not change anything.
+      action._toValue = null
+      action._byValue = 0
+    }
+    return action
+  }
+
   /**
    * @access public
    * @returns {SCNActionFade} -
@@ -117,6 +147,7 @@ export default class SCNActionFade extends SCNAction {
 
     action._toValue = this._toValue
     action._byValue = this._byValue
+    action._isFadeInOut = this._isFadeInOut
     action._duration = this._duration
 
     return action
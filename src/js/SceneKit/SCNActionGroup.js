@@ -43,6 +43,19 @@ export default class SCNActionGroup extends SCNAction {
     return action
   }
 
+  // Reversing an Action
+
+  /**
+   * reverses each action of the group.
+   * @access public
+   * @returns {SCNAction} -
+   */
+  reversed() {
+    const action = this.copy()
+    action._actions = this._actions.map((act) => act.reversed())
+    return action
+  }
+
   /**
    * @access public
    * @returns {SCNActionGroup} -
@@ -61,8 +74,8 @@ export default class SCNActionGroup extends SCNAction {
   get duration() {
     let d = 0
     this._actions.forEach((act) => {
-      if(d < act.duration){
-        d = act.duration
+      if(act.speed > 0 && d < act.duration / act.speed){
+        d = act.duration / act.speed
       }
     })
     return d
@@ -77,18 +90,18 @@ export default class SCNActionGroup extends SCNAction {
    * @returns {void}
    */
   _applyAction(obj, time, needTimeConversion = true) {
-    //const dt = this._getTime(time, needTimeConversion) * this.duration
-    //this._actions.forEach((action) => {
-    //  if(!action._finished){
-    //    action._applyAction(obj, dt, false)
-    //  }
-    //})
-    const duration = this._activetimeFromTime(time)
+    const total = this.duration
+    let duration = 0
+    if(total <= 0 || total === Infinity){
+      duration = this._activetimeFromTime(time) * this.speed
+    }else{
+      duration = this._getTime(time, needTimeConversion) * total
+    }
 
     let finished = true
     this._actions.forEach((action) => {
       if(!action._finished){
-        action._applyAction(obj, duration, needTimeConversion)
+        action._applyAction(obj, duration, true)
         if(!action._finished){
           finished = false
         }
@@ -2,6 +2,8 @@
 
 import SCNAction from './SCNAction'
 import SCNActionTimingMode from './SCNActionTimingMode'
+import SCNNode from './SCNNode'
+import _InstanceOf from '../util/_InstanceOf'
 
 export default class SCNActionHide extends SCNAction {
   static get _propTypes() {
@@ -33,6 +35,80 @@ export default class SCNActionHide extends SCNAction {
     this._beginTime = 0
     this._isRunning = false
     this._pausedTime = 0
+
+    this._hidden = true
+  }
+
+  /**
+   * Creates an action that hides a node.
+   * @access public
+   * @returns {SCNAction} - 
+   * @desc When the action executes, the node’s isHidden property is set to true.This action is reversible; the reverse is equivalent to the unhide() action.
+   * @see https://developer.apple.com/documentation/scenekit/scnaction/1523487-hide
+   */
+  static hide() {
+    const action = new SCNActionHide()
+    action._hidden = true
+    return action
+  }
+
+  /**
+   * Creates an action that unhides a node.
+   * @access public
+   * @returns {SCNAction} - 
+   * @desc When the action executes, the node’s isHidden property is set to false.This action is reversible; the reverse is equivalent to the hide() action.
+   * @see https://developer.apple.com/documentation/scenekit/scnaction/1524205-unhide
+   */
+  static unhide() {
+    const action = new SCNActionHide()
+    action._hidden = false
+    return action
+  }
+
+  // Reversing an Action
+
+  /**
+   * Creates an action that reverses the behavior of another action.
+   * @access public
+   * @returns {SCNAction} - 
+   * @desc This method always returns an action object; however, not all actions are reversible. When reversed, some actions return an object that either does nothing or performs the same action as the original action. For details on how an action is reversed, see the description of the class method used to create that action.
+   * @see https://developer.apple.com/documentation/scenekit/scnaction/1522815-reversed
+   */
+  reversed() {
+    const action = this.copy()
+    action._hidden = !this._hidden
+    return action
+  }
+
+  /**
+   * @access public
+   * @returns {SCNActionHide} -
+   */
+  copy() {
+    const action = super.copy()
+
+    action._hidden = this._hidden
+
+    return action
+  }
+
+  /**
+   * apply action to the given node.
+   * @access private
+   * @param {Object} obj - target object to apply this action.
+   * @param {number} time - active time
+   * @param {boolean} [needTimeConversion = true] -
+   * @returns {void}
+   */
+  _applyAction(obj, time, needTimeConversion = true) {
+    if(!_InstanceOf(obj, SCNNode)){
+      throw new Error(`unsupported class for SCNActionHide: ${obj.constructor.name}`)
+    }
+    obj.isHidden = this._hidden
+    this._finished = true
   }
 }
 
+SCNAction.hide = SCNActionHide.hide
+SCNAction.unhide = SCNActionHide.unhide
+
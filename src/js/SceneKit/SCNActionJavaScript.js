@@ -31,6 +31,56 @@ export default class SCNActionJavaScript extends SCNAction {
     this._beginTime = 0
     this._isRunning = false
     this._pausedTime = 0
+
+    this._script = null
+    this._func = null
+  }
+
+  /**
+   * Creates an action that executes a JavaScript script periodically over a specified duration.
+   * @access public
+   * @param {string} script - A string containing JavaScript source code.
+   * @param {number} seconds - The duration of the action, in seconds.
+   * @returns {SCNAction} - 
+   * @desc SceneKit exposes its classes, methods, and functions in the JavaScript context that runs the script—see the SCNJavaScript.h header file for details.When the action executes, SceneKit runs the script repeatedly until the action’s duration expires. Each time SceneKit runs the script, it computes the elapsed time since the action began executing (as a fraction of the action’s duration between 0.0 and 1.0) and makes it available to the script as a variable named elapsedTime. The script can also reference the SCNNode object running the action as a variable named node.This action is not reversible; the reverse action executes the same script.
+   * @see https://developer.apple.com/documentation/scenekit/scnaction/1523984-javascriptaction
+   */
+  static javaScriptActionWithScriptDuration(script, seconds) {
+    const action = new SCNActionJavaScript()
+    action._script = script
+    action._duration = seconds
+    return action
+  }
+
+  /**
+   * @access public
+   * @returns {SCNActionJavaScript} -
+   */
+  copy() {
+    const action = super.copy()
+
+    action._script = this._script
+    action._func = this._func
+
+    return action
+  }
+
+  /**
+   * apply action to the given node.
+   * @access private
+   * @param {Object} obj - target object to apply this action.
+   * @param {number} time - active time
+   * @param {boolean} [needTimeConversion = true] -
+   * @returns {void}
+   */
+  _applyAction(obj, time, needTimeConversion = true) {
+    const t = this._getTime(time, needTimeConversion)
+    if(this._func === null){
+      this._func = new Function('node', 'elapsedTime', this._script)
+    }
+    this._func(obj, t)
   }
 }
 
+SCNAction.javaScriptActionWithScriptDuration = SCNActionJavaScript.javaScriptActionWithScriptDuration
+
@@ -71,6 +71,19 @@ export default class SCNActionRepeat extends SCNAction {
     return this.repeat(action, Infinity)
   }
 
+  // Reversing an Action
+
+  /**
+   * repeats the reversed action.
+   * @access public
+   * @returns {SCNAction} -
+   */
+  reversed() {
+    const action = this.copy()
+    action._repeatedAction = this._repeatedAction.reversed()
+    return action
+  }
+
   /**
    * @access public
    * @returns {SCNActionRepeat} -
@@ -92,13 +105,31 @@ export default class SCNActionRepeat extends SCNAction {
     }
 
     const baseTime = this._basetimeFromTime(time)
-    if(this.timingFunction === null){
-      return baseTime
+    const n = Math.floor(baseTime)
+    let t = baseTime - n
+    if(this.timingFunction !== null){
+      t = this.timingFunction._getValueAtTime(t)
     }
+    return n + this._applyTimingMode(t)
+  }
 
-    const n = Math.floor(baseTime)
-    const t = this.timingFunction._getValueAtTime(baseTime - n)
-    return n + t
+  /**
+   * convert active time to the number of repetitions
+   * @access private
+   * @param {number} time - active time
+   * @returns {number} - the number of repetitions including the fraction of the current one.
+   */
+  _basetimeFromActivetime(time) {
+    const dt = time - this._beginTime
+    if(this.speed === 0){
+      return 0
+    }
+    const duration = this._repeatedAction.duration / Math.abs(this.speed)
+    if(duration <= 0){
+      // repeat instantaneous actions once per frame.
+      return this._forever ? this._timesRepeated + 1 : this._timesToRepeat
+    }
+    return dt / duration
   }
 
   /**
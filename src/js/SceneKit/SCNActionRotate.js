@@ -166,6 +166,35 @@ export default class SCNActionRotate extends SCNAction {
     return action
   }
 
+  // Reversing an Action
+
+  /**
+   * rotateBy is reversed with the negative angles. rotateTo is not reversible.
+   * @access public
+   * @returns {SCNAction} -
+   */
+  reversed() {
+    const action = this.copy()
+    if(this._isRelative){
+      if(this._isAxisAngle){
+        action._axisRot = new SCNVector4(this._axisRot.x, this._axisRot.y, this._axisRot.z, -this._axisRot.w)
+      }else{
+        action._rotX = -this._rotX
+        action._rotY = -this._rotY
+        action._rotZ = -this._rotZ
+      }
+    }else{
+      // rotateTo: the reverse has the same duration but does not change anything.
+      action._isRelative = true
+      action._isUnitArc = false
+      action._rotX = 0
+      action._rotY = 0
+      action._rotZ = 0
+      action._axisRot = new SCNVector4(0, 0, 1, 0)
+    }
+    return action
+  }
+
   /**
    * @access public
    * @returns {SCNActionRotate} -
@@ -179,9 +208,9 @@ export default class SCNActionRotate extends SCNAction {
     action._lastRotX = this._lastRotX
     action._lastRotY = this._lastRotY
     action._lastRotZ = this._lastRotZ
-    action._axisRot = this._axisRot
+    action._axisRot = this._axisRot._copy()
     action._isRelative = this._isRelative
-    action._isReveresed = this._isReversed
+    action._isReversed = this._isReversed
     action._isUnitArc = this._isUnitArc
     action._isAxisAngle = this._isAxisAngle
     action._isRunning = this._isRunning
@@ -211,20 +240,22 @@ export default class SCNActionRotate extends SCNAction {
     if(this._isAxisAngle){
       // rotation
       const baseValue = obj.rotation
-      let toValue = this._axisRot
+      const toValue = this._axisRot
       if(this._isRelative){
-        const baseQuat = baseValue.rotationToQuat
-        const byQuat = this._axisRot.rotationToQuat
-        toValue = baseQuat.cross(byQuat).quatToRotation
-      }
-      if(this._isUnitArc){
+        const baseQuat = obj.orientation
+        const byValue = new SCNVector4(toValue.x, toValue.y, toValue.z, toValue.w * t)
+        obj.presentation.orientation = baseQuat.cross(byValue.rotationToQuat())
+        if(this._finished){
+          obj.orientation = baseQuat.cross(toValue.rotationToQuat())
+        }
+      }else if(this._isUnitArc){
         const value = this._slerp(baseValue.rotationToQuat(), toValue.rotationToQuat(), t)
         obj.presentation.orientation = value
       }else{
-        const value = this._lerp(baseValue, toValue, t)
+        const value = baseValue.slerpRotation(toValue, t)
         obj.presentation.rotation = value
       }
-      if(this._finished){
+      if(this._finished && !this._isRelative){
         obj.rotation = toValue
       }
     }else{
@@ -2,6 +2,9 @@
 
 import SCNAction from './SCNAction'
 import SCNActionTimingMode from './SCNActionTimingMode'
+import SCNNode from './SCNNode'
+import SCNVector3 from './SCNVector3'
+import _InstanceOf from '../util/_InstanceOf'
 
 export default class SCNActionScale extends SCNAction {
   static get _propTypes() {
@@ -31,6 +34,109 @@ export default class SCNActionScale extends SCNAction {
     this._beginTime = 0
     this._isRunning = false
     this._pausedTime = 0
+
+    this._toValue = null
+    this._byValue = null
+  }
+
+  /**
+   * Creates an action that uniformly changes the scale factor of a node by a relative value.
+   * @access public
+   * @param {number} scale - The amount of change to make to all three components of the node’s scale.
+   * @param {number} sec - The duration of the action, in seconds.
+   * @returns {SCNAction} - 
+   * @desc When the action executes, the node’s scale property animates to the new value.This action is reversible; the reverse scales the node by the reciprocal of scale.
+   * @see https://developer.apple.com/documentation/scenekit/scnaction/1523129-scale
+   */
+  static scaleByDuration(scale, sec) {
+    const action = new SCNActionScale()
+    action._byValue = scale
+    action._duration = sec
+    return action
+  }
+
+  /**
+   * Creates an action that uniformly changes the scale factor of a node to an absolute value.
+   * @access public
+   * @param {number} scale - The new value for all three components of the node’s scale.
+   * @param {number} sec - The duration of the action, in seconds.
+   * @returns {SCNAction} - 
+   * @desc When the action executes, the node’s scale property animates to the new value.This action is not reversible; the reverse of this action has the same duration but does not change anything.
+   * @see https://developer.apple.com/documentation/scenekit/scnaction/1523322-scale
+   */
+  static scaleToDuration(scale, sec) {
+    const action = new SCNActionScale()
+    action._toValue = scale
+    action._duration = sec
+    return action
+  }
+
+  // Reversing an Action
+
+  /**
+   * Creates an action that reverses the behavior of another action.
+   * @access public
+   * @returns {SCNAction} - 
+   * @desc This method always returns an action object; however, not all actions are reversible. When reversed, some actions return an object that either does nothing or performs the same action as the original action. For details on how an action is reversed, see the description of the class method used to create that action.
+   * @see https://developer.apple.com/documentation/scenekit/scnaction/1522815-reversed
+   */
+  reversed() {
+    const action = this.copy()
+    if(this._byValue !== null){
+      action._byValue = 1.0 / this._byValue
+    }else{
+      action._toValue = null
+      action._byValue = 1.0
+    }
+    return action
+  }
+
+  /**
+   * @access public
+   * @returns {SCNActionScale} -
+   */
+  copy() {
+    const action = super.copy()
+
+    action._toValue = this._toValue
+    action._byValue = this._byValue
+
+    return action
+  }
+
+  /**
+   * apply action to the given node.
+   * @access private
+   * @param {Object} obj - target object to apply this action.
+   * @param {number} time - active time
+   * @param {boolean} [needTimeConversion = true] -
+   * @returns {void}
+   */
+  _applyAction(obj, time, needTimeConversion = true) {
+    const t = this._getTime(time, needTimeConversion)
+    if(!_InstanceOf(obj, SCNNode)){
+      throw new Error(`unsupported class for SCNActionScale: ${obj.constructor.name}`)
+    }
+
+    const baseValue = obj.scale
+    let toValue = null
+    if(this._toValue !== null){
+      toValue = new SCNVector3(this._toValue, this._toValue, this._toValue)
+    }else if(this._byValue !== null){
+      toValue = baseValue.mul(this._byValue)
+    }else{
+      throw new Error('both toValue and byValue are null')
+    }
+
+    const value = this._lerp(baseValue, toValue, t)
+    obj.presentation.scale = value
+
+    if(this._finished){
+      obj.scale = toValue
+    }
   }
 }
 
+SCNAction.scaleByDuration = SCNActionScale.scaleByDuration
+SCNAction.scaleToDuration = SCNActionScale.scaleToDuration
+
@@ -85,6 +85,22 @@ SCNAction *sequenceReverse = [sequence reversedAction];
     return d
   }
 
+  // Reversing an Action
+
+  /**
+   * runs the reversed actions in the reverse order.
+   * @access public
+   * @returns {SCNAction} -
+   */
+  reversed() {
+    const actions = this._actions.map((act) => act.reversed()).reverse()
+    const action = SCNActionSequence.sequence(actions)
+    action._speed = this._speed
+    action._timingMode = this._timingMode
+    action._timingFunction = this._timingFunction
+    return action
+  }
+
   /**
    * @access public
    * @returns {SCNActionSequence} -
@@ -92,7 +108,7 @@ SCNAction *sequenceReverse = [sequence reversedAction];
   copy() {
     const action = super.copy()
 
-    action._actions = this._actions.slice(0)
+    action._actions = this._actions.map((act) => act.copy())
     action._animIndex = this._animIndex
 
     return action
@@ -110,7 +126,7 @@ SCNAction *sequenceReverse = [sequence reversedAction];
     const total = this.duration
     let duration = 0
     if(total <= 0 || total === Infinity){
-      duration = this._activetimeFromTime(time)
+      duration = this._activetimeFromTime(time) * this.speed
     }else{
       duration = this._getTime(time, needTimeConversion) * total
     }
@@ -3,6 +3,7 @@
 import NSObject from '../ObjectiveC/NSObject'
 //import SCNAudioSource from './SCNAudioSource'
 import AVAudioMixerNode from '../AVFoundation/AVAudioMixerNode'
+import _AudioContext from '../util/_AudioContext'
 
 
 /**
@@ -30,7 +31,16 @@ export default class SCNAudioPlayer extends NSObject {
 
     this._audioSource = source
     this._audioNode = new AVAudioMixerNode()
-    this._audioNode._gainNode = source._gainNode
+    this._audioNode.volume = source.volume
+    this._audioNode.rate = source.rate
+    this._audioNode.reverbBlend = source.reverbBlend
+
+    /**
+     * The environment which spatializes the audio of this player.
+     * @access private
+     * @type {?AVAudioEnvironmentNode}
+     */
+    this._environment = null
 
     // Responding to Playback
 
@@ -105,11 +115,45 @@ export default class SCNAudioPlayer extends NSObject {
   }
 
   _play() {
-    this._audioSource._play()
+    if(_AudioContext === null){
+      // nothing can be played without Web Audio.
+      return
+    }
+    const source = this._audioSource
+    source.load()
+    source._loadedPromise.then(() => {
+      const mixer = this._audioNode
+      mixer._createNodes(_AudioContext, source.isPositional)
+      this._connectToEnvironment(this._environment)
+      mixer._setSourceNode(source._createBufferSource())
+      mixer._sourceNode.start(0)
+    }).catch(() => {
+      // the error is reported through didLoad.
+    })
   }
 
   _stop() {
-    this._audioSource._stop()
+    const mixer = this._audioNode
+    if(mixer._sourceNode){
+      mixer._sourceNode.stop(0)
+      mixer._setSourceNode(null)
+    }
+  }
+
+  /**
+   * Routes the output of the player to the given environment.
+   * The output goes directly to the destination until the renderer spatializes the player.
+   * @access private
+   * @param {?AVAudioEnvironmentNode} environment -
+   * @returns {void}
+   */
+  _connectToEnvironment(environment) {
+    this._environment = environment
+    if(environment !== null && environment._inputNode !== null){
+      this._audioNode._connect(environment._inputNode, environment._reverbNode)
+    }else if(_AudioContext !== null){
+      this._audioNode._connect(_AudioContext.destination, null)
+    }
   }
 
   /**
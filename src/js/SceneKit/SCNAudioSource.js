@@ -2,17 +2,8 @@
 
 import _AjaxRequest from '../util/_AjaxRequest'
 import NSObject from '../ObjectiveC/NSObject'
+import _AudioContext from '../util/_AudioContext'
 
-/*global AudioContext webkitAudioContext*/
-let _AudioContext = () => {}
-if(typeof AudioContext !== 'undefined'){
-  _AudioContext = AudioContext
-}else if(typeof webkitAudioContext !== 'undefined'){
-  _AudioContext = webkitAudioContext
-}else{
-  console.error('error: AudioContext is not supported')
-}
-const _context = new _AudioContext()
 
 /**
  * A simple, reusable audio source—music or sound effects loaded from a file—for use in positional audio playback.
@@ -82,7 +73,7 @@ export default class SCNAudioSource extends NSObject {
      * @type {number}
      * @see https://developer.apple.com/documentation/scenekit/scnaudiosource/1524189-rate
      */
-    this.rate = 0
+    this.rate = 1.0
 
     /**
      * The default blend of blend of unmodified and reverb-processed (also called dry and wet) audio for playback of the audio source.
@@ -112,12 +103,16 @@ export default class SCNAudioSource extends NSObject {
     })
     this._url = url
     this._buffer = null
-    this._gainNode = _context.createGain()
+    this._volume = 1.0
+    this._gainNode = null
+    if(_AudioContext !== null){
+      this._gainNode = _AudioContext.createGain()
+    }
     this._loops = false
     this._source = null
-    //this._source = _context.createBufferSource()
+    //this._source = _AudioContext.createBufferSource()
     //this._source.connect(this._gainNode)
-    //this._gainNode.connect(_context.destination)
+    //this._gainNode.connect(_AudioContext.destination)
   }
 
   /**
@@ -126,10 +121,13 @@ export default class SCNAudioSource extends NSObject {
    * @see https://developer.apple.com/documentation/scenekit/scnaudiosource/1524106-volume
    */
   get volume() {
-    return this._gainNode.gain.value
+    return this._volume
   }
   set volume(newValue) {
-    this._gainNode.gain.value = newValue
+    this._volume = newValue
+    if(this._gainNode !== null){
+      this._gainNode.gain.value = newValue
+    }
   }
 
   /**
@@ -161,28 +159,53 @@ export default class SCNAudioSource extends NSObject {
       return
     }
     this._loading = true
+    if(_AudioContext === null){
+      this._reject(new Error('SCNAudioSource: audio data can not be decoded without Web Audio'))
+      return
+    }
 
-    const promise = _AjaxRequest.get(this._url, {responseType: 'arraybuffer'})
+    _AjaxRequest.get(this._url, {responseType: 'arraybuffer'})
       .then((data) => {
-        _context.decodeAudioData(data, (buffer) => {
+        _AudioContext.decodeAudioData(data, (buffer) => {
           this._buffer = buffer
           this._resolve()
+        }, (error) => {
+          this._reject(error)
         })
       })
+      .catch((error) => {
+        this._reject(error)
+      })
   }
 
   _play(when = 0) {
+    if(_AudioContext === null){
+      return
+    }
     this.load()
     this._loadedPromise.then(() => {
-      this._source = _context.createBufferSource()
-      this._source.buffer = this._buffer
+      this._source = this._createBufferSource()
       this._source.connect(this._gainNode)
-      this._gainNode.connect(_context.destination)
-      this._source.loop = this._loops
+      this._gainNode.connect(_AudioContext.destination)
       this._source.start(when)
+    }).catch(() => {
+      // the error is reported through didLoad.
     })
   }
 
+  /**
+   * Creates a Web Audio node which plays the loaded audio data.
+   * @access private
+   * @returns {AudioBufferSourceNode} -
+   */
+  _createBufferSource() {
+    const source = _AudioContext.createBufferSource()
+    source.buffer = this._buffer
+    source.loop = this._loops
+    source.playbackRate.value = this.rate
+    return source
+  }
+
   _stop(when = 0) {
     if(this._source){
       this._source.stop(when)
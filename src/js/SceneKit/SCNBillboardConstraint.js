@@ -1,7 +1,10 @@
 'use strict'
 
 import SCNConstraint from './SCNConstraint'
-//import SCNBillboardAxis from './SCNBillboardAxis'
+import SCNBillboardAxis from './SCNBillboardAxis'
+import SCNVector3 from './SCNVector3'
+
+const _epsilon = 1e-6
 
 /**
  * A constraint that orients a node to always point toward the current camera.
@@ -26,7 +29,86 @@ export default class SCNBillboardConstraint extends SCNConstraint {
      * @type {SCNBillboardAxis}
      * @see https://developer.apple.com/documentation/scenekit/scnbillboardconstraint/1468685-freeaxes
      */
-    this.freeAxes = null
+    this.freeAxes = SCNBillboardAxis.all
+
+  }
+
+  /**
+   * @access private
+   * @param {SCNNode} node -
+   * @param {SCNMatrix4} transform -
+   * @param {?SCNSceneRenderer} renderer -
+   * @returns {?SCNMatrix4} -
+   */
+  _constrainedWorldTransform(node, transform, renderer) {
+    const pointOfView = renderer ? renderer.pointOfView : null
+    if(!pointOfView || pointOfView === node){
+      return null
+    }
+    const cameraTransform = SCNConstraint._worldTransformOf(pointOfView)
+    const position = transform.getTranslation()
+    const scale = transform.getScale()
+    const axes = this.freeAxes & SCNBillboardAxis.all
 
+    if(axes === SCNBillboardAxis.all){
+      return SCNConstraint._composeTransform(scale, SCNConstraint._rotationMatrixOf(cameraTransform), position)
+    }
+
+    const cameraRotation = SCNConstraint._rotationMatrixOf(cameraTransform)
+    const cameraUp = new SCNVector3(0, 1, 0).rotate(cameraRotation)
+    const toCamera = cameraTransform.getTranslation().sub(position)
+    let x = null
+    let y = null
+    let z = null
+    if(axes === SCNBillboardAxis.X || axes === SCNBillboardAxis.Y){
+      // rotates only around the axis to face the camera.
+      const axis = axes === SCNBillboardAxis.X ? new SCNVector3(1, 0, 0) : new SCNVector3(0, 1, 0)
+      z = toCamera.sub(axis.mul(toCamera.dot(axis)))
+      if(z.length() < _epsilon){
+        return null
+      }
+      z = z.normalize()
+      if(axes === SCNBillboardAxis.X){
+        x = axis
+        y = z.cross(x)
+      }else{
+        y = axis
+        x = y.cross(z)
+      }
+    }else if(axes === SCNBillboardAxis.Z){
+      // rotates only around the z axis to match the roll of the camera.
+      z = new SCNVector3(0, 0, 1)
+      y = cameraUp.sub(z.mul(cameraUp.dot(z)))
+      if(y.length() < _epsilon){
+        return null
+      }
+      y = y.normalize()
+      x = y.cross(z)
+    }else{
+      if(toCamera.length() < _epsilon){
+        return null
+      }
+      z = toCamera.normalize()
+      x = cameraUp.cross(z)
+      if(x.length() < _epsilon){
+        return null
+      }
+      x = x.normalize()
+      y = z.cross(x)
+    }
+    return SCNConstraint._composeTransform(scale, SCNConstraint._rotationMatrixWithAxes(x, y, z), position)
+  }
+
+  /**
+   * @access private
+   * @param {SCNNode} node -
+   * @param {?SCNSceneRenderer} renderer -
+   * @returns {SCNNode[]} -
+   */
+  _dependentNodes(node, renderer) {
+    if(!renderer){
+      return []
+    }
+    return [renderer.pointOfView]
   }
 }
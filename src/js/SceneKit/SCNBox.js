@@ -6,6 +6,7 @@ import SCNGeometrySource from './SCNGeometrySource'
 import SCNGeometryElement from './SCNGeometryElement'
 import SCNGeometryPrimitiveType from './SCNGeometryPrimitiveType'
 import SCNVector3 from './SCNVector3'
+import Ammo from '../third_party/ammo'
 
 /**
  * A six-sided polyhedron geometry whose faces are all rectangles, optionally with rounded edges and corners.
@@ -37,14 +38,14 @@ export default class SCNBox extends SCNGeometry {
         return box
       },
       name: ['string', null],
-      boxwidth: ['float', null],
-      boxheight: ['float', null],
-      boxlength: ['float', null],
-      boxwidthSegmentCount: ['integer', null],
-      boxheightSegmentCount: ['integer', null],
-      boxlengthSegmentCount: ['integer', null],
-      boxchamferRadius: ['float', null],
-      boxchamferSegmentCount: ['integer', null],
+      boxwidth: ['float', null, (obj) => obj.width],
+      boxheight: ['float', null, (obj) => obj.height],
+      boxlength: ['float', null, (obj) => obj.length],
+      boxwidthSegmentCount: ['integer', null, (obj) => obj.widthSegmentCount],
+      boxheightSegmentCount: ['integer', null, (obj) => obj.heightSegmentCount],
+      boxlengthSegmentCount: ['integer', null, (obj) => obj.lengthSegmentCount],
+      boxchamferRadius: ['float', null, (obj) => obj.chamferRadius],
+      boxchamferSegmentCount: ['integer', null, (obj) => obj.chamferSegmentCount],
       boxprimitiveType: ['integer', null],
       materials: ['NSArray', null],
       tessellator: ['SCNGeometryTessellator', null],
@@ -339,9 +340,9 @@ export default class SCNBox extends SCNGeometry {
    * @desc call Ammo.destroy(shape) after using it.
    */
   _createBtCollisionShape() {
-    //const size = new Ammo.btVector3(this.width * 0.5, this.height * 0.5, this.length * 0.5)
-    //const shape = new Ammo.btBoxShape(size)
-    //Ammo.destroy(size)
-    //return shape
+    const size = new Ammo.btVector3(this.width * 0.5, this.height * 0.5, this.length * 0.5)
+    const shape = new Ammo.btBoxShape(size)
+    Ammo.destroy(size)
+    return shape
   }
 }
@@ -6,6 +6,7 @@ import SCNGeometryPrimitiveType from './SCNGeometryPrimitiveType'
 import SCNGeometrySource from './SCNGeometrySource'
 import SCNMaterial from './SCNMaterial'
 import SCNVector3 from './SCNVector3'
+import Ammo from '../third_party/ammo'
 
 /**
  * A right circular cylinder geometry whose ends are capped with hemispheres.
@@ -18,8 +19,8 @@ export default class SCNCapsule extends SCNGeometry {
     return {
       capsulecapRadius: ['float', 'capRadius'],
       capsulecapSegmentCount: ['integer', 'capSegmentCount'],
-      capsuleheight: ['float', null],
-      capsuleheightSegmentCount: ['integer', null],
+      capsuleheight: ['float', 'height'],
+      capsuleheightSegmentCount: ['integer', 'heightSegmentCount'],
       capsuleprimitiveType: ['integer', null],
       capsuleradialSegmentCount: ['integer', 'radialSegmentCount'],
       materials: 'NSArray',
@@ -223,9 +224,9 @@ export default class SCNCapsule extends SCNGeometry {
    * @desc call Ammo.destroy(shape) after using it.
    */
   _createBtCollisionShape() {
-    //const height = (this.height - this.capRadius) * 0.5
-    //const shape = new Ammo.btCapsuleShape(this.capRadius, height)
-    //return shape
+    // btCapsuleShape's height doesn't include the caps.
+    const height = Math.max(this.height - this.capRadius * 2.0, 0)
+    return new Ammo.btCapsuleShape(this.capRadius, height)
   }
 
   /**
@@ -2,9 +2,11 @@
 
 import NSObject from '../ObjectiveC/NSObject'
 //import SCNAnimatable from './SCNAnimatable'
+import SCNMatrix4 from './SCNMatrix4'
+import SCNVector3 from './SCNVector3'
 
 /**
- * The abstract superclass for objects that automatically adjust the position, rotation, or scale of a node based on rules you define.
+ * The abstract superclass for objects that automatically adjust the position, rotation, or scale of a node based on rules you define.
  * @access public
  * @extends {NSObject}
  * @implements {SCNAnimatable}
@@ -27,7 +29,279 @@ export default class SCNConstraint extends NSObject {
      * @type {number}
      * @see https://developer.apple.com/documentation/scenekit/scnconstraint/1468692-influencefactor
      */
-    this.influenceFactor = 0
+    this.influenceFactor = 1.0
 
+    /**
+     * A Boolean value that determines whether the constraint is evaluated.
+     * @type {boolean}
+     * @see https://developer.apple.com/documentation/scenekit/scnconstraint/2873021-isenabled
+     */
+    this.isEnabled = true
+
+    /**
+     * A Boolean value that determines whether the influence factor is applied to the result of the previous frame instead of the unconstrained transform.
+     * @type {boolean}
+     * @desc An incremental constraint with an influence factor less than 1.0 moves the node toward its constrained transform over several frames.
+     * @see https://developer.apple.com/documentation/scenekit/scnconstraint/2873015-isincremental
+     */
+    this.isIncremental = true
+
+    /**
+     * the constrained transforms of the previous frame.
+     * @access private
+     * @type {WeakMap<SCNNode, SCNMatrix4>}
+     */
+    this._lastTransforms = new WeakMap()
+  }
+
+  /**
+   * Applies the constraints of the node hierarchy to the presentation nodes.
+   * @access private
+   * @param {SCNNode} rootNode -
+   * @param {?SCNSceneRenderer} [renderer = null] -
+   * @returns {void}
+   * @desc A node is evaluated after the constrained nodes it depends on: its constrained ancestors and the nodes its constraints refer to.
+   */
+  static _evaluateConstraints(rootNode, renderer = null) {
+    for(const node of SCNConstraint._constrainedNodesInDependencyOrder(rootNode, renderer)){
+      for(const constraint of node.constraints){
+        constraint._applyTo(node, renderer)
+      }
+    }
+  }
+
+  /**
+   * @access private
+   * @param {SCNNode} rootNode -
+   * @param {?SCNSceneRenderer} renderer -
+   * @returns {SCNNode[]} -
+   */
+  static _constrainedNodesInDependencyOrder(rootNode, renderer) {
+    const nodes = []
+    rootNode.enumerateHierarchy((node) => {
+      if(node.constraints && node.constraints.length > 0){
+        nodes.push(node)
+      }
+    })
+
+    const affects = (node, other) => {
+      // true if the result of the node's constraints changes the world transform of the other node.
+      for(const constraint of node.constraints){
+        const root = constraint._affectedRootNode(node)
+        for(let n = other; n !== null; n = n.parent){
+          if(n === root){
+            return true
+          }
+        }
+      }
+      return false
+    }
+    const dependsOn = (node, other) => {
+      if(node === other){
+        return false
+      }
+      if(affects(other, node)){
+        return true
+      }
+      for(const constraint of node.constraints){
+        for(const target of constraint._dependentNodes(node, renderer)){
+          if(target && affects(other, target)){
+            return true
+          }
+        }
+      }
+      return false
+    }
+
+    const sorted = []
+    const visited = new Set()
+    const visit = (node) => {
+      if(visited.has(node)){
+        // already sorted, or a circular dependency which can't be resolved.
+        return
+      }
+      visited.add(node)
+      for(const other of nodes){
+        if(dependsOn(node, other)){
+          visit(other)
+        }
+      }
+      sorted.push(node)
+    }
+    nodes.forEach(visit)
+    return sorted
+  }
+
+  /**
+   * @access private
+   * @param {SCNNode} node - the constrained node.
+   * @param {?SCNSceneRenderer} [renderer = null] -
+   * @returns {void}
+   */
+  _applyTo(node, renderer = null) {
+    if(!this.isEnabled || this.influenceFactor <= 0){
+      return
+    }
+    const current = SCNConstraint._worldTransformOf(node)
+    const target = this._constrainedWorldTransform(node, current, renderer)
+    if(target === null){
+      return
+    }
+
+    let result = target
+    if(this.influenceFactor < 1.0){
+      let from = current
+      if(this.isIncremental && this._lastTransforms.has(node)){
+        from = this._lastTransforms.get(node)
+      }
+      result = SCNConstraint._interpolateTransforms(from, target, this.influenceFactor)
+    }
+    this._lastTransforms.set(node, result)
+    SCNConstraint._setWorldTransform(node, result)
+  }
+
+  /**
+   * Returns the world transform the constraint moves the node to.
+   * @access private
+   * @param {SCNNode} node - the constrained node.
+   * @param {SCNMatrix4} transform - the current world transform of the presentation node.
+   * @param {?SCNSceneRenderer} renderer -
+   * @returns {?SCNMatrix4} - null if the constraint doesn't change the transform.
+   */
+  _constrainedWorldTransform(node, transform, renderer) {
+    return null
+  }
+
+  /**
+   * Returns the nodes whose transforms the constraint refers to.
+   * @access private
+   * @param {SCNNode} node - the constrained node.
+   * @param {?SCNSceneRenderer} renderer -
+   * @returns {SCNNode[]} -
+   */
+  _dependentNodes(node, renderer) {
+    return []
+  }
+
+  /**
+   * Returns the highest node whose transform is changed by the constraint.
+   * @access private
+   * @param {SCNNode} node - the constrained node.
+   * @returns {SCNNode} -
+   */
+  _affectedRootNode(node) {
+    return node
+  }
+
+  /**
+   * @access private
+   * @param {SCNNode} node -
+   * @returns {SCNMatrix4} -
+   */
+  static _worldTransformOf(node) {
+    if(node._presentation){
+      return node._presentation._worldTransform
+    }
+    return node._worldTransform
+  }
+
+  /**
+   * @access private
+   * @param {SCNNode} node -
+   * @returns {SCNMatrix4} -
+   */
+  static _parentWorldTransformOf(node) {
+    if(node.parent === null){
+      return SCNMatrix4._identity()
+    }
+    return SCNConstraint._worldTransformOf(node.parent)
+  }
+
+  /**
+   * Sets the world transform of the presentation node and updates its descendants.
+   * @access private
+   * @param {SCNNode} node -
+   * @param {SCNMatrix4} transform -
+   * @returns {void}
+   */
+  static _setWorldTransform(node, transform) {
+    const parentTransform = SCNConstraint._parentWorldTransformOf(node)
+    node.presentation.transform = transform.mult(parentTransform.invert())
+    node._updateWorldTransform()
+  }
+
+  /**
+   * @access private
+   * @param {SCNVector3} scale -
+   * @param {SCNMatrix4} rotation - rotation matrix.
+   * @param {SCNVector3} position -
+   * @returns {SCNMatrix4} -
+   */
+  static _composeTransform(scale, rotation, position) {
+    return SCNMatrix4.matrixWithScale(scale).mult(rotation).translation(position)
+  }
+
+  /**
+   * @access private
+   * @param {SCNMatrix4} transform -
+   * @returns {SCNMatrix4} - rotation matrix without scale and translation.
+   */
+  static _rotationMatrixOf(transform) {
+    return SCNMatrix4.matrixWithRotation(transform.getRotation())
+  }
+
+  /**
+   * @access private
+   * @param {SCNVector3} x - x axis.
+   * @param {SCNVector3} y - y axis.
+   * @param {SCNVector3} z - z axis.
+   * @returns {SCNMatrix4} -
+   */
+  static _rotationMatrixWithAxes(x, y, z) {
+    const m = SCNMatrix4._identity()
+    m.m11 = x.x
+    m.m12 = x.y
+    m.m13 = x.z
+    m.m21 = y.x
+    m.m22 = y.y
+    m.m23 = y.z
+    m.m31 = z.x
+    m.m32 = z.y
+    m.m33 = z.z
+    return m
+  }
+
+  /**
+   * Returns the shortest rotation from a direction to another.
+   * @access private
+   * @param {SCNVector3} from - normalized vector.
+   * @param {SCNVector3} to - normalized vector.
+   * @returns {SCNMatrix4} -
+   */
+  static _rotationMatrixFromTo(from, to) {
+    const cos = Math.max(-1.0, Math.min(1.0, from.dot(to)))
+    let axis = from.cross(to)
+    if(axis.length() < 1e-6){
+      if(cos > 0){
+        return SCNMatrix4._identity()
+      }
+      // opposite directions: rotate around any perpendicular axis.
+      axis = from.cross(Math.abs(from.x) < 0.9 ? new SCNVector3(1, 0, 0) : new SCNVector3(0, 1, 0))
+    }
+    return SCNMatrix4.matrixWithRotation(axis.x, axis.y, axis.z, Math.acos(cos))
+  }
+
+  /**
+   * @access private
+   * @param {SCNMatrix4} from -
+   * @param {SCNMatrix4} to -
+   * @param {number} rate -
+   * @returns {SCNMatrix4} -
+   */
+  static _interpolateTransforms(from, to, rate) {
+    const position = from.getTranslation().lerp(to.getTranslation(), rate)
+    const scale = from.getScale().lerp(to.getScale(), rate)
+    const orientation = from.getOrientation().slerp(to.getOrientation(), rate)
+    return SCNConstraint._composeTransform(scale, SCNMatrix4.matrixWithOrientation(orientation), position)
   }
 }
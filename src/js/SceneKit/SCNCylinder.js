@@ -31,10 +31,10 @@ export default class SCNCylinder extends SCNGeometry {
         return cylinder
       },
       name: ['string', null],
-      cylinderradius: ['float', null],
-      cylinderheight: ['float', null],
-      cylinderradialSegmentCount: ['integer', null],
-      cylinderheightSegmentCount: ['integer', null],
+      cylinderradius: ['float', null, (obj) => obj.radius],
+      cylinderheight: ['float', null, (obj) => obj.height],
+      cylinderradialSegmentCount: ['integer', null, (obj) => obj.radialSegmentCount],
+      cylinderheightSegmentCount: ['integer', null, (obj) => obj.heightSegmentCount],
       cylinderradialSpan: ['float', null],
       cylinderprimitiveType: ['integer', null],
       materials: ['NSArray', null],
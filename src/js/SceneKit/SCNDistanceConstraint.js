@@ -5,7 +5,7 @@ import SCNNode from './SCNNode'
 
 
 /**
- * 
+ * A constraint that keeps the distance between a node and a target node within a range.
  * @access public
  * @extends {SCNConstraint}
  * @see https://developer.apple.com/documentation/scenekit/scndistanceconstraint
@@ -23,21 +23,21 @@ export default class SCNDistanceConstraint extends SCNConstraint {
     // Instance Properties
 
     /**
-     * 
+     * The maximum distance from the target.
      * @type {number}
      * @see https://developer.apple.com/documentation/scenekit/scndistanceconstraint/2873358-maximumdistance
      */
-    this.maximumDistance = 0
+    this.maximumDistance = Number.POSITIVE_INFINITY
 
     /**
-     * 
+     * The minimum distance from the target.
      * @type {number}
      * @see https://developer.apple.com/documentation/scenekit/scndistanceconstraint/2873385-minimumdistance
      */
     this.minimumDistance = 0
 
     /**
-     * 
+     * The node to keep the distance from.
      * @type {?SCNNode}
      * @see https://developer.apple.com/documentation/scenekit/scndistanceconstraint/2873381-target
      */
@@ -48,7 +48,7 @@ export default class SCNDistanceConstraint extends SCNConstraint {
   // Initializers
 
   /**
-   * 
+   * Creates a distance constraint for a specified target node.
    * @access public
    * @param {?SCNNode} target - 
    * @returns {SCNDistanceConstraint}
@@ -56,7 +56,49 @@ export default class SCNDistanceConstraint extends SCNConstraint {
    */
   static constraintWithTarget(target) {
     const constraint = new SCNDistanceConstraint()
-    // TODO: implement
+    constraint.target = target
     return constraint
   }
+
+  /**
+   * @access private
+   * @param {SCNNode} node -
+   * @param {SCNMatrix4} transform -
+   * @param {?SCNSceneRenderer} renderer -
+   * @returns {?SCNMatrix4} -
+   */
+  _constrainedWorldTransform(node, transform, renderer) {
+    if(this.target === null){
+      return null
+    }
+    const targetPosition = SCNConstraint._worldTransformOf(this.target).getTranslation()
+    const offset = transform.getTranslation().sub(targetPosition)
+    const distance = offset.length()
+    let newDistance = distance
+    if(distance < this.minimumDistance){
+      newDistance = this.minimumDistance
+    }else if(distance > this.maximumDistance){
+      newDistance = this.maximumDistance
+    }
+    if(newDistance === distance || distance === 0){
+      // the direction can't be decided when the node is at the target position.
+      return null
+    }
+    const position = targetPosition.add(offset.mul(newDistance / distance))
+    const m = transform._copy()
+    m.m41 = position.x
+    m.m42 = position.y
+    m.m43 = position.z
+    return m
+  }
+
+  /**
+   * @access private
+   * @param {SCNNode} node -
+   * @param {?SCNSceneRenderer} renderer -
+   * @returns {SCNNode[]} -
+   */
+  _dependentNodes(node, renderer) {
+    return [this.target]
+  }
 }
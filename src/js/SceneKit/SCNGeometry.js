@@ -7,12 +7,14 @@ import SCNCullMode from './SCNCullMode'
 //import SCNShadable from './SCNShadable'
 import SCNGeometrySource from './SCNGeometrySource'
 //import SCNGeometryElement from './SCNGeometryElement'
+import SCNGeometryPrimitiveType from './SCNGeometryPrimitiveType'
 //import SCNLevelOfDetail from './SCNLevelOfDetail'
 import SCNMaterial from './SCNMaterial'
 //import SCNMatrix4MakeTranslation from './SCNMatrix4MakeTranslation'
 import SCNOrderedDictionary from './SCNOrderedDictionary'
 import SCNVector3 from './SCNVector3'
 import SKColor from '../SpriteKit/SKColor'
+import Ammo from '../third_party/ammo'
 import _InstanceOf from '../util/_InstanceOf'
 
 /**
@@ -30,6 +32,10 @@ export default class SCNGeometry extends NSObject {
       //console.log(`addSources source.length: ${sources.length}, key: ${key}`)
       obj._geometrySources.push(...sources) 
     }
+    const getSources = (obj, key) => {
+      const sources = obj.getGeometrySourcesForSemantic(key)
+      return sources.length > 0 ? sources : null
+    }
     return {
       name: 'string',
       levelsOfDetail: 'NSArray',
@@ -39,16 +45,16 @@ export default class SCNGeometry extends NSObject {
       // program
       // shaderModifiers
       elements: ['NSArray', '_geometryElements'],
-      kGeometrySourceSemanticColor: ['NSArray', addSources],
-      kGeometrySourceSemanticEdgeCrease: ['NSArray', addSources],
-      kGeometrySourceSemanticNormal: ['NSArray', addSources],
-      kGeometrySourceSemanticTangent: ['NSArray', addSources],
-      kGeometrySourceSemanticTexcoord: ['NSArray', addSources],
+      kGeometrySourceSemanticColor: ['NSArray', addSources, getSources],
+      kGeometrySourceSemanticEdgeCrease: ['NSArray', addSources, getSources],
+      kGeometrySourceSemanticNormal: ['NSArray', addSources, getSources],
+      kGeometrySourceSemanticTangent: ['NSArray', addSources, getSources],
+      kGeometrySourceSemanticTexcoord: ['NSArray', addSources, getSources],
       kGeometrySourceSemanticVertex: ['NSArray', (obj, sources) => {
         addSources(obj, sources)
         obj._updateBoundingBox()
-      }],
-      kGeometrySourceSemanticVertexCrease: ['NSArray', addSources],
+      }, getSources],
+      kGeometrySourceSemanticVertexCrease: ['NSArray', addSources, getSources],
       wantsAdaptiveSubdivision: 'boolean',
       adaptiveSubdivision: ['boolean', null],
 
@@ -245,9 +251,11 @@ export default class SCNGeometry extends NSObject {
      */
     this._shadableHelper = null
 
-    this._btVertices = null
+    /**
+     * @access private
+     * @type {?Ammo.btTriangleMesh}
+     */
     this._btMesh = null
-    this._btShape = null
 
     /**
      * @access private
@@ -1271,54 +1279,85 @@ This method is for OpenGL shader programs only. To bind custom variable data for
    * @desc call Ammo.destroy(shape) after using it.
    */
   _createBtCollisionShape() {
-    return this._createBtConvexTriangleMeshShape()
+    return this._createBtConvexHullShape()
+  }
+
+  /**
+   * @access private
+   * @returns {Ammo.btConvexHullShape} -
+   * @desc call Ammo.destroy(shape) after using it.
+   */
+  _createBtConvexHullShape() {
+    const shape = new Ammo.btConvexHullShape()
+    const vertexSource = this.getGeometrySourcesForSemantic(SCNGeometrySource.Semantic.vertex)[0]
+    const vertexCount = vertexSource.vectorCount
+    for(let i=0; i<vertexCount; i++){
+      const v = vertexSource._scnVectorAt(i)._createBtVector3()
+      // the last point recalculates the bounding box.
+      shape.addPoint(v, i === vertexCount - 1)
+      Ammo.destroy(v)
+    }
+    return shape
   }
 
-  _createBtConvexTriangleMeshShape() {
-    //this._destoryShape()
-    //this._btVertices = []
-
-    //const vertexSource = this.getGeometrySourcesForSemantic(SCNGeometrySource.Semantic.vertex)[0]
-    //const vertexCount = vertexSource.vectorCount
-    //for(let i=0; i<vertexCount; i++){
-    //  this._btVertices.push(vertexSource._scnVectorAt(i)._createBtVector3())
-    //}
-
-    //this._btMesh = new Ammo.btTriangleMesh(false, false) // 16bit indices, 3 component vertices
-    //for(const element of this._geometryElements){
-    //  const indexCount = element._primitiveCount
-    //  for(let i=0; i<indexCount; i++){
-    //    // TODO: check primitiveType
-    //    const indices = element._indexAt(i)
-    //    this._btMesh.addTriangle(
-    //      this._btVertices[indices[0]],
-    //      this._btVertices[indices[1]],
-    //      this._btVertices[indices[2]],
-    //      true
-    //    )
-    //  }
-    //}
-
-    //const calcAabb = true
-    //this._btShape = new Ammo.btTriangleMeshShape(this._btMesh, calcAabb)
-
-    //return this._btShape
+  /**
+   * @access private
+   * @returns {Ammo.btBvhTriangleMeshShape} -
+   * @desc call Ammo.destroy(shape) after using it. The mesh data is shared with other shapes created from this geometry.
+   */
+  _createBtBvhTriangleMeshShape() {
+    const useQuantizedAabbCompression = true
+    return new Ammo.btBvhTriangleMeshShape(this._getBtTriangleMesh(), useQuantizedAabbCompression, true)
+  }
+
+  /**
+   * @access private
+   * @returns {Ammo.btTriangleMesh} -
+   */
+  _getBtTriangleMesh() {
+    if(this._btMesh !== null){
+      return this._btMesh
+    }
+
+    const vertexSource = this.getGeometrySourcesForSemantic(SCNGeometrySource.Semantic.vertex)[0]
+    const vertexCount = vertexSource.vectorCount
+    const vertices = []
+    for(let i=0; i<vertexCount; i++){
+      vertices.push(vertexSource._scnVectorAt(i)._createBtVector3())
+    }
+
+    this._btMesh = new Ammo.btTriangleMesh(true, false) // 32bit indices, 3 component vertices
+    for(const element of this._geometryElements){
+      const type = element._primitiveType
+      if(type !== SCNGeometryPrimitiveType.triangles
+        && type !== SCNGeometryPrimitiveType.triangleStrip
+        && type !== SCNGeometryPrimitiveType.polygon){
+        continue
+      }
+      const indexCount = element._primitiveCount
+      for(let i=0; i<indexCount; i++){
+        const indices = element._indexAt(i)
+        this._btMesh.addTriangle(
+          vertices[indices[0]],
+          vertices[indices[1]],
+          vertices[indices[2]],
+          false
+        )
+      }
+    }
+    for(const v of vertices){
+      Ammo.destroy(v)
+    }
+
+    return this._btMesh
   }
 
   _destroyShape() {
-    //if(this._btShape === null){
-    //  return
-    //}
-    //Ammo.destroy(this._btShape)
-    //this._btShape = null
-
-    //Ammo.destroy(this._btMesh)
-    //this._btMesh = null
-
-    //for(const v of this._btVertices){
-    //  Ammo.destroy(v)
-    //}
-    //this._btVerices = null
+    if(this._btMesh === null){
+      return
+    }
+    Ammo.destroy(this._btMesh)
+    this._btMesh = null
   }
 
   _execDestory() {
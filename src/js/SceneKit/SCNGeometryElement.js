@@ -34,11 +34,11 @@ export default class SCNGeometryElement extends NSObject {
       },
       primitiveType: ['integer', null],
       primitiveCount: ['integer', null],
-      elementData: ['NSMutableData', null],
+      elementData: ['NSMutableData', null, (obj) => obj._getDataBuffer()],
       bytesPerIndex: ['integer', null],
       primitiveRangeLocation: ['integer', null],
       primitiveRangeLength: ['integer', null],
-      ptSize: ['float', null],
+      ptSize: ['float', null, (obj) => obj.pointSize],
       indicesChannelCount: ['integer', null],
       interleavedIndicesChannels: ['integer', null],
       minimumPointScreenSpaceRadius: ['float', null],
@@ -211,6 +211,20 @@ export default class SCNGeometryElement extends NSObject {
     return element
   }
 
+  /**
+   * Returns the indices in the binary format which the constructor reads.
+   * @access private
+   * @returns {Buffer} -
+   */
+  _getDataBuffer() {
+    const size = this._bytesPerIndex
+    const buffer = Buffer.alloc(this._data.length * size)
+    for(let i=0; i<this._data.length; i++){
+      buffer.writeUIntLE(this._data[i], i * size, size)
+    }
+    return buffer
+  }
+
   /**
    * @access private
    * @param {number} index -
@@ -254,4 +268,27 @@ export default class SCNGeometryElement extends NSObject {
 
     throw new Error(`unknown primitive type: ${this._primitiveType}`)
   }
+
+  /**
+   * @access private
+   * @type {boolean}
+   */
+  get _hasTriangles() {
+    return this._primitiveType === SCNGeometryPrimitiveType.triangles
+      || this._primitiveType === SCNGeometryPrimitiveType.triangleStrip
+  }
+
+  /**
+   * @access private
+   * @param {number} index - index of the triangle.
+   * @returns {number[]} - indices of the vertices in counterclockwise order.
+   */
+  _triangleIndicesAt(index) {
+    const indices = this._indexAt(index)
+    if(this._primitiveType === SCNGeometryPrimitiveType.triangleStrip && index % 2 === 1){
+      // every other triangle of a strip is clockwise.
+      return [indices[1], indices[0], indices[2]]
+    }
+    return indices
+  }
 }
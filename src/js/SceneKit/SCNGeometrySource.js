@@ -42,10 +42,10 @@ export default class SCNGeometrySource extends NSObject {
           propValues.dataStride
         )
       },
-      data: ['NSMutableData', null],
+      data: ['NSMutableData', null, (obj) => obj._getDataBuffer()],
       semantic: ['string', null],
       vectorCount: ['integer', null],
-      floatComponents: ['boolean', null],
+      floatComponents: ['boolean', null, (obj) => obj.usesFloatComponents],
       componentsPerVector: ['integer', null],
       bytesPerComponent: ['integer', null],
       dataOffset: ['integer', null],
@@ -462,6 +462,32 @@ SCNGeometrySource *source = [SCNGeometrySource geometrySourceWithBuffer:buffer
     return _Semantic
   }
 
+  /**
+   * Returns the data in the binary format which the constructor reads.
+   * @access private
+   * @returns {Buffer} -
+   */
+  _getDataBuffer() {
+    const size = this._bytesPerComponent
+    const buffer = Buffer.alloc(this._data.length * size)
+    for(let i=0; i<this._data.length; i++){
+      const offset = i * size
+      const value = this._data[i]
+      if(!this._usesFloatComponents){
+        buffer.writeIntLE(value, offset, size)
+      }else if(size === 4){
+        buffer.writeFloatLE(value, offset)
+      }else if(size === 8){
+        buffer.writeDoubleLE(value, offset)
+      }else if(size === 1){
+        buffer.writeIntLE(Math.round(value * 255.0), offset, 1)
+      }else{
+        throw new Error(`unknown float data size: ${size}`)
+      }
+    }
+    return buffer
+  }
+
   /**
    * @access private
    * @param {number} index -
@@ -18,26 +18,53 @@ export default class SCNIKConstraint extends SCNConstraint {
   /**
    * Initializes an inverse kinematics constraint whose chain of nodes begins with the specified node.
    * @access public
-   * @param {SCNNode} chainRootNode - 
-   * @returns {void}
+   * @constructor
+   * @param {?SCNNode} [chainRootNode = null] - 
    * @desc The root node is the highest node in the hierarchy moved by the constraint. For example, a robot arm may have two arm segments and a hand connected to a body. The upper arm is a child node of the body, the lower arm is a child node of the upper arm, and the hand is a child node of the lower arm. In this case, the upper arm is the chain root node, because the body should not move to follow the hand.The node you apply the constraint to (using that node’s constraints property) is the end effector of the chain—the lowest node in the hierarchy. When you set the constraint’s targetPosition property, SceneKit attempts to move this node toward the target point by rotating it relative to its parent node (and rotating its parent and ancestor nodes, up the chain ending with the chainRoot node). Continuing the above example, the end effector of the robot arm is its hand.
    * @see https://developer.apple.com/documentation/scenekit/scnikconstraint/1468694-init
    */
-  init(chainRootNode) {
+  constructor(chainRootNode = null) {
+    super()
 
     // Adjusting the Constraint’s Limits of Motion
 
-    this._chainRootNode = null
+    this._chainRootNode = chainRootNode
 
     // Applying Inverse Kinematics to the Constrained Node
 
     /**
      * The desired position for the constrained node, in the scene’s world coordinate space. Animatable.
-     * @type {SCNVector3}
+     * @type {?SCNVector3}
      * @see https://developer.apple.com/documentation/scenekit/scnikconstraint/1468651-targetposition
      */
     this.targetPosition = null
 
+    /**
+     * rotation limits in degrees.
+     * @access private
+     * @type {Map<SCNNode, number>}
+     */
+    this._maxAllowedRotationAngles = new Map()
+
+    /**
+     * the solved orientations of the joints in the previous frame.
+     * @access private
+     * @type {WeakMap<SCNNode, SCNVector4>}
+     */
+    this._lastOrientations = new WeakMap()
+
+    /**
+     * @access private
+     * @type {number}
+     */
+    this._maxIterations = 10
+
+    /**
+     * the solver stops when the end effector gets closer to the target than this distance.
+     * @access private
+     * @type {number}
+     */
+    this._tolerance = 0.0001
   }
 
   /**
@@ -49,7 +76,7 @@ export default class SCNIKConstraint extends SCNConstraint {
    * @see https://developer.apple.com/documentation/scenekit/scnikconstraint/1468653-inversekinematicsconstraint
    */
   static inverseKinematicsConstraint(chainRootNode) {
-    return null
+    return new SCNIKConstraint(chainRootNode)
   }
 
   // Adjusting the Constraint’s Limits of Motion
@@ -63,7 +90,11 @@ export default class SCNIKConstraint extends SCNConstraint {
    * @see https://developer.apple.com/documentation/scenekit/scnikconstraint/1468681-maxallowedrotationangle
    */
   maxAllowedRotationAngleForJoint(node) {
-    return 0
+    const angle = this._maxAllowedRotationAngles.get(node)
+    if(typeof angle === 'undefined'){
+      return 180
+    }
+    return angle
   }
 
   /**
@@ -76,7 +107,9 @@ export default class SCNIKConstraint extends SCNConstraint {
    * @see https://developer.apple.com/documentation/scenekit/scnikconstraint/1468649-setmaxallowedrotationangle
    */
   setMaxAllowedRotationAngleForJoint(angle, node) {
+    this._maxAllowedRotationAngles.set(node, angle)
   }
+
   /**
    * The parent node of the hierarchy affected by the constraint.
    * @type {SCNNode}
@@ -86,4 +119,111 @@ export default class SCNIKConstraint extends SCNConstraint {
   get chainRootNode() {
     return this._chainRootNode
   }
+
+  /**
+   * Returns the joints from the parent of the end effector up to the chain root node.
+   * @access private
+   * @param {SCNNode} node - the end effector.
+   * @returns {?SCNNode[]} - null if the chain root node is not an ancestor of the node.
+   */
+  _jointsOf(node) {
+    const joints = []
+    for(let joint = node.parent; joint !== null; joint = joint.parent){
+      joints.push(joint)
+      if(joint === this._chainRootNode){
+        return joints
+      }
+    }
+    return null
+  }
+
+  /**
+   * @access private
+   * @param {SCNNode} node - the constrained node.
+   * @returns {SCNNode} -
+   */
+  _affectedRootNode(node) {
+    if(this._chainRootNode === null || this._jointsOf(node) === null){
+      return node
+    }
+    return this._chainRootNode
+  }
+
+  /**
+   * Rotates the joints with cyclic coordinate descent.
+   * @access private
+   * @param {SCNNode} node - the end effector.
+   * @param {?SCNSceneRenderer} [renderer = null] -
+   * @returns {void}
+   */
+  _applyTo(node, renderer = null) {
+    if(!this.isEnabled || this.influenceFactor <= 0 || this.targetPosition === null || this._chainRootNode === null){
+      return
+    }
+    const joints = this._jointsOf(node)
+    if(joints === null){
+      return
+    }
+    const target = this.targetPosition
+    const initialOrientations = joints.map((joint) => joint.presentation.orientation)
+    const setOrientation = (joint, orientation) => {
+      joint.presentation.orientation = orientation
+      joint._updateWorldTransform()
+    }
+    const effectorPosition = () => SCNConstraint._worldTransformOf(node).getTranslation()
+
+    for(let i=0; i<this._maxIterations; i++){
+      if(effectorPosition().sub(target).length() < this._tolerance){
+        break
+      }
+      joints.forEach((joint, index) => {
+        const jointTransform = SCNConstraint._worldTransformOf(joint)
+        const jointPosition = jointTransform.getTranslation()
+        const toEffector = effectorPosition().sub(jointPosition)
+        const toTarget = target.sub(jointPosition)
+        if(toEffector.length() < 1e-6 || toTarget.length() < 1e-6){
+          return
+        }
+        const rotation = SCNConstraint._rotationMatrixFromTo(toEffector.normalize(), toTarget.normalize())
+        const parentRotation = SCNConstraint._rotationMatrixOf(SCNConstraint._parentWorldTransformOf(joint))
+        const worldRotation = SCNConstraint._rotationMatrixOf(jointTransform).mult(rotation)
+        const orientation = worldRotation.mult(parentRotation.invert()).getOrientation()
+        setOrientation(joint, this._limitRotation(joint, initialOrientations[index], orientation))
+      })
+    }
+
+    if(this.influenceFactor < 1.0){
+      joints.forEach((joint, index) => {
+        let from = initialOrientations[index]
+        if(this.isIncremental && this._lastOrientations.has(joint)){
+          from = this._lastOrientations.get(joint)
+        }
+        setOrientation(joint, from.slerp(joint.presentation.orientation, this.influenceFactor))
+      })
+    }
+    joints.forEach((joint) => {
+      this._lastOrientations.set(joint, joint.presentation.orientation)
+    })
+  }
+
+  /**
+   * Limits the rotation between the initial and the target orientations of the joint.
+   * @access private
+   * @param {SCNNode} joint -
+   * @param {SCNVector4} from - the initial orientation.
+   * @param {SCNVector4} to - the target orientation.
+   * @returns {SCNVector4} -
+   */
+  _limitRotation(joint, from, to) {
+    const maxAngle = this.maxAllowedRotationAngleForJoint(joint) * Math.PI / 180.0
+    if(maxAngle >= Math.PI){
+      return to
+    }
+    const cos = Math.min(1.0, Math.abs(from.dot(to)))
+    const angle = 2.0 * Math.acos(cos)
+    if(angle <= maxAngle){
+      return to
+    }
+    return from.slerp(to, maxAngle / angle)
+  }
 }
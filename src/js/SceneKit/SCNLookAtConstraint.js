@@ -4,6 +4,8 @@ import SCNConstraint from './SCNConstraint'
 import SCNNode from './SCNNode'
 import SCNVector3 from './SCNVector3'
 
+const _epsilon = 1e-6
+
 
 /**
  * A constraint that orients a node to always point toward a specified other node. 
@@ -26,6 +28,7 @@ export default class SCNLookAtConstraint extends SCNConstraint {
     /**
      * A Boolean value that specifies whether constrained nodes are allowed to rotate.
      * @type {boolean}
+     * @desc If true, the up direction of the constrained node is kept aligned with worldUp. Otherwise the node is rotated along the shortest arc so that it keeps its roll.
      * @see https://developer.apple.com/documentation/scenekit/scnlookatconstraint/1468675-isgimballockenabled
      */
     this.isGimbalLockEnabled = false
@@ -41,25 +44,25 @@ export default class SCNLookAtConstraint extends SCNConstraint {
     // Instance Properties
 
     /**
-     * 
+     * The direction, in the constrained node's coordinate space, which is pointed toward the target.
      * @type {SCNVector3}
      * @see https://developer.apple.com/documentation/scenekit/scnlookatconstraint/2867570-localfront
      */
-    this.localFront = null
+    this.localFront = new SCNVector3(0, 0, -1)
 
     /**
-     * 
+     * The offset, in the target's coordinate space, of the point to look at.
      * @type {SCNVector3}
      * @see https://developer.apple.com/documentation/scenekit/scnlookatconstraint/2867488-targetoffset
      */
-    this.targetOffset = null
+    this.targetOffset = new SCNVector3(0, 0, 0)
 
     /**
-     * 
+     * The up direction in the scene's world coordinate space.
      * @type {SCNVector3}
      * @see https://developer.apple.com/documentation/scenekit/scnlookatconstraint/2902240-worldup
      */
-    this.worldUp = null
+    this.worldUp = new SCNVector3(0, 1, 0)
 
   }
 
@@ -69,13 +72,63 @@ export default class SCNLookAtConstraint extends SCNConstraint {
    * Creates a look-at constraint for a specified target node.
    * @access public
    * @param {?SCNNode} target - The node that constrained nodes will be reoriented to point toward.
-   * @returns {void}
+   * @returns {SCNLookAtConstraint} -
    * @desc To attach constraints to an SCNNode object, use its constraints property.
    * @see https://developer.apple.com/documentation/scenekit/scnlookatconstraint/1468683-init
    */
   static constraintWithTarget(target) {
     const constraint = new SCNLookAtConstraint()
-    // TODO: implement
+    constraint.target = target
     return constraint
   }
+
+  /**
+   * @access private
+   * @param {SCNNode} node -
+   * @param {SCNMatrix4} transform -
+   * @param {?SCNSceneRenderer} renderer -
+   * @returns {?SCNMatrix4} -
+   */
+  _constrainedWorldTransform(node, transform, renderer) {
+    if(this.target === null){
+      return null
+    }
+    const position = transform.getTranslation()
+    const targetTransform = SCNConstraint._worldTransformOf(this.target)
+    const direction = this.targetOffset.transform(targetTransform).sub(position)
+    if(direction.length() < _epsilon){
+      return null
+    }
+    const front = this.localFront.normalize()
+    const rotation = SCNConstraint._rotationMatrixOf(transform)
+    const dir = direction.normalize()
+
+    let newRotation = null
+    if(this.isGimbalLockEnabled){
+      const z = dir.mul(-1)
+      const x = this.worldUp.cross(z)
+      if(x.length() < _epsilon){
+        // looking straight up or down: the up direction can't be kept.
+        newRotation = rotation.mult(SCNConstraint._rotationMatrixFromTo(front.rotate(rotation), dir))
+      }else{
+        const xAxis = x.normalize()
+        const basis = SCNConstraint._rotationMatrixWithAxes(xAxis, z.cross(xAxis), z)
+        // rotates localFront to -z first.
+        newRotation = SCNConstraint._rotationMatrixFromTo(front, new SCNVector3(0, 0, -1)).mult(basis)
+      }
+    }else{
+      newRotation = rotation.mult(SCNConstraint._rotationMatrixFromTo(front.rotate(rotation).normalize(), dir))
+    }
+    return SCNConstraint._composeTransform(transform.getScale(), newRotation, position)
+  }
+
+  /**
+   * @access private
+   * @param {SCNNode} node -
+   * @param {?SCNSceneRenderer} renderer -
+   * @returns {SCNNode[]} -
+   */
+  _dependentNodes(node, renderer) {
+    return [this.target]
+  }
 }
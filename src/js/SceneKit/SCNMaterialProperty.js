@@ -22,7 +22,7 @@ import _InstanceOf from '../util/_InstanceOf'
 export default class SCNMaterialProperty extends NSObject {
   static get _propTypes() {
     return {
-      color: ['NSColor', '_contents'],
+      color: ['NSColor', '_contents', (obj) => (_InstanceOf(obj._contents, SKColor) ? obj._contents : null)],
       image: ['NSMutableDictionary', (obj, dict, key, coder) => {
         if(typeof dict.data !== 'undefined'){
           obj._loadContentsImageByData(dict.data)
@@ -38,10 +38,26 @@ export default class SCNMaterialProperty extends NSObject {
           path = coder._urlTranslator(path, coder)
         }
         obj._loadContentsImage(path, coder._directoryPath)
+      }, (obj, key, coder) => {
+        const contents = obj._contents
+        let image = null
+        let path = null
+        if(typeof contents === 'string'){
+          path = contents
+        }else if(contents && typeof contents.src === 'string'){
+          image = contents
+          path = contents.src
+        }else{
+          return null
+        }
+        if(coder._imageURLTranslator){
+          path = coder._imageURLTranslator(image, path)
+        }
+        return { path: path }
       }],
       float: ['float', (obj, value) => {
         obj._contents = new SKColor(value, value, value, 1.0)
-      }],
+      }, (obj) => (typeof obj._contents === 'number' ? obj._contents : null)],
       intensity: 'float',
       // contentsTransform
       wrapS: 'integer',
@@ -2,7 +2,9 @@
 
 import SCNVector3 from './SCNVector3'
 import SCNVector4 from './SCNVector4'
+import Ammo from '../third_party/ammo'
 import _InstanceOf from '../util/_InstanceOf'
+/*global Buffer*/
 
 
 const _epsilon = 0.0000001
@@ -161,6 +163,24 @@ export default class SCNMatrix4 {
     return instance
   }
 
+  /**
+   * @access private
+   * @param {boolean} [bigEndian = false] -
+   * @returns {Buffer} - the data to be read by _initWithData.
+   */
+  _getData(bigEndian = false) {
+    const values = this.floatArray()
+    const data = Buffer.alloc(values.length * 4)
+    values.forEach((value, i) => {
+      if(bigEndian){
+        data.writeFloatBE(value, i * 4)
+      }else{
+        data.writeFloatLE(value, i * 4)
+      }
+    })
+    return data
+  }
+
   _copy() {
     return new SCNMatrix4(this)
   }
@@ -982,5 +1002,22 @@ export default class SCNMatrix4 {
   static _identity() {
     return new SCNMatrix4(1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1)
   }
+
+  /**
+   * @access private
+   * @returns {Ammo.btTransform} - the translation and the rotation of the matrix. the scale is ignored.
+   * @desc call Ammo.destroy(transform) after using it.
+   */
+  _createBtTransform() {
+    const transform = new Ammo.btTransform()
+    const pos = this.getTranslation()._createBtVector3()
+    const rot = this.getOrientation()._createBtQuaternion()
+    transform.setIdentity()
+    transform.setOrigin(pos)
+    transform.setRotation(rot)
+    Ammo.destroy(pos)
+    Ammo.destroy(rot)
+    return transform
+  }
 }
 
@@ -64,9 +64,10 @@ export default class SCNNode extends NSObject {
       paused: ['boolean', 'isPaused'],
       position: ['SCNVector3', '_position'],
       rotation: ['SCNVector4', '_rotation'],
+      // rotation is archived instead of orientation and eulerAngles.
       orientation: ['SCNVector4', (obj, value) => {
         obj.orientation = value
-      }],
+      }, () => null],
       scale: ['SCNVector3', '_scale'],
       hidden: ['boolean', 'isHidden'],
       opacity: ['float', '_opacity'],
@@ -101,7 +102,7 @@ export default class SCNNode extends NSObject {
       }],
       eulerAngles: ['SCNVector3', (obj, value) => {
         obj.eulerAngles = value
-      }],
+      }, () => null],
       movabilityHint: 'integer',
 
       clientAttributes: ['NSMutableDictionary', null],
@@ -209,7 +210,7 @@ export default class SCNNode extends NSObject {
      */
     this._transform = new SCNMatrix4()
 
-    this._worldTransform = new SCNMatrix4()
+    this._worldTransform = SCNMatrix4._identity()
 
     /**
      * 
@@ -3,9 +3,9 @@
 
 /**
  * The signature for blocks called by SceneKit to modify particle properties on each frame of simulation, used by the addModifier(forProperties:at:modifier:) method.
- * @type {function(data: UnsafeMutablePointer<UnsafeMutableRawPointer>, dataStride: UnsafeMutablePointer<Int>, start: number, end: number, deltaTime: number): void}
- * @param {UnsafeMutablePointer<UnsafeMutableRawPointer>} data - An array of floating-point values containing stripes of property data for the system’s particles. The width and format of each data stripe depend on the properties you specify when calling the addModifier(forProperties:at:modifier:) method.
- * @param {UnsafeMutablePointer<Int>} dataStride - An array identifying the offset, in bytes, of each property’s value in the data stripe for each particle. The order of offsets in this array corresponds to the order of the properties array you specify when calling the addModifier(forProperties:at:modifier:) method.
+ * @type {function(data: Float32Array[], dataStride: number[], start: number, end: number, deltaTime: number): void}
+ * @param {Float32Array[]} data - An array of floating-point values containing stripes of property data for the system’s particles. data[i][dataStride[i] * index] is the first value of the i-th property of the particle at the index. The width and format of each data stripe depend on the properties you specify when calling the addModifier(forProperties:at:modifier:) method.
+ * @param {number[]} dataStride - An array identifying the number of floating-point values of each property in the data stripe for each particle. The order of offsets in this array corresponds to the order of the properties array you specify when calling the addModifier(forProperties:at:modifier:) method.
  * @param {number} start - The index of the first particle’s data stripe in the data array.
  * @param {number} end - The index of the last particle’s data stripe in the data array.
  * @param {number} deltaTime - The elapsed time, in seconds, since the last frame of simulation.
@@ -5,8 +5,6 @@ import NSKeyedUnarchiver from '../Foundation/NSKeyedUnarchiver'
 import NSObject from '../ObjectiveC/NSObject'
 //import SCNAnimatable from './SCNAnimatable'
 //import SCNGeometry from './SCNGeometry'
-import SCNGeometrySource from './SCNGeometrySource'
-import SCNMatrix4 from './SCNMatrix4'
 import SCNParticleBirthLocation from './SCNParticleBirthLocation'
 import SCNParticleBirthDirection from './SCNParticleBirthDirection'
 import SCNVector3 from './SCNVector3'
@@ -17,14 +15,16 @@ import SCNParticleImageSequenceAnimationMode from './SCNParticleImageSequenceAni
 import SCNParticleBlendMode from './SCNParticleBlendMode'
 import SCNParticleOrientationMode from './SCNParticleOrientationMode'
 import SCNParticleSortingMode from './SCNParticleSortingMode'
-//import SCNParticleEvent from './SCNParticleEvent'
+import SCNPhysicsWorld from './SCNPhysicsWorld'
+import SCNParticleEvent from './SCNParticleEvent'
 //import SCNParticleEventBlock from './SCNParticleEventBlock'
 //import SCNParticlePropertyController from './SCNParticlePropertyController'
-//import SCNParticleModifierStage from './SCNParticleModifierStage'
+import SCNParticleModifierStage from './SCNParticleModifierStage'
 //import SCNParticleModifierBlock from './SCNParticleModifierBlock'
 import SCNTransaction from './SCNTransaction'
 import SKColor from '../SpriteKit/SKColor'
 import _InstanceOf from '../util/_InstanceOf'
+import _SCNEmitterShapeSampler from './_SCNEmitterShapeSampler'
 
 const _ParticleProperty = {
   angle: 'Angle',
@@ -45,6 +45,166 @@ const _ParticleProperty = {
   velocity: 'Velocity'
 }
 
+const _readVector = (v, data, i) => {
+  data[i] = v.x
+  data[i + 1] = v.y
+  data[i + 2] = v.z
+}
+
+/**
+ * returns true if the value read from a particle has been changed by a block.
+ * @access private
+ * @param {number} value - the value of the particle.
+ * @param {number} newValue - the value in the data passed to the block.
+ * @returns {boolean} -
+ */
+const _isChanged = (value, newValue) => {
+  return Math.fround(value) !== newValue
+}
+
+/**
+ * copies the value in the data to the object only if a block has changed it
+ * so that the value which is not changed keeps its double precision.
+ * @access private
+ * @param {Object} obj -
+ * @param {string} key -
+ * @param {Float32Array} data -
+ * @param {number} i -
+ * @returns {void}
+ */
+const _writeValue = (obj, key, data, i) => {
+  if(_isChanged(obj[key], data[i])){
+    obj[key] = data[i]
+  }
+}
+
+const _writeVector = (v, data, i) => {
+  _writeValue(v, 'x', data, i)
+  _writeValue(v, 'y', data, i + 1)
+  _writeValue(v, 'z', data, i + 2)
+}
+
+/**
+ * The number of floats of each particle property and the functions which copy the property between particles and the data for modifier and event blocks.
+ * @access private
+ * @type {Object}
+ */
+const _particlePropertyChannels = {
+  [_ParticleProperty.angle]: {
+    size: 1,
+    read: (p, data, i) => { data[i] = p.angle },
+    write: (p, data, i) => { _writeValue(p, 'angle', data, i) }
+  },
+  [_ParticleProperty.angularVelocity]: {
+    size: 1,
+    read: (p, data, i) => { data[i] = p.angularVelocity },
+    write: (p, data, i) => { _writeValue(p, 'angularVelocity', data, i) }
+  },
+  [_ParticleProperty.bounce]: {
+    size: 1,
+    read: (p, data, i) => { data[i] = p.bounce },
+    write: (p, data, i) => { _writeValue(p, 'bounce', data, i) }
+  },
+  [_ParticleProperty.charge]: {
+    size: 1,
+    read: (p, data, i) => { data[i] = p.charge },
+    write: (p, data, i) => { _writeValue(p, 'charge', data, i) }
+  },
+  [_ParticleProperty.color]: {
+    size: 4,
+    read: (p, data, i) => {
+      data[i] = p.color.red
+      data[i + 1] = p.color.green
+      data[i + 2] = p.color.blue
+      data[i + 3] = p.color.alpha
+    },
+    write: (p, data, i) => {
+      _writeValue(p.color, 'red', data, i)
+      _writeValue(p.color, 'green', data, i + 1)
+      _writeValue(p.color, 'blue', data, i + 2)
+      _writeValue(p.color, 'alpha', data, i + 3)
+    }
+  },
+  [_ParticleProperty.contactNormal]: {
+    size: 3,
+    read: (p, data, i) => { _readVector(p.contactNormal, data, i) },
+    write: (p, data, i) => { _writeVector(p.contactNormal, data, i) }
+  },
+  [_ParticleProperty.contactPoint]: {
+    size: 3,
+    read: (p, data, i) => { _readVector(p.contactPoint, data, i) },
+    write: (p, data, i) => { _writeVector(p.contactPoint, data, i) }
+  },
+  [_ParticleProperty.frame]: {
+    size: 1,
+    read: (p, data, i) => { data[i] = p.imageFrame },
+    write: (p, data, i, system) => {
+      if(_isChanged(p.imageFrame, data[i])){
+        p.initialImageFrame += data[i] - p.imageFrame
+        system._setImageFrame(p, data[i])
+      }
+    }
+  },
+  [_ParticleProperty.frameRate]: {
+    size: 1,
+    read: (p, data, i) => { data[i] = p.imageFrameRate },
+    write: (p, data, i) => {
+      if(_isChanged(p.imageFrameRate, data[i])){
+        // keep the current frame
+        p.imageFrameRate = data[i]
+        p.initialImageFrame = p.imageFrame - p.imageFrameRate * p.life * p.lifeSpan
+      }
+    }
+  },
+  [_ParticleProperty.friction]: {
+    size: 1,
+    read: (p, data, i) => { data[i] = p.friction },
+    write: (p, data, i) => { _writeValue(p, 'friction', data, i) }
+  },
+  [_ParticleProperty.life]: {
+    size: 1,
+    read: (p, data, i) => { data[i] = p.lifeSpan * (1.0 - p.life) },
+    write: (p, data, i) => {
+      if(_isChanged(p.lifeSpan * (1.0 - p.life), data[i])){
+        const elapsed = p.life * p.lifeSpan
+        p.lifeSpan = elapsed + data[i]
+        p.life = p.lifeSpan > 0 ? elapsed / p.lifeSpan : Infinity
+      }
+    }
+  },
+  [_ParticleProperty.opacity]: {
+    size: 1,
+    read: (p, data, i) => { data[i] = p.color.alpha },
+    write: (p, data, i) => { _writeValue(p.color, 'alpha', data, i) }
+  },
+  [_ParticleProperty.position]: {
+    size: 3,
+    read: (p, data, i) => { _readVector(p.position, data, i) },
+    write: (p, data, i) => { _writeVector(p.position, data, i) }
+  },
+  [_ParticleProperty.rotationAxis]: {
+    size: 3,
+    read: (p, data, i) => { _readVector(p.axis, data, i) },
+    write: (p, data, i) => { _writeVector(p.axis, data, i) }
+  },
+  [_ParticleProperty.size]: {
+    size: 1,
+    read: (p, data, i) => { data[i] = p.size },
+    write: (p, data, i) => {
+      if(_isChanged(p.size, data[i])){
+        // keep the ratio applied by the property controller
+        p.baseSize = p.size !== 0 ? p.baseSize * data[i] / p.size : data[i]
+        p.size = data[i]
+      }
+    }
+  },
+  [_ParticleProperty.velocity]: {
+    size: 3,
+    read: (p, data, i) => { _readVector(p.velocity, data, i) },
+    write: (p, data, i) => { _writeVector(p.velocity, data, i) }
+  }
+}
+
 class _Particle extends NSObject {
   /**
    * @access public
@@ -95,6 +255,26 @@ class _Particle extends NSObject {
      */
     this.acceleration = null
 
+    /**
+     * @type {number}
+     */
+    this.mass = 1
+
+    /**
+     * @type {number}
+     */
+    this.charge = 0
+
+    /**
+     * @type {number}
+     */
+    this.bounce = 0
+
+    /**
+     * @type {number}
+     */
+    this.friction = 0
+
     /**
      * @type {number}
      */
@@ -105,6 +285,24 @@ class _Particle extends NSObject {
      */
     this.lifeSpan = 0
 
+    /**
+     * The elapsed time divided by the life span.
+     * @type {number}
+     */
+    this.life = 0
+
+    /**
+     * The point, in scene coordinate space, of the last collision.
+     * @type {SCNVector3}
+     */
+    this.contactPoint = new SCNVector3(0, 0, 0)
+
+    /**
+     * The normal vector, in scene coordinate space, of the last collision.
+     * @type {SCNVector3}
+     */
+    this.contactNormal = new SCNVector3(0, 0, 0)
+
     /**
      * @type {number}
      */
@@ -115,6 +313,11 @@ class _Particle extends NSObject {
      */
     this.initialImageFrame = 0
 
+    /**
+     * @type {number}
+     */
+    this.imageFrame = 0
+
     /**
      * @type {number}
      */
@@ -735,6 +938,25 @@ export default class SCNParticleSystem extends NSObject {
      */
     this.propertyControllers = null
 
+    /**
+     * @access private
+     * @type {Array<Array<{properties: string[], block: SCNParticleModifierBlock}>>}
+     */
+    this._modifiers = Object.keys(SCNParticleModifierStage).map(() => [])
+
+    /**
+     * @access private
+     * @type {Array<Array<{properties: string[], block: SCNParticleEventBlock}>>}
+     */
+    this._eventHandlers = Object.keys(SCNParticleEvent).map(() => [])
+
+    /**
+     * The arrays passed to modifier and event blocks. They are reused across frames.
+     * @access private
+     * @type {Object<string, {buffer: Float32Array, array: Float32Array}>}
+     */
+    this._blockDataCache = {}
+
     this._program = null
     this._vertexArray = null
     this._vertexBuffer = null
@@ -859,6 +1081,12 @@ export default class SCNParticleSystem extends NSObject {
    * @see https://developer.apple.com/documentation/scenekit/scnparticlesystem/1523251-handle
    */
   handleForPropertiesHandler(event, properties, block) {
+    const handlers = this._eventHandlers[event]
+    if(typeof handlers === 'undefined'){
+      throw new Error(`unknown particle event: ${event}`)
+    }
+    this._checkProperties(properties)
+    handlers.push({ properties: properties.slice(), block: block })
   }
 
   // Modifying Particles Over Time
@@ -874,6 +1102,12 @@ export default class SCNParticleSystem extends NSObject {
    * @see https://developer.apple.com/documentation/scenekit/scnparticlesystem/1522635-addmodifier
    */
   addModifierForPropertiesAtModifier(properties, stage, block) {
+    const modifiers = this._modifiers[stage]
+    if(typeof modifiers === 'undefined'){
+      throw new Error(`unknown particle modifier stage: ${stage}`)
+    }
+    this._checkProperties(properties)
+    modifiers.push({ properties: properties.slice(), block: block })
   }
 
   /**
@@ -884,6 +1118,9 @@ export default class SCNParticleSystem extends NSObject {
    * @see https://developer.apple.com/documentation/scenekit/scnparticlesystem/1524077-removemodifiers
    */
   removeModifiersAt(stage) {
+    if(typeof this._modifiers[stage] !== 'undefined'){
+      this._modifiers[stage] = []
+    }
   }
 
   /**
@@ -893,6 +1130,7 @@ export default class SCNParticleSystem extends NSObject {
    * @see https://developer.apple.com/documentation/scenekit/scnparticlesystem/1523614-removeallmodifiers
    */
   removeAllModifiers() {
+    this._modifiers = this._modifiers.map(() => [])
   }
 
   // Structures
@@ -1069,145 +1307,28 @@ export default class SCNParticleSystem extends NSObject {
 
     const position = transform.getTranslation()
     const velocity = this.particleVelocity + this.particleVelocityVariation * (Math.random() - 0.5)
-    const spreadingAngle = this.spreadingAngle / 180.0 * Math.PI * Math.random()
-    const spreadingAngleRot = 2.0 * Math.PI * Math.random()
-    const angleMat = SCNMatrix4.matrixWithRotation(this._normal.x, this._normal.y, this._normal.z, spreadingAngle)
-    const rotMat = SCNMatrix4.matrixWithRotation(this._direction.x, this._direction.y, this._direction.z, spreadingAngleRot)
 
     // emitterShape, birthLocation, emittingDirection, spreadingAngle, particleAngle/Variation, particleVelocity
+    let normal = this._direction
     if(this.emitterShape === null){
       p.position = position
-      p.velocity = new SCNVector3(0, 0, velocity) // TODO: use spreadingAngle
-    }else if(this.birthLocation === SCNParticleBirthLocation.surface){
-      let pVec = null
-      let vVec = null
-      switch(this.emitterShape.className){
-        case 'SCNBox': {
-          const rnd = Math.random()
-          const rnd1 = Math.random() - 0.5
-          const rnd2 = Math.random() - 0.5
-          const w = this.emitterShape.width
-          const h = this.emitterShape.height
-          const l = this.emitterShape.length
-          const rx = h * l
-          const ry = l * w
-          const rz = w * h
-          const r = 1.0 / (rx + ry + rz)
-          const tx = rx * r
-          const ty = ry * r
-          const tz = rz * r
-
-          // TODO: chamferRadius
-          if(rnd < tx * 0.5){
-            // right
-            pVec = new SCNVector3(w * 0.5, h * rnd1, l * rnd2)
-            vVec = new SCNVector3(1, 0, 0)
-          }else if(rnd < tx){
-            // left
-            pVec = new SCNVector3(-w * 0.5, h * rnd1, l * rnd2)
-            vVec = new SCNVector3(-1, 0, 0)
-          }else if(rnd < tx + ty * 0.5){
-            // top
-            pVec = new SCNVector3(w * rnd1, h * 0.5, l * rnd2)
-            vVec = new SCNVector3(0, 1, 0)
-          }else if(rnd < tx + ty){
-            // bottom
-            pVec = new SCNVector3(w * rnd1, -h * 0.5, l * rnd2)
-            vVec = new SCNVector3(0, -1, 0)
-          }else if(rnd < tx + ty + tz * 0.5){
-            // front
-            pVec = new SCNVector3(w * rnd1, h * rnd2, l * 0.5)
-            vVec = new SCNVector3(0, 0, 1)
-          }else{
-            // back
-            pVec = new SCNVector3(w * rnd1, h * rnd2, -l * 0.5)
-            vVec = new SCNVector3(0, 0, -1)
-          }
-          break
-        }
-        case 'SCNSphere': {
-          const v = (new SCNVector3(Math.random() - 0.5, Math.random() - 0.5, Math.random() - 0.5)).normalize()
-          pVec = v.mul(this.emitterShape.radius)
-          vVec = v
-          break
-        }
-        case 'SCNPlane': {
-          pVec = new SCNVector3(
-            (Math.random() - 0.5) * this.emitterShape.width, 
-            (Math.random() - 0.5) * this.emitterShape.height,
-            0.0
-          )
-          vVec = new SCNVector3(0, 0, 1)
+    }else{
+      let sample = null
+      switch(this.birthLocation){
+        case SCNParticleBirthLocation.surface:
+          sample = _SCNEmitterShapeSampler.surfacePoint(this.emitterShape)
           break
-        }
-        case 'SCNCylinder': {
-          const y = (Math.random() - 0.5) * this.emitterShape.height
-          const r = Math.random() * Math.PI * 2.0
-          const x = Math.sin(r)
-          const z = Math.cos(r)
-          pVec = new SCNVector3(x * this.emitterShape.radius, y, z * this.emitterShape.radius)
-          vVec = new SCNVector3(x, 0, z)
+        case SCNParticleBirthLocation.volume:
+          sample = _SCNEmitterShapeSampler.volumePoint(this.emitterShape)
           break
-        }
-        case 'SCNGeometry': {
-          const element = this.emitterShape.geometryElementAtIndex(0)
-          const vertexSrc = this.emitterShape.getGeometrySourcesForSemantic(SCNGeometrySource.Semantic.vertex)[0]
-          const normalSrc = this.emitterShape.getGeometrySourcesForSemantic(SCNGeometrySource.Semantic.normal)[0]
-
-          const elemIndex = Math.floor(Math.random() * element.primitiveCount)
-          const indices = element._indexAt(elemIndex)
-          const vertices = indices.map((index) => vertexSrc._scnVectorAt(index))
-          const normals = indices.map((index) => normalSrc._scnVectorAt(index))
-
-          const pos = vertices[0].add(vertices[1]).add(vertices[2]).mul(1/3)
-          const nom = normals[0].add(normals[1]).add(normals[2]).normalize()
-
-          pVec = pos
-          vVec = nom
+        case SCNParticleBirthLocation.vertex:
+          sample = _SCNEmitterShapeSampler.vertexPoint(this.emitterShape)
           break
-        }
         default:
-          // TODO: implement
-          throw new Error(`surface emitter for ${this.emitterShape.className} is not implemented`)
-      }
-      pVec = pVec.rotate(transform)
-      p.position = position.add(pVec)
-      if(this.birthDirection === SCNParticleBirthDirection.surfaceNormal){
-        p.velocity = vVec.rotate(transform).normalize().mul(velocity)
+          throw new Error(`unknown birth location: ${this.birthLocation}`)
       }
-    }else if(this.birthLocation === SCNParticleBirthLocation.volume){
-      let pVec = null
-      switch(this.emitterShape.className){
-        case 'SCNBox': {
-          const x = (Math.random() - 0.5) * this.emitterShape.width
-          const y = (Math.random() - 0.5) * this.emitterShape.height
-          const z = (Math.random() - 0.5) * this.emitterShape.length
-          pVec = new SCNVector3(x, y, z)
-          break
-        }
-        case 'SCNSphere': {
-          const r = Math.random() * this.emitterShape.radius
-          const s = Math.random() * Math.PI
-          const t = Math.random() * Math.PI * 2.0
-          const rsins = r * Math.sin(s)
-          const x = rsins * Math.cos(t)
-          const y = rsins * Math.sin(t)
-          const z = r * Math.cos(s)
-          pVec = new SCNVector3(x, y, z)
-          break
-        }
-        default:
-          // TODO: implement
-          throw new Error(`volume emitter for ${this.emitterShape.className} is not implemented`)
-      }
-      pVec = pVec.rotate(transform)
-      p.position = position.add(pVec)
-      if(this.birthDirection === SCNParticleBirthDirection.surfaceNormal){
-        throw new Error('combination of birthLocation=volume and birthDirection=surfaceNormal is not implemented.')
-      }
-    }else{
-      // TODO: implement
-      throw new Error(`birthLocation ${this.birthLocation} is not implemented.`)
+      p.position = position.add(sample.position.rotate(transform))
+      normal = sample.normal
     }
 
     if(this.orientationMode === SCNParticleOrientationMode.billboardScreenAligned){
@@ -1222,16 +1343,15 @@ export default class SCNParticleSystem extends NSObject {
 
     switch(this.birthDirection){
       case SCNParticleBirthDirection.constant: {
-        p.velocity = this._direction.rotate(angleMat).rotate(rotMat).rotate(transform).mul(velocity)
+        p.velocity = this._spreadDirection(this._direction, this.spreadingAngle).rotate(transform).mul(velocity)
         break
       }
       case SCNParticleBirthDirection.surfaceNormal: {
+        p.velocity = this._spreadDirection(normal, this.spreadingAngle).rotate(transform).normalize().mul(velocity)
         break
       }
       case SCNParticleBirthDirection.random: {
-        const rndAngle = 2.0 * Math.PI * Math.random()
-        const rndMat = SCNMatrix4.matrixWithRotation(this._normal.x, this._normal.y, this._normal.z, rndAngle)
-        p.velocity = this._direction.rotate(rndMat).rotate(rotMat).rotate(transform).mul(velocity)
+        p.velocity = this._spreadDirection(this._direction, 180).mul(velocity)
         break
       }
       default: {
@@ -1240,6 +1360,10 @@ export default class SCNParticleSystem extends NSObject {
     }
     p.angularVelocity = (this.particleAngularVelocity + this.particleAngularVelocityVariation * (Math.random() - 0.5)) / 180.0 * Math.PI
     p.acceleration = this.acceleration._copy()
+    p.mass = this.particleMass + this.particleMassVariation * (Math.random() - 0.5)
+    p.charge = this.particleCharge + this.particleChargeVariation * (Math.random() - 0.5)
+    p.bounce = this.particleBounce + this.particleBounceVariation * (Math.random() - 0.5)
+    p.friction = this.particleFriction + this.particleFrictionVariation * (Math.random() - 0.5)
     p.birthTime = birthTime
     p.lifeSpan = this.particleLifeSpan + this.particleLifeSpanVariation * (Math.random() * 2.0 - 1.0)
 
@@ -1257,27 +1381,44 @@ export default class SCNParticleSystem extends NSObject {
     return p
   }
 
+  /**
+   * @access private
+   * @param {SCNVector3} direction - a unit vector.
+   * @param {number} angle - the maximum angle, in degrees, between the direction and the result.
+   * @returns {SCNVector3} - a unit vector distributed uniformly in the cone around the direction.
+   */
+  _spreadDirection(direction, angle) {
+    const maxAngle = Math.max(0, Math.min(angle, 180)) / 180.0 * Math.PI
+    const cos = 1.0 - Math.random() * (1.0 - Math.cos(maxAngle))
+    const sin = Math.sqrt(Math.max(0, 1.0 - cos * cos))
+    const t = Math.random() * Math.PI * 2.0
+    const axis = Math.abs(direction.x) < 0.9 ? new SCNVector3(1, 0, 0) : new SCNVector3(0, 1, 0)
+    const u = direction.cross(axis).normalize()
+    const v = direction.cross(u)
+    return direction.mul(cos).add(u.mul(sin * Math.cos(t))).add(v.mul(sin * Math.sin(t)))
+  }
+
   /**
    * @access private
    * @param {SCNMatrix4} transform -
    * @param {?SCNVector3} gravity -
    * @param {number} currentTime -
+   * @param {?SCNPhysicsWorld} [physicsWorld = null] - physics world whose fields affect the particles.
    * @returns {void}
    */
-  _updateParticles(transform, gravity, currentTime) {
+  _updateParticles(transform, gravity, currentTime, physicsWorld = null) {
     if(this._prevTime <= 0){
       this._prevTime = currentTime
       this._nextBirthTime = currentTime
       this._startTime = currentTime
 
       this._direction = this.emittingDirection.normalize()
-      const u = new SCNVector3(this._direction.z, this._direction.x, this._direction.y)
-      this._normal = this._direction.cross(u)
 
       this._updateEndTime()
     }
 
     // generate particles
+    const birthIndex = this._particles.length
     if(this._presentation._birthRate + this.birthRateVariation > 0){
       while(this._nextBirthTime <= currentTime){
         const p = this._createParticle(this._nextBirthTime, transform)
@@ -1297,27 +1438,43 @@ export default class SCNParticleSystem extends NSObject {
       }
     }
 
+    this._particles.forEach((p) => {
+      p.life = (currentTime - p.birthTime) * this.speedFactor / p.lifeSpan
+    })
+    if(this._particles.length > birthIndex){
+      const indices = []
+      for(let i=birthIndex; i<this._particles.length; i++){
+        indices.push(i)
+      }
+      this._handleEvent(SCNParticleEvent.birth, indices)
+    }
+    this._removeDeadParticles()
+
     const dt = (currentTime - this._prevTime) * this.speedFactor
     let damping = 1
     if(this.dampingFactor > 0){
       damping = Math.pow((100 - this.dampingFactor) * 0.01, dt * 60.0)
     }
 
+    this._runModifiers(SCNParticleModifierStage.preDynamics, dt)
+
+    const hasColliders = this.colliderNodes !== null && this.colliderNodes.length > 0
+    const prevPositions = hasColliders ? this._particles.map((p) => p.position._copy()) : null
+
     this._particles.forEach((p) => {
       let _dt = dt
       const pdt = (currentTime - p.birthTime) * this.speedFactor
       if(p.birthTime > this._prevTime){
         _dt = pdt
       }
-      const t = pdt / p.lifeSpan
-      p.life = t
-      if(t > 1){
-        return
-      }
       let acceleration = p.acceleration
       if(gravity !== null && this.isAffectedByGravity){
         acceleration = acceleration.add(gravity)
       }
+      if(physicsWorld !== null && this.isAffectedByPhysicsFields && p.mass > 0){
+        const force = physicsWorld._fieldForce(p.position, p.velocity, p.mass, p.charge, null, _dt)
+        acceleration = acceleration.add(force.mul(1.0 / p.mass))
+      }
       //p.position.x += (0.5 * acceleration.x * dt + p.velocity.x) * dt
       //p.position.y += (0.5 * acceleration.y * dt + p.velocity.y) * dt
       //p.position.z += (0.5 * acceleration.z * dt + p.velocity.z) * dt
@@ -1333,47 +1490,250 @@ export default class SCNParticleSystem extends NSObject {
       p.position.z += p.velocity.z * _dt
       if(this.propertyControllers !== null){
         Object.keys(this.propertyControllers).forEach((key) => {
-          this.propertyControllers[key].animation._applyAnimation(p, t, false) // should I use p.life instead of t?
+          this.propertyControllers[key].animation._applyAnimation(p, p.life, false)
         })
       }
 
-      const frame = p.initialImageFrame + p.imageFrameRate * pdt
-      let imageFrame = 0
-      switch(this.imageSequenceAnimationMode){
-        case SCNParticleImageSequenceAnimationMode.repeat: {
-          imageFrame = Math.floor(frame % this._numImages)
-          break
+      this._setImageFrame(p, p.initialImageFrame + p.imageFrameRate * pdt)
+    })
+
+    this._runModifiers(SCNParticleModifierStage.postDynamics, dt)
+
+    this._runModifiers(SCNParticleModifierStage.preCollision, dt)
+    if(hasColliders){
+      const indices = this._collideParticles(prevPositions)
+      this._runModifiers(SCNParticleModifierStage.postCollision, dt)
+      if(indices.length > 0){
+        this._handleEvent(SCNParticleEvent.collision, indices)
+        if(this.particleDiesOnCollision){
+          indices.forEach((i) => { this._particles[i].life = Infinity })
+          this._removeDeadParticles()
         }
-        case SCNParticleImageSequenceAnimationMode.clamp: {
-          let fr = Math.floor(frame % this._numImages)
-          if(fr >= this._numImages - 1){
-            imageFrame = this._numImages - 1
-          }else{
-            imageFrame = fr
-          }
-          break
+      }
+    }else{
+      this._runModifiers(SCNParticleModifierStage.postCollision, dt)
+    }
+    this._prevTime = currentTime
+  }
+
+  /**
+   * Sets the current image frame of the particle and updates its texture coordinates.
+   * @access private
+   * @param {_Particle} p -
+   * @param {number} frame -
+   * @returns {void}
+   */
+  _setImageFrame(p, frame) {
+    p.imageFrame = frame
+    let imageFrame = 0
+    switch(this.imageSequenceAnimationMode){
+      case SCNParticleImageSequenceAnimationMode.repeat: {
+        imageFrame = Math.floor(frame % this._numImages)
+        break
+      }
+      case SCNParticleImageSequenceAnimationMode.clamp: {
+        let fr = Math.floor(frame % this._numImages)
+        if(fr >= this._numImages - 1){
+          imageFrame = this._numImages - 1
+        }else{
+          imageFrame = fr
         }
-        case SCNParticleImageSequenceAnimationMode.autoReverse: {
-          let fr = Math.floor(frame % (this._numImages * 2 - 2))
-          if(fr >= this._numImages){
-            fr = (this._numImages * 2 - 2) - fr
+        break
+      }
+      case SCNParticleImageSequenceAnimationMode.autoReverse: {
+        let fr = Math.floor(frame % (this._numImages * 2 - 2))
+        if(fr >= this._numImages){
+          fr = (this._numImages * 2 - 2) - fr
+        }
+        imageFrame = fr
+        break
+      }
+      default:
+        throw new Error('unknown SCNParticleImageSequenceAnimationMode: ' + this.imageSequenceAnimationMode)
+    }
+    const imageY = Math.floor(imageFrame / this.imageSequenceRowCount)
+    const imageX = imageFrame % this.imageSequenceColumnCount
+
+    p.texLeft = imageX * this._imageWidth
+    p.texTop = (imageY + 1) * this._imageHeight
+    p.texRight = (imageX + 1) * this._imageWidth
+    p.texBottom = imageY * this._imageHeight
+  }
+
+  /**
+   * Moves the particles which have passed through the collider nodes back to the contact points and bounces them.
+   * @access private
+   * @param {SCNVector3[]} prevPositions - the positions of the particles before the dynamics.
+   * @returns {number[]} - the indices of the collided particles.
+   */
+  _collideParticles(prevPositions) {
+    const indices = []
+    this._particles.forEach((p, index) => {
+      const from = prevPositions[index]
+      const to = p.position
+      let nearest = null
+      let nearestNode = null
+      for(const node of this.colliderNodes){
+        const hits = SCNPhysicsWorld._hitTestWithSegmentNode(from, to, node)
+        for(const hit of hits){
+          if(nearest === null || hit._distance < nearest._distance){
+            nearest = hit
+            nearestNode = node.presentation ? node.presentation : node
           }
-          imageFrame = fr
-          break
         }
-        default:
-          throw new Error('unknown SCNParticleImageSequenceAnimationMode: ' + this.imageSequenceAnimationMode)
       }
-      const imageY = Math.floor(imageFrame / this.imageSequenceRowCount)
-      const imageX = imageFrame % this.imageSequenceColumnCount
+      if(nearest === null){
+        return
+      }
+      const point = nearestNode.convertPositionTo(nearest._localCoordinates, null)
+      let normal = nearest._localNormal.rotate(nearestNode.worldTransform).normalize()
+      if(normal.dot(to.sub(from)) > 0){
+        normal = normal.mul(-1)
+      }
+      p.contactPoint = point
+      p.contactNormal = normal
+
+      // bounce off the surface, and slow down along the surface by the friction of the impulse
+      const vn = p.velocity.dot(normal)
+      if(vn < 0){
+        const normalVelocity = normal.mul(vn)
+        const tangentVelocity = p.velocity.sub(normalVelocity)
+        const tangentSpeed = tangentVelocity.length()
+        let friction = 0
+        if(tangentSpeed > 0){
+          friction = Math.max(0, 1.0 - p.friction * (1.0 + p.bounce) * -vn / tangentSpeed)
+        }
+        p.velocity = tangentVelocity.mul(friction).sub(normalVelocity.mul(p.bounce))
+      }
+      p.position = point.add(normal.mul(0.0001))
+      indices.push(index)
+    })
+    return indices
+  }
 
-      p.texLeft = imageX * this._imageWidth
-      p.texTop = (imageY + 1) * this._imageHeight
-      p.texRight = (imageX + 1) * this._imageWidth
-      p.texBottom = imageY * this._imageHeight
+  /**
+   * Calls the handlers for the death event and removes the particles whose life is over.
+   * @access private
+   * @returns {void}
+   */
+  _removeDeadParticles() {
+    const indices = []
+    this._particles.forEach((p, i) => {
+      if(p.life > 1){
+        indices.push(i)
+      }
     })
+    if(indices.length === 0){
+      return
+    }
+    this._handleEvent(SCNParticleEvent.death, indices)
     this._particles = this._particles.filter((p) => { return p.life <= 1 })
-    this._prevTime = currentTime
+  }
+
+  /**
+   * @access private
+   * @param {string[]} properties -
+   * @returns {void}
+   * @throws {Error} - when the properties contain an unknown particle property.
+   */
+  _checkProperties(properties) {
+    for(const property of properties){
+      if(typeof _particlePropertyChannels[property] === 'undefined'){
+        throw new Error(`unknown particle property: ${property}`)
+      }
+    }
+  }
+
+  /**
+   * Copies the properties of the particles to arrays for modifier and event blocks.
+   * @access private
+   * @param {string[]} properties -
+   * @returns {{data: Float32Array[], dataStride: number[]}} - data[i][dataStride[i] * index] is the first float of properties[i] of the particle at the index.
+   */
+  _particleDataForProperties(properties) {
+    const data = []
+    const dataStride = []
+    for(const property of properties){
+      const channel = _particlePropertyChannels[property]
+      const array = this._particleDataArray(property, this._particles.length * channel.size)
+      this._particles.forEach((p, i) => {
+        channel.read(p, array, i * channel.size)
+      })
+      data.push(array)
+      dataStride.push(channel.size)
+    }
+    return { data, dataStride }
+  }
+
+  /**
+   * Returns the array for the property. A new buffer is allocated only when the particles do not fit in the previous one.
+   * @access private
+   * @param {string} property -
+   * @param {number} length -
+   * @returns {Float32Array} -
+   */
+  _particleDataArray(property, length) {
+    let cache = this._blockDataCache[property]
+    if(typeof cache === 'undefined'){
+      cache = { buffer: new Float32Array(length), array: null }
+      this._blockDataCache[property] = cache
+    }else if(cache.buffer.length < length){
+      cache.buffer = new Float32Array(Math.max(length, cache.buffer.length * 2))
+      cache.array = null
+    }
+    if(cache.array === null || cache.array.length !== length){
+      cache.array = cache.buffer.subarray(0, length)
+    }
+    return cache.array
+  }
+
+  /**
+   * Copies the arrays modified by modifier and event blocks back to the particles.
+   * @access private
+   * @param {string[]} properties -
+   * @param {Float32Array[]} data -
+   * @returns {void}
+   */
+  _setParticleDataForProperties(properties, data) {
+    properties.forEach((property, index) => {
+      const channel = _particlePropertyChannels[property]
+      const array = data[index]
+      this._particles.forEach((p, i) => {
+        channel.write(p, array, i * channel.size, this)
+      })
+    })
+  }
+
+  /**
+   * @access private
+   * @param {SCNParticleModifierStage} stage -
+   * @param {number} dt -
+   * @returns {void}
+   */
+  _runModifiers(stage, dt) {
+    if(this._particles.length === 0){
+      return
+    }
+    for(const modifier of this._modifiers[stage]){
+      const { data, dataStride } = this._particleDataForProperties(modifier.properties)
+      modifier.block(data, dataStride, 0, this._particles.length, dt)
+      this._setParticleDataForProperties(modifier.properties, data)
+    }
+  }
+
+  /**
+   * @access private
+   * @param {SCNParticleEvent} event -
+   * @param {number[]} indices - the indices of the particles affected by the event.
+   * @returns {void}
+   */
+  _handleEvent(event, indices) {
+    const _indices = new Uint32Array(indices)
+    for(const handler of this._eventHandlers[event]){
+      const { data, dataStride } = this._particleDataForProperties(handler.properties)
+      handler.block(data, dataStride, _indices, _indices.length)
+      this._setParticleDataForProperties(handler.properties, data)
+    }
   }
 
   _updateEndTime() {
@@ -3,6 +3,7 @@
 import SCNPhysicsBehavior from './SCNPhysicsBehavior'
 //import SCNPhysicsBody from './SCNPhysicsBody'
 //import SCNVector3 from './SCNVector3'
+import Ammo from '../third_party/ammo'
 
 /**
  * A physics behavior that connects two physics bodies and allows them to pivot around each other in any direction.
@@ -19,12 +20,12 @@ export default class SCNPhysicsBallSocketJoint extends SCNPhysicsBehavior {
    * @constructor
    * @param {SCNPhysicsBody} bodyA - The first physics body to be connected by the joint.
    * @param {SCNVector3} anchorA - The point at which the joint connects, relative to the node containing the first body.
-   * @param {SCNPhysicsBody} bodyB - The second physics body to be connected by the joint.
-   * @param {SCNVector3} anchorB - The point at which the joint connects, relative to the node containing the second body.
+   * @param {?SCNPhysicsBody} [bodyB = null] - The second physics body to be connected by the joint.
+   * @param {?SCNVector3} [anchorB = null] - The point at which the joint connects, relative to the node containing the second body.
    * @desc For a behavior to take effect, add it to the physics simulation by calling the addBehavior(_:) method on your scene’s SCNPhysicsWorld object. The physics bodies constrained by the joint must be attached to nodes in the scene.
    * @see https://developer.apple.com/documentation/scenekit/scnphysicsballsocketjoint/1387926-init
    */
-  constructor(bodyA, anchorA, bodyB, anchorB) {
+  constructor(bodyA, anchorA, bodyB = null, anchorB = null) {
     super()
 
     // Managing the Characteristics of a Ball and Socket Joint
@@ -34,17 +35,30 @@ export default class SCNPhysicsBallSocketJoint extends SCNPhysicsBehavior {
      * @type {SCNVector3}
      * @see https://developer.apple.com/documentation/scenekit/scnphysicsballsocketjoint/1387956-anchora
      */
-    this.anchorA = null
+    this.anchorA = anchorA
 
     /**
      * The point at which the joint connects, relative to the node containing the second body.
      * @type {SCNVector3}
      * @see https://developer.apple.com/documentation/scenekit/scnphysicsballsocketjoint/1387965-anchorb
      */
-    this.anchorB = null
+    this.anchorB = anchorB
 
-    this._bodyA = null
-    this._bodyB = null
+    this._bodyA = bodyA
+    this._bodyB = bodyB
+  }
+
+  /**
+   * Creates a ball and socket joint anchoring a physics body to a specific location in the scene.
+   * @access public
+   * @param {SCNPhysicsBody} body - The physics body to be connected by the joint.
+   * @param {SCNVector3} anchor - The point at which the joint connects, relative to the node containing the body.
+   * @returns {SCNPhysicsBallSocketJoint} -
+   * @desc Use this method to fix the body to a location in the scene's world coordinate space, like a pendulum hanging from the ceiling.
+   * @see https://developer.apple.com/documentation/scenekit/scnphysicsballsocketjoint/1387906-init
+   */
+  static jointWithBodyAnchor(body, anchor) {
+    return new SCNPhysicsBallSocketJoint(body, anchor)
   }
 
   // Managing the Characteristics of a Ball and Socket Joint
@@ -68,4 +82,32 @@ export default class SCNPhysicsBallSocketJoint extends SCNPhysicsBehavior {
   get bodyB() {
     return this._bodyB
   }
+
+  /**
+   * @access private
+   * @type {SCNPhysicsBody[]}
+   */
+  get _bodies() {
+    return [this._bodyA, this._bodyB].filter((body) => body !== null)
+  }
+
+  /**
+   * @access private
+   * @returns {Ammo.btPoint2PointConstraint} -
+   */
+  _createBtConstraint() {
+    const pivotA = this._bodyA._btLocalPosition(this.anchorA)._createBtVector3()
+    let constraint = null
+    if(this._bodyB === null){
+      constraint = new Ammo.btPoint2PointConstraint(this._bodyA._btRigidBody, pivotA)
+    }else{
+      const pivotB = this._bodyB._btLocalPosition(this.anchorB)._createBtVector3()
+      constraint = new Ammo.btPoint2PointConstraint(
+        this._bodyA._btRigidBody, this._bodyB._btRigidBody, pivotA, pivotB
+      )
+      Ammo.destroy(pivotB)
+    }
+    Ammo.destroy(pivotA)
+    return constraint
+  }
 }
@@ -1,6 +1,9 @@
 'use strict'
 
 import NSObject from '../ObjectiveC/NSObject'
+import SCNVector3 from './SCNVector3'
+import SCNVector4 from './SCNVector4'
+import Ammo from '../third_party/ammo'
 
 /**
  * The abstract superclass for joints, vehicle simulations, and other high-level behaviors that incorporate multiple physics bodies.
@@ -15,6 +18,106 @@ export default class SCNPhysicsBehavior extends NSObject {
    * @access public
    * @constructor
    */
-  //construtor() {
-  //}
+  constructor() {
+    super()
+
+    /**
+     * @access private
+     * @type {?Ammo.btTypedConstraint}
+     */
+    this._btConstraint = null
+  }
+
+  /**
+   * Physics bodies which must be in the simulation before the behavior is added to it.
+   * @access private
+   * @type {SCNPhysicsBody[]}
+   */
+  get _bodies() {
+    return []
+  }
+
+  /**
+   * @access private
+   * @returns {?Ammo.btTypedConstraint} -
+   */
+  _createBtConstraint() {
+    return null
+  }
+
+  /**
+   * @access private
+   * @param {Ammo.btDiscreteDynamicsWorld} world -
+   * @returns {void}
+   */
+  _addToBtWorld(world) {
+    this._btConstraint = this._createBtConstraint()
+    if(this._btConstraint !== null){
+      const disableCollisionsBetweenLinkedBodies = true
+      world.addConstraint(this._btConstraint, disableCollisionsBetweenLinkedBodies)
+    }
+  }
+
+  /**
+   * @access private
+   * @param {Ammo.btDiscreteDynamicsWorld} world -
+   * @returns {void}
+   */
+  _removeFromBtWorld(world) {
+    if(this._btConstraint === null){
+      return
+    }
+    world.removeConstraint(this._btConstraint)
+    Ammo.destroy(this._btConstraint)
+    this._btConstraint = null
+  }
+
+  /**
+   * Called before each simulation step.
+   * @access private
+   * @param {number} stepTime - the length of the step in seconds.
+   * @returns {void}
+   */
+  _updateBtBehavior(stepTime) {
+  }
+
+  /**
+   * Called after each simulation step.
+   * @access private
+   * @returns {void}
+   */
+  _applyBtBehaviorTransform() {
+  }
+
+  /**
+   * Creates a frame which rotates the base axis to the given axis.
+   * @access private
+   * @param {SCNVector3} position - origin of the frame.
+   * @param {SCNVector3} axis - normalized axis.
+   * @param {SCNVector3} baseAxis - normalized axis of the frame which the constraint uses.
+   * @returns {Ammo.btTransform} -
+   * @desc call Ammo.destroy(frame) after using it.
+   */
+  static _createBtFrame(position, axis, baseAxis) {
+    const d = baseAxis.dot(axis)
+    let q = null
+    if(d < -0.999999){
+      // any axis perpendicular to the base axis will do.
+      const c = Math.abs(baseAxis.x) < 0.9 ? baseAxis.cross(new SCNVector3(1, 0, 0)) : baseAxis.cross(new SCNVector3(0, 1, 0))
+      const n = c.normalize()
+      q = new SCNVector4(n.x, n.y, n.z, 0)
+    }else{
+      const c = baseAxis.cross(axis)
+      q = (new SCNVector4(c.x, c.y, c.z, 1.0 + d)).normalize()
+    }
+    const frame = new Ammo.btTransform()
+    const origin = position._createBtVector3()
+    const rotation = q._createBtQuaternion()
+    frame.setIdentity()
+    frame.setOrigin(origin)
+    frame.setRotation(rotation)
+    Ammo.destroy(origin)
+    Ammo.destroy(rotation)
+    return frame
+  }
 }
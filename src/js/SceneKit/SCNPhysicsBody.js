@@ -2,10 +2,20 @@
 
 import NSObject from '../ObjectiveC/NSObject'
 //import SCNBox from './SCNBox'
+import SCNMatrix4 from './SCNMatrix4'
 import SCNPhysicsBodyType from './SCNPhysicsBodyType'
 import SCNPhysicsShape from './SCNPhysicsShape'
 import SCNVector3 from './SCNVector3'
 import SCNVector4 from './SCNVector4'
+import Ammo from '../third_party/ammo'
+
+// btCollisionObject::CollisionFlags
+const _CF_STATIC_OBJECT = 1
+const _CF_KINEMATIC_OBJECT = 2
+
+// btCollisionObject activation states
+const _ACTIVE_TAG = 1
+const _DISABLE_DEACTIVATION = 4
 
 /**
  * A set of physics simulation attributes attached to a scene graph node. 
@@ -80,14 +90,14 @@ export default class SCNPhysicsBody extends NSObject {
      * @type {SCNVector3}
      * @see https://developer.apple.com/documentation/scenekit/scnphysicsbody/1514753-velocityfactor
      */
-    this.velocityFactor = new SCNVector3(0, 0, 0)
+    this.velocityFactor = new SCNVector3(1, 1, 1)
 
     /**
      * A multiplier affecting how SceneKit applies rotations computed by the physics simulation to the node containing the physics body.
      * @type {SCNVector3}
      * @see https://developer.apple.com/documentation/scenekit/scnphysicsbody/1514748-angularvelocityfactor
      */
-    this.angularVelocityFactor = new SCNVector3(0, 0, 0)
+    this.angularVelocityFactor = new SCNVector3(1, 1, 1)
 
     /**
      * A Boolean value that determines whether the constant gravity of a scene accelerates the body.
@@ -104,7 +114,7 @@ export default class SCNPhysicsBody extends NSObject {
      * @type {number}
      * @see https://developer.apple.com/documentation/scenekit/scnphysicsbody/1514755-mass
      */
-    this.mass = 0
+    this.mass = (type === SCNPhysicsBodyType.dynamic ? 1.0 : 0.0)
 
     /**
      * The electric charge of the body, in coulombs.
@@ -118,7 +128,7 @@ export default class SCNPhysicsBody extends NSObject {
      * @type {number}
      * @see https://developer.apple.com/documentation/scenekit/scnphysicsbody/1514794-friction
      */
-    this.friction = 0
+    this.friction = 0.5
 
     /**
      * The body’s resistance to rolling motion.
@@ -132,21 +142,21 @@ export default class SCNPhysicsBody extends NSObject {
      * @type {number}
      * @see https://developer.apple.com/documentation/scenekit/scnphysicsbody/1514740-restitution
      */
-    this.restitution = 0
+    this.restitution = 0.5
 
     /**
      * A factor that reduces the body’s linear velocity.
      * @type {number}
      * @see https://developer.apple.com/documentation/scenekit/scnphysicsbody/1514763-damping
      */
-    this.damping = 0
+    this.damping = 0.1
 
     /**
      * A factor that reduces the body’s angular velocity.
      * @type {number}
      * @see https://developer.apple.com/documentation/scenekit/scnphysicsbody/1514792-angulardamping
      */
-    this.angularDamping = 0
+    this.angularDamping = 0.1
 
     /**
      * The body’s moment of inertia, expressed in the local coordinate system of the node that contains the body.
@@ -170,7 +180,7 @@ export default class SCNPhysicsBody extends NSObject {
      * @type {number}
      * @see https://developer.apple.com/documentation/scenekit/scnphysicsbody/1514768-categorybitmask
      */
-    this.categoryBitMask = 0
+    this.categoryBitMask = (type === SCNPhysicsBodyType.static ? 2 : 1)
 
     /**
      * A mask that defines which categories of bodies cause intersection notifications with this physics body.
@@ -184,24 +194,29 @@ export default class SCNPhysicsBody extends NSObject {
      * @type {number}
      * @see https://developer.apple.com/documentation/scenekit/scnphysicsbody/1514772-collisionbitmask
      */
-    this.collisionBitMask = 0
+    this.collisionBitMask = -1
 
 
     // Managing a Body’s Motion
 
     /**
-     * A vector describing both the current speed (in meters per second) and direction of motion of the physics body.
+     * @access private
      * @type {SCNVector3}
-     * @see https://developer.apple.com/documentation/scenekit/scnphysicsbody/1514757-velocity
      */
-    this.velocity = new SCNVector3(0, 0, 0)
+    this._velocity = new SCNVector3(0, 0, 0)
 
     /**
-     * A vector describing both the current rotation axis and rotational speed (in radians per second) of the physics body.
+     * @access private
      * @type {SCNVector4}
-     * @see https://developer.apple.com/documentation/scenekit/scnphysicsbody/1514770-angularvelocity
      */
-    this.angularVelocity = new SCNVector4(0, 0, 0, 0)
+    this._angularVelocity = new SCNVector4(0, 0, 0, 0)
+
+    /**
+     * true if velocity or angularVelocity is changed and it needs to be sent to the simulation.
+     * @access private
+     * @type {boolean}
+     */
+    this._velocityChanged = false
 
     /**
      * A Boolean value that specifies whether SceneKit can automatically mark the physics body at rest.
@@ -213,8 +228,44 @@ export default class SCNPhysicsBody extends NSObject {
     this._isResting = false
 
     this._node = null
+
+    /**
+     * @access private
+     * @type {?Ammo.btRigidBody}
+     */
     this._btRigidBody = null
-    this._updateRigidBody()
+
+    /**
+     * @access private
+     * @type {?Ammo.btCollisionShape}
+     */
+    this._btShape = null
+
+    /**
+     * @access private
+     * @type {?Ammo.btDefaultMotionState}
+     */
+    this._btMotionState = null
+
+    /**
+     * the properties which are used to create _btRigidBody.
+     * @access private
+     * @type {?Object}
+     */
+    this._btState = null
+
+    /**
+     * true if the node is moved by resetTransform() and the simulation needs to follow it.
+     * @access private
+     * @type {boolean}
+     */
+    this._transformReset = false
+
+    // forces and torques which are applied at the next simulation step
+    this._appliedForce = new SCNVector3(0, 0, 0)
+    this._appliedTorque = new SCNVector3(0, 0, 0)
+    this._appliedImpulse = new SCNVector3(0, 0, 0)
+    this._appliedTorqueImpulse = new SCNVector3(0, 0, 0)
 
     this._position = null
     this._radius = null
@@ -271,6 +322,11 @@ export default class SCNPhysicsBody extends NSObject {
    * @see https://developer.apple.com/documentation/scenekit/scnphysicsbody/1514801-applyforce
    */
   applyForceAsImpulse(direction, impulse) {
+    if(impulse){
+      this._appliedImpulse = this._appliedImpulse.add(direction)
+    }else{
+      this._appliedForce = this._appliedForce.add(direction)
+    }
   }
 
   /**
@@ -284,6 +340,18 @@ export default class SCNPhysicsBody extends NSObject {
    * @see https://developer.apple.com/documentation/scenekit/scnphysicsbody/1514750-applyforce
    */
   applyForceAtAsImpulse(direction, position, impulse) {
+    this.applyForceAsImpulse(direction, impulse)
+
+    if(this._node === null || this._transform === null){
+      return
+    }
+    const worldPos = this._node.presentation.convertPositionTo(position, null)
+    const torque = worldPos.sub(this._position).cross(direction)
+    if(impulse){
+      this._appliedTorqueImpulse = this._appliedTorqueImpulse.add(torque)
+    }else{
+      this._appliedTorque = this._appliedTorque.add(torque)
+    }
   }
 
   /**
@@ -296,6 +364,16 @@ export default class SCNPhysicsBody extends NSObject {
    * @see https://developer.apple.com/documentation/scenekit/scnphysicsbody/1514752-applytorque
    */
   applyTorqueAsImpulse(torque, impulse) {
+    const axis = new SCNVector3(torque.x, torque.y, torque.z)
+    if(axis.length2() === 0){
+      return
+    }
+    const t = axis.normalize().mul(torque.w)
+    if(impulse){
+      this._appliedTorqueImpulse = this._appliedTorqueImpulse.add(t)
+    }else{
+      this._appliedTorque = this._appliedTorque.add(t)
+    }
   }
 
   /**
@@ -306,9 +384,38 @@ export default class SCNPhysicsBody extends NSObject {
    * @see https://developer.apple.com/documentation/scenekit/scnphysicsbody/1514735-clearallforces
    */
   clearAllForces() {
+    this._appliedForce = new SCNVector3(0, 0, 0)
+    this._appliedTorque = new SCNVector3(0, 0, 0)
   }
 
   // Managing a Body’s Motion
+
+  /**
+   * A vector describing both the current speed (in meters per second) and direction of motion of the physics body.
+   * @type {SCNVector3}
+   * @see https://developer.apple.com/documentation/scenekit/scnphysicsbody/1514757-velocity
+   */
+  get velocity() {
+    return this._velocity
+  }
+  set velocity(newValue) {
+    this._velocity = newValue
+    this._velocityChanged = true
+  }
+
+  /**
+   * A vector describing both the current rotation axis and rotational speed (in radians per second) of the physics body.
+   * @type {SCNVector4}
+   * @see https://developer.apple.com/documentation/scenekit/scnphysicsbody/1514770-angularvelocity
+   */
+  get angularVelocity() {
+    return this._angularVelocity
+  }
+  set angularVelocity(newValue) {
+    this._angularVelocity = newValue
+    this._velocityChanged = true
+  }
+
   /**
    * A Boolean value that indicates whether the physics body is at rest.
    * @type {boolean}
@@ -330,6 +437,7 @@ export default class SCNPhysicsBody extends NSObject {
    */
   resetTransform() {
     this._resetTransform(true)
+    this._transformReset = true
   }
 
   _resetTransform(updateWorldTransform = false) {
@@ -359,7 +467,7 @@ export default class SCNPhysicsBody extends NSObject {
         this.physicsShape._createShape()
       }
       const center = this.physicsShape._center
-      this._transform = this._transform.translation(center.x, center.y, center.z)
+      this._transform = SCNMatrix4.matrixWithTranslation(center).mult(this._transform)
 
       if(this.physicsShape._shape){
         this._radius = this.physicsShape._shape.getBoundingSphere().radius
@@ -370,51 +478,337 @@ export default class SCNPhysicsBody extends NSObject {
     this._invTransform = this._transform.invert()
   }
 
+  /**
+   * @access private
+   * @returns {Ammo.btRigidBody} -
+   * @desc call _destroyRigidBody() after using it.
+   */
+  _createRigidBody() {
+    if(this.physicsShape === null){
+      return null
+    }
+    if(this._transform === null){
+      this._resetTransform()
+    }
+    const mass = (this.type === SCNPhysicsBodyType.dynamic ? this.mass : 0)
+    const btTransform = this._createBtTransform()
+    const btShape = this.physicsShape._createBtCollisionShape()
+    const inertia = this._createBtInertia(btShape, mass)
+    const motionState = new Ammo.btDefaultMotionState(btTransform)
+
+    const info = new Ammo.btRigidBodyConstructionInfo(mass, motionState, btShape, inertia)
+    const rigidBody = new Ammo.btRigidBody(info)
+    Ammo.destroy(info)
+    Ammo.destroy(inertia)
+    Ammo.destroy(btTransform)
+
+    if(this.type === SCNPhysicsBodyType.kinematic){
+      rigidBody.setCollisionFlags(rigidBody.getCollisionFlags() | _CF_KINEMATIC_OBJECT)
+      rigidBody.setActivationState(_DISABLE_DEACTIVATION)
+    }else if(this.type === SCNPhysicsBodyType.static){
+      rigidBody.setCollisionFlags(rigidBody.getCollisionFlags() | _CF_STATIC_OBJECT)
+    }
+
+    this._btRigidBody = rigidBody
+    this._btShape = btShape
+    this._btMotionState = motionState
+    this._btState = { type: this.type, mass: mass, shape: this.physicsShape, allowsResting: true }
+    this._velocityChanged = true
+
+    return rigidBody
+  }
+
   /**
    * @access private
    * @returns {void}
    */
-  _updateRigidBody() {
-    if(this._btRigidBody !== null){
-      //Ammo.destroy(this._btRigidBody)
+  _destroyRigidBody() {
+    if(this._btRigidBody === null){
+      return
     }
-    //this._btRigidBody = this._createRigidBody()
+    Ammo.destroy(this._btRigidBody)
+    Ammo.destroy(this._btMotionState)
+    Ammo.destroy(this._btShape)
+    this._btRigidBody = null
+    this._btMotionState = null
+    this._btShape = null
+    this._btState = null
   }
 
   /**
    * @access private
-   * @returns {Ammo.btRigidBody} -
-   * @desc call Ammo.destroy(rigidBody) after using it.
+   * @returns {boolean} - true if the rigid body must be created again to reflect the current properties.
    */
-  _createRigidBody() {
-    //let btTransform = null
-    //if(this.physicsShape === null){
-    //  return null
-    //}
-    //if(this._node !== null){
-    //  btTransform = this._node._createBtTransform()
-    //}else{
-    //  btTransform = new Ammo.btTransform()
-    //  btTransform.setIdentity()
-    //}
-    //const btShape = this.physicsShape._createBtCollisionShape()
-    //const inertia = this.momentOfInertia._createBtVector3()
-
-    //const info = new Ammo.btRigidBodyConstructionInfo(btTransform, btShape, inertia)
-    //const rigidBody = new Ammo.btRigidBody(info)
-
-    //return rigidBody
+  get _needsRigidBodyUpdate() {
+    if(this._btState === null){
+      return true
+    }
+    const mass = (this.type === SCNPhysicsBodyType.dynamic ? this.mass : 0)
+    if(this._btState.type !== this.type || this._btState.shape !== this.physicsShape){
+      return true
+    }
+    // a body with zero mass is regarded as a static object in the simulation.
+    return (this._btState.mass === 0) !== (mass === 0)
+  }
+
+  /**
+   * @access private
+   * @param {Ammo.btCollisionShape} btShape -
+   * @param {number} mass -
+   * @returns {Ammo.btVector3} -
+   * @desc call Ammo.destroy(inertia) after using it.
+   */
+  _createBtInertia(btShape, mass) {
+    if(mass === 0){
+      return new Ammo.btVector3(0, 0, 0)
+    }
+    if(this.usesDefaultMomentOfInertia){
+      const inertia = new Ammo.btVector3(0, 0, 0)
+      btShape.calculateLocalInertia(mass, inertia)
+      return inertia
+    }
+    return this.momentOfInertia._createBtVector3()
+  }
+
+  /**
+   * @access private
+   * @returns {Ammo.btTransform} -
+   * @desc call Ammo.destroy(transform) after using it.
+   */
+  _createBtTransform() {
+    return this._transform._createBtTransform()
+  }
+
+  /**
+   * Sends the properties, forces and the transform of the body to the simulation.
+   * @access private
+   * @param {SCNVector3} gravity - gravity of the physics world.
+   * @param {boolean} stepping - true if the world is stepped after the update.
+   * @returns {void}
+   */
+  _updateBtRigidBody(gravity, stepping) {
+    const body = this._btRigidBody
+    if(body === null){
+      return
+    }
+
+    body.setFriction(this.friction)
+    body.setRollingFriction(this.rollingFriction)
+    body.setRestitution(this.restitution)
+    body.setDamping(this.damping, this.angularDamping)
+
+    if(this.type === SCNPhysicsBodyType.kinematic){
+      // kinematic bodies follow their nodes.
+      this._resetTransform()
+      const transform = this._createBtTransform()
+      this._btMotionState.setWorldTransform(transform)
+      Ammo.destroy(transform)
+      return
+    }
+    if(this.type === SCNPhysicsBodyType.static){
+      if(this._transformReset){
+        const transform = this._createBtTransform()
+        body.setWorldTransform(transform)
+        Ammo.destroy(transform)
+        this._transformReset = false
+      }
+      return
+    }
+
+    if(this._btState.mass !== this.mass){
+      const inertia = this._createBtInertia(this._btShape, this.mass)
+      body.setMassProps(this.mass, inertia)
+      body.updateInertiaTensor()
+      Ammo.destroy(inertia)
+      this._btState.mass = this.mass
+    }
+
+    const linearFactor = this.velocityFactor._createBtVector3()
+    const angularFactor = this.angularVelocityFactor._createBtVector3()
+    body.setLinearFactor(linearFactor)
+    body.setAngularFactor(angularFactor)
+    Ammo.destroy(linearFactor)
+    Ammo.destroy(angularFactor)
+
+    if(this._btState.allowsResting !== this.allowsResting){
+      body.forceActivationState(this.allowsResting ? _ACTIVE_TAG : _DISABLE_DEACTIVATION)
+      this._btState.allowsResting = this.allowsResting
+    }
+
+    if(this._transformReset){
+      const transform = this._createBtTransform()
+      body.setWorldTransform(transform)
+      this._btMotionState.setWorldTransform(transform)
+      Ammo.destroy(transform)
+      this._transformReset = false
+      body.activate()
+    }
+
+    if(this._velocityChanged){
+      const v = this._velocity._createBtVector3()
+      const av = this._angularVelocity
+      const axis = new SCNVector3(av.x, av.y, av.z)
+      const w = (axis.length2() > 0 ? axis.normalize().mul(av.w) : axis)._createBtVector3()
+      body.setLinearVelocity(v)
+      body.setAngularVelocity(w)
+      Ammo.destroy(v)
+      Ammo.destroy(w)
+      this._velocityChanged = false
+      body.activate()
+    }
+
+    this._applyForcesToBtRigidBody(gravity, stepping)
+  }
+
+  /**
+   * @access private
+   * @param {SCNVector3} gravity - gravity of the physics world.
+   * @param {boolean} stepping - true if the world is stepped after the update.
+   * @returns {void}
+   */
+  _applyForcesToBtRigidBody(gravity, stepping) {
+    const body = this._btRigidBody
+    const zero = new SCNVector3(0, 0, 0)
+    let centralForce = zero
+    let torque = zero
+    // Bullet keeps continuous forces until the world is stepped.
+    // the bundled ammo.js doesn't bind btRigidBody.setGravity, so the world's gravity is cancelled out by a force.
+    if(stepping){
+      centralForce = this._appliedForce
+      torque = this._appliedTorque
+      if(!this.isAffectedByGravity){
+        centralForce = centralForce.sub(gravity.mul(this.mass))
+      }
+      // continuous forces are applied only during one simulation step.
+      this.clearAllForces()
+    }
+    const forces = [
+      [centralForce, (v) => body.applyCentralForce(v)],
+      [torque, (v) => body.applyTorque(v)],
+      [this._appliedImpulse, (v) => body.applyCentralImpulse(v)],
+      [this._appliedTorqueImpulse, (v) => body.applyTorqueImpulse(v)]
+    ]
+    for(const [force, apply] of forces){
+      if(force.length2() === 0){
+        continue
+      }
+      const v = force._createBtVector3()
+      apply(v)
+      Ammo.destroy(v)
+      body.activate()
+    }
+    this._appliedImpulse = zero
+    this._appliedTorqueImpulse = zero
+  }
+
+  /**
+   * Copies the result of the simulation to the node and its presentation node.
+   * @access private
+   * @returns {void}
+   */
+  _applyBtRigidBodyTransform() {
+    const body = this._btRigidBody
+    if(body === null || this.type !== SCNPhysicsBodyType.dynamic || this._node === null){
+      return
+    }
+    const btTransform = new Ammo.btTransform()
+    this._btMotionState.getWorldTransform(btTransform)
+    const origin = SCNVector3._initWithBtVector3(btTransform.getOrigin())
+    const orientation = SCNVector4._initWithBtQuaternion(btTransform.getRotation())
+    Ammo.destroy(btTransform)
+
+    this._velocity = SCNVector3._initWithBtVector3(body.getLinearVelocity())
+    const w = SCNVector3._initWithBtVector3(body.getAngularVelocity())
+    const speed = w.length()
+    if(speed > 0){
+      const axis = w.mul(1.0 / speed)
+      this._angularVelocity = new SCNVector4(axis.x, axis.y, axis.z, speed)
+    }else{
+      this._angularVelocity = new SCNVector4(0, 0, 0, 0)
+    }
+    this._isResting = !body.isActive()
+
+    const node = this._node
+    const scale = this._transform.getScale()
+    const rotation = SCNMatrix4.matrixWithOrientation(orientation)
+    const center = this.physicsShape._center.mulv(scale).rotate(rotation)
+    const worldTransform = SCNMatrix4.matrixWithScale(scale)
+      .mult(rotation)
+      .translation(origin.sub(center))
+
+    let parentTransform = SCNMatrix4._identity()
+    if(node.parent !== null){
+      // the presentation node isn't updated until the node is rendered.
+      parentTransform = node.parent.worldTransform
+    }
+    const transform = worldTransform.mult(parentTransform.invert())
+    node.transform = transform
+    if(node._presentation){
+      node._presentation.transform = transform._copy()
+    }
+    node._updateWorldTransform()
+    this._resetTransform()
+  }
+
+  /**
+   * Converts a position from the node's coordinate space to the rigid body's one.
+   * @access private
+   * @param {SCNVector3} position -
+   * @returns {SCNVector3} -
+   */
+  _btLocalPosition(position) {
+    const scale = this._transform.getScale()
+    return position.sub(this.physicsShape._center).mulv(scale)
+  }
+
+  /**
+   * Converts a direction from the node's coordinate space to the rigid body's one.
+   * @access private
+   * @param {SCNVector3} direction -
+   * @returns {SCNVector3} - normalized direction.
+   */
+  _btLocalDirection(direction) {
+    const scale = this._transform.getScale()
+    return direction.mulv(scale).normalize()
+  }
+
+  /**
+   * @access private
+   * @type {number}
+   */
+  get _inverseMass() {
+    if(this.type !== SCNPhysicsBodyType.dynamic || this.mass <= 0){
+      return 0
+    }
+    return 1.0 / this.mass
+  }
+
+  /**
+   * @access private
+   * @param {SCNVector3} axis - normalized axis in the world coordinate space.
+   * @returns {number} - inverse of the moment of inertia around the axis.
+   */
+  _inverseMomentOfInertiaAround(axis) {
+    if(this._inverseMass === 0 || this._btShape === null){
+      return 0
+    }
+    const inertia = this._createBtInertia(this._btShape, this.mass)
+    const diag = SCNVector3._initWithBtVector3(inertia)
+    Ammo.destroy(inertia)
+
+    const rotation = SCNMatrix4.matrixWithOrientation(this._transform.getOrientation())
+    const localAxis = axis.rotate(rotation.transpose())
+    const moment = diag.x * localAxis.x * localAxis.x
+      + diag.y * localAxis.y * localAxis.y
+      + diag.z * localAxis.z * localAxis.z
+    if(moment <= 0){
+      return 0
+    }
+    return 1.0 / moment
   }
 
   _execDestroy() {
-    //if(this.physicsShape !== null){
-    //  this.physicsShape._destroy()
-    //  this.physicsShape = null
-    //}
-    //if(this._btRigidBody !== null){
-    //  Ammo.destroy(this._btRigidBody)
-    //  this._btRigidBody = null
-    //}
+    this._destroyRigidBody()
   }
 
   // FIXME: use physics library
@@ -28,6 +28,7 @@ export default class SCNPhysicsContact extends NSObject {
     this._contactNormal = null
     this._collisionImpulse = 0
     this._penetrationDistance = 0
+    this._sweepTestFraction = 0
   }
 
   // Inspecting the Contact Properties
@@ -91,4 +92,14 @@ export default class SCNPhysicsContact extends NSObject {
   get penetrationDistance() {
     return this._penetrationDistance
   }
+
+  /**
+   * The fraction of the sweep distance at which the contact occurred. Used only for the results of convexSweepTest.
+   * @type {number}
+   * @desc A value of 0.0 means the contact occurred at the beginning of the sweep, and 1.0 means at the end of it.
+   * @see https://developer.apple.com/documentation/scenekit/scnphysicscontact/1508841-sweeptestfraction
+   */
+  get sweepTestFraction() {
+    return this._sweepTestFraction
+  }
 }
@@ -2,8 +2,103 @@
 
 import NSObject from '../ObjectiveC/NSObject'
 //import SCNFieldForceEvaluator from './SCNFieldForceEvaluator'
-//import SCNVector3 from './SCNVector3'
-//import SCNPhysicsFieldScope from './SCNPhysicsFieldScope'
+import SCNMatrix4 from './SCNMatrix4'
+import SCNVector3 from './SCNVector3'
+import SCNPhysicsFieldScope from './SCNPhysicsFieldScope'
+
+/**
+ * @access private
+ * @type {Object}
+ */
+const _FieldType = {
+  none: 0,
+  drag: 1,
+  vortex: 2,
+  radialGravity: 3,
+  linearGravity: 4,
+  noise: 5,
+  turbulence: 6,
+  spring: 7,
+  electric: 8,
+  magnetic: 9,
+  custom: 10
+}
+
+/**
+ * permutation table for the gradient noise.
+ * @access private
+ * @type {number[]}
+ */
+const _perm = (() => {
+  const p = []
+  for(let i=0; i<256; i++){
+    p.push(i)
+  }
+  // shuffle with a fixed seed so that the noise is reproducible.
+  let seed = 1
+  for(let i=255; i>0; i--){
+    seed = seed * 16807 % 2147483647
+    const j = seed % (i + 1)
+    const t = p[i]
+    p[i] = p[j]
+    p[j] = t
+  }
+  return p.concat(p)
+})()
+
+const _fade = (t) => t * t * t * (t * (t * 6 - 15) + 10)
+const _lerp = (t, a, b) => a + t * (b - a)
+const _grad = (hash, x, y, z) => {
+  const h = hash & 15
+  const u = h < 8 ? x : y
+  let v = z
+  if(h < 4){
+    v = y
+  }else if(h === 12 || h === 14){
+    v = x
+  }
+  return ((h & 1) === 0 ? u : -u) + ((h & 2) === 0 ? v : -v)
+}
+
+/**
+ * Perlin gradient noise.
+ * @access private
+ * @param {number} x -
+ * @param {number} y -
+ * @param {number} z -
+ * @returns {number} - a value between -1 and 1.
+ */
+const _noise = (px, py, pz) => {
+  const fx = Math.floor(px)
+  const fy = Math.floor(py)
+  const fz = Math.floor(pz)
+  const X = fx & 255
+  const Y = fy & 255
+  const Z = fz & 255
+  const x = px - fx
+  const y = py - fy
+  const z = pz - fz
+  const u = _fade(x)
+  const v = _fade(y)
+  const w = _fade(z)
+  const A = _perm[X] + Y
+  const AA = _perm[A] + Z
+  const AB = _perm[A + 1] + Z
+  const B = _perm[X + 1] + Y
+  const BA = _perm[B] + Z
+  const BB = _perm[B + 1] + Z
+
+  return _lerp(w,
+    _lerp(v,
+      _lerp(u, _grad(_perm[AA], x, y, z), _grad(_perm[BA], x - 1, y, z)),
+      _lerp(u, _grad(_perm[AB], x, y - 1, z), _grad(_perm[BB], x - 1, y - 1, z))
+    ),
+    _lerp(v,
+      _lerp(u, _grad(_perm[AA + 1], x, y, z - 1), _grad(_perm[BA + 1], x - 1, y, z - 1)),
+      _lerp(u, _grad(_perm[AB + 1], x, y - 1, z - 1), _grad(_perm[BB + 1], x - 1, y - 1, z - 1))
+    )
+  )
+}
 
 /**
  * An object that applies forces, such as gravitation, electromagnetism, and turbulence, to physics bodies within a certain area of effect. 
@@ -28,14 +123,14 @@ export default class SCNPhysicsField extends NSObject {
      * @type {SCNVector3}
      * @see https://developer.apple.com/documentation/scenekit/scnphysicsfield/1388138-halfextent
      */
-    this.halfExtent = null
+    this.halfExtent = new SCNVector3(Infinity, Infinity, Infinity)
 
     /**
      * The area affected by the field, either inside or outside its region.
      * @type {SCNPhysicsFieldScope}
      * @see https://developer.apple.com/documentation/scenekit/scnphysicsfield/1388136-scope
      */
-    this.scope = null
+    this.scope = SCNPhysicsFieldScope.insideExtent
 
     /**
      * A Boolean value that determines whether the field’s area of effect is shaped like a box or ellipsoid.
@@ -49,14 +144,14 @@ export default class SCNPhysicsField extends NSObject {
      * @type {SCNVector3}
      * @see https://developer.apple.com/documentation/scenekit/scnphysicsfield/1388154-offset
      */
-    this.offset = null
+    this.offset = new SCNVector3(0, 0, 0)
 
     /**
      * The field’s directional axis.
      * @type {SCNVector3}
      * @see https://developer.apple.com/documentation/scenekit/scnphysicsfield/1388128-direction
      */
-    this.direction = null
+    this.direction = new SCNVector3(0, -1, 0)
 
 
     // Specifying a Field’s Behavior
@@ -66,7 +161,7 @@ export default class SCNPhysicsField extends NSObject {
      * @type {number}
      * @see https://developer.apple.com/documentation/scenekit/scnphysicsfield/1388132-strength
      */
-    this.strength = 0
+    this.strength = 1.0
 
     /**
      * An exponent that determines how the field’s strength diminishes with distance.
@@ -80,14 +175,14 @@ export default class SCNPhysicsField extends NSObject {
      * @type {number}
      * @see https://developer.apple.com/documentation/scenekit/scnphysicsfield/1388148-minimumdistance
      */
-    this.minimumDistance = 0
+    this.minimumDistance = 1e-6
 
     /**
      * A Boolean value that determines whether the field’s effect is enabled.
      * @type {boolean}
      * @see https://developer.apple.com/documentation/scenekit/scnphysicsfield/1388117-isactive
      */
-    this.isActive = false
+    this.isActive = true
 
     /**
      * A Boolean value that determines whether the field overrides other fields whose areas of effect it overlaps.
@@ -104,8 +199,31 @@ export default class SCNPhysicsField extends NSObject {
      * @type {number}
      * @see https://developer.apple.com/documentation/scenekit/scnphysicsfield/1388119-categorybitmask
      */
-    this.categoryBitMask = 0
+    this.categoryBitMask = 0xFFFFFFFF
 
+    /**
+     * @access private
+     * @type {number}
+     */
+    this._fieldType = _FieldType.none
+
+    /**
+     * @access private
+     * @type {number}
+     */
+    this._smoothness = 0.0
+
+    /**
+     * @access private
+     * @type {number}
+     */
+    this._animationSpeed = 1.0
+
+    /**
+     * @access private
+     * @type {?SCNFieldForceEvaluator}
+     */
+    this._evaluationBlock = null
   }
 
   // Creating Physics Fields
@@ -118,7 +236,7 @@ export default class SCNPhysicsField extends NSObject {
    * @see https://developer.apple.com/documentation/scenekit/scnphysicsfield/1388164-drag
    */
   static drag() {
-    return null
+    return SCNPhysicsField._fieldWithType(_FieldType.drag, 0.0)
   }
 
   /**
@@ -129,7 +247,7 @@ export default class SCNPhysicsField extends NSObject {
    * @see https://developer.apple.com/documentation/scenekit/scnphysicsfield/1388160-vortex
    */
   static vortex() {
-    return null
+    return SCNPhysicsField._fieldWithType(_FieldType.vortex, 0.0)
   }
 
   /**
@@ -140,7 +258,7 @@ export default class SCNPhysicsField extends NSObject {
    * @see https://developer.apple.com/documentation/scenekit/scnphysicsfield/1388115-radialgravity
    */
   static radialGravity() {
-    return null
+    return SCNPhysicsField._fieldWithType(_FieldType.radialGravity, 2.0)
   }
 
   /**
@@ -151,7 +269,7 @@ export default class SCNPhysicsField extends NSObject {
    * @see https://developer.apple.com/documentation/scenekit/scnphysicsfield/1388130-lineargravity
    */
   static linearGravity() {
-    return null
+    return SCNPhysicsField._fieldWithType(_FieldType.linearGravity, 0.0)
   }
 
   /**
@@ -164,7 +282,10 @@ export default class SCNPhysicsField extends NSObject {
    * @see https://developer.apple.com/documentation/scenekit/scnphysicsfield/1388150-noisefield
    */
   static noiseFieldAnimationSpeed(smoothness, speed) {
-    return null
+    const field = SCNPhysicsField._fieldWithType(_FieldType.noise, 0.0)
+    field._smoothness = smoothness
+    field._animationSpeed = speed
+    return field
   }
 
   /**
@@ -177,7 +298,10 @@ export default class SCNPhysicsField extends NSObject {
    * @see https://developer.apple.com/documentation/scenekit/scnphysicsfield/1388162-turbulencefield
    */
   static turbulenceFieldAnimationSpeed(smoothness, speed) {
-    return null
+    const field = SCNPhysicsField._fieldWithType(_FieldType.turbulence, 0.0)
+    field._smoothness = smoothness
+    field._animationSpeed = speed
+    return field
   }
 
   /**
@@ -188,7 +312,7 @@ export default class SCNPhysicsField extends NSObject {
    * @see https://developer.apple.com/documentation/scenekit/scnphysicsfield/1388134-spring
    */
   static spring() {
-    return null
+    return SCNPhysicsField._fieldWithType(_FieldType.spring, 1.0)
   }
 
   /**
@@ -199,7 +323,7 @@ export default class SCNPhysicsField extends NSObject {
    * @see https://developer.apple.com/documentation/scenekit/scnphysicsfield/1388152-electric
    */
   static electric() {
-    return null
+    return SCNPhysicsField._fieldWithType(_FieldType.electric, 2.0)
   }
 
   /**
@@ -210,7 +334,7 @@ export default class SCNPhysicsField extends NSObject {
    * @see https://developer.apple.com/documentation/scenekit/scnphysicsfield/1388168-magnetic
    */
   static magnetic() {
-    return null
+    return SCNPhysicsField._fieldWithType(_FieldType.magnetic, 2.0)
   }
 
   // Creating Custom Physics Fields
@@ -224,6 +348,159 @@ export default class SCNPhysicsField extends NSObject {
    * @see https://developer.apple.com/documentation/scenekit/scnphysicsfield/1388140-customfield
    */
   static customFieldEvaluationBlock(block) {
-    return null
+    const field = SCNPhysicsField._fieldWithType(_FieldType.custom, 0.0)
+    field._evaluationBlock = block
+    return field
+  }
+
+  /**
+   * @access private
+   * @param {number} type -
+   * @param {number} falloffExponent -
+   * @returns {SCNPhysicsField} -
+   */
+  static _fieldWithType(type, falloffExponent) {
+    const field = new SCNPhysicsField()
+    field._fieldType = type
+    field.falloffExponent = falloffExponent
+    return field
+  }
+
+  /**
+   * @access private
+   * @type {Object}
+   */
+  static get _FieldType() {
+    return _FieldType
+  }
+
+  /**
+   * Computes the force which the field applies to an object.
+   * @access private
+   * @param {SCNMatrix4} transform - world transform of the node containing the field.
+   * @param {SCNVector3} position - position of the object in the world coordinate space.
+   * @param {SCNVector3} velocity - velocity of the object in the world coordinate space.
+   * @param {number} mass - mass of the object.
+   * @param {number} charge - electric charge of the object.
+   * @param {number} time - current time of the simulation in seconds.
+   * @param {number} deltaTime - elapsed time since the last simulation step in seconds.
+   * @returns {?SCNVector3} - the force in the world coordinate space. null if the object is out of the area of effect.
+   */
+  _forceInWorld(transform, position, velocity, mass, charge, time, deltaTime) {
+    const localPosition = position.transform(transform.invert())
+    if(!this._affects(localPosition)){
+      return null
+    }
+    const rotation = SCNMatrix4.matrixWithOrientation(transform.getOrientation())
+    const localVelocity = velocity.rotate(rotation.transpose())
+    const force = this._forceAt(localPosition, localVelocity, mass, charge, time, deltaTime)
+    return force.rotate(rotation)
+  }
+
+  /**
+   * @access private
+   * @param {SCNVector3} position - position in the local coordinate space of the field.
+   * @returns {boolean} - true if the position is in the area of effect.
+   */
+  _affects(position) {
+    const h = this.halfExtent
+    let inside = false
+    if(this.usesEllipsoidalExtent){
+      const x = position.x / h.x
+      const y = position.y / h.y
+      const z = position.z / h.z
+      inside = x * x + y * y + z * z <= 1.0
+    }else{
+      inside = Math.abs(position.x) <= h.x && Math.abs(position.y) <= h.y && Math.abs(position.z) <= h.z
+    }
+    if(this.scope === SCNPhysicsFieldScope.outsideExtent){
+      return !inside
+    }
+    return inside
+  }
+
+  /**
+   * @access private
+   * @param {number} distance -
+   * @returns {number} - strength of the field at the distance.
+   */
+  _strengthAt(distance) {
+    if(this.falloffExponent === 0){
+      return this.strength
+    }
+    const d = Math.max(distance, this.minimumDistance)
+    return this.strength / Math.pow(d, this.falloffExponent)
+  }
+
+  /**
+   * @access private
+   * @param {SCNVector3} position - position in the local coordinate space of the field.
+   * @param {SCNVector3} velocity - velocity in the local coordinate space of the field.
+   * @param {number} mass -
+   * @param {number} charge -
+   * @param {number} time -
+   * @param {number} deltaTime -
+   * @returns {SCNVector3} - the force in the local coordinate space of the field.
+   */
+  _forceAt(position, velocity, mass, charge, time, deltaTime) {
+    if(this._fieldType === _FieldType.custom){
+      const force = this._evaluationBlock(position, velocity, mass, charge, deltaTime)
+      return force ? force : new SCNVector3(0, 0, 0)
+    }
+
+    const r = position.sub(this.offset)
+    const distance = r.length()
+    const direction = this.direction.normalize()
+    // vector from the axis of the field to the object.
+    const axial = r.sub(direction.mul(r.dot(direction)))
+    const axialDistance = axial.length()
+
+    switch(this._fieldType){
+      case _FieldType.drag:
+        return velocity.mul(-this._strengthAt(distance))
+      case _FieldType.vortex:
+        return direction.cross(axial).normalize().mul(this._strengthAt(axialDistance) * mass)
+      case _FieldType.radialGravity:
+        return r.normalize().mul(-this._strengthAt(distance) * mass)
+      case _FieldType.linearGravity:
+        return direction.mul(this._strengthAt(distance) * mass)
+      case _FieldType.noise:
+        return this._noiseAt(r, time).mul(this._strengthAt(distance))
+      case _FieldType.turbulence:
+        return this._noiseAt(r, time).mul(this._strengthAt(distance) * velocity.length())
+      case _FieldType.spring:
+        return r.mul(-this._strengthAt(distance))
+      case _FieldType.electric:
+        return r.normalize().mul(this._strengthAt(distance) * charge)
+      case _FieldType.magnetic: {
+        const b = direction.cross(axial).normalize().mul(this._strengthAt(axialDistance))
+        return velocity.cross(b).mul(charge)
+      }
+      default:
+        return new SCNVector3(0, 0, 0)
+    }
+  }
+
+  /**
+   * @access private
+   * @param {SCNVector3} position -
+   * @param {number} time -
+   * @returns {SCNVector3} - a random vector whose components are between -1 and 1.
+   */
+  _noiseAt(position, time) {
+    if(this._smoothness >= 1.0){
+      return new SCNVector3(0, 0, 0)
+    }
+    const frequency = 1.0 - this._smoothness
+    const x = position.x * frequency
+    const y = position.y * frequency
+    const z = position.z * frequency
+    const t = time * this._animationSpeed
+    // each component uses a different area of the noise.
+    return new SCNVector3(
+      _noise(x + t, y, z),
+      _noise(x + 31.7, y + t, z + 47.3),
+      _noise(x + 83.1, y + 12.9, z + t)
+    )
   }
 }
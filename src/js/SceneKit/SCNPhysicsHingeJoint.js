@@ -2,7 +2,8 @@
 
 import SCNPhysicsBehavior from './SCNPhysicsBehavior'
 //import SCNPhysicsBody from './SCNPhysicsBody'
-//import SCNVector3 from './SCNVector3'
+import SCNVector3 from './SCNVector3'
+import Ammo from '../third_party/ammo'
 
 /**
  * A physics behavior that connects two bodies and allows them to pivot around each other on a single axis.
@@ -20,13 +21,13 @@ export default class SCNPhysicsHingeJoint extends SCNPhysicsBehavior {
    * @param {SCNPhysicsBody} bodyA - The first physics body to be connected by the joint.
    * @param {SCNVector3} axisA - The axis that the hinge pivots around, relative to the node containing the first body.
    * @param {SCNVector3} anchorA - The point at which the hinge connects, relative to the node containing the first body.
-   * @param {SCNPhysicsBody} bodyB - The second physics body to be connected by the joint.
-   * @param {SCNVector3} axisB - The axis that the hinge pivots around, relative to the node containing the second body.
-   * @param {SCNVector3} anchorB - The point at which the hinge connects, relative to the node containing the second body.
+   * @param {?SCNPhysicsBody} [bodyB = null] - The second physics body to be connected by the joint.
+   * @param {?SCNVector3} [axisB = null] - The axis that the hinge pivots around, relative to the node containing the second body.
+   * @param {?SCNVector3} [anchorB = null] - The point at which the hinge connects, relative to the node containing the second body.
    * @desc For a behavior to take effect, add it to the physics simulation by calling the addBehavior(_:) method on your scene’s SCNPhysicsWorld object. The physics bodies constrained by the joint must be attached to nodes in the scene.
    * @see https://developer.apple.com/documentation/scenekit/scnphysicshingejoint/1387898-init
    */
-  constructor(bodyA, axisA, anchorA, bodyB, axisB, anchorB) {
+  constructor(bodyA, axisA, anchorA, bodyB = null, axisB = null, anchorB = null) {
     super()
 
     // Managing the Characteristics of a Hinge Joint
@@ -36,31 +37,45 @@ export default class SCNPhysicsHingeJoint extends SCNPhysicsBehavior {
      * @type {SCNVector3}
      * @see https://developer.apple.com/documentation/scenekit/scnphysicshingejoint/1387888-axisa
      */
-    this.axisA = null
+    this.axisA = axisA
 
     /**
      * The point at which the hinge connects, relative to the node containing the first body.
      * @type {SCNVector3}
      * @see https://developer.apple.com/documentation/scenekit/scnphysicshingejoint/1387936-anchora
      */
-    this.anchorA = null
+    this.anchorA = anchorA
 
     /**
      * The axis that the hinge pivots around, relative to the node containing the second body.
      * @type {SCNVector3}
      * @see https://developer.apple.com/documentation/scenekit/scnphysicshingejoint/1387914-axisb
      */
-    this.axisB = null
+    this.axisB = axisB
 
     /**
      * The point at which the hinge connects, relative to the node containing the second body.
      * @type {SCNVector3}
      * @see https://developer.apple.com/documentation/scenekit/scnphysicshingejoint/1387979-anchorb
      */
-    this.anchorB = null
+    this.anchorB = anchorB
 
-    this._bodyA = null
-    this._bodyB = null
+    this._bodyA = bodyA
+    this._bodyB = bodyB
+  }
+
+  /**
+   * Creates a hinge joint anchoring a physics body to a specific location in the scene.
+   * @access public
+   * @param {SCNPhysicsBody} body - The physics body to be connected by the joint.
+   * @param {SCNVector3} axis - The axis that the hinge pivots around, relative to the node containing the body.
+   * @param {SCNVector3} anchor - The point at which the hinge connects, relative to the node containing the body.
+   * @returns {SCNPhysicsHingeJoint} -
+   * @desc Use this method to fix the body to a location in the scene's world coordinate space, like a door attached to a static wall.
+   * @see https://developer.apple.com/documentation/scenekit/scnphysicshingejoint/1387947-init
+   */
+  static jointWithBodyAxisAnchor(body, axis, anchor) {
+    return new SCNPhysicsHingeJoint(body, axis, anchor)
   }
 
   // Managing the Characteristics of a Hinge Joint
@@ -84,4 +99,43 @@ export default class SCNPhysicsHingeJoint extends SCNPhysicsBehavior {
   get bodyB() {
     return this._bodyB
   }
+
+  /**
+   * @access private
+   * @type {SCNPhysicsBody[]}
+   */
+  get _bodies() {
+    return [this._bodyA, this._bodyB].filter((body) => body !== null)
+  }
+
+  /**
+   * @access private
+   * @returns {Ammo.btHingeConstraint} -
+   */
+  _createBtConstraint() {
+    if(this._bodyB === null){
+      // btHingeConstraint rotates around the z axis of the frame.
+      const frame = SCNPhysicsBehavior._createBtFrame(
+        this._bodyA._btLocalPosition(this.anchorA),
+        this._bodyA._btLocalDirection(this.axisA),
+        new SCNVector3(0, 0, 1)
+      )
+      const hinge = new Ammo.btHingeConstraint(this._bodyA._btRigidBody, frame)
+      Ammo.destroy(frame)
+      return hinge
+    }
+
+    const pivotA = this._bodyA._btLocalPosition(this.anchorA)._createBtVector3()
+    const axisA = this._bodyA._btLocalDirection(this.axisA)._createBtVector3()
+    const pivotB = this._bodyB._btLocalPosition(this.anchorB)._createBtVector3()
+    const axisB = this._bodyB._btLocalDirection(this.axisB)._createBtVector3()
+    const constraint = new Ammo.btHingeConstraint(
+      this._bodyA._btRigidBody, this._bodyB._btRigidBody, pivotA, pivotB, axisA, axisB
+    )
+    Ammo.destroy(pivotA)
+    Ammo.destroy(axisA)
+    Ammo.destroy(pivotB)
+    Ammo.destroy(axisB)
+    return constraint
+  }
 }
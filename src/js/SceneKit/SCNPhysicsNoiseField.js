@@ -18,7 +18,6 @@ export default class SCNPhysicsNoiseField extends SCNPhysicsField {
   constructor() {
     super()
 
-    this._smoothness = 0.0
-    this._animationSpeed = 1.0
+    this._fieldType = SCNPhysicsField._FieldType.noise
   }
 }
@@ -7,6 +7,7 @@ import SCNGeometry from './SCNGeometry'
 import SCNNode from './SCNNode'
 import SCNSphere from './SCNSphere'
 import SCNVector3 from './SCNVector3'
+import Ammo from '../third_party/ammo'
 import _InstanceOf from '../util/_InstanceOf'
 
 const _Option = {
@@ -124,8 +125,7 @@ export default class SCNPhysicsShape extends NSObject {
     if(this._options && this._options[_Option.type] === _ShapeType.boundingBox){
       this._createShapeAsBoundingBox()
     }else if(_InstanceOf(this._sourceGeometry, SCNCapsule)){
-      // FIXME: do not convert to SCNBox
-      this._createShapeAsBoundingBox()
+      this._createShapeAsCapsule()
     }else if(_InstanceOf(this._sourceGeometry, SCNBox)){
       this._createShapeAsBox()
     }else if(_InstanceOf(this._sourceGeometry, SCNSphere)){
@@ -134,6 +134,10 @@ export default class SCNPhysicsShape extends NSObject {
     }else if(this._options && this._options[_Option.type] === _ShapeType.concavePolyhedron){
       // give up making a simple shape
       this._shape = this._sourceGeometry
+      this._center = new SCNVector3(0, 0, 0)
+    }else if(this._options && this._options[_Option.type] === _ShapeType.convexHull){
+      this._shape = this._sourceGeometry
+      this._center = new SCNVector3(0, 0, 0)
     }else{
       this._createShapeAsSphere()
     }
@@ -160,6 +164,13 @@ export default class SCNPhysicsShape extends NSObject {
     this._center = new SCNVector3(0, 0, 0)
   }
 
+  _createShapeAsCapsule() {
+    // the shape doesn't change when the geometry is resized.
+    const capsule = this._sourceGeometry
+    this._shape = new SCNCapsule(capsule.capRadius, capsule.height)
+    this._center = new SCNVector3(0, 0, 0)
+  }
+
   _createShapeAsSphere() {
     if(_InstanceOf(this._sourceGeometry, SCNSphere)){
       // TODO: copy the geometry
@@ -243,9 +254,24 @@ export default class SCNPhysicsShape extends NSObject {
    * @desc call Ammo.destroy(shape) after using it.
    */
   _createBtCollisionShape() {
-    if(this._sourceObject === null){
-      throw new Error('_sourceObject is null')
+    if(this._shape === null){
+      throw new Error('_shape is null')
+    }
+    let shape = null
+    if(this._type === _ShapeType.concavePolyhedron){
+      shape = this._shape._createBtBvhTriangleMeshShape()
+    }else if(this._type === _ShapeType.convexHull){
+      shape = this._shape._createBtConvexHullShape()
+    }else{
+      shape = this._shape._createBtCollisionShape()
+    }
+
+    const scale = this._options ? this._options[_Option.scale] : null
+    if(typeof scale === 'number' && scale !== 1.0){
+      const localScaling = new Ammo.btVector3(scale, scale, scale)
+      shape.setLocalScaling(localScaling)
+      Ammo.destroy(localScaling)
     }
-    return this._sourceObject._createBtCollisionShape()
+    return shape
   }
 }
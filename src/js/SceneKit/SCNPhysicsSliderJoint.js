@@ -2,7 +2,8 @@
 
 import SCNPhysicsBehavior from './SCNPhysicsBehavior'
 //import SCNPhysicsBody from './SCNPhysicsBody'
-//import SCNVector3 from './SCNVector3'
+import SCNVector3 from './SCNVector3'
+import Ammo from '../third_party/ammo'
 
 /**
  * A physics behavior that connects two bodies and allows them to slide against each other and rotate around their connecting points.
@@ -20,13 +21,13 @@ export default class SCNPhysicsSliderJoint extends SCNPhysicsBehavior {
    * @param {SCNPhysicsBody} bodyA - The first physics body to be connected by the joint.
    * @param {SCNVector3} axisA - The axis along which the first body can slide, relative to the node containing it.
    * @param {SCNVector3} anchorA - The point at which the joint connects, relative to the node containing the first body.
-   * @param {SCNPhysicsBody} bodyB - The second physics body to be connected by the joint.
-   * @param {SCNVector3} axisB - The axis along which the second body can slide, relative to the node containing it.
-   * @param {SCNVector3} anchorB - The point at which the joint connects, relative to the node containing the second body.
+   * @param {?SCNPhysicsBody} [bodyB = null] - The second physics body to be connected by the joint.
+   * @param {?SCNVector3} [axisB = null] - The axis along which the second body can slide, relative to the node containing it.
+   * @param {?SCNVector3} [anchorB = null] - The point at which the joint connects, relative to the node containing the second body.
    * @desc This method defines the location where the bodies are pinned together. To define their sliding or rotation motion relative to that point, use the properties listed in Limiting the Motion of a Slider Joint.For a behavior to take effect, add it to the physics simulation by calling the addBehavior(_:) method on your scene’s SCNPhysicsWorld object. The physics bodies constrained by the joint must be attached to nodes in the scene.
    * @see https://developer.apple.com/documentation/scenekit/scnphysicssliderjoint/1387922-init
    */
-  constructor(bodyA, axisA, anchorA, bodyB, axisB, anchorB) {
+  constructor(bodyA, axisA, anchorA, bodyB = null, axisB = null, anchorB = null) {
     super()
 
     // Managing the Characteristics of a Slider Joint
@@ -36,31 +37,31 @@ export default class SCNPhysicsSliderJoint extends SCNPhysicsBehavior {
      * @type {SCNVector3}
      * @see https://developer.apple.com/documentation/scenekit/scnphysicssliderjoint/1387900-axisa
      */
-    this.axisA = null
+    this.axisA = axisA
 
     /**
      * The point at which the joint connects, relative to the node containing the first body.
      * @type {SCNVector3}
      * @see https://developer.apple.com/documentation/scenekit/scnphysicssliderjoint/1387958-anchora
      */
-    this.anchorA = null
+    this.anchorA = anchorA
 
     /**
      * The axis along which the second body can slide, relative to the node containing it.
      * @type {SCNVector3}
      * @see https://developer.apple.com/documentation/scenekit/scnphysicssliderjoint/1387948-axisb
      */
-    this.axisB = null
+    this.axisB = axisB
 
     /**
      * The point at which the joint connects, relative to the node containing the second body.
      * @type {SCNVector3}
      * @see https://developer.apple.com/documentation/scenekit/scnphysicssliderjoint/1387916-anchorb
      */
-    this.anchorB = null
+    this.anchorB = anchorB
 
-    this._bodyA = null
-    this._bodyB = null
+    this._bodyA = bodyA
+    this._bodyB = bodyB
 
     // Limiting the Motion of a Slider Joint
 
@@ -122,7 +123,20 @@ export default class SCNPhysicsSliderJoint extends SCNPhysicsBehavior {
      * @see https://developer.apple.com/documentation/scenekit/scnphysicssliderjoint/1387961-motormaximumtorque
      */
     this.motorMaximumTorque = 0
+  }
 
+  /**
+   * Creates a slider joint anchoring a physics body to a specific location in the scene.
+   * @access public
+   * @param {SCNPhysicsBody} body - The physics body to be connected by the joint.
+   * @param {SCNVector3} axis - The axis along which the body can slide, relative to the node containing it.
+   * @param {SCNVector3} anchor - The point at which the joint connects, relative to the node containing the body.
+   * @returns {SCNPhysicsSliderJoint} -
+   * @desc Use this method to let the body slide along a rail fixed in the scene's world coordinate space, like a piston in its cylinder.
+   * @see https://developer.apple.com/documentation/scenekit/scnphysicssliderjoint/1387902-init
+   */
+  static jointWithBodyAxisAnchor(body, axis, anchor) {
+    return new SCNPhysicsSliderJoint(body, axis, anchor)
   }
 
   // Managing the Characteristics of a Slider Joint
@@ -146,4 +160,138 @@ export default class SCNPhysicsSliderJoint extends SCNPhysicsBehavior {
   get bodyB() {
     return this._bodyB
   }
+
+  /**
+   * @access private
+   * @type {SCNPhysicsBody[]}
+   */
+  get _bodies() {
+    return [this._bodyA, this._bodyB].filter((body) => body !== null)
+  }
+
+  /**
+   * @access private
+   * @returns {Ammo.btSliderConstraint} -
+   */
+  _createBtConstraint() {
+    const useLinearReferenceFrameA = true
+    // btSliderConstraint slides along the x axis of the frames.
+    const xAxis = new SCNVector3(1, 0, 0)
+    const frameA = SCNPhysicsBehavior._createBtFrame(
+      this._bodyA._btLocalPosition(this.anchorA),
+      this._bodyA._btLocalDirection(this.axisA),
+      xAxis
+    )
+    let constraint = null
+    if(this._bodyB === null){
+      constraint = new Ammo.btSliderConstraint(this._bodyA._btRigidBody, frameA, useLinearReferenceFrameA)
+    }else{
+      const frameB = SCNPhysicsBehavior._createBtFrame(
+        this._bodyB._btLocalPosition(this.anchorB),
+        this._bodyB._btLocalDirection(this.axisB),
+        xAxis
+      )
+      constraint = new Ammo.btSliderConstraint(
+        this._bodyA._btRigidBody, this._bodyB._btRigidBody, frameA, frameB, useLinearReferenceFrameA
+      )
+      Ammo.destroy(frameB)
+    }
+    Ammo.destroy(frameA)
+    return constraint
+  }
+
+  /**
+   * Applies the limits and the motors.
+   * @access private
+   * @param {number} stepTime - the length of the step in seconds.
+   * @returns {void}
+   */
+  _updateBtBehavior(stepTime) {
+    const constraint = this._btConstraint
+    if(constraint === null){
+      return
+    }
+    // the motion is free unless the minimum limit is smaller than the maximum one.
+    const hasLinearLimit = this.minimumLinearLimit < this.maximumLinearLimit
+    const hasAngularLimit = this.minimumAngularLimit < this.maximumAngularLimit
+    constraint.setLowerLinLimit(hasLinearLimit ? this.minimumLinearLimit : 1)
+    constraint.setUpperLinLimit(hasLinearLimit ? this.maximumLinearLimit : -1)
+    constraint.setLowerAngLimit(hasAngularLimit ? this.minimumAngularLimit : 1)
+    constraint.setUpperAngLimit(hasAngularLimit ? this.maximumAngularLimit : -1)
+
+    if(stepTime <= 0){
+      return
+    }
+
+    // the moving body is bodyB; a single body moves relative to the scene.
+    const moving = this._bodyB === null ? this._bodyA : this._bodyB
+    const base = this._bodyB === null ? null : this._bodyA
+    const axis = this.axisA.rotate(this._bodyA._transform).normalize()
+    if(this.motorMaximumForce > 0){
+      const inverseMass = moving._inverseMass + (base ? base._inverseMass : 0)
+      const velocity = SCNPhysicsSliderJoint._relativeVelocity(moving, base, (body) => body.getLinearVelocity())
+      const dv = this.motorTargetLinearVelocity - velocity.dot(axis)
+      if(inverseMass > 0){
+        const force = SCNPhysicsSliderJoint._clamp(dv / (inverseMass * stepTime), this.motorMaximumForce)
+        SCNPhysicsSliderJoint._applyToBtBodies(moving, base, axis.mul(force), (body, v) => body.applyCentralForce(v))
+      }
+    }
+    if(this.motorMaximumTorque > 0){
+      const inverseInertia = moving._inverseMomentOfInertiaAround(axis)
+        + (base ? base._inverseMomentOfInertiaAround(axis) : 0)
+      const velocity = SCNPhysicsSliderJoint._relativeVelocity(moving, base, (body) => body.getAngularVelocity())
+      const dw = this.motorTargetAngularVelocity - velocity.dot(axis)
+      if(inverseInertia > 0){
+        const torque = SCNPhysicsSliderJoint._clamp(dw / (inverseInertia * stepTime), this.motorMaximumTorque)
+        SCNPhysicsSliderJoint._applyToBtBodies(moving, base, axis.mul(torque), (body, v) => body.applyTorque(v))
+      }
+    }
+  }
+
+  /**
+   * @access private
+   * @param {SCNPhysicsBody} moving -
+   * @param {?SCNPhysicsBody} base -
+   * @param {function(body: Ammo.btRigidBody): Ammo.btVector3} getter -
+   * @returns {SCNVector3} -
+   */
+  static _relativeVelocity(moving, base, getter) {
+    const v = SCNVector3._initWithBtVector3(getter(moving._btRigidBody))
+    if(base === null){
+      return v
+    }
+    return v.sub(SCNVector3._initWithBtVector3(getter(base._btRigidBody)))
+  }
+
+  /**
+   * Applies the vector to the moving body and the opposite one to the base body.
+   * @access private
+   * @param {SCNPhysicsBody} moving -
+   * @param {?SCNPhysicsBody} base -
+   * @param {SCNVector3} vector -
+   * @param {function(body: Ammo.btRigidBody, v: Ammo.btVector3): void} apply -
+   * @returns {void}
+   */
+  static _applyToBtBodies(moving, base, vector, apply) {
+    const v = vector._createBtVector3()
+    apply(moving._btRigidBody, v)
+    moving._btRigidBody.activate()
+    Ammo.destroy(v)
+    if(base !== null){
+      const r = vector.mul(-1)._createBtVector3()
+      apply(base._btRigidBody, r)
+      base._btRigidBody.activate()
+      Ammo.destroy(r)
+    }
+  }
+
+  /**
+   * @access private
+   * @param {number} value -
+   * @param {number} max -
+   * @returns {number} - value clamped between -max and max.
+   */
+  static _clamp(value, max) {
+    return Math.max(-max, Math.min(max, value))
+  }
 }
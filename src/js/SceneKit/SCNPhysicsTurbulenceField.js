@@ -1,5 +1,6 @@
 'use strict'
 
+import SCNPhysicsField from './SCNPhysicsField'
 import SCNPhysicsNoiseField from './SCNPhysicsNoiseField'
 
 /**
@@ -32,7 +33,9 @@ export default class SCNPhysicsTurbulenceField extends SCNPhysicsNoiseField {
    * @access public
    * @constructor
    */
-  //constructor() {
-  //  super()
-  //}
+  constructor() {
+    super()
+
+    this._fieldType = SCNPhysicsField._FieldType.turbulence
+  }
 }
@@ -3,6 +3,16 @@
 import SCNPhysicsBehavior from './SCNPhysicsBehavior'
 //import SCNPhysicsBody from './SCNPhysicsBody'
 //import SCNPhysicsVehicleWheel from './SCNPhysicsVehicleWheel'
+import SCNMatrix4 from './SCNMatrix4'
+import SCNVector3 from './SCNVector3'
+import SCNVector4 from './SCNVector4'
+import Ammo from '../third_party/ammo'
+
+/**
+ * @access private
+ * @type {number}
+ */
+const _DISABLE_DEACTIVATION = 4
 
 /**
  * A physics behavior that modifies a physics body to behave like a car, motorcycle, or other wheeled vehicle.
@@ -27,12 +37,67 @@ export default class SCNPhysicsVehicle extends SCNPhysicsBehavior {
 
     // Working with a Vehicle’s Physical Characteristics
 
-    this._chassisBody = null
-    this._wheels = null
+    this._chassisBody = chassisBody
+    this._wheels = wheels.slice()
 
     // Driving a Vehicle
 
     this._speedInKilometersPerHour = 0
+
+    /**
+     * @access private
+     * @type {number[]}
+     */
+    this._engineForces = this._wheels.map(() => 0)
+
+    /**
+     * @access private
+     * @type {number[]}
+     */
+    this._brakingForces = this._wheels.map(() => 0)
+
+    /**
+     * @access private
+     * @type {number[]}
+     */
+    this._steeringAngles = this._wheels.map(() => 0)
+
+    /**
+     * Orientations of the wheel nodes relative to the chassis when the vehicle is added to the simulation.
+     * @access private
+     * @type {SCNMatrix4[]}
+     */
+    this._wheelRestRotations = []
+
+    /**
+     * @access private
+     * @type {?Ammo.btRaycastVehicle}
+     */
+    this._btVehicle = null
+
+    /**
+     * @access private
+     * @type {?Ammo.btVehicleTuning}
+     */
+    this._btTuning = null
+
+    /**
+     * @access private
+     * @type {?Ammo.btDefaultVehicleRaycaster}
+     */
+    this._btRaycaster = null
+  }
+
+  /**
+   * Creates a vehicle behavior.
+   * @access public
+   * @param {SCNPhysicsBody} chassisBody - A physics body to serve as the vehicle’s chassis.
+   * @param {SCNPhysicsVehicleWheel[]} wheels - An array of SCNPhysicsVehicleWheel objects representing the vehicle’s wheels. A vehicle must have at least one wheel.
+   * @returns {SCNPhysicsVehicle} -
+   * @see https://developer.apple.com/documentation/scenekit/scnphysicsvehicle/1387943-init
+   */
+  static vehicleWithChassisBodyWheels(chassisBody, wheels) {
+    return new SCNPhysicsVehicle(chassisBody, wheels)
   }
 
   // Working with a Vehicle’s Physical Characteristics
@@ -73,6 +138,7 @@ SCNPhysicsVehicle *vehicle = [SCNPhysicsVehicle vehicleWithChassisBody:car wheel
    * @see https://developer.apple.com/documentation/scenekit/scnphysicsvehicle/1387963-applyengineforce
    */
   applyEngineForceForWheelAt(value, index) {
+    this._engineForces[index] = value
   }
 
   /**
@@ -85,6 +151,7 @@ SCNPhysicsVehicle *vehicle = [SCNPhysicsVehicle vehicleWithChassisBody:car wheel
    * @see https://developer.apple.com/documentation/scenekit/scnphysicsvehicle/1387894-applybrakingforce
    */
   applyBrakingForceForWheelAt(value, index) {
+    this._brakingForces[index] = value
   }
 
   /**
@@ -97,6 +164,7 @@ SCNPhysicsVehicle *vehicle = [SCNPhysicsVehicle vehicleWithChassisBody:car wheel
    * @see https://developer.apple.com/documentation/scenekit/scnphysicsvehicle/1387952-setsteeringangle
    */
   setSteeringAngleForWheelAt(value, index) {
+    this._steeringAngles[index] = value
   }
 
   /**
@@ -108,4 +176,144 @@ SCNPhysicsVehicle *vehicle = [SCNPhysicsVehicle vehicleWithChassisBody:car wheel
   get speedInKilometersPerHour() {
     return this._speedInKilometersPerHour
   }
+
+  /**
+   * @access private
+   * @type {SCNPhysicsBody[]}
+   */
+  get _bodies() {
+    return [this._chassisBody]
+  }
+
+  /**
+   * @access private
+   * @param {Ammo.btDiscreteDynamicsWorld} world -
+   * @returns {void}
+   */
+  _addToBtWorld(world) {
+    const chassis = this._chassisBody
+    const rigidBody = chassis._btRigidBody
+    this._btTuning = new Ammo.btVehicleTuning()
+    this._btRaycaster = new Ammo.btDefaultVehicleRaycaster(world)
+    this._btVehicle = new Ammo.btRaycastVehicle(this._btTuning, rigidBody, this._btRaycaster)
+    // x: right, y: up, z: forward
+    this._btVehicle.setCoordinateSystem(0, 1, 2)
+    // the raycasts need the chassis to be active even when the vehicle stops.
+    rigidBody.setActivationState(_DISABLE_DEACTIVATION)
+
+    const chassisTransform = chassis._node.worldTransform.invert()
+    this._wheelRestRotations = this._wheels.map((wheel) => {
+      const orientation = wheel.node.worldTransform.mult(chassisTransform).getOrientation()
+      return SCNMatrix4.matrixWithOrientation(orientation)
+    })
+
+    for(const wheel of this._wheels){
+      const connectionPoint = chassis._btLocalPosition(wheel.connectionPosition)._createBtVector3()
+      const direction = wheel.steeringAxis.normalize()._createBtVector3()
+      const axle = wheel.axle.normalize()._createBtVector3()
+      const isFrontWheel = false
+      this._btVehicle.addWheel(
+        connectionPoint, direction, axle, wheel.suspensionRestLength, wheel.radius, this._btTuning, isFrontWheel
+      )
+      Ammo.destroy(connectionPoint)
+      Ammo.destroy(direction)
+      Ammo.destroy(axle)
+    }
+    world.addAction(this._btVehicle)
+  }
+
+  /**
+   * @access private
+   * @param {Ammo.btDiscreteDynamicsWorld} world -
+   * @returns {void}
+   */
+  _removeFromBtWorld(world) {
+    if(this._btVehicle === null){
+      return
+    }
+    world.removeAction(this._btVehicle)
+    Ammo.destroy(this._btVehicle)
+    Ammo.destroy(this._btRaycaster)
+    Ammo.destroy(this._btTuning)
+    this._btVehicle = null
+    this._btRaycaster = null
+    this._btTuning = null
+  }
+
+  /**
+   * Sends the wheel properties and the driving inputs to the simulation.
+   * @access private
+   * @param {number} stepTime - the length of the step in seconds.
+   * @returns {void}
+   */
+  _updateBtBehavior(stepTime) {
+    const vehicle = this._btVehicle
+    if(vehicle === null){
+      return
+    }
+    this._wheels.forEach((wheel, index) => {
+      const info = vehicle.getWheelInfo(index)
+      info.set_m_wheelsRadius(wheel.radius)
+      info.set_m_frictionSlip(wheel.frictionSlip)
+      info.set_m_suspensionStiffness(wheel.suspensionStiffness)
+      info.set_m_wheelsDampingCompression(wheel.suspensionCompression)
+      info.set_m_wheelsDampingRelaxation(wheel.suspensionDamping)
+      info.set_m_maxSuspensionTravelCm(wheel.maximumSuspensionTravel)
+      info.set_m_maxSuspensionForce(wheel.maximumSuspensionForce)
+      info.set_m_suspensionRestLength1(wheel.suspensionRestLength)
+
+      vehicle.applyEngineForce(this._engineForces[index], index)
+      vehicle.setBrake(this._brakingForces[index], index)
+      vehicle.setSteeringValue(this._steeringAngles[index], index)
+    })
+  }
+
+  /**
+   * Moves the wheel nodes to the result of the simulation.
+   * @access private
+   * @returns {void}
+   */
+  _applyBtBehaviorTransform() {
+    const vehicle = this._btVehicle
+    if(vehicle === null){
+      return
+    }
+    this._speedInKilometersPerHour = vehicle.getCurrentSpeedKmHour()
+
+    const chassisTransform = vehicle.getChassisWorldTransform()
+    const chassisRotation = SCNMatrix4.matrixWithOrientation(
+      SCNVector4._initWithBtQuaternion(chassisTransform.getRotation())
+    )
+
+    this._wheels.forEach((wheel, index) => {
+      const node = wheel.node
+      const interpolatedTransform = false
+      vehicle.updateWheelTransform(index, interpolatedTransform)
+      const info = vehicle.getWheelInfo(index)
+      const position = SCNVector3._initWithBtVector3(info.get_m_worldTransform().getOrigin())
+
+      // the wheel spins around the axle, and then turns around the steering axis.
+      const axle = wheel.axle
+      const up = wheel.steeringAxis.mul(-1)
+      const spin = SCNMatrix4.matrixWithRotation(axle.x, axle.y, axle.z, -info.get_m_rotation())
+      const steering = SCNMatrix4.matrixWithRotation(up.x, up.y, up.z, info.get_m_steering())
+      const worldTransform = SCNMatrix4.matrixWithScale(node.scale)
+        .mult(this._wheelRestRotations[index])
+        .mult(spin)
+        .mult(steering)
+        .mult(chassisRotation)
+        .translation(position)
+
+      let parentTransform = SCNMatrix4._identity()
+      if(node.parent !== null){
+        parentTransform = node.parent.presentation.worldTransform
+      }
+      const localTransform = worldTransform.mult(parentTransform.invert())
+      node.transform = localTransform
+      if(node._presentation){
+        node._presentation.transform = localTransform._copy()
+      }
+      node._updateWorldTransform()
+    })
+  }
 }
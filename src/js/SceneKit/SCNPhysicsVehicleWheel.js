@@ -2,7 +2,7 @@
 
 import NSObject from '../ObjectiveC/NSObject'
 //import SCNNode from './SCNNode'
-//import SCNVector3 from './SCNVector3'
+import SCNVector3 from './SCNVector3'
 
 /**
  * The appearance and physical characteristics of an individual wheel associated with an physics vehicle behavior.
@@ -31,21 +31,21 @@ export default class SCNPhysicsVehicleWheel extends NSObject {
      * @type {SCNVector3}
      * @see https://developer.apple.com/documentation/scenekit/scnphysicsvehiclewheel/1387959-connectionposition
      */
-    this.connectionPosition = null
+    this.connectionPosition = node.position._copy()
 
     /**
      * The direction of the axis that the wheel spins around to move the vehicle.
      * @type {SCNVector3}
      * @see https://developer.apple.com/documentation/scenekit/scnphysicsvehiclewheel/1387969-axle
      */
-    this.axle = null
+    this.axle = new SCNVector3(-1, 0, 0)
 
     /**
      * The direction of the axis that the wheel pivots around to steer the vehicle.
      * @type {SCNVector3}
      * @see https://developer.apple.com/documentation/scenekit/scnphysicsvehiclewheel/1387882-steeringaxis
      */
-    this.steeringAxis = null
+    this.steeringAxis = new SCNVector3(0, -1, 0)
 
 
     // Simulating Wheel Size
@@ -55,7 +55,7 @@ export default class SCNPhysicsVehicleWheel extends NSObject {
      * @type {number}
      * @see https://developer.apple.com/documentation/scenekit/scnphysicsvehiclewheel/1387991-radius
      */
-    this.radius = 0
+    this.radius = SCNPhysicsVehicleWheel._radiusOfNode(node)
 
 
     // Simulating Traction
@@ -65,7 +65,7 @@ export default class SCNPhysicsVehicleWheel extends NSObject {
      * @type {number}
      * @see https://developer.apple.com/documentation/scenekit/scnphysicsvehiclewheel/1387904-frictionslip
      */
-    this.frictionSlip = 0
+    this.frictionSlip = 1.0
 
 
     // Simulating Suspension
@@ -75,47 +75,58 @@ export default class SCNPhysicsVehicleWheel extends NSObject {
      * @type {number}
      * @see https://developer.apple.com/documentation/scenekit/scnphysicsvehiclewheel/1387983-suspensionstiffness
      */
-    this.suspensionStiffness = 0
+    this.suspensionStiffness = 2.0
 
     /**
      * The coefficient that limits the speed of the suspension returning to its rest length when compressed.
      * @type {number}
      * @see https://developer.apple.com/documentation/scenekit/scnphysicsvehiclewheel/1387971-suspensioncompression
      */
-    this.suspensionCompression = 0
+    this.suspensionCompression = 4.4
 
     /**
      * The damping ratio that limits oscillation in the vehicle’s suspension.
      * @type {number}
      * @see https://developer.apple.com/documentation/scenekit/scnphysicsvehiclewheel/1387886-suspensiondamping
      */
-    this.suspensionDamping = 0
+    this.suspensionDamping = 2.3
 
     /**
      * The maximum distance that the wheel is allowed to move up or down relative to its connection point, in centimeters.
      * @type {number}
      * @see https://developer.apple.com/documentation/scenekit/scnphysicsvehiclewheel/1387928-maximumsuspensiontravel
      */
-    this.maximumSuspensionTravel = 0
+    this.maximumSuspensionTravel = 500.0
 
     /**
      * The maximum force of the suspension between the vehicle and the wheel, in newtons.
      * @type {number}
      * @see https://developer.apple.com/documentation/scenekit/scnphysicsvehiclewheel/1387934-maximumsuspensionforce
      */
-    this.maximumSuspensionForce = 0
+    this.maximumSuspensionForce = 6000.0
 
     /**
      * The resting length of the suspension, in meters.
      * @type {number}
      * @see https://developer.apple.com/documentation/scenekit/scnphysicsvehiclewheel/1387880-suspensionrestlength
      */
-    this.suspensionRestLength = 0
+    this.suspensionRestLength = 1.6
 
 
     // Inspecting the Wheel Node
 
-    this._node = null
+    this._node = node
+  }
+
+  /**
+   * Creates a wheel object.
+   * @access public
+   * @param {SCNNode} node - The node whose contents provide the wheel’s visual representation.
+   * @returns {SCNPhysicsVehicleWheel} -
+   * @see https://developer.apple.com/documentation/scenekit/scnphysicsvehiclewheel/1387989-init
+   */
+  static wheelWithNode(node) {
+    return new SCNPhysicsVehicleWheel(node)
   }
 
   // Inspecting the Wheel Node
@@ -129,4 +140,18 @@ export default class SCNPhysicsVehicleWheel extends NSObject {
   get node() {
     return this._node
   }
+
+  /**
+   * @access private
+   * @param {SCNNode} node -
+   * @returns {number} - half the height of the bounding box of the node.
+   */
+  static _radiusOfNode(node) {
+    const box = node.boundingBox
+    const radius = (box.max.y - box.min.y) * 0.5
+    if(!isFinite(radius) || radius <= 0){
+      return 0.5
+    }
+    return radius
+  }
 }
@@ -3,7 +3,6 @@
 import NSObject from '../ObjectiveC/NSObject'
 import SCNBox from './SCNBox'
 import SCNCapsule from './SCNCapsule'
-import SCNGeometryPrimitiveType from './SCNGeometryPrimitiveType'
 import SCNGeometrySource from './SCNGeometrySource'
 import SCNHitTestResult from './SCNHitTestResult'
 import SCNMatrix4 from './SCNMatrix4'
@@ -15,7 +14,7 @@ import SCNPhysicsContact from './SCNPhysicsContact'
 import SCNPhysicsShape from './SCNPhysicsShape'
 import SCNSphere from './SCNSphere'
 import SCNVector3 from './SCNVector3'
-//import _Ammo from '../third_party/ammo'
+import Ammo from '../third_party/ammo'
 
 const _TestOption = {
   backfaceCulling: 'backfaceCulling',
@@ -29,6 +28,22 @@ const _TestSearchMode = {
   closest: 'closest'
 }
 
+const _maxSubSteps = 10
+
+/**
+ * the size of btVector3 in bytes.
+ * @access private
+ * @type {number}
+ */
+const _btVector3Size = 16
+
+/**
+ * The collision configuration allocates large memory pools, so all the worlds share it.
+ * @access private
+ * @type {?Ammo.btDefaultCollisionConfiguration}
+ */
+let _btCollisionConfiguration = null
+
 
 /**
  * The global simulation of collisions, gravity, joints, and other physics effects in a scene.
@@ -64,21 +79,21 @@ export default class SCNPhysicsWorld extends NSObject {
      * @type {SCNVector3}
      * @see https://developer.apple.com/documentation/scenekit/scnphysicsworld/1512855-gravity
      */
-    this.gravity = new SCNVector3(0, 0, 0)
+    this.gravity = new SCNVector3(0, -9.8, 0)
 
     /**
      * The rate at which the simulation executes.
      * @type {number}
      * @see https://developer.apple.com/documentation/scenekit/scnphysicsworld/1512851-speed
      */
-    this.speed = 0
+    this.speed = 1.0
 
     /**
      * The time interval between updates to the physics simulation.
      * @type {number}
      * @see https://developer.apple.com/documentation/scenekit/scnphysicsworld/1512881-timestep
      */
-    this.timeStep = 0
+    this.timeStep = 1.0 / 60.0
 
     /**
      * @access private
@@ -99,13 +114,48 @@ export default class SCNPhysicsWorld extends NSObject {
      */
     this.contactDelegate = null
 
-    //const collisionConfiguration = new Ammo.btDefaultCollisionConfiguration()
-    //const dispatcher = new Ammo.btCollisionDispatcher(collisionConfiguration)
-    //const overlappingPairCache = new Ammo.btDbvtBroadphase()
-    //const solver = new Ammo.btSequentialImpulseConstraintSolver()
-    //this._world = new Ammo.btDiscreteDynamicsWorld(
-    //  dispatcher, overlappingPairCache, solver, collisionConfiguration
-    //)
+    /**
+     * created when the simulation starts.
+     * @access private
+     * @type {?Ammo.btDiscreteDynamicsWorld}
+     */
+    this._world = null
+
+    /**
+     * physics bodies which are added to the simulation.
+     * @access private
+     * @type {Map<SCNPhysicsBody, Object>}
+     */
+    this._btBodies = new Map()
+
+    /**
+     * behaviors which are added to the simulation, and the rigid bodies they were created with.
+     * @access private
+     * @type {Map<SCNPhysicsBehavior, Ammo.btRigidBody[]>}
+     */
+    this._btBehaviors = new Map()
+
+    /**
+     * nodes which have active physics fields. updated every simulation step.
+     * @access private
+     * @type {SCNNode[]}
+     */
+    this._fieldNodes = []
+
+    /**
+     * physics bodies indexed by the user index of the rigid bodies.
+     * @access private
+     * @type {Map<number, SCNPhysicsBody>}
+     */
+    this._bodyForBtIndex = new Map()
+    this._nextBtIndex = 1
+
+    /**
+     * contacts which are detected in the previous simulation step.
+     * @access private
+     * @type {Map<string, SCNPhysicsContact>}
+     */
+    this._contacts = new Map()
 
     this._prevTime = null
 
@@ -161,6 +211,7 @@ export default class SCNPhysicsWorld extends NSObject {
       return
     }
     this._allBehaviors.splice(index, 1)
+    this._removeBtBehavior(behavior)
   }
 
   /**
@@ -170,6 +221,9 @@ export default class SCNPhysicsWorld extends NSObject {
    * @see https://developer.apple.com/documentation/scenekit/scnphysicsworld/1512849-removeallbehaviors
    */
   removeAllBehaviors() {
+    for(const behavior of this._allBehaviors){
+      this._removeBtBehavior(behavior)
+    }
     this._allBehaviors = []
   }
 
@@ -620,8 +674,177 @@ if (contacts.count == 0) {
    * @see https://developer.apple.com/documentation/scenekit/scnphysicsworld/1512859-convexsweeptest
    */
   convexSweepTestWith(shape, from, to, options = null) {
-    // TODO: implement
-    return []
+    let opt = options
+    if(Array.isArray(options)){
+      opt = new Map(options)
+    }else if(options === null){
+      opt = new Map()
+    }
+    let backfaceCulling = true
+    let collisionBitMask = -1
+    let searchMode = _TestSearchMode.any
+    if(opt.has(_TestOption.backfaceCulling)){
+      backfaceCulling = opt.get(_TestOption.backfaceCulling)
+    }
+    if(opt.has(_TestOption.collisionBitMask)){
+      collisionBitMask = opt.get(_TestOption.collisionBitMask)
+    }
+    if(opt.has(_TestOption.searchMode)){
+      searchMode = opt.get(_TestOption.searchMode)
+    }
+    if(shape._type === SCNPhysicsShape.ShapeType.concavePolyhedron){
+      throw new Error('convexSweepTest: the shape must be convex')
+    }
+    if(shape._shape === null){
+      return []
+    }
+
+    const center = SCNMatrix4.matrixWithTranslation(shape._center)
+    const fromTransform = center.mult(from)
+    const toTransform = center.mult(to)
+    const fromPos = fromTransform.getTranslation()
+    const direction = toTransform.getTranslation().sub(fromPos)
+
+    this._prepareBtWorld()
+    const btShape = shape._createBtCollisionShape()
+    const btFrom = fromTransform._createBtTransform()
+    const btTo = toTransform._createBtTransform()
+    const btFromPos = btFrom.getOrigin()
+    const btToPos = btTo.getOrigin()
+
+    // the callback finds only the closest body; the bodies already found are removed to find the next one.
+    const removed = []
+    const results = []
+    for(;;){
+      const callback = new Ammo.ClosestConvexResultCallback(btFromPos, btToPos)
+      callback.set_m_collisionFilterGroup(-1)
+      callback.set_m_collisionFilterMask(collisionBitMask)
+      this._world.convexSweepTest(btShape, btFrom, btTo, callback, 0)
+      let body = null
+      if(callback.hasHit()){
+        const hitObject = SCNPhysicsWorld._hitCollisionObject(callback)
+        body = this._bodyForBtIndex.get(hitObject.getUserIndex()) || null
+      }
+      if(body !== null){
+        const contact = new SCNPhysicsContact()
+        contact._nodeA = body._node
+        contact._contactPoint = SCNVector3._initWithBtVector3(callback.get_m_hitPointWorld())
+        contact._contactNormal = SCNVector3._initWithBtVector3(callback.get_m_hitNormalWorld())
+        contact._sweepTestFraction = callback.get_m_closestHitFraction()
+        if(!backfaceCulling || !SCNPhysicsWorld._isBackface(body, contact._contactPoint, direction)){
+          results.push(contact)
+        }
+      }
+      Ammo.destroy(callback)
+
+      if(body === null || (searchMode !== _TestSearchMode.all && results.length > 0)){
+        break
+      }
+      const state = this._btBodies.get(body)
+      this._world.removeRigidBody(state.rigidBody)
+      removed.push(state)
+    }
+    for(const state of removed){
+      this._world.addRigidBody(state.rigidBody, state.categoryBitMask, state.collisionBitMask)
+    }
+
+    Ammo.destroy(btFrom)
+    Ammo.destroy(btTo)
+    Ammo.destroy(btShape)
+
+    return results
+  }
+
+  /**
+   * Sends the current bodies of the scene to the world so that it can be tested before the simulation starts.
+   * @access private
+   * @returns {void}
+   */
+  _prepareBtWorld() {
+    if(this._world === null){
+      this._world = SCNPhysicsWorld._createBtWorld()
+    }
+    if(this._scene){
+      this._updateBtBodies(this._createPhysicsNodeArray(), false)
+    }
+  }
+
+  /**
+   * @access private
+   * @param {Ammo.ClosestConvexResultCallback} callback -
+   * @returns {Ammo.btCollisionObject} - the object which the shape hits.
+   * @desc the bundled ammo.js doesn't bind m_hitCollisionObject, so it is read from the memory. It follows m_hitPointWorld.
+   */
+  static _hitCollisionObject(callback) {
+    const hitPointWorld = Ammo.getPointer(callback.get_m_hitPointWorld())
+    const pointer = Ammo.HEAP32[(hitPointWorld + _btVector3Size) >> 2]
+    return Ammo.wrapPointer(pointer, Ammo.btCollisionObject)
+  }
+
+  /**
+   * @access private
+   * @returns {Ammo.btDiscreteDynamicsWorld} -
+   */
+  static _createBtWorld() {
+    if(_btCollisionConfiguration === null){
+      _btCollisionConfiguration = new Ammo.btDefaultCollisionConfiguration()
+    }
+    const dispatcher = new Ammo.btCollisionDispatcher(_btCollisionConfiguration)
+    const broadphase = new Ammo.btDbvtBroadphase()
+    const solver = new Ammo.btSequentialImpulseConstraintSolver()
+    return new Ammo.btDiscreteDynamicsWorld(dispatcher, broadphase, solver, _btCollisionConfiguration)
+  }
+
+  /**
+   * @access private
+   * @param {SCNPhysicsBody} body -
+   * @param {SCNVector3} point - a point on the surface of the body, in the world coordinate space.
+   * @param {SCNVector3} direction - a direction of the motion, in the world coordinate space.
+   * @returns {boolean} - true if the point is on a polygon which faces the same way as the direction.
+   */
+  static _isBackface(body, point, direction) {
+    const physicsShape = body.physicsShape
+    if(physicsShape._type !== SCNPhysicsShape.ShapeType.concavePolyhedron){
+      // convex shapes don't have back faces toward the outside.
+      return false
+    }
+    const geometry = physicsShape._shape
+    const p = point.transform(body._invTransform)
+    const d = direction.rotate(body._invTransform)
+    const vert = geometry.getGeometrySourcesForSemantic(SCNGeometrySource.Semantic.vertex)[0]
+
+    const epsilon = 0.0001
+    let normal = null
+    let minDist = Infinity
+    for(const elem of geometry.geometryElements){
+      if(!elem._hasTriangles){
+        // lines and points don't have faces.
+        continue
+      }
+      const count = elem._primitiveCount
+      for(let i=0; i<count; i++){
+        const indices = elem._triangleIndicesAt(i)
+        const v0 = vert._scnVectorAt(indices[0])
+        const v1 = vert._scnVectorAt(indices[1])
+        const v2 = vert._scnVectorAt(indices[2])
+        const n = this._normalOfTriangle(v0, v1, v2)
+        const dist = Math.abs(n.dot(p.sub(v0)))
+        // the point can be on an edge of the triangle.
+        const e0 = v1.sub(v0).cross(n).dot(p.sub(v0))
+        const e1 = v2.sub(v1).cross(n).dot(p.sub(v1))
+        const e2 = v0.sub(v2).cross(n).dot(p.sub(v2))
+        const inside = (e0 <= epsilon && e1 <= epsilon && e2 <= epsilon)
+          || (e0 >= -epsilon && e1 >= -epsilon && e2 >= -epsilon)
+        if(dist < minDist && inside){
+          minDist = dist
+          normal = n
+        }
+      }
+    }
+    if(normal === null){
+      return false
+    }
+    return normal.dot(d) > 0
   }
 
   // Structures
@@ -647,57 +870,452 @@ if (contacts.count == 0) {
     return _TestSearchMode
   }
 
+  /**
+   * @access private
+   * @param {number} time - current time in seconds.
+   * @returns {void}
+   */
   _simulate(time) {
-    // FIXME: use physics library
-    //this._world.stepSimulation(1.0/60.0, 0)
-    if(!this._renderer){
+    if(!this._scene){
       return
     }
+    let dt = 0
+    if(this._prevTime !== null){
+      dt = Math.max(time - this._prevTime, 0)
+    }
+    this._prevTime = time
+    if(this._world === null){
+      this._world = SCNPhysicsWorld._createBtWorld()
+    }
 
-    const objects = this._renderer._createRenderingPhysicsNodeArray()
-    const contacts = []
+    const objects = this._createPhysicsNodeArray()
 
     for(const obj of objects){
       const body = obj.physicsBody
       body._prevPosition = body._position
-      if(body.type === SCNPhysicsBodyType.kinematic){
-        body._resetTransform()
-      }else if(body.type === SCNPhysicsBodyType.dynamic){
-        // TODO: move physics bodies
-      }
+    }
+
+    const stepTime = dt * this.speed
+    this._fieldNodes = this._createPhysicsFieldNodeArray()
+    this._applyFields(objects, stepTime)
+    const stepping = stepTime > 0 && this.timeStep > 0
+    this._updateBtBodies(objects, stepping)
+    this._updateBtBehaviors(stepTime)
+    if(stepping){
+      const maxSubSteps = Math.min(Math.ceil(stepTime / this.timeStep), _maxSubSteps)
+      this._world.stepSimulation(stepTime, maxSubSteps, this.timeStep)
+    }
+    for(const obj of objects){
+      const body = obj.physicsBody
+      body._applyBtRigidBodyTransform()
       body._positionDiff = body._position.sub(body._prevPosition)
     }
+    for(const behavior of this._btBehaviors.keys()){
+      behavior._applyBtBehaviorTransform()
+    }
+
+    this._updateContacts(objects)
+
+    for(const obj of objects){
+      const body = obj.physicsBody
+      body._prevPosition = body._position
+    }
+  }
+
+  /**
+   * @access private
+   * @returns {SCNNode[]} - nodes which have a physics body.
+   */
+  _createPhysicsNodeArray() {
+    const arr = [this._scene._rootNode]
+    const targetNodes = []
+    while(arr.length > 0){
+      const node = arr.shift()
+      const body = node.physicsBody
+      if(body !== null){
+        if(body.physicsShape === null){
+          body._resetTransform()
+        }
+        if(body.physicsShape !== null && body.physicsShape._shape !== null){
+          targetNodes.push(node)
+        }
+      }
+      arr.push(...node.childNodes)
+    }
+    return targetNodes
+  }
 
-    const staticType = SCNPhysicsBodyType.static
-    for(let i=0; i<objects.length; i++){
-      const bodyA = objects[i].presentation.physicsBody
-      if(bodyA.physicsShape._sourceGeometry instanceof SCNCapsule){
-        contacts.push(...SCNPhysicsWorld._capsuleTestWithObjects(bodyA, objects))
+  /**
+   * @access private
+   * @returns {SCNNode[]} - nodes which have active physics fields.
+   */
+  _createPhysicsFieldNodeArray() {
+    const arr = [this._scene._rootNode]
+    const targetNodes = []
+    while(arr.length > 0){
+      const node = arr.shift()
+      const field = node.physicsField
+      if(field !== null && field.isActive){
+        targetNodes.push(node)
       }
-      for(let j=0; j<objects.length; j++){
-        if(i === j){
+      arr.push(...node.childNodes)
+    }
+    return targetNodes
+  }
+
+  /**
+   * Applies the forces of the physics fields to the dynamic bodies.
+   * @access private
+   * @param {SCNNode[]} objects -
+   * @param {number} stepTime - the length of the step in seconds.
+   * @returns {void}
+   */
+  _applyFields(objects, stepTime) {
+    if(this._fieldNodes.length === 0 || stepTime <= 0){
+      return
+    }
+    for(const obj of objects){
+      const body = obj.physicsBody
+      if(body.type !== SCNPhysicsBodyType.dynamic || body._position === null){
+        continue
+      }
+      const force = this._fieldForce(body._position, body.velocity, body.mass, body.charge, body.categoryBitMask, stepTime)
+      if(force.length2() > 0){
+        body.applyForceAsImpulse(force, false)
+      }
+    }
+  }
+
+  /**
+   * Computes the total force of the physics fields at the given position.
+   * @access private
+   * @param {SCNVector3} position - position of the object in the world coordinate space.
+   * @param {SCNVector3} velocity - velocity of the object in the world coordinate space.
+   * @param {number} mass -
+   * @param {number} charge -
+   * @param {?number} categoryBitMask - category of the object. null if the object is affected by all categories.
+   * @param {number} deltaTime - elapsed time since the last step in seconds.
+   * @returns {SCNVector3} - the force in the world coordinate space.
+   */
+  _fieldForce(position, velocity, mass, charge, categoryBitMask, deltaTime) {
+    const time = this._prevTime === null ? 0 : this._prevTime
+    let total = new SCNVector3(0, 0, 0)
+    for(const node of this._fieldNodes){
+      const field = node.physicsField
+      if(categoryBitMask !== null && (field.categoryBitMask & categoryBitMask) === 0){
+        continue
+      }
+      const transform = node._presentation ? node._presentation._worldTransform : node._worldTransform
+      const force = field._forceInWorld(transform, position, velocity, mass, charge, time, deltaTime)
+      if(force === null){
+        continue
+      }
+      if(field.isExclusive){
+        // an exclusive field overrides the other fields.
+        return force
+      }
+      total = total.add(force)
+    }
+    return total
+  }
+
+  /**
+   * Adds new bodies to the simulation, removes ones which no longer exist, and sends the properties of the bodies.
+   * @access private
+   * @param {SCNNode[]} objects -
+   * @param {boolean} stepping - true if the world is stepped after the update.
+   * @returns {void}
+   */
+  _updateBtBodies(objects, stepping) {
+    const bodies = new Set(objects.map((obj) => obj.physicsBody))
+    for(const [body, state] of this._btBodies){
+      if(!bodies.has(body) || body._needsRigidBodyUpdate || body._btRigidBody !== state.rigidBody){
+        this._removeBtBody(body)
+      }
+    }
+
+    const gravity = this.gravity._copy()
+    const btGravity = gravity._createBtVector3()
+    this._world.setGravity(btGravity)
+    Ammo.destroy(btGravity)
+
+    for(const body of bodies){
+      let state = this._btBodies.get(body)
+      if(state && (state.categoryBitMask !== body.categoryBitMask || state.collisionBitMask !== body.collisionBitMask)){
+        // collision filters can't be changed while the body is in the world.
+        this._world.removeRigidBody(state.rigidBody)
+        this._world.addRigidBody(state.rigidBody, body.categoryBitMask, body.collisionBitMask)
+        state.categoryBitMask = body.categoryBitMask
+        state.collisionBitMask = body.collisionBitMask
+      }
+      if(!state){
+        const rigidBody = body._createRigidBody()
+        if(rigidBody === null){
           continue
         }
-        const bodyB = objects[j].presentation.physicsBody
-        contacts.push(...this.contactTestBetween(bodyA, bodyB))
+        const index = this._nextBtIndex++
+        rigidBody.setUserIndex(index)
+        this._world.addRigidBody(rigidBody, body.categoryBitMask, body.collisionBitMask)
+        state = {
+          rigidBody: rigidBody,
+          index: index,
+          categoryBitMask: body.categoryBitMask,
+          collisionBitMask: body.collisionBitMask
+        }
+        this._btBodies.set(body, state)
+        this._bodyForBtIndex.set(index, body)
       }
+      body._updateBtRigidBody(gravity, stepping)
     }
-    
-    if(this.contactDelegate){
-      for(const contact of contacts){
-        if(this.contactDelegate.physicsWorldDidBegin){
-          this.contactDelegate.physicsWorldDidBegin(this, contact)
+  }
+
+  /**
+   * @access private
+   * @param {SCNPhysicsBody} body -
+   * @returns {void}
+   */
+  _removeBtBody(body) {
+    const state = this._btBodies.get(body)
+    if(!state){
+      return
+    }
+    // constraints must be removed before the rigid bodies they refer.
+    for(const [behavior, rigidBodies] of this._btBehaviors){
+      if(rigidBodies.indexOf(state.rigidBody) >= 0){
+        this._removeBtBehavior(behavior)
+      }
+    }
+    this._world.removeRigidBody(state.rigidBody)
+    this._btBodies.delete(body)
+    this._bodyForBtIndex.delete(state.index)
+    if(body._btRigidBody === state.rigidBody){
+      body._destroyRigidBody()
+    }
+  }
+
+  /**
+   * Adds behaviors whose bodies are in the simulation, and updates them.
+   * @access private
+   * @param {number} stepTime - the length of the step in seconds.
+   * @returns {void}
+   */
+  _updateBtBehaviors(stepTime) {
+    for(const behavior of this._allBehaviors){
+      const bodies = behavior._bodies
+      if(!this._btBehaviors.has(behavior)){
+        if(!bodies.every((body) => this._btBodies.has(body))){
+          continue
         }
+        behavior._addToBtWorld(this._world)
+        this._btBehaviors.set(behavior, bodies.map((body) => body._btRigidBody))
       }
-      // TODO: callback
-      // this.contactDelegate.physicsWorldDidUpdate
-      // this.contactDelegate.physicsWorldDidEnd
+      behavior._updateBtBehavior(stepTime)
     }
+  }
 
-    for(const obj of objects){
-      const body = obj.physicsBody
-      body._prevPosition = body._position
+  /**
+   * @access private
+   * @param {SCNPhysicsBehavior} behavior -
+   * @returns {void}
+   */
+  _removeBtBehavior(behavior) {
+    if(!this._btBehaviors.has(behavior)){
+      return
+    }
+    behavior._removeFromBtWorld(this._world)
+    this._btBehaviors.delete(behavior)
+  }
+
+  /**
+   * Finds the contacts of this simulation step and tells the delegate which ones began, continued and ended.
+   * @access private
+   * @param {SCNNode[]} objects -
+   * @returns {void}
+   */
+  _updateContacts(objects) {
+    const delegate = this.contactDelegate
+    if(!delegate){
+      this._contacts = new Map()
+      return
     }
+    const prevContacts = this._contacts
+    const contacts = this._detectContacts(objects)
+    this._contacts = contacts
+
+    // the delegate might change the scene, so the contacts are fixed before the callbacks.
+    for(const [key, contact] of contacts){
+      if(prevContacts.has(key)){
+        if(delegate.physicsWorldDidUpdate){
+          delegate.physicsWorldDidUpdate(this, contact)
+        }
+      }else{
+        if(delegate.physicsWorldDidBegin){
+          delegate.physicsWorldDidBegin(this, contact)
+        }
+      }
+    }
+    for(const [key, contact] of prevContacts){
+      if(!contacts.has(key) && delegate.physicsWorldDidEnd){
+        delegate.physicsWorldDidEnd(this, contact)
+      }
+    }
+  }
+
+  /**
+   * @access private
+   * @param {SCNNode[]} objects -
+   * @returns {Map<string, SCNPhysicsContact>} - contacts keyed by the pair of the bodies.
+   */
+  _detectContacts(objects) {
+    const contacts = new Map()
+
+    // contacts between colliding bodies: the solver has already computed them.
+    const dispatcher = this._world.getDispatcher()
+    const numManifolds = dispatcher.getNumManifolds()
+    for(let i=0; i<numManifolds; i++){
+      const manifold = dispatcher.getManifoldByIndexInternal(i)
+      const bodyA = this._bodyForBtIndex.get(manifold.getBody0().getUserIndex())
+      const bodyB = this._bodyForBtIndex.get(manifold.getBody1().getUserIndex())
+      if(!bodyA || !bodyB || !SCNPhysicsWorld._needsContactTest(bodyA, bodyB)){
+        continue
+      }
+      const points = []
+      const numContacts = manifold.getNumContacts()
+      for(let j=0; j<numContacts; j++){
+        points.push(SCNPhysicsWorld._contactPointInfo(manifold.getContactPoint(j)))
+      }
+      const contact = SCNPhysicsWorld._createContact(bodyA, bodyB, points)
+      if(contact !== null){
+        contacts.set(this._contactKey(bodyA, bodyB), contact)
+      }
+    }
+
+    // bodies which don't collide with each other don't have manifolds.
+    const bodies = objects.map((obj) => obj.physicsBody).filter((body) => this._btBodies.has(body))
+    for(let i=0; i<bodies.length; i++){
+      const bodyA = bodies[i]
+      for(let j=i+1; j<bodies.length; j++){
+        const bodyB = bodies[j]
+        if(SCNPhysicsWorld._collides(bodyA, bodyB) || !SCNPhysicsWorld._needsContactTest(bodyA, bodyB)){
+          continue
+        }
+        const key = this._contactKey(bodyA, bodyB)
+        if(contacts.has(key)){
+          continue
+        }
+        const contact = this._contactPairTest(bodyA, bodyB)
+        if(contact !== null){
+          contacts.set(key, contact)
+        }
+      }
+    }
+
+    return contacts
+  }
+
+  /**
+   * @access private
+   * @param {SCNPhysicsBody} bodyA -
+   * @param {SCNPhysicsBody} bodyB -
+   * @returns {?SCNPhysicsContact} -
+   */
+  _contactPairTest(bodyA, bodyB) {
+    const points = []
+    const callback = new Ammo.ConcreteContactResultCallback()
+    callback.addSingleResult = (cp) => {
+      points.push(SCNPhysicsWorld._contactPointInfo(Ammo.wrapPointer(cp, Ammo.btManifoldPoint)))
+      return 0
+    }
+    this._world.contactPairTest(bodyA._btRigidBody, bodyB._btRigidBody, callback)
+    Ammo.destroy(callback)
+
+    return SCNPhysicsWorld._createContact(bodyA, bodyB, points)
+  }
+
+  /**
+   * @access private
+   * @param {SCNPhysicsBody} bodyA -
+   * @param {SCNPhysicsBody} bodyB -
+   * @returns {string} - a key which doesn't depend on the order of the bodies.
+   */
+  _contactKey(bodyA, bodyB) {
+    const indexA = this._btBodies.get(bodyA).index
+    const indexB = this._btBodies.get(bodyB).index
+    if(indexA < indexB){
+      return `${indexA}-${indexB}`
+    }
+    return `${indexB}-${indexA}`
+  }
+
+  /**
+   * @access private
+   * @param {SCNPhysicsBody} bodyA -
+   * @param {SCNPhysicsBody} bodyB -
+   * @returns {boolean} - true if the delegate should be notified of the contacts between the bodies.
+   */
+  static _needsContactTest(bodyA, bodyB) {
+    if(bodyA.type === SCNPhysicsBodyType.static && bodyB.type === SCNPhysicsBodyType.static){
+      return false
+    }
+    return (bodyA.categoryBitMask & bodyB.contactTestBitMask) !== 0
+      || (bodyB.categoryBitMask & bodyA.contactTestBitMask) !== 0
+  }
+
+  /**
+   * @access private
+   * @param {SCNPhysicsBody} bodyA -
+   * @param {SCNPhysicsBody} bodyB -
+   * @returns {boolean} - true if the bodies collide with each other in the simulation.
+   */
+  static _collides(bodyA, bodyB) {
+    return (bodyA.categoryBitMask & bodyB.collisionBitMask) !== 0
+      && (bodyB.categoryBitMask & bodyA.collisionBitMask) !== 0
+  }
+
+  /**
+   * @access private
+   * @param {Ammo.btManifoldPoint} point -
+   * @returns {Object} -
+   */
+  static _contactPointInfo(point) {
+    return {
+      position: SCNVector3._initWithBtVector3(point.getPositionWorldOnB()),
+      normal: SCNVector3._initWithBtVector3(point.get_m_normalWorldOnB()),
+      distance: point.getDistance(),
+      impulse: point.getAppliedImpulse()
+    }
+  }
+
+  /**
+   * Creates a contact from the deepest point. The impulse is the sum of all the points.
+   * @access private
+   * @param {SCNPhysicsBody} bodyA -
+   * @param {SCNPhysicsBody} bodyB -
+   * @param {Object[]} points -
+   * @returns {?SCNPhysicsContact} - null if the bodies don't touch.
+   */
+  static _createContact(bodyA, bodyB, points) {
+    const touchingPoints = points.filter((p) => p.distance <= 0)
+    if(touchingPoints.length === 0){
+      return null
+    }
+    let deepest = touchingPoints[0]
+    let impulse = 0
+    for(const p of touchingPoints){
+      if(p.distance < deepest.distance){
+        deepest = p
+      }
+      impulse += p.impulse
+    }
+
+    const contact = new SCNPhysicsContact()
+    contact._nodeA = bodyA._node
+    contact._nodeB = bodyB._node
+    contact._contactPoint = deepest.position
+    contact._contactNormal = deepest.normal
+    contact._collisionImpulse = impulse
+    contact._penetrationDistance = Math.abs(deepest.distance)
+    return contact
   }
 
   /**
@@ -793,19 +1411,17 @@ if (contacts.count == 0) {
     const vert = concave.getGeometrySourcesForSemantic(SCNGeometrySource.Semantic.vertex)[0]
 
     for(const elem of elems){
-      if(elem._primitiveType !== SCNGeometryPrimitiveType.triangles){
-        // TODO: support other primitive types.
+      if(!elem._hasTriangles){
+        // lines and points don't have faces.
         continue
       }
-      const edata = elem._data
       const elen = elem._primitiveCount
-      let ind = 0
       //console.warn(`    elen = ${elen}`)
       for(let i=0; i<elen; i++){
-        const v0 = vert._scnVectorAt(edata[ind])
-        const v1 = vert._scnVectorAt(edata[ind + 1])
-        const v2 = vert._scnVectorAt(edata[ind + 2])
-        ind += 3
+        const indices = elem._triangleIndicesAt(i)
+        const v0 = vert._scnVectorAt(indices[0])
+        const v1 = vert._scnVectorAt(indices[1])
+        const v2 = vert._scnVectorAt(indices[2])
 
         //const n = this._normalOfTriangle(v0, v1, v2)
         //if(n.dot(capV) >= 0){
@@ -1210,7 +1826,6 @@ if (contacts.count == 0) {
     //if(this._segmentBoundingBoxIntersects(pA, pB, geo.boundingBox) !== null){
     const r = this._segmentBoundingBoxIntersects(pA, pB, geo.boundingBox)
     if(r !== null){
-      console.error('segmentBoundingBoxIntersects: ' + r.near + ', ' + r.far)
       return this._hitTestWithSegmentGeometry(pA, pB, geo)
     }
     return []
@@ -1345,18 +1960,16 @@ if (contacts.count == 0) {
     const vert = geometry.getGeometrySourcesForSemantic(SCNGeometrySource.Semantic.vertex)[0]
     for(let i=0; i<elemCount; i++){
       const elem = elems[i]
-      if(elem._primitiveType !== SCNGeometryPrimitiveType.triangles){
-        // TODO: support other primitive types.
+      if(!elem._hasTriangles){
+        // lines and points don't have faces.
         continue
       }
-      const edata = elem._data
       const elen = elem._primitiveCount
-      let ind = 0
       for(let j=0; j<elen; j++){
-        const v0 = vert._scnVectorAt(edata[ind])
-        const v1 = vert._scnVectorAt(edata[ind + 1])
-        const v2 = vert._scnVectorAt(edata[ind + 2])
-        ind += 3
+        const indices = elem._triangleIndicesAt(j)
+        const v0 = vert._scnVectorAt(indices[0])
+        const v1 = vert._scnVectorAt(indices[1])
+        const v2 = vert._scnVectorAt(indices[2])
 
         const r = this._segmentTriangleIntersection(pointA, pointB, v0, v1, v2)
         if(r.intersection){
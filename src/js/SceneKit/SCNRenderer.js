@@ -1,5 +1,6 @@
 'use strict'
 
+import AVAudioEnvironmentNode from '../AVFoundation/AVAudioEnvironmentNode'
 import CGPoint from '../CoreGraphics/CGPoint'
 import CGRect from '../CoreGraphics/CGRect'
 import CGSize from '../CoreGraphics/CGSize'
@@ -259,8 +260,8 @@ export default class SCNRenderer extends NSObject {
      * @type {?SCNNode}
      * @see https://developer.apple.com/documentation/scenekit/scnscenerenderer/1523747-audiolistener
      */
-    //this.audioListener = null
-    //this._audioEnvironmentNode = null
+    this.audioListener = null
+    this._audioEnvironmentNode = new AVAudioEnvironmentNode()
     //this._audioEngine = null
 
     // Instance Properties
@@ -1,6 +1,7 @@
 'use strict'
 
 import NSObject from '../ObjectiveC/NSObject'
+import NSKeyedArchiver from '../Foundation/NSKeyedArchiver'
 import SKColor from '../SpriteKit/SKColor'
 import SCNNode from './SCNNode'
 import SCNMaterial from './SCNMaterial'
@@ -13,9 +14,11 @@ import SCNSceneSource from './SCNSceneSource'
 import SCNPhysicsWorld from './SCNPhysicsWorld'
 //import SCNParticleSystem from './SCNParticleSystem'
 //import SCNMatrix4 from './SCNMatrix4'
+import _SCNJSONWriter from './_SCNJSONWriter'
 import _BinaryRequest from '../util/_BinaryRequest'
 import _File from '../util/_File'
 import _FileReader from '../util/_FileReader'
+import _FileWriter from '../util/_FileWriter'
 
 const _Attribute = {
   endTime: 'kSceneEndTimeAttributeKey',
@@ -399,12 +402,79 @@ You call this method in a try expression and handle any errors in the catch clau
    * @param {?Map<string, Object>} [options = null] - A dictionary of options affecting scene loading, or nil for default options. For available keys, see Scene Loading Options.
    * @param {?SCNSceneExportDelegate} delegate - A delegate object to customize export of external resources used by the scene. Pass nil for default export of external resources.
    * @param {?SCNSceneExportProgressHandler} [progressHandler = null] - A block that SceneKit calls repeatedly to report progress of the export operation.
-   * @returns {boolean} - 
+   * @returns {boolean} - true if the scene is written to the file. false if the export fails or is stopped by progressHandler.
    * @desc SceneKit creates and writes a file containing the scene graph in the Digital Asset Exchange (DAE) format. The format of the file created depends on OS version and on the filename extension you specify:In iOS 10.0, tvOS 10.0, watchOS 3.0, OS X v10.11, and later versions, specify the .scn extension to save a file in SceneKit’s native format. This format supports all features of SceneKit (including physics, constraints, and particle systems), and reading files in this format is faster than importing from other scene file formats.In macOS only, specify the .dae extension to export in Digital Asset Exchange (DAE) format for use by other apps. Exported DAE files do not contain scene elements specific to SceneKit, such as physics bodies and fields, constraints, and particle systems.If the scene references external resources, such as image files used in material properties, SceneKit exports these files to a nearby location and references their URLs in the exported scene file. To override SceneKit’s exporting of external resources, provide an object implementing the SCNSceneExportDelegate protocol in the delegate parameter.
    * @see https://developer.apple.com/documentation/scenekit/scnscene/1523577-write
    */
   writeTo(url, options = null, delegate, progressHandler = null) {
-    return false
+    const stop = { value: false }
+    const fail = (message) => {
+      if(progressHandler !== null){
+        progressHandler(0.0, new Error(`SCNScene.writeTo: ${message}`), stop)
+      }
+      return false
+    }
+    if(typeof url !== 'string' || url === ''){
+      return fail(`invalid url: ${url}`)
+    }
+
+    let path = url
+    if(path.indexOf('file:///') === 0){
+      path = path.slice(7)
+    }
+    const fileName = path.split('/').pop()
+    const extension = fileName.indexOf('.') >= 0 ? fileName.split('.').pop().toLowerCase() : ''
+    let data = null
+    switch(extension){
+      case '':
+      case 'scn':
+        data = this._archivedDataForExport(url, delegate, progressHandler, stop)
+        break
+      case 'json':
+        // JSceneKit's own format which keeps the animations.
+        data = _SCNJSONWriter.dataWithScene(this, url, options, delegate, progressHandler)
+        break
+      default:
+        return fail(`unsupported file extension: ${extension}`)
+    }
+    if(data === null){
+      // stopped by the progress handler
+      return false
+    }
+    return _FileWriter.writeFile(path, data)
+  }
+
+  /**
+   * Encodes the scene with NSKeyedArchiver for .scn files.
+   * @access private
+   * @param {string} url -
+   * @param {?SCNSceneExportDelegate} delegate -
+   * @param {?SCNSceneExportProgressHandler} progressHandler -
+   * @param {Object} stop -
+   * @returns {?Buffer} - null if the export is stopped by the progress handler.
+   */
+  _archivedDataForExport(url, delegate, progressHandler, stop) {
+    const report = (progress) => {
+      if(progressHandler !== null){
+        progressHandler(progress, null, stop)
+      }
+      return stop.value
+    }
+    if(report(0.0)){
+      return null
+    }
+    const archiver = new NSKeyedArchiver()
+    if(delegate && typeof delegate.writeWithSceneDocumentURL === 'function'){
+      archiver._imageURLTranslator = (image, originalImageURL) => {
+        return delegate.writeWithSceneDocumentURL(image, url, originalImageURL) || originalImageURL
+      }
+    }
+    archiver.encodeObjectForKey(this, 'root')
+    archiver.finishEncoding()
+    if(report(1.0)){
+      return null
+    }
+    return archiver.encodedData
   }
 
   // Working With Physics in the Scene
@@ -1,11 +1,17 @@
 'use strict'
 
+import _SCNDAELoader from './_SCNDAELoader'
+import _SCNGLTFLoader from './_SCNGLTFLoader'
+import _SCNJSONLoader from './_SCNJSONLoader'
 import _SCNObjLoader from './_SCNObjLoader'
+import _SCNSceneProcessor from './_SCNSceneProcessor'
 import NSKeyedUnarchiver from '../Foundation/NSKeyedUnarchiver'
 import NSObject from '../ObjectiveC/NSObject'
 //import SCNScene from './SCNScene'
+import SCNSceneSourceStatus from './SCNSceneSourceStatus'
 //import SCNSceneSourceStatusHandler from './SCNSceneSourceStatusHandler'
 import _BinaryRequest from '../util/_BinaryRequest'
+import _ClassList from '../util/_ClassList'
 //import _File from '../util/_File'
 
 const _AnimationImportPolicy = {
@@ -28,9 +34,28 @@ const _LoadingOption = {
   strictConformance: 'kSceneSourceStrictConformanceKey',
   useSafeMode: 'kSceneSourceUseSafeMode',
 
-  _urlTranslator: 'kSceneSourceURLTranslator'
+  _urlTranslator: 'kSceneSourceURLTranslator',
+  // angle in degrees between faces which share smoothed normals (used with createNormalsIfAbsent).
+  _normalSmoothingAngle: 'kSceneSourceNormalSmoothingAngle'
 }
 
+const _PropertyKey = {
+  assetAuthorKey: 'author',
+  assetAuthoringToolKey: 'authoring_tool',
+  assetContributorsKey: 'contributors',
+  assetCreatedDateKey: 'created',
+  assetModifiedDateKey: 'modified',
+  assetUnitKey: 'unit',
+  assetUnitMeterKey: 'meter',
+  assetUnitNameKey: 'name',
+  assetUpAxisKey: 'up_axis'
+}
+
+// classes of the objects which can be loaded individually.
+const _entryClassNames = [
+  'CAAnimation', 'SCNCamera', 'SCNGeometry', 'SCNLight', 'SCNMaterial', 'SCNMorpher', 'SCNNode', 'SCNScene', 'SCNSkinner'
+]
+
 
 /**
  * Manages the data-reading tasks associated with loading scene contents from a file or data.
@@ -58,7 +83,40 @@ export default class SCNSceneSource extends NSObject {
 
     this._url = null
     this._options = options
-    this._data = data
+
+    /**
+     * @access private
+     * @type {?Blob}
+     */
+    this._data = null
+
+    /**
+     * the format of the data: json, gltf, dae, obj or keyedArchive.
+     * @access private
+     * @type {string}
+     */
+    this._format = 'keyedArchive'
+
+    this._setData(data)
+
+    /**
+     * @access private
+     * @type {?Object[]}
+     */
+    this._entries = null
+
+    /**
+     * @access private
+     * @type {?Object}
+     */
+    this._properties = null
+
+    /**
+     * contents of the external files the scene refers to, keyed by their URIs.
+     * @access private
+     * @type {Map<string, string>}
+     */
+    this._resources = new Map()
 
     /**
      * @access private
@@ -106,13 +164,35 @@ export default class SCNSceneSource extends NSObject {
     const source = new SCNSceneSource()
     source._url = url
     _BinaryRequest.get(url).then((data) => {
-      source._data = data
+      source._setData(data)
       source._options = _options
+      return source._loadResources()
+    }).then(() => {
       source._resolveFunction()
     })
     return source
   }
 
+  /**
+   * Loads the external buffers of glTF data. They must be ready before the scene is loaded synchronously.
+   * @access private
+   * @returns {Promise} -
+   */
+  _loadResources() {
+    if(this._format !== 'gltf'){
+      return Promise.resolve()
+    }
+    const paths = this._url.split('/')
+    paths.pop()
+    const directory = paths.length > 0 ? paths.join('/') + '/' : ''
+    const promises = _SCNGLTFLoader.externalURIsOfData(this._data).map((uri) => {
+      return _BinaryRequest.get(directory + uri).then((data) => {
+        this._resources.set(uri, data)
+      })
+    })
+    return Promise.all(promises)
+  }
+
   // Loading a Complete Scene
 
   /**
@@ -129,6 +209,8 @@ export default class SCNSceneSource extends NSObject {
     if(!_options){
       if(this._options){
         _options = this._options
+      }else{
+        _options = new Map()
       }
     }
 
@@ -145,12 +227,120 @@ export default class SCNSceneSource extends NSObject {
       }
     }
 
-    if(this._data.match(/\nv -?[0-9]+(\.[0-9]+)? -?[0-9]+(\.[0-9]+)? -?[0-9]+(\.[0-9]+)?\s*\n/)){
-      // seems obj data
-      return _SCNObjLoader.unarchiveObjectWithData(this._data, url, _options)
+    const stop = { value: false }
+    const report = (progress, status, error = null) => {
+      if(statusHandler !== null){
+        statusHandler(progress, status, error, stop)
+      }
+      return stop.value
+    }
+
+    if(report(0.0, SCNSceneSourceStatus.parsing)){
+      return null
+    }
+    const scene = this._loadScene(url, _options)
+    if(!scene || !scene.rootNode){
+      // not a scene
+      return scene
     }
 
-    return NSKeyedUnarchiver.unarchiveObjectWithData(this._data, url, _options)
+    if(_options.get(_LoadingOption.checkConsistency)){
+      if(report(0.4, SCNSceneSourceStatus.validating)){
+        return null
+      }
+      const problems = _SCNSceneProcessor.checkConsistency(scene)
+      if(problems.length > 0){
+        const error = new Error(`the scene is not consistent:\n${problems.join('\n')}`)
+        if(statusHandler === null){
+          throw error
+        }
+        report(1.0, SCNSceneSourceStatus.error, error)
+        return null
+      }
+    }
+
+    if(report(0.6, SCNSceneSourceStatus.processing)){
+      return null
+    }
+    this._createProcessor(_options).processScene(scene)
+
+    report(1.0, SCNSceneSourceStatus.complete)
+    return scene
+  }
+
+  /**
+   * @access private
+   * @param {?string} url -
+   * @param {Map<SCNSceneSource.LoadingOption, Object>} options -
+   * @returns {?SCNScene} -
+   */
+  _loadScene(url, options) {
+    switch(this._format){
+      case 'json':
+        return _SCNJSONLoader.unarchiveObjectWithData(this._data, url, options)
+      case 'gltf':
+        return _SCNGLTFLoader.unarchiveObjectWithData(this._data, url, options, this._resources)
+      case 'dae':
+        return _SCNDAELoader.unarchiveObjectWithData(this._data, url, options)
+      case 'obj':
+        return _SCNObjLoader.unarchiveObjectWithData(this._data, url, options)
+      default:
+        return NSKeyedUnarchiver.unarchiveObjectWithData(this._data, url, options)
+    }
+  }
+
+  /**
+   * @access private
+   * @param {Map<SCNSceneSource.LoadingOption, Object>} options -
+   * @returns {_SCNSceneProcessor} -
+   */
+  _createProcessor(options) {
+    const unit = this.propertyForKey(_PropertyKey.assetUnitKey)
+    return new _SCNSceneProcessor({
+      convertToYUp: options.get(_LoadingOption.convertToYUp),
+      upAxis: this.propertyForKey(_PropertyKey.assetUpAxisKey),
+      convertUnitsToMeters: options.get(_LoadingOption.convertUnitsToMeters),
+      unitMeter: unit ? unit[_PropertyKey.assetUnitMeterKey] : 1.0,
+      createNormalsIfAbsent: options.get(_LoadingOption.createNormalsIfAbsent),
+      smoothingAngle: options.get(_LoadingOption._normalSmoothingAngle),
+      flattenScene: options.get(_LoadingOption.flattenScene)
+    })
+  }
+
+  /**
+   * Sets the data and detects its format.
+   * @access private
+   * @param {?Blob} data -
+   * @returns {void}
+   */
+  _setData(data) {
+    this._data = data
+    this._format = SCNSceneSource._formatOfData(data)
+  }
+
+  /**
+   * @access private
+   * @param {?Blob} data -
+   * @returns {string} -
+   */
+  static _formatOfData(data) {
+    if(_SCNJSONLoader.isJSONData(data)){
+      // written by SCNScene.writeTo
+      return 'json'
+    }
+    if(_SCNGLTFLoader.isGLTFData(data)){
+      // .gltf or .glb
+      return 'gltf'
+    }
+    if(_SCNDAELoader.isDAEData(data)){
+      // COLLADA
+      return 'dae'
+    }
+    if(typeof data === 'string' && data.match(/\nv -?[0-9]+(\.[0-9]+)? -?[0-9]+(\.[0-9]+)? -?[0-9]+(\.[0-9]+)?\s*\n/)){
+      // seems obj data
+      return 'obj'
+    }
+    return 'keyedArchive'
   }
 
   // Loading and Inspecting Scene Elements
@@ -166,7 +356,9 @@ NSArray *animations = [sceneSource identifiersOfEntriesWithClass:[CAAnimation cl
    * @see https://developer.apple.com/documentation/scenekit/scnscenesource/1523656-identifiersofentries
    */
   identifiersOfEntriesWithClass(entryClass) {
-    return null
+    return this._getEntries()
+      .filter((entry) => entry.entryClass.isSubclassOf(entryClass))
+      .map((entry) => entry.identifier)
   }
 
   /**
@@ -194,7 +386,18 @@ NSArray *geometryNodes = [sceneSource entriesPassingTest:^BOOL(id entry, NSStrin
    * @see https://developer.apple.com/documentation/scenekit/scnscenesource/1523055-entries
    */
   entriesPassingTest(predicate) {
-    return null
+    const result = []
+    const stop = { value: false }
+    for(const entry of this._getEntries()){
+      const obj = this._loadEntry(entry)
+      if(predicate(obj, entry.identifier, stop)){
+        result.push(obj)
+      }
+      if(stop.value){
+        break
+      }
+    }
+    return result
   }
 
   // Getting Information about the Scene
@@ -208,7 +411,14 @@ NSArray *geometryNodes = [sceneSource entriesPassingTest:^BOOL(id entry, NSStrin
    * @see https://developer.apple.com/documentation/scenekit/scnscenesource/1523277-property
    */
   propertyForKey(key) {
-    return null
+    if(this._properties === null){
+      this._properties = this._loadProperties()
+    }
+    const value = this._properties[key]
+    if(typeof value === 'undefined'){
+      return null
+    }
+    return value
   }
   /**
    * The URL identifying the file from which the scene source was created.
@@ -240,7 +450,192 @@ NSArray *geometryNodes = [sceneSource entriesPassingTest:^BOOL(id entry, NSStrin
    * @see https://developer.apple.com/documentation/scenekit/scnscenesource/2805685-entrywithidentifier
    */
   entryWithIdentifierWithClass(uid, entryClass) {
-    return null
+    const entry = this._getEntries().find((e) => e.identifier === uid && e.entryClass.isSubclassOf(entryClass))
+    if(typeof entry === 'undefined'){
+      return null
+    }
+    return this._loadEntry(entry)
+  }
+
+  /**
+   * @access private
+   * @returns {Object[]} - entries in the scene source. Each entry has identifier, entryClass and load function.
+   */
+  _getEntries() {
+    if(this._entries === null){
+      if(this._format === 'keyedArchive'){
+        this._entries = this._keyedArchiveEntries()
+      }else{
+        this._entries = this._sceneEntries(this.scene())
+      }
+    }
+    return this._entries
+  }
+
+  /**
+   * @access private
+   * @param {Object} entry -
+   * @returns {Object} -
+   */
+  _loadEntry(entry) {
+    if(typeof entry.object === 'undefined'){
+      entry.object = entry.load()
+    }
+    return entry.object
+  }
+
+  /**
+   * Indexes the objects in the keyed archive. The objects are decoded when they are requested.
+   * @access private
+   * @returns {Object[]} -
+   */
+  _keyedArchiveEntries() {
+    const unarchiver = new NSKeyedUnarchiver(this._data, this._options || new Map())
+    unarchiver._filePath = this._url
+    const entryClasses = _entryClassNames.map((name) => _ClassList.get(name))
+    const entries = []
+    const addEntry = (identifier, entryClass, load) => {
+      if(entries.some((e) => e.identifier === identifier && e.entryClass === entryClass)){
+        // identifiers are unique for each class.
+        return
+      }
+      entries.push({ identifier: identifier, entryClass: entryClass, load: load })
+    }
+
+    for(let i=0; i<unarchiver._objectCount; i++){
+      const className = unarchiver._classNameAt(i)
+      if(className === null){
+        continue
+      }
+      const entryClass = NSKeyedUnarchiver.classForClassName(className)
+      if(!entryClass || !entryClasses.some((c) => entryClass.isSubclassOf(c))){
+        continue
+      }
+      const obj = unarchiver._objectAt(i)
+      let identifier = unarchiver._resolveReference(obj.name)
+      if(typeof identifier !== 'string'){
+        identifier = `${className}-${i}`
+      }
+      addEntry(identifier, entryClass, () => unarchiver._parseClassAt(i))
+
+      if(entryClass.isSubclassOf(_ClassList.get('SCNNode'))){
+        // animations are archived as dictionaries in the node.
+        for(const key of this._archivedAnimationKeys(unarchiver, obj)){
+          addEntry(key, _ClassList.get('CAAnimation'), () => unarchiver._parseClassAt(i).animationForKey(key))
+        }
+      }
+    }
+    return entries
+  }
+
+  /**
+   * @access private
+   * @param {NSKeyedUnarchiver} unarchiver -
+   * @param {Object} obj - archived node.
+   * @returns {string[]} -
+   */
+  _archivedAnimationKeys(unarchiver, obj) {
+    const animations = unarchiver._resolveReference(obj.animations)
+    if(!animations || !Array.isArray(animations['NS.keys'])){
+      return []
+    }
+    return animations['NS.keys'].map((key) => unarchiver._resolveReference(key))
+  }
+
+  /**
+   * Indexes the objects in the loaded scene.
+   * @access private
+   * @param {SCNScene} scene -
+   * @returns {Object[]} -
+   */
+  _sceneEntries(scene) {
+    const entries = []
+    const counts = new Map()
+    const addEntry = (obj, name, entryClass = obj.constructor) => {
+      if(!obj || entries.some((e) => e.object === obj)){
+        return
+      }
+      const className = entryClass.className
+      const count = counts.get(className) || 0
+      counts.set(className, count + 1)
+      let identifier = name
+      if(typeof identifier !== 'string' || identifier === ''){
+        identifier = `${className}-${count}`
+      }
+      entries.push({ identifier: identifier, entryClass: entryClass, object: obj, load: () => obj })
+    }
+
+    addEntry(scene, 'scene')
+    scene.rootNode.enumerateHierarchy((node) => {
+      addEntry(node, node.name)
+      if(node.geometry){
+        addEntry(node.geometry, node.geometry.name)
+        for(const material of node.geometry.materials){
+          addEntry(material, material.name)
+        }
+      }
+      if(node.camera){
+        addEntry(node.camera, node.camera.name)
+      }
+      if(node.light){
+        addEntry(node.light, node.light.name)
+      }
+      if(node.skinner){
+        addEntry(node.skinner, null)
+      }
+      if(node.morpher){
+        addEntry(node.morpher, null)
+      }
+      for(const key of node.animationKeys){
+        addEntry(node.animationForKey(key), key, _ClassList.get('CAAnimation'))
+      }
+    })
+    return entries
+  }
+
+  /**
+   * @access private
+   * @returns {Object} - metadata of the scene source.
+   */
+  _loadProperties() {
+    switch(this._format){
+      case 'json':
+        return _SCNJSONLoader.assetWithData(this._data)
+      case 'gltf':
+        return _SCNGLTFLoader.assetWithData(this._data)
+      case 'dae':
+        return _SCNDAELoader.assetWithData(this._data)
+      case 'obj':
+        return {}
+      default:
+        return this._keyedArchiveProperties()
+    }
+  }
+
+  /**
+   * @access private
+   * @returns {Object} -
+   */
+  _keyedArchiveProperties() {
+    const properties = {}
+    const unarchiver = new NSKeyedUnarchiver(this._data, this._options || new Map())
+    const index = unarchiver._topObjectIndex
+    if(unarchiver._classNameAt(index) !== 'SCNScene'){
+      return properties
+    }
+    const coder = unarchiver.copy()
+    coder._refObj = unarchiver._objectAt(index)
+    if(coder.containsValueForKey('upAxis')){
+      properties[_PropertyKey.assetUpAxisKey] = coder.decodeObjectOfTypeForKey(_ClassList.get('SCNVector3'), 'upAxis')
+    }
+    if(coder.containsValueForKey('userAttributes')){
+      // asset information exported by the authoring tool.
+      const attributes = coder.decodeObjectForKey('userAttributes')
+      for(const key of Object.keys(attributes || {})){
+        properties[key] = attributes[key]
+      }
+    }
+    return properties
   }
 
   // Structures
@@ -275,6 +670,23 @@ NSArray *geometryNodes = [sceneSource entriesPassingTest:^BOOL(id entry, NSStrin
     return _LoadingOption
   }
 
+  /**
+   * @type {Object} PropertyKey
+   * @property {string} assetAuthorKey The name of the person who created the scene file.
+   * @property {string} assetAuthoringToolKey The name of the tool used to create the scene file.
+   * @property {string} assetContributorsKey An array of dictionaries identifying the authors of the scene file.
+   * @property {string} assetCreatedDateKey The creation date of the scene file.
+   * @property {string} assetModifiedDateKey The modification date of the scene file.
+   * @property {string} assetUnitKey A dictionary which describes the unit of length used in the scene file.
+   * @property {string} assetUnitMeterKey The number of meters in one unit of the scene file.
+   * @property {string} assetUnitNameKey The name of the unit of length used in the scene file.
+   * @property {string} assetUpAxisKey A vector which indicates the up direction of the scene.
+   * @see https://developer.apple.com/documentation/scenekit/scnscenesource/scene_source_properties
+   */
+  static get PropertyKey() {
+    return _PropertyKey
+  }
+
   /**
    * @access private
    * @returns {Promise* -
@@ -1,7 +1,11 @@
 'use strict'
 
+import SCNChamferMode from './SCNChamferMode'
 import SCNGeometry from './SCNGeometry'
-//import SCNChamferMode from './SCNChamferMode'
+import SCNMaterial from './SCNMaterial'
+import _SCNShapeBuilder from './_SCNShapeBuilder'
+
+const _defaultFlatness = 0.6
 
 /**
  * A geometry based on a two-dimensional path, optionally extruded to create a three-dimensional object.
@@ -16,52 +20,113 @@ export default class SCNShape extends SCNGeometry {
    * Creates a shape geometry with the specified path and extrusion depth.
    * @access public
    * @constructor
-   * @param {?UIBezierPath} path - The two-dimensional path forming the basis of the shape.
-   * @param {number} extrusionDepth - The thickness of the extruded shape along the z-axis.
+   * @param {?UIBezierPath} [path = null] - The two-dimensional path forming the basis of the shape.
+   * @param {number} [extrusionDepth = 1.0] - The thickness of the extruded shape along the z-axis.
    * @desc SceneKit determines the filled area of the path using the even-odd winding rule (see Winding Rules in Cocoa Drawing Guide) and extrudes this area to create a three-dimensional geometry. The result of extruding a self-intersecting path is undefined.The extruded shape is centered at the zero point of its z-axis. For example, an extrusion depth of 1.0 creates a shape that extends from -0.5 to 0.5 along the z-axis. An extrusion depth of zero creates a flat, one-sided shape.The path’s flatness (see flatness in NSBezierPath) determines the level of detail SceneKit uses in building a three-dimensional shape from the path. A larger flatness value results in fewer polygons to render, increasing performance, and a smaller flatness value increases the smoothness of curves at a cost to performance.
    * @see https://developer.apple.com/documentation/scenekit/scnshape/1523432-init
    */
-  constructor(path, extrusionDepth) {
+  constructor(path = null, extrusionDepth = 1.0) {
     super()
 
-    // Modifying a Shape
-
-    /**
-     * The thickness of the extruded shape along the z-axis. Animatable.
-     * @type {number}
-     * @see https://developer.apple.com/documentation/scenekit/scnshape/1523365-extrusiondepth
-     */
-    this.extrusionDepth = 0
-
-    /**
-     * The two-dimensional path forming the basis of the shape.
-     * @type {?UIBezierPath}
-     * @see https://developer.apple.com/documentation/scenekit/scnshape/1523434-path
-     */
-    this.path = null
-
-
-    // Chamfering a Shape
-
-    /**
-     * A constant specifying which ends of the extruded shape’s profile are chamfered.
-     * @type {SCNChamferMode}
-     * @see https://developer.apple.com/documentation/scenekit/scnshape/1523989-chamfermode
-     */
-    this.chamferMode = null
-
-    /**
-     * A path that determines the cross-sectional contour of each chamfered edge.
-     * @type {?UIBezierPath}
-     * @see https://developer.apple.com/documentation/scenekit/scnshape/1522865-chamferprofile
-     */
-    this.chamferProfile = null
-
-    /**
-     * The width or depth of each chamfered edge. Animatable.
-     * @type {number}
-     * @see https://developer.apple.com/documentation/scenekit/scnshape/1524145-chamferradius
-     */
-    this.chamferRadius = 0
+    this._path = path
+    this._extrusionDepth = extrusionDepth
+    this._chamferMode = SCNChamferMode.both
+    this._chamferProfile = null
+    this._chamferRadius = 0
+
+    this._createGeometry()
+    this.materials.push(new SCNMaterial())
+  }
+
+  // Modifying a Shape
+
+  /**
+   * The thickness of the extruded shape along the z-axis. Animatable.
+   * @type {number}
+   * @see https://developer.apple.com/documentation/scenekit/scnshape/1523365-extrusiondepth
+   */
+  get extrusionDepth() {
+    return this._extrusionDepth
+  }
+
+  set extrusionDepth(newValue) {
+    this._extrusionDepth = newValue
+    this._createGeometry()
+  }
+
+  /**
+   * The two-dimensional path forming the basis of the shape.
+   * @type {?UIBezierPath}
+   * @see https://developer.apple.com/documentation/scenekit/scnshape/1523434-path
+   */
+  get path() {
+    return this._path
+  }
+
+  set path(newValue) {
+    this._path = newValue
+    this._createGeometry()
+  }
+
+  // Chamfering a Shape
+
+  /**
+   * A constant specifying which ends of the extruded shape’s profile are chamfered.
+   * @type {SCNChamferMode}
+   * @see https://developer.apple.com/documentation/scenekit/scnshape/1523989-chamfermode
+   */
+  get chamferMode() {
+    return this._chamferMode
+  }
+
+  set chamferMode(newValue) {
+    this._chamferMode = newValue
+    this._createGeometry()
+  }
+
+  /**
+   * A path that determines the cross-sectional contour of each chamfered edge.
+   * @type {?UIBezierPath}
+   * @see https://developer.apple.com/documentation/scenekit/scnshape/1522865-chamferprofile
+   */
+  get chamferProfile() {
+    return this._chamferProfile
+  }
+
+  set chamferProfile(newValue) {
+    this._chamferProfile = newValue
+    this._createGeometry()
+  }
+
+  /**
+   * The width or depth of each chamfered edge. Animatable.
+   * @type {number}
+   * @see https://developer.apple.com/documentation/scenekit/scnshape/1524145-chamferradius
+   */
+  get chamferRadius() {
+    return this._chamferRadius
+  }
+
+  set chamferRadius(newValue) {
+    this._chamferRadius = newValue
+    this._createGeometry()
+  }
+
+  _createGeometry() {
+    const path = this._path
+    _SCNShapeBuilder.createGeometry(this, path, {
+      extrusionDepth: this._extrusionDepth,
+      chamferRadius: this._chamferRadius,
+      chamferMode: this._chamferMode,
+      chamferProfile: this._chamferProfile,
+      flatness: path && typeof path.flatness === 'number' ? path.flatness : _defaultFlatness
+    })
+  }
+
+  _updateBoundingBoxForSkinner(skinner = null){
+    if(skinner === null){
+      return this.boundingBox
+    }
+    return super._updateBoundingBoxForSkinner(skinner)
   }
 }
@@ -6,6 +6,7 @@ import SCNGeometryElement from './SCNGeometryElement'
 import SCNGeometryPrimitiveType from './SCNGeometryPrimitiveType'
 import SCNGeometrySource from './SCNGeometrySource'
 import SCNVector3 from './SCNVector3'
+import Ammo from '../third_party/ammo'
 
 /**
  * A sphere (or ball or globe) geometry.
@@ -32,9 +33,9 @@ export default class SCNSphere extends SCNGeometry {
 
         return sphere
       },
-      sphereradius: ['float', null],
-      spheregeodesic: ['boolean', null],
-      spheresegmentCount: ['integer', null],
+      sphereradius: ['float', null, (obj) => obj.radius],
+      spheregeodesic: ['boolean', null, (obj) => obj.isGeodesic],
+      spheresegmentCount: ['integer', null, (obj) => obj.segmentCount],
       materials: ['NSArray', null],
       tessellator: ['SCNGeometryTessellator', null],
       wantsAdaptiveSubdivision: ['boolean', null],
@@ -190,4 +191,13 @@ export default class SCNSphere extends SCNGeometry {
     }
     return super._updateBoundingBoxForSkinner(skinner)
   }
+
+  /**
+   * @access private
+   * @returns {Ammo.btCollisionShape} -
+   * @desc call Ammo.destroy(shape) after using it.
+   */
+  _createBtCollisionShape() {
+    return new Ammo.btSphereShape(this.radius)
+  }
 }
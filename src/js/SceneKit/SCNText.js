@@ -1,8 +1,21 @@
 'use strict'
 
+import * as Constants from '../constants'
+import CGAffineTransform from '../CoreGraphics/CGAffineTransform'
+import CGMutablePath from '../CoreGraphics/CGMutablePath'
+import CGRect from '../CoreGraphics/CGRect'
+import CGSize from '../CoreGraphics/CGSize'
+import NSFont from '../AppKit/NSFont'
+import SCNChamferMode from './SCNChamferMode'
 import SCNGeometry from './SCNGeometry'
-//import CGRect from '../CoreGraphics/CGRect'
-//import CGSize from '../CoreGraphics/CGSize'
+import SCNMaterial from './SCNMaterial'
+import _SCNShapeBuilder from './_SCNShapeBuilder'
+
+const _defaultFontName = 'Helvetica'
+const _defaultFontSize = 36.0
+const _defaultFlatness = 0.6
+const _space = 0x20
+const _ellipsis = 0x2026
 
 /**
  * A geometry based on a string of text, optionally extruded to create a three-dimensional object. 
@@ -17,92 +30,127 @@ export default class SCNText extends SCNGeometry {
    * Creates a text geometry from a specified string, extruded with a specified depth.
    * @access public
    * @constructor
-   * @param {?Object} string - An NSString or NSAttributedString object containing text from which to create the geometry.
-   * @param {number} extrusionDepth - The extent of the text geometry in the Z dimension of its local coordinate space. Specify a depth of 0.0 to create 2D text confined to a plane.
+   * @param {?Object} [string = null] - An NSString or NSAttributedString object containing text from which to create the geometry.
+   * @param {number} [extrusionDepth = 1.0] - The extent of the text geometry in the Z dimension of its local coordinate space. Specify a depth of 0.0 to create 2D text confined to a plane.
    * @desc In the local coordinate system of the text geometry, the origin corresponds to the lower left corner of the text’s layout rectangle, with the text extending in the x- and y-axis dimensions. (SceneKit computes a layout rectangle automatically, or you can specify one using the containerFrame property.) The geometry is centered along its z-axis. For example, if its extrusionDepth property is 1.0, the geometry extends from -0.5 to 0.5 along the z-axis. An extrusion depth of zero creates a flat, one-sided shape—the geometry is confined to the plane whose z-coordinate is 0.0, and viewable only from its front unless its material’s isDoubleSided property is true.
    * @see https://developer.apple.com/documentation/scenekit/scntext/1522734-init
    */
-  constructor(string, extrusionDepth) {
+  constructor(string = null, extrusionDepth = 1.0) {
     super()
 
-    // Managing the Geometry’s Text Content
+    this._string = string
+    this._font = new NSFont(_defaultFontName, _defaultFontSize)
+    this._containerFrame = CGRect.zero
+    this._isWrapped = false
+    this._alignmentMode = Constants.kCAAlignmentNatural
+    this._truncationMode = Constants.kCATruncationNone
+    this._flatness = _defaultFlatness
+    this._extrusionDepth = extrusionDepth
+    this._chamferRadius = 0
+    this._chamferProfile = null
 
     /**
-     * The string object whose text the geometry represents.
-     * @type {?Object}
-     * @see https://developer.apple.com/documentation/scenekit/scntext/1523439-string
+     * @access private
+     * @type {CGSize}
      */
-    this.string = null
+    this._textSize = CGSize.zero
 
-    /**
-     * The font that SceneKit uses to create geometry from the text.
-     * @type {!UIFont}
-     * @see https://developer.apple.com/documentation/scenekit/scntext/1523273-font
-     */
-    this.font = null
+    this._createGeometry()
+    this.materials.push(new SCNMaterial())
+  }
 
+  // Managing the Geometry’s Text Content
 
-    // Managing Text Layout
+  /**
+   * The string object whose text the geometry represents.
+   * @type {?Object}
+   * @desc A JavaScript string or an object whose string property holds the text, such as NSAttributedString.
+   * @see https://developer.apple.com/documentation/scenekit/scntext/1523439-string
+   */
+  get string() {
+    return this._string
+  }
 
-    /**
-     * A rectangle specifying the area in which SceneKit should lay out the text.
-     * @type {CGRect}
-     * @see https://developer.apple.com/documentation/scenekit/scntext/1523654-containerframe
-     */
-    this.containerFrame = null
+  set string(newValue) {
+    this._string = newValue
+    this._createGeometry()
+  }
 
-    /**
-     * A Boolean value that specifies whether SceneKit wraps long lines of text.
-     * @type {boolean}
-     * @see https://developer.apple.com/documentation/scenekit/scntext/1523585-iswrapped
-     */
-    this.isWrapped = false
+  /**
+   * The font that SceneKit uses to create geometry from the text.
+   * @type {!NSFont}
+   * @desc The default font is 36-point Helvetica. Register the font file with NSFont.registerFontWithData to use it.
+   * @see https://developer.apple.com/documentation/scenekit/scntext/1523273-font
+   */
+  get font() {
+    return this._font
+  }
 
-    /**
-     * A constant that specifies how SceneKit horizontally aligns each line of text within its container.
-     * @type {string}
-     * @see https://developer.apple.com/documentation/scenekit/scntext/1523158-alignmentmode
-     */
-    this.alignmentMode = ''
+  set font(newValue) {
+    this._font = newValue
+    this._createGeometry()
+  }
 
-    /**
-     * A constant that specifies how SceneKit truncates text that is too long to fit its container.
-     * @type {string}
-     * @see https://developer.apple.com/documentation/scenekit/scntext/1523414-truncationmode
-     */
-    this.truncationMode = ''
+  // Managing Text Layout
 
-    this._textSize = null
+  /**
+   * A rectangle specifying the area in which SceneKit should lay out the text.
+   * @type {CGRect}
+   * @desc If the rectangle is empty (CGRect.zero), the layout area is just large enough to contain the text.
+   * @see https://developer.apple.com/documentation/scenekit/scntext/1523654-containerframe
+   */
+  get containerFrame() {
+    return this._containerFrame
+  }
 
-    // Managing the Text’s 3D Representation
+  set containerFrame(newValue) {
+    this._containerFrame = newValue
+    this._createGeometry()
+  }
 
-    /**
-     * A number that determines the accuracy or smoothness of the text geometry.
-     * @type {number}
-     * @see https://developer.apple.com/documentation/scenekit/scntext/1524111-flatness
-     */
-    this.flatness = 0
+  /**
+   * A Boolean value that specifies whether SceneKit wraps long lines of text.
+   * @type {boolean}
+   * @desc Lines are wrapped only when the containerFrame property specifies a width.
+   * @see https://developer.apple.com/documentation/scenekit/scntext/1523585-iswrapped
+   */
+  get isWrapped() {
+    return this._isWrapped
+  }
 
-    /**
-     * The extent of the extruded text in the z-axis direction. Animatable.
-     * @type {number}
-     * @see https://developer.apple.com/documentation/scenekit/scntext/1522604-extrusiondepth
-     */
-    this.extrusionDepth = 0
+  set isWrapped(newValue) {
+    this._isWrapped = newValue
+    this._createGeometry()
+  }
 
-    /**
-     * The width or depth of each chamfered edge. Animatable.
-     * @type {number}
-     * @see https://developer.apple.com/documentation/scenekit/scntext/1522846-chamferradius
-     */
-    this.chamferRadius = 0
+  /**
+   * A constant that specifies how SceneKit horizontally aligns each line of text within its container.
+   * @type {string}
+   * @desc One of kCAAlignmentNatural, kCAAlignmentLeft, kCAAlignmentRight, kCAAlignmentCenter and kCAAlignmentJustified.
+   * @see https://developer.apple.com/documentation/scenekit/scntext/1523158-alignmentmode
+   */
+  get alignmentMode() {
+    return this._alignmentMode
+  }
 
-    /**
-     * A path that determines the cross-sectional contour of each chamfered edge.
-     * @type {?UIBezierPath}
-     * @see https://developer.apple.com/documentation/scenekit/scntext/1523334-chamferprofile
-     */
-    this.chamferProfile = null
+  set alignmentMode(newValue) {
+    this._alignmentMode = newValue
+    this._createGeometry()
+  }
+
+  /**
+   * A constant that specifies how SceneKit truncates text that is too long to fit its container.
+   * @type {string}
+   * @desc One of kCATruncationNone, kCATruncationStart, kCATruncationEnd and kCATruncationMiddle.
+   * @see https://developer.apple.com/documentation/scenekit/scntext/1523414-truncationmode
+   */
+  get truncationMode() {
+    return this._truncationMode
+  }
+
+  set truncationMode(newValue) {
+    this._truncationMode = newValue
+    this._createGeometry()
   }
 
   // Managing Text Layout
@@ -116,4 +164,300 @@ export default class SCNText extends SCNGeometry {
   get textSize() {
     return this._textSize
   }
+
+  // Managing the Text’s 3D Representation
+
+  /**
+   * A number that determines the accuracy or smoothness of the text geometry.
+   * @type {number}
+   * @see https://developer.apple.com/documentation/scenekit/scntext/1524111-flatness
+   */
+  get flatness() {
+    return this._flatness
+  }
+
+  set flatness(newValue) {
+    this._flatness = newValue
+    this._createGeometry()
+  }
+
+  /**
+   * The extent of the extruded text in the z-axis direction. Animatable.
+   * @type {number}
+   * @see https://developer.apple.com/documentation/scenekit/scntext/1522604-extrusiondepth
+   */
+  get extrusionDepth() {
+    return this._extrusionDepth
+  }
+
+  set extrusionDepth(newValue) {
+    this._extrusionDepth = newValue
+    this._createGeometry()
+  }
+
+  /**
+   * The width or depth of each chamfered edge. Animatable.
+   * @type {number}
+   * @see https://developer.apple.com/documentation/scenekit/scntext/1522846-chamferradius
+   */
+  get chamferRadius() {
+    return this._chamferRadius
+  }
+
+  set chamferRadius(newValue) {
+    this._chamferRadius = newValue
+    this._createGeometry()
+  }
+
+  /**
+   * A path that determines the cross-sectional contour of each chamfered edge.
+   * @type {?UIBezierPath}
+   * @see https://developer.apple.com/documentation/scenekit/scntext/1523334-chamferprofile
+   */
+  get chamferProfile() {
+    return this._chamferProfile
+  }
+
+  set chamferProfile(newValue) {
+    this._chamferProfile = newValue
+    this._createGeometry()
+  }
+
+  _createGeometry() {
+    const path = new CGMutablePath()
+    const lines = this._layoutLines()
+    const face = this._font ? this._font._face : null
+    if(face){
+      const scale = this._font._unitScale
+      for(const line of lines){
+        for(const glyph of line.glyphs){
+          const transform = new CGAffineTransform(scale, 0, 0, scale, glyph.x, line.baseline)
+          face.addGlyphToPath(glyph.glyph, path, transform)
+        }
+      }
+    }
+
+    _SCNShapeBuilder.createGeometry(this, path, {
+      extrusionDepth: this._extrusionDepth,
+      chamferRadius: this._chamferRadius,
+      chamferMode: SCNChamferMode.both,
+      chamferProfile: this._chamferProfile,
+      flatness: this._flatness
+    })
+  }
+
+  /**
+   * Breaks the text into lines and places the glyphs.
+   * @access private
+   * @returns {Array<{glyphs: Array<{glyph: number, x: number}>, baseline: number}>} -
+   */
+  _layoutLines() {
+    const font = this._font
+    const text = this._text
+    if(!font || !font._face || text.length === 0){
+      this._textSize = CGSize.zero
+      return []
+    }
+
+    const frame = this._containerFrame
+    const hasFrame = frame !== null && frame.size !== null && frame.size.width > 0 && frame.size.height > 0
+    const maxWidth = hasFrame ? frame.size.width : Infinity
+    const truncation = hasFrame ? this._truncationMode : Constants.kCATruncationNone
+    const shouldTruncate = truncation === Constants.kCATruncationStart
+      || truncation === Constants.kCATruncationEnd
+      || truncation === Constants.kCATruncationMiddle
+
+    // each line: code points and whether the paragraph continues on the next line
+    let lines = []
+    for(const paragraph of text.split(/\r\n|[\n\r\u2028\u2029]/)){
+      const chars = Array.from(paragraph).map((c) => c.codePointAt(0))
+      if(this._isWrapped && hasFrame){
+        lines.push(...this._wrapParagraph(chars, maxWidth))
+      }else{
+        lines.push({ chars, isWrapped: false })
+      }
+    }
+
+    const lineHeight = font._lineHeight
+    if(hasFrame && shouldTruncate){
+      const maxLines = Math.max(Math.floor(frame.size.height / lineHeight), 1)
+      if(lines.length > maxLines){
+        const rest = lines.slice(maxLines - 1).map((line) => line.chars)
+        const chars = [].concat(...rest.map((c, i) => i > 0 ? [_space, ...c] : c))
+        lines = lines.slice(0, maxLines - 1)
+        lines.push({ chars: this._truncateChars(chars, maxWidth, truncation, true), isWrapped: false })
+      }
+      lines = lines.map((line) => {
+        if(this._measureChars(line.chars).width <= maxWidth){
+          return line
+        }
+        return { chars: this._truncateChars(line.chars, maxWidth, truncation, false), isWrapped: line.isWrapped }
+      })
+    }
+
+    const measured = lines.map((line) => {
+      const chars = line.chars.slice()
+      if(line.isWrapped){
+        while(chars.length > 0 && chars[chars.length - 1] === _space){
+          chars.pop()
+        }
+      }
+      return Object.assign(this._measureChars(chars), { isWrapped: line.isWrapped })
+    })
+    const textWidth = Math.max(...measured.map((line) => line.width))
+    const layoutWidth = hasFrame ? frame.size.width : textWidth
+    const originX = hasFrame ? frame.origin.x : 0
+    const top = hasFrame ? frame.origin.y + frame.size.height : lines.length * lineHeight - font.leading
+
+    this._textSize = new CGSize(textWidth, lines.length * lineHeight)
+
+    return measured.map((line, i) => {
+      let offset = 0
+      let spacing = 0
+      switch(this._alignmentMode){
+        case Constants.kCAAlignmentRight:
+          offset = layoutWidth - line.width
+          break
+        case Constants.kCAAlignmentCenter:
+          offset = (layoutWidth - line.width) * 0.5
+          break
+        case Constants.kCAAlignmentJustified:
+          if(line.isWrapped && line.spaceCount > 0){
+            spacing = (layoutWidth - line.width) / line.spaceCount
+          }
+          break
+        default:
+          break
+      }
+      let extra = 0
+      const glyphs = line.glyphs.map((glyph) => {
+        const x = originX + offset + glyph.x + extra
+        if(glyph.codePoint === _space){
+          extra += spacing
+        }
+        return { glyph: glyph.glyph, x }
+      })
+      return { glyphs, baseline: top - font.ascender - i * lineHeight }
+    })
+  }
+
+  /**
+   * @access private
+   * @type {string}
+   */
+  get _text() {
+    const string = this._string
+    if(string === null || typeof string === 'undefined'){
+      return ''
+    }
+    if(typeof string === 'object' && typeof string.string !== 'undefined'){
+      return String(string.string)
+    }
+    return String(string)
+  }
+
+  /**
+   * @access private
+   * @param {number[]} chars - code points
+   * @returns {{glyphs: Array<{glyph: number, codePoint: number, x: number}>, width: number, spaceCount: number}} - x is in points.
+   */
+  _measureChars(chars) {
+    const face = this._font._face
+    const scale = this._font._unitScale
+    const glyphs = []
+    let x = 0
+    let prev = -1
+    let spaceCount = 0
+    for(const codePoint of chars){
+      const glyph = face.glyphIndexForCodePoint(codePoint)
+      if(prev >= 0){
+        x += face.kerningBetween(prev, glyph) * scale
+      }
+      glyphs.push({ glyph, codePoint, x })
+      x += face.advanceWidthOfGlyph(glyph) * scale
+      if(codePoint === _space){
+        spaceCount += 1
+      }
+      prev = glyph
+    }
+    return { glyphs, width: x, spaceCount }
+  }
+
+  /**
+   * Breaks a paragraph at spaces, or between characters if a word is longer than the width.
+   * @access private
+   * @param {number[]} chars -
+   * @param {number} maxWidth -
+   * @returns {Array<{chars: number[], isWrapped: boolean}>} - isWrapped is true except for the last line.
+   */
+  _wrapParagraph(chars, maxWidth) {
+    const lines = []
+    let start = 0
+    while(start < chars.length){
+      let end = start
+      let lastBreak = -1
+      while(end < chars.length){
+        if(end > start && this._measureChars(chars.slice(start, end + 1)).width > maxWidth && chars[end] !== _space){
+          break
+        }
+        if(chars[end] === _space){
+          lastBreak = end
+        }
+        end += 1
+      }
+      if(end >= chars.length){
+        lines.push({ chars: chars.slice(start), isWrapped: false })
+        break
+      }
+      if(lastBreak >= start){
+        lines.push({ chars: chars.slice(start, lastBreak), isWrapped: true })
+        start = lastBreak + 1
+      }else{
+        lines.push({ chars: chars.slice(start, end), isWrapped: true })
+        start = end
+      }
+    }
+    if(lines.length === 0){
+      lines.push({ chars: [], isWrapped: false })
+    }
+    return lines
+  }
+
+  /**
+   * @access private
+   * @param {number[]} chars -
+   * @param {number} maxWidth -
+   * @param {string} mode - kCATruncationStart, kCATruncationEnd or kCATruncationMiddle.
+   * @param {boolean} force - adds the ellipsis even if the text fits.
+   * @returns {number[]} -
+   */
+  _truncateChars(chars, maxWidth, mode, force) {
+    if(!force && this._measureChars(chars).width <= maxWidth){
+      return chars
+    }
+    const face = this._font._face
+    const ellipsis = face.glyphIndexForCodePoint(_ellipsis) !== 0 ? [_ellipsis] : [0x2E, 0x2E, 0x2E]
+    let head = mode === Constants.kCATruncationStart ? 0 : chars.length
+    let tail = mode === Constants.kCATruncationEnd ? 0 : chars.length
+    if(mode === Constants.kCATruncationMiddle){
+      head = Math.ceil(chars.length * 0.5)
+      tail = chars.length - head
+    }
+    const build = () => chars.slice(0, head).concat(ellipsis, chars.slice(chars.length - tail))
+    while(head + tail > 0 && this._measureChars(build()).width > maxWidth){
+      if(head > tail || (head === tail && mode !== Constants.kCATruncationStart)){
+        head -= 1
+      }else{
+        tail -= 1
+      }
+    }
+    return build()
+  }
+
+  _updateBoundingBoxForSkinner(skinner = null){
+    if(skinner === null){
+      return this.boundingBox
+    }
+    return super._updateBoundingBoxForSkinner(skinner)
+  }
 }
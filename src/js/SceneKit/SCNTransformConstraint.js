@@ -20,9 +20,28 @@ export default class SCNTransformConstraint extends SCNConstraint {
    * @access public
    * @constructor
    */
-  //constructor() {
-  //  super()
-  //}
+  constructor() {
+    super()
+
+    /**
+     * @access private
+     * @type {boolean}
+     */
+    this._world = false
+
+    /**
+     * @access private
+     * @type {?function}
+     */
+    this._block = null
+
+    /**
+     * 'transform', 'orientation' or 'position'
+     * @access private
+     * @type {string}
+     */
+    this._transformType = 'transform'
+  }
 
   // Creating a Transform Constraint
 
@@ -37,7 +56,9 @@ export default class SCNTransformConstraint extends SCNConstraint {
    */
   static constraintInWorldSpaceWith(world, block) {
     const constraint = new SCNTransformConstraint()
-    // TODO: implement
+    constraint._world = world
+    constraint._block = block
+    constraint._transformType = 'transform'
     return constraint
   }
 
@@ -53,7 +74,9 @@ export default class SCNTransformConstraint extends SCNConstraint {
    */
   static orientationConstraintInWorldSpaceWith(world, block) {
     const constraint = new SCNTransformConstraint()
-    // TODO: implement
+    constraint._world = world
+    constraint._block = block
+    constraint._transformType = 'orientation'
     return constraint
   }
 
@@ -67,7 +90,48 @@ export default class SCNTransformConstraint extends SCNConstraint {
    */
   static positionConstraintInWorldSpaceWith(world, block) {
     const constraint = new SCNTransformConstraint()
-    // TODO: implement
+    constraint._world = world
+    constraint._block = block
+    constraint._transformType = 'position'
     return constraint
   }
+
+  /**
+   * @access private
+   * @param {SCNNode} node -
+   * @param {SCNMatrix4} transform -
+   * @param {?SCNSceneRenderer} renderer -
+   * @returns {?SCNMatrix4} -
+   */
+  _constrainedWorldTransform(node, transform, renderer) {
+    if(this._block === null){
+      return null
+    }
+    const parentTransform = SCNConstraint._parentWorldTransformOf(node)
+    // the block gets and returns values in the local coordinate space if _world is false.
+    const current = this._world ? transform : transform.mult(parentTransform.invert())
+    let result = null
+    switch(this._transformType){
+      case 'position': {
+        const position = this._block(node, current.getTranslation())
+        result = current._copy()
+        result.m41 = position.x
+        result.m42 = position.y
+        result.m43 = position.z
+        break
+      }
+      case 'orientation': {
+        const orientation = this._block(node, current.getOrientation())
+        const rotation = SCNMatrix4.matrixWithOrientation(orientation)
+        result = SCNConstraint._composeTransform(current.getScale(), rotation, current.getTranslation())
+        break
+      }
+      default:
+        result = this._block(node, current)
+    }
+    if(!result){
+      return null
+    }
+    return this._world ? result : result.mult(parentTransform)
+  }
 }
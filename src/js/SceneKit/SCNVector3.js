@@ -1,6 +1,8 @@
 'use strict'
 
 import SCNVector4 from './SCNVector4'
+import Ammo from '../third_party/ammo'
+/*global Buffer*/
 
 /**
  * A representation of a three-component vector.
@@ -58,6 +60,33 @@ export default class SCNVector3 {
     return instance
   }
 
+  /**
+   * @access private
+   * @param {boolean} [bigEndian = false] -
+   * @returns {Buffer} - the data to be read by _initWithData.
+   */
+  _getData(bigEndian = false) {
+    const values = this.floatArray()
+    const data = Buffer.alloc(values.length * 4)
+    values.forEach((value, i) => {
+      if(bigEndian){
+        data.writeFloatBE(value, i * 4)
+      }else{
+        data.writeFloatLE(value, i * 4)
+      }
+    })
+    return data
+  }
+
+  /**
+   * @access private
+   * @param {Ammo.btVector3} v -
+   * @returns {SCNVector3} -
+   */
+  static _initWithBtVector3(v) {
+    return new SCNVector3(v.x(), v.y(), v.z())
+  }
+
   _copy() {
     return new SCNVector3(this.x, this.y, this.z)
   }
@@ -303,7 +332,7 @@ export default class SCNVector3 {
    * @desc call Ammo.destroy(vec) after using it.
    */
   _createBtVector3() {
-    //return new Ammo.btVector3(this.x, this.y, this.z)
+    return new Ammo.btVector3(this.x, this.y, this.z)
   }
 }
 
@@ -2,6 +2,8 @@
 
 import SCNMatrix4 from './SCNMatrix4'
 import SCNVector3 from './SCNVector3'
+import Ammo from '../third_party/ammo'
+/*global Buffer*/
 
 /**
  * A representation of a four-component vector.
@@ -63,6 +65,33 @@ export default class SCNVector4 {
     return instance
   }
 
+  /**
+   * @access private
+   * @param {boolean} [bigEndian = false] -
+   * @returns {Buffer} - the data to be read by _initWithData.
+   */
+  _getData(bigEndian = false) {
+    const values = this.floatArray()
+    const data = Buffer.alloc(values.length * 4)
+    values.forEach((value, i) => {
+      if(bigEndian){
+        data.writeFloatBE(value, i * 4)
+      }else{
+        data.writeFloatLE(value, i * 4)
+      }
+    })
+    return data
+  }
+
+  /**
+   * @access private
+   * @param {Ammo.btQuaternion} q -
+   * @returns {SCNVector4} -
+   */
+  static _initWithBtQuaternion(q) {
+    return new SCNVector4(q.x(), q.y(), q.z(), q.w())
+  }
+
   _copy() {
     return new SCNVector4(this.x, this.y, this.z, this.w)
   }
@@ -175,27 +204,102 @@ export default class SCNVector4 {
   }
 
   /**
+   * Spherical linear interpolation between two quaternions.
    * @access public
    * @param {SCNVector4} v -
    * @param {number} rate -
    * @returns {SCNVector4} -
+   * @desc it interpolates along the shortest arc.
    */
   slerp(v, rate) {
-    const r = new SCNVector4()
-    const qr = this.dot(v)
+    return this._slerp(v, rate, true)
+  }
 
-    if(qr < 0){
-      r.x = this.x - (this.x + v.x) * rate
-      r.y = this.y - (this.y + v.y) * rate
-      r.z = this.z - (this.z + v.z) * rate
-      r.w = this.w - (this.w + v.w) * rate
-    }else{
-      r.x = this.x + (v.x - this.x) * rate
-      r.y = this.y + (v.y - this.y) * rate
-      r.z = this.z + (v.z - this.z) * rate
-      r.w = this.w + (v.w - this.w) * rate
+  /**
+   * @access private
+   * @param {SCNVector4} v -
+   * @param {number} rate -
+   * @param {boolean} shortestArc -
+   * @returns {SCNVector4} -
+   */
+  _slerp(v, rate, shortestArc) {
+    const from = this.normalize()
+    let to = v.normalize()
+    let cosTheta = from.dot(to)
+    if(shortestArc && cosTheta < 0){
+      to = to.mul(-1)
+      cosTheta = -cosTheta
+    }
+    if(Math.abs(cosTheta) > 0.9995){
+      // sin(theta) is too small to divide by.
+      return from.lerp(to, rate).normalize()
+    }
+    const theta = Math.acos(cosTheta)
+    const sinTheta = Math.sin(theta)
+    const r0 = Math.sin((1.0 - rate) * theta) / sinTheta
+    const r1 = Math.sin(rate * theta) / sinTheta
+    return from.mul(r0).add(to.mul(r1))
+  }
+
+  /**
+   * Spherical cubic interpolation between two quaternions.
+   * @access public
+   * @param {SCNVector4} v - the quaternion at the end of the segment.
+   * @param {SCNVector4} a - the control point for this quaternion.
+   * @param {SCNVector4} b - the control point for v.
+   * @param {number} rate -
+   * @returns {SCNVector4} -
+   * @desc use squadControlPoint() to compute the control points.
+   */
+  squad(v, a, b, rate) {
+    const q = this._slerp(v, rate, false)
+    const s = a._slerp(b, rate, false)
+    return q._slerp(s, 2.0 * rate * (1.0 - rate), false)
+  }
+
+  /**
+   * Computes the inner control point of squad() for this quaternion.
+   * @access public
+   * @param {SCNVector4} prev - the previous quaternion.
+   * @param {SCNVector4} next - the next quaternion.
+   * @returns {SCNVector4} -
+   */
+  squadControlPoint(prev, next) {
+    const q = this.normalize()
+    const inv = new SCNVector4(-q.x, -q.y, -q.z, q.w)
+    const p = q.dot(prev) < 0 ? prev.mul(-1) : prev
+    const n = q.dot(next) < 0 ? next.mul(-1) : next
+    const lnPrev = inv.cross(p.normalize()).ln()
+    const lnNext = inv.cross(n.normalize()).ln()
+    const e = lnPrev.add(lnNext).mul(-0.25).exp()
+    return q.cross(e)
+  }
+
+  /**
+   * Interpolates between two axis-angle rotations.
+   * @access public
+   * @param {SCNVector4} v -
+   * @param {number} rate -
+   * @returns {SCNVector4} -
+   * @desc When both rotations share the same axis, the angle is interpolated linearly so that rotations of more than 180 degrees are kept. Otherwise the rotations are interpolated along the shortest arc.
+   */
+  slerpRotation(v, rate) {
+    const axis0 = new SCNVector3(this.x, this.y, this.z)
+    const axis1 = new SCNVector3(v.x, v.y, v.z)
+    const len0 = axis0.length()
+    const len1 = axis1.length()
+    if(len0 === 0 || this.w === 0){
+      return new SCNVector4(v.x, v.y, v.z, v.w * rate)
+    }
+    if(len1 === 0 || v.w === 0){
+      return new SCNVector4(this.x, this.y, this.z, this.w * (1.0 - rate))
+    }
+    const cos = axis0.dot(axis1) / (len0 * len1)
+    if(Math.abs(cos) > 0.9999){
+      const w = cos > 0 ? v.w : -v.w
+      return new SCNVector4(this.x, this.y, this.z, this.w + (w - this.w) * rate)
     }
-    return r.normalize()
+    return this.rotationToQuat().slerp(v.rotationToQuat(), rate).quatToRotation()
   }
 
   /**
@@ -460,7 +564,7 @@ export default class SCNVector4 {
    * @desc call Ammo.destroy(vec) after using it.
    */
   _createBtVector4() {
-    //return new Ammo.btVector4(this.x, this.y, this.z, this.w)
+    return new Ammo.btVector4(this.x, this.y, this.z, this.w)
   }
 
   /**
@@ -469,6 +573,6 @@ export default class SCNVector4 {
    * @desc call Ammo.destroy(quat) after using it.
    */
   _createBtQuaternion() {
-    //return new Ammo.btQuaternion(this.x, this.y, this.z, this.w)
+    return new Ammo.btQuaternion(this.x, this.y, this.z, this.w)
   }
 }
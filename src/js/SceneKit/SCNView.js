@@ -10,6 +10,7 @@ import SCNRenderer from './SCNRenderer'
 //import SCNScene from './SCNScene'
 import SCNRenderingAPI from './SCNRenderingAPI'
 import SCNAntialiasingMode from './SCNAntialiasingMode'
+import SCNConstraint from './SCNConstraint'
 //import SCNNode from './SCNNode'
 //import SCNCamera from './SCNCamera'
 //import SCNMatrix4 from './SCNMatrix4'
@@ -1168,6 +1169,7 @@ export default class SCNView {
     ///////////////////////////
     // evaluates constraints //
     ///////////////////////////
+    this._evaluateConstraints()
 
     if(this._delegate && this._delegate.rendererWillRenderSceneAtTime){
       this._delegate.rendererWillRenderSceneAtTime(this._renderer, this._scene, time)
@@ -1179,6 +1181,7 @@ export default class SCNView {
     this._updateSkinner()
     this._updateMorph()
     this._updateParticles()
+    this._updateAudio()
 
     this._updateSKTransform()
     this._renderer.render()
@@ -1347,6 +1350,13 @@ export default class SCNView {
     this.overlaySKScene._updateWorldTransform()
   }
 
+  _evaluateConstraints() {
+    if(this._scene === null){
+      return
+    }
+    SCNConstraint._evaluateConstraints(this._scene.rootNode, this._renderer)
+  }
+
   _runActions() {
     if(this._scene === null){
       return
@@ -1471,12 +1481,13 @@ export default class SCNView {
     if(this._scene._particleSystems === null){
       return
     }
-    const gravity = this._scene.physicsWorld ? this._scene.physicsWorld.gravity : null
+    const world = this._scene.physicsWorld
+    const gravity = world ? world.gravity : null
     const len = this._scene._particleSystems.length
     for(let i=0; i<len; i++){
       const system = this._scene._particleSystems[i]
       const transform = this._scene._particleSystemsTransform[i]
-      system._updateParticles(transform, gravity, this.currentTime)
+      system._updateParticles(transform, gravity, this.currentTime, world)
     }
     for(const system of this._scene._particleSystems){
       if(system._finished){
@@ -1494,9 +1505,10 @@ export default class SCNView {
     if(obj.particleSystems === null){
       return
     }
-    const gravity = this._scene.physicsWorld ? this._scene.physicsWorld.gravity : null
+    const world = this._scene.physicsWorld
+    const gravity = world ? world.gravity : null
     for(const system of obj.particleSystems){
-      system._updateParticles(obj.presentation.worldTransform, gravity, this.currentTime)
+      system._updateParticles(obj.presentation.worldTransform, gravity, this.currentTime, world)
     }
     for(const system of obj.particleSystems){
       if(system._finished){
@@ -1505,6 +1517,22 @@ export default class SCNView {
     }
   }
 
+  _updateAudio() {
+    if(this._scene === null){
+      return
+    }
+    const environment = this._renderer.audioEnvironmentNode
+    environment._updateListener(this._renderer.audioListener || this._renderer.pointOfView)
+    this._updateAudioForNode(this._scene.rootNode, environment)
+  }
+
+  _updateAudioForNode(node, environment) {
+    node._audioPlayers.forEach((player) => {
+      environment._updatePlayer(player, node)
+    })
+    node.childNodes.forEach((child) => this._updateAudioForNode(child, environment))
+  }
+
 
   // NSView
 
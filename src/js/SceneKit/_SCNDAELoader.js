@@ -0,0 +1,1258 @@
+'use strict'
+
+import CAAnimationGroup from '../QuartzCore/CAAnimationGroup'
+import CAKeyframeAnimation from '../QuartzCore/CAKeyframeAnimation'
+import SCNCamera from './SCNCamera'
+import SCNCameraProjectionDirection from './SCNCameraProjectionDirection'
+import SCNGeometry from './SCNGeometry'
+import SCNGeometryElement from './SCNGeometryElement'
+import SCNGeometryPrimitiveType from './SCNGeometryPrimitiveType'
+import SCNGeometrySource from './SCNGeometrySource'
+import SCNLight from './SCNLight'
+import SCNMaterial from './SCNMaterial'
+import SCNMatrix4 from './SCNMatrix4'
+import SCNMorpher from './SCNMorpher'
+import SCNMorpherCalculationMode from './SCNMorpherCalculationMode'
+import SCNNode from './SCNNode'
+import SCNScene from './SCNScene'
+import SCNSkinner from './SCNSkinner'
+import SCNTransparencyMode from './SCNTransparencyMode'
+import SCNVector3 from './SCNVector3'
+import SKColor from '../SpriteKit/SKColor'
+import _BinaryReader from '../util/_BinaryReader'
+import _XMLParser from '../util/_XMLParser'
+
+const _upAxes = {
+  X_UP: new SCNVector3(1, 0, 0),
+  Y_UP: new SCNVector3(0, 1, 0),
+  Z_UP: new SCNVector3(0, 0, 1)
+}
+
+const _lightingModels = {
+  blinn: SCNMaterial.LightingModel.blinn,
+  constant: SCNMaterial.LightingModel.constant,
+  lambert: SCNMaterial.LightingModel.lambert,
+  phong: SCNMaterial.LightingModel.phong
+}
+
+// common profile parameters which have a color or a texture.
+const _materialProperties = {
+  ambient: 'ambient',
+  diffuse: 'diffuse',
+  emission: 'emission',
+  reflective: 'reflective',
+  specular: 'specular',
+  transparent: 'transparent'
+}
+
+const _lightTypes = {
+  ambient: SCNLight.LightType.ambient,
+  directional: SCNLight.LightType.directional,
+  point: SCNLight.LightType.omni,
+  spot: SCNLight.LightType.spot
+}
+
+const _primitiveNames = ['triangles', 'polylist', 'polygons', 'trifans', 'tristrips', 'lines', 'linestrips']
+
+// index of the component which is addressed by the member selection of an animation target.
+const _members = {
+  X: 0,
+  Y: 1,
+  Z: 2,
+  ANGLE: 3
+}
+
+const _emptyElement = { name: '', attributes: {}, children: [], text: '' }
+
+const _child = (element, name) => element.children.find((e) => e.name === name) || null
+const _children = (element, name) => element.children.filter((e) => e.name === name)
+const _text = (element) => element.text.trim()
+const _numbers = (element) => {
+  const text = _text(element)
+  return text === '' ? [] : text.split(/\s+/).map(Number)
+}
+
+/**
+ * Reads COLLADA (.dae) data.
+ * @access private
+ */
+export default class _SCNDAELoader {
+  /**
+   * @access private
+   * @constructor
+   * @param {Object} root - COLLADA element.
+   * @param {?string} [url = null] -
+   */
+  constructor(root, url = null) {
+    this._root = root
+    this._filePath = url
+
+    // elements which have ids.
+    this._elements = new Map()
+    this._indexElements(root)
+
+    this._meshes = new Map()
+    this._materials = new Map()
+    this._cameras = new Map()
+    this._lights = new Map()
+
+    // nodes and their elements, in the document order.
+    this._nodes = []
+
+    // skins are bound after all the joints are loaded.
+    this._skinBindings = []
+  }
+
+  /**
+   * @access public
+   * @param {Buffer|string} data -
+   * @param {?string} [url = null] -
+   * @param {?Map<string, Object>} [options = null] -
+   * @returns {SCNScene} -
+   */
+  static unarchiveObjectWithData(data, url = null, options = null) {
+    const loader = new _SCNDAELoader(_XMLParser.parse(_SCNDAELoader._textOf(data)), url)
+    return loader._loadScene()
+  }
+
+  /**
+   * Returns the metadata of the scene file.
+   * @access public
+   * @param {Buffer|string} data -
+   * @returns {Object} -
+   */
+  static assetWithData(data) {
+    const asset = _child(_XMLParser.parse(_SCNDAELoader._textOf(data)), 'asset')
+    const properties = {}
+    if(asset === null){
+      return properties
+    }
+    const contributors = _children(asset, 'contributor').map((contributor) => {
+      const info = {}
+      for(const child of contributor.children){
+        info[child.name] = _text(child)
+      }
+      return info
+    })
+    if(contributors.length > 0){
+      properties.contributors = contributors
+      for(const key of ['author', 'authoring_tool']){
+        const contributor = contributors.find((c) => typeof c[key] === 'string')
+        if(contributor){
+          properties[key] = contributor[key]
+        }
+      }
+    }
+    for(const key of ['created', 'modified']){
+      const date = _child(asset, key)
+      if(date !== null){
+        properties[key] = new Date(_text(date))
+      }
+    }
+    const unit = _child(asset, 'unit')
+    if(unit !== null){
+      properties.unit = {
+        name: unit.attributes.name || 'meter',
+        meter: parseFloat(unit.attributes.meter || '1.0')
+      }
+    }
+    const upAxis = _child(asset, 'up_axis')
+    if(upAxis !== null && _upAxes[_text(upAxis)]){
+      properties.up_axis = _upAxes[_text(upAxis)]
+    }
+    return properties
+  }
+
+  /**
+   * @access public
+   * @param {Buffer|string|ArrayBuffer} data -
+   * @returns {boolean} - true if the data is a COLLADA document.
+   */
+  static isDAEData(data) {
+    if(!data){
+      return false
+    }
+    let head = null
+    if(typeof data === 'string'){
+      head = data.substring(0, 1024)
+    }else{
+      head = new _BinaryReader(data).buffer.toString('utf8', 0, 1024)
+    }
+    return /<COLLADA[\s>]/.test(head)
+  }
+
+  /**
+   * @access private
+   * @param {Buffer|string|ArrayBuffer} data -
+   * @returns {string} -
+   */
+  static _textOf(data) {
+    if(typeof data === 'string'){
+      return data
+    }
+    return new _BinaryReader(data).buffer.toString('utf8')
+  }
+
+  get _directoryPath() {
+    if(this._filePath === null){
+      return ''
+    }
+    const paths = this._filePath.split('/')
+    paths.pop()
+    if(paths.length === 0){
+      return ''
+    }
+    return paths.join('/') + '/'
+  }
+
+  /**
+   * @access private
+   * @param {Object} element -
+   * @returns {void}
+   */
+  _indexElements(element) {
+    if(typeof element.attributes.id === 'string'){
+      this._elements.set(element.attributes.id, element)
+    }
+    for(const child of element.children){
+      this._indexElements(child)
+    }
+  }
+
+  /**
+   * @access private
+   * @param {?string} url - '#id'
+   * @returns {?Object} -
+   */
+  _elementOf(url) {
+    if(typeof url !== 'string'){
+      return null
+    }
+    return this._elements.get(url.replace(/^#/, '')) || null
+  }
+
+  /**
+   * @access private
+   * @returns {SCNScene} -
+   */
+  _loadScene() {
+    if(this._root.name !== 'COLLADA'){
+      throw new Error(`not a COLLADA document: ${this._root.name}`)
+    }
+    const instance = _child(_child(this._root, 'scene') || _emptyElement, 'instance_visual_scene')
+    let visualScene = instance ? this._elementOf(instance.attributes.url) : null
+    if(visualScene === null){
+      visualScene = _child(_child(this._root, 'library_visual_scenes') || _emptyElement, 'visual_scene')
+    }
+
+    const scene = new SCNScene()
+    for(const element of _children(visualScene || _emptyElement, 'node')){
+      scene.rootNode.addChildNode(this._loadNode(element))
+    }
+    for(const bind of this._skinBindings){
+      bind()
+    }
+    this._loadAnimations()
+    return scene
+  }
+
+  /**
+   * @access private
+   * @param {Object} element -
+   * @returns {SCNNode} -
+   */
+  _loadNode(element) {
+    const node = new SCNNode()
+    node.name = element.attributes.name || element.attributes.id || null
+    node.transform = _SCNDAELoader._composeTransform(_SCNDAELoader._transformElementsOf(element))
+    this._nodes.push({ element: element, node: node })
+
+    for(const child of element.children){
+      switch(child.name){
+        case 'node':
+          node.addChildNode(this._loadNode(child))
+          break
+        case 'instance_node': {
+          const ref = this._elementOf(child.attributes.url)
+          if(ref !== null){
+            node.addChildNode(this._loadNode(ref))
+          }
+          break
+        }
+        default:
+          this._loadInstance(node, child)
+      }
+    }
+    return node
+  }
+
+  /**
+   * @access private
+   * @param {SCNNode} node -
+   * @param {Object} instance - instance_geometry, instance_controller, instance_camera or instance_light.
+   * @returns {void}
+   */
+  _loadInstance(node, instance) {
+    const element = this._elementOf(instance.attributes.url)
+    if(element === null){
+      return
+    }
+    switch(instance.name){
+      case 'instance_geometry': {
+        const geometry = this._createGeometry(element, instance)
+        if(geometry !== null){
+          _SCNDAELoader._contentNode(node, 'geometry').geometry = geometry
+        }
+        break
+      }
+      case 'instance_controller':
+        this._loadController(_SCNDAELoader._contentNode(node, 'geometry'), element, instance)
+        break
+      case 'instance_camera':
+        _SCNDAELoader._contentNode(node, 'camera').camera = this._loadCamera(element)
+        break
+      case 'instance_light':
+        _SCNDAELoader._contentNode(node, 'light').light = this._loadLight(element)
+        break
+      default:
+        // transforms and extra
+        break
+    }
+  }
+
+  /**
+   * A node can have only one content of each kind. The other contents are attached to child nodes.
+   * @access private
+   * @param {SCNNode} node -
+   * @param {string} key -
+   * @returns {SCNNode} -
+   */
+  static _contentNode(node, key) {
+    if(node[key] === null || typeof node[key] === 'undefined'){
+      return node
+    }
+    const child = new SCNNode()
+    node.addChildNode(child)
+    return child
+  }
+
+  /**
+   * @access private
+   * @param {Object} element - node element.
+   * @returns {Object[]} - transform elements with their values.
+   */
+  static _transformElementsOf(element) {
+    return element.children
+      .filter((child) => ['matrix', 'translate', 'rotate', 'scale', 'lookat'].indexOf(child.name) >= 0)
+      .map((child) => ({ name: child.name, sid: child.attributes.sid || null, values: _numbers(child) }))
+  }
+
+  /**
+   * @access private
+   * @param {Object[]} transforms - transform elements.
+   * @returns {SCNMatrix4} -
+   */
+  static _composeTransform(transforms) {
+    // COLLADA uses column vectors: the last transform is applied first.
+    let transform = SCNMatrix4._identity()
+    for(const t of transforms){
+      transform = _SCNDAELoader._matrixOf(t.name, t.values).mult(transform)
+    }
+    return transform
+  }
+
+  /**
+   * @access private
+   * @param {string} name -
+   * @param {number[]} v -
+   * @returns {SCNMatrix4} -
+   */
+  static _matrixOf(name, v) {
+    switch(name){
+      case 'matrix':
+        return new SCNMatrix4(...v).transpose()
+      case 'translate':
+        return SCNMatrix4.matrixWithTranslation(v[0], v[1], v[2])
+      case 'rotate':
+        return SCNMatrix4.matrixWithRotation(v[0], v[1], v[2], v[3] * Math.PI / 180.0)
+      case 'scale':
+        return SCNMatrix4.matrixWithScale(v[0], v[1], v[2])
+      default: {
+        // lookat: eye, interest and up.
+        const eye = new SCNVector3(v[0], v[1], v[2])
+        const z = eye.sub(new SCNVector3(v[3], v[4], v[5])).normalize()
+        const x = new SCNVector3(v[6], v[7], v[8]).cross(z).normalize()
+        const y = z.cross(x)
+        const m = SCNMatrix4._identity()
+        m.m11 = x.x
+        m.m12 = x.y
+        m.m13 = x.z
+        m.m21 = y.x
+        m.m22 = y.y
+        m.m23 = y.z
+        m.m31 = z.x
+        m.m32 = z.y
+        m.m33 = z.z
+        m.m41 = eye.x
+        m.m42 = eye.y
+        m.m43 = eye.z
+        return m
+      }
+    }
+  }
+
+  /**
+   * @access private
+   * @param {Object} element - source element.
+   * @returns {Object} - values and stride.
+   */
+  static _loadSource(element) {
+    const array = element.children.find((child) => /_array$/.test(child.name)) || _emptyElement
+    const accessor = _child(_child(element, 'technique_common') || _emptyElement, 'accessor')
+    const stride = accessor ? parseInt(accessor.attributes.stride || '1', 10) : 1
+    const offset = accessor ? parseInt(accessor.attributes.offset || '0', 10) : 0
+    let values = null
+    if(array.name === 'Name_array' || array.name === 'IDREF_array'){
+      values = _text(array).split(/\s+/)
+    }else{
+      values = _numbers(array)
+    }
+    return { values: values, stride: stride, offset: offset }
+  }
+
+  /**
+   * @access private
+   * @param {Object} source -
+   * @param {number} index -
+   * @returns {Array} -
+   */
+  static _vectorAt(source, index) {
+    const start = source.offset + index * source.stride
+    return source.values.slice(start, start + source.stride)
+  }
+
+  /**
+   * Reads the mesh of the geometry. Each combination of the indices of the inputs becomes a vertex.
+   * @access private
+   * @param {Object} element - geometry element.
+   * @returns {?Object} - null if the geometry is not a mesh.
+   */
+  _loadMesh(element) {
+    if(this._meshes.has(element)){
+      return this._meshes.get(element)
+    }
+    const mesh = _child(element, 'mesh') || _child(element, 'convex_mesh')
+    if(mesh === null){
+      // splines and brep are not supported.
+      this._meshes.set(element, null)
+      return null
+    }
+    const sources = new Map()
+    for(const source of _children(mesh, 'source')){
+      sources.set(source.attributes.id, _SCNDAELoader._loadSource(source))
+    }
+    const vertexInputs = _children(_child(mesh, 'vertices') || _emptyElement, 'input')
+
+    const vertexIndices = new Map()
+    const corners = []
+    const indexOf = (corner) => {
+      if(!vertexIndices.has(corner.key)){
+        vertexIndices.set(corner.key, corners.length)
+        corners.push(corner)
+      }
+      return vertexIndices.get(corner.key)
+    }
+
+    const primitives = mesh.children
+      .filter((child) => _primitiveNames.indexOf(child.name) >= 0)
+      .map((primitive) => {
+        const inputs = this._primitiveInputs(primitive, vertexInputs, sources)
+        const stride = Math.max(...inputs.map((input) => input.offset)) + 1
+        const polygons = _SCNDAELoader._polygonsOf(primitive, stride).map((polygon) => {
+          return polygon.map((i) => indexOf(_SCNDAELoader._cornerOf(polygon.indices, i, stride, inputs)))
+        })
+        return { primitive: primitive, polygons: polygons }
+      })
+
+    const data = {
+      name: element.attributes.name || element.attributes.id || null,
+      sources: _SCNDAELoader._createSources(corners),
+      elements: primitives.map((p) => ({
+        material: p.primitive.attributes.material || null,
+        element: _SCNDAELoader._createElement(p.primitive.name, p.polygons)
+      })),
+      // indices of the POSITION source for each vertex, used by skins and morph targets.
+      positionIndices: corners.map((corner) => corner.position),
+      positions: corners.length > 0 ? corners[0].positionSource : null
+    }
+    this._meshes.set(element, data)
+    return data
+  }
+
+  /**
+   * @access private
+   * @param {Object} primitive -
+   * @param {Object[]} vertexInputs - inputs of the vertices element.
+   * @param {Map<string, Object>} sources -
+   * @returns {Object[]} -
+   */
+  _primitiveInputs(primitive, vertexInputs, sources) {
+    const inputs = []
+    for(const input of _children(primitive, 'input')){
+      const offset = parseInt(input.attributes.offset || '0', 10)
+      const set = parseInt(input.attributes.set || '0', 10)
+      const expanded = input.attributes.semantic === 'VERTEX' ? vertexInputs : [input]
+      for(const e of expanded){
+        const id = e.attributes.source.replace(/^#/, '')
+        inputs.push({
+          semantic: e.attributes.semantic,
+          set: e === input ? set : 0,
+          offset: offset,
+          source: sources.get(id) || _SCNDAELoader._loadSource(this._elements.get(id))
+        })
+      }
+    }
+    return inputs
+  }
+
+  /**
+   * Returns the index lists of the polygons, lines or strips of the primitive.
+   * @access private
+   * @param {Object} primitive -
+   * @param {number} stride - the number of indices for each vertex.
+   * @returns {Array<number[]>} - indices of the corners in each index list. Each list has the index list itself as `indices`.
+   */
+  static _polygonsOf(primitive, stride) {
+    const lists = []
+    const range = (indices, start, count) => {
+      const list = []
+      for(let i=0; i<count; i++){
+        list.push(start + i)
+      }
+      list.indices = indices
+      return list
+    }
+    const ps = _children(primitive, 'p').map(_numbers)
+    if(primitive.name === 'polylist'){
+      const indices = ps[0] || []
+      let start = 0
+      for(const count of _numbers(_child(primitive, 'vcount') || _emptyElement)){
+        lists.push(range(indices, start, count))
+        start += count
+      }
+    }else if(primitive.name === 'triangles' || primitive.name === 'lines'){
+      const indices = ps[0] || []
+      lists.push(range(indices, 0, indices.length / stride))
+    }else{
+      // polygons, trifans, tristrips and linestrips have a p element for each list.
+      // holes of polygons (ph) are not supported.
+      for(const indices of ps){
+        lists.push(range(indices, 0, indices.length / stride))
+      }
+    }
+    return lists
+  }
+
+  /**
+   * @access private
+   * @param {number[]} indices -
+   * @param {number} index - index of the corner in the list.
+   * @param {number} stride -
+   * @param {Object[]} inputs -
+   * @returns {Object} -
+   */
+  static _cornerOf(indices, index, stride, inputs) {
+    const corner = { key: '', values: new Map(), position: 0, positionSource: null }
+    const keys = []
+    for(const input of inputs){
+      const i = indices[index * stride + input.offset]
+      keys.push(i)
+      const attribute = `${input.semantic}${input.set}`
+      if(!corner.values.has(attribute)){
+        corner.values.set(attribute, _SCNDAELoader._vectorAt(input.source, i))
+      }
+      if(input.semantic === 'POSITION'){
+        corner.position = i
+        corner.positionSource = input.source
+      }
+    }
+    corner.key = keys.join(',')
+    return corner
+  }
+
+  /**
+   * @access private
+   * @param {Object[]} corners - vertices.
+   * @returns {SCNGeometrySource[]} -
+   */
+  static _createSources(corners) {
+    const attributes = []
+    for(const corner of corners){
+      for(const attribute of corner.values.keys()){
+        if(attributes.indexOf(attribute) < 0){
+          attributes.push(attribute)
+        }
+      }
+    }
+    attributes.sort()
+
+    const sources = []
+    const count = corners.length
+    for(const attribute of attributes){
+      const semantic = attribute.replace(/[0-9]+$/, '')
+      const source = (components, convert, semanticName) => {
+        const data = []
+        for(const corner of corners){
+          data.push(...convert(corner.values.get(attribute) || []))
+        }
+        sources.push(new SCNGeometrySource(data, semanticName, count, true, components, 4, 0, components * 4))
+      }
+      switch(semantic){
+        case 'POSITION':
+          source(3, (v) => [v[0] || 0, v[1] || 0, v[2] || 0], SCNGeometrySource.Semantic.vertex)
+          break
+        case 'NORMAL':
+          source(3, (v) => [v[0] || 0, v[1] || 0, v[2] || 0], SCNGeometrySource.Semantic.normal)
+          break
+        case 'TEXCOORD':
+          // the origin of COLLADA texture coordinates is at the bottom left.
+          source(2, (v) => [v[0] || 0, 1.0 - (v[1] || 0)], SCNGeometrySource.Semantic.texcoord)
+          break
+        case 'COLOR':
+          source(4, (v) => [v[0] || 0, v[1] || 0, v[2] || 0, v.length > 3 ? v[3] : 1.0], SCNGeometrySource.Semantic.color)
+          break
+        default:
+          // tangents and binormals are calculated by the renderer.
+          break
+      }
+    }
+    // the vertex source comes first.
+    const vertex = sources.findIndex((s) => s.semantic === SCNGeometrySource.Semantic.vertex)
+    if(vertex > 0){
+      sources.unshift(sources.splice(vertex, 1)[0])
+    }
+    return sources
+  }
+
+  /**
+   * @access private
+   * @param {string} name - name of the primitive element.
+   * @param {Array<number[]>} lists - vertex indices of each polygon, line or strip.
+   * @returns {SCNGeometryElement} -
+   */
+  static _createElement(name, lists) {
+    const indices = []
+    if(name === 'lines' || name === 'linestrips'){
+      for(const list of lists){
+        const step = name === 'lines' ? 2 : 1
+        for(let i=0; i+1<list.length; i+=step){
+          indices.push(list[i], list[i + 1])
+        }
+      }
+      return new SCNGeometryElement(indices, SCNGeometryPrimitiveType.line, indices.length / 2, 4)
+    }
+    for(const list of lists){
+      for(let i=1; i+1<list.length; i++){
+        if(name === 'tristrips'){
+          // keep the winding of the odd triangles.
+          const odd = (i - 1) % 2 === 1
+          indices.push(list[i - 1], odd ? list[i + 1] : list[i], odd ? list[i] : list[i + 1])
+        }else{
+          // triangles, polygons and fans are triangulated as fans.
+          if(name === 'triangles' && i % 3 !== 1){
+            continue
+          }
+          const first = name === 'triangles' ? i - 1 : 0
+          indices.push(list[first], list[i], list[i + 1])
+        }
+      }
+    }
+    return new SCNGeometryElement(indices, SCNGeometryPrimitiveType.triangles, indices.length / 3, 4)
+  }
+
+  /**
+   * Creates a geometry with the materials bound by the instance.
+   * @access private
+   * @param {Object} element - geometry element.
+   * @param {Object} instance - instance_geometry or instance_controller element.
+   * @returns {?SCNGeometry} -
+   */
+  _createGeometry(element, instance) {
+    const mesh = this._loadMesh(element)
+    if(mesh === null){
+      return null
+    }
+    const bindings = new Map()
+    const bindMaterial = _child(instance, 'bind_material') || _emptyElement
+    for(const material of _children(_child(bindMaterial, 'technique_common') || _emptyElement, 'instance_material')){
+      bindings.set(material.attributes.symbol, material.attributes.target)
+    }
+
+    const geometry = new SCNGeometry(mesh.sources, mesh.elements.map((e) => e.element))
+    geometry.name = mesh.name
+    geometry.materials = mesh.elements.map((e) => {
+      const target = bindings.get(e.material) || e.material
+      return this._loadMaterial(target)
+    })
+    return geometry
+  }
+
+  /**
+   * @access private
+   * @param {?string} url -
+   * @returns {SCNMaterial} -
+   */
+  _loadMaterial(url) {
+    const key = url || ''
+    if(this._materials.has(key)){
+      return this._materials.get(key)
+    }
+    const material = new SCNMaterial()
+    this._materials.set(key, material)
+
+    const element = this._elementOf(url)
+    if(element === null){
+      if(url){
+        material.name = url.replace(/^#/, '')
+      }
+      return material
+    }
+    material.name = element.attributes.name || element.attributes.id || null
+
+    const effect = this._elementOf((_child(element, 'instance_effect') || _emptyElement).attributes.url)
+    const profile = _child(effect || _emptyElement, 'profile_COMMON')
+    const technique = _child(profile || _emptyElement, 'technique')
+    const shading = (technique || _emptyElement).children.find((child) => _lightingModels[child.name])
+    if(typeof shading === 'undefined'){
+      return material
+    }
+    material.lightingModel = _lightingModels[shading.name]
+    for(const param of shading.children){
+      if(_materialProperties[param.name]){
+        this._loadMaterialProperty(material[_materialProperties[param.name]], param, profile)
+      }
+    }
+    const shininess = _child(shading, 'shininess')
+    if(shininess !== null){
+      material.shininess = _numbers(_child(shininess, 'float') || _emptyElement)[0]
+    }
+    const transparent = _child(shading, 'transparent')
+    const transparency = _child(shading, 'transparency')
+    if(transparent !== null){
+      // exporters write the transparency without the transparent color even if the material is opaque.
+      if(transparency !== null){
+        material.transparency = _numbers(_child(transparency, 'float') || _emptyElement)[0]
+      }
+      if(transparent.attributes.opaque === 'RGB_ZERO'){
+        material.transparencyMode = SCNTransparencyMode.rgbZero
+      }
+    }
+    return material
+  }
+
+  /**
+   * @access private
+   * @param {SCNMaterialProperty} property -
+   * @param {Object} element - color or texture parameter.
+   * @param {Object} profile - profile_COMMON element.
+   * @returns {void}
+   */
+  _loadMaterialProperty(property, element, profile) {
+    const color = _child(element, 'color')
+    if(color !== null){
+      const v = _numbers(color)
+      property.contents = new SKColor(v[0], v[1], v[2], v.length > 3 ? v[3] : 1.0)
+    }
+    const texture = _child(element, 'texture')
+    if(texture !== null){
+      const path = this._imagePathOf(texture.attributes.texture, profile)
+      if(path !== null){
+        property._loadContentsImage(path, this._directoryPath)
+      }
+    }
+  }
+
+  /**
+   * Resolves the sampler of the effect to the path of the image.
+   * @access private
+   * @param {string} sid - sid of the sampler2D parameter, or id of the image.
+   * @param {Object} profile -
+   * @returns {?string} -
+   */
+  _imagePathOf(sid, profile) {
+    const params = new Map()
+    const collect = (element) => {
+      for(const param of _children(element, 'newparam')){
+        params.set(param.attributes.sid, param)
+      }
+    }
+    collect(profile)
+    collect(_child(profile, 'technique') || _emptyElement)
+
+    let imageId = sid
+    const sampler = params.has(sid) ? _child(params.get(sid), 'sampler2D') : null
+    if(sampler !== null){
+      const instanceImage = _child(sampler, 'instance_image')
+      const source = _child(sampler, 'source')
+      if(instanceImage !== null){
+        // COLLADA 1.5
+        imageId = instanceImage.attributes.url.replace(/^#/, '')
+      }else if(source !== null && params.has(_text(source))){
+        const surface = _child(params.get(_text(source)), 'surface') || _emptyElement
+        imageId = _text(_child(surface, 'init_from') || _emptyElement)
+      }
+    }
+    const image = this._elements.get(imageId)
+    if(typeof image === 'undefined'){
+      return null
+    }
+    const initFrom = _child(image, 'init_from')
+    if(initFrom === null){
+      return null
+    }
+    const ref = _child(initFrom, 'ref')
+    return decodeURI(_text(ref || initFrom))
+  }
+
+  /**
+   * @access private
+   * @param {Object} element - camera element.
+   * @returns {SCNCamera} -
+   */
+  _loadCamera(element) {
+    if(this._cameras.has(element)){
+      return this._cameras.get(element)
+    }
+    const camera = new SCNCamera()
+    camera.name = element.attributes.name || element.attributes.id || null
+    const technique = _child(_child(element, 'optics') || _emptyElement, 'technique_common') || _emptyElement
+    const projection = technique.children[0] || _emptyElement
+    const value = (name) => {
+      const e = _child(projection, name)
+      return e === null ? null : _numbers(e)[0]
+    }
+    if(projection.name === 'orthographic'){
+      camera.usesOrthographicProjection = true
+      camera.orthographicScale = value('ymag') || value('xmag') || 1.0
+    }else if(value('yfov') !== null){
+      camera.yFov = value('yfov')
+      camera.fieldOfView = camera.yFov
+      camera.projectionDirection = SCNCameraProjectionDirection.vertical
+    }else if(value('xfov') !== null){
+      camera.xFov = value('xfov')
+      camera.fieldOfView = camera.xFov
+      camera.projectionDirection = SCNCameraProjectionDirection.horizontal
+    }
+    if(value('znear') !== null){
+      camera.zNear = value('znear')
+    }
+    if(value('zfar') !== null){
+      camera.zFar = value('zfar')
+    }
+    this._cameras.set(element, camera)
+    return camera
+  }
+
+  /**
+   * @access private
+   * @param {Object} element - light element.
+   * @returns {SCNLight} -
+   */
+  _loadLight(element) {
+    if(this._lights.has(element)){
+      return this._lights.get(element)
+    }
+    const light = new SCNLight()
+    light.name = element.attributes.name || element.attributes.id || null
+    const technique = _child(element, 'technique_common') || _emptyElement
+    const data = technique.children.find((child) => _lightTypes[child.name]) || _emptyElement
+    light.type = _lightTypes[data.name] || SCNLight.LightType.omni
+    const value = (name, defaultValue) => {
+      const e = _child(data, name)
+      return e === null ? defaultValue : _numbers(e)[0]
+    }
+    const color = _child(data, 'color')
+    if(color !== null){
+      const v = _numbers(color)
+      light.color = new SKColor(v[0], v[1], v[2], 1.0)
+    }
+    if(value('quadratic_attenuation', 0) > 0){
+      light.attenuationFalloffExponent = 2
+    }else if(value('linear_attenuation', 0) > 0){
+      light.attenuationFalloffExponent = 1
+    }
+    if(data.name === 'spot'){
+      light.spotOuterAngle = value('falloff_angle', 180.0)
+    }
+    this._lights.set(element, light)
+    return light
+  }
+
+  /**
+   * @access private
+   * @param {SCNNode} node -
+   * @param {Object} controller - controller element.
+   * @param {Object} instance - instance_controller element.
+   * @returns {void}
+   */
+  _loadController(node, controller, instance) {
+    const skin = _child(controller, 'skin')
+    const morph = skin === null ? _child(controller, 'morph') : null
+    let source = this._elementOf((skin || morph || _emptyElement).attributes.source)
+    let morphSource = morph
+    if(source !== null && source.name === 'controller'){
+      // a skin of a morphed geometry.
+      morphSource = _child(source, 'morph')
+      source = this._elementOf((morphSource || _emptyElement).attributes.source)
+    }
+    if(source === null){
+      return
+    }
+    const geometry = this._createGeometry(source, instance)
+    if(geometry === null){
+      return
+    }
+    node.geometry = geometry
+    const mesh = this._loadMesh(source)
+    if(morphSource !== null){
+      node.morpher = this._loadMorpher(morphSource, mesh)
+    }
+    if(skin !== null){
+      const roots = _children(instance, 'skeleton').map((s) => _text(s).replace(/^#/, ''))
+      this._skinBindings.push(() => {
+        node.skinner = this._loadSkinner(skin, geometry, mesh, roots)
+      })
+    }
+  }
+
+  /**
+   * @access private
+   * @param {Object} element -
+   * @returns {Map<string, Object>} - inputs of the element keyed by their semantics.
+   */
+  _inputsOf(element) {
+    const inputs = new Map()
+    for(const input of _children(element, 'input')){
+      inputs.set(input.attributes.semantic, {
+        offset: parseInt(input.attributes.offset || '0', 10),
+        source: _SCNDAELoader._loadSource(this._elementOf(input.attributes.source) || _emptyElement)
+      })
+    }
+    return inputs
+  }
+
+  /**
+   * @access private
+   * @param {Object} skin -
+   * @param {SCNGeometry} geometry -
+   * @param {Object} mesh -
+   * @param {string[]} roots - ids of the skeleton root nodes.
+   * @returns {SCNSkinner} -
+   */
+  _loadSkinner(skin, geometry, mesh, roots) {
+    const joints = this._inputsOf(_child(skin, 'joints') || _emptyElement)
+    const names = joints.get('JOINT').source.values
+    const bones = names.map((name) => this._findJoint(name, roots))
+    const inverseBindMatrices = joints.get('INV_BIND_MATRIX')
+    const inverseBindTransforms = names.map((name, i) => {
+      if(typeof inverseBindMatrices === 'undefined'){
+        return SCNMatrix4._identity()
+      }
+      return new SCNMatrix4(..._SCNDAELoader._vectorAt(inverseBindMatrices.source, i)).transpose()
+    })
+
+    const influences = _SCNDAELoader._influencesOf(_child(skin, 'vertex_weights') || _emptyElement, this._inputsOf(_child(skin, 'vertex_weights') || _emptyElement))
+    const indexData = []
+    const weightData = []
+    for(const position of mesh.positionIndices){
+      const influence = influences[position] || []
+      for(let i=0; i<4; i++){
+        indexData.push(i < influence.length ? influence[i].joint : 0)
+        weightData.push(i < influence.length ? influence[i].weight : 0)
+      }
+    }
+    const count = mesh.positionIndices.length
+    const boneIndices = new SCNGeometrySource(indexData, SCNGeometrySource.Semantic.boneIndices, count, true, 4, 4, 0, 16)
+    const boneWeights = new SCNGeometrySource(weightData, SCNGeometrySource.Semantic.boneWeights, count, true, 4, 4, 0, 16)
+
+    const skinner = new SCNSkinner(geometry, bones, inverseBindTransforms, boneWeights, boneIndices)
+    const bindShape = _child(skin, 'bind_shape_matrix')
+    if(bindShape !== null){
+      skinner.baseGeometryBindTransform = new SCNMatrix4(..._numbers(bindShape)).transpose()
+    }
+    if(roots.length > 0){
+      const root = this._nodes.find((n) => n.element.attributes.id === roots[0])
+      skinner.skeleton = root ? root.node : null
+    }
+    return skinner
+  }
+
+  /**
+   * Returns the joints which influence each position. Each position has at most 4 joints.
+   * @access private
+   * @param {Object} element - vertex_weights element.
+   * @param {Map<string, Object>} inputs -
+   * @returns {Array<Object[]>} -
+   */
+  static _influencesOf(element, inputs) {
+    const joint = inputs.get('JOINT')
+    const weight = inputs.get('WEIGHT')
+    const stride = Math.max(...Array.from(inputs.values()).map((input) => input.offset)) + 1
+    const v = _numbers(_child(element, 'v') || _emptyElement)
+    let k = 0
+    return _numbers(_child(element, 'vcount') || _emptyElement).map((count) => {
+      const list = []
+      for(let i=0; i<count; i++, k++){
+        const jointIndex = v[k * stride + joint.offset]
+        const w = weight.source.values[v[k * stride + weight.offset]]
+        if(jointIndex >= 0 && w > 0){
+          // -1 means the bind shape.
+          list.push({ joint: jointIndex, weight: w })
+        }
+      }
+      list.sort((a, b) => b.weight - a.weight)
+      const influence = list.slice(0, 4)
+      const sum = influence.reduce((s, e) => s + e.weight, 0)
+      if(sum > 0){
+        influence.forEach((e) => { e.weight /= sum })
+      }
+      return influence
+    })
+  }
+
+  /**
+   * @access private
+   * @param {string} name - sid, id or name of the joint.
+   * @param {string[]} roots - ids of the skeleton root nodes.
+   * @returns {SCNNode} -
+   */
+  _findJoint(name, roots) {
+    const rootNodes = this._nodes.filter((n) => roots.indexOf(n.element.attributes.id) >= 0).map((n) => n.node)
+    const inRoots = (node) => {
+      if(rootNodes.length === 0){
+        return true
+      }
+      for(let n = node; n !== null; n = n.parent){
+        if(rootNodes.indexOf(n) >= 0){
+          return true
+        }
+      }
+      return false
+    }
+    for(const key of ['sid', 'id', 'name']){
+      const found = this._nodes.find((n) => n.element.attributes[key] === name && inRoots(n.node))
+      if(found){
+        return found.node
+      }
+    }
+    throw new Error(`COLLADA joint ${name} is not found`)
+  }
+
+  /**
+   * Creates the morph targets. Both NORMALIZED and RELATIVE targets are converted into the displacements from the base geometry.
+   * @access private
+   * @param {Object} morph -
+   * @param {Object} mesh - the base mesh.
+   * @returns {SCNMorpher} -
+   */
+  _loadMorpher(morph, mesh) {
+    const inputs = this._inputsOf(_child(morph, 'targets') || _emptyElement)
+    const ids = inputs.has('MORPH_TARGET') ? inputs.get('MORPH_TARGET').source.values : []
+    const weights = inputs.has('MORPH_WEIGHT') ? inputs.get('MORPH_WEIGHT').source.values : []
+    const base = mesh.positions
+    const morpher = new SCNMorpher()
+    morpher.calculationMode = SCNMorpherCalculationMode.additive
+    morpher.targets = ids.map((id) => {
+      const element = this._elements.get(id)
+      const target = this._loadMesh(element)
+      const data = []
+      for(const position of mesh.positionIndices){
+        const p = _SCNDAELoader._vectorAt(target.positions, position)
+        const q = _SCNDAELoader._vectorAt(base, position)
+        data.push(p[0] - q[0], p[1] - q[1], p[2] - q[2])
+      }
+      const source = new SCNGeometrySource(data, SCNGeometrySource.Semantic.vertex, mesh.positionIndices.length, true, 3, 4, 0, 12)
+      const geometry = new SCNGeometry([source], [])
+      geometry.name = element.attributes.name || id
+      return geometry
+    })
+    weights.forEach((weight, i) => morpher.setWeightForTargetAt(weight, i))
+    return morpher
+  }
+
+  /**
+   * Adds the sampled animations to the nodes.
+   * @access private
+   * @returns {void}
+   */
+  _loadAnimations() {
+    const library = _child(this._root, 'library_animations')
+    if(library === null){
+      return
+    }
+    const animations = _children(library, 'animation')
+    const clips = _children(_child(this._root, 'library_animation_clips') || _emptyElement, 'animation_clip')
+    let groups = clips.map((clip) => ({
+      key: clip.attributes.name || clip.attributes.id,
+      animations: _children(clip, 'instance_animation').map((i) => this._elementOf(i.attributes.url)).filter((a) => a !== null)
+    }))
+    if(groups.length === 0){
+      const first = animations[0]
+      const key = animations.length === 1 ? first.attributes.name || first.attributes.id : null
+      groups = [{ key: key || 'animation', animations: animations }]
+    }
+    for(const group of groups){
+      this._loadAnimationGroup(group.key, group.animations)
+    }
+  }
+
+  /**
+   * @access private
+   * @param {string} key -
+   * @param {Object[]} animations - animation elements.
+   * @returns {void}
+   */
+  _loadAnimationGroup(key, animations) {
+    const channelsOfNode = new Map()
+    const collect = (animation) => {
+      for(const channel of _children(animation, 'channel')){
+        const [id, ...path] = channel.attributes.target.split('/')
+        const entry = this._nodes.find((n) => n.element.attributes.id === id)
+        if(typeof entry === 'undefined' || path.length === 0){
+          continue
+        }
+        const sampler = this._inputsOf(this._elementOf(channel.attributes.source) || _emptyElement)
+        if(!sampler.has('INPUT') || !sampler.has('OUTPUT')){
+          continue
+        }
+        if(!channelsOfNode.has(entry)){
+          channelsOfNode.set(entry, [])
+        }
+        channelsOfNode.get(entry).push({ target: path[path.length - 1], sampler: sampler })
+      }
+      _children(animation, 'animation').forEach(collect)
+    }
+    animations.forEach(collect)
+
+    let duration = 0
+    for(const channels of channelsOfNode.values()){
+      for(const channel of channels){
+        duration = Math.max(duration, ...channel.sampler.get('INPUT').source.values)
+      }
+    }
+    for(const [entry, channels] of channelsOfNode){
+      const group = new CAAnimationGroup()
+      group.animations = _SCNDAELoader._createTransformAnimations(entry.element, channels, duration)
+      group.duration = duration
+      group.repeatCount = Infinity
+      entry.node.addAnimationForKey(group, key)
+    }
+  }
+
+  /**
+   * Samples the transform of the node at every key time and creates keyframe animations for position, orientation and scale.
+   * @access private
+   * @param {Object} element - node element.
+   * @param {Object[]} channels -
+   * @param {number} duration -
+   * @returns {CAKeyframeAnimation[]} -
+   */
+  static _createTransformAnimations(element, channels, duration) {
+    const times = []
+    for(const channel of channels){
+      for(const t of channel.sampler.get('INPUT').source.values){
+        if(times.indexOf(t) < 0){
+          times.push(t)
+        }
+      }
+    }
+    times.sort((a, b) => a - b)
+
+    const transforms = times.map((time) => {
+      const elements = _SCNDAELoader._transformElementsOf(element)
+      for(const channel of channels){
+        const [sid, member] = channel.target.split(/[.(]/, 2)
+        const target = elements.find((e) => e.sid === sid)
+        if(typeof target === 'undefined'){
+          continue
+        }
+        const value = _SCNDAELoader._sampleAt(channel.sampler, time)
+        if(typeof member === 'undefined'){
+          target.values = value
+        }else{
+          const index = _SCNDAELoader._memberIndex(channel.target.substring(sid.length))
+          if(index !== null){
+            target.values[index] = value[0]
+          }
+        }
+      }
+      return _SCNDAELoader._composeTransform(elements)
+    })
+
+    const keyTimes = times.map((t) => duration > 0 ? t / duration : 0)
+    const create = (keyPath, values) => {
+      const animation = new CAKeyframeAnimation(keyPath)
+      animation.values = values
+      animation.keyTimes = keyTimes
+      animation.duration = duration
+      return animation
+    }
+    return [
+      create('position', transforms.map((m) => m.getTranslation())),
+      create('orientation', transforms.map((m) => m.getOrientation())),
+      create('scale', transforms.map((m) => m.getScale()))
+    ]
+  }
+
+  /**
+   * @access private
+   * @param {string} selector - e.g. '.X', '.ANGLE', '(3)' or '(0)(3)'.
+   * @returns {?number} -
+   */
+  static _memberIndex(selector) {
+    if(selector[0] === '.'){
+      const index = _members[selector.substring(1)]
+      return typeof index === 'undefined' ? null : index
+    }
+    const indices = (selector.match(/\((\d+)\)/g) || []).map((s) => parseInt(s.slice(1, -1), 10))
+    if(indices.length === 1){
+      return indices[0]
+    }
+    if(indices.length === 2){
+      // (row)(column) of the matrix.
+      return indices[0] * 4 + indices[1]
+    }
+    return null
+  }
+
+  /**
+   * @access private
+   * @param {Map<string, Object>} sampler -
+   * @param {number} time -
+   * @returns {number[]} -
+   */
+  static _sampleAt(sampler, time) {
+    const input = sampler.get('INPUT').source.values
+    const output = sampler.get('OUTPUT').source
+    const interpolation = sampler.has('INTERPOLATION') ? sampler.get('INTERPOLATION').source.values : []
+    const last = input.length - 1
+    if(time <= input[0]){
+      return _SCNDAELoader._vectorAt(output, 0)
+    }
+    if(time >= input[last]){
+      return _SCNDAELoader._vectorAt(output, last)
+    }
+    let i = 0
+    while(i < last - 1 && input[i + 1] <= time){
+      i += 1
+    }
+    const v0 = _SCNDAELoader._vectorAt(output, i)
+    if(interpolation[i] === 'STEP'){
+      return v0
+    }
+    // BEZIER and HERMITE tangents are not used: the keys are expected to be sampled densely.
+    const v1 = _SCNDAELoader._vectorAt(output, i + 1)
+    const rate = (time - input[i]) / (input[i + 1] - input[i])
+    return v0.map((v, j) => v + (v1[j] - v) * rate)
+  }
+}
@@ -0,0 +1,841 @@
+'use strict'
+
+import SCNGeometryPrimitiveType from './SCNGeometryPrimitiveType'
+import SCNGeometrySource from './SCNGeometrySource'
+import SCNVector3 from './SCNVector3'
+
+/**
+ * triangle tables of mesh emitter shapes, keyed by the vertex sources.
+ * @access private
+ * @type {WeakMap<SCNGeometrySource, Object>}
+ */
+const _meshTables = new WeakMap()
+
+/**
+ * the maximum number of tries to find a point in a mesh.
+ * @access private
+ * @type {number}
+ */
+const _maxMeshVolumeTries = 64
+
+/**
+ * @access private
+ * @param {number[]} weights -
+ * @returns {number} - an index chosen with the probability proportional to its weight.
+ */
+const _pickIndex = (weights) => {
+  const total = weights.reduce((sum, w) => sum + w, 0)
+  let r = Math.random() * total
+  let last = 0
+  for(let i=0; i<weights.length; i++){
+    if(weights[i] <= 0){
+      continue
+    }
+    r -= weights[i]
+    if(r < 0){
+      return i
+    }
+    last = i
+  }
+  return last
+}
+
+/**
+ * @access private
+ * @returns {number} - 1 or -1
+ */
+const _randomSign = () => {
+  return Math.random() < 0.5 ? -1 : 1
+}
+
+/**
+ * @access private
+ * @returns {SCNVector3} - a unit vector distributed uniformly on the sphere.
+ */
+const _randomUnitVector = () => {
+  const y = Math.random() * 2.0 - 1.0
+  const r = Math.sqrt(1.0 - y * y)
+  const t = Math.random() * Math.PI * 2.0
+  return new SCNVector3(r * Math.cos(t), y, r * Math.sin(t))
+}
+
+/**
+ * @access private
+ * @param {SCNVector3} v -
+ * @returns {SCNVector3} - the normalized vector, or the y axis if the vector is zero.
+ */
+const _normalize = (v) => {
+  if(v.length() === 0){
+    return new SCNVector3(0, 1, 0)
+  }
+  return v.normalize()
+}
+
+/**
+ * @access private
+ * @param {number} x -
+ * @param {number} y -
+ * @param {number} z -
+ * @param {SCNVector3} normal -
+ * @returns {{position: SCNVector3, normal: SCNVector3}} -
+ */
+const _sample = (x, y, z, normal) => {
+  return { position: new SCNVector3(x, y, z), normal: normal }
+}
+
+/**
+ * Samples points of emitter shapes for particle systems. Points on the surfaces and in the volumes are distributed uniformly by area and by volume.
+ * The normal of a point in a volume is the normal of the nearest point on the surface.
+ * @access private
+ */
+export default class _SCNEmitterShapeSampler {
+  /**
+   * @access public
+   * @param {SCNGeometry} geometry -
+   * @returns {{position: SCNVector3, normal: SCNVector3}} - a random point on the surface and its normal, in the geometry's local coordinate space.
+   */
+  static surfacePoint(geometry) {
+    switch(geometry.className){
+      case 'SCNBox':
+        return this._boxSurfacePoint(geometry)
+      case 'SCNSphere': {
+        const n = _randomUnitVector()
+        return { position: n.mul(geometry.radius), normal: n }
+      }
+      case 'SCNCylinder':
+        return this._coneSurfacePoint(geometry.radius, geometry.radius, geometry.height)
+      case 'SCNCone':
+        return this._coneSurfacePoint(geometry.bottomRadius, geometry.topRadius, geometry.height)
+      case 'SCNTube':
+        return this._tubeSurfacePoint(geometry)
+      case 'SCNTorus':
+        return this._torusPoint(geometry, geometry.pipeRadius)
+      case 'SCNCapsule':
+        return this._capsuleSurfacePoint(geometry)
+      case 'SCNPyramid':
+        return this._pyramidSurfacePoint(geometry)
+      case 'SCNPlane':
+        return this._planePoint(geometry)
+      default:
+        return this._meshSurfacePoint(geometry)
+    }
+  }
+
+  /**
+   * @access public
+   * @param {SCNGeometry} geometry -
+   * @returns {{position: SCNVector3, normal: SCNVector3}} - a random point in the volume and the normal of the nearest point on the surface, in the geometry's local coordinate space.
+   */
+  static volumePoint(geometry) {
+    switch(geometry.className){
+      case 'SCNBox':
+        return this._boxVolumePoint(geometry)
+      case 'SCNSphere': {
+        const n = _randomUnitVector()
+        return { position: n.mul(geometry.radius * Math.cbrt(Math.random())), normal: n }
+      }
+      case 'SCNCylinder':
+        return this._coneVolumePoint(geometry.radius, geometry.radius, geometry.height)
+      case 'SCNCone':
+        return this._coneVolumePoint(geometry.bottomRadius, geometry.topRadius, geometry.height)
+      case 'SCNTube':
+        return this._tubeVolumePoint(geometry)
+      case 'SCNTorus':
+        return this._torusPoint(geometry, geometry.pipeRadius * Math.sqrt(Math.random()))
+      case 'SCNCapsule':
+        return this._capsuleVolumePoint(geometry)
+      case 'SCNPyramid':
+        return this._pyramidVolumePoint(geometry)
+      case 'SCNPlane':
+        return this._planePoint(geometry)
+      default:
+        return this._meshVolumePoint(geometry)
+    }
+  }
+
+  /**
+   * @access public
+   * @param {SCNGeometry} geometry -
+   * @returns {{position: SCNVector3, normal: SCNVector3}} - a random vertex and its normal, in the geometry's local coordinate space.
+   */
+  static vertexPoint(geometry) {
+    const table = this._meshTable(geometry)
+    if(table.vertexCount === 0){
+      return _sample(0, 0, 0, new SCNVector3(0, 1, 0))
+    }
+    const index = Math.floor(Math.random() * table.vertexCount)
+    return {
+      position: table.vertexSource._scnVectorAt(index),
+      normal: table.vertexNormals[index]
+    }
+  }
+
+  // Box
+
+  /**
+   * @access private
+   * @param {SCNBox} box -
+   * @returns {{half: number[], inner: number[], radius: number}} - the half size of the box, the half size without the chamfer, and the chamfer radius.
+   */
+  static _boxSize(box) {
+    const half = [box.width * 0.5, box.height * 0.5, box.length * 0.5]
+    const radius = Math.max(0, Math.min(box.chamferRadius, ...half))
+    const inner = half.map((h) => h - radius)
+    return { half, inner, radius }
+  }
+
+  /**
+   * @access private
+   * @param {SCNBox} box -
+   * @returns {{position: SCNVector3, normal: SCNVector3}} -
+   */
+  static _boxSurfacePoint(box) {
+    const { inner, radius } = this._boxSize(box)
+    // 3 pairs of faces, 3 groups of 4 rounded edges, and 8 rounded corners
+    const weights = [
+      8 * inner[1] * inner[2],
+      8 * inner[2] * inner[0],
+      8 * inner[0] * inner[1],
+      4 * Math.PI * radius * inner[0],
+      4 * Math.PI * radius * inner[1],
+      4 * Math.PI * radius * inner[2],
+      4 * Math.PI * radius * radius
+    ]
+    const part = _pickIndex(weights)
+    const center = inner.map((i) => (Math.random() * 2.0 - 1.0) * i)
+    const n = [0, 0, 0]
+    if(part < 3){
+      const s = _randomSign()
+      n[part] = s
+      center[part] = s * inner[part]
+    }else if(part < 6){
+      const axis = part - 3
+      const j = (axis + 1) % 3
+      const k = (axis + 2) % 3
+      const t = Math.random() * Math.PI * 0.5
+      const sj = _randomSign()
+      const sk = _randomSign()
+      n[j] = sj * Math.cos(t)
+      n[k] = sk * Math.sin(t)
+      center[j] = sj * inner[j]
+      center[k] = sk * inner[k]
+    }else{
+      const v = _randomUnitVector()
+      n[0] = v.x
+      n[1] = v.y
+      n[2] = v.z
+      for(let i=0; i<3; i++){
+        center[i] = Math.sign(n[i]) * inner[i]
+      }
+    }
+    return _sample(
+      center[0] + n[0] * radius,
+      center[1] + n[1] * radius,
+      center[2] + n[2] * radius,
+      new SCNVector3(n[0], n[1], n[2])
+    )
+  }
+
+  /**
+   * @access private
+   * @param {SCNBox} box -
+   * @returns {{position: SCNVector3, normal: SCNVector3}} -
+   */
+  static _boxVolumePoint(box) {
+    const { half, inner, radius } = this._boxSize(box)
+    for(;;){
+      const p = half.map((h) => (Math.random() * 2.0 - 1.0) * h)
+      const q = p.map((v, i) => Math.max(-inner[i], Math.min(inner[i], v)))
+      const d = new SCNVector3(p[0] - q[0], p[1] - q[1], p[2] - q[2])
+      const len = d.length()
+      if(len > radius){
+        // outside of a rounded edge or corner
+        continue
+      }
+      let normal = null
+      if(len > 0){
+        normal = d.mul(1.0 / len)
+      }else{
+        // the nearest face
+        let axis = 0
+        for(let i=1; i<3; i++){
+          if(half[i] - Math.abs(p[i]) < half[axis] - Math.abs(p[axis])){
+            axis = i
+          }
+        }
+        const n = [0, 0, 0]
+        n[axis] = p[axis] < 0 ? -1 : 1
+        normal = new SCNVector3(n[0], n[1], n[2])
+      }
+      return _sample(p[0], p[1], p[2], normal)
+    }
+  }
+
+  // Cylinder and Cone
+
+  /**
+   * @access private
+   * @param {number} bottomRadius -
+   * @param {number} topRadius -
+   * @param {number} height -
+   * @returns {{position: SCNVector3, normal: SCNVector3}} -
+   */
+  static _coneSurfacePoint(bottomRadius, topRadius, height) {
+    const r0 = bottomRadius
+    const r1 = topRadius
+    const slant = Math.sqrt((r0 - r1) * (r0 - r1) + height * height)
+    const part = _pickIndex([Math.PI * (r0 + r1) * slant, Math.PI * r0 * r0, Math.PI * r1 * r1])
+    const t = Math.random() * Math.PI * 2.0
+    const cos = Math.cos(t)
+    const sin = Math.sin(t)
+    if(part === 0){
+      // the density is proportional to the radius
+      const u = Math.random()
+      let h = u
+      if(r0 !== r1){
+        h = (Math.sqrt(r0 * r0 + u * (r1 * r1 - r0 * r0)) - r0) / (r1 - r0)
+      }
+      const r = r0 + (r1 - r0) * h
+      const normal = new SCNVector3(height * cos, r0 - r1, height * sin).mul(1.0 / slant)
+      return _sample(r * cos, (h - 0.5) * height, r * sin, normal)
+    }
+    const isTop = part === 2
+    const r = (isTop ? r1 : r0) * Math.sqrt(Math.random())
+    const y = isTop ? height * 0.5 : -height * 0.5
+    return _sample(r * cos, y, r * sin, new SCNVector3(0, isTop ? 1 : -1, 0))
+  }
+
+  /**
+   * @access private
+   * @param {number} bottomRadius -
+   * @param {number} topRadius -
+   * @param {number} height -
+   * @returns {{position: SCNVector3, normal: SCNVector3}} -
+   */
+  static _coneVolumePoint(bottomRadius, topRadius, height) {
+    const r0 = bottomRadius
+    const r1 = topRadius
+    // the density is proportional to the square of the radius
+    const u = Math.random()
+    let h = u
+    if(r0 !== r1){
+      h = (Math.cbrt(r0 * r0 * r0 + u * (r1 * r1 * r1 - r0 * r0 * r0)) - r0) / (r1 - r0)
+    }
+    const maxRadius = r0 + (r1 - r0) * h
+    const r = maxRadius * Math.sqrt(Math.random())
+    const t = Math.random() * Math.PI * 2.0
+    const cos = Math.cos(t)
+    const sin = Math.sin(t)
+
+    const slant = Math.sqrt((r0 - r1) * (r0 - r1) + height * height)
+    const sideDistance = slant > 0 ? (maxRadius - r) * height / slant : Infinity
+    const bottomDistance = h * height
+    const topDistance = (1.0 - h) * height
+    let normal = new SCNVector3(height * cos, r0 - r1, height * sin).mul(1.0 / slant)
+    if(bottomDistance < sideDistance && bottomDistance <= topDistance){
+      normal = new SCNVector3(0, -1, 0)
+    }else if(topDistance < sideDistance && topDistance < bottomDistance){
+      normal = new SCNVector3(0, 1, 0)
+    }
+    return _sample(r * cos, (h - 0.5) * height, r * sin, normal)
+  }
+
+  // Tube
+
+  /**
+   * @access private
+   * @param {SCNTube} tube -
+   * @returns {{position: SCNVector3, normal: SCNVector3}} -
+   */
+  static _tubeSurfacePoint(tube) {
+    const ri = tube.innerRadius
+    const ro = tube.outerRadius
+    const h = tube.height
+    const capArea = Math.PI * (ro * ro - ri * ri)
+    const part = _pickIndex([2.0 * Math.PI * ro * h, 2.0 * Math.PI * ri * h, capArea, capArea])
+    const t = Math.random() * Math.PI * 2.0
+    const cos = Math.cos(t)
+    const sin = Math.sin(t)
+    if(part < 2){
+      const r = part === 0 ? ro : ri
+      const s = part === 0 ? 1 : -1
+      return _sample(r * cos, (Math.random() - 0.5) * h, r * sin, new SCNVector3(s * cos, 0, s * sin))
+    }
+    const r = Math.sqrt(ri * ri + Math.random() * (ro * ro - ri * ri))
+    const s = part === 2 ? 1 : -1
+    return _sample(r * cos, s * h * 0.5, r * sin, new SCNVector3(0, s, 0))
+  }
+
+  /**
+   * @access private
+   * @param {SCNTube} tube -
+   * @returns {{position: SCNVector3, normal: SCNVector3}} -
+   */
+  static _tubeVolumePoint(tube) {
+    const ri = tube.innerRadius
+    const ro = tube.outerRadius
+    const h = tube.height
+    const r = Math.sqrt(ri * ri + Math.random() * (ro * ro - ri * ri))
+    const y = (Math.random() - 0.5) * h
+    const t = Math.random() * Math.PI * 2.0
+    const cos = Math.cos(t)
+    const sin = Math.sin(t)
+
+    const distances = [ro - r, r - ri, h * 0.5 - y, h * 0.5 + y]
+    const normals = [
+      new SCNVector3(cos, 0, sin),
+      new SCNVector3(-cos, 0, -sin),
+      new SCNVector3(0, 1, 0),
+      new SCNVector3(0, -1, 0)
+    ]
+    const nearest = distances.indexOf(Math.min(...distances))
+    return _sample(r * cos, y, r * sin, normals[nearest])
+  }
+
+  // Torus
+
+  /**
+   * @access private
+   * @param {SCNTorus} torus -
+   * @param {number} pipeDistance - the distance from the center of the pipe. pipeRadius for the surface.
+   * @returns {{position: SCNVector3, normal: SCNVector3}} -
+   */
+  static _torusPoint(torus, pipeDistance) {
+    const ringRadius = torus.ringRadius
+    const maxRadius = ringRadius + torus.pipeRadius
+    if(maxRadius <= 0){
+      return _sample(0, 0, 0, new SCNVector3(0, 1, 0))
+    }
+    // the density is proportional to the distance from the y axis
+    let p = 0
+    for(;;){
+      p = Math.random() * Math.PI * 2.0
+      if(Math.random() * maxRadius <= ringRadius + pipeDistance * Math.cos(p)){
+        break
+      }
+    }
+    const t = Math.random() * Math.PI * 2.0
+    const r = ringRadius + pipeDistance * Math.cos(p)
+    const normal = new SCNVector3(Math.cos(p) * Math.cos(t), Math.sin(p), Math.cos(p) * Math.sin(t))
+    return _sample(r * Math.cos(t), pipeDistance * Math.sin(p), r * Math.sin(t), normal)
+  }
+
+  // Capsule
+
+  /**
+   * @access private
+   * @param {SCNCapsule} capsule -
+   * @param {SCNVector3} position -
+   * @returns {{position: SCNVector3, normal: SCNVector3}} - the point and the direction from the nearest point on the axis.
+   */
+  static _capsuleSample(capsule, position) {
+    const halfHeight = Math.max(capsule.height * 0.5 - capsule.capRadius, 0)
+    const y = Math.max(-halfHeight, Math.min(halfHeight, position.y))
+    const normal = _normalize(new SCNVector3(position.x, position.y - y, position.z))
+    return { position, normal }
+  }
+
+  /**
+   * @access private
+   * @param {SCNCapsule} capsule -
+   * @returns {{position: SCNVector3, normal: SCNVector3}} -
+   */
+  static _capsuleSurfacePoint(capsule) {
+    const r = capsule.capRadius
+    const halfHeight = Math.max(capsule.height * 0.5 - r, 0)
+    const part = _pickIndex([4.0 * Math.PI * r * halfHeight, 4.0 * Math.PI * r * r])
+    if(part === 0){
+      const t = Math.random() * Math.PI * 2.0
+      const y = (Math.random() * 2.0 - 1.0) * halfHeight
+      return _sample(r * Math.cos(t), y, r * Math.sin(t), new SCNVector3(Math.cos(t), 0, Math.sin(t)))
+    }
+    const n = _randomUnitVector()
+    const y = n.y < 0 ? -halfHeight : halfHeight
+    return _sample(n.x * r, n.y * r + y, n.z * r, n)
+  }
+
+  /**
+   * @access private
+   * @param {SCNCapsule} capsule -
+   * @returns {{position: SCNVector3, normal: SCNVector3}} -
+   */
+  static _capsuleVolumePoint(capsule) {
+    const r = capsule.capRadius
+    const halfHeight = Math.max(capsule.height * 0.5 - r, 0)
+    const part = _pickIndex([2.0 * Math.PI * r * r * halfHeight, 4.0 / 3.0 * Math.PI * r * r * r])
+    if(part === 0){
+      const t = Math.random() * Math.PI * 2.0
+      const d = r * Math.sqrt(Math.random())
+      const y = (Math.random() * 2.0 - 1.0) * halfHeight
+      return this._capsuleSample(capsule, new SCNVector3(d * Math.cos(t), y, d * Math.sin(t)))
+    }
+    const v = _randomUnitVector().mul(r * Math.cbrt(Math.random()))
+    v.y += v.y < 0 ? -halfHeight : halfHeight
+    return this._capsuleSample(capsule, v)
+  }
+
+  // Pyramid
+
+  /**
+   * @access private
+   * @param {SCNPyramid} pyramid -
+   * @returns {Array<{v0: SCNVector3, v1: SCNVector3, v2: SCNVector3, normal: SCNVector3, area: number}>} - the side faces.
+   */
+  static _pyramidFaces(pyramid) {
+    const right = pyramid.width * 0.5
+    const front = pyramid.length * 0.5
+    const apex = new SCNVector3(0, pyramid.height, 0)
+    const corners = [
+      new SCNVector3(-right, 0, front),
+      new SCNVector3(right, 0, front),
+      new SCNVector3(right, 0, -front),
+      new SCNVector3(-right, 0, -front)
+    ]
+    return corners.map((v0, i) => {
+      const v1 = corners[(i + 1) % 4]
+      const cross = v1.sub(v0).cross(apex.sub(v0))
+      return { v0: v0, v1: v1, v2: apex, normal: _normalize(cross), area: cross.length() * 0.5 }
+    })
+  }
+
+  /**
+   * @access private
+   * @param {SCNPyramid} pyramid -
+   * @returns {{position: SCNVector3, normal: SCNVector3}} -
+   */
+  static _pyramidSurfacePoint(pyramid) {
+    const faces = this._pyramidFaces(pyramid)
+    const weights = faces.map((face) => face.area)
+    weights.push(pyramid.width * pyramid.length)
+    const part = _pickIndex(weights)
+    if(part === 4){
+      return _sample(
+        (Math.random() - 0.5) * pyramid.width,
+        0,
+        (Math.random() - 0.5) * pyramid.length,
+        new SCNVector3(0, -1, 0)
+      )
+    }
+    const face = faces[part]
+    return { position: this._trianglePoint(face.v0, face.v1, face.v2), normal: face.normal }
+  }
+
+  /**
+   * @access private
+   * @param {SCNPyramid} pyramid -
+   * @returns {{position: SCNVector3, normal: SCNVector3}} -
+   */
+  static _pyramidVolumePoint(pyramid) {
+    // the density is proportional to the area of the section
+    const y = pyramid.height * (1.0 - Math.cbrt(1.0 - Math.random()))
+    const scale = pyramid.height > 0 ? 1.0 - y / pyramid.height : 1.0
+    const position = new SCNVector3(
+      (Math.random() - 0.5) * pyramid.width * scale,
+      y,
+      (Math.random() - 0.5) * pyramid.length * scale
+    )
+    let normal = new SCNVector3(0, -1, 0)
+    let distance = y
+    for(const face of this._pyramidFaces(pyramid)){
+      const d = -face.normal.dot(position.sub(face.v0))
+      if(d < distance){
+        distance = d
+        normal = face.normal
+      }
+    }
+    return { position, normal }
+  }
+
+  // Plane
+
+  /**
+   * @access private
+   * @param {SCNPlane} plane -
+   * @returns {{position: SCNVector3, normal: SCNVector3}} -
+   */
+  static _planePoint(plane) {
+    const w = plane.width * 0.5
+    const h = plane.height * 0.5
+    const r = Math.max(0, Math.min(plane.cornerRadius, w, h))
+    for(;;){
+      const x = (Math.random() * 2.0 - 1.0) * w
+      const y = (Math.random() * 2.0 - 1.0) * h
+      const dx = Math.max(Math.abs(x) - (w - r), 0)
+      const dy = Math.max(Math.abs(y) - (h - r), 0)
+      if(dx * dx + dy * dy <= r * r){
+        return _sample(x, y, 0, new SCNVector3(0, 0, 1))
+      }
+    }
+  }
+
+  // Mesh
+
+  /**
+   * @access private
+   * @param {SCNVector3} v0 -
+   * @param {SCNVector3} v1 -
+   * @param {SCNVector3} v2 -
+   * @returns {SCNVector3} - a point distributed uniformly in the triangle.
+   */
+  static _trianglePoint(v0, v1, v2) {
+    const s = Math.sqrt(Math.random())
+    const t = Math.random()
+    return v0.mul(1.0 - s).add(v1.mul(s * (1.0 - t))).add(v2.mul(s * t))
+  }
+
+  /**
+   * Creates the triangles and the cumulative areas of the geometry, or returns the cached ones.
+   * @access private
+   * @param {SCNGeometry} geometry -
+   * @returns {Object} -
+   */
+  static _meshTable(geometry) {
+    const vertexSource = geometry.getGeometrySourcesForSemantic(SCNGeometrySource.Semantic.vertex)[0]
+    const normalSource = geometry.getGeometrySourcesForSemantic(SCNGeometrySource.Semantic.normal)[0] || null
+    if(typeof vertexSource === 'undefined'){
+      return { vertexCount: 0, triangles: [], areas: [], totalArea: 0 }
+    }
+    const cached = _meshTables.get(vertexSource)
+    if(cached && cached.elements === geometry.geometryElements && cached.normalSource === normalSource){
+      return cached
+    }
+
+    const vertexCount = vertexSource.vectorCount
+    const vertices = []
+    for(let i=0; i<vertexCount; i++){
+      vertices.push(vertexSource._scnVectorAt(i))
+    }
+    const faceNormals = vertices.map(() => new SCNVector3(0, 0, 0))
+    const triangles = []
+    const areas = []
+    let totalArea = 0
+    for(const element of geometry.geometryElements){
+      if(element.primitiveType !== SCNGeometryPrimitiveType.triangles
+        && element.primitiveType !== SCNGeometryPrimitiveType.triangleStrip){
+        continue
+      }
+      for(let i=0; i<element.primitiveCount; i++){
+        let indices = element._indexAt(i)
+        if(element.primitiveType === SCNGeometryPrimitiveType.triangleStrip && i % 2 === 1){
+          indices = [indices[1], indices[0], indices[2]]
+        }
+        const [v0, v1, v2] = indices.map((index) => vertices[index])
+        const cross = v1.sub(v0).cross(v2.sub(v0))
+        const area = cross.length() * 0.5
+        if(area === 0){
+          continue
+        }
+        indices.forEach((index) => { faceNormals[index] = faceNormals[index].add(cross) })
+        totalArea += area
+        triangles.push({ indices: indices, v0: v0, v1: v1, v2: v2, normal: cross.normalize() })
+        areas.push(totalArea)
+      }
+    }
+
+    let vertexNormals = null
+    if(normalSource !== null){
+      vertexNormals = vertices.map((v, i) => _normalize(normalSource._scnVectorAt(i)))
+    }else{
+      vertexNormals = faceNormals.map((n) => _normalize(n))
+    }
+
+    const table = {
+      elements: geometry.geometryElements,
+      normalSource: normalSource,
+      vertexSource: vertexSource,
+      vertexCount: vertexCount,
+      vertexNormals: vertexNormals,
+      hasNormals: normalSource !== null,
+      triangles: triangles,
+      areas: areas,
+      totalArea: totalArea
+    }
+    _meshTables.set(vertexSource, table)
+    return table
+  }
+
+  /**
+   * @access private
+   * @param {Object} table -
+   * @param {Object} triangle -
+   * @param {number} b1 - the barycentric coordinate of the second vertex.
+   * @param {number} b2 - the barycentric coordinate of the third vertex.
+   * @returns {SCNVector3} - the normal at the point of the triangle.
+   */
+  static _meshNormal(table, triangle, b1, b2) {
+    if(!table.hasNormals){
+      return triangle.normal
+    }
+    const [n0, n1, n2] = triangle.indices.map((index) => table.vertexNormals[index])
+    return _normalize(n0.mul(1.0 - b1 - b2).add(n1.mul(b1)).add(n2.mul(b2)))
+  }
+
+  /**
+   * @access private
+   * @param {SCNGeometry} geometry -
+   * @returns {{position: SCNVector3, normal: SCNVector3}} -
+   */
+  static _meshSurfacePoint(geometry) {
+    const table = this._meshTable(geometry)
+    if(table.triangles.length === 0){
+      return this.vertexPoint(geometry)
+    }
+    const r = Math.random() * table.totalArea
+    let low = 0
+    let high = table.areas.length - 1
+    while(low < high){
+      const mid = (low + high) >> 1
+      if(table.areas[mid] <= r){
+        low = mid + 1
+      }else{
+        high = mid
+      }
+    }
+    const triangle = table.triangles[low]
+    const s = Math.sqrt(Math.random())
+    const t = Math.random()
+    const b1 = s * (1.0 - t)
+    const b2 = s * t
+    const position = triangle.v0.mul(1.0 - s).add(triangle.v1.mul(b1)).add(triangle.v2.mul(b2))
+    return { position, normal: this._meshNormal(table, triangle, b1, b2) }
+  }
+
+  /**
+   * Tries random points in the bounding box until it finds a point inside the mesh. The mesh should be closed.
+   * @access private
+   * @param {SCNGeometry} geometry -
+   * @returns {{position: SCNVector3, normal: SCNVector3}} - a point on the surface if no point inside the mesh is found.
+   */
+  static _meshVolumePoint(geometry) {
+    const table = this._meshTable(geometry)
+    if(table.triangles.length === 0){
+      return this.vertexPoint(geometry)
+    }
+    const min = new SCNVector3(Infinity, Infinity, Infinity)
+    const max = new SCNVector3(-Infinity, -Infinity, -Infinity)
+    for(const triangle of table.triangles){
+      for(const v of [triangle.v0, triangle.v1, triangle.v2]){
+        min.x = Math.min(min.x, v.x)
+        min.y = Math.min(min.y, v.y)
+        min.z = Math.min(min.z, v.z)
+        max.x = Math.max(max.x, v.x)
+        max.y = Math.max(max.y, v.y)
+        max.z = Math.max(max.z, v.z)
+      }
+    }
+    const size = max.sub(min)
+    for(let i=0; i<_maxMeshVolumeTries; i++){
+      const p = new SCNVector3(
+        min.x + size.x * Math.random(),
+        min.y + size.y * Math.random(),
+        min.z + size.z * Math.random()
+      )
+      if(this._isInsideMesh(table, p, _randomUnitVector())){
+        return { position: p, normal: this._nearestMeshNormal(table, p) }
+      }
+    }
+    return this._meshSurfacePoint(geometry)
+  }
+
+  /**
+   * @access private
+   * @param {Object} table -
+   * @param {SCNVector3} p -
+   * @param {SCNVector3} dir - the direction of the ray to count the intersections.
+   * @returns {boolean} - true if the ray from the point crosses the surface an odd number of times.
+   */
+  static _isInsideMesh(table, p, dir) {
+    let count = 0
+    for(const triangle of table.triangles){
+      const e1 = triangle.v1.sub(triangle.v0)
+      const e2 = triangle.v2.sub(triangle.v0)
+      const pv = dir.cross(e2)
+      const det = e1.dot(pv)
+      if(det === 0){
+        continue
+      }
+      const invDet = 1.0 / det
+      const tv = p.sub(triangle.v0)
+      const u = tv.dot(pv) * invDet
+      if(u < 0 || u > 1){
+        continue
+      }
+      const qv = tv.cross(e1)
+      const v = dir.dot(qv) * invDet
+      if(v < 0 || u + v > 1){
+        continue
+      }
+      if(e2.dot(qv) * invDet > 0){
+        count += 1
+      }
+    }
+    return count % 2 === 1
+  }
+
+  /**
+   * @access private
+   * @param {Object} table -
+   * @param {SCNVector3} p -
+   * @returns {SCNVector3} - the normal of the nearest point on the mesh.
+   */
+  static _nearestMeshNormal(table, p) {
+    let nearest = null
+    let nearestDistance = Infinity
+    for(const triangle of table.triangles){
+      const b = this._closestPointOnTriangle(p, triangle.v0, triangle.v1, triangle.v2)
+      const q = triangle.v0.mul(1.0 - b[0] - b[1]).add(triangle.v1.mul(b[0])).add(triangle.v2.mul(b[1]))
+      const d = q.sub(p).length2()
+      if(d < nearestDistance){
+        nearestDistance = d
+        nearest = { triangle: triangle, b1: b[0], b2: b[1] }
+      }
+    }
+    return this._meshNormal(table, nearest.triangle, nearest.b1, nearest.b2)
+  }
+
+  /**
+   * @access private
+   * @param {SCNVector3} p -
+   * @param {SCNVector3} a -
+   * @param {SCNVector3} b -
+   * @param {SCNVector3} c -
+   * @returns {number[]} - the barycentric coordinates of b and c for the closest point on the triangle.
+   */
+  static _closestPointOnTriangle(p, a, b, c) {
+    const ab = b.sub(a)
+    const ac = c.sub(a)
+    const ap = p.sub(a)
+    const d1 = ab.dot(ap)
+    const d2 = ac.dot(ap)
+    if(d1 <= 0 && d2 <= 0){
+      return [0, 0]
+    }
+    const bp = p.sub(b)
+    const d3 = ab.dot(bp)
+    const d4 = ac.dot(bp)
+    if(d3 >= 0 && d4 <= d3){
+      return [1, 0]
+    }
+    const vc = d1 * d4 - d3 * d2
+    if(vc <= 0 && d1 >= 0 && d3 <= 0){
+      return [d1 / (d1 - d3), 0]
+    }
+    const cp = p.sub(c)
+    const d5 = ab.dot(cp)
+    const d6 = ac.dot(cp)
+    if(d6 >= 0 && d5 <= d6){
+      return [0, 1]
+    }
+    const vb = d5 * d2 - d1 * d6
+    if(vb <= 0 && d2 >= 0 && d6 <= 0){
+      return [0, d2 / (d2 - d6)]
+    }
+    const va = d3 * d6 - d5 * d4
+    if(va <= 0 && d4 - d3 >= 0 && d5 - d6 >= 0){
+      const w = (d4 - d3) / ((d4 - d3) + (d5 - d6))
+      return [1.0 - w, w]
+    }
+    const denom = 1.0 / (va + vb + vc)
+    return [vb * denom, vc * denom]
+  }
+}
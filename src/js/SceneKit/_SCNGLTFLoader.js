@@ -0,0 +1,935 @@
+'use strict'
+
+import CAAnimationGroup from '../QuartzCore/CAAnimationGroup'
+import CAKeyframeAnimation from '../QuartzCore/CAKeyframeAnimation'
+import SCNCamera from './SCNCamera'
+import SCNCameraProjectionDirection from './SCNCameraProjectionDirection'
+import SCNGeometry from './SCNGeometry'
+import SCNGeometryElement from './SCNGeometryElement'
+import SCNGeometryPrimitiveType from './SCNGeometryPrimitiveType'
+import SCNGeometrySource from './SCNGeometrySource'
+import SCNLight from './SCNLight'
+import SCNMaterial from './SCNMaterial'
+import SCNMatrix4 from './SCNMatrix4'
+import SCNMorpher from './SCNMorpher'
+import SCNMorpherCalculationMode from './SCNMorpherCalculationMode'
+import SCNNode from './SCNNode'
+import SCNScene from './SCNScene'
+import SCNSkinner from './SCNSkinner'
+import SCNVector3 from './SCNVector3'
+import SCNVector4 from './SCNVector4'
+import SCNWrapMode from './SCNWrapMode'
+import SKColor from '../SpriteKit/SKColor'
+import _BinaryReader from '../util/_BinaryReader'
+import * as Constants from '../constants'
+
+/*global Buffer*/
+
+const _glbMagic = 0x46546C67 // 'glTF'
+const _glbChunkJSON = 0x4E4F534A // 'JSON'
+const _glbChunkBIN = 0x004E4942 // 'BIN\0'
+
+const _componentTypes = {
+  5120: { bytes: 1, read: (buf, pos) => buf.readInt8(pos), normalize: (v) => Math.max(v / 127.0, -1.0) },
+  5121: { bytes: 1, read: (buf, pos) => buf.readUInt8(pos), normalize: (v) => v / 255.0 },
+  5122: { bytes: 2, read: (buf, pos) => buf.readInt16LE(pos), normalize: (v) => Math.max(v / 32767.0, -1.0) },
+  5123: { bytes: 2, read: (buf, pos) => buf.readUInt16LE(pos), normalize: (v) => v / 65535.0 },
+  5125: { bytes: 4, read: (buf, pos) => buf.readUInt32LE(pos), normalize: (v) => v },
+  5126: { bytes: 4, read: (buf, pos) => buf.readFloatLE(pos), normalize: (v) => v }
+}
+
+const _componentCounts = {
+  SCALAR: 1,
+  VEC2: 2,
+  VEC3: 3,
+  VEC4: 4,
+  MAT2: 4,
+  MAT3: 9,
+  MAT4: 16
+}
+
+// vertex attributes which are loaded, and the number of components of each attribute.
+const _attributeComponents = {
+  POSITION: 3,
+  NORMAL: 3,
+  TANGENT: 4,
+  TEXCOORD_0: 2,
+  TEXCOORD_1: 2,
+  COLOR_0: 4,
+  JOINTS_0: 4,
+  WEIGHTS_0: 4
+}
+
+// JOINTS_0 and WEIGHTS_0 are given to the skinner instead of the geometry.
+const _attributeSemantics = {
+  POSITION: SCNGeometrySource.Semantic.vertex,
+  NORMAL: SCNGeometrySource.Semantic.normal,
+  TANGENT: SCNGeometrySource.Semantic.tangent,
+  TEXCOORD_0: SCNGeometrySource.Semantic.texcoord,
+  TEXCOORD_1: SCNGeometrySource.Semantic.texcoord,
+  COLOR_0: SCNGeometrySource.Semantic.color
+}
+
+const _wrapModes = {
+  33071: SCNWrapMode.clamp,
+  33648: SCNWrapMode.mirror,
+  10497: SCNWrapMode.repeat
+}
+
+const _lightTypes = {
+  directional: SCNLight.LightType.directional,
+  point: SCNLight.LightType.omni,
+  spot: SCNLight.LightType.spot
+}
+
+const _animationKeyPaths = {
+  translation: 'position',
+  rotation: 'orientation',
+  scale: 'scale'
+}
+
+const _calculationModes = {
+  STEP: Constants.kCAAnimationDiscrete,
+  LINEAR: Constants.kCAAnimationLinear,
+  CUBICSPLINE: Constants.kCAAnimationCubic
+}
+
+/**
+ * Reads glTF 2.0 data (.gltf and .glb).
+ * @access private
+ */
+export default class _SCNGLTFLoader {
+  /**
+   * @access private
+   * @constructor
+   * @param {Object} gltf - parsed JSON data.
+   * @param {?Buffer} [binaryChunk = null] - BIN chunk of the GLB file.
+   * @param {?string} [url = null] -
+   * @param {Map<string, Buffer|string>} [resources = new Map()] - contents of the external files, keyed by their URIs.
+   */
+  constructor(gltf, binaryChunk = null, url = null, resources = new Map()) {
+    this._gltf = gltf
+    this._binaryChunk = binaryChunk
+    this._filePath = url
+    this._resources = resources
+
+    this._buffers = new Map()
+    this._accessors = new Map()
+    this._meshes = new Map()
+    this._materials = new Map()
+    this._cameras = new Map()
+    this._lights = new Map()
+    this._nodes = []
+    this._defaultMaterial = null
+  }
+
+  /**
+   * @access public
+   * @param {Buffer|string} data -
+   * @param {?string} [url = null] -
+   * @param {?Map<string, Object>} [options = null] -
+   * @param {Map<string, Buffer|string>} [resources = new Map()] - contents of the external files, keyed by their URIs.
+   * @returns {SCNScene} -
+   */
+  static unarchiveObjectWithData(data, url = null, options = null, resources = new Map()) {
+    const parsed = _SCNGLTFLoader._parse(data)
+    const loader = new _SCNGLTFLoader(parsed.json, parsed.bin, url, resources)
+    return loader._loadScene()
+  }
+
+  /**
+   * Returns the metadata of the scene file.
+   * @access public
+   * @param {Buffer|string} data -
+   * @returns {Object} -
+   */
+  static assetWithData(data) {
+    const asset = _SCNGLTFLoader._parse(data).json.asset || {}
+    const properties = {
+      // glTF uses meters and +Y up.
+      unit: { name: 'meter', meter: 1.0 },
+      up_axis: new SCNVector3(0, 1, 0)
+    }
+    if(typeof asset.generator === 'string'){
+      properties.authoring_tool = asset.generator
+    }
+    if(typeof asset.copyright === 'string'){
+      properties.author = asset.copyright
+    }
+    return properties
+  }
+
+  /**
+   * Returns the URIs of the buffers which are not embedded in the data.
+   * @access public
+   * @param {Buffer|string} data -
+   * @returns {string[]} -
+   */
+  static externalURIsOfData(data) {
+    const buffers = _SCNGLTFLoader._parse(data).json.buffers || []
+    return buffers
+      .map((buffer) => buffer.uri)
+      .filter((uri) => typeof uri === 'string' && uri.indexOf('data:') !== 0)
+  }
+
+  /**
+   * @access public
+   * @param {Buffer|string|ArrayBuffer} data -
+   * @returns {boolean} - true if the data is glTF 2.0 or GLB.
+   */
+  static isGLTFData(data) {
+    if(!data){
+      return false
+    }
+    if(_SCNGLTFLoader._isGLB(data)){
+      return true
+    }
+    let text = data
+    if(typeof text !== 'string'){
+      const buffer = new _BinaryReader(data).buffer
+      if(!/^\s*\{/.test(buffer.toString('utf8', 0, 64))){
+        return false
+      }
+      text = buffer.toString('utf8')
+    }
+    return /^\s*\{/.test(text) && /"asset"\s*:\s*\{[^}]*"version"\s*:\s*"2\./.test(text)
+  }
+
+  /**
+   * @access private
+   * @param {Buffer|string|ArrayBuffer} data -
+   * @returns {boolean} -
+   */
+  static _isGLB(data) {
+    if(typeof data === 'string'){
+      return data.substr(0, 4) === 'glTF'
+    }
+    const reader = new _BinaryReader(data)
+    return reader.length >= 12 && reader.readUnsignedInt() === _glbMagic
+  }
+
+  /**
+   * @access private
+   * @param {Buffer|string|ArrayBuffer} data -
+   * @returns {Object} - parsed JSON and the BIN chunk.
+   */
+  static _parse(data) {
+    if(!_SCNGLTFLoader._isGLB(data)){
+      const text = typeof data === 'string' ? data : new _BinaryReader(data).buffer.toString('utf8')
+      return { json: JSON.parse(text), bin: null }
+    }
+
+    const reader = new _BinaryReader(data)
+    reader.seek(4)
+    const version = reader.readUnsignedInt()
+    if(version !== 2){
+      throw new Error(`unsupported GLB version: ${version}`)
+    }
+    const length = Math.min(reader.readUnsignedInt(), reader.length)
+    let json = null
+    let bin = null
+    let offset = 12
+    while(offset + 8 <= length){
+      reader.seek(offset)
+      const chunkLength = reader.readUnsignedInt()
+      const chunkType = reader.readUnsignedInt()
+      const chunk = reader.readData(chunkLength)
+      offset += 8 + chunkLength
+      if(chunkType === _glbChunkJSON){
+        json = JSON.parse(chunk.toString('utf8'))
+      }else if(chunkType === _glbChunkBIN && bin === null){
+        bin = chunk
+      }
+    }
+    if(json === null){
+      throw new Error('GLB data does not have a JSON chunk')
+    }
+    return { json: json, bin: bin }
+  }
+
+  get _directoryPath() {
+    if(this._filePath === null){
+      return ''
+    }
+    const paths = this._filePath.split('/')
+    paths.pop()
+    if(paths.length === 0){
+      return ''
+    }
+    return paths.join('/') + '/'
+  }
+
+  /**
+   * @access private
+   * @returns {SCNScene} -
+   */
+  _loadScene() {
+    const gltf = this._gltf
+    const version = gltf.asset ? String(gltf.asset.version) : ''
+    if(version.split('.')[0] !== '2'){
+      throw new Error(`unsupported glTF version: ${version}`)
+    }
+    const nodes = gltf.nodes || []
+    this._nodes = nodes.map((data) => this._loadNode(data))
+    nodes.forEach((data, index) => {
+      for(const child of data.children || []){
+        this._nodes[index].addChildNode(this._nodes[child])
+      }
+    })
+    nodes.forEach((data, index) => {
+      if(typeof data.skin !== 'undefined' && typeof data.mesh !== 'undefined'){
+        this._nodes[index].skinner = this._loadSkinner(gltf.skins[data.skin], this._loadMesh(data.mesh))
+      }
+    })
+
+    const scene = new SCNScene()
+    const sceneData = (gltf.scenes || [])[typeof gltf.scene === 'number' ? gltf.scene : 0]
+    if(sceneData){
+      for(const index of sceneData.nodes || []){
+        scene.rootNode.addChildNode(this._nodes[index])
+      }
+    }else{
+      // no scene is defined: show all the root nodes.
+      for(const node of this._nodes){
+        if(node.parent === null){
+          scene.rootNode.addChildNode(node)
+        }
+      }
+    }
+
+    const animations = gltf.animations || []
+    animations.forEach((data, index) => this._loadAnimation(data, index))
+    return scene
+  }
+
+  /**
+   * @access private
+   * @param {Object} data -
+   * @returns {SCNNode} -
+   */
+  _loadNode(data) {
+    const node = new SCNNode()
+    if(typeof data.name === 'string'){
+      node.name = data.name
+    }
+    if(Array.isArray(data.matrix)){
+      // column-major matrix of glTF has the same layout as SCNMatrix4.
+      node.transform = new SCNMatrix4(...data.matrix)
+    }else{
+      if(Array.isArray(data.translation)){
+        node.position = new SCNVector3(...data.translation)
+      }
+      if(Array.isArray(data.rotation)){
+        node.orientation = new SCNVector4(...data.rotation)
+      }
+      if(Array.isArray(data.scale)){
+        node.scale = new SCNVector3(...data.scale)
+      }
+    }
+    if(typeof data.mesh !== 'undefined'){
+      const mesh = this._loadMesh(data.mesh)
+      node.geometry = mesh.geometry
+      if(mesh.targets.length > 0){
+        node.morpher = this._createMorpher(mesh, data.weights)
+      }
+    }
+    if(typeof data.camera !== 'undefined'){
+      node.camera = this._loadCamera(data.camera)
+    }
+    const lightExtension = data.extensions ? data.extensions.KHR_lights_punctual : null
+    if(lightExtension && typeof lightExtension.light !== 'undefined'){
+      node.light = this._loadLight(lightExtension.light)
+    }
+    return node
+  }
+
+  /**
+   * @access private
+   * @param {number} index -
+   * @returns {Buffer} -
+   */
+  _loadBuffer(index) {
+    if(this._buffers.has(index)){
+      return this._buffers.get(index)
+    }
+    const uri = this._gltf.buffers[index].uri
+    let buffer = null
+    if(typeof uri === 'undefined'){
+      if(this._binaryChunk === null){
+        throw new Error(`glTF buffer ${index} does not have data`)
+      }
+      buffer = this._binaryChunk
+    }else if(uri.indexOf('data:') === 0){
+      buffer = _SCNGLTFLoader._dataOfDataURI(uri)
+    }else if(this._resources.has(uri)){
+      buffer = new _BinaryReader(this._resources.get(uri)).buffer
+    }else{
+      throw new Error(`glTF buffer ${uri} is not loaded`)
+    }
+    this._buffers.set(index, buffer)
+    return buffer
+  }
+
+  /**
+   * @access private
+   * @param {string} uri - data URI.
+   * @returns {Buffer} -
+   */
+  static _dataOfDataURI(uri) {
+    const comma = uri.indexOf(',')
+    const header = uri.substring(0, comma)
+    const body = uri.substring(comma + 1)
+    if(/;base64$/.test(header)){
+      return Buffer.from(body, 'base64')
+    }
+    return Buffer.from(decodeURIComponent(body), 'binary')
+  }
+
+  /**
+   * @access private
+   * @param {number} index -
+   * @returns {Buffer} -
+   */
+  _bufferViewData(index) {
+    const view = this._gltf.bufferViews[index]
+    const buffer = this._loadBuffer(view.buffer)
+    const offset = view.byteOffset || 0
+    return buffer.slice(offset, offset + view.byteLength)
+  }
+
+  /**
+   * Reads the values of the accessor.
+   * @access private
+   * @param {number} index -
+   * @returns {Object} - count, components and the flattened values.
+   */
+  _loadAccessor(index) {
+    if(this._accessors.has(index)){
+      return this._accessors.get(index)
+    }
+    const accessor = this._gltf.accessors[index]
+    const components = _componentCounts[accessor.type]
+    const count = accessor.count
+    let values = null
+    if(typeof accessor.bufferView !== 'undefined'){
+      values = this._readValues(accessor.bufferView, accessor.byteOffset || 0, accessor.componentType, components, count)
+    }else{
+      values = new Array(count * components).fill(0)
+    }
+
+    const sparse = accessor.sparse
+    if(sparse){
+      const indices = this._readValues(sparse.indices.bufferView, sparse.indices.byteOffset || 0, sparse.indices.componentType, 1, sparse.count)
+      const sparseValues = this._readValues(sparse.values.bufferView, sparse.values.byteOffset || 0, accessor.componentType, components, sparse.count)
+      indices.forEach((vectorIndex, i) => {
+        for(let j=0; j<components; j++){
+          values[vectorIndex * components + j] = sparseValues[i * components + j]
+        }
+      })
+    }
+
+    if(accessor.normalized){
+      values = values.map(_componentTypes[accessor.componentType].normalize)
+    }
+    const result = { count: count, components: components, values: values }
+    this._accessors.set(index, result)
+    return result
+  }
+
+  /**
+   * @access private
+   * @param {number} viewIndex -
+   * @param {number} byteOffset -
+   * @param {number} componentType -
+   * @param {number} components -
+   * @param {number} count -
+   * @returns {number[]} -
+   */
+  _readValues(viewIndex, byteOffset, componentType, components, count) {
+    const type = _componentTypes[componentType]
+    if(typeof type === 'undefined'){
+      throw new Error(`unknown glTF component type: ${componentType}`)
+    }
+    const view = this._gltf.bufferViews[viewIndex]
+    const buffer = this._loadBuffer(view.buffer)
+    const stride = view.byteStride || type.bytes * components
+    const offset = (view.byteOffset || 0) + byteOffset
+    const values = []
+    for(let i=0; i<count; i++){
+      const pos = offset + i * stride
+      for(let j=0; j<components; j++){
+        values.push(type.read(buffer, pos + j * type.bytes))
+      }
+    }
+    return values
+  }
+
+  /**
+   * Creates a geometry which has an element for each primitive of the mesh.
+   * @access private
+   * @param {number} index -
+   * @returns {Object} - the geometry, morph targets and skinning attributes.
+   */
+  _loadMesh(index) {
+    if(this._meshes.has(index)){
+      return this._meshes.get(index)
+    }
+    const data = this._gltf.meshes[index]
+    const primitives = data.primitives
+    const counts = primitives.map((primitive) => this._loadAccessor(primitive.attributes.POSITION).count)
+    const vertexCount = counts.reduce((sum, count) => sum + count, 0)
+
+    const attributes = new Map()
+    for(const name of Object.keys(_attributeComponents)){
+      const accessors = primitives.map((primitive) => primitive.attributes[name])
+      if(accessors.some((accessor) => typeof accessor === 'number')){
+        const fill = name === 'COLOR_0' ? 1.0 : 0.0
+        attributes.set(name, this._concatAttribute(accessors, counts, _attributeComponents[name], fill))
+      }
+    }
+
+    const sources = []
+    for(const [name, values] of attributes){
+      const semantic = _attributeSemantics[name]
+      if(typeof semantic !== 'undefined'){
+        sources.push(_SCNGLTFLoader._createSource(values, semantic, vertexCount, _attributeComponents[name]))
+      }
+    }
+    let base = 0
+    const elements = primitives.map((primitive, i) => {
+      const element = this._createElement(primitive, counts[i], base)
+      base += counts[i]
+      return element
+    })
+
+    const geometry = new SCNGeometry(sources, elements)
+    if(typeof data.name === 'string'){
+      geometry.name = data.name
+    }
+    geometry.materials = primitives.map((primitive) => this._loadMaterial(primitive.material))
+
+    const mesh = {
+      geometry: geometry,
+      targets: this._loadMorphTargets(data, counts),
+      weights: data.weights || [],
+      joints: attributes.get('JOINTS_0') || null,
+      jointWeights: attributes.get('WEIGHTS_0') || null,
+      vertexCount: vertexCount
+    }
+    this._meshes.set(index, mesh)
+    return mesh
+  }
+
+  /**
+   * Concatenates the attribute of the primitives. The values of the primitives without the attribute are filled with the given value.
+   * @access private
+   * @param {Array<?number>} accessors - accessor indices. null or undefined if the primitive doesn't have the attribute.
+   * @param {number[]} counts - vertex count of each primitive.
+   * @param {number} components -
+   * @param {number} fill -
+   * @returns {number[]} -
+   */
+  _concatAttribute(accessors, counts, components, fill) {
+    const values = []
+    accessors.forEach((index, i) => {
+      if(typeof index !== 'number'){
+        for(let j=0; j<counts[i] * components; j++){
+          values.push(fill)
+        }
+        return
+      }
+      const accessor = this._loadAccessor(index)
+      for(let j=0; j<counts[i]; j++){
+        for(let k=0; k<components; k++){
+          // e.g. COLOR_0 can be VEC3.
+          values.push(k < accessor.components ? accessor.values[j * accessor.components + k] : fill)
+        }
+      }
+    })
+    return values
+  }
+
+  /**
+   * @access private
+   * @param {number[]} values -
+   * @param {string} semantic -
+   * @param {number} count -
+   * @param {number} components -
+   * @returns {SCNGeometrySource} -
+   */
+  static _createSource(values, semantic, count, components) {
+    return new SCNGeometrySource(values, semantic, count, true, components, 4, 0, components * 4)
+  }
+
+  /**
+   * @access private
+   * @param {Object} primitive -
+   * @param {number} count - vertex count of the primitive.
+   * @param {number} base - index of the first vertex of the primitive in the geometry.
+   * @returns {SCNGeometryElement} -
+   */
+  _createElement(primitive, count, base) {
+    let indices = []
+    if(typeof primitive.indices !== 'undefined'){
+      indices = this._loadAccessor(primitive.indices).values.map((i) => i + base)
+    }else{
+      for(let i=0; i<count; i++){
+        indices.push(i + base)
+      }
+    }
+    const mode = typeof primitive.mode === 'number' ? primitive.mode : 4
+    const len = indices.length
+    switch(mode){
+      case 0: // POINTS
+        return new SCNGeometryElement(indices, SCNGeometryPrimitiveType.point, len, 4)
+      case 1: // LINES
+        return new SCNGeometryElement(indices, SCNGeometryPrimitiveType.line, Math.floor(len / 2), 4)
+      case 2: // LINE_LOOP
+      case 3: { // LINE_STRIP
+        const lines = []
+        for(let i=0; i<len-1; i++){
+          lines.push(indices[i], indices[i + 1])
+        }
+        if(mode === 2 && len > 2){
+          lines.push(indices[len - 1], indices[0])
+        }
+        return new SCNGeometryElement(lines, SCNGeometryPrimitiveType.line, lines.length / 2, 4)
+      }
+      case 5: // TRIANGLE_STRIP
+        return new SCNGeometryElement(indices, SCNGeometryPrimitiveType.triangleStrip, Math.max(len - 2, 0), 4)
+      case 6: { // TRIANGLE_FAN
+        const triangles = []
+        for(let i=1; i<len-1; i++){
+          triangles.push(indices[0], indices[i], indices[i + 1])
+        }
+        return new SCNGeometryElement(triangles, SCNGeometryPrimitiveType.triangles, triangles.length / 3, 4)
+      }
+      default: // TRIANGLES
+        return new SCNGeometryElement(indices, SCNGeometryPrimitiveType.triangles, Math.floor(len / 3), 4)
+    }
+  }
+
+  /**
+   * Creates the morph targets. glTF targets are displacements, so the morpher uses the additive mode.
+   * @access private
+   * @param {Object} data - mesh data.
+   * @param {number[]} counts - vertex count of each primitive.
+   * @returns {SCNGeometry[]} -
+   */
+  _loadMorphTargets(data, counts) {
+    const primitives = data.primitives
+    const targetCount = Math.max(...primitives.map((primitive) => (primitive.targets || []).length))
+    const vertexCount = counts.reduce((sum, count) => sum + count, 0)
+    const names = data.extras && data.extras.targetNames ? data.extras.targetNames : []
+    const targets = []
+    for(let t=0; t<targetCount; t++){
+      const sources = []
+      for(const name of ['POSITION', 'NORMAL']){
+        const accessors = primitives.map((primitive) => {
+          const target = primitive.targets ? primitive.targets[t] : null
+          return target ? target[name] : null
+        })
+        if(accessors.some((accessor) => typeof accessor === 'number')){
+          const values = this._concatAttribute(accessors, counts, 3, 0.0)
+          sources.push(_SCNGLTFLoader._createSource(values, _attributeSemantics[name], vertexCount, 3))
+        }
+      }
+      const target = new SCNGeometry(sources, [])
+      if(typeof names[t] === 'string'){
+        target.name = names[t]
+      }
+      targets.push(target)
+    }
+    return targets
+  }
+
+  /**
+   * @access private
+   * @param {Object} mesh -
+   * @param {?Array<number>} [weights = null] - weights of the node.
+   * @returns {SCNMorpher} -
+   */
+  _createMorpher(mesh, weights = null) {
+    const morpher = new SCNMorpher()
+    morpher.targets = mesh.targets
+    morpher.calculationMode = SCNMorpherCalculationMode.additive
+    const initialWeights = weights || mesh.weights
+    mesh.targets.forEach((target, i) => {
+      morpher.setWeightForTargetAt(initialWeights[i] || 0, i)
+    })
+    return morpher
+  }
+
+  /**
+   * @access private
+   * @param {Object} data - skin data.
+   * @param {Object} mesh -
+   * @returns {?SCNSkinner} - null if the mesh doesn't have the skinning attributes.
+   */
+  _loadSkinner(data, mesh) {
+    if(mesh.joints === null || mesh.jointWeights === null){
+      return null
+    }
+    const bones = data.joints.map((index) => this._nodes[index])
+    let inverseBindTransforms = bones.map(() => SCNMatrix4._identity())
+    if(typeof data.inverseBindMatrices !== 'undefined'){
+      const values = this._loadAccessor(data.inverseBindMatrices).values
+      inverseBindTransforms = bones.map((bone, i) => new SCNMatrix4(...values.slice(i * 16, i * 16 + 16)))
+    }
+    const boneWeights = _SCNGLTFLoader._createSource(mesh.jointWeights, SCNGeometrySource.Semantic.boneWeights, mesh.vertexCount, 4)
+    const boneIndices = _SCNGLTFLoader._createSource(mesh.joints, SCNGeometrySource.Semantic.boneIndices, mesh.vertexCount, 4)
+    const skinner = new SCNSkinner(mesh.geometry, bones, inverseBindTransforms, boneWeights, boneIndices)
+    if(typeof data.skeleton !== 'undefined'){
+      skinner.skeleton = this._nodes[data.skeleton]
+    }
+    return skinner
+  }
+
+  /**
+   * @access private
+   * @param {?number} index - undefined for the default material.
+   * @returns {SCNMaterial} -
+   */
+  _loadMaterial(index) {
+    if(typeof index === 'undefined'){
+      if(this._defaultMaterial === null){
+        this._defaultMaterial = this._createMaterial({})
+      }
+      return this._defaultMaterial
+    }
+    if(!this._materials.has(index)){
+      this._materials.set(index, this._createMaterial(this._gltf.materials[index]))
+    }
+    return this._materials.get(index)
+  }
+
+  /**
+   * @access private
+   * @param {Object} data -
+   * @returns {SCNMaterial} -
+   */
+  _createMaterial(data) {
+    const material = new SCNMaterial()
+    if(typeof data.name === 'string'){
+      material.name = data.name
+    }
+    material.lightingModel = SCNMaterial.LightingModel.physicallyBased
+
+    const pbr = data.pbrMetallicRoughness || {}
+    const baseColor = pbr.baseColorFactor || [1, 1, 1, 1]
+    const alphaMode = data.alphaMode || 'OPAQUE'
+    const alpha = alphaMode === 'OPAQUE' ? 1.0 : baseColor[3]
+    material.diffuse.contents = new SKColor(baseColor[0], baseColor[1], baseColor[2], alpha)
+    if(alphaMode === 'BLEND'){
+      material.transparency = alpha
+    }
+    const metallic = typeof pbr.metallicFactor === 'number' ? pbr.metallicFactor : 1.0
+    material.metalness.contents = new SKColor(metallic, metallic, metallic, 1.0)
+    const roughness = typeof pbr.roughnessFactor === 'number' ? pbr.roughnessFactor : 1.0
+    material.roughness.contents = new SKColor(roughness, roughness, roughness, 1.0)
+
+    if(pbr.baseColorTexture){
+      this._loadTexture(material.diffuse, pbr.baseColorTexture)
+    }
+    if(pbr.metallicRoughnessTexture){
+      // metalness is stored in the blue channel and roughness in the green channel.
+      this._loadTexture(material.metalness, pbr.metallicRoughnessTexture)
+      this._loadTexture(material.roughness, pbr.metallicRoughnessTexture)
+    }
+    if(data.normalTexture){
+      this._loadTexture(material.normal, data.normalTexture)
+    }
+    if(data.occlusionTexture){
+      this._loadTexture(material.ambientOcclusion, data.occlusionTexture)
+    }
+    if(data.emissiveTexture){
+      this._loadTexture(material.emission, data.emissiveTexture)
+    }else if(Array.isArray(data.emissiveFactor)){
+      const e = data.emissiveFactor
+      material.emission.contents = new SKColor(e[0], e[1], e[2], 1.0)
+    }
+    material.isDoubleSided = Boolean(data.doubleSided)
+    return material
+  }
+
+  /**
+   * @access private
+   * @param {SCNMaterialProperty} property -
+   * @param {Object} info - textureInfo.
+   * @returns {void}
+   */
+  _loadTexture(property, info) {
+    const texture = this._gltf.textures[info.index]
+    const image = this._gltf.images[texture.source]
+    if(typeof image.bufferView !== 'undefined'){
+      property._loadContentsImageByData(this._bufferViewData(image.bufferView))
+    }else if(image.uri.indexOf('data:') === 0){
+      property._loadContentsImageByData(_SCNGLTFLoader._dataOfDataURI(image.uri))
+    }else{
+      property._loadContentsImage(image.uri, this._directoryPath)
+    }
+
+    const sampler = typeof texture.sampler !== 'undefined' ? this._gltf.samplers[texture.sampler] : {}
+    property.wrapS = _wrapModes[sampler.wrapS] || SCNWrapMode.repeat
+    property.wrapT = _wrapModes[sampler.wrapT] || SCNWrapMode.repeat
+    property.mappingChannel = info.texCoord || 0
+  }
+
+  /**
+   * @access private
+   * @param {number} index -
+   * @returns {SCNCamera} -
+   */
+  _loadCamera(index) {
+    if(this._cameras.has(index)){
+      return this._cameras.get(index)
+    }
+    const data = this._gltf.cameras[index]
+    const camera = new SCNCamera()
+    if(typeof data.name === 'string'){
+      camera.name = data.name
+    }
+    if(data.type === 'orthographic'){
+      const orthographic = data.orthographic
+      camera.usesOrthographicProjection = true
+      camera.orthographicScale = orthographic.ymag
+      camera.zNear = orthographic.znear
+      camera.zFar = orthographic.zfar
+    }else{
+      const perspective = data.perspective
+      camera.yFov = perspective.yfov * 180.0 / Math.PI
+      camera.fieldOfView = camera.yFov
+      camera.projectionDirection = SCNCameraProjectionDirection.vertical
+      camera.zNear = perspective.znear
+      if(typeof perspective.zfar === 'number'){
+        camera.zFar = perspective.zfar
+      }
+    }
+    this._cameras.set(index, camera)
+    return camera
+  }
+
+  /**
+   * Creates a light defined by the KHR_lights_punctual extension.
+   * @access private
+   * @param {number} index -
+   * @returns {SCNLight} -
+   */
+  _loadLight(index) {
+    if(this._lights.has(index)){
+      return this._lights.get(index)
+    }
+    const data = this._gltf.extensions.KHR_lights_punctual.lights[index]
+    const light = new SCNLight()
+    if(typeof data.name === 'string'){
+      light.name = data.name
+    }
+    light.type = _lightTypes[data.type] || SCNLight.LightType.omni
+    const color = data.color || [1, 1, 1]
+    light.color = new SKColor(color[0], color[1], color[2], 1.0)
+    // the default intensity 1.0 of glTF corresponds to the default intensity 1000 of SCNLight.
+    light.intensity = (typeof data.intensity === 'number' ? data.intensity : 1.0) * 1000.0
+    if(typeof data.range === 'number'){
+      light.attenuationStartDistance = 0
+      light.attenuationEndDistance = data.range
+      light.attenuationFalloffExponent = 2
+    }
+    if(data.type === 'spot'){
+      // glTF angles are half angles of the cone in radians.
+      const spot = data.spot || {}
+      const inner = typeof spot.innerConeAngle === 'number' ? spot.innerConeAngle : 0
+      const outer = typeof spot.outerConeAngle === 'number' ? spot.outerConeAngle : Math.PI * 0.25
+      light.spotInnerAngle = inner * 360.0 / Math.PI
+      light.spotOuterAngle = outer * 360.0 / Math.PI
+    }
+    this._lights.set(index, light)
+    return light
+  }
+
+  /**
+   * Adds the animation to the target nodes. The channels of each node are grouped into a CAAnimationGroup.
+   * @access private
+   * @param {Object} data -
+   * @param {number} index -
+   * @returns {void}
+   */
+  _loadAnimation(data, index) {
+    const key = typeof data.name === 'string' ? data.name : `animation-${index}`
+    const channels = data.channels
+      .filter((channel) => typeof channel.target.node !== 'undefined')
+      .map((channel) => ({ node: channel.target.node, path: channel.target.path, sampler: data.samplers[channel.sampler] }))
+    if(channels.length === 0){
+      return
+    }
+    const duration = Math.max(...channels.map((channel) => {
+      const times = this._loadAccessor(channel.sampler.input).values
+      return times[times.length - 1]
+    }))
+
+    const animationsOfNode = new Map()
+    for(const channel of channels){
+      if(!animationsOfNode.has(channel.node)){
+        animationsOfNode.set(channel.node, [])
+      }
+      animationsOfNode.get(channel.node).push(...this._createKeyframeAnimations(channel, duration))
+    }
+    for(const [nodeIndex, animations] of animationsOfNode){
+      const group = new CAAnimationGroup()
+      group.animations = animations
+      group.duration = duration
+      group.repeatCount = Infinity
+      this._nodes[nodeIndex].addAnimationForKey(group, key)
+    }
+  }
+
+  /**
+   * @access private
+   * @param {Object} channel -
+   * @param {number} duration - duration of the animation.
+   * @returns {CAKeyframeAnimation[]} -
+   */
+  _createKeyframeAnimations(channel, duration) {
+    const sampler = channel.sampler
+    const interpolation = sampler.interpolation || 'LINEAR'
+    const times = this._loadAccessor(sampler.input).values
+    const output = this._loadAccessor(sampler.output)
+    const keyTimes = times.map((t) => duration > 0 ? t / duration : 0)
+
+    // cubic spline outputs have an in-tangent, a value and an out-tangent for each keyframe.
+    // the tangents are not used: SceneKit calculates them from the values.
+    const elementsPerKey = interpolation === 'CUBICSPLINE' ? 3 : 1
+    const valueCount = output.values.length / (times.length * elementsPerKey)
+    const valueAt = (keyIndex, offset) => {
+      const base = (keyIndex * elementsPerKey + (elementsPerKey === 3 ? 1 : 0)) * valueCount
+      return output.values[base + offset]
+    }
+
+    const create = (keyPath, values) => {
+      const animation = new CAKeyframeAnimation(keyPath)
+      animation.values = values
+      animation.keyTimes = keyTimes
+      animation.duration = duration
+      animation.calculationMode = _calculationModes[interpolation] || Constants.kCAAnimationLinear
+      return animation
+    }
+
+    if(channel.path === 'weights'){
+      const animations = []
+      for(let t=0; t<valueCount; t++){
+        animations.push(create(`morpher.weights[${t}]`, times.map((time, i) => valueAt(i, t))))
+      }
+      return animations
+    }
+    const keyPath = _animationKeyPaths[channel.path]
+    if(typeof keyPath === 'undefined'){
+      return []
+    }
+    const values = times.map((time, i) => {
+      if(channel.path === 'rotation'){
+        return new SCNVector4(valueAt(i, 0), valueAt(i, 1), valueAt(i, 2), valueAt(i, 3))
+      }
+      return new SCNVector3(valueAt(i, 0), valueAt(i, 1), valueAt(i, 2))
+    })
+    return [create(keyPath, values)]
+  }
+}
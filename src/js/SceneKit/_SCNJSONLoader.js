@@ -0,0 +1,341 @@
+'use strict'
+
+import CAMediaTimingFunction from '../QuartzCore/CAMediaTimingFunction'
+import CGPoint from '../CoreGraphics/CGPoint'
+import CGSize from '../CoreGraphics/CGSize'
+import SCNCamera from './SCNCamera'
+import SCNGeometry from './SCNGeometry'
+import SCNGeometryElement from './SCNGeometryElement'
+import SCNGeometrySource from './SCNGeometrySource'
+import SCNLight from './SCNLight'
+import SCNMaterial from './SCNMaterial'
+import SCNMaterialProperty from './SCNMaterialProperty'
+import SCNMatrix4 from './SCNMatrix4'
+import SCNNode from './SCNNode'
+import SCNPhysicsBody from './SCNPhysicsBody'
+import SCNPhysicsShape from './SCNPhysicsShape'
+import SCNScene from './SCNScene'
+import SCNVector3 from './SCNVector3'
+import SCNVector4 from './SCNVector4'
+import SKColor from '../SpriteKit/SKColor'
+import _ClassList from '../util/_ClassList'
+
+/**
+ * Reads a scene written by SCNScene.writeTo.
+ * @access private
+ */
+export default class _SCNJSONLoader {
+  /**
+   * @access private
+   * @constructor
+   * @param {Object} archive - parsed JSON data.
+   * @param {?string} [url = null] -
+   */
+  constructor(archive, url = null) {
+    this._archive = archive
+    this._filePath = url
+    this._geometries = []
+    this._materials = []
+    this._nodes = new Map()
+
+    // physics shapes can refer to nodes which are not loaded yet.
+    this._nodeReferences = []
+  }
+
+  /**
+   * @access public
+   * @param {string} data -
+   * @param {?string} [url = null] -
+   * @param {?Map<string, Object>} [options = null] -
+   * @returns {SCNScene} -
+   */
+  static unarchiveObjectWithData(data, url = null, options = null) {
+    const loader = new _SCNJSONLoader(JSON.parse(data), url)
+    return loader._loadScene()
+  }
+
+  /**
+   * Returns the metadata of the scene file.
+   * @access public
+   * @param {string} data -
+   * @returns {Object} -
+   */
+  static assetWithData(data) {
+    const loader = new _SCNJSONLoader(JSON.parse(data))
+    if(!loader._archive.asset){
+      return {}
+    }
+    return loader._loadValue(loader._archive.asset)
+  }
+
+  /**
+   * @access public
+   * @param {string} data -
+   * @returns {boolean} - true if the data is written by SCNScene.writeTo.
+   */
+  static isJSONData(data) {
+    if(typeof data !== 'string'){
+      return false
+    }
+    return /^\s*\{\s*"format"\s*:\s*"jscenekit"/.test(data)
+  }
+
+  get _directoryPath() {
+    if(this._filePath === null){
+      return ''
+    }
+    const paths = this._filePath.split('/')
+    paths.pop()
+    if(paths.length === 0){
+      return ''
+    }
+    return paths.join('/') + '/'
+  }
+
+  /**
+   * @access private
+   * @returns {SCNScene} -
+   */
+  _loadScene() {
+    const archive = this._archive
+    if(archive.format !== 'jscenekit'){
+      throw new Error(`unknown format: ${archive.format}`)
+    }
+    this._materials = archive.materials.map((data) => this._loadMaterial(data))
+    this._geometries = archive.geometries.map((data) => this._loadGeometry(data))
+
+    const data = archive.scene
+    const scene = new SCNScene()
+    this._setProperties(scene, data.properties)
+    this._loadMaterialProperty(scene.background, data.background)
+    if(data.lightingEnvironment){
+      scene._lightingEnvironment = new SCNMaterialProperty()
+      this._loadMaterialProperty(scene._lightingEnvironment, data.lightingEnvironment)
+    }
+    this._setProperties(scene.physicsWorld, data.physicsWorld)
+
+    this._loadNode(data.rootNode, scene.rootNode)
+
+    for(const ref of this._nodeReferences){
+      ref(this._nodes)
+    }
+    return scene
+  }
+
+  /**
+   * @access private
+   * @param {Object} data -
+   * @param {SCNNode} [node = new SCNNode()] - the node to load the data into.
+   * @returns {SCNNode} -
+   */
+  _loadNode(data, node = new SCNNode()) {
+    this._nodes.set(data.id, node)
+    this._setProperties(node, data.properties)
+    node.transform = new SCNMatrix4(...data.transform)
+    if(data.geometry !== null){
+      node.geometry = this._geometries[data.geometry]
+    }
+    if(data.light){
+      node.light = new SCNLight()
+      this._setProperties(node.light, data.light)
+    }
+    if(data.camera){
+      node.camera = new SCNCamera()
+      this._setProperties(node.camera, data.camera)
+    }
+    if(data.physicsBody){
+      this._loadPhysicsBody(node, data.physicsBody)
+    }
+    for(const anim of data.animations){
+      node.addAnimationForKey(this._loadAnimation(anim.animation), anim.key)
+    }
+    for(const child of data.childNodes){
+      node.addChildNode(this._loadNode(child))
+    }
+    return node
+  }
+
+  /**
+   * @access private
+   * @param {Object} obj -
+   * @param {Object} properties -
+   * @returns {void}
+   */
+  _setProperties(obj, properties) {
+    for(const key of Object.keys(properties)){
+      const value = this._loadValue(properties[key])
+      if(typeof value === 'object' && value !== null && typeof value.$nodeID !== 'undefined'){
+        this._nodeReferences.push((nodes) => {
+          obj[key] = nodes.get(value.$nodeID)
+        })
+        continue
+      }
+      obj[key] = value
+    }
+  }
+
+  /**
+   * @access private
+   * @param {Object} data -
+   * @returns {Object} -
+   */
+  _loadValue(data) {
+    if(data === null || typeof data !== 'object'){
+      return data
+    }
+    if(Array.isArray(data)){
+      return data.map((v) => this._loadValue(v))
+    }
+    const v = data.value
+    switch(data.$class){
+      case 'Number':
+        return Number(v)
+      case 'SKColor':
+        return new SKColor(v[0], v[1], v[2], v[3])
+      case 'SCNMatrix4':
+        return new SCNMatrix4(...v)
+      case 'SCNVector4':
+        return new SCNVector4(v[0], v[1], v[2], v[3])
+      case 'SCNVector3':
+        return new SCNVector3(v[0], v[1], v[2])
+      case 'CGPoint':
+        return new CGPoint(v[0], v[1])
+      case 'CGSize':
+        return new CGSize(v[0], v[1])
+      case 'CAMediaTimingFunction':
+        return new CAMediaTimingFunction(v[0], v[1], v[2], v[3])
+      case 'SCNNode':
+        return { $nodeID: v }
+      case 'Object': {
+        const dict = {}
+        for(const key of Object.keys(v)){
+          dict[key] = this._loadValue(v[key])
+        }
+        return dict
+      }
+      default:
+        throw new Error(`unknown class: ${data.$class}`)
+    }
+  }
+
+  /**
+   * @access private
+   * @param {Object} data -
+   * @returns {SCNGeometry} -
+   */
+  _loadGeometry(data) {
+    if(typeof data.$class !== 'undefined'){
+      return this._loadPrimitive(data)
+    }
+    const sources = data.sources.map((s) => new SCNGeometrySource(
+      s.data, s.semantic, s.vectorCount, s.floatComponents,
+      s.componentsPerVector, s.bytesPerComponent, s.offset, s.stride
+    ))
+    const elements = data.elements.map((e) => new SCNGeometryElement(
+      e.data, e.primitiveType, e.primitiveCount, e.bytesPerIndex
+    ))
+    const geometry = new SCNGeometry(sources, elements)
+    geometry.name = data.name
+    geometry.materials = data.materials.map((index) => this._materials[index])
+    return geometry
+  }
+
+  /**
+   * @access private
+   * @param {Object} data -
+   * @returns {SCNMaterial} -
+   */
+  _loadMaterial(data) {
+    const material = new SCNMaterial()
+    this._setProperties(material, data.properties)
+    for(const key of Object.keys(data)){
+      if(key === 'properties'){
+        continue
+      }
+      this._loadMaterialProperty(material[`_${key}`], data[key])
+    }
+    return material
+  }
+
+  /**
+   * @access private
+   * @param {?SCNMaterialProperty} property -
+   * @param {?Object} data -
+   * @returns {void}
+   */
+  _loadMaterialProperty(property, data) {
+    if(!property || !data){
+      return
+    }
+    this._setProperties(property, data.properties)
+    const contents = data.contents
+    if(contents === null){
+      property._contents = null
+    }else if(typeof contents.image === 'string'){
+      property._loadContentsImage(contents.image, this._directoryPath)
+    }else{
+      property._contents = this._loadValue(contents)
+    }
+  }
+
+  /**
+   * @access private
+   * @param {SCNNode} node -
+   * @param {Object} data -
+   * @returns {void}
+   */
+  _loadPhysicsBody(node, data) {
+    const body = new SCNPhysicsBody()
+    this._setProperties(body, data.properties)
+    node.physicsBody = body
+
+    const shape = data.shape
+    if(shape === null){
+      return
+    }
+    const options = this._loadValue(shape.options)
+    if(shape.geometry !== null){
+      body.physicsShape = new SCNPhysicsShape(this._geometries[shape.geometry], options)
+    }else if(shape.node !== null){
+      this._nodeReferences.push((nodes) => {
+        body.physicsShape = new SCNPhysicsShape(nodes.get(shape.node), options)
+      })
+    }
+  }
+
+  /**
+   * @access private
+   * @param {Object} data -
+   * @returns {SCNGeometry} - an instance of the primitive geometry class such as SCNBox.
+   */
+  _loadPrimitive(data) {
+    const geometryClass = _ClassList.get(data.$class)
+    if(typeof geometryClass === 'undefined'){
+      throw new Error(`unknown geometry class: ${data.$class}`)
+    }
+    const geometry = new geometryClass()
+    this._setProperties(geometry, data.properties)
+    geometry._createGeometry()
+    geometry.name = data.name
+    geometry.materials = data.materials.map((index) => this._materials[index])
+    return geometry
+  }
+
+  /**
+   * @access private
+   * @param {Object} data -
+   * @returns {CAAnimation} -
+   */
+  _loadAnimation(data) {
+    const animationClass = _ClassList.get(data.$class)
+    if(typeof animationClass === 'undefined'){
+      throw new Error(`unknown animation class: ${data.$class}`)
+    }
+    const animation = new animationClass()
+    this._setProperties(animation, data.properties)
+    if(Array.isArray(data.animations)){
+      animation.animations = data.animations.map((anim) => this._loadAnimation(anim))
+    }
+    return animation
+  }
+}
@@ -0,0 +1,503 @@
+'use strict'
+
+import CAAnimationGroup from '../QuartzCore/CAAnimationGroup'
+import CABasicAnimation from '../QuartzCore/CABasicAnimation'
+import CAKeyframeAnimation from '../QuartzCore/CAKeyframeAnimation'
+import CAMediaTimingFunction from '../QuartzCore/CAMediaTimingFunction'
+import CAPropertyAnimation from '../QuartzCore/CAPropertyAnimation'
+import CGPoint from '../CoreGraphics/CGPoint'
+import CGSize from '../CoreGraphics/CGSize'
+import SCNMatrix4 from './SCNMatrix4'
+import SCNNode from './SCNNode'
+import SCNVector3 from './SCNVector3'
+import SCNVector4 from './SCNVector4'
+import SKColor from '../SpriteKit/SKColor'
+import _InstanceOf from '../util/_InstanceOf'
+
+const _formatName = 'jscenekit'
+const _formatVersion = 1
+const _authoringTool = 'JSceneKit'
+
+const _nodeKeys = [
+  'name', 'isHidden', 'opacity', 'renderingOrder', 'castsShadow', 'categoryBitMask', 'movabilityHint'
+]
+const _materialKeys = [
+  'name', 'shininess', 'fresnelExponent', 'transparency', 'transparencyMode', 'lightingModel',
+  'isLitPerPixel', 'isDoubleSided', 'cullMode', 'blendMode', 'locksAmbientWithDiffuse',
+  'writesToDepthBuffer', 'readsFromDepthBuffer', 'colorBufferWriteMask', 'fillMode'
+]
+const _materialPropertyNames = [
+  'diffuse', 'ambient', 'specular', 'normal', 'reflective', 'emission', 'transparent', 'multiply',
+  'ambientOcclusion', 'selfIllumination', 'metalness', 'roughness', 'displacement'
+]
+const _materialPropertyKeys = [
+  'intensity', 'contentsTransform', 'wrapS', 'wrapT', 'minificationFilter', 'magnificationFilter',
+  'mipFilter', 'maxAnisotropy', 'mappingChannel', 'borderColor'
+]
+const _lightKeys = [
+  'name', 'type', 'color', 'temperature', 'intensity', 'attenuationStartDistance', 'attenuationEndDistance',
+  'attenuationFalloffExponent', 'spotInnerAngle', 'spotOuterAngle', 'castsShadow', 'shadowRadius',
+  'shadowColor', 'shadowMapSize', 'shadowSampleCount', 'shadowMode', 'shadowBias', 'orthographicScale',
+  'zFar', 'zNear', 'categoryBitMask', 'automaticallyAdjustsShadowProjection', 'forcesBackFaceCasters',
+  'maximumShadowDistance', 'sampleDistributedShadowMaps', 'shadowCascadeCount', 'shadowCascadeSplittingFactor'
+]
+const _cameraKeys = [
+  'name', 'zNear', 'zFar', 'yFov', 'xFov', 'fieldOfView', 'automaticallyAdjustsZRange',
+  'usesOrthographicProjection', 'orthographicScale', 'projectionDirection', 'categoryBitMask',
+  'focalDistance', 'focalSize', 'focalBlurRadius', 'aperture', 'motionBlurIntensity', 'wantsHDR',
+  'exposureOffset', 'averageGray', 'whitePoint', 'minimumExposure', 'maximumExposure',
+  'wantsExposureAdaptation', 'contrast', 'saturation', 'bloomIntensity', 'bloomThreshold',
+  'bloomBlurRadius', 'colorFringeIntensity', 'colorFringeStrength', 'vignettingIntensity', 'vignettingPower'
+]
+const _physicsBodyKeys = [
+  'type', 'mass', 'charge', 'friction', 'rollingFriction', 'restitution', 'damping', 'angularDamping',
+  'velocityFactor', 'angularVelocityFactor', 'isAffectedByGravity', 'allowsResting', 'momentOfInertia',
+  'usesDefaultMomentOfInertia', 'categoryBitMask', 'contactTestBitMask', 'collisionBitMask'
+]
+const _animationKeys = [
+  'isRemovedOnCompletion', 'timingFunction', 'usesSceneTimeBase', 'fadeInDuration', 'fadeOutDuration',
+  'beginTime', 'timeOffset', 'repeatCount', 'repeatDuration', 'duration', 'speed', 'autoreverses', 'fillMode'
+]
+const _propertyAnimationKeys = ['keyPath', 'isCumulative', 'isAdditive']
+const _basicAnimationKeys = ['fromValue', 'toValue', 'byValue']
+const _keyframeAnimationKeys = [
+  'values', 'keyTimes', 'timingFunctions', 'calculationMode', 'tensionValues', 'continuityValues', 'biasValues'
+]
+const _primitiveKeys = {
+  SCNBox: [
+    'width', 'height', 'length', 'chamferRadius',
+    'widthSegmentCount', 'heightSegmentCount', 'lengthSegmentCount', 'chamferSegmentCount'
+  ],
+  SCNCapsule: ['capRadius', 'height', 'radialSegmentCount', 'capSegmentCount', 'heightSegmentCount'],
+  SCNCone: ['topRadius', 'bottomRadius', 'height', 'radialSegmentCount', 'heightSegmentCount'],
+  SCNCylinder: ['radius', 'height', 'radialSegmentCount', 'heightSegmentCount'],
+  SCNFloor: [
+    'width', 'length', 'reflectivity', 'reflectionFalloffStart', 'reflectionFalloffEnd',
+    'reflectionResolutionScaleFactor', 'reflectionCategoryBitMask'
+  ],
+  SCNPlane: ['width', 'height', 'widthSegmentCount', 'heightSegmentCount', 'cornerRadius', 'cornerSegmentCount'],
+  SCNPyramid: ['width', 'height', 'length', 'widthSegmentCount', 'heightSegmentCount', 'lengthSegmentCount'],
+  SCNSphere: ['radius', 'isGeodesic', 'segmentCount'],
+  SCNTorus: ['ringRadius', 'pipeRadius', 'ringSegmentCount', 'pipeSegmentCount'],
+  SCNTube: ['innerRadius', 'outerRadius', 'height', 'radialSegmentCount', 'heightSegmentCount']
+}
+const _sceneKeys = ['fogStartDistance', 'fogEndDistance', 'fogDensityExponent', 'fogColor']
+const _physicsWorldKeys = ['gravity', 'speed', 'timeStep']
+
+/**
+ * Serializes a scene into the JSON format which _SCNJSONLoader reads.
+ * @access private
+ */
+export default class _SCNJSONWriter {
+  /**
+   * @access private
+   * @constructor
+   * @param {?string} [url = null] - URL of the file to write.
+   * @param {?SCNSceneExportDelegate} [delegate = null] -
+   * @param {?SCNSceneExportProgressHandler} [progressHandler = null] -
+   */
+  constructor(url = null, delegate = null, progressHandler = null) {
+    this._url = url
+    this._delegate = delegate
+    this._progressHandler = progressHandler
+
+    this._geometries = []
+    this._geometryData = []
+    this._materials = []
+    this._materialData = []
+    this._nodeIDs = new Map()
+    this._nodeCount = 0
+    this._writtenNodeCount = 0
+    this._stop = { value: false }
+  }
+
+  /**
+   * @access public
+   * @param {SCNScene} scene -
+   * @param {?string} [url = null] -
+   * @param {?Map<string, Object>} [options = null] -
+   * @param {?SCNSceneExportDelegate} [delegate = null] -
+   * @param {?SCNSceneExportProgressHandler} [progressHandler = null] -
+   * @returns {?string} - null if the export is stopped by the progress handler.
+   */
+  static dataWithScene(scene, url = null, options = null, delegate = null, progressHandler = null) {
+    const writer = new _SCNJSONWriter(url, delegate, progressHandler)
+    const archive = writer._archiveScene(scene)
+    if(archive === null){
+      return null
+    }
+    return JSON.stringify(archive)
+  }
+
+  /**
+   * @access private
+   * @param {SCNScene} scene -
+   * @returns {?Object} -
+   */
+  _archiveScene(scene) {
+    this._nodeCount = this._countNodes(scene.rootNode)
+    scene.rootNode.enumerateHierarchy((node) => {
+      this._nodeIDs.set(node, this._nodeIDs.size)
+    })
+
+    const rootNode = this._archiveNode(scene.rootNode)
+    if(this._stop.value){
+      return null
+    }
+
+    const data = {
+      format: _formatName,
+      version: _formatVersion,
+      asset: this._archiveValue({
+        authoring_tool: _authoringTool,
+        unit: { name: 'meter', meter: 1.0 },
+        up_axis: new SCNVector3(0, 1, 0)
+      }),
+      scene: {
+        properties: this._archiveProperties(scene, _sceneKeys),
+        background: this._archiveMaterialProperty(scene.background),
+        lightingEnvironment: this._archiveMaterialProperty(scene.lightingEnvironment),
+        physicsWorld: this._archiveProperties(scene.physicsWorld, _physicsWorldKeys),
+        rootNode: rootNode
+      },
+      geometries: this._geometryData,
+      materials: this._materialData
+    }
+    if(this._reportProgress(1.0)){
+      return null
+    }
+    return data
+  }
+
+  /**
+   * @access private
+   * @param {SCNNode} node -
+   * @returns {number} -
+   */
+  _countNodes(node) {
+    let count = 1
+    for(const child of node.childNodes){
+      count += this._countNodes(child)
+    }
+    return count
+  }
+
+  /**
+   * @access private
+   * @param {number} progress -
+   * @returns {boolean} - true if the export should be stopped.
+   */
+  _reportProgress(progress) {
+    if(this._progressHandler === null){
+      return false
+    }
+    this._progressHandler(progress, null, this._stop)
+    return this._stop.value
+  }
+
+  /**
+   * @access private
+   * @param {SCNNode} node -
+   * @returns {?Object} -
+   */
+  _archiveNode(node) {
+    const data = {
+      id: this._nodeIDs.get(node),
+      properties: this._archiveProperties(node, _nodeKeys),
+      transform: node.transform.floatArray(),
+      geometry: this._geometryIndex(node.geometry),
+      light: node.light ? this._archiveProperties(node.light, _lightKeys) : null,
+      camera: node.camera ? this._archiveProperties(node.camera, _cameraKeys) : null,
+      physicsBody: this._archivePhysicsBody(node.physicsBody),
+      animations: this._archiveAnimations(node),
+      childNodes: []
+    }
+
+    this._writtenNodeCount += 1
+    // the last 10% is left for the scene-level data.
+    if(this._reportProgress(0.9 * this._writtenNodeCount / this._nodeCount)){
+      return null
+    }
+
+    for(const child of node.childNodes){
+      const childData = this._archiveNode(child)
+      if(this._stop.value){
+        return null
+      }
+      data.childNodes.push(childData)
+    }
+    return data
+  }
+
+  /**
+   * @access private
+   * @param {Object} obj -
+   * @param {string[]} keys -
+   * @returns {Object} -
+   */
+  _archiveProperties(obj, keys) {
+    const data = {}
+    for(const key of keys){
+      const value = obj[key]
+      if(typeof value === 'undefined' || typeof value === 'function'){
+        continue
+      }
+      data[key] = this._archiveValue(value)
+    }
+    return data
+  }
+
+  /**
+   * @access private
+   * @param {Object} value -
+   * @returns {Object} -
+   */
+  _archiveValue(value) {
+    if(value === null || typeof value === 'boolean' || typeof value === 'string'){
+      return value
+    }
+    if(typeof value === 'number'){
+      if(Number.isFinite(value)){
+        return value
+      }
+      return { $class: 'Number', value: value.toString() }
+    }
+    if(Array.isArray(value) || ArrayBuffer.isView(value)){
+      return Array.from(value, (v) => this._archiveValue(v))
+    }
+    if(_InstanceOf(value, SKColor)){
+      return { $class: 'SKColor', value: [value.red, value.green, value.blue, value.alpha] }
+    }
+    if(_InstanceOf(value, SCNMatrix4)){
+      return { $class: 'SCNMatrix4', value: value.floatArray() }
+    }
+    if(_InstanceOf(value, SCNVector4)){
+      return { $class: 'SCNVector4', value: [value.x, value.y, value.z, value.w] }
+    }
+    if(_InstanceOf(value, SCNVector3)){
+      return { $class: 'SCNVector3', value: [value.x, value.y, value.z] }
+    }
+    if(_InstanceOf(value, CGPoint)){
+      return { $class: 'CGPoint', value: [value.x, value.y] }
+    }
+    if(_InstanceOf(value, CGSize)){
+      return { $class: 'CGSize', value: [value.width, value.height] }
+    }
+    if(_InstanceOf(value, CAMediaTimingFunction)){
+      return { $class: 'CAMediaTimingFunction', value: [value._c1x, value._c1y, value._c2x, value._c2y] }
+    }
+    if(_InstanceOf(value, SCNNode)){
+      return { $class: 'SCNNode', value: this._nodeIDs.get(value) }
+    }
+    if(value.constructor === Object){
+      const dict = {}
+      for(const key of Object.keys(value)){
+        dict[key] = this._archiveValue(value[key])
+      }
+      return { $class: 'Object', value: dict }
+    }
+    // values which can't be serialized are written as null.
+    return null
+  }
+
+  /**
+   * @access private
+   * @param {?SCNGeometry} geometry -
+   * @returns {?number} -
+   */
+  _geometryIndex(geometry) {
+    if(!geometry){
+      return null
+    }
+    const index = this._geometries.indexOf(geometry)
+    if(index >= 0){
+      return index
+    }
+    this._geometries.push(geometry)
+    const primitiveKeys = _primitiveKeys[geometry.className]
+    if(typeof primitiveKeys !== 'undefined'){
+      // the loader creates the vertices from the parameters.
+      const primitive = {
+        $class: geometry.className,
+        name: geometry.name,
+        properties: this._archiveProperties(geometry, primitiveKeys),
+        materials: []
+      }
+      this._geometryData.push(primitive)
+      primitive.materials = geometry.materials.map((material) => this._materialIndex(material))
+      return this._geometries.length - 1
+    }
+    const data = {
+      name: geometry.name,
+      sources: geometry.geometrySources.map((source) => ({
+        data: Array.from(source._data),
+        semantic: source._semantic,
+        vectorCount: source._vectorCount,
+        floatComponents: source._usesFloatComponents,
+        componentsPerVector: source._componentsPerVector,
+        bytesPerComponent: source._bytesPerComponent,
+        offset: source._dataOffset,
+        stride: source._dataStride
+      })),
+      elements: geometry.geometryElements.map((element) => ({
+        data: Array.from(element._data),
+        primitiveType: element._primitiveType,
+        primitiveCount: element._primitiveCount,
+        bytesPerIndex: element._bytesPerIndex
+      })),
+      materials: []
+    }
+    // add the data before materials so that the index matches the geometry.
+    this._geometryData.push(data)
+    data.materials = geometry.materials.map((material) => this._materialIndex(material))
+    return this._geometries.length - 1
+  }
+
+  /**
+   * @access private
+   * @param {SCNMaterial} material -
+   * @returns {number} -
+   */
+  _materialIndex(material) {
+    const index = this._materials.indexOf(material)
+    if(index >= 0){
+      return index
+    }
+    this._materials.push(material)
+    const data = {
+      properties: this._archiveProperties(material, _materialKeys)
+    }
+    for(const name of _materialPropertyNames){
+      data[name] = this._archiveMaterialProperty(material[`_${name}`])
+    }
+    this._materialData.push(data)
+    return this._materials.length - 1
+  }
+
+  /**
+   * @access private
+   * @param {?SCNMaterialProperty} property -
+   * @returns {?Object} -
+   */
+  _archiveMaterialProperty(property) {
+    if(!property){
+      return null
+    }
+    const data = {
+      properties: this._archiveProperties(property, _materialPropertyKeys),
+      contents: null
+    }
+    const contents = property._contents
+    if(contents === null || typeof contents === 'undefined'){
+      return data
+    }
+    if(_InstanceOf(contents, SKColor) || typeof contents === 'number'){
+      data.contents = this._archiveValue(contents)
+    }else if(typeof contents === 'string'){
+      data.contents = { image: this._imageURL(null, contents) }
+    }else if(typeof contents.src === 'string'){
+      data.contents = { image: this._imageURL(contents, contents.src) }
+    }
+    return data
+  }
+
+  /**
+   * Returns the URL of the image which is written in the file.
+   * @access private
+   * @param {?Image} image -
+   * @param {string} originalImageURL -
+   * @returns {string} -
+   */
+  _imageURL(image, originalImageURL) {
+    if(this._delegate && typeof this._delegate.writeWithSceneDocumentURL === 'function'){
+      const url = this._delegate.writeWithSceneDocumentURL(image, this._url, originalImageURL)
+      if(url){
+        return url
+      }
+    }
+    return originalImageURL
+  }
+
+  /**
+   * @access private
+   * @param {?SCNPhysicsBody} body -
+   * @returns {?Object} -
+   */
+  _archivePhysicsBody(body) {
+    if(!body){
+      return null
+    }
+    let shape = null
+    if(body.physicsShape){
+      const source = body.physicsShape._sourceObject
+      shape = {
+        geometry: null,
+        node: null,
+        options: this._archiveValue(body.physicsShape._options)
+      }
+      if(_InstanceOf(source, SCNNode)){
+        shape.node = this._nodeIDs.has(source) ? this._nodeIDs.get(source) : null
+        if(shape.node === null){
+          shape.geometry = this._geometryIndex(source.geometry)
+        }
+      }else{
+        shape.geometry = this._geometryIndex(source)
+      }
+    }
+    return {
+      properties: this._archiveProperties(body, _physicsBodyKeys),
+      shape: shape
+    }
+  }
+
+  /**
+   * @access private
+   * @param {SCNNode} node -
+   * @returns {Object[]} -
+   */
+  _archiveAnimations(node) {
+    const animations = []
+    for(const key of node.animationKeys){
+      const animation = this._archiveAnimation(node.animationForKey(key))
+      if(animation === null){
+        continue
+      }
+      animations.push({
+        // anonymous animations are added with a Symbol key.
+        key: typeof key === 'string' ? key : null,
+        animation: animation
+      })
+    }
+    return animations
+  }
+
+  /**
+   * @access private
+   * @param {CAAnimation} animation -
+   * @returns {?Object} -
+   */
+  _archiveAnimation(animation) {
+    if(!animation){
+      return null
+    }
+    let keys = _animationKeys
+    if(_InstanceOf(animation, CAPropertyAnimation)){
+      keys = keys.concat(_propertyAnimationKeys)
+    }
+    if(_InstanceOf(animation, CABasicAnimation)){
+      keys = keys.concat(_basicAnimationKeys)
+    }else if(_InstanceOf(animation, CAKeyframeAnimation)){
+      keys = keys.concat(_keyframeAnimationKeys)
+    }
+    const data = {
+      $class: animation.className,
+      properties: this._archiveProperties(animation, keys)
+    }
+    if(_InstanceOf(animation, CAAnimationGroup)){
+      data.animations = animation.animations
+        .map((anim) => this._archiveAnimation(anim))
+        .filter((anim) => anim !== null)
+    }
+    return data
+  }
+}
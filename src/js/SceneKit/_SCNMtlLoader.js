@@ -2,6 +2,8 @@
 
 import TGAImage from 'tgaimage'
 import SCNMaterial from './SCNMaterial'
+import SCNMatrix4 from './SCNMatrix4'
+import SCNWrapMode from './SCNWrapMode'
 import SKColor from '../SpriteKit/SKColor'
 import _File from '../util/_File'
 import _FileReader from '../util/_FileReader'
@@ -9,6 +11,23 @@ import _TextReader from '../util/_TextReader'
 
 /*global Buffer*/
 
+// the maximum number of arguments of each texture option.
+const _textureOptionArguments = {
+  '-blendu': 1,
+  '-blendv': 1,
+  '-bm': 1,
+  '-boost': 1,
+  '-cc': 1,
+  '-clamp': 1,
+  '-imfchan': 1,
+  '-mm': 2,
+  '-o': 3,
+  '-s': 3,
+  '-t': 3,
+  '-texres': 1,
+  '-type': 1
+}
+
 export default class _SCNMtlLoader {
 
   constructor(data = null, url = null) {
@@ -40,6 +59,7 @@ export default class _SCNMtlLoader {
       'Tf': this._TransmissionFilter,
       'illum': this._Illumination,
       'd': this._Dissolve,
+      'Tr': this._Transparency,
       'Ns': this._Exponent,
       'sharpness': this._Sharpness,
       'Ni': this._Density,
@@ -51,13 +71,27 @@ export default class _SCNMtlLoader {
       'map_d': this._DissolveTexture,
       'map_aat': this._AntiAliasingTexture,
       'decal': this._Decal,
-      'disp': this._Roughness,
+      'disp': this._DisplacementTexture,
       'bump': this._Bump,
+      'map_bump': this._Bump,
+      'map_Bump': this._Bump,
 
       'refl': this._Reflection,
 
       'Ke': this._Emission,
-      'map_Ke': this._EmissionTexture
+      'map_Ke': this._EmissionTexture,
+
+      // PBR extension
+      'Pr': this._Roughness,
+      'Pm': this._Metallic,
+      'Ps': this._Sheen,
+      'Pc': this._ClearcoatThickness,
+      'Pcr': this._ClearcoatRoughness,
+      'aniso': this._Anisotropy,
+      'anisor': this._AnisotropyRotation,
+      'norm': this._NormalTexture,
+      'map_Pr': this._RoughnessTexture,
+      'map_Pm': this._MetallicTexture
     }
     this._funcs = {}
     Object.keys(funcs).forEach((key) => {
@@ -105,6 +139,104 @@ export default class _SCNMtlLoader {
     return line.split(' ').filter((str) => (str !== '')).map((str) => str.trim())
   }
 
+  /**
+   * @access private
+   * @param {string[]} tokens - Ka r g b | Ka xyz x y z | Ka spectral file.rfl factor
+   * @returns {SKColor} -
+   */
+  static _colorOf(tokens) {
+    if(tokens[1] === 'spectral'){
+      // reflectance curves are not supported; the factor is used as a gray level.
+      const factor = tokens.length > 3 ? parseFloat(tokens[3]) : 1.0
+      return new SKColor(factor, factor, factor, 1.0)
+    }
+    if(tokens[1] === 'xyz'){
+      const x = parseFloat(tokens[2])
+      const y = tokens.length > 3 ? parseFloat(tokens[3]) : x
+      const z = tokens.length > 4 ? parseFloat(tokens[4]) : x
+      // CIE XYZ to linear sRGB (D65)
+      const r = 3.2406 * x - 1.5372 * y - 0.4986 * z
+      const g = -0.9689 * x + 1.8758 * y + 0.0415 * z
+      const b = 0.0557 * x - 0.2040 * y + 1.0570 * z
+      return new SKColor(Math.max(r, 0), Math.max(g, 0), Math.max(b, 0), 1.0)
+    }
+    const r = parseFloat(tokens[1])
+    const g = tokens.length > 2 ? parseFloat(tokens[2]) : r
+    const b = tokens.length > 3 ? parseFloat(tokens[3]) : r
+    return new SKColor(r, g, b, 1.0)
+  }
+
+  /**
+   * @access private
+   * @param {string[]} tokens - map_Kd [options] filename
+   * @returns {Object} - path and options of the texture.
+   */
+  static _textureOptionsOf(tokens) {
+    const options = {
+      path: null,
+      offset: [0, 0, 0],
+      scale: [1, 1, 1],
+      clamp: false,
+      bumpMultiplier: 1.0
+    }
+    const isNumber = (str) => !isNaN(parseFloat(str))
+    let i = 1
+    while(i < tokens.length - 2 && typeof _textureOptionArguments[tokens[i]] !== 'undefined'){
+      const option = tokens[i]
+      const maxCount = _textureOptionArguments[option]
+      const args = [tokens[i + 1]]
+      i += 2
+      // the optional arguments are numbers. the last token is the file name.
+      while(args.length < maxCount && i < tokens.length - 1 && isNumber(tokens[i])){
+        args.push(tokens[i])
+        i += 1
+      }
+      switch(option){
+        case '-o':
+          options.offset = [0, 1, 2].map((k) => k < args.length ? parseFloat(args[k]) : 0)
+          break
+        case '-s':
+          options.scale = [0, 1, 2].map((k) => k < args.length ? parseFloat(args[k]) : 1)
+          break
+        case '-clamp':
+          options.clamp = args[0] === 'on'
+          break
+        case '-bm':
+          options.bumpMultiplier = parseFloat(args[0])
+          break
+        default:
+          // blending, color correction, channels and turbulence are not supported.
+          break
+      }
+    }
+    options.path = tokens.slice(i).join(' ')
+    return options
+  }
+
+  /**
+   * @access private
+   * @param {SCNMaterialProperty} property -
+   * @param {string[]} tokens - map_Kd [options] filename
+   * @returns {Object} - options of the texture.
+   */
+  _loadTextureFor(property, tokens) {
+    const options = _SCNMtlLoader._textureOptionsOf(tokens)
+    // textures repeat unless -clamp on is specified.
+    const wrapMode = options.clamp ? SCNWrapMode.clamp : SCNWrapMode.repeat
+    property.wrapS = wrapMode
+    property.wrapT = wrapMode
+
+    // uv' = uv * scale + offset. the obj loader flips v, so the offset of v is flipped as well.
+    const [su, sv] = options.scale
+    const [ou, ov] = options.offset
+    property.contentsTransform = SCNMatrix4.matrixWithScale(su, sv, 1).mult(SCNMatrix4.matrixWithTranslation(ou, 1 - sv - ov, 0))
+
+    property._loadedPromise = this._loadTexture(options.path).then((image) => {
+      property.contents = image
+    })
+    return options
+  }
+
   /**
    * @access private
    * @param {string} path -
@@ -149,7 +281,7 @@ export default class _SCNMtlLoader {
     while(!this._break && line !== null){
       const tokens = this._getTokens(line)
 
-      if(tokens.lengt === 0){
+      if(tokens.length === 0){
         line = this._reader.readLine()
         continue
       }
@@ -175,6 +307,7 @@ export default class _SCNMtlLoader {
     tokens.shift()
     const materialName = tokens.join(' ')
     const material = new SCNMaterial()
+    material.name = materialName
     this._materials[materialName] = material
     this._workingMaterial = material
   }
@@ -203,17 +336,7 @@ export default class _SCNMtlLoader {
    * @returns {void}
    */
   _Ambient(tokens) {
-    if(tokens[1] === 'spectral'){
-      // TODO: implement
-    }else if(tokens[1] === 'xyz'){
-      // TODO: implement
-    }else{
-      const r = parseFloat(tokens[1])
-      const g = parseFloat(tokens[2])
-      const b = parseFloat(tokens[3])
-      const a = 1.0
-      this._workingMaterial.ambient.contents = new SKColor(r, g, b, a)
-    }
+    this._workingMaterial.ambient.contents = _SCNMtlLoader._colorOf(tokens)
   }
 
   /**
@@ -222,11 +345,7 @@ export default class _SCNMtlLoader {
    * @returns {void}
    */
   _Diffuse(tokens) {
-    const r = parseFloat(tokens[1])
-    const g = parseFloat(tokens[2])
-    const b = parseFloat(tokens[3])
-    const a = 1.0
-    this._workingMaterial.diffuse.contents = new SKColor(r, g, b, a)
+    this._workingMaterial.diffuse.contents = _SCNMtlLoader._colorOf(tokens)
   }
 
   /**
@@ -235,11 +354,7 @@ export default class _SCNMtlLoader {
    * @returns {void}
    */
   _Specular(tokens) {
-    const r = parseFloat(tokens[1])
-    const g = parseFloat(tokens[2])
-    const b = parseFloat(tokens[3])
-    const a = 1.0
-    this._workingMaterial.specular.contents = new SKColor(r, g, b, a)
+    this._workingMaterial.specular.contents = _SCNMtlLoader._colorOf(tokens)
   }
 
   /**
@@ -257,7 +372,21 @@ export default class _SCNMtlLoader {
    * @returns {void}
    */
   _Illumination(tokens) {
-    
+    const material = this._workingMaterial
+    if(material.lightingModel === SCNMaterial.LightingModel.physicallyBased){
+      // PBR parameters take precedence over the illumination model.
+      return
+    }
+    switch(parseInt(tokens[1], 10)){
+      case 0:
+        material.lightingModel = SCNMaterial.LightingModel.constant
+        break
+      case 1:
+        material.lightingModel = SCNMaterial.LightingModel.lambert
+        break
+      default:
+        material.lightingModel = SCNMaterial.LightingModel.blinn
+    }
   }
 
   /**
@@ -266,8 +395,17 @@ export default class _SCNMtlLoader {
    * @returns {void}
    */
   _Dissolve(tokens) {
-    const d = parseFloat(tokens[1])
-    this._workingMaterial.multiply.contents = new SKColor(d, d, d, 1.0)
+    // d [-halo] factor
+    this._workingMaterial.transparency = parseFloat(tokens[tokens.length - 1])
+  }
+
+  /**
+   * @access private
+   * @param {string[]} tokens - 
+   * @returns {void}
+   */
+  _Transparency(tokens) {
+    this._workingMaterial.transparency = 1.0 - parseFloat(tokens[1])
   }
 
   /**
@@ -303,7 +441,7 @@ export default class _SCNMtlLoader {
    * @returns {void}
    */
   _AmbientTexture(tokens) {
-    
+    this._loadTextureFor(this._workingMaterial.ambient, tokens)
   }
 
   /**
@@ -312,10 +450,7 @@ export default class _SCNMtlLoader {
    * @returns {void}
    */
   _DiffuseTexture(tokens) {
-    const material = this._workingMaterial
-    this._loadTexture(tokens[1]).then((image) => {
-      material.diffuse.contents = image
-    })
+    this._loadTextureFor(this._workingMaterial.diffuse, tokens)
   }
 
   /**
@@ -324,7 +459,7 @@ export default class _SCNMtlLoader {
    * @returns {void}
    */
   _SpecularTexture(tokens) {
-    
+    this._loadTextureFor(this._workingMaterial.specular, tokens)
   }
 
   /**
@@ -342,7 +477,7 @@ export default class _SCNMtlLoader {
    * @returns {void}
    */
   _DissolveTexture(tokens) {
-    
+    this._loadTextureFor(this._workingMaterial.transparent, tokens)
   }
 
   /**
@@ -368,8 +503,8 @@ export default class _SCNMtlLoader {
    * @param {string[]} tokens - 
    * @returns {void}
    */
-  _Roughness(tokens) {
-    
+  _DisplacementTexture(tokens) {
+    this._loadTextureFor(this._workingMaterial.displacement, tokens)
   }
 
   /**
@@ -378,7 +513,9 @@ export default class _SCNMtlLoader {
    * @returns {void}
    */
   _Bump(tokens) {
-    
+    const property = this._workingMaterial.normal
+    const options = this._loadTextureFor(property, tokens)
+    property.intensity = options.bumpMultiplier
   }
 
   /**
@@ -387,7 +524,8 @@ export default class _SCNMtlLoader {
    * @returns {void}
    */
   _Reflection(tokens) {
-    
+    // refl -type sphere filename
+    this._loadTextureFor(this._workingMaterial.reflective, tokens)
   }
 
   /**
@@ -396,11 +534,7 @@ export default class _SCNMtlLoader {
    * @returns {void}
    */
   _Emission(tokens) {
-    const r = parseFloat(tokens[1])
-    const g = parseFloat(tokens[2])
-    const b = parseFloat(tokens[3])
-    const a = 1.0
-    this._workingMaterial.emission.contents = new SKColor(r, g, b, a)
+    this._workingMaterial.emission.contents = _SCNMtlLoader._colorOf(tokens)
   }
 
   /**
@@ -409,7 +543,110 @@ export default class _SCNMtlLoader {
    * @returns {void}
    */
   _EmissionTexture(tokens) {
-    
+    this._loadTextureFor(this._workingMaterial.emission, tokens)
+  }
+
+  /**
+   * @access private
+   * @returns {SCNMaterial} - the working material which uses the physically based lighting model.
+   */
+  _physicallyBasedMaterial() {
+    const material = this._workingMaterial
+    material.lightingModel = SCNMaterial.LightingModel.physicallyBased
+    return material
+  }
+
+  /**
+   * @access private
+   * @param {string[]} tokens - 
+   * @returns {void}
+   */
+  _Roughness(tokens) {
+    const r = parseFloat(tokens[1])
+    this._physicallyBasedMaterial().roughness.contents = new SKColor(r, r, r, 1.0)
+  }
+
+  /**
+   * @access private
+   * @param {string[]} tokens - 
+   * @returns {void}
+   */
+  _Metallic(tokens) {
+    const m = parseFloat(tokens[1])
+    this._physicallyBasedMaterial().metalness.contents = new SKColor(m, m, m, 1.0)
+  }
+
+  /**
+   * SCNMaterial doesn't have sheen, clearcoat and anisotropy properties. They are kept for shader modifiers.
+   * @access private
+   * @param {string[]} tokens - 
+   * @returns {void}
+   */
+  _Sheen(tokens) {
+    this._physicallyBasedMaterial().setValueForUndefinedKey(parseFloat(tokens[1]), 'sheen')
+  }
+
+  /**
+   * @access private
+   * @param {string[]} tokens - 
+   * @returns {void}
+   */
+  _ClearcoatThickness(tokens) {
+    this._physicallyBasedMaterial().setValueForUndefinedKey(parseFloat(tokens[1]), 'clearCoat')
+  }
+
+  /**
+   * @access private
+   * @param {string[]} tokens - 
+   * @returns {void}
+   */
+  _ClearcoatRoughness(tokens) {
+    this._physicallyBasedMaterial().setValueForUndefinedKey(parseFloat(tokens[1]), 'clearCoatRoughness')
+  }
+
+  /**
+   * @access private
+   * @param {string[]} tokens - 
+   * @returns {void}
+   */
+  _Anisotropy(tokens) {
+    this._physicallyBasedMaterial().setValueForUndefinedKey(parseFloat(tokens[1]), 'anisotropy')
+  }
+
+  /**
+   * @access private
+   * @param {string[]} tokens - 
+   * @returns {void}
+   */
+  _AnisotropyRotation(tokens) {
+    this._physicallyBasedMaterial().setValueForUndefinedKey(parseFloat(tokens[1]), 'anisotropyRotation')
+  }
+
+  /**
+   * @access private
+   * @param {string[]} tokens - 
+   * @returns {void}
+   */
+  _NormalTexture(tokens) {
+    this._loadTextureFor(this._workingMaterial.normal, tokens)
+  }
+
+  /**
+   * @access private
+   * @param {string[]} tokens - 
+   * @returns {void}
+   */
+  _RoughnessTexture(tokens) {
+    this._loadTextureFor(this._physicallyBasedMaterial().roughness, tokens)
+  }
+
+  /**
+   * @access private
+   * @param {string[]} tokens - 
+   * @returns {void}
+   */
+  _MetallicTexture(tokens) {
+    this._loadTextureFor(this._physicallyBasedMaterial().metalness, tokens)
   }
 }
 
@@ -17,6 +17,9 @@ import _TextReader from '../util/_TextReader'
 
 /*global Buffer*/
 
+// the number of segments of each knot span when ctech/stech doesn't specify it.
+const _defaultResolution = 8
+
 export default class _SCNObjLoader {
   constructor(data = null, url = null) {
 
@@ -145,26 +148,43 @@ export default class _SCNObjLoader {
     this._scene.rootNode.addChildNode(this._node)
 
     this._vertexArray = [new SCNVector3(0, 0, 0)]
+    this._weightArray = [1.0]
     this._normalArray = [new SCNVector3(0, 0, 0)]
     this._texcoordArray = [new CGPoint(0, 0)]
-    this._materialPromise = Promise.resolve()
+    this._materialPromise = null
     this._materialMap = {}
     this._skinArray = []
-    this._indexArrayMap = {[defaultMtlName]: []}
-    this._currentMtlName = defaultMtlName
-    this._currentIndexArray = this._indexArrayMap[defaultMtlName]
+    this._skinOfVertex = []
+    this._indexArrayMap = {}
+    this._lineArrayMap = {}
+    this._pointArrayMap = {}
+    this._MaterialName(['usemtl', defaultMtlName])
     this._currentGroupName = defaultGroupName
 
+    // null until the first smoothing group statement; 0 means off.
+    this._smoothingGroup = null
+    this._hasSmoothingGroups = false
+    this._faceCount = 0
+
+    // free-form geometry
+    this._curveType = null
+    this._rational = false
+    this._degree = [1, 1]
+    this._curveResolution = _defaultResolution
+    this._surfaceResolution = [_defaultResolution, _defaultResolution]
+    this._freeForm = null
+    this._hasGeneratedNormals = false
+
     this._vertexSource = null
     this._elementArray = []
 
-    let currentSmoothingGroup = -1
-    let currentSmoothingVertices = null
-    let smoothingVerticesHash = {}
-
     let line = this._reader.readLine()
-    this._break = false
-    while(!this._break && line !== null){
+    while(line !== null){
+      // a backslash at the end of a line joins the next line.
+      while(/\\\s*$/.test(line)){
+        const next = this._reader.readLine()
+        line = line.replace(/\\\s*$/, ' ') + (next === null ? '' : next)
+      }
       const tokens = this._getTokens(line)
 
       if(tokens.length === 0){
@@ -180,6 +200,11 @@ export default class _SCNObjLoader {
 
       line = this._reader.readLine()
     }
+    this._createGeometry()
+    if(this._materialPromise === null){
+      this._node._loadedPromise = Promise.resolve()
+      return this._scene
+    }
     const promise = this._materialPromise.then((materialArray) => {
       const materialCount = materialArray.length
       for(let i=materialCount-1; i>=0; i--){
@@ -188,7 +213,10 @@ export default class _SCNObjLoader {
           this._materialMap[name] = material[name]
         })
       }
-      this._createGeometry()
+      // replace the placeholders with the loaded materials.
+      this._geometry.materials = this._geometry.materials.map((material) => {
+        return this._materialMap[material.name] || material
+      })
     })
     this._node._loadedPromise = promise
 
@@ -205,16 +233,24 @@ export default class _SCNObjLoader {
     const texcoordData = []
     const normalData = []
 
+    // faces without vn get normals of their smoothing groups if the geometry has normals.
+    const useNormals = this._normalArray.length > 1 || this._hasSmoothingGroups || this._hasGeneratedNormals
+    const smoothingNormals = useNormals ? this._smoothingNormals() : null
+
     // vertex data
     for(let i=0; i<skinCount; i++){
       const skin = this._skinArray[i]
       let vertex = null
       let texcoord = null
       let normal = null
-      if(skin){
+      if(skin.generated){
+        vertex = skin.generated.position
+        texcoord = skin.generated.texcoord
+        normal = skin.generated.normal
+      }else{
         vertex = this._vertexArray[skin.vertex]
         texcoord = this._texcoordArray[skin.texcoord]
-        normal = this._normalArray[skin.normal]
+        normal = skin.normal === 0 && smoothingNormals !== null ? smoothingNormals[i] : this._normalArray[skin.normal]
       }
 
       if(vertex){
@@ -269,29 +305,44 @@ export default class _SCNObjLoader {
       8 // dataStride
     )
 
+    const primitives = [
+      { map: this._indexArrayMap, type: SCNGeometryPrimitiveType.triangles, indicesPerPrimitive: 3 },
+      { map: this._lineArrayMap, type: SCNGeometryPrimitiveType.line, indicesPerPrimitive: 2 },
+      { map: this._pointArrayMap, type: SCNGeometryPrimitiveType.point, indicesPerPrimitive: 1 }
+    ]
     const materialNames = Object.keys(this._indexArrayMap)
     const materialArray = []
     materialNames.forEach((materialName) => {
-      const indexArray = this._indexArrayMap[materialName]
-      const indexCount = indexArray.length / 3
-      if(indexCount === 0){
-        return
+      // a placeholder until the material library is loaded.
+      const material = new SCNMaterial()
+      material.name = materialName
+
+      for(const primitive of primitives){
+        const indexArray = primitive.map[materialName]
+        const indexCount = indexArray.length / primitive.indicesPerPrimitive
+        if(indexCount === 0){
+          continue
+        }
+        const element = new SCNGeometryElement(
+          indexArray, // data
+          primitive.type, // primitiveType
+          indexCount, // primitiveCount
+          4 // bytesPerIndex
+        )
+        materialArray.push(material)
+        this._elementArray.push(element)
       }
-      const material = this._materialMap[materialName] || (new SCNMaterial())
-
-      const element = new SCNGeometryElement(
-        indexArray, // data
-        SCNGeometryPrimitiveType.triangles, // primitiveType
-        indexCount, // primitiveCount
-        4 // bytesPerIndex
-      )
-      materialArray.push(material)
-      this._elementArray.push(element)
     })
 
-    const geometry = new SCNGeometry([vertexSource, normalSource, texcoordSource], this._elementArray)
+    const sources = [vertexSource, texcoordSource]
+    if(useNormals){
+      // don't create normals if the file doesn't have them; SCNSceneSource can generate them.
+      sources.splice(1, 0, normalSource)
+    }
+    const geometry = new SCNGeometry(sources, this._elementArray)
     geometry.materials = materialArray
     geometry.name = 'Geometry'
+    this._geometry = geometry
     
     const geometryNode = new SCNNode(geometry)
     geometryNode.name = 'Geometry'
@@ -299,6 +350,62 @@ export default class _SCNObjLoader {
     this._node.addChildNode(geometryNode)
   }
 
+  /**
+   * Calculates the normals of the vertices which don't have vn.
+   * Faces in the same smoothing group share the normals at the same position. Faces whose smoothing group is off are flat.
+   * @access private
+   * @returns {Array<?SCNVector3>} - normals for each skin. null for the skins which have normals.
+   */
+  _smoothingNormals() {
+    const keyOf = (skin) => `${skin.vertex}/${skin.group}`
+    const sums = new Map()
+    Object.keys(this._indexArrayMap).forEach((materialName) => {
+      const indexArray = this._indexArrayMap[materialName]
+      for(let i=0; i<indexArray.length; i+=3){
+        const skins = [indexArray[i], indexArray[i + 1], indexArray[i + 2]].map((index) => this._skinArray[index])
+        if(skins.some((skin) => skin.generated)){
+          continue
+        }
+        const p0 = this._vertexArray[skins[0].vertex]
+        const p1 = this._vertexArray[skins[1].vertex]
+        const p2 = this._vertexArray[skins[2].vertex]
+        // weighted by the area of the face.
+        const normal = p1.sub(p0).cross(p2.sub(p0))
+        for(const skin of skins){
+          const key = keyOf(skin)
+          sums.set(key, (sums.get(key) || new SCNVector3(0, 0, 0)).add(normal))
+        }
+      }
+    })
+    return this._skinArray.map((skin) => {
+      if(skin.generated || skin.normal !== 0 || !sums.has(keyOf(skin))){
+        return null
+      }
+      return sums.get(keyOf(skin)).normalize()
+    })
+  }
+
+  /**
+   * Adds a vertex which is calculated by the loader, such as a point of a tessellated curve.
+   * @access private
+   * @param {SCNVector3} position -
+   * @param {?CGPoint} [texcoord = null] -
+   * @param {?SCNVector3} [normal = null] -
+   * @returns {number} - index of the vertex.
+   */
+  _addGeneratedVertex(position, texcoord = null, normal = null) {
+    const index = this._skinArray.length
+    this._skinArray.push({
+      index: index,
+      generated: { position: position, texcoord: texcoord, normal: normal },
+      next: null
+    })
+    if(normal !== null){
+      this._hasGeneratedNormals = true
+    }
+    return index
+  }
+
   /**
    * @access private
    * @param {string[]} tokens - 
@@ -319,6 +426,8 @@ export default class _SCNObjLoader {
     pos.y = parseFloat(tokens[2])
     pos.z = parseFloat(tokens[3])
     this._vertexArray.push(pos)
+    // the weight of rational curves and surfaces. 'v x y z r g b' has a vertex color instead.
+    this._weightArray.push(tokens.length === 5 ? parseFloat(tokens[4]) : 1.0)
   }
 
   /**
@@ -354,10 +463,25 @@ export default class _SCNObjLoader {
   _ParameterSpaceVertices(tokens) {
   }
 
+  /**
+   * @access private
+   * @param {string[]} tokens - cstype [rat] type
+   * @returns {void}
+   */
   _CurveSurfaceType(tokens) {
+    this._rational = tokens[1] === 'rat'
+    this._curveType = tokens[tokens.length - 1]
   }
 
+  /**
+   * @access private
+   * @param {string[]} tokens - deg degu [degv]
+   * @returns {void}
+   */
   _Degree(tokens) {
+    const degu = parseInt(tokens[1], 10)
+    const degv = tokens.length > 2 ? parseInt(tokens[2], 10) : degu
+    this._degree = [degu, degv]
   }
 
   _BasisMatrix(tokens) {
@@ -366,10 +490,32 @@ export default class _SCNObjLoader {
   _StepSize(tokens) {
   }
 
+  /**
+   * @access private
+   * @param {string[]} tokens - p v1 v2 ...
+   * @returns {void}
+   */
   _Point(tokens) {
+    for(let i=1; i<tokens.length; i++){
+      this._currentPointArray.push(this._getIndexForData(tokens[i].split('/')))
+    }
   }
 
+  /**
+   * @access private
+   * @param {string[]} tokens - l v1/vt1 v2/vt2 ...
+   * @returns {void}
+   */
   _Line(tokens) {
+    if(tokens.length < 3){
+      throw new Error('line needs 2 or more vertices')
+    }
+    let index2 = this._getIndexForData(tokens[1].split('/'))
+    for(let i=2; i<tokens.length; i++){
+      const index1 = index2
+      index2 = this._getIndexForData(tokens[i].split('/'))
+      this._currentLineArray.push(index1, index2)
+    }
   }
 
   _Face(tokens) {
@@ -378,72 +524,138 @@ export default class _SCNObjLoader {
       throw new Error(`numFaces(${numFaces}) <= 0`)
     }
 
-    let index1 = this._getIndexForData(tokens[1].split('/'))
+    // vertices of a face whose smoothing group is off are not shared with other faces.
+    let group = this._smoothingGroup
+    if(group === 0){
+      group = `f${this._faceCount}`
+    }
+    this._faceCount += 1
+
+    let index1 = this._getIndexForData(tokens[1].split('/'), group)
     let index2 = null
-    let index3 = this._getIndexForData(tokens[2].split('/'))
+    let index3 = this._getIndexForData(tokens[2].split('/'), group)
     for(let i=0; i<numFaces; i++){
       index2 = index3
-      index3 = this._getIndexForData(tokens[i+3].split('/'))
+      index3 = this._getIndexForData(tokens[i+3].split('/'), group)
 
       this._currentIndexArray.push(index1, index2, index3)
-
-      // TODO: consider smoothingGroup
     }
   }
 
+  /**
+   * @access private
+   * @param {number} index - 1-based index or negative index relative to the end.
+   * @param {Array} array -
+   * @returns {number} -
+   */
+  static _absoluteIndex(index, array) {
+    // array[0] is a placeholder, so -1 refers to the last element.
+    return index < 0 ? array.length + index : index
+  }
+
   /**
    * @access private
    * @param {number[]} data -
+   * @param {?(number|string)} [smoothingGroup = null] - used for the vertices without vn.
    * @returns {void} -
    */
-  _getIndexForData(data) {
-    const nv = parseInt(data[0])
-    const nt = parseInt(data[1]) || 0
-    const nn = parseInt(data[2]) || 0
-
-    let skin = this._skinArray[nv]
-    if(typeof skin === 'undefined'){
-      skin = {
-        index: nv,
-        vertex: nv,
-        texcoord: nt,
-        normal: nn,
-        next: null
-      }
-      this._skinArray[nv] = skin
-    }
-
-    let lastSkin = skin
-    while(skin && (skin.texcoord !== nt || skin.normal !== nn)){
+  _getIndexForData(data, smoothingGroup = null) {
+    const nv = _SCNObjLoader._absoluteIndex(parseInt(data[0], 10), this._vertexArray)
+    const nt = _SCNObjLoader._absoluteIndex(parseInt(data[1], 10) || 0, this._texcoordArray)
+    const nn = _SCNObjLoader._absoluteIndex(parseInt(data[2], 10) || 0, this._normalArray)
+    const group = nn === 0 ? smoothingGroup : null
+
+    let skin = this._skinOfVertex[nv]
+    let lastSkin = null
+    while(skin && (skin.texcoord !== nt || skin.normal !== nn || skin.group !== group)){
       lastSkin = skin
       skin = skin.next
     }
     if(!skin){
-      const newIndex = this._skinArray.length
       skin = {
-        index: newIndex,
+        index: this._skinArray.length,
         vertex: nv,
         texcoord: nt,
         normal: nn,
+        group: group,
         next: null
       }
-      this._skinArray[newIndex] = skin
-      lastSkin.next = skin
+      this._skinArray.push(skin)
+      if(lastSkin === null){
+        this._skinOfVertex[nv] = skin
+      }else{
+        lastSkin.next = skin
+      }
     }
 
     return skin.index
   }
 
+  /**
+   * @access private
+   * @param {string[]} tokens - curv u0 u1 v1 v2 ...
+   * @returns {void}
+   */
   _Curve(tokens) {
+    this._freeForm = {
+      type: 'curv',
+      range: [parseFloat(tokens[1]), parseFloat(tokens[2])],
+      controlPoints: tokens.slice(3).map((token) => this._controlPointOf(token)),
+      parameters: {}
+    }
   }
 
+  /**
+   * @access private
+   * @param {string[]} tokens - curv2 vp1 vp2 ...
+   * @returns {void}
+   */
   _2DCurve(tokens) {
+    // curves in the parameter space are used only for trimming.
+    this._freeForm = { type: 'curv2', parameters: {} }
   }
 
+  /**
+   * @access private
+   * @param {string[]} tokens - surf s0 s1 t0 t1 v1/vt1/vn1 ...
+   * @returns {void}
+   */
   _Surface(tokens) {
+    this._freeForm = {
+      type: 'surf',
+      range: [parseFloat(tokens[1]), parseFloat(tokens[2]), parseFloat(tokens[3]), parseFloat(tokens[4])],
+      controlPoints: tokens.slice(5).map((token) => this._controlPointOf(token)),
+      parameters: {}
+    }
+  }
+
+  /**
+   * @access private
+   * @param {string} token - v, v/vt or v/vt/vn
+   * @returns {Object} - position and weight.
+   */
+  _controlPointOf(token) {
+    const index = _SCNObjLoader._absoluteIndex(parseInt(token.split('/')[0], 10), this._vertexArray)
+    const position = this._vertexArray[index]
+    if(typeof position === 'undefined'){
+      throw new Error(`control point ${token} is not defined`)
+    }
+    return {
+      position: position,
+      weight: this._rational ? this._weightArray[index] : 1.0
+    }
   }
 
+  /**
+   * @access private
+   * @param {string[]} tokens - parm u|v p1 p2 ...
+   * @returns {void}
+   */
   _ParameterValues(tokens) {
+    if(this._freeForm === null){
+      throw new Error('parm statement outside of curv/surf')
+    }
+    this._freeForm.parameters[tokens[1]] = tokens.slice(2).map(parseFloat)
   }
 
   _OuterTrimmingLoop(tokens) {
@@ -458,11 +670,239 @@ export default class _SCNObjLoader {
   _SpecialPoint(tokens) {
   }
 
+  /**
+   * Tessellates the curve or the surface which the end statement closes.
+   * @access private
+   * @param {string[]} tokens -
+   * @returns {void}
+   */
   _EndStatement(tokens) {
-    this._break = true
+    const freeForm = this._freeForm
+    this._freeForm = null
+    if(freeForm === null || freeForm.type === 'curv2'){
+      return
+    }
+    if(this._curveType !== 'bezier' && this._curveType !== 'bspline'){
+      // bmatrix, cardinal and taylor are not supported. skip the geometry.
+      return
+    }
+    if(freeForm.type === 'curv'){
+      this._tessellateCurve(freeForm)
+    }else{
+      this._tessellateSurface(freeForm)
+    }
+  }
+
+  /**
+   * @access private
+   * @param {Object} curve -
+   * @returns {void}
+   */
+  _tessellateCurve(curve) {
+    const degree = this._degree[0]
+    const points = curve.controlPoints
+    const knots = this._knotsOf(curve.parameters.u, degree, points.length)
+    const samples = _SCNObjLoader._samplesOf(knots, curve.range[0], curve.range[1], this._curveResolution)
+
+    let index2 = null
+    for(const t of samples){
+      const basis = _SCNObjLoader._basisFunctions(knots, degree, t)
+      const index1 = index2
+      index2 = this._addGeneratedVertex(_SCNObjLoader._weightedSum(points, basis))
+      if(index1 !== null){
+        this._currentLineArray.push(index1, index2)
+      }
+    }
+  }
+
+  /**
+   * @access private
+   * @param {Object} surface -
+   * @returns {void}
+   */
+  _tessellateSurface(surface) {
+    const [degu, degv] = this._degree
+    const [s0, s1, t0, t1] = surface.range
+    const nu = this._controlPointCountOf(surface.parameters.u, degu)
+    const nv = this._controlPointCountOf(surface.parameters.v, degv)
+    if(nu * nv !== surface.controlPoints.length){
+      throw new Error(`surface needs ${nu * nv} control points but has ${surface.controlPoints.length}`)
+    }
+    const uKnots = this._knotsOf(surface.parameters.u, degu, nu)
+    const vKnots = this._knotsOf(surface.parameters.v, degv, nv)
+    const us = _SCNObjLoader._samplesOf(uKnots, s0, s1, this._surfaceResolution[0])
+    const vs = _SCNObjLoader._samplesOf(vKnots, t0, t1, this._surfaceResolution[1])
+
+    const uBases = us.map((u) => _SCNObjLoader._basisFunctions(uKnots, degu, u))
+    const grid = vs.map((v) => {
+      const vBasis = _SCNObjLoader._basisFunctions(vKnots, degv, v)
+      return uBases.map((uBasis) => {
+        // control points are listed with u changing fastest.
+        const basis = []
+        for(let j=0; j<nv; j++){
+          for(let i=0; i<nu; i++){
+            basis.push(uBasis[i] * vBasis[j])
+          }
+        }
+        return _SCNObjLoader._weightedSum(surface.controlPoints, basis)
+      })
+    })
+
+    // trimming loops and holes are not applied.
+    const indices = grid.map((row, j) => row.map((position, i) => {
+      const texcoord = new CGPoint(
+        (us[i] - s0) / (s1 - s0),
+        1.0 - (vs[j] - t0) / (t1 - t0)
+      )
+      return this._addGeneratedVertex(position, texcoord, _SCNObjLoader._gridNormal(grid, i, j))
+    }))
+    for(let j=0; j<vs.length-1; j++){
+      for(let i=0; i<us.length-1; i++){
+        const a = indices[j][i]
+        const b = indices[j][i + 1]
+        const c = indices[j + 1][i + 1]
+        const d = indices[j + 1][i]
+        this._currentIndexArray.push(a, b, c, a, c, d)
+      }
+    }
+  }
+
+  /**
+   * @access private
+   * @param {number[]} parameters - values of the parm statement.
+   * @param {number} degree -
+   * @returns {number} - the number of control points in the direction.
+   */
+  _controlPointCountOf(parameters, degree) {
+    if(typeof parameters === 'undefined'){
+      throw new Error('free-form geometry needs parm statements')
+    }
+    if(this._curveType === 'bezier'){
+      return (parameters.length - 1) * degree + 1
+    }
+    return parameters.length - degree - 1
+  }
+
+  /**
+   * Returns the knot vector of the B-spline which represents the curve.
+   * @access private
+   * @param {number[]} parameters - values of the parm statement.
+   * @param {number} degree -
+   * @param {number} count - the number of control points.
+   * @returns {number[]} -
+   */
+  _knotsOf(parameters, degree, count) {
+    if(this._controlPointCountOf(parameters, degree) !== count){
+      throw new Error(`${count} control points don't match the parameters: ${parameters.join(' ')}`)
+    }
+    if(this._curveType === 'bspline'){
+      return parameters
+    }
+    // each bezier segment is a B-spline span whose inner knots have multiplicity of the degree.
+    const knots = []
+    parameters.forEach((p, i) => {
+      const multiplicity = i === 0 || i === parameters.length - 1 ? degree + 1 : degree
+      for(let k=0; k<multiplicity; k++){
+        knots.push(p)
+      }
+    })
+    return knots
+  }
+
+  /**
+   * @access private
+   * @param {number[]} knots -
+   * @param {number} start -
+   * @param {number} end -
+   * @param {number} resolution - the number of segments of each knot span.
+   * @returns {number[]} - parameters to evaluate.
+   */
+  static _samplesOf(knots, start, end, resolution) {
+    const breaks = [start]
+    for(const knot of knots){
+      if(knot > breaks[breaks.length - 1] && knot < end){
+        breaks.push(knot)
+      }
+    }
+    breaks.push(end)
+
+    const segments = Math.max(1, Math.round(resolution))
+    const samples = [start]
+    for(let i=0; i<breaks.length-1; i++){
+      for(let k=1; k<=segments; k++){
+        samples.push(breaks[i] + (breaks[i + 1] - breaks[i]) * k / segments)
+      }
+    }
+    return samples
+  }
+
+  /**
+   * Evaluates the B-spline basis functions with the Cox-de Boor recursion.
+   * @access private
+   * @param {number[]} knots -
+   * @param {number} degree -
+   * @param {number} t -
+   * @returns {number[]} - value of the basis function for each control point.
+   */
+  static _basisFunctions(knots, degree, t) {
+    // the last non-empty span which starts at or before t; t at the end belongs to the last span.
+    let span = -1
+    for(let i=0; i<knots.length-1; i++){
+      if(knots[i] < knots[i + 1] && knots[i] <= t){
+        span = i
+      }
+    }
+    let basis = []
+    for(let i=0; i<knots.length-1; i++){
+      basis.push(i === span ? 1 : 0)
+    }
+    for(let p=1; p<=degree; p++){
+      const next = []
+      for(let i=0; i<knots.length-1-p; i++){
+        const d1 = knots[i + p] - knots[i]
+        const d2 = knots[i + p + 1] - knots[i + 1]
+        const a = d1 > 0 ? (t - knots[i]) / d1 * basis[i] : 0
+        const b = d2 > 0 ? (knots[i + p + 1] - t) / d2 * basis[i + 1] : 0
+        next.push(a + b)
+      }
+      basis = next
+    }
+    return basis
+  }
+
+  /**
+   * @access private
+   * @param {Object[]} points - control points with weights.
+   * @param {number[]} basis -
+   * @returns {SCNVector3} -
+   */
+  static _weightedSum(points, basis) {
+    let sum = new SCNVector3(0, 0, 0)
+    let weight = 0
+    points.forEach((point, i) => {
+      const w = basis[i] * point.weight
+      sum = sum.add(point.position.mul(w))
+      weight += w
+    })
+    return weight === 0 ? sum : sum.mul(1.0 / weight)
+  }
+
+  /**
+   * @access private
+   * @param {Array<SCNVector3[]>} grid - points of the tessellated surface.
+   * @param {number} i - index in u direction.
+   * @param {number} j - index in v direction.
+   * @returns {SCNVector3} - the normal which points to du x dv.
+   */
+  static _gridNormal(grid, i, j) {
+    const row = grid[j]
+    const du = row[Math.min(i + 1, row.length - 1)].sub(row[Math.max(i - 1, 0)])
+    const dv = grid[Math.min(j + 1, grid.length - 1)][i].sub(grid[Math.max(j - 1, 0)][i])
+    return du.cross(dv).normalize()
   }
 
   _Connect(tokens) {
+    // surfaces are tessellated separately; connectivity doesn't change the geometry.
   }
 
   _GroupName(tokens) {
@@ -474,21 +914,15 @@ export default class _SCNObjLoader {
     }
   }
 
+  /**
+   * @access private
+   * @param {string[]} tokens - s group_number|off
+   * @returns {void}
+   */
   _SmoothingGroup(tokens) {
-    return
-    /*
-    if(tokens[1] === 'off' || tokens[1] <= 0){
-      currentSmoothingGroup = 0
-      currentSmoothingVertices = null
-    }else{
-      currentSmoothingGroup = tokens[1]
-      currentSmoothingVertices = smoothingVerticesHash[currentSmoothingGroup]
-      if(!currentSmoothingVertices){
-        currentSmoothingVertices = []
-        smoothingVerticesHash[currentSmoothingGroup] = currentSmoothingVertices
-      }
-    }
-    */
+    this._hasSmoothingGroups = true
+    const group = parseInt(tokens[1], 10)
+    this._smoothingGroup = group > 0 ? group : 0
   }
 
   _MergingGroup(tokens) {
@@ -516,7 +950,11 @@ export default class _SCNObjLoader {
     if(typeof this._currentIndexArray === 'undefined'){
       this._currentIndexArray = []
       this._indexArrayMap[this._currentMtlName] = this._currentIndexArray
+      this._lineArrayMap[this._currentMtlName] = []
+      this._pointArrayMap[this._currentMtlName] = []
     }
+    this._currentLineArray = this._lineArrayMap[this._currentMtlName]
+    this._currentPointArray = this._pointArrayMap[this._currentMtlName]
   }
 
   _MaterialLibrary(tokens) {
@@ -539,9 +977,29 @@ export default class _SCNObjLoader {
   _RayTracing(tokens) {
   }
 
+  /**
+   * @access private
+   * @param {string[]} tokens - ctech cparm res
+   * @returns {void}
+   */
   _CurveApproximationTechnique(tokens) {
+    // cspace and curv techniques use the default resolution.
+    if(tokens[1] === 'cparm'){
+      this._curveResolution = parseFloat(tokens[2])
+    }
   }
 
+  /**
+   * @access private
+   * @param {string[]} tokens - stech cparma ures vres | stech cparmb uvres
+   * @returns {void}
+   */
   _SurfaceApproximationTechnique(tokens) {
+    if(tokens[1] === 'cparma'){
+      this._surfaceResolution = [parseFloat(tokens[2]), parseFloat(tokens[3])]
+    }else if(tokens[1] === 'cparmb'){
+      const resolution = parseFloat(tokens[2])
+      this._surfaceResolution = [resolution, resolution]
+    }
   }
 }
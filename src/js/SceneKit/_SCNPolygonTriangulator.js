@@ -0,0 +1,282 @@
+'use strict'
+
+import CGPoint from '../CoreGraphics/CGPoint'
+
+const _epsilon = 1e-10
+
+/**
+ * @access private
+ * @param {CGPoint[]} points -
+ * @returns {number} - positive when the polygon is counterclockwise.
+ */
+const _signedArea = (points) => {
+  let area = 0
+  for(let i=0, j=points.length-1; i<points.length; j=i++){
+    area += points[j].x * points[i].y - points[i].x * points[j].y
+  }
+  return area * 0.5
+}
+
+/**
+ * @access private
+ * @param {CGPoint} a -
+ * @param {CGPoint} b -
+ * @param {CGPoint} c -
+ * @returns {number} - positive when a, b, c turn left.
+ */
+const _cross = (a, b, c) => {
+  return (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x)
+}
+
+/**
+ * @access private
+ * @param {CGPoint} p -
+ * @param {CGPoint[]} polygon -
+ * @returns {boolean} -
+ */
+const _polygonContains = (p, polygon) => {
+  let inside = false
+  for(let i=0, j=polygon.length-1; i<polygon.length; j=i++){
+    const a = polygon[i]
+    const b = polygon[j]
+    if((a.y > p.y) !== (b.y > p.y) && p.x < (b.x - a.x) * (p.y - a.y) / (b.y - a.y) + a.x){
+      inside = !inside
+    }
+  }
+  return inside
+}
+
+/**
+ * @access private
+ * @param {CGPoint} p -
+ * @param {CGPoint} a -
+ * @param {CGPoint} b -
+ * @param {CGPoint} c - a, b and c must be counterclockwise.
+ * @returns {boolean} - true when p is inside the triangle or on its edges.
+ */
+const _triangleContains = (p, a, b, c) => {
+  return _cross(a, b, p) >= 0 && _cross(b, c, p) >= 0 && _cross(c, a, p) >= 0
+}
+
+/**
+ * Triangulates polygons with holes by ear clipping.
+ * @access private
+ */
+export default class _SCNPolygonTriangulator {
+  /**
+   * Triangulates the area filled by the polygons with the even-odd rule.
+   * @access private
+   * @param {CGPoint[][]} polygons - closed polygons. The last point doesn't need to repeat the first point.
+   * @returns {{contours: CGPoint[][], indices: number[]}} - contours are the cleaned polygons; outer contours are counterclockwise and holes are clockwise so that the filled area is always on the left. indices are counterclockwise triangles which index the points of the contours concatenated in order.
+   */
+  static triangulate(polygons) {
+    const contours = polygons.map((polygon) => this._cleanPolygon(polygon)).filter((contour) => contour !== null)
+
+    // even-odd rule: a contour inside an odd number of other contours is a hole.
+    const depths = contours.map((contour, i) => {
+      return contours.filter((other, j) => i !== j && _polygonContains(contour[0], other)).length
+    })
+    contours.forEach((contour, i) => {
+      const isHole = depths[i] % 2 === 1
+      if((_signedArea(contour) > 0) === isHole){
+        contour.reverse()
+      }
+    })
+
+    const offsets = []
+    let count = 0
+    for(const contour of contours){
+      offsets.push(count)
+      count += contour.length
+    }
+    const points = [].concat(...contours)
+    const indexList = (i) => contours[i].map((p, j) => offsets[i] + j)
+
+    const indices = []
+    contours.forEach((contour, i) => {
+      if(depths[i] % 2 === 1){
+        return
+      }
+      const holes = []
+      contours.forEach((hole, j) => {
+        if(depths[j] === depths[i] + 1 && _polygonContains(hole[0], contour)){
+          holes.push(j)
+        }
+      })
+      let list = indexList(i)
+      const holeLists = holes.map((j) => {
+        const holeList = indexList(j)
+        let right = 0
+        holeList.forEach((index, k) => {
+          if(points[index].x > points[holeList[right]].x){
+            right = k
+          }
+        })
+        return holeList.slice(right).concat(holeList.slice(0, right))
+      })
+      holeLists.sort((a, b) => points[b[0]].x - points[a[0]].x)
+      for(const holeList of holeLists){
+        list = this._mergeHole(list, holeList, points)
+      }
+      indices.push(...this._earClip(list, points))
+    })
+
+    return { contours, indices }
+  }
+
+  /**
+   * @access private
+   * @param {CGPoint[]} polygon -
+   * @returns {?CGPoint[]} - null when the polygon has no area.
+   */
+  static _cleanPolygon(polygon) {
+    const contour = []
+    for(const p of polygon){
+      const last = contour[contour.length - 1]
+      if(!last || Math.abs(last.x - p.x) > _epsilon || Math.abs(last.y - p.y) > _epsilon){
+        contour.push(new CGPoint(p.x, p.y))
+      }
+    }
+    while(contour.length > 1){
+      const first = contour[0]
+      const last = contour[contour.length - 1]
+      if(Math.abs(last.x - first.x) > _epsilon || Math.abs(last.y - first.y) > _epsilon){
+        break
+      }
+      contour.pop()
+    }
+    if(contour.length < 3 || Math.abs(_signedArea(contour)) < _epsilon){
+      return null
+    }
+    return contour
+  }
+
+  /**
+   * Connects a hole to the outer polygon with a pair of coincident edges.
+   * @access private
+   * @param {number[]} list - indices of the outer polygon.
+   * @param {number[]} holeList - indices of the hole, starting from its rightmost vertex.
+   * @param {CGPoint[]} points -
+   * @returns {number[]} -
+   */
+  static _mergeHole(list, holeList, points) {
+    const m = points[holeList[0]]
+
+    // find the nearest edge on the right side of the hole.
+    let bridge = -1
+    let hitX = Infinity
+    for(let i=0; i<list.length; i++){
+      const a = points[list[i]]
+      const b = points[list[(i + 1) % list.length]]
+      if(a.y === b.y || Math.min(a.y, b.y) > m.y || Math.max(a.y, b.y) < m.y){
+        continue
+      }
+      const x = a.x + (m.y - a.y) * (b.x - a.x) / (b.y - a.y)
+      if(x >= m.x && x < hitX){
+        hitX = x
+        bridge = a.x > b.x ? i : (i + 1) % list.length
+      }
+    }
+    if(bridge < 0){
+      return list
+    }
+
+    // another vertex might block the sight from the hole to the end of the edge.
+    const hit = new CGPoint(hitX, m.y)
+    const p = points[list[bridge]]
+    if(hitX !== p.x){
+      const [a, b, c] = _cross(m, hit, p) > 0 ? [m, hit, p] : [m, p, hit]
+      let minTan = Infinity
+      for(let i=0; i<list.length; i++){
+        const q = points[list[i]]
+        if(i === bridge || q.x < m.x || !_triangleContains(q, a, b, c)){
+          continue
+        }
+        const tan = Math.abs(q.y - m.y) / (q.x - m.x)
+        if(tan < minTan || (tan === minTan && q.x > points[list[bridge]].x)){
+          minTan = tan
+          bridge = i
+        }
+      }
+    }
+
+    return list.slice(0, bridge + 1).concat(holeList, [holeList[0], list[bridge]], list.slice(bridge + 1))
+  }
+
+  /**
+   * @access private
+   * @param {number[]} list - indices of a counterclockwise polygon.
+   * @param {CGPoint[]} points -
+   * @returns {number[]} -
+   */
+  static _earClip(list, points) {
+    const indices = []
+    const remaining = list.slice()
+    let i = 0
+    let tries = 0
+    while(remaining.length > 3){
+      const n = remaining.length
+      const prev = remaining[(i + n - 1) % n]
+      const cur = remaining[i % n]
+      const next = remaining[(i + 1) % n]
+      if(this._isEar(prev, cur, next, remaining, points)){
+        indices.push(prev, cur, next)
+        remaining.splice(i % n, 1)
+        tries = 0
+      }else if(tries > n){
+        // no ear left because of degenerate or self-intersecting input: clip any convex vertex.
+        for(let k=0; k<n; k++){
+          const j = (i + k) % n
+          const a = remaining[(j + n - 1) % n]
+          const c = remaining[(j + 1) % n]
+          if(_cross(points[a], points[remaining[j]], points[c]) > 0){
+            indices.push(a, remaining[j], c)
+            i = j
+            break
+          }
+        }
+        remaining.splice(i % n, 1)
+        tries = 0
+      }else{
+        i++
+        tries++
+      }
+      i = i % remaining.length
+    }
+    if(remaining.length === 3 && _cross(points[remaining[0]], points[remaining[1]], points[remaining[2]]) > 0){
+      indices.push(...remaining)
+    }
+    return indices
+  }
+
+  /**
+   * @access private
+   * @param {number} prev -
+   * @param {number} cur -
+   * @param {number} next -
+   * @param {number[]} list -
+   * @param {CGPoint[]} points -
+   * @returns {boolean} -
+   */
+  static _isEar(prev, cur, next, list, points) {
+    const a = points[prev]
+    const b = points[cur]
+    const c = points[next]
+    if(_cross(a, b, c) <= 0){
+      return false
+    }
+    for(const index of list){
+      if(index === prev || index === cur || index === next){
+        continue
+      }
+      const p = points[index]
+      if((p.x === a.x && p.y === a.y) || (p.x === b.x && p.y === b.y) || (p.x === c.x && p.y === c.y)){
+        continue
+      }
+      if(_triangleContains(p, a, b, c)){
+        return false
+      }
+    }
+    return true
+  }
+}
@@ -0,0 +1,341 @@
+'use strict'
+
+import SCNGeometryElement from './SCNGeometryElement'
+import SCNGeometryPrimitiveType from './SCNGeometryPrimitiveType'
+import SCNGeometrySource from './SCNGeometrySource'
+import SCNMatrix4 from './SCNMatrix4'
+import SCNVector3 from './SCNVector3'
+
+const _defaultSmoothingAngle = 60.0
+
+/**
+ * Rewrites a loaded scene according to the loading options of SCNSceneSource.
+ * @access private
+ */
+export default class _SCNSceneProcessor {
+  /**
+   * @access private
+   * @constructor
+   * @param {Object} [options = {}] -
+   * @param {boolean} [options.convertToYUp = false] - rotate the scene so that upAxis points to +Y.
+   * @param {?SCNVector3} [options.upAxis = null] - up axis of the scene file.
+   * @param {?number} [options.convertUnitsToMeters = null] - desired length of the unit in meters.
+   * @param {number} [options.unitMeter = 1.0] - length of the unit of the scene file in meters.
+   * @param {boolean} [options.createNormalsIfAbsent = false] -
+   * @param {number} [options.smoothingAngle = 60.0] - faces whose normals differ more than this angle (in degrees) get hard edges.
+   * @param {boolean} [options.flattenScene = false] -
+   */
+  constructor(options = {}) {
+    this._convertToYUp = Boolean(options.convertToYUp)
+    this._upAxis = options.upAxis || null
+    this._convertUnitsToMeters = options.convertUnitsToMeters || null
+    this._unitMeter = options.unitMeter || 1.0
+    this._createNormalsIfAbsent = Boolean(options.createNormalsIfAbsent)
+    this._smoothingAngle = typeof options.smoothingAngle === 'number' ? options.smoothingAngle : _defaultSmoothingAngle
+    this._flattenScene = Boolean(options.flattenScene)
+  }
+
+  /**
+   * @access private
+   * @param {SCNScene} scene -
+   * @returns {void}
+   */
+  processScene(scene) {
+    if(this._flattenScene){
+      this._flatten(scene.rootNode)
+    }
+    if(this._createNormalsIfAbsent){
+      for(const geometry of _SCNSceneProcessor._geometriesOf(scene.rootNode)){
+        if(geometry.getGeometrySourcesForSemantic(SCNGeometrySource.Semantic.normal).length === 0){
+          this._createNormals(geometry)
+        }
+      }
+    }
+
+    const correction = this._correctionTransform()
+    if(correction !== null){
+      for(const child of scene.rootNode.childNodes){
+        child.transform = child.transform.mult(correction)
+      }
+    }
+    scene.rootNode._updateWorldTransform()
+  }
+
+  /**
+   * Returns the problems of the geometries in the scene.
+   * @access private
+   * @param {SCNScene} scene -
+   * @returns {string[]} - descriptions of the problems. empty if the scene is consistent.
+   */
+  static checkConsistency(scene) {
+    const problems = []
+    for(const geometry of _SCNSceneProcessor._geometriesOf(scene.rootNode)){
+      const name = geometry.name || 'geometry'
+      const vertex = geometry.getGeometrySourcesForSemantic(SCNGeometrySource.Semantic.vertex)[0]
+      if(typeof vertex === 'undefined'){
+        problems.push(`${name}: no vertex source`)
+        continue
+      }
+      for(const source of geometry.geometrySources){
+        if(source.vectorCount !== vertex.vectorCount){
+          problems.push(`${name}: ${source.semantic} source has ${source.vectorCount} vectors but vertex source has ${vertex.vectorCount}`)
+        }
+        const last = (source.dataOffset + (source.vectorCount - 1) * source.dataStride) / source.bytesPerComponent + source.componentsPerVector
+        if(source.vectorCount > 0 && source.data.length < last){
+          problems.push(`${name}: ${source.semantic} source data is too short`)
+        }
+      }
+      for(let i=0; i<vertex.vectorCount; i++){
+        if(!vertex._vectorAt(i).every((v) => Number.isFinite(v))){
+          problems.push(`${name}: vertex ${i} is not a finite value`)
+          break
+        }
+      }
+      geometry.geometryElements.forEach((element, elementIndex) => {
+        const required = _SCNSceneProcessor._indexCountOf(element)
+        if(element.data.length < required){
+          problems.push(`${name}: element ${elementIndex} has ${element.data.length} indices but ${required} are required`)
+          return
+        }
+        for(let i=0; i<required; i++){
+          const index = element.data[i]
+          if(!Number.isInteger(index) || index < 0 || index >= vertex.vectorCount){
+            problems.push(`${name}: element ${elementIndex} has an index out of range: ${index}`)
+            break
+          }
+        }
+      })
+    }
+    return problems
+  }
+
+  /**
+   * @access private
+   * @param {SCNGeometryElement} element -
+   * @returns {number} - the number of indices the primitives use.
+   */
+  static _indexCountOf(element) {
+    const count = element.primitiveCount
+    switch(element.primitiveType){
+      case SCNGeometryPrimitiveType.triangles:
+        return count * 3
+      case SCNGeometryPrimitiveType.triangleStrip:
+        return count > 0 ? count + 2 : 0
+      case SCNGeometryPrimitiveType.line:
+        return count * 2
+      case SCNGeometryPrimitiveType.point:
+        return count
+      default:
+        // polygon: the number of indices depends on the data.
+        return 0
+    }
+  }
+
+  /**
+   * @access private
+   * @param {SCNNode} rootNode -
+   * @returns {SCNGeometry[]} - geometries in the hierarchy without duplicates.
+   */
+  static _geometriesOf(rootNode) {
+    const geometries = []
+    rootNode.enumerateHierarchy((node) => {
+      if(node.geometry && geometries.indexOf(node.geometry) < 0){
+        geometries.push(node.geometry)
+      }
+    })
+    return geometries
+  }
+
+  /**
+   * @access private
+   * @returns {?SCNMatrix4} - null if the scene doesn't need to be converted.
+   */
+  _correctionTransform() {
+    let transform = null
+    if(this._convertToYUp && this._upAxis !== null){
+      const up = this._upAxis.normalize()
+      const yUp = new SCNVector3(0, 1, 0)
+      const cos = Math.max(-1.0, Math.min(1.0, up.dot(yUp)))
+      let axis = up.cross(yUp)
+      if(axis.length() < 1e-6){
+        axis = new SCNVector3(1, 0, 0)
+      }
+      if(cos < 1.0 - 1e-6){
+        transform = SCNMatrix4.matrixWithRotation(axis.x, axis.y, axis.z, Math.acos(cos))
+      }
+    }
+    if(this._convertUnitsToMeters !== null && this._convertUnitsToMeters > 0){
+      const scale = this._unitMeter / this._convertUnitsToMeters
+      if(Math.abs(scale - 1.0) > 1e-6){
+        const scaleMatrix = SCNMatrix4.matrixWithScale(new SCNVector3(scale, scale, scale))
+        transform = transform === null ? scaleMatrix : transform.mult(scaleMatrix)
+      }
+    }
+    return transform
+  }
+
+  /**
+   * Moves the nodes with contents to the root node and removes the other nodes.
+   * @access private
+   * @param {SCNNode} rootNode -
+   * @returns {void}
+   */
+  _flatten(rootNode) {
+    rootNode._updateWorldTransform()
+    const nodes = []
+    const bones = new Set()
+    rootNode.enumerateHierarchy((node) => {
+      if(node === rootNode){
+        return
+      }
+      nodes.push({ node: node, transform: node.worldTransform })
+      if(node.skinner){
+        // bones must be kept even if they are empty.
+        node.skinner.bones.forEach((bone) => bones.add(bone))
+      }
+    })
+    for(const data of nodes){
+      data.node.removeFromParentNode()
+    }
+    for(const data of nodes){
+      const node = data.node
+      if(_SCNSceneProcessor._hasContents(node) || bones.has(node)){
+        node.transform = data.transform
+        rootNode.addChildNode(node)
+      }
+    }
+  }
+
+  /**
+   * @access private
+   * @param {SCNNode} node -
+   * @returns {boolean} -
+   */
+  static _hasContents(node) {
+    if(node.geometry || node.light || node.camera || node.physicsBody || node.physicsField){
+      return true
+    }
+    if(node.particleSystems !== null && node.particleSystems.length > 0){
+      return true
+    }
+    return node.audioPlayers.length > 0
+  }
+
+  /**
+   * Creates the normal source of the geometry. Vertices shared by faces with hard edges are duplicated.
+   * @access private
+   * @param {SCNGeometry} geometry -
+   * @returns {void}
+   */
+  _createNormals(geometry) {
+    const vertex = geometry.getGeometrySourcesForSemantic(SCNGeometrySource.Semantic.vertex)[0]
+    if(typeof vertex === 'undefined'){
+      return
+    }
+    const cosThreshold = Math.cos(this._smoothingAngle * Math.PI / 180.0)
+
+    // triangles of each element and their normals weighted by the area.
+    const faces = []
+    const elementFaces = geometry.geometryElements.map((element) => {
+      const type = element.primitiveType
+      if(type !== SCNGeometryPrimitiveType.triangles && type !== SCNGeometryPrimitiveType.triangleStrip){
+        return null
+      }
+      const result = []
+      for(let i=0; i<element.primitiveCount; i++){
+        let indices = element._indexAt(i)
+        if(type === SCNGeometryPrimitiveType.triangleStrip && i % 2 === 1){
+          indices = [indices[1], indices[0], indices[2]]
+        }
+        const p0 = vertex._scnVectorAt(indices[0])
+        const p1 = vertex._scnVectorAt(indices[1])
+        const p2 = vertex._scnVectorAt(indices[2])
+        const normal = p1.sub(p0).cross(p2.sub(p0))
+        const face = { indices: indices, normal: normal, unit: normal.normalize() }
+        faces.push(face)
+        result.push(face)
+      }
+      return result
+    })
+
+    // faces which share the vertex position.
+    const positionKey = (index) => vertex._vectorAt(index).join(',')
+    const facesAtPosition = new Map()
+    for(const face of faces){
+      for(const index of face.indices){
+        const key = positionKey(index)
+        if(!facesAtPosition.has(key)){
+          facesAtPosition.set(key, [])
+        }
+        facesAtPosition.get(key).push(face)
+      }
+    }
+
+    const newVertices = []
+    const verticesOfIndex = new Map()
+    const vertexFor = (index, normal) => {
+      if(!verticesOfIndex.has(index)){
+        verticesOfIndex.set(index, [])
+      }
+      const candidates = verticesOfIndex.get(index)
+      const found = candidates.find((v) => v.normal.sub(normal).length() < 1e-6)
+      if(found){
+        return found.newIndex
+      }
+      const v = { index: index, normal: normal, newIndex: newVertices.length }
+      candidates.push(v)
+      newVertices.push(v)
+      return v.newIndex
+    }
+    const smoothedNormal = (face, index) => {
+      let sum = new SCNVector3(0, 0, 0)
+      for(const other of facesAtPosition.get(positionKey(index))){
+        if(other === face || other.unit.dot(face.unit) >= cosThreshold){
+          sum = sum.add(other.normal)
+        }
+      }
+      if(sum.length() < 1e-12){
+        return face.unit
+      }
+      return sum.normalize()
+    }
+
+    const elements = geometry.geometryElements.map((element, elementIndex) => {
+      const triangles = elementFaces[elementIndex]
+      if(triangles === null){
+        // lines and points don't have faces.
+        const indices = element.data.map((index) => vertexFor(index, new SCNVector3(0, 0, 0)))
+        return new SCNGeometryElement(indices, element.primitiveType, element.primitiveCount, 4)
+      }
+      const indices = []
+      for(const face of triangles){
+        for(const index of face.indices){
+          indices.push(vertexFor(index, smoothedNormal(face, index)))
+        }
+      }
+      return new SCNGeometryElement(indices, SCNGeometryPrimitiveType.triangles, triangles.length, 4)
+    })
+
+    const count = newVertices.length
+    const sources = geometry.geometrySources.map((source) => {
+      const data = []
+      for(const v of newVertices){
+        data.push(...source._vectorAt(v.index))
+      }
+      return new SCNGeometrySource(
+        data,
+        source.semantic,
+        count,
+        source.usesFloatComponents,
+        source.componentsPerVector,
+        source.bytesPerComponent,
+        0,
+        source.componentsPerVector * source.bytesPerComponent
+      )
+    })
+    sources.push(SCNGeometrySource.geometrySourceWithNormalsCount(newVertices.map((v) => v.normal), count))
+
+    geometry._geometrySources = sources
+    geometry._geometryElements = elements
+  }
+}
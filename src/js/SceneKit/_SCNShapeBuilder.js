@@ -0,0 +1,371 @@
+'use strict'
+
+import CGPoint from '../CoreGraphics/CGPoint'
+import SCNChamferMode from './SCNChamferMode'
+import SCNGeometryElement from './SCNGeometryElement'
+import SCNGeometryPrimitiveType from './SCNGeometryPrimitiveType'
+import SCNGeometrySource from './SCNGeometrySource'
+import SCNVector3 from './SCNVector3'
+import _SCNPolygonTriangulator from './_SCNPolygonTriangulator'
+
+const _defaultFlatness = 0.6
+const _smoothingAngle = 40.0
+const _maxMiterLength = 4.0
+
+/**
+ * @access private
+ * @param {number} x -
+ * @param {number} y -
+ * @returns {{x: number, y: number}} -
+ */
+const _normalize = (x, y) => {
+  const len = Math.sqrt(x * x + y * y)
+  if(len === 0){
+    return { x: 0, y: 0 }
+  }
+  return { x: x / len, y: y / len }
+}
+
+/**
+ * Creates the vertices of extruded two-dimensional paths for SCNShape and SCNText.
+ * @access private
+ */
+export default class _SCNShapeBuilder {
+  /**
+   * Fills the geometry sources, the geometry elements and the bounding box of the geometry.
+   * @access private
+   * @param {SCNGeometry} geometry -
+   * @param {?CGPath} path - the filled area is determined with the even-odd rule.
+   * @param {Object} [options = {}] -
+   * @param {number} [options.extrusionDepth = 0] - 0 creates a flat, one-sided shape.
+   * @param {number} [options.chamferRadius = 0] -
+   * @param {SCNChamferMode} [options.chamferMode = SCNChamferMode.both] -
+   * @param {?CGPath} [options.chamferProfile = null] - the portion between (0, 1) and (1, 0) is used. null creates a straight chamfer.
+   * @param {number} [options.flatness = 0.6] - the maximum distance between curves and their polylines.
+   * @returns {void}
+   * @desc The geometry elements are ordered as front, back, sides, front chamfer and back chamfer. Elements that don't exist are omitted.
+   */
+  static createGeometry(geometry, path, options = {}) {
+    const depth = Math.max(options.extrusionDepth || 0, 0)
+    const mode = typeof options.chamferMode === 'number' ? options.chamferMode : SCNChamferMode.both
+    const flatness = options.flatness > 0 ? options.flatness : _defaultFlatness
+
+    const polygons = path ? this._polygonsOfPath(path, flatness) : []
+    const { contours, indices } = _SCNPolygonTriangulator.triangulate(polygons)
+    const outlines = contours.map((contour) => this._createOutline(contour))
+
+    let radius = 0
+    if(depth > 0 && options.chamferRadius > 0){
+      radius = Math.min(options.chamferRadius, mode === SCNChamferMode.both ? depth * 0.5 : depth)
+    }
+    const frontRadius = mode === SCNChamferMode.back ? 0 : radius
+    const backRadius = mode === SCNChamferMode.front ? 0 : radius
+    const front = depth * 0.5
+    const back = -depth * 0.5
+
+    const sourceData = []
+    const elements = []
+    if(contours.length > 0){
+      const bounds = this._boundsOfContours(contours)
+      elements.push(this._addFace(sourceData, outlines, indices, front, frontRadius, 1, bounds))
+      if(depth > 0){
+        elements.push(this._addFace(sourceData, outlines, indices, back, backRadius, -1, bounds))
+        elements.push(this._addStrip(sourceData, outlines, [
+          { inset: 0, z: front - frontRadius, ns: 1, nz: 0, v: 0 },
+          { inset: 0, z: back + backRadius, ns: 1, nz: 0, v: 1 }
+        ]))
+      }
+      if(frontRadius > 0 || backRadius > 0){
+        const profile = this._profilePoints(options.chamferProfile)
+        if(frontRadius > 0){
+          const rings = this._chamferRings(profile, frontRadius).map((ring) => {
+            return { inset: ring.inset, z: front + ring.dz, ns: ring.ns, nz: ring.nz, v: ring.v }
+          })
+          elements.push(this._addStrip(sourceData, outlines, rings))
+        }
+        if(backRadius > 0){
+          // mirror the profile so that the strip runs from the side to the back face.
+          const rings = this._chamferRings(profile, backRadius).map((ring) => {
+            return { inset: ring.inset, z: back - ring.dz, ns: ring.ns, nz: -ring.nz, v: 1 - ring.v }
+          })
+          elements.push(this._addStrip(sourceData, outlines, rings.reverse()))
+        }
+      }
+    }
+
+    const vectorCount = sourceData.length / 8
+    const vertexSource = new SCNGeometrySource(
+      sourceData, // data
+      SCNGeometrySource.Semantic.vertex, // semantic
+      vectorCount, // vectorCount
+      true, // floatComponents
+      3, // componentsPerVector
+      4, // bytesPerComponent
+      0, // offset
+      32 // stride
+    )
+
+    const normalSource = new SCNGeometrySource(
+      sourceData, // data
+      SCNGeometrySource.Semantic.normal, // semantic
+      vectorCount, // vectorCount
+      true, // floatComponents
+      3, // componentsPerVector
+      4, // bytesPerComponent
+      12, // offset
+      32 // stride
+    )
+
+    const texcoordSource = new SCNGeometrySource(
+      sourceData, // data
+      SCNGeometrySource.Semantic.texcoord, // semantic
+      vectorCount, // vectorCount
+      true, // floatComponents
+      2, // componentsPerVector
+      4, // bytesPerComponent
+      24, // offset
+      32 // stride
+    )
+
+    geometry._geometryElements = elements
+    geometry._geometrySources = [vertexSource, normalSource, texcoordSource]
+    geometry.boundingBox = this._boundingBoxOfData(sourceData)
+  }
+
+  /**
+   * @access private
+   * @param {CGPath} path -
+   * @param {number} flatness -
+   * @returns {CGPoint[][]} -
+   */
+  static _polygonsOfPath(path, flatness) {
+    // UIBezierPath keeps its CGPath in cgPath.
+    const cgPath = path.cgPath || path
+    if(typeof cgPath._flatten !== 'function'){
+      return []
+    }
+    return cgPath._flatten(null, flatness).map((subpath) => subpath.points)
+  }
+
+  /**
+   * @access private
+   * @param {?CGPath} profile -
+   * @returns {CGPoint[]} - points from the front face (0, 1) to the side (1, 0).
+   */
+  static _profilePoints(profile) {
+    const defaultProfile = [new CGPoint(0, 1), new CGPoint(1, 0)]
+    if(!profile){
+      return defaultProfile
+    }
+    const polygons = this._polygonsOfPath(profile, 0).filter((points) => points.length >= 2)
+    if(polygons.length === 0){
+      return defaultProfile
+    }
+    const points = polygons[0].map((p) => new CGPoint(Math.min(Math.max(p.x, 0), 1), Math.min(Math.max(p.y, 0), 1)))
+    if(points[0].x > points[points.length - 1].x){
+      points.reverse()
+    }
+    return points
+  }
+
+  /**
+   * @access private
+   * @param {CGPoint[]} profile -
+   * @param {number} radius -
+   * @returns {Array<{inset: number, dz: number, ns: number, nz: number, v: number}>} - dz is the offset from the front face. ns and nz are the outward and z components of the normal.
+   */
+  static _chamferRings(profile, radius) {
+    const rings = profile.map((p) => {
+      return { inset: radius * (1 - p.x), dz: -(1 - p.y) * radius, ns: 0, nz: 1, v: 0 }
+    })
+    const segmentNormals = []
+    let length = 0
+    for(let i=1; i<rings.length; i++){
+      const ds = rings[i - 1].inset - rings[i].inset
+      const dz = rings[i].dz - rings[i - 1].dz
+      const n = _normalize(-dz, ds)
+      segmentNormals.push({ ns: n.x, nz: n.y })
+      length += Math.sqrt(ds * ds + dz * dz)
+      rings[i].v = length
+    }
+    rings.forEach((ring, i) => {
+      const n0 = segmentNormals[Math.max(i - 1, 0)]
+      const n1 = segmentNormals[Math.min(i, segmentNormals.length - 1)]
+      const n = _normalize(n0.ns + n1.ns, n0.nz + n1.nz)
+      ring.ns = n.x
+      ring.nz = n.y
+      ring.v = length > 0 ? ring.v / length : 0
+    })
+    return rings
+  }
+
+  /**
+   * @access private
+   * @param {CGPoint[]} contour - the filled area must be on the left.
+   * @returns {Object} -
+   */
+  static _createOutline(contour) {
+    const count = contour.length
+    const normals = []
+    const lengths = []
+    let totalLength = 0
+    for(let i=0; i<count; i++){
+      const a = contour[i]
+      const b = contour[(i + 1) % count]
+      const len = Math.sqrt((b.x - a.x) * (b.x - a.x) + (b.y - a.y) * (b.y - a.y))
+      normals.push(_normalize(b.y - a.y, a.x - b.x))
+      lengths.push(len)
+      totalLength += len
+    }
+
+    const smoothCos = Math.cos(_smoothingAngle * Math.PI / 180.0)
+    const miters = []
+    const vertexNormals = []
+    for(let i=0; i<count; i++){
+      const n0 = normals[(i + count - 1) % count]
+      const n1 = normals[i]
+      const dot = n0.x * n1.x + n0.y * n1.y
+      let miter = { x: n1.x, y: n1.y }
+      if(1 + dot > 1e-6){
+        miter = { x: (n0.x + n1.x) / (1 + dot), y: (n0.y + n1.y) / (1 + dot) }
+        const len = Math.sqrt(miter.x * miter.x + miter.y * miter.y)
+        if(len > _maxMiterLength){
+          miter = { x: miter.x * _maxMiterLength / len, y: miter.y * _maxMiterLength / len }
+        }
+      }
+      miters.push(miter)
+      vertexNormals.push(dot > smoothCos ? _normalize(n0.x + n1.x, n0.y + n1.y) : null)
+    }
+
+    return { points: contour, normals, lengths, totalLength, miters, vertexNormals }
+  }
+
+  /**
+   * @access private
+   * @param {CGPoint[][]} contours -
+   * @returns {{minX: number, minY: number, width: number, height: number}} -
+   */
+  static _boundsOfContours(contours) {
+    let minX = Infinity
+    let minY = Infinity
+    let maxX = -Infinity
+    let maxY = -Infinity
+    for(const contour of contours){
+      for(const p of contour){
+        minX = Math.min(minX, p.x)
+        minY = Math.min(minY, p.y)
+        maxX = Math.max(maxX, p.x)
+        maxY = Math.max(maxY, p.y)
+      }
+    }
+    return { minX, minY, width: Math.max(maxX - minX, 1e-6), height: Math.max(maxY - minY, 1e-6) }
+  }
+
+  /**
+   * @access private
+   * @param {number[]} sourceData -
+   * @param {Object[]} outlines -
+   * @param {number[]} indices - counterclockwise triangles.
+   * @param {number} z -
+   * @param {number} inset -
+   * @param {number} normalZ - 1 for the front face and -1 for the back face.
+   * @param {Object} bounds -
+   * @returns {SCNGeometryElement} -
+   */
+  static _addFace(sourceData, outlines, indices, z, inset, normalZ, bounds) {
+    const base = sourceData.length / 8
+    for(const outline of outlines){
+      outline.points.forEach((p, i) => {
+        const x = p.x - outline.miters[i].x * inset
+        const y = p.y - outline.miters[i].y * inset
+        let u = (x - bounds.minX) / bounds.width
+        if(normalZ < 0){
+          u = 1.0 - u
+        }
+        const v = (bounds.minY + bounds.height - y) / bounds.height
+        sourceData.push(x, y, z, 0, 0, normalZ, u, v)
+      })
+    }
+    const indexData = []
+    for(let i=0; i<indices.length; i+=3){
+      if(normalZ > 0){
+        indexData.push(base + indices[i], base + indices[i + 1], base + indices[i + 2])
+      }else{
+        indexData.push(base + indices[i], base + indices[i + 2], base + indices[i + 1])
+      }
+    }
+    return new SCNGeometryElement(indexData, SCNGeometryPrimitiveType.triangles)
+  }
+
+  /**
+   * Creates quads around the outlines between each pair of adjacent rings.
+   * @access private
+   * @param {number[]} sourceData -
+   * @param {Object[]} outlines -
+   * @param {Array<{inset: number, z: number, ns: number, nz: number, v: number}>} rings - ordered from the top to the bottom.
+   * @returns {SCNGeometryElement} -
+   */
+  static _addStrip(sourceData, outlines, rings) {
+    const indexData = []
+    for(const outline of outlines){
+      const count = outline.points.length
+      let length = 0
+      for(let i=0; i<count; i++){
+        const j = (i + 1) % count
+        const edgeNormal = outline.normals[i]
+        const columns = [
+          { index: i, normal: outline.vertexNormals[i] || edgeNormal, u: length / outline.totalLength },
+          { index: j, normal: outline.vertexNormals[j] || edgeNormal, u: (length + outline.lengths[i]) / outline.totalLength }
+        ]
+        length += outline.lengths[i]
+
+        const base = sourceData.length / 8
+        for(const ring of rings){
+          for(const column of columns){
+            const p = outline.points[column.index]
+            const miter = outline.miters[column.index]
+            const nx = column.normal.x * ring.ns
+            const ny = column.normal.y * ring.ns
+            const len = Math.sqrt(nx * nx + ny * ny + ring.nz * ring.nz) || 1
+            sourceData.push(
+              p.x - miter.x * ring.inset, p.y - miter.y * ring.inset, ring.z,
+              nx / len, ny / len, ring.nz / len,
+              column.u, ring.v
+            )
+          }
+        }
+        for(let r=0; r<rings.length-1; r++){
+          const a = base + r * 2
+          const b = a + 1
+          const d = a + 2
+          const c = a + 3
+          indexData.push(a, d, c)
+          indexData.push(a, c, b)
+        }
+      }
+    }
+    return new SCNGeometryElement(indexData, SCNGeometryPrimitiveType.triangles)
+  }
+
+  /**
+   * @access private
+   * @param {number[]} sourceData -
+   * @returns {Object} -
+   */
+  static _boundingBoxOfData(sourceData) {
+    if(sourceData.length === 0){
+      return { min: new SCNVector3(0, 0, 0), max: new SCNVector3(0, 0, 0) }
+    }
+    const min = new SCNVector3(Infinity, Infinity, Infinity)
+    const max = new SCNVector3(-Infinity, -Infinity, -Infinity)
+    for(let i=0; i<sourceData.length; i+=8){
+      min.x = Math.min(min.x, sourceData[i])
+      min.y = Math.min(min.y, sourceData[i + 1])
+      min.z = Math.min(min.z, sourceData[i + 2])
+      max.x = Math.max(max.x, sourceData[i])
+      max.y = Math.max(max.y, sourceData[i + 1])
+      max.z = Math.max(max.z, sourceData[i + 2])
+    }
+    return { min, max }
+  }
+}
@@ -249,8 +249,7 @@ export default class SKAction extends NSObject {
       return to
     }
     //if(from instanceof SCNVector4){
-    //  // TODO: slerp for Quaternion
-    //  return from.lerp(to, t)
+    //  return from.slerp(to, t)
     //}else if(from instanceof SCNVector3){
     //  return from.lerp(to, t)
     //}else if(from instanceof CGSize){
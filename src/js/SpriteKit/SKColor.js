@@ -1,7 +1,9 @@
 'use strict'
 
 import NSObject from '../ObjectiveC/NSObject'
+import NSColor from '../AppKit/NSColor'
 //import NSColorSpaceModel from '../AppKit/NSColorSpaceModel'
+/*global Buffer*/
 
 /**
  * An object that stores color data and sometimes opacity (that is, alpha value). 
@@ -55,7 +57,7 @@ export default class SKColor extends NSObject {
             const r = parseFloat(values[0])
             const g = parseFloat(values[1])
             const b = parseFloat(values[2])
-            const a = 1.0
+            const a = values.length > 3 ? parseFloat(values[3]) : 1.0
             //console.log(`NSColor -> SKColor NSRGB: r:${r} g:${g} b:${b} a:${a}`)
             //if(propValues.NSColorSpace === 1){
             //  return new SKColor(1, 1, 1, 1)
@@ -578,4 +580,28 @@ export default class SKColor extends NSObject {
   float32Array() {
     return new Float32Array([this.red, this.green, this.blue, this.alpha])
   }
+
+  /**
+   * SKColor is archived as an NSColor object.
+   * @access private
+   * @type {Object}
+   */
+  get classForKeyedArchiver() {
+    return NSColor
+  }
+
+  /**
+   * @access private
+   * @param {NSCoder} coder -
+   * @returns {void}
+   */
+  encodeWithCoder(coder) {
+    let rgb = `${this.red} ${this.green} ${this.blue}`
+    if(this.alpha !== 1.0){
+      rgb += ` ${this.alpha}`
+    }
+    // NSDeviceRGBColorSpace
+    coder.encodeCIntForKey(2, 'NSColorSpace')
+    coder.encodeBytesLengthForKey(Buffer.from(rgb + '\0', 'ascii'), rgb.length + 1, 'NSRGB')
+  }
 }
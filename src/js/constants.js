@@ -20,6 +20,19 @@ const kCAAnimationCubicPaced = 'cubicPaced'
 const kCAAnimationRotateAuto = 'auto'
 const kCAAnimationRotateAutoReverse = 'autoReverse'
 
+// Horizontal alignment modes
+const kCAAlignmentNatural = 'natural'
+const kCAAlignmentLeft = 'left'
+const kCAAlignmentRight = 'right'
+const kCAAlignmentCenter = 'center'
+const kCAAlignmentJustified = 'justified'
+
+// Truncation modes
+const kCATruncationNone = 'none'
+const kCATruncationStart = 'start'
+const kCATruncationEnd = 'end'
+const kCATruncationMiddle = 'middle'
+
 export {
   kCAFillModeRemoved,
   kCAFillModeForwards,
@@ -36,5 +49,14 @@ export {
   kCAAnimationCubic,
   kCAAnimationCubicPaced,
   kCAAnimationRotateAuto,
-  kCAAnimationRotateAutoReverse
+  kCAAnimationRotateAutoReverse,
+  kCAAlignmentNatural,
+  kCAAlignmentLeft,
+  kCAAlignmentRight,
+  kCAAlignmentCenter,
+  kCAAlignmentJustified,
+  kCATruncationNone,
+  kCATruncationStart,
+  kCATruncationEnd,
+  kCATruncationMiddle
 }
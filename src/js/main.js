@@ -8,6 +8,9 @@ import CGPoint from './CoreGraphics/CGPoint'
 import CGPathApplierFunction from './CoreGraphics/CGPathApplierFunction'
 import CGPathFillRule from './CoreGraphics/CGPathFillRule'
 import CGMutablePath from './CoreGraphics/CGMutablePath'
+import CGAffineTransform from './CoreGraphics/CGAffineTransform'
+import CGPathElement from './CoreGraphics/CGPathElement'
+import CGPathElementType from './CoreGraphics/CGPathElementType'
 import CGVector from './CoreGraphics/CGVector'
 import _Buffer from './util/_Buffer'
 import _HTMLCanvasElement from './util/_HTMLCanvasElement'
@@ -222,6 +225,9 @@ import NotificationCenter from './Foundation/NotificationCenter'
 import NSMutableArray from './Foundation/NSMutableArray'
 import AVAudioNode from './AVFoundation/AVAudioNode'
 import AVAudioMixerNode from './AVFoundation/AVAudioMixerNode'
+import AVAudioEnvironmentNode from './AVFoundation/AVAudioEnvironmentNode'
+import AVAudioEnvironmentDistanceAttenuationParameters from './AVFoundation/AVAudioEnvironmentDistanceAttenuationParameters'
+import AVAudioEnvironmentDistanceAttenuationModel from './AVFoundation/AVAudioEnvironmentDistanceAttenuationModel'
 import GKAgent2D from './GameplayKit/GKAgent2D'
 import GKSCNNodeComponent from './GameplayKit/GKSCNNodeComponent'
 import GKGoal from './GameplayKit/GKGoal'
@@ -276,6 +282,7 @@ import CAAction from './QuartzCore/CAAction'
 import LKNSValueCodingProxy from './QuartzCore/LKNSValueCodingProxy'
 import CACurrentMediaTime from './QuartzCore/CACurrentMediaTime'
 import NSColor from './AppKit/NSColor'
+import NSFont from './AppKit/NSFont'
 import NSColorSpaceModel from './AppKit/NSColorSpaceModel'
 import CFAbsoluteTimeGetCurrent from './CoreFoundation/CFAbsoluteTimeGetCurrent'
 import NSObject from './ObjectiveC/NSObject'
@@ -291,6 +298,9 @@ _ClassList.registerClass(CGPoint, 'CGPoint')
 _ClassList.registerClass(CGPathApplierFunction, 'CGPathApplierFunction')
 _ClassList.registerClass(CGPathFillRule, 'CGPathFillRule')
 _ClassList.registerClass(CGMutablePath, 'CGMutablePath')
+_ClassList.registerClass(CGAffineTransform, 'CGAffineTransform')
+_ClassList.registerClass(CGPathElement, 'CGPathElement')
+_ClassList.registerClass(CGPathElementType, 'CGPathElementType')
 _ClassList.registerClass(CGVector, 'CGVector')
 _ClassList.registerClass(MTLTessellationPartitionMode, 'MTLTessellationPartitionMode')
 _ClassList.registerClass(DispatchTimeInterval, 'DispatchTimeInterval')
@@ -494,6 +504,9 @@ _ClassList.registerClass(NotificationCenter, 'NotificationCenter')
 _ClassList.registerClass(NSMutableArray, 'NSMutableArray')
 _ClassList.registerClass(AVAudioNode, 'AVAudioNode')
 _ClassList.registerClass(AVAudioMixerNode, 'AVAudioMixerNode')
+_ClassList.registerClass(AVAudioEnvironmentNode, 'AVAudioEnvironmentNode')
+_ClassList.registerClass(AVAudioEnvironmentDistanceAttenuationParameters, 'AVAudioEnvironmentDistanceAttenuationParameters')
+_ClassList.registerClass(AVAudioEnvironmentDistanceAttenuationModel, 'AVAudioEnvironmentDistanceAttenuationModel')
 _ClassList.registerClass(GKAgent2D, 'GKAgent2D')
 _ClassList.registerClass(GKSCNNodeComponent, 'GKSCNNodeComponent')
 _ClassList.registerClass(GKGoal, 'GKGoal')
@@ -549,6 +562,7 @@ _ClassList.registerClass(LKNSValueCodingProxy, 'LKNSValueCodingProxy')
 _ClassList.registerClass(CACurrentMediaTime, 'CACurrentMediaTime')
 _ClassList.registerClass(NSColor, 'NSColor')
 _ClassList.registerClass(NSColorSpaceModel, 'NSColorSpaceModel')
+_ClassList.registerClass(NSFont, 'NSFont')
 _ClassList.registerClass(CFAbsoluteTimeGetCurrent, 'CFAbsoluteTimeGetCurrent')
 _ClassList.registerClass(NSObject, 'NSObject')
 
@@ -563,6 +577,9 @@ exports.CGPoint = CGPoint
 exports.CGPathApplierFunction = CGPathApplierFunction
 exports.CGPathFillRule = CGPathFillRule
 exports.CGMutablePath = CGMutablePath
+exports.CGAffineTransform = CGAffineTransform
+exports.CGPathElement = CGPathElement
+exports.CGPathElementType = CGPathElementType
 exports.CGVector = CGVector
 exports._Buffer = _Buffer
 exports._HTMLCanvasElement = _HTMLCanvasElement
@@ -777,6 +794,9 @@ exports.NotificationCenter = NotificationCenter
 exports.NSMutableArray = NSMutableArray
 exports.AVAudioNode = AVAudioNode
 exports.AVAudioMixerNode = AVAudioMixerNode
+exports.AVAudioEnvironmentNode = AVAudioEnvironmentNode
+exports.AVAudioEnvironmentDistanceAttenuationParameters = AVAudioEnvironmentDistanceAttenuationParameters
+exports.AVAudioEnvironmentDistanceAttenuationModel = AVAudioEnvironmentDistanceAttenuationModel
 exports.GKAgent2D = GKAgent2D
 exports.GKSCNNodeComponent = GKSCNNodeComponent
 exports.GKGoal = GKGoal
@@ -832,6 +852,7 @@ exports.LKNSValueCodingProxy = LKNSValueCodingProxy
 exports.CACurrentMediaTime = CACurrentMediaTime
 exports.NSColor = NSColor
 exports.NSColorSpaceModel = NSColorSpaceModel
+exports.NSFont = NSFont
 exports.CFAbsoluteTimeGetCurrent = CFAbsoluteTimeGetCurrent
 exports.NSObject = NSObject
 
@@ -851,3 +872,12 @@ exports.kCAAnimationCubic = constants.kCAAnimationCubic
 exports.kCAAnimationCubicPaced = constants.kCAAnimationCubicPaced
 exports.kCAAnimationRotateAuto = constants.kCAAnimationRotateAuto
 exports.kCAAnimationRotateAutoReverse = constants.kCAAnimationRotateAutoReverse
+exports.kCAAlignmentNatural = constants.kCAAlignmentNatural
+exports.kCAAlignmentLeft = constants.kCAAlignmentLeft
+exports.kCAAlignmentRight = constants.kCAAlignmentRight
+exports.kCAAlignmentCenter = constants.kCAAlignmentCenter
+exports.kCAAlignmentJustified = constants.kCAAlignmentJustified
+exports.kCATruncationNone = constants.kCATruncationNone
+exports.kCATruncationStart = constants.kCATruncationStart
+exports.kCATruncationEnd = constants.kCATruncationEnd
+exports.kCATruncationMiddle = constants.kCATruncationMiddle
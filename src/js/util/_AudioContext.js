@@ -0,0 +1,20 @@
+'use strict'
+
+/*global AudioContext webkitAudioContext*/
+
+/**
+ * The Web Audio context shared by all audio sources and players.
+ * It is null when Web Audio is not supported (e.g. on Node.js).
+ * @access private
+ * @type {?AudioContext}
+ */
+let _context = null
+if(typeof AudioContext !== 'undefined'){
+  _context = new AudioContext()
+}else if(typeof webkitAudioContext !== 'undefined'){
+  _context = new webkitAudioContext()
+}else{
+  console.error('error: AudioContext is not supported')
+}
+
+export default _context
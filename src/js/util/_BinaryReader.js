@@ -124,6 +124,27 @@ export default class _BinaryReader {
     const start = this._pos
     this._pos += length
 
+    if(length > 6){
+      // Buffer can read up to 6 bytes at once; values over 2^53 lose precision.
+      const lowLength = length - 4
+      const highStart = this.bigEndian ? start : start + lowLength
+      const lowStart = this.bigEndian ? start + 4 : start
+      const high = this._readIntegerAt(highStart, 4, signed)
+      const low = this._readIntegerAt(lowStart, lowLength, false)
+      return high * Math.pow(2, lowLength * 8) + low
+    }
+    return this._readIntegerAt(start, length, signed)
+  }
+
+  /**
+   *
+   * @access private
+   * @param {number} start -
+   * @param {number} length -
+   * @param {boolean} signed -
+   * @returns {number} -
+   */
+  _readIntegerAt(start, length, signed) {
     // big endian
     if(this.bigEndian){
       if(signed){
@@ -0,0 +1,24 @@
+'use strict'
+
+import fs from 'fs'
+
+/**
+ * Writes data to a local file.
+ * @access private
+ */
+export default class FileWriter {
+  /**
+   * @access public
+   * @param {string} path -
+   * @param {string} data -
+   * @returns {boolean} - true if the data is written.
+   */
+  static writeFile(path, data) {
+    try{
+      fs.writeFileSync(path, data)
+    }catch(error){
+      return false
+    }
+    return true
+  }
+}
@@ -0,0 +1,30 @@
+'use strict'
+
+/*global Blob, URL, document*/
+
+/**
+ * Saves data as a file through a download link.
+ * @access private
+ */
+export default class FileWriter {
+  /**
+   * @access public
+   * @param {string} path -
+   * @param {string} data -
+   * @returns {boolean} - true if the data is written.
+   */
+  static writeFile(path, data) {
+    if(typeof document === 'undefined'){
+      return false
+    }
+    const blob = new Blob([data], { type: 'application/json' })
+    const link = document.createElement('a')
+    link.href = URL.createObjectURL(blob)
+    link.download = path.split('/').pop()
+    document.body.appendChild(link)
+    link.click()
+    document.body.removeChild(link)
+    URL.revokeObjectURL(link.href)
+    return true
+  }
+}
@@ -0,0 +1,273 @@
+'use strict'
+
+const _lengthBase = [
+  3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31,
+  35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258
+]
+const _lengthExtra = [
+  0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2,
+  3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0
+]
+const _distanceBase = [
+  1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193,
+  257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577
+]
+const _distanceExtra = [
+  0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6,
+  7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13
+]
+const _codeLengthOrder = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15]
+
+/**
+ * Creates a canonical Huffman table from code lengths.
+ * @access private
+ * @param {number[]} lengths -
+ * @returns {{counts: number[], symbols: number[]}} -
+ */
+const _createHuffman = (lengths) => {
+  const counts = new Array(16).fill(0)
+  for(const len of lengths){
+    counts[len] += 1
+  }
+  counts[0] = 0
+  const offsets = [0, 0]
+  for(let len=1; len<15; len++){
+    offsets.push(offsets[len] + counts[len])
+  }
+  const symbols = []
+  lengths.forEach((len, symbol) => {
+    if(len > 0){
+      symbols[offsets[len]] = symbol
+      offsets[len] += 1
+    }
+  })
+  return { counts, symbols }
+}
+
+let _fixedLiteral = null
+let _fixedDistance = null
+
+/**
+ * @access private
+ */
+class _InflateState {
+  /**
+   * @access private
+   * @constructor
+   * @param {Uint8Array} data -
+   * @param {number} pos -
+   * @param {number} outputLength -
+   */
+  constructor(data, pos, outputLength) {
+    this.data = data
+    this.pos = pos
+    this.bitBuffer = 0
+    this.bitCount = 0
+    this.output = new Uint8Array(Math.max(outputLength, 1024))
+    this.outputPos = 0
+  }
+
+  /**
+   * @access private
+   * @param {number} count -
+   * @returns {number} -
+   */
+  readBits(count) {
+    while(this.bitCount < count){
+      if(this.pos >= this.data.length){
+        throw new Error('inflate: unexpected end of data')
+      }
+      this.bitBuffer |= this.data[this.pos++] << this.bitCount
+      this.bitCount += 8
+    }
+    const value = this.bitBuffer & ((1 << count) - 1)
+    this.bitBuffer >>>= count
+    this.bitCount -= count
+    return value
+  }
+
+  /**
+   * @access private
+   * @param {{counts: number[], symbols: number[]}} huffman -
+   * @returns {number} -
+   */
+  decodeSymbol(huffman) {
+    let code = 0
+    let first = 0
+    let index = 0
+    for(let len=1; len<16; len++){
+      code |= this.readBits(1)
+      const count = huffman.counts[len]
+      if(code - count < first){
+        return huffman.symbols[index + (code - first)]
+      }
+      index += count
+      first += count
+      first <<= 1
+      code <<= 1
+    }
+    throw new Error('inflate: invalid Huffman code')
+  }
+
+  /**
+   * @access private
+   * @param {number} length -
+   * @returns {void}
+   */
+  reserve(length) {
+    if(this.outputPos + length <= this.output.length){
+      return
+    }
+    let size = this.output.length * 2
+    while(size < this.outputPos + length){
+      size *= 2
+    }
+    const output = new Uint8Array(size)
+    output.set(this.output.subarray(0, this.outputPos))
+    this.output = output
+  }
+}
+
+/**
+ * @access private
+ * @param {_InflateState} state -
+ * @returns {void}
+ */
+const _inflateStored = (state) => {
+  state.bitBuffer = 0
+  state.bitCount = 0
+  const data = state.data
+  const len = data[state.pos] | (data[state.pos + 1] << 8)
+  state.pos += 4
+  if(state.pos + len > data.length){
+    throw new Error('inflate: unexpected end of data')
+  }
+  state.reserve(len)
+  state.output.set(data.subarray(state.pos, state.pos + len), state.outputPos)
+  state.outputPos += len
+  state.pos += len
+}
+
+/**
+ * @access private
+ * @param {_InflateState} state -
+ * @param {{counts: number[], symbols: number[]}} literal -
+ * @param {{counts: number[], symbols: number[]}} distance -
+ * @returns {void}
+ */
+const _inflateCodes = (state, literal, distance) => {
+  for(;;){
+    const symbol = state.decodeSymbol(literal)
+    if(symbol < 256){
+      state.reserve(1)
+      state.output[state.outputPos++] = symbol
+    }else if(symbol === 256){
+      return
+    }else{
+      const lengthCode = symbol - 257
+      if(lengthCode >= _lengthBase.length){
+        throw new Error('inflate: invalid length code')
+      }
+      const len = _lengthBase[lengthCode] + state.readBits(_lengthExtra[lengthCode])
+      const distanceCode = state.decodeSymbol(distance)
+      if(distanceCode >= _distanceBase.length){
+        throw new Error('inflate: invalid distance code')
+      }
+      const dist = _distanceBase[distanceCode] + state.readBits(_distanceExtra[distanceCode])
+      if(dist > state.outputPos){
+        throw new Error('inflate: distance too far back')
+      }
+      state.reserve(len)
+      const output = state.output
+      for(let i=0; i<len; i++){
+        output[state.outputPos] = output[state.outputPos - dist]
+        state.outputPos++
+      }
+    }
+  }
+}
+
+/**
+ * @access private
+ * @param {_InflateState} state -
+ * @returns {void}
+ */
+const _inflateDynamic = (state) => {
+  const literalCount = state.readBits(5) + 257
+  const distanceCount = state.readBits(5) + 1
+  const codeCount = state.readBits(4) + 4
+  const codeLengths = new Array(19).fill(0)
+  for(let i=0; i<codeCount; i++){
+    codeLengths[_codeLengthOrder[i]] = state.readBits(3)
+  }
+  const codeHuffman = _createHuffman(codeLengths)
+
+  const lengths = []
+  while(lengths.length < literalCount + distanceCount){
+    const symbol = state.decodeSymbol(codeHuffman)
+    if(symbol < 16){
+      lengths.push(symbol)
+      continue
+    }
+    let value = 0
+    let repeat = 0
+    if(symbol === 16){
+      if(lengths.length === 0){
+        throw new Error('inflate: no previous code length')
+      }
+      value = lengths[lengths.length - 1]
+      repeat = 3 + state.readBits(2)
+    }else if(symbol === 17){
+      repeat = 3 + state.readBits(3)
+    }else{
+      repeat = 11 + state.readBits(7)
+    }
+    for(let i=0; i<repeat; i++){
+      lengths.push(value)
+    }
+  }
+  const literal = _createHuffman(lengths.slice(0, literalCount))
+  const distance = _createHuffman(lengths.slice(literalCount, literalCount + distanceCount))
+  _inflateCodes(state, literal, distance)
+}
+
+/**
+ * Decompresses zlib or raw DEFLATE data.
+ * @access private
+ * @param {Uint8Array} data -
+ * @param {number} [outputLength = 0] - expected length of the decompressed data, if known.
+ * @returns {Uint8Array} -
+ */
+const _Inflate = function(data, outputLength = 0) {
+  let pos = 0
+  // skip the zlib header
+  if(data.length >= 2 && (data[0] & 0x0f) === 8 && ((data[0] << 8) | data[1]) % 31 === 0){
+    pos = 2
+  }
+  const state = new _InflateState(data, pos, outputLength)
+  let isFinal = 0
+  while(!isFinal){
+    isFinal = state.readBits(1)
+    const type = state.readBits(2)
+    if(type === 0){
+      _inflateStored(state)
+    }else if(type === 1){
+      if(_fixedLiteral === null){
+        const lengths = []
+        for(let i=0; i<288; i++){
+          lengths.push(i < 144 ? 8 : i < 256 ? 9 : i < 280 ? 7 : 8)
+        }
+        _fixedLiteral = _createHuffman(lengths)
+        _fixedDistance = _createHuffman(new Array(30).fill(5))
+      }
+      _inflateCodes(state, _fixedLiteral, _fixedDistance)
+    }else if(type === 2){
+      _inflateDynamic(state)
+    }else{
+      throw new Error('inflate: invalid block type')
+    }
+  }
+  return state.output.slice(0, state.outputPos)
+}
+
+export default _Inflate
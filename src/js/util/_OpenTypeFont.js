@@ -0,0 +1,1060 @@
+'use strict'
+
+import CGAffineTransform from '../CoreGraphics/CGAffineTransform'
+import CGPoint from '../CoreGraphics/CGPoint'
+import _Inflate from './_Inflate'
+/*global Buffer*/
+
+const _maxCompositeDepth = 8
+const _maxSubrDepth = 10
+
+/**
+ * @access private
+ * @param {Buffer|ArrayBuffer|Uint8Array|string} data -
+ * @returns {Uint8Array} -
+ */
+const _toBytes = (data) => {
+  if(data instanceof Uint8Array){
+    return data
+  }
+  if(data instanceof ArrayBuffer){
+    return new Uint8Array(data)
+  }
+  if(typeof data === 'string'){
+    return new Uint8Array(Buffer.from(data, 'binary'))
+  }
+  if(data && data.buffer instanceof ArrayBuffer){
+    return new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+  }
+  throw new Error('font data must be an ArrayBuffer, a Buffer or a binary string')
+}
+
+/**
+ * @access private
+ * @param {Uint8Array} bytes -
+ * @returns {DataView} -
+ */
+const _viewOf = (bytes) => {
+  return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+}
+
+/**
+ * @access private
+ * @param {DataView} view -
+ * @param {number} offset -
+ * @returns {string} -
+ */
+const _readTag = (view, offset) => {
+  let tag = ''
+  for(let i=0; i<4; i++){
+    tag += String.fromCharCode(view.getUint8(offset + i))
+  }
+  return tag
+}
+
+/**
+ * Reads an INDEX structure of a CFF table.
+ * @access private
+ * @param {DataView} view -
+ * @param {number} offset -
+ * @returns {{items: Array<{start: number, end: number}>, end: number}} -
+ */
+const _readCFFIndex = (view, offset) => {
+  const count = view.getUint16(offset)
+  if(count === 0){
+    return { items: [], end: offset + 2 }
+  }
+  const offSize = view.getUint8(offset + 2)
+  const readOffset = (i) => {
+    let value = 0
+    for(let j=0; j<offSize; j++){
+      value = value * 256 + view.getUint8(offset + 3 + i * offSize + j)
+    }
+    return value
+  }
+  const dataStart = offset + 3 + (count + 1) * offSize - 1
+  const items = []
+  for(let i=0; i<count; i++){
+    items.push({ start: dataStart + readOffset(i), end: dataStart + readOffset(i + 1) })
+  }
+  return { items, end: dataStart + readOffset(count) }
+}
+
+/**
+ * Reads a DICT structure of a CFF table.
+ * @access private
+ * @param {DataView} view -
+ * @param {number} start -
+ * @param {number} end -
+ * @returns {Object} - operands keyed by the operator. Two-byte operators are 1200 + the second byte.
+ */
+const _readCFFDict = (view, start, end) => {
+  const dict = {}
+  let operands = []
+  let pos = start
+  while(pos < end){
+    const b0 = view.getUint8(pos++)
+    if(b0 <= 21){
+      let op = b0
+      if(b0 === 12){
+        op = 1200 + view.getUint8(pos++)
+      }
+      dict[op] = operands
+      operands = []
+    }else if(b0 === 28){
+      operands.push(view.getInt16(pos))
+      pos += 2
+    }else if(b0 === 29){
+      operands.push(view.getInt32(pos))
+      pos += 4
+    }else if(b0 === 30){
+      let str = ''
+      const nibbles = ['0', '1', '2', '3', '4', '5', '6', '7', '8', '9', '.', 'E', 'E-', '', '-']
+      for(;;){
+        const b = view.getUint8(pos++)
+        const n1 = b >> 4
+        const n2 = b & 0x0f
+        if(n1 === 15){
+          break
+        }
+        str += nibbles[n1]
+        if(n2 === 15){
+          break
+        }
+        str += nibbles[n2]
+      }
+      operands.push(parseFloat(str))
+    }else if(b0 >= 32 && b0 <= 246){
+      operands.push(b0 - 139)
+    }else if(b0 >= 247 && b0 <= 250){
+      operands.push((b0 - 247) * 256 + view.getUint8(pos++) + 108)
+    }else if(b0 >= 251 && b0 <= 254){
+      operands.push(-(b0 - 251) * 256 - view.getUint8(pos++) - 108)
+    }
+  }
+  return dict
+}
+
+/**
+ * @access private
+ * @param {Array} subrs -
+ * @returns {number} -
+ */
+const _subrBias = (subrs) => {
+  if(subrs.length < 1240){
+    return 107
+  }
+  if(subrs.length < 33900){
+    return 1131
+  }
+  return 32768
+}
+
+/**
+ * Reads glyph outlines and metrics from TrueType, OpenType (CFF) and WOFF fonts.
+ * @access private
+ */
+export default class _OpenTypeFont {
+  /**
+   * @access private
+   * @constructor
+   * @param {Buffer|ArrayBuffer|Uint8Array|string} data - the font file.
+   * @throws {Error} - when the data is not a supported font.
+   */
+  constructor(data) {
+    /**
+     * @access private
+     * @type {Map<string, DataView>}
+     */
+    this._tables = new Map()
+    this._readTables(_toBytes(data))
+
+    const head = this._requiredTable('head')
+    const hhea = this._requiredTable('hhea')
+    const maxp = this._requiredTable('maxp')
+
+    this.unitsPerEm = head.getUint16(18) || 1000
+    this._indexToLocFormat = head.getInt16(50)
+    this.ascender = hhea.getInt16(4)
+    this.descender = hhea.getInt16(6)
+    this.lineGap = hhea.getInt16(8)
+    this._numberOfHMetrics = hhea.getUint16(34)
+    this.numGlyphs = maxp.getUint16(4)
+
+    this.capHeight = this.ascender
+    this.xHeight = Math.round(this.ascender * 0.5)
+    const os2 = this._tables.get('OS/2')
+    if(os2 && os2.getUint16(0) >= 2 && os2.byteLength >= 90){
+      this.xHeight = os2.getInt16(86)
+      this.capHeight = os2.getInt16(88)
+    }
+
+    this.familyName = this._readName(1) || ''
+    this.fullName = this._readName(4) || this.familyName
+    this.postScriptName = this._readName(6) || this.fullName.replace(/\s/g, '')
+
+    this._cmap = this._selectCmap()
+    this._kerning = this._readKerning()
+    this._cff = this._tables.has('CFF ') ? this._readCFF(this._tables.get('CFF ')) : null
+    if(this._cff === null && !(this._tables.has('glyf') && this._tables.has('loca'))){
+      throw new Error('the font has no glyph outlines')
+    }
+  }
+
+  /**
+   * @access private
+   * @param {number} codePoint -
+   * @returns {number} - 0 (.notdef) if the font doesn't have the character.
+   */
+  glyphIndexForCodePoint(codePoint) {
+    if(this._cmap === null){
+      return 0
+    }
+    let glyph = this._lookupCmap(codePoint)
+    if(glyph === 0 && this._cmap.isSymbol && codePoint < 0x100){
+      glyph = this._lookupCmap(0xF000 + codePoint)
+    }
+    return glyph < this.numGlyphs ? glyph : 0
+  }
+
+  /**
+   * @access private
+   * @param {number} glyph -
+   * @returns {number} - in font units.
+   */
+  advanceWidthOfGlyph(glyph) {
+    const hmtx = this._tables.get('hmtx')
+    if(!hmtx || this._numberOfHMetrics === 0){
+      return 0
+    }
+    const index = Math.min(glyph, this._numberOfHMetrics - 1)
+    return hmtx.getUint16(index * 4)
+  }
+
+  /**
+   * @access private
+   * @param {number} left - glyph index
+   * @param {number} right - glyph index
+   * @returns {number} - in font units.
+   */
+  kerningBetween(left, right) {
+    return this._kerning.get(left * 65536 + right) || 0
+  }
+
+  /**
+   * Appends the outline of the glyph to the path.
+   * @access private
+   * @param {number} glyph -
+   * @param {CGMutablePath} path -
+   * @param {CGAffineTransform} transform - converts font units to the path coordinates.
+   * @returns {void}
+   */
+  addGlyphToPath(glyph, path, transform) {
+    if(glyph < 0 || glyph >= this.numGlyphs){
+      return
+    }
+    if(this._cff !== null){
+      this._addCFFGlyph(glyph, path, transform)
+    }else{
+      this._addTrueTypeGlyph(glyph, path, transform, 0)
+    }
+  }
+
+  // Tables
+
+  /**
+   * @access private
+   * @param {Uint8Array} bytes -
+   * @returns {void}
+   */
+  _readTables(bytes) {
+    const view = _viewOf(bytes)
+    if(bytes.length < 12){
+      throw new Error('font data is too short')
+    }
+    const signature = _readTag(view, 0)
+    if(signature === 'wOFF'){
+      const numTables = view.getUint16(12)
+      for(let i=0; i<numTables; i++){
+        const entry = 44 + i * 20
+        const tag = _readTag(view, entry)
+        const offset = view.getUint32(entry + 4)
+        const compLength = view.getUint32(entry + 8)
+        const origLength = view.getUint32(entry + 12)
+        let table = bytes.subarray(offset, offset + compLength)
+        if(compLength < origLength){
+          table = _Inflate(table, origLength)
+        }
+        this._tables.set(tag, _viewOf(table))
+      }
+      return
+    }
+    if(signature === 'wOF2'){
+      throw new Error('WOFF2 fonts are not supported')
+    }
+    let offset = 0
+    if(signature === 'ttcf'){
+      // use the first font of the collection
+      offset = view.getUint32(12)
+    }
+    const version = view.getUint32(offset)
+    const tag = _readTag(view, offset)
+    if(version !== 0x00010000 && tag !== 'OTTO' && tag !== 'true'){
+      throw new Error('unknown font format')
+    }
+    const numTables = view.getUint16(offset + 4)
+    for(let i=0; i<numTables; i++){
+      const entry = offset + 12 + i * 16
+      const tableOffset = view.getUint32(entry + 8)
+      const length = view.getUint32(entry + 12)
+      this._tables.set(_readTag(view, entry), _viewOf(bytes.subarray(tableOffset, tableOffset + length)))
+    }
+  }
+
+  /**
+   * @access private
+   * @param {string} tag -
+   * @returns {DataView} -
+   */
+  _requiredTable(tag) {
+    const table = this._tables.get(tag)
+    if(!table){
+      throw new Error(`the font has no ${tag} table`)
+    }
+    return table
+  }
+
+  /**
+   * @access private
+   * @param {number} nameID -
+   * @returns {?string} -
+   */
+  _readName(nameID) {
+    const name = this._tables.get('name')
+    if(!name){
+      return null
+    }
+    const count = name.getUint16(2)
+    const stringOffset = name.getUint16(4)
+    let found = null
+    for(let i=0; i<count; i++){
+      const record = 6 + i * 12
+      const platformID = name.getUint16(record)
+      const languageID = name.getUint16(record + 4)
+      if(name.getUint16(record + 6) !== nameID){
+        continue
+      }
+      const length = name.getUint16(record + 8)
+      const offset = stringOffset + name.getUint16(record + 10)
+      let str = ''
+      if(platformID === 0 || platformID === 3){
+        for(let j=0; j+1<length; j+=2){
+          str += String.fromCharCode(name.getUint16(offset + j))
+        }
+      }else if(platformID === 1){
+        for(let j=0; j<length; j++){
+          str += String.fromCharCode(name.getUint8(offset + j))
+        }
+      }else{
+        continue
+      }
+      if(platformID === 3 && languageID === 0x409){
+        return str
+      }
+      if(found === null){
+        found = str
+      }
+    }
+    return found
+  }
+
+  /**
+   * @access private
+   * @returns {?{offset: number, format: number, isSymbol: boolean}} -
+   */
+  _selectCmap() {
+    const cmap = this._tables.get('cmap')
+    if(!cmap){
+      return null
+    }
+    const numTables = cmap.getUint16(2)
+    const candidates = []
+    for(let i=0; i<numTables; i++){
+      const record = 4 + i * 8
+      const platformID = cmap.getUint16(record)
+      const encodingID = cmap.getUint16(record + 2)
+      const offset = cmap.getUint32(record + 4)
+      const format = cmap.getUint16(offset)
+      if([0, 4, 6, 12].indexOf(format) < 0){
+        continue
+      }
+      let priority = 0
+      if((platformID === 3 && encodingID === 10) || (platformID === 0 && format === 12)){
+        priority = 4
+      }else if((platformID === 3 && encodingID === 1) || platformID === 0){
+        priority = 3
+      }else if(platformID === 3 && encodingID === 0){
+        priority = 2
+      }else if(platformID === 1 && encodingID === 0){
+        priority = 1
+      }else{
+        continue
+      }
+      candidates.push({ offset, format, priority, isSymbol: platformID === 3 && encodingID === 0 })
+    }
+    if(candidates.length === 0){
+      return null
+    }
+    candidates.sort((a, b) => b.priority - a.priority)
+    return candidates[0]
+  }
+
+  /**
+   * @access private
+   * @param {number} codePoint -
+   * @returns {number} -
+   */
+  _lookupCmap(codePoint) {
+    const cmap = this._tables.get('cmap')
+    const offset = this._cmap.offset
+    switch(this._cmap.format){
+      case 0: {
+        return codePoint < 256 ? cmap.getUint8(offset + 6 + codePoint) : 0
+      }
+      case 4: {
+        if(codePoint > 0xFFFF){
+          return 0
+        }
+        const segCount = cmap.getUint16(offset + 6) / 2
+        const endCodes = offset + 14
+        const startCodes = endCodes + segCount * 2 + 2
+        const idDeltas = startCodes + segCount * 2
+        const idRangeOffsets = idDeltas + segCount * 2
+        let low = 0
+        let high = segCount - 1
+        while(low <= high){
+          const mid = (low + high) >> 1
+          const end = cmap.getUint16(endCodes + mid * 2)
+          if(end < codePoint){
+            low = mid + 1
+            continue
+          }
+          const start = cmap.getUint16(startCodes + mid * 2)
+          if(start > codePoint){
+            high = mid - 1
+            continue
+          }
+          const idDelta = cmap.getInt16(idDeltas + mid * 2)
+          const rangeOffsetPos = idRangeOffsets + mid * 2
+          const idRangeOffset = cmap.getUint16(rangeOffsetPos)
+          if(idRangeOffset === 0){
+            return (codePoint + idDelta) & 0xFFFF
+          }
+          const glyph = cmap.getUint16(rangeOffsetPos + idRangeOffset + (codePoint - start) * 2)
+          return glyph === 0 ? 0 : (glyph + idDelta) & 0xFFFF
+        }
+        return 0
+      }
+      case 6: {
+        const firstCode = cmap.getUint16(offset + 6)
+        const entryCount = cmap.getUint16(offset + 8)
+        const index = codePoint - firstCode
+        return index >= 0 && index < entryCount ? cmap.getUint16(offset + 10 + index * 2) : 0
+      }
+      case 12: {
+        const numGroups = cmap.getUint32(offset + 12)
+        let low = 0
+        let high = numGroups - 1
+        while(low <= high){
+          const mid = (low + high) >> 1
+          const group = offset + 16 + mid * 12
+          const start = cmap.getUint32(group)
+          const end = cmap.getUint32(group + 4)
+          if(codePoint < start){
+            high = mid - 1
+          }else if(codePoint > end){
+            low = mid + 1
+          }else{
+            return cmap.getUint32(group + 8) + (codePoint - start)
+          }
+        }
+        return 0
+      }
+      default:
+        return 0
+    }
+  }
+
+  /**
+   * Reads the horizontal pairs of the format 0 subtables of the kern table.
+   * @access private
+   * @returns {Map<number, number>} -
+   */
+  _readKerning() {
+    const kerning = new Map()
+    const kern = this._tables.get('kern')
+    if(!kern || kern.getUint16(0) !== 0){
+      return kerning
+    }
+    const nTables = kern.getUint16(2)
+    let offset = 4
+    for(let i=0; i<nTables && offset + 6 <= kern.byteLength; i++){
+      const length = kern.getUint16(offset + 2)
+      const coverage = kern.getUint16(offset + 4)
+      const format = coverage >> 8
+      const isHorizontal = (coverage & 0x01) !== 0
+      const isCrossStream = (coverage & 0x04) !== 0
+      if(format === 0 && isHorizontal && !isCrossStream){
+        const nPairs = kern.getUint16(offset + 6)
+        for(let j=0; j<nPairs; j++){
+          const pair = offset + 14 + j * 6
+          if(pair + 6 > kern.byteLength){
+            break
+          }
+          const key = kern.getUint16(pair) * 65536 + kern.getUint16(pair + 2)
+          kerning.set(key, (kerning.get(key) || 0) + kern.getInt16(pair + 4))
+        }
+      }
+      offset += length
+    }
+    return kerning
+  }
+
+  // TrueType outlines
+
+  /**
+   * @access private
+   * @param {number} glyph -
+   * @returns {?DataView} - null if the glyph has no outline.
+   */
+  _trueTypeGlyphData(glyph) {
+    const loca = this._tables.get('loca')
+    const glyf = this._tables.get('glyf')
+    let start = 0
+    let end = 0
+    if(this._indexToLocFormat === 0){
+      start = loca.getUint16(glyph * 2) * 2
+      end = loca.getUint16(glyph * 2 + 2) * 2
+    }else{
+      start = loca.getUint32(glyph * 4)
+      end = loca.getUint32(glyph * 4 + 4)
+    }
+    if(end <= start || end > glyf.byteLength){
+      return null
+    }
+    return new DataView(glyf.buffer, glyf.byteOffset + start, end - start)
+  }
+
+  /**
+   * @access private
+   * @param {number} glyph -
+   * @param {CGMutablePath} path -
+   * @param {CGAffineTransform} transform -
+   * @param {number} depth -
+   * @returns {void}
+   */
+  _addTrueTypeGlyph(glyph, path, transform, depth) {
+    const data = this._trueTypeGlyphData(glyph)
+    if(data === null){
+      return
+    }
+    const numberOfContours = data.getInt16(0)
+    if(numberOfContours < 0){
+      this._addCompositeGlyph(data, path, transform, depth)
+      return
+    }
+
+    const endPts = []
+    for(let i=0; i<numberOfContours; i++){
+      endPts.push(data.getUint16(10 + i * 2))
+    }
+    const numPoints = numberOfContours > 0 ? endPts[numberOfContours - 1] + 1 : 0
+    let pos = 10 + numberOfContours * 2
+    pos += 2 + data.getUint16(pos)
+
+    const flags = []
+    while(flags.length < numPoints){
+      const flag = data.getUint8(pos++)
+      flags.push(flag)
+      if(flag & 0x08){
+        const repeat = data.getUint8(pos++)
+        for(let i=0; i<repeat; i++){
+          flags.push(flag)
+        }
+      }
+    }
+    const readCoordinates = (shortFlag, sameFlag) => {
+      const values = []
+      let value = 0
+      for(let i=0; i<numPoints; i++){
+        const flag = flags[i]
+        if(flag & shortFlag){
+          const delta = data.getUint8(pos++)
+          value += (flag & sameFlag) ? delta : -delta
+        }else if(!(flag & sameFlag)){
+          value += data.getInt16(pos)
+          pos += 2
+        }
+        values.push(value)
+      }
+      return values
+    }
+    const xs = readCoordinates(0x02, 0x10)
+    const ys = readCoordinates(0x04, 0x20)
+
+    let start = 0
+    for(const end of endPts){
+      const points = []
+      for(let i=start; i<=end; i++){
+        points.push({ x: xs[i], y: ys[i], onCurve: (flags[i] & 0x01) !== 0 })
+      }
+      this._addQuadraticContour(points, path, transform)
+      start = end + 1
+    }
+  }
+
+  /**
+   * @access private
+   * @param {Array<{x: number, y: number, onCurve: boolean}>} points -
+   * @param {CGMutablePath} path -
+   * @param {CGAffineTransform} transform -
+   * @returns {void}
+   */
+  _addQuadraticContour(points, path, transform) {
+    const count = points.length
+    if(count === 0){
+      return
+    }
+    const mid = (a, b) => new CGPoint((a.x + b.x) * 0.5, (a.y + b.y) * 0.5)
+
+    // find a point on the curve to start with
+    let startIndex = points.findIndex((p) => p.onCurve)
+    let startPoint = null
+    if(startIndex < 0){
+      startPoint = mid(points[0], points[count - 1])
+      startIndex = 0
+    }else{
+      startPoint = new CGPoint(points[startIndex].x, points[startIndex].y)
+      startIndex += 1
+    }
+    path.moveTo(startPoint, transform)
+
+    let control = null
+    for(let i=0; i<count; i++){
+      const p = points[(startIndex + i) % count]
+      if(p.onCurve){
+        const point = new CGPoint(p.x, p.y)
+        if(control){
+          path.addQuadCurveTo(point, control, transform)
+        }else{
+          path.addLineTo(point, transform)
+        }
+        control = null
+      }else{
+        if(control){
+          path.addQuadCurveTo(mid(control, p), control, transform)
+        }
+        control = new CGPoint(p.x, p.y)
+      }
+    }
+    if(control){
+      path.addQuadCurveTo(startPoint, control, transform)
+    }
+    path.closeSubpath()
+  }
+
+  /**
+   * @access private
+   * @param {DataView} data -
+   * @param {CGMutablePath} path -
+   * @param {CGAffineTransform} transform -
+   * @param {number} depth -
+   * @returns {void}
+   */
+  _addCompositeGlyph(data, path, transform, depth) {
+    if(depth >= _maxCompositeDepth){
+      return
+    }
+    let pos = 10
+    let flags = 0
+    do {
+      flags = data.getUint16(pos)
+      const glyph = data.getUint16(pos + 2)
+      pos += 4
+      let dx = 0
+      let dy = 0
+      if(flags & 0x0001){
+        dx = data.getInt16(pos)
+        dy = data.getInt16(pos + 2)
+        pos += 4
+      }else{
+        dx = data.getInt8(pos)
+        dy = data.getInt8(pos + 1)
+        pos += 2
+      }
+      if(!(flags & 0x0002)){
+        // matching points are not supported
+        dx = 0
+        dy = 0
+      }
+      let a = 1
+      let b = 0
+      let c = 0
+      let d = 1
+      if(flags & 0x0008){
+        a = d = data.getInt16(pos) / 16384
+        pos += 2
+      }else if(flags & 0x0040){
+        a = data.getInt16(pos) / 16384
+        d = data.getInt16(pos + 2) / 16384
+        pos += 4
+      }else if(flags & 0x0080){
+        a = data.getInt16(pos) / 16384
+        b = data.getInt16(pos + 2) / 16384
+        c = data.getInt16(pos + 4) / 16384
+        d = data.getInt16(pos + 6) / 16384
+        pos += 8
+      }
+      const component = new CGAffineTransform(a, b, c, d, dx, dy)
+      this._addTrueTypeGlyph(glyph, path, component.concatenating(transform), depth + 1)
+    } while(flags & 0x0020)
+  }
+
+  // CFF outlines
+
+  /**
+   * @access private
+   * @param {DataView} cff -
+   * @returns {Object} -
+   */
+  _readCFF(cff) {
+    const headerSize = cff.getUint8(2)
+    const nameIndex = _readCFFIndex(cff, headerSize)
+    const topDictIndex = _readCFFIndex(cff, nameIndex.end)
+    const stringIndex = _readCFFIndex(cff, topDictIndex.end)
+    const globalSubrIndex = _readCFFIndex(cff, stringIndex.end)
+    if(topDictIndex.items.length === 0){
+      throw new Error('the CFF table has no Top DICT')
+    }
+    const top = topDictIndex.items[0]
+    const topDict = _readCFFDict(cff, top.start, top.end)
+    if(!topDict[17]){
+      throw new Error('the CFF table has no CharStrings')
+    }
+    const charStrings = _readCFFIndex(cff, topDict[17][0]).items
+    const globalSubrs = globalSubrIndex.items
+
+    const readPrivate = (dict) => {
+      if(!dict[18] || dict[18].length < 2){
+        return { subrs: [], bias: 107 }
+      }
+      const [size, offset] = dict[18]
+      const privateDict = _readCFFDict(cff, offset, offset + size)
+      const subrs = privateDict[19] ? _readCFFIndex(cff, offset + privateDict[19][0]).items : []
+      return { subrs, bias: _subrBias(subrs) }
+    }
+
+    let fdSelect = null
+    let fontDicts = [readPrivate(topDict)]
+    if(topDict[1230] && topDict[1236] && topDict[1237]){
+      // CID-keyed font
+      fontDicts = _readCFFIndex(cff, topDict[1236][0]).items.map((item) => {
+        return readPrivate(_readCFFDict(cff, item.start, item.end))
+      })
+      fdSelect = this._readFDSelect(cff, topDict[1237][0], charStrings.length)
+    }
+
+    return {
+      view: cff,
+      charStrings,
+      globalSubrs,
+      globalBias: _subrBias(globalSubrs),
+      fontDicts,
+      fdSelect
+    }
+  }
+
+  /**
+   * @access private
+   * @param {DataView} cff -
+   * @param {number} offset -
+   * @param {number} numGlyphs -
+   * @returns {number[]} - font DICT index for each glyph.
+   */
+  _readFDSelect(cff, offset, numGlyphs) {
+    const format = cff.getUint8(offset)
+    const select = new Array(numGlyphs).fill(0)
+    if(format === 0){
+      for(let i=0; i<numGlyphs; i++){
+        select[i] = cff.getUint8(offset + 1 + i)
+      }
+    }else if(format === 3){
+      const nRanges = cff.getUint16(offset + 1)
+      for(let i=0; i<nRanges; i++){
+        const range = offset + 3 + i * 3
+        const first = cff.getUint16(range)
+        const fd = cff.getUint8(range + 2)
+        const next = cff.getUint16(range + 3)
+        for(let g=first; g<next && g<numGlyphs; g++){
+          select[g] = fd
+        }
+      }
+    }
+    return select
+  }
+
+  /**
+   * Runs the Type 2 charstring of the glyph.
+   * @access private
+   * @param {number} glyph -
+   * @param {CGMutablePath} path -
+   * @param {CGAffineTransform} transform -
+   * @returns {void}
+   */
+  _addCFFGlyph(glyph, path, transform) {
+    const cff = this._cff
+    if(glyph >= cff.charStrings.length){
+      return
+    }
+    const view = cff.view
+    const fontDict = cff.fontDicts[cff.fdSelect ? cff.fdSelect[glyph] : 0] || cff.fontDicts[0]
+    const stack = []
+    let x = 0
+    let y = 0
+    let nStems = 0
+    let hasWidth = false
+    let isOpen = false
+    let ended = false
+
+    const moveTo = (dx, dy) => {
+      if(isOpen){
+        path.closeSubpath()
+      }
+      x += dx
+      y += dy
+      path.moveTo(new CGPoint(x, y), transform)
+      isOpen = true
+    }
+    const lineTo = (dx, dy) => {
+      x += dx
+      y += dy
+      path.addLineTo(new CGPoint(x, y), transform)
+    }
+    const curveTo = (dx1, dy1, dx2, dy2, dx3, dy3) => {
+      const c1 = new CGPoint(x + dx1, y + dy1)
+      const c2 = new CGPoint(c1.x + dx2, c1.y + dy2)
+      x = c2.x + dx3
+      y = c2.y + dy3
+      path.addCurveTo(new CGPoint(x, y), c1, c2, transform)
+    }
+    // the first operand of the first stack-clearing operator may be the advance width.
+    const takeWidth = (hasExtra) => {
+      if(!hasWidth && hasExtra){
+        stack.shift()
+      }
+      hasWidth = true
+    }
+    const countStems = () => {
+      takeWidth(stack.length % 2 === 1)
+      nStems += stack.length >> 1
+      stack.length = 0
+    }
+
+    const run = (item, depth) => {
+      if(depth > _maxSubrDepth){
+        return
+      }
+      let pos = item.start
+      while(pos < item.end && !ended){
+        const b0 = view.getUint8(pos++)
+        if(b0 >= 32 || b0 === 28){
+          if(b0 === 28){
+            stack.push(view.getInt16(pos))
+            pos += 2
+          }else if(b0 <= 246){
+            stack.push(b0 - 139)
+          }else if(b0 <= 250){
+            stack.push((b0 - 247) * 256 + view.getUint8(pos++) + 108)
+          }else if(b0 <= 254){
+            stack.push(-(b0 - 251) * 256 - view.getUint8(pos++) - 108)
+          }else{
+            stack.push(view.getInt32(pos) / 65536)
+            pos += 4
+          }
+          continue
+        }
+        switch(b0){
+          case 1: // hstem
+          case 3: // vstem
+          case 18: // hstemhm
+          case 23: // vstemhm
+            countStems()
+            break
+          case 19: // hintmask
+          case 20: // cntrmask
+            countStems()
+            pos += (nStems + 7) >> 3
+            break
+          case 21: // rmoveto
+            takeWidth(stack.length > 2)
+            moveTo(stack[0], stack[1])
+            stack.length = 0
+            break
+          case 22: // hmoveto
+            takeWidth(stack.length > 1)
+            moveTo(stack[0], 0)
+            stack.length = 0
+            break
+          case 4: // vmoveto
+            takeWidth(stack.length > 1)
+            moveTo(0, stack[0])
+            stack.length = 0
+            break
+          case 5: // rlineto
+            for(let i=0; i+1<stack.length; i+=2){
+              lineTo(stack[i], stack[i + 1])
+            }
+            stack.length = 0
+            break
+          case 6: // hlineto
+          case 7: { // vlineto
+            let horizontal = b0 === 6
+            for(const value of stack){
+              if(horizontal){
+                lineTo(value, 0)
+              }else{
+                lineTo(0, value)
+              }
+              horizontal = !horizontal
+            }
+            stack.length = 0
+            break
+          }
+          case 8: // rrcurveto
+            for(let i=0; i+5<stack.length; i+=6){
+              curveTo(stack[i], stack[i + 1], stack[i + 2], stack[i + 3], stack[i + 4], stack[i + 5])
+            }
+            stack.length = 0
+            break
+          case 24: { // rcurveline
+            let i = 0
+            for(; i+7<stack.length; i+=6){
+              curveTo(stack[i], stack[i + 1], stack[i + 2], stack[i + 3], stack[i + 4], stack[i + 5])
+            }
+            lineTo(stack[i], stack[i + 1])
+            stack.length = 0
+            break
+          }
+          case 25: { // rlinecurve
+            let i = 0
+            for(; i+7<stack.length; i+=2){
+              lineTo(stack[i], stack[i + 1])
+            }
+            curveTo(stack[i], stack[i + 1], stack[i + 2], stack[i + 3], stack[i + 4], stack[i + 5])
+            stack.length = 0
+            break
+          }
+          case 26: { // vvcurveto
+            let i = 0
+            let dx1 = 0
+            if(stack.length % 2 === 1){
+              dx1 = stack[0]
+              i = 1
+            }
+            for(; i+3<stack.length; i+=4){
+              curveTo(dx1, stack[i], stack[i + 1], stack[i + 2], 0, stack[i + 3])
+              dx1 = 0
+            }
+            stack.length = 0
+            break
+          }
+          case 27: { // hhcurveto
+            let i = 0
+            let dy1 = 0
+            if(stack.length % 2 === 1){
+              dy1 = stack[0]
+              i = 1
+            }
+            for(; i+3<stack.length; i+=4){
+              curveTo(stack[i], dy1, stack[i + 1], stack[i + 2], stack[i + 3], 0)
+              dy1 = 0
+            }
+            stack.length = 0
+            break
+          }
+          case 30: // vhcurveto
+          case 31: { // hvcurveto
+            let horizontal = b0 === 31
+            for(let i=0; i+3<stack.length; i+=4){
+              const last = stack.length - i === 5 ? stack[i + 4] : 0
+              if(horizontal){
+                curveTo(stack[i], 0, stack[i + 1], stack[i + 2], last, stack[i + 3])
+              }else{
+                curveTo(0, stack[i], stack[i + 1], stack[i + 2], stack[i + 3], last)
+              }
+              horizontal = !horizontal
+            }
+            stack.length = 0
+            break
+          }
+          case 10: { // callsubr
+            const index = stack.pop() + fontDict.bias
+            if(index >= 0 && index < fontDict.subrs.length){
+              run(fontDict.subrs[index], depth + 1)
+            }
+            break
+          }
+          case 29: { // callgsubr
+            const index = stack.pop() + cff.globalBias
+            if(index >= 0 && index < cff.globalSubrs.length){
+              run(cff.globalSubrs[index], depth + 1)
+            }
+            break
+          }
+          case 11: // return
+            return
+          case 14: // endchar
+            takeWidth(stack.length === 1 || stack.length === 5)
+            stack.length = 0
+            ended = true
+            break
+          case 12: {
+            const b1 = view.getUint8(pos++)
+            const s = stack
+            if(b1 === 35){ // flex
+              curveTo(s[0], s[1], s[2], s[3], s[4], s[5])
+              curveTo(s[6], s[7], s[8], s[9], s[10], s[11])
+            }else if(b1 === 34){ // hflex
+              curveTo(s[0], 0, s[1], s[2], s[3], 0)
+              curveTo(s[4], 0, s[5], -s[2], s[6], 0)
+            }else if(b1 === 36){ // hflex1
+              curveTo(s[0], s[1], s[2], s[3], s[4], 0)
+              curveTo(s[5], 0, s[6], s[7], s[8], -(s[1] + s[3] + s[7]))
+            }else if(b1 === 37){ // flex1
+              const startX = x
+              const startY = y
+              curveTo(s[0], s[1], s[2], s[3], s[4], s[5])
+              const dx = s[0] + s[2] + s[4] + s[6] + s[8]
+              const dy = s[1] + s[3] + s[5] + s[7] + s[9]
+              if(Math.abs(dx) > Math.abs(dy)){
+                curveTo(s[6], s[7], s[8], s[9], s[10], startY - (y + s[7] + s[9]))
+              }else{
+                curveTo(s[6], s[7], s[8], s[9], startX - (x + s[6] + s[8]), s[10])
+              }
+            }
+            stack.length = 0
+            break
+          }
+          default:
+            stack.length = 0
+            break
+        }
+      }
+    }
+
+    run(cff.charStrings[glyph], 0)
+    if(isOpen){
+      path.closeSubpath()
+    }
+  }
+}
@@ -0,0 +1,172 @@
+'use strict'
+
+const _entities = {
+  lt: '<',
+  gt: '>',
+  amp: '&',
+  quot: '"',
+  apos: '\''
+}
+
+/**
+ * Minimal non-validating XML parser.
+ * Each element is an object with name, attributes, children and text.
+ * @access private
+ */
+export default class _XMLParser {
+  /**
+   * @access private
+   * @constructor
+   * @param {string} text -
+   */
+  constructor(text) {
+    /**
+     * @access private
+     * @type {string}
+     */
+    this._text = text
+
+    /**
+     * @access private
+     * @type {number}
+     */
+    this._pos = 0
+  }
+
+  /**
+   * @access public
+   * @param {string} text -
+   * @returns {Object} - the root element.
+   */
+  static parse(text) {
+    return new _XMLParser(text)._parseDocument()
+  }
+
+  /**
+   * @access private
+   * @param {string} text -
+   * @returns {string} -
+   */
+  static _decode(text) {
+    return text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-zA-Z]+);/g, (match, entity) => {
+      if(entity[0] === '#'){
+        const code = entity[1] === 'x' ? parseInt(entity.substring(2), 16) : parseInt(entity.substring(1), 10)
+        return String.fromCodePoint(code)
+      }
+      if(typeof _entities[entity] !== 'undefined'){
+        return _entities[entity]
+      }
+      return match
+    })
+  }
+
+  /**
+   * @access private
+   * @returns {Object} -
+   */
+  _parseDocument() {
+    const root = { name: '', attributes: {}, children: [], text: '' }
+    this._parseContents(root)
+    const element = root.children[0]
+    if(typeof element === 'undefined'){
+      throw new Error('XML document does not have an element')
+    }
+    return element
+  }
+
+  /**
+   * Reads the contents until the end tag of the element.
+   * @access private
+   * @param {Object} element -
+   * @returns {void}
+   */
+  _parseContents(element) {
+    const text = this._text
+    while(this._pos < text.length){
+      const start = text.indexOf('<', this._pos)
+      if(start < 0){
+        element.text += _XMLParser._decode(text.substring(this._pos))
+        this._pos = text.length
+        return
+      }
+      element.text += _XMLParser._decode(text.substring(this._pos, start))
+      this._pos = start
+
+      if(text.startsWith('<!--', start)){
+        this._skipTo('-->')
+      }else if(text.startsWith('<![CDATA[', start)){
+        const end = this._indexOf(']]>', start)
+        element.text += text.substring(start + 9, end)
+        this._pos = end + 3
+      }else if(text.startsWith('<?', start)){
+        this._skipTo('?>')
+      }else if(text.startsWith('<!', start)){
+        // DOCTYPE: internal subsets are not supported.
+        this._skipTo('>')
+      }else if(text.startsWith('</', start)){
+        const end = this._indexOf('>', start)
+        const name = text.substring(start + 2, end).trim()
+        if(name !== element.name){
+          throw new Error(`XML parse error: </${name}> does not match <${element.name}>`)
+        }
+        this._pos = end + 1
+        return
+      }else{
+        element.children.push(this._parseElement())
+      }
+    }
+    if(element.name !== ''){
+      throw new Error(`XML parse error: <${element.name}> is not closed`)
+    }
+  }
+
+  /**
+   * @access private
+   * @returns {Object} -
+   */
+  _parseElement() {
+    const pattern = /<([^\s/>]+)|\s*([^\s=/>]+)\s*=\s*("[^"]*"|'[^']*')|\s*(\/?>)/y
+    pattern.lastIndex = this._pos
+    const element = { name: '', attributes: {}, children: [], text: '' }
+    for(;;){
+      const match = pattern.exec(this._text)
+      if(match === null){
+        throw new Error(`XML parse error at ${pattern.lastIndex}`)
+      }
+      if(typeof match[1] !== 'undefined'){
+        element.name = match[1]
+      }else if(typeof match[2] !== 'undefined'){
+        element.attributes[match[2]] = _XMLParser._decode(match[3].slice(1, -1))
+      }else{
+        this._pos = pattern.lastIndex
+        if(match[4] === '>'){
+          this._parseContents(element)
+        }
+        return element
+      }
+    }
+  }
+
+  /**
+   * @access private
+   * @param {string} str -
+   * @param {number} from -
+   * @returns {number} -
+   */
+  _indexOf(str, from) {
+    const index = this._text.indexOf(str, from)
+    if(index < 0){
+      throw new Error(`XML parse error: ${str} is not found`)
+    }
+    return index
+  }
+
+  /**
+   * @access private
+   * @param {string} str -
+   * @returns {void}
+   */
+  _skipTo(str) {
+    this._pos = this._indexOf(str, this._pos) + str.length
+  }
+}
@@ -1,4 +1,4 @@
 /*global require*/
 require('@babel/register')({
-  ignore: [/node_modules/]
+  ignore: [/node_modules/, /third_party\/ammo\.js$/]
 })
@@ -0,0 +1,150 @@
+import AVAudioEnvironmentNode from '../../../src/js/AVFoundation/AVAudioEnvironmentNode'
+import AVAudioEnvironmentDistanceAttenuationModel from '../../../src/js/AVFoundation/AVAudioEnvironmentDistanceAttenuationModel'
+import SCNAudioPlayer from '../../../src/js/SceneKit/SCNAudioPlayer'
+import SCNAudioSource from '../../../src/js/SceneKit/SCNAudioSource'
+import SCNNode from '../../../src/js/SceneKit/SCNNode'
+import SCNVector3 from '../../../src/js/SceneKit/SCNVector3'
+import SCNVector4 from '../../../src/js/SceneKit/SCNVector4'
+import chai from '../../../node_modules/chai/chai'
+
+const expect = chai.expect
+
+const epsilon = 0.0001
+
+const createPlayer = (isPositional) => {
+  const source = new SCNAudioSource('sound.mp3')
+  source.isPositional = isPositional
+  source.rate = 1.5
+  source.reverbBlend = 0.25
+  return new SCNAudioPlayer(source)
+}
+
+// updates the presentation nodes in the same way as SCNView does every frame.
+const updateFrame = (root) => {
+  const nodes = [root]
+  while(nodes.length > 0){
+    const node = nodes.shift()
+    node._createPresentation()
+    node._copyTransformToPresentation()
+    nodes.push(...node.childNodes)
+  }
+  root._updateWorldTransform()
+}
+
+describe('AVAudioEnvironmentNode class', () => {
+  describe('distanceAttenuationParameters', () => {
+    it('should map the attenuation model to the Web Audio distance model', () => {
+      const params = (new AVAudioEnvironmentNode()).distanceAttenuationParameters
+      expect(params._webAudioDistanceModel).to.equal('inverse')
+
+      params.distanceAttenuationModel = AVAudioEnvironmentDistanceAttenuationModel.exponential
+      expect(params._webAudioDistanceModel).to.equal('exponential')
+
+      params.distanceAttenuationModel = AVAudioEnvironmentDistanceAttenuationModel.linear
+      expect(params._webAudioDistanceModel).to.equal('linear')
+    })
+  })
+
+  describe('_updatePlayer function', () => {
+    it('should spatialize a positional player from the world transforms', () => {
+      const environment = new AVAudioEnvironmentNode()
+      const root = new SCNNode()
+      const parent = new SCNNode()
+      parent.position = new SCNVector3(1, 0, 5)
+      root.addChildNode(parent)
+      const node = new SCNNode()
+      node.position = new SCNVector3(2, 0, 0)
+      parent.addChildNode(node)
+      updateFrame(root)
+
+      const player = createPlayer(true)
+      environment._updatePlayer(player, node)
+      const mixer = player.audioNode
+      expect(mixer.position.x).to.be.closeTo(3, epsilon)
+      expect(mixer.position.z).to.be.closeTo(5, epsilon)
+      expect(player._environment).to.equal(environment)
+
+      // Web Audio is not available here, so the panner is replaced with a stub.
+      mixer._pannerNode = {
+        positionX: { value: 0 },
+        positionY: { value: 0 },
+        positionZ: { value: 0 }
+      }
+      const params = environment.distanceAttenuationParameters
+      params.distanceAttenuationModel = AVAudioEnvironmentDistanceAttenuationModel.linear
+      params.referenceDistance = 2
+      params.maximumDistance = 10
+      params.rolloffFactor = 0.5
+      node.position = new SCNVector3(2, 3, 0)
+      updateFrame(root)
+      environment._updatePlayer(player, node)
+
+      const panner = mixer._pannerNode
+      expect(panner.distanceModel).to.equal('linear')
+      expect(panner.refDistance).to.equal(2)
+      expect(panner.maxDistance).to.equal(10)
+      expect(panner.rolloffFactor).to.equal(0.5)
+      expect(panner.positionX.value).to.be.closeTo(3, epsilon)
+      expect(panner.positionY.value).to.be.closeTo(3, epsilon)
+      expect(panner.positionZ.value).to.be.closeTo(5, epsilon)
+    })
+
+    it('should take the listener pose from the world transform', () => {
+      const environment = new AVAudioEnvironmentNode()
+      const root = new SCNNode()
+      const listener = new SCNNode()
+      listener.position = new SCNVector3(0, 0, 5)
+      listener.rotation = new SCNVector4(0, 1, 0, Math.PI)
+      root.addChildNode(listener)
+      updateFrame(root)
+
+      environment._updateListener(listener)
+      expect(environment.listenerPosition.z).to.be.closeTo(5, epsilon)
+      expect(environment.listenerVectorOrientation.forward.z).to.be.closeTo(1, epsilon)
+      expect(environment.listenerVectorOrientation.up.y).to.be.closeTo(1, epsilon)
+    })
+
+    it('should not spatialize a non-positional player', () => {
+      const environment = new AVAudioEnvironmentNode()
+      const node = new SCNNode()
+      node.position = new SCNVector3(0, 0, -10)
+      updateFrame(node)
+
+      const player = createPlayer(false)
+      environment._updateListener(null)
+      environment._updatePlayer(player, node)
+      expect(player.audioNode.position.z).to.equal(0)
+    })
+  })
+
+  describe('without Web Audio', () => {
+    it('should not start loading when a player is played', () => {
+      const player = createPlayer(true)
+      player._play()
+      expect(player.audioSource._loading).to.be.false
+    })
+
+    it('should report a load error through didLoad', () => {
+      const source = new SCNAudioSource('sound.mp3')
+      source.load()
+      return source.didLoad.then(() => {
+        throw new Error('didLoad should be rejected')
+      }, (error) => {
+        expect(error).to.be.an.instanceof(Error)
+      })
+    })
+  })
+
+  describe('AVAudioMixerNode', () => {
+    it('should take the playback parameters from the audio source', () => {
+      const player = createPlayer(true)
+      const mixer = player.audioNode
+      expect(mixer.volume).to.equal(1)
+      expect(mixer.rate).to.equal(1.5)
+      expect(mixer.reverbBlend).to.equal(0.25)
+
+      mixer.reverbBlend = 2
+      expect(mixer.reverbBlend).to.equal(1)
+    })
+  })
+})
@@ -0,0 +1,169 @@
+import CGAffineTransform from '../../../src/js/CoreGraphics/CGAffineTransform'
+import CGLineCap from '../../../src/js/CoreGraphics/CGLineCap'
+import CGLineJoin from '../../../src/js/CoreGraphics/CGLineJoin'
+import CGMutablePath from '../../../src/js/CoreGraphics/CGMutablePath'
+import CGPath from '../../../src/js/CoreGraphics/CGPath'
+import CGPathElementType from '../../../src/js/CoreGraphics/CGPathElementType'
+import CGPathFillRule from '../../../src/js/CoreGraphics/CGPathFillRule'
+import CGPoint from '../../../src/js/CoreGraphics/CGPoint'
+import CGRect from '../../../src/js/CoreGraphics/CGRect'
+import chai from '../../../node_modules/chai/chai'
+
+const expect = chai.expect
+
+const epsilon = 0.0001
+
+const expectRect = (rect, x, y, width, height) => {
+  expect(rect.origin.x).to.be.closeTo(x, epsilon)
+  expect(rect.origin.y).to.be.closeTo(y, epsilon)
+  expect(rect.size.width).to.be.closeTo(width, epsilon)
+  expect(rect.size.height).to.be.closeTo(height, epsilon)
+}
+
+const elementTypes = (path) => {
+  const types = []
+  path.apply(types, (info, element) => info.push(element.type))
+  return types
+}
+
+describe('CGPath class', () => {
+  describe('constructing a path', () => {
+    it('should store the path elements', () => {
+      const path = new CGMutablePath()
+      expect(path.isEmpty).to.be.true
+      expect(path.currentPoint.x).to.equal(0)
+
+      path.moveTo(new CGPoint(1, 1))
+      path.addLineTo(new CGPoint(3, 1))
+      path.addQuadCurveTo(new CGPoint(3, 3), new CGPoint(4, 2))
+      expect(path.currentPoint.y).to.equal(3)
+      path.closeSubpath()
+      expect(path.currentPoint.x).to.equal(1)
+      expect(path.isEmpty).to.be.false
+      expect(elementTypes(path)).to.deep.equal([
+        CGPathElementType.moveToPoint,
+        CGPathElementType.addLineToPoint,
+        CGPathElementType.addQuadCurveToPoint,
+        CGPathElementType.closeSubpath
+      ])
+
+      const copy = path.mutableCopyUsing(CGAffineTransform.translationXY(10, 0))
+      expect(copy).to.be.an.instanceof(CGMutablePath)
+      expect(copy.boundingBox.origin.x).to.be.closeTo(11, epsilon)
+      expect(path.boundingBox.origin.x).to.be.closeTo(1, epsilon)
+    })
+
+    it('should create a rectangle path', () => {
+      const path = new CGPath(CGRect.rectWithXYWidthHeight(1, 2, 3, 4), CGAffineTransform.scaleXY(2, 1))
+      const rect = CGRect.zero
+      expect(path.isRect(rect)).to.be.true
+      expectRect(rect, 2, 2, 6, 4)
+      expectRect(path.boundingBox, 2, 2, 6, 4)
+
+      const rotated = path.copyUsing(CGAffineTransform.rotationAngle(Math.PI * 0.25))
+      expect(rotated.isRect(null)).to.be.false
+    })
+
+    it('should approximate arcs with curves', () => {
+      const center = new CGPoint(0, 0)
+      const path = new CGMutablePath()
+      path.addArc(center, 1, 0, Math.PI * 0.5, false)
+      expect(path.currentPoint.x).to.be.closeTo(0, epsilon)
+      expect(path.currentPoint.y).to.be.closeTo(1, epsilon)
+      expectRect(path.boundingBoxOfPath, 0, 0, 1, 1)
+
+      const clockwise = new CGMutablePath()
+      clockwise.addArc(center, 1, 0, Math.PI * 0.5, true)
+      expect(clockwise.currentPoint.y).to.be.closeTo(1, epsilon)
+      expectRect(clockwise.boundingBoxOfPath, -1, -1, 2, 2)
+    })
+  })
+
+  describe('bounding boxes', () => {
+    it('should include control points only in boundingBox', () => {
+      const path = new CGMutablePath()
+      path.moveTo(new CGPoint(0, 0))
+      path.addQuadCurveTo(new CGPoint(2, 0), new CGPoint(1, 2))
+      expectRect(path.boundingBox, 0, 0, 2, 2)
+      expectRect(path.boundingBoxOfPath, 0, 0, 2, 1)
+
+      const ellipse = new CGMutablePath()
+      ellipse.addEllipseIn(CGRect.rectWithXYWidthHeight(-2, -1, 4, 2))
+      expectRect(ellipse.boundingBoxOfPath, -2, -1, 4, 2)
+    })
+  })
+
+  describe('containsUsing function', () => {
+    it('should follow the fill rule', () => {
+      const path = new CGMutablePath()
+      path.addRect(CGRect.rectWithXYWidthHeight(0, 0, 10, 10))
+      path.addRect(CGRect.rectWithXYWidthHeight(2, 2, 6, 6))
+      const center = new CGPoint(5, 5)
+      expect(path.containsUsing(center, CGPathFillRule.winding)).to.be.true
+      expect(path.containsUsing(center, CGPathFillRule.evenOdd)).to.be.false
+      expect(path.containsUsing(new CGPoint(1, 5), CGPathFillRule.evenOdd)).to.be.true
+      expect(path.containsUsing(new CGPoint(11, 5))).to.be.false
+      expect(path.containsUsing(new CGPoint(11, 5), CGPathFillRule.winding, CGAffineTransform.translationXY(-5, 0))).to.be.true
+
+      const ellipse = new CGMutablePath()
+      ellipse.addEllipseIn(CGRect.rectWithXYWidthHeight(0, 0, 2, 2))
+      expect(ellipse.containsUsing(new CGPoint(1, 1.9))).to.be.true
+      expect(ellipse.containsUsing(new CGPoint(0.1, 0.1))).to.be.false
+    })
+  })
+
+  describe('copyDashingWithPhase function', () => {
+    it('should split the path into dashes', () => {
+      const path = new CGMutablePath()
+      path.addLinesBetween([new CGPoint(0, 0), new CGPoint(10, 0)])
+
+      const dashed = path.copyDashingWithPhase(0, [2, 3])
+      const starts = []
+      dashed.apply(starts, (info, element) => {
+        if(element.type === CGPathElementType.moveToPoint){
+          info.push(element.points[0].x)
+        }
+      })
+      expect(starts).to.deep.equal([0, 5])
+
+      const shifted = path.copyDashingWithPhase(1, [2, 3])
+      expectRect(shifted.boundingBox, 0, 0, 10, 0)
+      expect(elementTypes(shifted).filter((type) => type === CGPathElementType.moveToPoint)).to.have.lengthOf(3)
+    })
+  })
+
+  describe('copyStrokingWithWidth function', () => {
+    it('should outline the path with caps', () => {
+      const path = new CGMutablePath()
+      path.moveTo(new CGPoint(0, 0))
+      path.addLineTo(new CGPoint(10, 0))
+
+      const butt = path.copyStrokingWithWidth(2, CGLineCap.butt)
+      expect(butt.containsUsing(new CGPoint(5, 0.9))).to.be.true
+      expect(butt.containsUsing(new CGPoint(5, 1.1))).to.be.false
+      expect(butt.containsUsing(new CGPoint(-0.5, 0))).to.be.false
+
+      const square = path.copyStrokingWithWidth(2, CGLineCap.square)
+      expect(square.containsUsing(new CGPoint(-0.5, 0.9))).to.be.true
+
+      const round = path.copyStrokingWithWidth(2, CGLineCap.round)
+      expect(round.containsUsing(new CGPoint(-0.9, 0))).to.be.true
+      expect(round.containsUsing(new CGPoint(-0.8, 0.8))).to.be.false
+    })
+
+    it('should join the segments', () => {
+      const path = new CGMutablePath()
+      path.addLinesBetween([new CGPoint(0, 0), new CGPoint(10, 0), new CGPoint(10, 10)])
+
+      const miter = path.copyStrokingWithWidth(2, CGLineCap.butt, CGLineJoin.miter, 10)
+      expect(miter.containsUsing(new CGPoint(10.9, -0.9))).to.be.true
+
+      const bevel = path.copyStrokingWithWidth(2, CGLineCap.butt, CGLineJoin.bevel, 10)
+      expect(bevel.containsUsing(new CGPoint(10.9, -0.9))).to.be.false
+      expect(bevel.containsUsing(new CGPoint(10.4, -0.4))).to.be.true
+
+      const limited = path.copyStrokingWithWidth(2, CGLineCap.butt, CGLineJoin.miter, 1.2)
+      expect(limited.containsUsing(new CGPoint(10.9, -0.9))).to.be.false
+    })
+  })
+})
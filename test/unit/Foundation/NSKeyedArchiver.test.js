@@ -0,0 +1,193 @@
+import CGPoint from '../../../src/js/CoreGraphics/CGPoint'
+import CGRect from '../../../src/js/CoreGraphics/CGRect'
+import CGSize from '../../../src/js/CoreGraphics/CGSize'
+import NSKeyedArchiver from '../../../src/js/Foundation/NSKeyedArchiver'
+import NSKeyedUnarchiver from '../../../src/js/Foundation/NSKeyedUnarchiver'
+import NSObject from '../../../src/js/ObjectiveC/NSObject'
+import SCNBox from '../../../src/js/SceneKit/SCNBox'
+import SCNCamera from '../../../src/js/SceneKit/SCNCamera'
+import SCNGeometry from '../../../src/js/SceneKit/SCNGeometry'
+import SCNGeometryElement from '../../../src/js/SceneKit/SCNGeometryElement'
+import SCNGeometryPrimitiveType from '../../../src/js/SceneKit/SCNGeometryPrimitiveType'
+import SCNGeometrySource from '../../../src/js/SceneKit/SCNGeometrySource'
+import SCNLight from '../../../src/js/SceneKit/SCNLight'
+import SCNMaterial from '../../../src/js/SceneKit/SCNMaterial'
+import SCNNode from '../../../src/js/SceneKit/SCNNode'
+import SCNScene from '../../../src/js/SceneKit/SCNScene'
+import SCNVector3 from '../../../src/js/SceneKit/SCNVector3'
+import SCNVector4 from '../../../src/js/SceneKit/SCNVector4'
+import SKColor from '../../../src/js/SpriteKit/SKColor'
+import chai from '../../../node_modules/chai/chai'
+
+const expect = chai.expect
+
+const epsilon = 0.0001
+
+const roundTrip = (obj) => {
+  const data = NSKeyedArchiver.archivedDataWithRootObject(obj)
+  expect(data.toString('ascii', 0, 8)).to.equal('bplist00')
+  return NSKeyedUnarchiver.unarchiveObjectWithData(data)
+}
+
+const createTriangle = () => {
+  const vertices = [
+    new SCNVector3(0, 0, 0),
+    new SCNVector3(1, 0, 0),
+    new SCNVector3(0, 1, 0)
+  ]
+  const vertexSource = SCNGeometrySource.geometrySourceWithVerticesCount(vertices, vertices.length)
+  const element = new SCNGeometryElement([0, 1, 2], SCNGeometryPrimitiveType.triangles)
+  const geometry = new SCNGeometry([vertexSource], [element])
+  geometry.name = 'triangle'
+  const material = new SCNMaterial()
+  material.diffuse.contents = new SKColor(0.25, 0.5, 0.75, 0.5)
+  material.diffuse.intensity = 0.8
+  material.isDoubleSided = true
+  material.shininess = 0.3
+  geometry.materials = [material]
+  return geometry
+}
+
+describe('NSKeyedArchiver class', () => {
+  describe('archivedDataWithRootObject function', () => {
+    it('should archive a node hierarchy which NSKeyedUnarchiver can read', () => {
+      const root = new SCNNode()
+      root.name = 'ルート'
+      root.position = new SCNVector3(1, -2, 3.5)
+      root.rotation = new SCNVector4(0, 1, 0, Math.PI * 0.5)
+      root.scale = new SCNVector3(2, 2, 2)
+      root.categoryBitMask = -1
+      root.isHidden = true
+
+      const child = new SCNNode(createTriangle())
+      child.name = 'triangle'
+      root.addChildNode(child)
+
+      const node = roundTrip(root)
+      expect(node).to.be.an.instanceof(SCNNode)
+      expect(node.name).to.equal('ルート')
+      expect(node.position.y).to.be.closeTo(-2, epsilon)
+      expect(node.scale.x).to.be.closeTo(2, epsilon)
+      const transform = root.transform.floatArray()
+      node.transform.floatArray().forEach((value, i) => {
+        expect(value).to.be.closeTo(transform[i], epsilon)
+      })
+      expect(node.categoryBitMask).to.equal(-1)
+      expect(node.isHidden).to.be.true
+      expect(node.childNodes).to.have.lengthOf(1)
+
+      const geometry = node.childNodes[0].geometry
+      expect(node.childNodes[0].name).to.equal('triangle')
+      expect(geometry).to.be.an.instanceof(SCNGeometry)
+      expect(geometry.name).to.equal('triangle')
+      const vertex = geometry.getGeometrySourcesForSemantic(SCNGeometrySource.Semantic.vertex)[0]
+      expect(vertex.vectorCount).to.equal(3)
+      expect(vertex._scnVectorAt(2).y).to.be.closeTo(1, epsilon)
+      expect(geometry.geometryElements[0].data).to.deep.equal([0, 1, 2])
+      expect(geometry.geometryElements[0].primitiveCount).to.equal(1)
+
+      const material = geometry.firstMaterial
+      expect(material.isDoubleSided).to.be.true
+      expect(material.shininess).to.be.closeTo(0.3, epsilon)
+      expect(material.diffuse.intensity).to.be.closeTo(0.8, epsilon)
+      expect(material.diffuse.contents.blue).to.be.closeTo(0.75, epsilon)
+      expect(material.diffuse.contents.alpha).to.be.closeTo(0.5, epsilon)
+    })
+
+    it('should archive a scene with lights, cameras and primitive geometries', () => {
+      const scene = new SCNScene()
+      scene.fogStartDistance = 5
+      scene.fogColor = new SKColor(0, 1, 0, 1)
+      scene.physicsWorld.gravity = new SCNVector3(0, -2, 0)
+
+      const boxNode = new SCNNode(new SCNBox(1, 2, 3, 0.1))
+      boxNode.name = 'box'
+      scene.rootNode.addChildNode(boxNode)
+
+      const lightNode = new SCNNode()
+      lightNode.light = new SCNLight()
+      lightNode.light.intensity = 500
+      lightNode.light.color = new SKColor(1, 0, 0, 1)
+      scene.rootNode.addChildNode(lightNode)
+
+      const cameraNode = new SCNNode()
+      cameraNode.camera = new SCNCamera()
+      cameraNode.camera.zFar = 50
+      scene.rootNode.addChildNode(cameraNode)
+
+      const result = roundTrip(scene)
+      expect(result).to.be.an.instanceof(SCNScene)
+      expect(result.fogStartDistance).to.equal(5)
+      expect(result.fogColor.green).to.be.closeTo(1, epsilon)
+      expect(result.physicsWorld.gravity.y).to.be.closeTo(-2, epsilon)
+
+      const box = result.rootNode.childNodeWithNameRecursively('box', false).geometry
+      expect(box).to.be.an.instanceof(SCNBox)
+      expect(box.length).to.be.closeTo(3, epsilon)
+      expect(box.chamferRadius).to.be.closeTo(0.1, epsilon)
+
+      const nodes = result.rootNode.childNodes
+      expect(nodes[1].light.intensity).to.equal(500)
+      expect(nodes[1].light.color.red).to.be.closeTo(1, epsilon)
+      expect(nodes[1].light.shadowMapSize.width).to.equal(lightNode.light.shadowMapSize.width)
+      expect(nodes[2].camera.zFar).to.equal(50)
+    })
+
+    it('should archive shared objects only once', () => {
+      const material = new SCNMaterial()
+      const data = NSKeyedArchiver.archivedDataWithRootObject([material, material, 'text', 1.5, true])
+      const arr = NSKeyedUnarchiver.unarchiveObjectWithData(data)
+      expect(arr).to.have.lengthOf(5)
+      expect(arr[0]).to.be.an.instanceof(SCNMaterial)
+      expect(arr[1]).to.equal(arr[0])
+      expect(arr.slice(2)).to.deep.equal(['text', 1.5, true])
+    })
+  })
+
+  describe('encodePointForKey function', () => {
+    it('should encode points, rectangles and sizes as strings', () => {
+      const propTypes = {
+        point: 'point',
+        rect: 'rect',
+        size: 'size'
+      }
+      const archiver = new NSKeyedArchiver()
+      NSObject._saveProperties(archiver, {
+        point: new CGPoint(1, -2.5),
+        rect: new CGRect(new CGPoint(0.5, 2), new CGSize(3, 4)),
+        size: new CGSize(16, 9)
+      }, propTypes)
+
+      const unarchiver = new NSKeyedUnarchiver(archiver.encodedData)
+      unarchiver._refObj = unarchiver._parsedObj.$top
+      expect(unarchiver.decodeObjectForKey('point')).to.equal('{1, -2.5}')
+      expect(unarchiver.decodeObjectForKey('rect')).to.equal('{{0.5, 2}, {3, 4}}')
+      expect(unarchiver.decodeObjectForKey('size')).to.equal('{16, 9}')
+
+      const values = NSObject._loadProperties(unarchiver, propTypes).values
+      expect(values.point).to.be.an.instanceof(CGPoint)
+      expect(values.point.equalTo(new CGPoint(1, -2.5))).to.be.true
+      expect(values.rect).to.be.an.instanceof(CGRect)
+      expect(values.rect.equalTo(new CGRect(new CGPoint(0.5, 2), new CGSize(3, 4)))).to.be.true
+      expect(values.size).to.be.an.instanceof(CGSize)
+      expect(values.size.equalTo(new CGSize(16, 9))).to.be.true
+    })
+  })
+
+  describe('encodeConditionalObjectForKey function', () => {
+    it('should refer to the object only if it is encoded unconditionally', () => {
+      const archiver = new NSKeyedArchiver()
+      const node = new SCNNode()
+      archiver.encodeConditionalObjectForKey(new SCNNode(), 'conditional')
+      archiver.encodeConditionalObjectForKey(node, 'encoded')
+      archiver.encodeObjectForKey(node, 'root')
+
+      const unarchiver = new NSKeyedUnarchiver(archiver.encodedData)
+      unarchiver._refObj = unarchiver._parsedObj.$top
+      expect(unarchiver.decodeObjectForKey('conditional')).to.equal('$null')
+      const result = unarchiver.decodeObjectForKey('root')
+      expect(result).to.be.an.instanceof(SCNNode)
+      expect(unarchiver.decodeObjectForKey('encoded')).to.equal(result)
+    })
+  })
+})
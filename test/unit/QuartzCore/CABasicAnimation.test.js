@@ -0,0 +1,40 @@
+'use strict'
+
+import CABasicAnimation from '../../../src/js/QuartzCore/CABasicAnimation'
+import SCNNode from '../../../src/js/SceneKit/SCNNode'
+import SCNVector4 from '../../../src/js/SceneKit/SCNVector4'
+import chai from '../../../node_modules/chai/chai'
+
+const expect = chai.expect
+
+const epsilon = 0.0001
+
+/** @test {CABasicAnimation} */
+describe('CABasicAnimation class', () => {
+  /** @test {CABasicAnimation#_applyAnimation} */
+  describe('_applyAnimation', () => {
+    it('should slerp orientation', () => {
+      const node = new SCNNode()
+      const anim = new CABasicAnimation('orientation')
+      anim.fromValue = new SCNVector4(0, 0, 0, 1)
+      anim.toValue = new SCNVector4(1, 0, 0, 2.4).rotationToQuat()
+      anim._applyAnimation(node, 0.25, false)
+
+      const rotation = node.orientation.quatToRotation()
+      expect(rotation.x).to.be.closeTo(1, epsilon)
+      expect(rotation.w).to.be.closeTo(0.6, epsilon)
+    })
+
+    it('should keep full turns of rotation', () => {
+      const node = new SCNNode()
+      const anim = new CABasicAnimation('rotation')
+      anim.fromValue = new SCNVector4(0, 1, 0, 0)
+      anim.toValue = new SCNVector4(0, 1, 0, Math.PI * 2)
+      anim._applyAnimation(node, 0.5, false)
+
+      const rotation = node.rotation
+      expect(rotation.y).to.be.closeTo(1, epsilon)
+      expect(rotation.w).to.be.closeTo(Math.PI, epsilon)
+    })
+  })
+})
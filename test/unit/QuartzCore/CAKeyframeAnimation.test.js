@@ -0,0 +1,144 @@
+'use strict'
+
+import CAKeyframeAnimation from '../../../src/js/QuartzCore/CAKeyframeAnimation'
+import SCNNode from '../../../src/js/SceneKit/SCNNode'
+import SCNVector3 from '../../../src/js/SceneKit/SCNVector3'
+import SCNVector4 from '../../../src/js/SceneKit/SCNVector4'
+import * as Constants from '../../../src/js/constants'
+import chai from '../../../node_modules/chai/chai'
+
+const expect = chai.expect
+
+const epsilon = 0.0001
+
+const createAnimation = (keyPath, mode, values, keyTimes = null) => {
+  const anim = new CAKeyframeAnimation(keyPath)
+  anim.calculationMode = mode
+  anim.values = values
+  anim.keyTimes = keyTimes
+  return anim
+}
+
+/** @test {CAKeyframeAnimation} */
+describe('CAKeyframeAnimation class', () => {
+  /** @test {CAKeyframeAnimation#_applyAnimation} */
+  describe('_applyAnimation', () => {
+    it('should interpolate linearly without keyTimes', () => {
+      const node = new SCNNode()
+      const anim = createAnimation('opacity', Constants.kCAAnimationLinear, [0, 1, 0.5])
+      anim._applyAnimation(node, 0.75, false)
+      expect(node.opacity).to.be.closeTo(0.75, epsilon)
+    })
+
+    it('should jump between discrete values', () => {
+      const node = new SCNNode()
+      const anim = createAnimation('opacity', Constants.kCAAnimationDiscrete, [0.1, 0.2, 0.3], [0, 0.5, 0.9, 1.0])
+      anim._applyAnimation(node, 0.49, false)
+      expect(node.opacity).to.be.closeTo(0.1, epsilon)
+      anim._applyAnimation(node, 0.5, false)
+      expect(node.opacity).to.be.closeTo(0.2, epsilon)
+      anim._applyAnimation(node, 1.0, false)
+      expect(node.opacity).to.be.closeTo(0.3, epsilon)
+    })
+
+    it('should move at a constant speed in paced mode', () => {
+      const node = new SCNNode()
+      const values = [new SCNVector3(0, 0, 0), new SCNVector3(1, 0, 0), new SCNVector3(1, 3, 0)]
+      const anim = createAnimation('position', Constants.kCAAnimationPaced, values, [0, 0.9, 1.0])
+      anim._applyAnimation(node, 0.125, false)
+      expect(node.position.x).to.be.closeTo(0.5, epsilon)
+      anim._applyAnimation(node, 0.5, false)
+      expect(node.position.x).to.be.closeTo(1, epsilon)
+      expect(node.position.y).to.be.closeTo(1, epsilon)
+    })
+
+    it('should pass through the values in cubic mode', () => {
+      const node = new SCNNode()
+      const anim = createAnimation('opacity', Constants.kCAAnimationCubic, [0, 1, 0, 1], [0, 0.2, 0.6, 1.0])
+      anim._applyAnimation(node, 0.2, false)
+      expect(node.opacity).to.be.closeTo(1, epsilon)
+      anim._applyAnimation(node, 0.6, false)
+      expect(node.opacity).to.be.closeTo(0, epsilon)
+    })
+
+    it('should follow a Catmull-Rom spline without TCB values', () => {
+      const node = new SCNNode()
+      const values = [new SCNVector3(0, 0, 0), new SCNVector3(1, 1, 0), new SCNVector3(2, 0, 0), new SCNVector3(3, 1, 0)]
+      const anim = createAnimation('position', Constants.kCAAnimationCubic, values)
+      anim._applyAnimation(node, 0.5, false)
+      // the tangents are (1, 0, 0) at both ends of the middle segment.
+      expect(node.position.x).to.be.closeTo(1.5, epsilon)
+      expect(node.position.y).to.be.closeTo(0.5, epsilon)
+    })
+
+    it('should make straight segments with tension 1', () => {
+      const node = new SCNNode()
+      const anim = createAnimation('opacity', Constants.kCAAnimationCubic, [0, 1, 0], [0, 0.5, 1])
+      anim.tensionValues = [1, 1, 1]
+      anim._applyAnimation(node, 0.25, false)
+      expect(node.opacity).to.be.closeTo(0.5, epsilon)
+
+      anim.tensionValues = [0, 0, 0]
+      anim.biasValues = [0, 1, 0]
+      anim._applyAnimation(node, 0.25, false)
+      expect(node.opacity).to.be.closeTo(0.4375, epsilon)
+    })
+
+    it('should move at a constant speed in cubicPaced mode', () => {
+      const node = new SCNNode()
+      const values = [new SCNVector3(0, 0, 0), new SCNVector3(1, 0, 0), new SCNVector3(4, 0, 0)]
+      const anim = createAnimation('position', Constants.kCAAnimationCubicPaced, values, [0, 0.9, 1.0])
+      anim._applyAnimation(node, 0.25, false)
+      expect(node.position.x).to.be.closeTo(1, 0.01)
+      anim._applyAnimation(node, 1.0, false)
+      expect(node.position.x).to.be.closeTo(4, epsilon)
+    })
+
+    it('should interpolate orientations in every mode', () => {
+      const node = new SCNNode()
+      const values = [0, 1, 2].map((i) => new SCNVector4(0, 1, 0, i * 1.2).rotationToQuat())
+      const modes = [
+        Constants.kCAAnimationLinear,
+        Constants.kCAAnimationPaced,
+        Constants.kCAAnimationCubic,
+        Constants.kCAAnimationCubicPaced
+      ]
+      modes.forEach((mode) => {
+        const anim = createAnimation('orientation', mode, values)
+        anim._applyAnimation(node, 0.25, false)
+        const rotation = node.orientation.quatToRotation()
+        expect(rotation.y).to.be.closeTo(1, epsilon)
+        expect(rotation.w).to.be.within(0.5, 0.7)
+
+        anim._applyAnimation(node, 0.5, false)
+        expect(node.orientation.quatToRotation().w).to.be.closeTo(1.2, 0.01)
+      })
+    })
+
+    it('should apply TCB values to orientations', () => {
+      const node = new SCNNode()
+      const values = [0, 1, 2].map((i) => new SCNVector4(0, 1, 0, i * 1.2).rotationToQuat())
+      const anim = createAnimation('orientation', Constants.kCAAnimationCubic, values)
+      anim.tensionValues = [1, 1, 1]
+      anim._applyAnimation(node, 0.125, false)
+      // the angle eases in and out with zero tangents: 1.2 * (3s^2 - 2s^3) at s = 0.25
+      const rotation = node.orientation.quatToRotation()
+      expect(rotation.y).to.be.closeTo(1, epsilon)
+      expect(rotation.w).to.be.closeTo(0.1875, epsilon)
+
+      anim.tensionValues = null
+      anim._applyAnimation(node, 0.125, false)
+      // Catmull-Rom tangents: 0.6 at the first keyframe and 1.2 at the second keyframe
+      expect(node.orientation.quatToRotation().w).to.be.closeTo(0.215625, epsilon)
+    })
+
+    it('should interpolate rotations with squad in cubic mode', () => {
+      const node = new SCNNode()
+      const values = [new SCNVector4(1, 0, 0, 0), new SCNVector4(1, 0, 0, 1), new SCNVector4(0, 1, 0, 1)]
+      const anim = createAnimation('rotation', Constants.kCAAnimationCubic, values)
+      anim._applyAnimation(node, 0.5, false)
+      expect(node.rotation.x).to.be.closeTo(1, epsilon)
+      expect(node.rotation.w).to.be.closeTo(1, epsilon)
+    })
+  })
+})
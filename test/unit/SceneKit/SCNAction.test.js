@@ -0,0 +1,260 @@
+import SCNAction from '../../../src/js/SceneKit/SCNAction'
+import SCNActionTimingMode from '../../../src/js/SceneKit/SCNActionTimingMode'
+import SCNNode from '../../../src/js/SceneKit/SCNNode'
+import SCNVector3 from '../../../src/js/SceneKit/SCNVector3'
+import SCNVector4 from '../../../src/js/SceneKit/SCNVector4'
+import chai from '../../../node_modules/chai/chai'
+
+const expect = chai.expect
+
+const epsilon = 0.0001
+
+const runAction = (node, action, times) => {
+  const act = action.copy()
+  act._actionStartTime = 0
+  times.forEach((time) => {
+    act._applyAction(node, time)
+  })
+  return act
+}
+
+/** @test {SCNAction} */
+describe('SCNAction class', () => {
+  describe('factories', () => {
+    it('should create actions from SCNAction', () => {
+      expect(SCNAction.scaleByDuration(2, 1)).to.be.an.instanceof(SCNAction)
+      expect(SCNAction.scaleToDuration(2, 1)).to.be.an.instanceof(SCNAction)
+      expect(SCNAction.hide()).to.be.an.instanceof(SCNAction)
+      expect(SCNAction.unhide()).to.be.an.instanceof(SCNAction)
+      expect(SCNAction.customActionDurationAction(1, () => {})).to.be.an.instanceof(SCNAction)
+      expect(SCNAction.javaScriptActionWithScriptDuration('', 1)).to.be.an.instanceof(SCNAction)
+      expect(SCNAction.moveBy(new SCNVector3(1, 0, 0), 1)).to.be.an.instanceof(SCNAction)
+      expect(SCNAction.waitDuration(1)).to.be.an.instanceof(SCNAction)
+    })
+
+    it('should scale a node', () => {
+      const node = new SCNNode()
+      node.scale = new SCNVector3(2, 2, 2)
+      const action = runAction(node, SCNAction.scaleByDuration(3, 1), [0, 0.5])
+      expect(node.presentation.scale.x).to.be.closeTo(4, epsilon)
+      expect(action._finished).to.be.false
+
+      runAction(node, SCNAction.scaleByDuration(3, 1), [1])
+      expect(node.scale.x).to.be.closeTo(6, epsilon)
+
+      runAction(node, SCNAction.scaleToDuration(1, 1), [1])
+      expect(node.scale.y).to.be.closeTo(1, epsilon)
+    })
+
+    it('should hide and unhide a node', () => {
+      const node = new SCNNode()
+      const action = runAction(node, SCNAction.hide(), [0])
+      expect(node.isHidden).to.be.true
+      expect(action._finished).to.be.true
+
+      runAction(node, SCNAction.unhide(), [0])
+      expect(node.isHidden).to.be.false
+    })
+
+    it('should call a custom block with the elapsed time', () => {
+      const node = new SCNNode()
+      const times = []
+      const action = SCNAction.customActionDurationAction(2, (n, t) => {
+        expect(n).to.equal(node)
+        times.push(t)
+      })
+      runAction(node, action, [0, 1, 3])
+      expect(times).to.have.lengthOf(3)
+      expect(times[1]).to.be.closeTo(1, epsilon)
+      expect(times[2]).to.be.closeTo(2, epsilon)
+    })
+
+    it('should run a script with the elapsed fraction', () => {
+      const node = new SCNNode()
+      const action = SCNAction.javaScriptActionWithScriptDuration('node.name = "t" + elapsedTime', 2)
+      runAction(node, action, [1])
+      expect(node.name).to.equal('t0.5')
+    })
+  })
+
+  describe('orientation', () => {
+    it('should interpolate quaternions along the arc', () => {
+      const action = SCNAction.waitDuration(1)
+      const from = new SCNVector4(0, 0, 0, 1)
+      const to = new SCNVector4(0, 1, 0, 0)
+      const half = Math.SQRT1_2
+
+      const q = action._lerp(from, to, 0.5)
+      expect(q.x).to.be.closeTo(0, epsilon)
+      expect(q.y).to.be.closeTo(half, epsilon)
+      expect(q.z).to.be.closeTo(0, epsilon)
+      expect(q.w).to.be.closeTo(half, epsilon)
+    })
+
+    it('should rotate a node by 180 degrees at a constant speed', () => {
+      const node = new SCNNode()
+      runAction(node, SCNAction.rotateToXYZUsesShortestUnitArc(0, Math.PI, 0, 1, true), [0.25])
+      const q = node.presentation.orientation
+      expect(q.y).to.be.closeTo(Math.sin(Math.PI / 8), epsilon)
+      expect(q.w).to.be.closeTo(Math.cos(Math.PI / 8), epsilon)
+    })
+  })
+
+  describe('reversed', () => {
+    it('should reverse relative actions', () => {
+      const node = new SCNNode()
+      runAction(node, SCNAction.moveBy(new SCNVector3(1, 2, 3), 1).reversed(), [1])
+      expect(node.position.x).to.be.closeTo(-1, epsilon)
+      expect(node.position.z).to.be.closeTo(-3, epsilon)
+
+      node.scale = new SCNVector3(1, 1, 1)
+      runAction(node, SCNAction.scaleByDuration(4, 1).reversed(), [1])
+      expect(node.scale.x).to.be.closeTo(0.25, epsilon)
+
+      node.opacity = 0.5
+      runAction(node, SCNAction.fadeOpacityByDuration(0.25, 1).reversed(), [1])
+      expect(node.opacity).to.be.closeTo(0.25, epsilon)
+    })
+
+    it('should swap paired actions', () => {
+      const node = new SCNNode()
+      node.opacity = 0
+      runAction(node, SCNAction.fadeOutDuration(1).reversed(), [1])
+      expect(node.opacity).to.be.closeTo(1, epsilon)
+
+      runAction(node, SCNAction.unhide().reversed(), [0])
+      expect(node.isHidden).to.be.true
+    })
+
+    it('should not change anything with reversed absolute actions', () => {
+      const node = new SCNNode()
+      node.position = new SCNVector3(1, 1, 1)
+      const action = runAction(node, SCNAction.moveTo(new SCNVector3(5, 5, 5), 2).reversed(), [1, 2])
+      expect(action._finished).to.be.true
+      expect(node.position.x).to.be.closeTo(1, epsilon)
+
+      node.opacity = 0.5
+      runAction(node, SCNAction.fadeOpacityToDuration(0.1, 1).reversed(), [1])
+      expect(node.opacity).to.be.closeTo(0.5, epsilon)
+
+      // fading to 1 is not the same as fadeIn.
+      runAction(node, SCNAction.fadeOpacityToDuration(1, 1).reversed(), [1])
+      expect(node.opacity).to.be.closeTo(0.5, epsilon)
+
+      node.eulerAngles = new SCNVector3(0, 0.5, 0)
+      runAction(node, SCNAction.rotateToXYZ(0, 1, 0, 1).reversed(), [1])
+      expect(node.eulerAngles.y).to.be.closeTo(0.5, epsilon)
+    })
+
+    it('should reverse rotations', () => {
+      const node = new SCNNode()
+      runAction(node, SCNAction.rotateByAround(0.5, new SCNVector3(0, 1, 0), 1), [1])
+      expect(node.eulerAngles.y).to.be.closeTo(0.5, epsilon)
+      runAction(node, SCNAction.rotateByAround(0.5, new SCNVector3(0, 1, 0), 1).reversed(), [1])
+      expect(node.eulerAngles.y).to.be.closeTo(0, epsilon)
+    })
+
+    it('should reverse the order of a sequence', () => {
+      const node = new SCNNode()
+      const sequence = SCNAction.sequence([
+        SCNAction.moveBy(new SCNVector3(1, 0, 0), 1),
+        SCNAction.scaleToDuration(2, 1)
+      ])
+      const action = runAction(node, sequence.reversed(), [0.5])
+      expect(node.scale.x).to.be.closeTo(1, epsilon)
+      expect(node.presentation.position.x).to.be.closeTo(0, epsilon)
+
+      action._applyAction(node, 1.5)
+      expect(node.presentation.position.x).to.be.closeTo(-0.5, epsilon)
+    })
+
+    it('should reverse each action of a group and a repeat', () => {
+      const node = new SCNNode()
+      const group = SCNAction.group([
+        SCNAction.moveBy(new SCNVector3(1, 0, 0), 1),
+        SCNAction.moveBy(new SCNVector3(0, 1, 0), 2)
+      ])
+      runAction(node, group.reversed(), [2])
+      expect(node.position.x).to.be.closeTo(-1, epsilon)
+      expect(node.position.y).to.be.closeTo(-1, epsilon)
+
+      const repeat = SCNAction.repeat(SCNAction.moveBy(new SCNVector3(0, 0, 1), 1), 3)
+      const action = runAction(node, repeat.reversed(), [1.5, 3])
+      expect(action._finished).to.be.true
+      expect(node.position.z).to.be.closeTo(-3, epsilon)
+    })
+  })
+
+  describe('speed', () => {
+    it('should run faster', () => {
+      const node = new SCNNode()
+      const move = SCNAction.moveBy(new SCNVector3(1, 0, 0), 1)
+      move.speed = 2
+      const action = runAction(node, move, [0.25])
+      expect(node.presentation.position.x).to.be.closeTo(0.5, epsilon)
+      action._applyAction(node, 0.5)
+      expect(action._finished).to.be.true
+      expect(node.position.x).to.be.closeTo(1, epsilon)
+    })
+
+    it('should apply to sequences and groups', () => {
+      const node = new SCNNode()
+      const sequence = SCNAction.sequence([
+        SCNAction.moveBy(new SCNVector3(1, 0, 0), 1),
+        SCNAction.moveBy(new SCNVector3(0, 1, 0), 1)
+      ])
+      sequence.speed = 2
+      const action = runAction(node, sequence, [0.5, 0.75])
+      expect(node.position.x).to.be.closeTo(1, epsilon)
+      expect(node.presentation.position.y).to.be.closeTo(0.5, epsilon)
+      expect(action._finished).to.be.false
+
+      const group = SCNAction.group([SCNAction.moveBy(new SCNVector3(0, 0, 1), 2)])
+      group.speed = 4
+      runAction(node, group, [0.25])
+      expect(node.presentation.position.z).to.be.closeTo(0.5, epsilon)
+    })
+
+    it('should include the speed of child actions in the duration', () => {
+      const move = SCNAction.moveBy(new SCNVector3(1, 0, 0), 2)
+      move.speed = 4
+      const wait = SCNAction.waitDuration(1)
+      expect(SCNAction.sequence([move, wait]).duration).to.be.closeTo(1.5, epsilon)
+      expect(SCNAction.group([move, wait]).duration).to.be.closeTo(1, epsilon)
+    })
+  })
+
+  describe('timingMode', () => {
+    it('should ease an action', () => {
+      const node = new SCNNode()
+      const move = SCNAction.moveBy(new SCNVector3(1, 0, 0), 1)
+      move.timingMode = SCNActionTimingMode.easeIn
+      runAction(node, move, [0.25])
+      const easeIn = node.presentation.position.x
+      expect(easeIn).to.be.above(0)
+      expect(easeIn).to.be.below(0.25)
+
+      move.timingMode = SCNActionTimingMode.easeOut
+      runAction(node, move, [0.25])
+      expect(node.presentation.position.x).to.be.above(0.25)
+
+      move.timingMode = SCNActionTimingMode.easeInEaseOut
+      runAction(node, move, [0.5])
+      expect(node.presentation.position.x).to.be.closeTo(0.5, 0.01)
+    })
+
+    it('should ease sequences and repeats', () => {
+      const node = new SCNNode()
+      const sequence = SCNAction.sequence([SCNAction.moveBy(new SCNVector3(1, 0, 0), 1)])
+      sequence.timingMode = SCNActionTimingMode.easeIn
+      runAction(node, sequence, [0.25])
+      expect(node.presentation.position.x).to.be.below(0.25)
+
+      const repeat = SCNAction.repeat(SCNAction.moveBy(new SCNVector3(1, 0, 0), 1), 2)
+      repeat.timingMode = SCNActionTimingMode.easeOut
+      runAction(node, repeat, [1.25])
+      expect(node.position.x).to.be.closeTo(1, epsilon)
+      expect(node.presentation.position.x).to.be.above(1.25)
+    })
+  })
+})
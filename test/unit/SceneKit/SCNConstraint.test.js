@@ -0,0 +1,377 @@
+import SCNAccelerationConstraint from '../../../src/js/SceneKit/SCNAccelerationConstraint'
+import SCNBillboardAxis from '../../../src/js/SceneKit/SCNBillboardAxis'
+import SCNBillboardConstraint from '../../../src/js/SceneKit/SCNBillboardConstraint'
+import SCNConstraint from '../../../src/js/SceneKit/SCNConstraint'
+import SCNDistanceConstraint from '../../../src/js/SceneKit/SCNDistanceConstraint'
+import SCNIKConstraint from '../../../src/js/SceneKit/SCNIKConstraint'
+import SCNLookAtConstraint from '../../../src/js/SceneKit/SCNLookAtConstraint'
+import SCNNode from '../../../src/js/SceneKit/SCNNode'
+import SCNTransformConstraint from '../../../src/js/SceneKit/SCNTransformConstraint'
+import SCNVector3 from '../../../src/js/SceneKit/SCNVector3'
+import chai from '../../../node_modules/chai/chai'
+
+const expect = chai.expect
+
+const epsilon = 0.0001
+
+// copies the model transforms to the presentation nodes like SCNView does at the beginning of a frame.
+const nextFrame = (rootNode) => {
+  rootNode.enumerateHierarchy((node) => {
+    node._createPresentation()
+    node._copyTransformToPresentation()
+  })
+  rootNode._updateWorldTransform()
+}
+
+const worldPosition = (node) => node.presentation.worldTransform.getTranslation()
+
+const worldFront = (node) => {
+  const m = node.presentation.worldTransform
+  return new SCNVector3(0, 0, -1).rotate(m).normalize()
+}
+
+/** @test {SCNConstraint} */
+describe('SCNConstraint class', () => {
+  describe('SCNLookAtConstraint', () => {
+    it('should point the node toward the target', () => {
+      const root = new SCNNode()
+      const node = new SCNNode()
+      const target = new SCNNode()
+      target.position = new SCNVector3(10, 0, 0)
+      root.addChildNode(node)
+      root.addChildNode(target)
+
+      const constraint = SCNLookAtConstraint.constraintWithTarget(target)
+      constraint.isGimbalLockEnabled = true
+      node.constraints = [constraint]
+      nextFrame(root)
+      SCNConstraint._evaluateConstraints(root)
+
+      const front = worldFront(node)
+      expect(front.x).to.be.closeTo(1, epsilon)
+      expect(front.z).to.be.closeTo(0, epsilon)
+      const up = new SCNVector3(0, 1, 0).rotate(node.presentation.worldTransform)
+      expect(up.y).to.be.closeTo(1, epsilon)
+
+      // the model node is not changed.
+      expect(node.rotation.w).to.be.closeTo(0, epsilon)
+    })
+
+    it('should rotate along the shortest arc without gimbal lock', () => {
+      const root = new SCNNode()
+      const node = new SCNNode()
+      const target = new SCNNode()
+      target.position = new SCNVector3(0, 10, 0)
+      root.addChildNode(node)
+      root.addChildNode(target)
+
+      node.constraints = [SCNLookAtConstraint.constraintWithTarget(target)]
+      nextFrame(root)
+      SCNConstraint._evaluateConstraints(root)
+
+      const front = worldFront(node)
+      expect(front.y).to.be.closeTo(1, epsilon)
+    })
+  })
+
+  describe('influenceFactor, isEnabled and isIncremental', () => {
+    const createScene = () => {
+      const root = new SCNNode()
+      const node = new SCNNode()
+      const target = new SCNNode()
+      target.position = new SCNVector3(10, 0, 0)
+      root.addChildNode(node)
+      root.addChildNode(target)
+      const constraint = SCNLookAtConstraint.constraintWithTarget(target)
+      constraint.isGimbalLockEnabled = true
+      node.constraints = [constraint]
+      return { root, node, constraint }
+    }
+
+    it('should blend the transform by influenceFactor', () => {
+      const { root, node, constraint } = createScene()
+      constraint.influenceFactor = 0.5
+      constraint.isIncremental = false
+      for(let i=0; i<2; i++){
+        nextFrame(root)
+        SCNConstraint._evaluateConstraints(root)
+        const front = worldFront(node)
+        expect(Math.atan2(front.x, -front.z)).to.be.closeTo(Math.PI * 0.25, epsilon)
+      }
+    })
+
+    it('should approach the target transform frame by frame if it is incremental', () => {
+      const { root, node, constraint } = createScene()
+      constraint.influenceFactor = 0.5
+      nextFrame(root)
+      SCNConstraint._evaluateConstraints(root)
+      nextFrame(root)
+      SCNConstraint._evaluateConstraints(root)
+      const front = worldFront(node)
+      expect(Math.atan2(front.x, -front.z)).to.be.closeTo(Math.PI * 0.375, epsilon)
+    })
+
+    it('should not apply disabled constraints', () => {
+      const { root, node, constraint } = createScene()
+      constraint.isEnabled = false
+      nextFrame(root)
+      SCNConstraint._evaluateConstraints(root)
+      expect(worldFront(node).z).to.be.closeTo(-1, epsilon)
+    })
+  })
+
+  describe('SCNDistanceConstraint', () => {
+    it('should keep the distance within the range', () => {
+      const root = new SCNNode()
+      const node = new SCNNode()
+      const target = new SCNNode()
+      root.addChildNode(node)
+      root.addChildNode(target)
+
+      const constraint = SCNDistanceConstraint.constraintWithTarget(target)
+      constraint.minimumDistance = 2
+      constraint.maximumDistance = 5
+      node.constraints = [constraint]
+
+      node.position = new SCNVector3(10, 0, 0)
+      nextFrame(root)
+      SCNConstraint._evaluateConstraints(root)
+      expect(worldPosition(node).x).to.be.closeTo(5, epsilon)
+
+      node.position = new SCNVector3(0, 1, 0)
+      nextFrame(root)
+      SCNConstraint._evaluateConstraints(root)
+      expect(worldPosition(node).y).to.be.closeTo(2, epsilon)
+
+      node.position = new SCNVector3(0, 0, 3)
+      nextFrame(root)
+      SCNConstraint._evaluateConstraints(root)
+      expect(worldPosition(node).z).to.be.closeTo(3, epsilon)
+    })
+  })
+
+  describe('SCNTransformConstraint', () => {
+    it('should call the block in the world space', () => {
+      const root = new SCNNode()
+      const parent = new SCNNode()
+      const node = new SCNNode()
+      parent.position = new SCNVector3(0, 5, 0)
+      node.position = new SCNVector3(1, 1, 0)
+      root.addChildNode(parent)
+      parent.addChildNode(node)
+
+      node.constraints = [SCNTransformConstraint.positionConstraintInWorldSpaceWith(true, (n, position) => {
+        expect(n).to.equal(node)
+        expect(position.y).to.be.closeTo(6, epsilon)
+        return new SCNVector3(position.x, 0, position.z)
+      })]
+      nextFrame(root)
+      SCNConstraint._evaluateConstraints(root)
+      expect(worldPosition(node).y).to.be.closeTo(0, epsilon)
+      expect(node.presentation.position.y).to.be.closeTo(-5, epsilon)
+    })
+
+    it('should call the block in the local space', () => {
+      const root = new SCNNode()
+      const parent = new SCNNode()
+      const node = new SCNNode()
+      parent.position = new SCNVector3(0, 5, 0)
+      root.addChildNode(parent)
+      parent.addChildNode(node)
+
+      node.constraints = [SCNTransformConstraint.constraintInWorldSpaceWith(false, (n, transform) => {
+        expect(transform.m42).to.be.closeTo(0, epsilon)
+        return transform.translation(2, 0, 0)
+      })]
+      nextFrame(root)
+      SCNConstraint._evaluateConstraints(root)
+      expect(worldPosition(node).x).to.be.closeTo(2, epsilon)
+      expect(worldPosition(node).y).to.be.closeTo(5, epsilon)
+    })
+  })
+
+  describe('SCNBillboardConstraint', () => {
+    it('should face the point of view', () => {
+      const root = new SCNNode()
+      const node = new SCNNode()
+      const camera = new SCNNode()
+      camera.position = new SCNVector3(10, 5, 0)
+      root.addChildNode(node)
+      root.addChildNode(camera)
+      const renderer = { pointOfView: camera, currentTime: 0 }
+
+      const constraint = new SCNBillboardConstraint()
+      constraint.freeAxes = SCNBillboardAxis.Y
+      node.constraints = [constraint]
+      nextFrame(root)
+      SCNConstraint._evaluateConstraints(root, renderer)
+
+      const m = node.presentation.worldTransform
+      const z = new SCNVector3(0, 0, 1).rotate(m)
+      const y = new SCNVector3(0, 1, 0).rotate(m)
+      expect(z.x).to.be.closeTo(1, epsilon)
+      expect(y.y).to.be.closeTo(1, epsilon)
+
+      constraint.freeAxes = SCNBillboardAxis.all
+      camera.eulerAngles = new SCNVector3(0, 0.5, 0)
+      nextFrame(root)
+      SCNConstraint._evaluateConstraints(root, renderer)
+      expect(node.presentation.eulerAngles.y).to.be.closeTo(0.5, epsilon)
+    })
+  })
+
+  describe('SCNAccelerationConstraint', () => {
+    it('should limit the velocity', () => {
+      const root = new SCNNode()
+      const node = new SCNNode()
+      root.addChildNode(node)
+      const renderer = { pointOfView: null, currentTime: 0 }
+
+      const constraint = new SCNAccelerationConstraint()
+      constraint.damping = 0
+      constraint.maximumLinearVelocity = 2
+      node.constraints = [constraint]
+      nextFrame(root)
+      SCNConstraint._evaluateConstraints(root, renderer)
+
+      node.position = new SCNVector3(10, 0, 0)
+      renderer.currentTime = 1
+      nextFrame(root)
+      SCNConstraint._evaluateConstraints(root, renderer)
+      expect(worldPosition(node).x).to.be.closeTo(2, epsilon)
+
+      renderer.currentTime = 2
+      nextFrame(root)
+      SCNConstraint._evaluateConstraints(root, renderer)
+      expect(worldPosition(node).x).to.be.closeTo(4, epsilon)
+    })
+  })
+
+  describe('SCNIKConstraint', () => {
+    // shoulder (chain root) - elbow - hand (end effector)
+    const createArm = () => {
+      const root = new SCNNode()
+      const shoulder = new SCNNode()
+      const elbow = new SCNNode()
+      const hand = new SCNNode()
+      elbow.position = new SCNVector3(1, 0, 0)
+      hand.position = new SCNVector3(1, 0, 0)
+      root.addChildNode(shoulder)
+      shoulder.addChildNode(elbow)
+      elbow.addChildNode(hand)
+      const constraint = SCNIKConstraint.inverseKinematicsConstraint(shoulder)
+      hand.constraints = [constraint]
+      return { root, shoulder, elbow, hand, constraint }
+    }
+
+    it('should move the end effector to the target', () => {
+      const { root, shoulder, hand, constraint } = createArm()
+      expect(constraint.chainRootNode).to.equal(shoulder)
+      constraint.targetPosition = new SCNVector3(1, 1, 0)
+      nextFrame(root)
+      SCNConstraint._evaluateConstraints(root)
+
+      const position = worldPosition(hand)
+      expect(position.x).to.be.closeTo(1, 0.001)
+      expect(position.y).to.be.closeTo(1, 0.001)
+      expect(position.z).to.be.closeTo(0, 0.001)
+
+      // the model nodes are not changed.
+      expect(shoulder.rotation.w).to.be.closeTo(0, epsilon)
+    })
+
+    it('should limit the rotation of each joint', () => {
+      const { root, shoulder, elbow, hand, constraint } = createArm()
+      expect(constraint.maxAllowedRotationAngleForJoint(elbow)).to.equal(180)
+      constraint.setMaxAllowedRotationAngleForJoint(30, shoulder)
+      constraint.setMaxAllowedRotationAngleForJoint(30, elbow)
+      expect(constraint.maxAllowedRotationAngleForJoint(elbow)).to.equal(30)
+      constraint.targetPosition = new SCNVector3(0, 2, 0)
+      nextFrame(root)
+      SCNConstraint._evaluateConstraints(root)
+
+      expect(shoulder.presentation.rotation.w).to.be.at.most(Math.PI / 6 + epsilon)
+      expect(elbow.presentation.rotation.w).to.be.at.most(Math.PI / 6 + epsilon)
+      expect(worldPosition(hand).x).to.be.above(1)
+    })
+
+    it('should blend the orientations by influenceFactor', () => {
+      const full = createArm()
+      full.constraint.targetPosition = new SCNVector3(1, 1, 0)
+      nextFrame(full.root)
+      SCNConstraint._evaluateConstraints(full.root)
+
+      const { root, shoulder, elbow, constraint } = createArm()
+      constraint.targetPosition = new SCNVector3(1, 1, 0)
+      constraint.influenceFactor = 0.5
+      constraint.isIncremental = false
+      nextFrame(root)
+      SCNConstraint._evaluateConstraints(root)
+
+      expect(shoulder.presentation.rotation.w).to.be.closeTo(full.shoulder.presentation.rotation.w * 0.5, epsilon)
+      expect(elbow.presentation.rotation.w).to.be.closeTo(full.elbow.presentation.rotation.w * 0.5, epsilon)
+    })
+
+    it('should be evaluated before the constraints which refer to the chain', () => {
+      const { root, shoulder, hand } = createArm()
+      const viewer = new SCNNode()
+      root.addChildNode(viewer)
+      viewer.constraints = [SCNLookAtConstraint.constraintWithTarget(hand)]
+      shoulder.addChildNode(new SCNNode())
+
+      const order = SCNConstraint._constrainedNodesInDependencyOrder(root, null)
+      expect(order).to.have.lengthOf(2)
+      expect(order[0]).to.equal(hand)
+      expect(order[1]).to.equal(viewer)
+    })
+  })
+
+  describe('evaluation order', () => {
+    it('should evaluate the constraints of referred nodes first', () => {
+      const root = new SCNNode()
+      const viewer = new SCNNode()
+      const follower = new SCNNode()
+      const leader = new SCNNode()
+      leader.position = new SCNVector3(0, 0, -10)
+      follower.position = new SCNVector3(10, 0, -10)
+      root.addChildNode(viewer)
+      root.addChildNode(follower)
+      root.addChildNode(leader)
+
+      const lookAt = SCNLookAtConstraint.constraintWithTarget(follower)
+      lookAt.isGimbalLockEnabled = true
+      viewer.constraints = [lookAt]
+      const distance = SCNDistanceConstraint.constraintWithTarget(leader)
+      distance.maximumDistance = 0.001
+      follower.constraints = [distance]
+
+      const order = SCNConstraint._constrainedNodesInDependencyOrder(root, null)
+      expect(order).to.have.lengthOf(2)
+      expect(order[0]).to.equal(follower)
+      expect(order[1]).to.equal(viewer)
+
+      nextFrame(root)
+      SCNConstraint._evaluateConstraints(root)
+      const front = worldFront(viewer)
+      expect(front.x).to.be.closeTo(0, 0.001)
+      expect(front.z).to.be.closeTo(-1, 0.001)
+    })
+
+    it('should evaluate the constraints of the ancestors of referred nodes first', () => {
+      const root = new SCNNode()
+      const viewer = new SCNNode()
+      const arm = new SCNNode()
+      const hand = new SCNNode()
+      root.addChildNode(viewer)
+      root.addChildNode(arm)
+      arm.addChildNode(hand)
+
+      viewer.constraints = [SCNLookAtConstraint.constraintWithTarget(hand)]
+      arm.constraints = [new SCNAccelerationConstraint()]
+      const order = SCNConstraint._constrainedNodesInDependencyOrder(root, null)
+      expect(order).to.have.lengthOf(2)
+      expect(order[0]).to.equal(arm)
+      expect(order[1]).to.equal(viewer)
+    })
+  })
+})
@@ -0,0 +1,339 @@
+import SCNBox from '../../../src/js/SceneKit/SCNBox'
+import SCNCapsule from '../../../src/js/SceneKit/SCNCapsule'
+import SCNCone from '../../../src/js/SceneKit/SCNCone'
+import SCNCylinder from '../../../src/js/SceneKit/SCNCylinder'
+import SCNGeometry from '../../../src/js/SceneKit/SCNGeometry'
+import SCNMatrix4 from '../../../src/js/SceneKit/SCNMatrix4'
+import SCNNode from '../../../src/js/SceneKit/SCNNode'
+import SCNParticleBirthDirection from '../../../src/js/SceneKit/SCNParticleBirthDirection'
+import SCNParticleBirthLocation from '../../../src/js/SceneKit/SCNParticleBirthLocation'
+import SCNParticleEvent from '../../../src/js/SceneKit/SCNParticleEvent'
+import SCNParticleModifierStage from '../../../src/js/SceneKit/SCNParticleModifierStage'
+import SCNParticleSystem from '../../../src/js/SceneKit/SCNParticleSystem'
+import SCNPyramid from '../../../src/js/SceneKit/SCNPyramid'
+import SCNSphere from '../../../src/js/SceneKit/SCNSphere'
+import SCNTorus from '../../../src/js/SceneKit/SCNTorus'
+import SCNTube from '../../../src/js/SceneKit/SCNTube'
+import SCNVector3 from '../../../src/js/SceneKit/SCNVector3'
+import _SCNEmitterShapeSampler from '../../../src/js/SceneKit/_SCNEmitterShapeSampler'
+import chai from '../../../node_modules/chai/chai'
+
+const expect = chai.expect
+
+const epsilon = 0.0001
+
+const Property = SCNParticleSystem.ParticleProperty
+
+// emits a particle every 0.1 seconds at the origin, moving along the y axis.
+const createSystem = () => {
+  const system = new SCNParticleSystem()
+  system.birthRate = 10
+  system.particleVelocity = 1
+  system.particleLifeSpan = 0.25
+  return system
+}
+
+describe('SCNParticleSystem class', () => {
+  const transform = SCNMatrix4._identity()
+
+  describe('addModifierForPropertiesAtModifier', () => {
+    it('should pass the properties of all particles to the modifier', () => {
+      const system = createSystem()
+      const calls = []
+      system.addModifierForPropertiesAtModifier([Property.position, Property.life], SCNParticleModifierStage.postDynamics,
+        (data, dataStride, start, end, deltaTime) => {
+          calls.push({ start, end, deltaTime, stride: dataStride.slice(), life: data[1][dataStride[1] * (end - 1)] })
+          for(let i=start; i<end; i++){
+            data[0][dataStride[0] * i] = 2
+          }
+        })
+      system._updateParticles(transform, null, 0.1, null)
+      system._updateParticles(transform, null, 0.2, null)
+
+      expect(calls).to.have.lengthOf(2)
+      expect(calls[1].start).to.equal(0)
+      expect(calls[1].end).to.equal(2)
+      expect(calls[1].deltaTime).to.be.closeTo(0.1, epsilon)
+      expect(calls[1].stride).to.deep.equal([3, 1])
+      // the remaining life of the youngest particle
+      expect(calls[1].life).to.be.closeTo(0.25, epsilon)
+      expect(system._particles[0].position.x).to.be.closeTo(2, epsilon)
+      expect(system._particles[0].position.y).to.be.closeTo(0.1, epsilon)
+    })
+
+    it('should run the modifiers before the dynamics', () => {
+      const system = createSystem()
+      system.addModifierForPropertiesAtModifier([Property.velocity], SCNParticleModifierStage.preDynamics,
+        (data, dataStride, start, end) => {
+          for(let i=start; i<end; i++){
+            data[0][dataStride[0] * i + 1] = 5
+          }
+        })
+      system._updateParticles(transform, null, 0.1, null)
+      system._updateParticles(transform, null, 0.2, null)
+      expect(system._particles[0].position.y).to.be.closeTo(0.5, epsilon)
+
+      system.removeModifiersAt(SCNParticleModifierStage.preDynamics)
+      system._particles[0].velocity.y = 1
+      system._updateParticles(transform, null, 0.3, null)
+      expect(system._particles[0].position.y).to.be.closeTo(0.6, epsilon)
+    })
+
+    it('should keep the precision of the properties the modifier does not change', () => {
+      const system = createSystem()
+      const buffers = []
+      system.addModifierForPropertiesAtModifier([Property.position, Property.velocity, Property.color], SCNParticleModifierStage.postDynamics,
+        (data, dataStride, start, end) => {
+          buffers.push(data[0].buffer)
+          for(let i=start; i<end; i++){
+            data[1][dataStride[1] * i] = 0.5
+          }
+        })
+      system._updateParticles(transform, null, 0.1, null)
+      const particle = system._particles[0]
+      particle.position.y = 0.1
+      particle.color.red = 0.3
+      system._updateParticles(transform, null, 0.2, null)
+
+      expect(particle.position.y).to.not.equal(Math.fround(particle.position.y))
+      expect(particle.color.red).to.equal(0.3)
+      expect(particle.velocity.x).to.equal(0.5)
+
+      // the number of particles does not change, so the arrays are reused
+      system._updateParticles(transform, null, 0.3, null)
+      expect(buffers).to.have.lengthOf(3)
+      expect(buffers[2]).to.equal(buffers[1])
+    })
+
+    it('should throw an error for an unknown property', () => {
+      const system = createSystem()
+      expect(() => system.addModifierForPropertiesAtModifier(['Unknown'], SCNParticleModifierStage.preDynamics, () => {})).to.throw()
+    })
+  })
+
+  describe('handleForPropertiesHandler', () => {
+    it('should call the handlers when particles are born and die', () => {
+      const system = createSystem()
+      const births = []
+      const deaths = []
+      system.handleForPropertiesHandler(SCNParticleEvent.birth, [Property.color], (data, dataStride, indices, count) => {
+        births.push(...indices)
+        for(let i=0; i<count; i++){
+          data[0][dataStride[0] * indices[i]] = 0.5
+        }
+      })
+      system.handleForPropertiesHandler(SCNParticleEvent.death, [Property.position], (data, dataStride, indices, count) => {
+        for(let i=0; i<count; i++){
+          deaths.push(data[0][dataStride[0] * indices[i] + 1])
+        }
+      })
+      for(let i=1; i<=5; i++){
+        system._updateParticles(transform, null, i * 0.1, null)
+      }
+
+      // the dead particle is removed after the birth event
+      expect(births).to.deep.equal([0, 1, 2, 3, 3])
+      expect(system._particles[0].color.red).to.be.closeTo(0.5, epsilon)
+      // the particles born at 0.1 and 0.2 have died at 0.4 and 0.5
+      expect(deaths).to.have.lengthOf(2)
+      expect(deaths[0]).to.be.closeTo(0.2, epsilon)
+    })
+
+    it('should call the handlers when particles collide', () => {
+      const system = createSystem()
+      system.particleLifeSpan = 10
+      system.particleBounce = 0.5
+      system.particleFriction = 0
+      const wall = new SCNNode(new SCNBox(4, 0.1, 4, 0))
+      wall.position = new SCNVector3(0, 0.2, 0)
+      // update the presentation node as the renderer does before the particles are updated
+      wall._createPresentation()
+      wall._updateWorldTransform()
+      system.colliderNodes = [wall]
+
+      const contacts = []
+      system.handleForPropertiesHandler(SCNParticleEvent.collision, [Property.contactPoint, Property.contactNormal],
+        (data, dataStride, indices, count) => {
+          for(let i=0; i<count; i++){
+            contacts.push({
+              index: indices[i],
+              y: data[0][dataStride[0] * indices[i] + 1],
+              ny: data[1][dataStride[1] * indices[i] + 1]
+            })
+          }
+        })
+      // emit the particles off the diagonals of the box faces
+      const emitter = SCNMatrix4.matrixWithTranslation(0.3, 0, 0.1)
+      for(let i=1; i<=3; i++){
+        system._updateParticles(emitter, null, i * 0.1, null)
+      }
+
+      expect(contacts).to.have.lengthOf(1)
+      expect(contacts[0].index).to.equal(0)
+      expect(contacts[0].y).to.be.closeTo(0.15, epsilon)
+      expect(contacts[0].ny).to.be.closeTo(-1, epsilon)
+      expect(system._particles[0].velocity.y).to.be.closeTo(-0.5, epsilon)
+
+      system.particleDiesOnCollision = true
+      system._updateParticles(emitter, null, 0.4, null)
+      system._updateParticles(emitter, null, 0.5, null)
+      expect(system._particles).to.have.lengthOf(3)
+    })
+  })
+
+  describe('emitterShape', () => {
+    const count = 2000
+
+    // returns the samples and checks that the normals are unit vectors.
+    const samples = (method, geometry) => {
+      const result = []
+      for(let i=0; i<count; i++){
+        const sample = _SCNEmitterShapeSampler[method](geometry)
+        expect(sample.normal.length()).to.be.closeTo(1, epsilon)
+        result.push(sample)
+      }
+      return result
+    }
+
+    const fraction = (array, filter) => array.filter(filter).length / array.length
+
+    it('should emit from the surfaces along the normals', () => {
+      const sphere = new SCNSphere(2)
+      for(const { position, normal } of samples('surfacePoint', sphere)){
+        expect(position.length()).to.be.closeTo(2, epsilon)
+        expect(position.mul(0.5).sub(normal).length()).to.be.closeTo(0, epsilon)
+      }
+
+      // a chamfered box is the set of points within the radius from a smaller box
+      const box = new SCNBox(2, 4, 6, 0.5)
+      const inner = [0.5, 1.5, 2.5]
+      for(const { position, normal } of samples('surfacePoint', box)){
+        const p = [position.x, position.y, position.z]
+        const q = p.map((v, i) => Math.max(-inner[i], Math.min(inner[i], v)))
+        const d = new SCNVector3(p[0] - q[0], p[1] - q[1], p[2] - q[2])
+        expect(d.length()).to.be.closeTo(0.5, epsilon)
+        expect(d.mul(2).sub(normal).length()).to.be.closeTo(0, epsilon)
+      }
+
+      const torus = new SCNTorus(2, 0.5)
+      for(const { position, normal } of samples('surfacePoint', torus)){
+        const ring = new SCNVector3(position.x, 0, position.z).normalize().mul(2)
+        expect(position.sub(ring).length()).to.be.closeTo(0.5, epsilon)
+        expect(position.sub(ring).mul(2).sub(normal).length()).to.be.closeTo(0, epsilon)
+      }
+
+      const capsule = new SCNCapsule(0.5, 3)
+      for(const { position, normal } of samples('surfacePoint', capsule)){
+        const axis = new SCNVector3(0, Math.max(-1, Math.min(1, position.y)), 0)
+        expect(position.sub(axis).length()).to.be.closeTo(0.5, epsilon)
+        expect(position.sub(axis).mul(2).sub(normal).length()).to.be.closeTo(0, epsilon)
+      }
+
+      // the sides of the pyramid face outward and upward
+      const pyramid = new SCNPyramid(2, 1, 2)
+      for(const { position, normal } of samples('surfacePoint', pyramid)){
+        if(normal.y < 0){
+          expect(position.y).to.be.closeTo(0, epsilon)
+        }else{
+          expect(normal.dot(position.sub(new SCNVector3(0, 1, 0)))).to.be.closeTo(0, epsilon)
+          expect(normal.y).to.be.closeTo(Math.SQRT1_2, epsilon)
+        }
+      }
+    })
+
+    it('should weight the surfaces by their areas', () => {
+      // side: 4 pi, caps: 2 pi
+      const cylinder = samples('surfacePoint', new SCNCylinder(1, 2))
+      expect(fraction(cylinder, (s) => s.normal.y === 0)).to.be.closeTo(2 / 3, 0.05)
+
+      // outer side: 4 pi, inner side: 2 pi, caps: 6 pi
+      const tube = samples('surfacePoint', new SCNTube(1, 2, 1))
+      expect(fraction(tube, (s) => s.normal.y === 0 && s.position.length() > 1.5)).to.be.closeTo(1 / 3, 0.05)
+      expect(fraction(tube, (s) => s.normal.y === 0 && s.position.length() < 1.5)).to.be.closeTo(1 / 6, 0.05)
+
+      // the cone has more particles near its base
+      const cone = samples('surfacePoint', new SCNCone(0, 1, 2))
+      const side = cone.filter((s) => s.normal.y > 0)
+      expect(fraction(side, (s) => s.position.y < 0)).to.be.closeTo(3 / 4, 0.05)
+      for(const { position, normal } of side){
+        const r = Math.sqrt(position.x * position.x + position.z * position.z)
+        expect(r).to.be.closeTo((1 - position.y) * 0.5, epsilon)
+        expect(normal.y).to.be.closeTo(1 / Math.sqrt(5), epsilon)
+      }
+    })
+
+    it('should emit from the volumes with the normals of the nearest surfaces', () => {
+      // one eighth of the volume is within the half radius
+      const sphere = samples('volumePoint', new SCNSphere(2))
+      expect(fraction(sphere, (s) => s.position.length() < 1)).to.be.closeTo(1 / 8, 0.03)
+      expect(fraction(sphere, (s) => s.position.length() > 2)).to.equal(0)
+
+      const box = samples('volumePoint', new SCNBox(2, 2, 2, 0))
+      for(const { position, normal } of box){
+        const p = [position.x, position.y, position.z]
+        const n = [normal.x, normal.y, normal.z]
+        const axis = n.findIndex((v) => v !== 0)
+        expect(Math.abs(p[axis])).to.equal(Math.max(...p.map(Math.abs)))
+        expect(Math.sign(p[axis])).to.equal(n[axis])
+      }
+
+      // a half of the volume is below (1 - cbrt(1/2)) of the height
+      const pyramid = samples('volumePoint', new SCNPyramid(2, 4, 2))
+      const median = 4 * (1 - Math.cbrt(0.5))
+      expect(fraction(pyramid, (s) => s.position.y < median)).to.be.closeTo(1 / 2, 0.05)
+      for(const { position } of pyramid){
+        expect(Math.abs(position.x)).to.be.at.most(1 - position.y / 4 + epsilon)
+      }
+    })
+
+    it('should emit from arbitrary meshes', () => {
+      const box = new SCNBox(2, 4, 6, 0)
+      const mesh = new SCNGeometry(box.geometrySources, box.geometryElements)
+
+      // the faces are weighted by their areas
+      const surface = samples('surfacePoint', mesh)
+      expect(fraction(surface, (s) => s.normal.z !== 0)).to.be.closeTo(16 / 88, 0.04)
+      for(const { position, normal } of surface){
+        const p = position.mulv(normal)
+        expect(p.x + p.y + p.z).to.be.closeTo([normal.x, normal.y * 2, normal.z * 3].reduce((a, b) => a + Math.abs(b), 0), epsilon)
+      }
+
+      for(const { position } of samples('vertexPoint', mesh)){
+        expect(Math.abs(position.x)).to.be.closeTo(1, epsilon)
+        expect(Math.abs(position.z)).to.be.closeTo(3, epsilon)
+      }
+
+      for(let i=0; i<20; i++){
+        const { position, normal } = _SCNEmitterShapeSampler.volumePoint(mesh)
+        expect(Math.abs(position.x)).to.be.at.most(1)
+        expect(Math.abs(position.y)).to.be.at.most(2)
+        expect(normal.length()).to.be.closeTo(1, epsilon)
+      }
+    })
+
+    it('should spread the particles around the direction', () => {
+      const system = createSystem()
+      system.emitterShape = new SCNBox(1, 1, 1, 0.2)
+      system.birthLocation = SCNParticleBirthLocation.volume
+      system.birthDirection = SCNParticleBirthDirection.surfaceNormal
+      system.birthRate = 1000
+      system._updateParticles(transform, null, 0.1, null)
+      system._updateParticles(transform, null, 0.2, null)
+      expect(system._particles.length).to.be.above(50)
+      for(const p of system._particles){
+        // the particles have moved up to 0.1 since their birth
+        expect(Math.abs(p.position.x)).to.be.at.most(0.6 + epsilon)
+        expect(p.velocity.length()).to.be.closeTo(1, epsilon)
+      }
+
+      system.reset()
+      system.birthDirection = SCNParticleBirthDirection.constant
+      system.spreadingAngle = 30
+      system._updateParticles(transform, null, 0.1, null)
+      system._updateParticles(transform, null, 0.2, null)
+      const angles = system._particles.map((p) => Math.acos(Math.min(1, p.velocity.y)) / Math.PI * 180)
+      expect(Math.max(...angles)).to.be.at.most(30 + epsilon)
+      expect(Math.max(...angles)).to.be.above(20)
+    })
+  })
+})
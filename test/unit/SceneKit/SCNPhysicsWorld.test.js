@@ -1,4 +1,25 @@
+import SCNBox from '../../../src/js/SceneKit/SCNBox'
+import SCNCapsule from '../../../src/js/SceneKit/SCNCapsule'
+import SCNGeometry from '../../../src/js/SceneKit/SCNGeometry'
+import SCNGeometryElement from '../../../src/js/SceneKit/SCNGeometryElement'
+import SCNGeometryPrimitiveType from '../../../src/js/SceneKit/SCNGeometryPrimitiveType'
+import SCNGeometrySource from '../../../src/js/SceneKit/SCNGeometrySource'
+import SCNMatrix4 from '../../../src/js/SceneKit/SCNMatrix4'
+import SCNNode from '../../../src/js/SceneKit/SCNNode'
+import SCNParticleSystem from '../../../src/js/SceneKit/SCNParticleSystem'
+import SCNPhysicsBallSocketJoint from '../../../src/js/SceneKit/SCNPhysicsBallSocketJoint'
+import SCNPhysicsBody from '../../../src/js/SceneKit/SCNPhysicsBody'
+import SCNPhysicsBodyType from '../../../src/js/SceneKit/SCNPhysicsBodyType'
+import SCNPhysicsField from '../../../src/js/SceneKit/SCNPhysicsField'
+import SCNPhysicsFieldScope from '../../../src/js/SceneKit/SCNPhysicsFieldScope'
+import SCNPhysicsHingeJoint from '../../../src/js/SceneKit/SCNPhysicsHingeJoint'
+import SCNPhysicsShape from '../../../src/js/SceneKit/SCNPhysicsShape'
+import SCNPhysicsSliderJoint from '../../../src/js/SceneKit/SCNPhysicsSliderJoint'
+import SCNPhysicsVehicle from '../../../src/js/SceneKit/SCNPhysicsVehicle'
+import SCNPhysicsVehicleWheel from '../../../src/js/SceneKit/SCNPhysicsVehicleWheel'
 import SCNPhysicsWorld from '../../../src/js/SceneKit/SCNPhysicsWorld'
+import SCNScene from '../../../src/js/SceneKit/SCNScene'
+import SCNSphere from '../../../src/js/SceneKit/SCNSphere'
 import SCNVector3 from '../../../src/js/SceneKit/SCNVector3'
 import chai from '../../../node_modules/chai/chai'
 import UnitTest from '../UnitTest'
@@ -24,6 +45,764 @@ describe('SCNPhysicsWorld class', () => {
   */
 
   describe('constructor function', () => {
+    it('should use the default values of SceneKit', () => {
+      const world = new SCNPhysicsWorld()
+
+      expect(world.gravity.x).to.equal(0)
+      expect(world.gravity.y).to.within(-9.8 - epsilon, -9.8 + epsilon)
+      expect(world.gravity.z).to.equal(0)
+      expect(world.speed).to.equal(1)
+      expect(world.timeStep).to.within(1.0 / 60.0 - epsilon, 1.0 / 60.0 + epsilon)
+    })
+  })
+
+  describe('_simulate function', () => {
+    const createBall = (scene, y) => {
+      const ball = new SCNNode(new SCNSphere(0.5))
+      ball.position = new SCNVector3(0, y, 0)
+      scene.rootNode.addChildNode(ball)
+      ball.physicsBody = new SCNPhysicsBody(SCNPhysicsBodyType.dynamic, null)
+      return ball
+    }
+    const simulate = (world, seconds) => {
+      const frames = Math.round(seconds * 60)
+      for(let i=0; i<=frames; i++){
+        world._simulate(i / 60.0)
+      }
+    }
+
+    it('should move dynamic bodies by gravity', () => {
+      const scene = new SCNScene()
+      const ball = createBall(scene, 10)
+
+      simulate(scene.physicsWorld, 1.0)
+
+      // y = 10 - 9.8 / 2 * t^2 (with a little damping)
+      expect(ball.position.y).to.within(4.9, 5.5)
+      expect(ball.presentation.position.y).to.within(ball.position.y - epsilon, ball.position.y + epsilon)
+      expect(ball.physicsBody.velocity.y).to.below(-8.0)
+    })
+
+    it('should stop dynamic bodies on static bodies', () => {
+      const scene = new SCNScene()
+      const floor = new SCNNode(new SCNBox(10, 1, 10, 0))
+      floor.position = new SCNVector3(0, -0.5, 0)
+      scene.rootNode.addChildNode(floor)
+      floor.physicsBody = new SCNPhysicsBody(SCNPhysicsBodyType.static, null)
+      const ball = createBall(scene, 2)
+      ball.physicsBody.restitution = 0
+
+      simulate(scene.physicsWorld, 3.0)
+
+      expect(ball.position.y).to.within(0.5 - 0.05, 0.5 + 0.05)
+      expect(floor.position.y).to.within(-0.5 - epsilon, -0.5 + epsilon)
+    })
+
+    it('should not move bodies when the speed is 0', () => {
+      const scene = new SCNScene()
+      const ball = createBall(scene, 10)
+      scene.physicsWorld.speed = 0
+
+      simulate(scene.physicsWorld, 1.0)
+
+      expect(ball.position.y).to.within(10 - epsilon, 10 + epsilon)
+    })
+
+    it('should not move bodies which are not affected by gravity', () => {
+      const scene = new SCNScene()
+      const ball = createBall(scene, 10)
+      ball.physicsBody.isAffectedByGravity = false
+
+      simulate(scene.physicsWorld, 1.0)
+
+      expect(ball.position.y).to.within(10 - epsilon, 10 + epsilon)
+      expect(ball.physicsBody.velocity.y).to.within(-epsilon, epsilon)
+    })
+
+    it('should move bodies in the coordinate space of the parent node', () => {
+      const scene = new SCNScene()
+      scene.physicsWorld.gravity = new SCNVector3(0, 0, 0)
+      const parent = new SCNNode()
+      parent.position = new SCNVector3(5, 3, 0)
+      scene.rootNode.addChildNode(parent)
+      const box = new SCNNode(new SCNBox(1, 1, 1, 0))
+      box.position = new SCNVector3(1, 10, 0)
+      parent.addChildNode(box)
+      box.physicsBody = new SCNPhysicsBody(SCNPhysicsBodyType.dynamic, null)
+      box.physicsBody.velocity = new SCNVector3(1, 0, 0)
+
+      simulate(scene.physicsWorld, 1.0)
+
+      // x = 1 + t (with a little damping)
+      expect(box.position.x).to.within(1.8, 2.0)
+      expect(box.position.y).to.within(10 - epsilon, 10 + epsilon)
+      expect(box.worldTransform.getTranslation().x).to.within(6.8, 7.0)
+    })
+
+    it('should create polyhedron shapes from the geometries', () => {
+      const scene = new SCNScene()
+      const floor = new SCNNode(new SCNBox(10, 1, 10, 0))
+      floor.position = new SCNVector3(0, -0.5, 0)
+      scene.rootNode.addChildNode(floor)
+      const options = { [SCNPhysicsShape.Option.type]: SCNPhysicsShape.ShapeType.concavePolyhedron }
+      floor.physicsBody = new SCNPhysicsBody(SCNPhysicsBodyType.static, new SCNPhysicsShape(floor.geometry, options))
+      const box = new SCNNode(new SCNBox(1, 1, 1, 0))
+      box.position = new SCNVector3(0, 2, 0)
+      scene.rootNode.addChildNode(box)
+      const hullOptions = { [SCNPhysicsShape.Option.type]: SCNPhysicsShape.ShapeType.convexHull }
+      box.physicsBody = new SCNPhysicsBody(SCNPhysicsBodyType.dynamic, new SCNPhysicsShape(box.geometry, hullOptions))
+      box.physicsBody.restitution = 0
+
+      simulate(scene.physicsWorld, 3.0)
+
+      expect(box.position.y).to.within(0.5 - 0.1, 0.5 + 0.1)
+    })
+  })
+
+  describe('addBehavior function', () => {
+    const createBox = (scene, position) => {
+      const box = new SCNNode(new SCNBox(1, 1, 1, 0))
+      box.position = position
+      scene.rootNode.addChildNode(box)
+      box.physicsBody = new SCNPhysicsBody(SCNPhysicsBodyType.dynamic, null)
+      return box
+    }
+    const simulate = (world, from, seconds) => {
+      const frames = Math.round(seconds * 60)
+      for(let i=0; i<=frames; i++){
+        world._simulate(from + i / 60.0)
+      }
+    }
+
+    it('should keep the distance from the anchor of a ball socket joint', () => {
+      const scene = new SCNScene()
+      const box = createBox(scene, new SCNVector3(2, 0, 0))
+      const anchor = new SCNVector3(-2, 0, 0) // (0, 0, 0) in the world
+      scene.physicsWorld.addBehavior(SCNPhysicsBallSocketJoint.jointWithBodyAnchor(box.physicsBody, anchor))
+
+      simulate(scene.physicsWorld, 0, 1.0)
+
+      expect(box.position.length()).to.within(2 - 0.05, 2 + 0.05)
+      expect(box.position.y).to.below(-0.5)
+    })
+
+    it('should rotate bodies around the axis of a hinge joint', () => {
+      const scene = new SCNScene()
+      const box = createBox(scene, new SCNVector3(2, 0, 0))
+      const axis = new SCNVector3(0, 0, 1)
+      const anchor = new SCNVector3(-2, 0, 0)
+      scene.physicsWorld.addBehavior(SCNPhysicsHingeJoint.jointWithBodyAxisAnchor(box.physicsBody, axis, anchor))
+
+      simulate(scene.physicsWorld, 0, 1.0)
+
+      expect(box.position.length()).to.within(2 - 0.05, 2 + 0.05)
+      expect(box.position.z).to.within(-0.01, 0.01)
+      expect(box.position.y).to.below(-0.5)
+    })
+
+    it('should connect two bodies with a hinge joint', () => {
+      const scene = new SCNScene()
+      const boxA = createBox(scene, new SCNVector3(0, 0, 0))
+      boxA.physicsBody.type = SCNPhysicsBodyType.static
+      const boxB = createBox(scene, new SCNVector3(2, 0, 0))
+      const axis = new SCNVector3(0, 0, 1)
+      const joint = new SCNPhysicsHingeJoint(
+        boxA.physicsBody, axis, new SCNVector3(1, 0, 0),
+        boxB.physicsBody, axis, new SCNVector3(-1, 0, 0)
+      )
+      scene.physicsWorld.addBehavior(joint)
+
+      simulate(scene.physicsWorld, 0, 1.0)
+
+      expect(boxB.position.sub(new SCNVector3(1, 0, 0)).length()).to.within(1 - 0.05, 1 + 0.05)
+      expect(boxB.position.y).to.below(-0.3)
+    })
+
+    it('should move bodies along the axis of a slider joint with the motor and the limits', () => {
+      const scene = new SCNScene()
+      scene.physicsWorld.gravity = new SCNVector3(0, 0, 0)
+      const box = createBox(scene, new SCNVector3(0, 0, 0))
+      const joint = SCNPhysicsSliderJoint.jointWithBodyAxisAnchor(box.physicsBody, new SCNVector3(1, 0, 0), new SCNVector3(0, 0, 0))
+      joint.motorTargetLinearVelocity = 1.0
+      joint.motorMaximumForce = 100
+      scene.physicsWorld.addBehavior(joint)
+
+      simulate(scene.physicsWorld, 0, 1.0)
+
+      expect(box.position.x).to.within(1 - 0.1, 1 + 0.1)
+      expect(box.position.y).to.within(-0.01, 0.01)
+
+      joint.minimumLinearLimit = -0.5
+      joint.maximumLinearLimit = 1.5
+      simulate(scene.physicsWorld, 1.1, 2.0)
+
+      expect(box.position.x).to.within(1.5 - 0.05, 1.5 + 0.05)
+    })
+
+    it('should release the constraint when the behavior is removed', () => {
+      const scene = new SCNScene()
+      const box = createBox(scene, new SCNVector3(2, 0, 0))
+      const joint = SCNPhysicsBallSocketJoint.jointWithBodyAnchor(box.physicsBody, new SCNVector3(-2, 0, 0))
+      scene.physicsWorld.addBehavior(joint)
+      simulate(scene.physicsWorld, 0, 0.2)
+
+      scene.physicsWorld.removeBehavior(joint)
+      simulate(scene.physicsWorld, 0.25, 2.0)
+
+      expect(joint._btConstraint).to.be.null
+      expect(box.position.y).to.below(-5)
+    })
+  })
+
+  describe('vehicle behavior', () => {
+    const createVehicle = (scene) => {
+      const ground = new SCNNode(new SCNBox(200, 1, 200, 0))
+      ground.position = new SCNVector3(0, -0.5, 0)
+      scene.rootNode.addChildNode(ground)
+      ground.physicsBody = new SCNPhysicsBody(SCNPhysicsBodyType.static, null)
+
+      const chassis = new SCNNode(new SCNBox(2, 0.5, 4, 0))
+      chassis.position = new SCNVector3(0, 1, 0)
+      scene.rootNode.addChildNode(chassis)
+      chassis.physicsBody = new SCNPhysicsBody(SCNPhysicsBodyType.dynamic, null)
+      chassis.physicsBody.mass = 100
+
+      const wheels = []
+      for(const [x, z] of [[-1, 1.5], [1, 1.5], [-1, -1.5], [1, -1.5]]){
+        const node = new SCNNode(new SCNSphere(0.4))
+        node.position = new SCNVector3(x, -0.3, z)
+        chassis.addChildNode(node)
+        const wheel = SCNPhysicsVehicleWheel.wheelWithNode(node)
+        wheel.suspensionStiffness = 40
+        wheel.suspensionRestLength = 0.4
+        wheel.frictionSlip = 10
+        wheels.push(wheel)
+      }
+      const vehicle = SCNPhysicsVehicle.vehicleWithChassisBodyWheels(chassis.physicsBody, wheels)
+      scene.physicsWorld.addBehavior(vehicle)
+      return [vehicle, chassis]
+    }
+    const drive = (world, from, seconds, control) => {
+      const frames = Math.round(seconds * 60)
+      for(let i=0; i<=frames; i++){
+        control()
+        world._simulate(from + i / 60.0)
+      }
+    }
+    const none = () => {}
+
+    it('should use the size and the position of the node for the wheel', () => {
+      const node = new SCNNode(new SCNSphere(0.4))
+      node.position = new SCNVector3(1, 2, 3)
+      const wheel = new SCNPhysicsVehicleWheel(node)
+
+      expect(wheel.node).to.equal(node)
+      expect(wheel.radius).to.within(0.4 - epsilon, 0.4 + epsilon)
+      expect(wheel.connectionPosition.x).to.equal(1)
+      expect(wheel.connectionPosition.y).to.equal(2)
+      expect(wheel.connectionPosition.z).to.equal(3)
+      expect(wheel.steeringAxis.y).to.equal(-1)
+      expect(wheel.axle.x).to.equal(-1)
+    })
+
+    it('should rest on the suspension and move the wheel nodes to the ground', () => {
+      const scene = new SCNScene()
+      const [vehicle, chassis] = createVehicle(scene)
+      drive(scene.physicsWorld, 0, 2.0, none)
+
+      expect(chassis.position.y).to.within(0.3, 1.1)
+      expect(Math.abs(vehicle.speedInKilometersPerHour)).to.below(0.5)
+      for(const wheel of vehicle.wheels){
+        const y = wheel.node.worldTransform.getTranslation().y
+        expect(y).to.within(0.4 - 0.05, 0.4 + 0.05)
+      }
+    })
+
+    it('should accelerate with the engine force and stop with the braking force', () => {
+      const scene = new SCNScene()
+      const [vehicle, chassis] = createVehicle(scene)
+      drive(scene.physicsWorld, 0, 1.0, none)
+
+      const z0 = chassis.position.z
+      const accelerate = () => {
+        vehicle.applyEngineForceForWheelAt(100, 2)
+        vehicle.applyEngineForceForWheelAt(100, 3)
+      }
+      drive(scene.physicsWorld, 1.1, 2.0, accelerate)
+
+      const speed = vehicle.speedInKilometersPerHour
+      expect(speed).to.above(5)
+      expect(chassis.position.z).to.above(z0 + 1)
+      expect(chassis.position.x).to.within(-0.1, 0.1)
+
+      const wheelNode = vehicle.wheels[0].node
+      expect(wheelNode.orientation.x).not.to.within(-epsilon, epsilon)
+
+      vehicle.applyEngineForceForWheelAt(0, 2)
+      vehicle.applyEngineForceForWheelAt(0, 3)
+      const brake = () => {
+        for(let i=0; i<4; i++){
+          vehicle.applyBrakingForceForWheelAt(50, i)
+        }
+      }
+      drive(scene.physicsWorld, 3.2, 2.0, brake)
+      const z1 = chassis.position.z
+      drive(scene.physicsWorld, 5.3, 0.5, brake)
+
+      expect(chassis.position.z).to.within(z1 - 0.05, z1 + 0.05)
+    })
+
+    it('should keep the engine force until it is changed', () => {
+      const scene = new SCNScene()
+      const [vehicle] = createVehicle(scene)
+      drive(scene.physicsWorld, 0, 1.0, none)
+
+      vehicle.applyEngineForceForWheelAt(100, 2)
+      vehicle.applyEngineForceForWheelAt(100, 3)
+      const speeds = []
+      for(let i=1; i<=3; i++){
+        drive(scene.physicsWorld, 1.0 + i * 0.5, 0.5, none)
+        speeds.push(vehicle.speedInKilometersPerHour)
+      }
+
+      expect(speeds[0]).to.above(1)
+      expect(speeds[1]).to.above(speeds[0])
+      expect(speeds[2]).to.above(speeds[1])
+    })
+
+    it('should turn with the steering angle', () => {
+      const scene = new SCNScene()
+      const [vehicle, chassis] = createVehicle(scene)
+      drive(scene.physicsWorld, 0, 1.0, none)
+
+      vehicle.setSteeringAngleForWheelAt(0.3, 0)
+      vehicle.setSteeringAngleForWheelAt(0.3, 1)
+      const accelerate = () => {
+        vehicle.applyEngineForceForWheelAt(100, 2)
+        vehicle.applyEngineForceForWheelAt(100, 3)
+      }
+      drive(scene.physicsWorld, 1.1, 2.0, accelerate)
+
+      expect(chassis.position.x).to.above(0.5)
+    })
+  })
+
+  describe('physics fields', () => {
+    const createField = (scene, field, position) => {
+      const node = new SCNNode()
+      node.position = position
+      node.physicsField = field
+      scene.rootNode.addChildNode(node)
+      return node
+    }
+    const createBall = (scene, position) => {
+      const ball = new SCNNode(new SCNSphere(0.5))
+      ball.position = position
+      scene.rootNode.addChildNode(ball)
+      ball.physicsBody = new SCNPhysicsBody(SCNPhysicsBodyType.dynamic, null)
+      ball.physicsBody.damping = 0
+      return ball
+    }
+    const createScene = () => {
+      const scene = new SCNScene()
+      scene.physicsWorld.gravity = new SCNVector3(0, 0, 0)
+      return scene
+    }
+    const simulate = (world, seconds) => {
+      const frames = Math.round(seconds * 60)
+      for(let i=0; i<=frames; i++){
+        world._simulate(i / 60.0)
+      }
+    }
+    const forceAt = (scene, position, velocity = new SCNVector3(0, 0, 0), mass = 1, charge = 0, category = 1) => {
+      const world = scene.physicsWorld
+      world._fieldNodes = world._createPhysicsFieldNodeArray()
+      return world._fieldForce(position, velocity, mass, charge, category, 1.0 / 60.0)
+    }
+
+    it('should use the default values of SceneKit', () => {
+      const field = SCNPhysicsField.radialGravity()
+
+      expect(field.strength).to.equal(1)
+      expect(field.falloffExponent).to.equal(2)
+      expect(field.isActive).to.be.true
+      expect(field.scope).to.equal(SCNPhysicsFieldScope.insideExtent)
+      expect(field.direction.y).to.equal(-1)
+      expect(SCNPhysicsField.spring().falloffExponent).to.equal(1)
+      expect(SCNPhysicsField.drag().falloffExponent).to.equal(0)
+    })
+
+    it('should accelerate dynamic bodies with a linear gravity field', () => {
+      const scene = createScene()
+      const field = SCNPhysicsField.linearGravity()
+      field.direction = new SCNVector3(1, 0, 0)
+      field.strength = 2
+      createField(scene, field, new SCNVector3(0, 0, 0))
+      const ball = createBall(scene, new SCNVector3(0, 0, 0))
+
+      simulate(scene.physicsWorld, 1.0)
+
+      // x = 2 / 2 * t^2
+      expect(ball.position.x).to.within(1.0 - 0.05, 1.0 + 0.05)
+      expect(ball.position.y).to.within(-epsilon, epsilon)
+    })
+
+    it('should diminish the force with falloffExponent and minimumDistance', () => {
+      const scene = createScene()
+      const field = SCNPhysicsField.radialGravity()
+      field.strength = 3
+      createField(scene, field, new SCNVector3(0, 5, 0))
+
+      const f1 = forceAt(scene, new SCNVector3(1, 5, 0), undefined, 2)
+      const f2 = forceAt(scene, new SCNVector3(2, 5, 0), undefined, 2)
+      expect(f1.x).to.within(-6 - epsilon, -6 + epsilon)
+      expect(f2.x).to.within(-1.5 - epsilon, -1.5 + epsilon)
+
+      field.minimumDistance = 2
+      const f3 = forceAt(scene, new SCNVector3(0.5, 5, 0), undefined, 2)
+      expect(f3.x).to.within(-1.5 - epsilon, -1.5 + epsilon)
+    })
+
+    it('should apply the force only in the region and the scope', () => {
+      const scene = createScene()
+      const field = SCNPhysicsField.linearGravity()
+      field.halfExtent = new SCNVector3(1, 1, 1)
+      createField(scene, field, new SCNVector3(10, 0, 0))
+
+      expect(forceAt(scene, new SCNVector3(10.5, 0.5, 0.5)).y).to.within(-1 - epsilon, -1 + epsilon)
+      expect(forceAt(scene, new SCNVector3(0, 0, 0)).y).to.equal(0)
+
+      field.usesEllipsoidalExtent = true
+      expect(forceAt(scene, new SCNVector3(10.9, 0.9, 0)).y).to.equal(0)
+
+      field.scope = SCNPhysicsFieldScope.outsideExtent
+      expect(forceAt(scene, new SCNVector3(10.9, 0.9, 0)).y).to.within(-1 - epsilon, -1 + epsilon)
+      expect(forceAt(scene, new SCNVector3(10, 0, 0)).y).to.equal(0)
+    })
+
+    it('should not apply the force when categoryBitMask does not match', () => {
+      const scene = createScene()
+      const field = SCNPhysicsField.linearGravity()
+      field.categoryBitMask = 2
+      createField(scene, field, new SCNVector3(0, 0, 0))
+      const ball = createBall(scene, new SCNVector3(0, 0, 0))
+
+      simulate(scene.physicsWorld, 0.5)
+
+      expect(ball.position.y).to.within(-epsilon, epsilon)
+      expect(forceAt(scene, new SCNVector3(0, 0, 0), undefined, 1, 0, 2).y).to.within(-1 - epsilon, -1 + epsilon)
+    })
+
+    it('should override the other fields with an exclusive field', () => {
+      const scene = createScene()
+      createField(scene, SCNPhysicsField.linearGravity(), new SCNVector3(0, 0, 0))
+      const exclusive = SCNPhysicsField.linearGravity()
+      exclusive.direction = new SCNVector3(1, 0, 0)
+      exclusive.isExclusive = true
+      createField(scene, exclusive, new SCNVector3(0, 0, 0))
+
+      const force = forceAt(scene, new SCNVector3(0, 0, 0))
+      expect(force.x).to.within(1 - epsilon, 1 + epsilon)
+      expect(force.y).to.within(-epsilon, epsilon)
+    })
+
+    it('should compute the forces of each field type', () => {
+      const scene = createScene()
+      const field = SCNPhysicsField.drag()
+      field.strength = 2
+      createField(scene, field, new SCNVector3(0, 0, 0))
+      const v = new SCNVector3(0, 0, 3)
+
+      expect(forceAt(scene, new SCNVector3(1, 0, 0), v).z).to.within(-6 - epsilon, -6 + epsilon)
+
+      field._fieldType = SCNPhysicsField.vortex()._fieldType
+      field.direction = new SCNVector3(0, 1, 0)
+      const vortex = forceAt(scene, new SCNVector3(1, 5, 0), undefined, 3)
+      expect(vortex.z).to.within(-6 - epsilon, -6 + epsilon)
+      expect(vortex.x).to.within(-epsilon, epsilon)
+
+      field._fieldType = SCNPhysicsField.spring()._fieldType
+      field.falloffExponent = 0
+      expect(forceAt(scene, new SCNVector3(0, 0, 2)).z).to.within(-4 - epsilon, -4 + epsilon)
+
+      field._fieldType = SCNPhysicsField.electric()._fieldType
+      expect(forceAt(scene, new SCNVector3(2, 0, 0), undefined, 1, 0).x).to.equal(0)
+      expect(forceAt(scene, new SCNVector3(2, 0, 0), undefined, 1, 1).x).to.within(2 - epsilon, 2 + epsilon)
+      expect(forceAt(scene, new SCNVector3(2, 0, 0), undefined, 1, -1).x).to.within(-2 - epsilon, -2 + epsilon)
+
+      field._fieldType = SCNPhysicsField.magnetic()._fieldType
+      // B = (0, 0, -2) at (1, 0, 0), F = qv x B
+      const magnetic = forceAt(scene, new SCNVector3(1, 0, 0), new SCNVector3(0, 1, 0), 1, 1)
+      expect(magnetic.x).to.within(-2 - epsilon, -2 + epsilon)
+      expect(magnetic.z).to.within(-epsilon, epsilon)
+    })
+
+    it('should apply random forces with noise and turbulence fields', () => {
+      const scene = createScene()
+      const noise = SCNPhysicsField.noiseFieldAnimationSpeed(0.5, 1)
+      createField(scene, noise, new SCNVector3(0, 0, 0))
+      const p = new SCNVector3(0.3, 0.7, 1.1)
+
+      const f1 = forceAt(scene, p)
+      expect(f1.length()).to.above(0)
+      expect(forceAt(scene, p).sub(f1).length()).to.equal(0)
+
+      noise._smoothness = 1
+      expect(forceAt(scene, p).length()).to.equal(0)
+
+      const turbulence = SCNPhysicsField.turbulenceFieldAnimationSpeed(0.5, 1)
+      scene.rootNode.childNodes[0].physicsField = turbulence
+      expect(forceAt(scene, p).length()).to.equal(0)
+      const f2 = forceAt(scene, p, new SCNVector3(0, 0, 2))
+      expect(f2.length()).to.within(f1.length() * 2 - epsilon, f1.length() * 2 + epsilon)
+    })
+
+    it('should call the block of a custom field with the local position', () => {
+      const scene = createScene()
+      const args = []
+      const field = SCNPhysicsField.customFieldEvaluationBlock((position, velocity, mass, charge, time) => {
+        args.push([position, velocity, mass, charge, time])
+        return new SCNVector3(0, 0, 1)
+      })
+      createField(scene, field, new SCNVector3(0, 10, 0))
+
+      const force = forceAt(scene, new SCNVector3(1, 12, 0), new SCNVector3(0, 1, 0), 5, 2)
+
+      expect(force.z).to.within(1 - epsilon, 1 + epsilon)
+      expect(args.length).to.equal(1)
+      expect(args[0][0].y).to.within(2 - epsilon, 2 + epsilon)
+      expect(args[0][2]).to.equal(5)
+      expect(args[0][3]).to.equal(2)
+    })
+
+    it('should apply the forces to particles', () => {
+      const scene = createScene()
+      const field = SCNPhysicsField.linearGravity()
+      field.direction = new SCNVector3(1, 0, 0)
+      createField(scene, field, new SCNVector3(0, 0, 0))
+      const world = scene.physicsWorld
+      world._simulate(0)
+
+      const system = new SCNParticleSystem()
+      system.birthRate = 1
+      system.particleVelocity = 0
+      system.particleLifeSpan = 10
+      system.isAffectedByPhysicsFields = true
+      const transform = SCNMatrix4._identity()
+      for(let i=0; i<=60; i++){
+        system._updateParticles(transform, world.gravity, i / 60.0, world)
+      }
+
+      expect(system._particles[0].position.x).to.within(0.5 - 0.05, 0.5 + 0.05)
+
+      system.isAffectedByPhysicsFields = false
+      const x = system._particles[0].position.x
+      system._updateParticles(transform, world.gravity, 61 / 60.0, world)
+      const vx = system._particles[0].velocity.x
+      expect(system._particles[0].position.x).to.within(x + vx / 60.0 - epsilon, x + vx / 60.0 + epsilon)
+    })
+  })
+
+  describe('convexSweepTestWith function', () => {
+    const createScene = (simulated = true) => {
+      const scene = new SCNScene()
+      const positions = [5, 10, 15]
+      const walls = positions.map((z, i) => {
+        const wall = new SCNNode(new SCNBox(4, 4, 1, 0))
+        wall.position = new SCNVector3(0, 0, z)
+        scene.rootNode.addChildNode(wall)
+        wall.physicsBody = new SCNPhysicsBody(SCNPhysicsBodyType.static, null)
+        wall.physicsBody.categoryBitMask = 1 << i
+        return wall
+      })
+      if(simulated){
+        scene.physicsWorld._simulate(0)
+      }
+      return { scene, walls }
+    }
+    const from = SCNMatrix4.matrixWithTranslation(0, 0, 0)
+    const to = SCNMatrix4.matrixWithTranslation(0, 0, 20)
+    const all = new Map([[SCNPhysicsWorld.TestOption.searchMode, SCNPhysicsWorld.TestSearchMode.all]])
+
+    it('should return all the contacts sorted by the fraction', () => {
+      const { scene, walls } = createScene()
+      const shape = new SCNPhysicsShape(new SCNSphere(1), null)
+
+      const contacts = scene.physicsWorld.convexSweepTestWith(shape, from, to, all)
+
+      expect(contacts.length).to.equal(3)
+      expect(contacts.map((c) => c.nodeA)).to.deep.equal(walls)
+      // the sphere touches the first wall at z = 4.5 - 1
+      expect(contacts[0].sweepTestFraction).to.within(3.5 / 20 - 0.01, 3.5 / 20 + 0.01)
+      expect(contacts[0].contactPoint.z).to.within(4.5 - 0.05, 4.5 + 0.05)
+      expect(contacts[0].contactNormal.z).to.within(-1 - 0.01, -1 + 0.01)
+      expect(contacts[1].sweepTestFraction).to.above(contacts[0].sweepTestFraction)
+      expect(contacts[2].sweepTestFraction).to.above(contacts[1].sweepTestFraction)
+    })
+
+    it('should find the bodies before the simulation starts', () => {
+      const { scene, walls } = createScene(false)
+      const shape = new SCNPhysicsShape(new SCNSphere(1), null)
+
+      const contacts = scene.physicsWorld.convexSweepTestWith(shape, from, to, all)
+
+      expect(contacts.map((c) => c.nodeA)).to.deep.equal(walls)
+    })
+
+    it('should return only the closest contact', () => {
+      const { scene, walls } = createScene()
+      const shape = new SCNPhysicsShape(new SCNBox(1, 1, 1, 0), null)
+      const options = new Map([[SCNPhysicsWorld.TestOption.searchMode, SCNPhysicsWorld.TestSearchMode.closest]])
+
+      const contacts = scene.physicsWorld.convexSweepTestWith(shape, from, to, options)
+
+      expect(contacts.length).to.equal(1)
+      expect(contacts[0].nodeA).to.equal(walls[0])
+    })
+
+    it('should return one contact in any mode', () => {
+      const { scene } = createScene()
+      const shape = new SCNPhysicsShape(new SCNCapsule(0.5, 2), null)
+      const options = new Map([[SCNPhysicsWorld.TestOption.searchMode, SCNPhysicsWorld.TestSearchMode.any]])
+
+      const contacts = scene.physicsWorld.convexSweepTestWith(shape, from, to, options)
+
+      expect(contacts.length).to.equal(1)
+    })
+
+    it('should ignore the bodies which are not in collisionBitMask', () => {
+      const { scene, walls } = createScene()
+      const shape = new SCNPhysicsShape(new SCNSphere(1), null)
+      const options = new Map([
+        [SCNPhysicsWorld.TestOption.searchMode, SCNPhysicsWorld.TestSearchMode.all],
+        [SCNPhysicsWorld.TestOption.collisionBitMask, 2 | 4]
+      ])
+
+      const contacts = scene.physicsWorld.convexSweepTestWith(shape, from, to, options)
+
+      expect(contacts.map((c) => c.nodeA)).to.deep.equal([walls[1], walls[2]])
+    })
+
+    it('should sweep a convex hull shape', () => {
+      const { scene } = createScene()
+      const options = { [SCNPhysicsShape.Option.type]: SCNPhysicsShape.ShapeType.convexHull }
+      const shape = new SCNPhysicsShape(new SCNBox(1, 1, 1, 0), options)
+
+      const contacts = scene.physicsWorld.convexSweepTestWith(shape, from, to, all)
+
+      expect(contacts.length).to.equal(3)
+      expect(contacts[0].sweepTestFraction).to.within(4 / 20 - 0.01, 4 / 20 + 0.01)
+    })
+
+    it('should ignore back faces of concave shapes', () => {
+      const scene = new SCNScene()
+      const room = new SCNNode(new SCNBox(10, 10, 10, 0))
+      scene.rootNode.addChildNode(room)
+      const concave = { [SCNPhysicsShape.Option.type]: SCNPhysicsShape.ShapeType.concavePolyhedron }
+      room.physicsBody = new SCNPhysicsBody(SCNPhysicsBodyType.static, new SCNPhysicsShape(room.geometry, concave))
+      scene.physicsWorld._simulate(0)
+      const shape = new SCNPhysicsShape(new SCNSphere(0.5), null)
+      const inside = SCNMatrix4.matrixWithTranslation(0, 0, 0)
+      const outside = SCNMatrix4.matrixWithTranslation(0, 0, 20)
+
+      const culled = scene.physicsWorld.convexSweepTestWith(shape, inside, outside, all)
+      const options = new Map([
+        [SCNPhysicsWorld.TestOption.searchMode, SCNPhysicsWorld.TestSearchMode.all],
+        [SCNPhysicsWorld.TestOption.backfaceCulling, false]
+      ])
+      const notCulled = scene.physicsWorld.convexSweepTestWith(shape, inside, outside, options)
+
+      expect(culled.length).to.equal(0)
+      expect(notCulled.length).to.equal(1)
+    })
+  })
+
+  describe('contactDelegate', () => {
+    const createScene = () => {
+      const scene = new SCNScene()
+      const floor = new SCNNode(new SCNBox(10, 1, 10, 0))
+      floor.position = new SCNVector3(0, -0.5, 0)
+      scene.rootNode.addChildNode(floor)
+      floor.physicsBody = new SCNPhysicsBody(SCNPhysicsBodyType.static, null)
+
+      const ball = new SCNNode(new SCNSphere(0.5))
+      ball.position = new SCNVector3(0, 1, 0)
+      scene.rootNode.addChildNode(ball)
+      ball.physicsBody = new SCNPhysicsBody(SCNPhysicsBodyType.dynamic, null)
+      ball.physicsBody.restitution = 0
+      ball.physicsBody.contactTestBitMask = floor.physicsBody.categoryBitMask
+
+      const delegate = { begin: [], update: [], end: [] }
+      delegate.physicsWorldDidBegin = (world, contact) => { delegate.begin.push(contact) }
+      delegate.physicsWorldDidUpdate = (world, contact) => { delegate.update.push(contact) }
+      delegate.physicsWorldDidEnd = (world, contact) => { delegate.end.push(contact) }
+      scene.physicsWorld.contactDelegate = delegate
+
+      return { scene, floor, ball, delegate }
+    }
+    let frame = 0
+    const simulate = (world, seconds) => {
+      const frames = Math.round(seconds * 60)
+      for(let i=0; i<frames; i++){
+        world._simulate(frame / 60.0)
+        frame += 1
+      }
+    }
+
+    it('should call physicsWorldDidBegin once and physicsWorldDidUpdate while the bodies touch', () => {
+      const { scene, floor, ball, delegate } = createScene()
+
+      simulate(scene.physicsWorld, 2.0)
+
+      expect(delegate.begin.length).to.equal(1)
+      expect(delegate.update.length).to.above(0)
+      expect(delegate.end.length).to.equal(0)
+
+      const contact = delegate.begin[0]
+      const nodes = [contact.nodeA, contact.nodeB]
+      expect(nodes).to.include(floor)
+      expect(nodes).to.include(ball)
+      expect(contact.collisionImpulse).to.above(0)
+      expect(contact.penetrationDistance).to.least(0)
+      expect(contact.contactPoint.y).to.within(-0.1, 0.1)
+      expect(Math.abs(contact.contactNormal.y)).to.within(1 - 0.01, 1 + 0.01)
+    })
+
+    it('should call physicsWorldDidEnd when the bodies separate', () => {
+      const { scene, ball, delegate } = createScene()
+
+      simulate(scene.physicsWorld, 1.0)
+      ball.position = new SCNVector3(0, 5, 0)
+      ball.physicsBody.resetTransform()
+      simulate(scene.physicsWorld, 0.1)
+
+      expect(delegate.begin.length).to.equal(1)
+      expect(delegate.end.length).to.equal(1)
+    })
+
+    it('should not report contacts when contactTestBitMask does not match', () => {
+      const { scene, ball, delegate } = createScene()
+      ball.physicsBody.contactTestBitMask = 0
+
+      simulate(scene.physicsWorld, 1.0)
+
+      expect(delegate.begin.length).to.equal(0)
+      expect(delegate.update.length).to.equal(0)
+    })
+
+    it('should report contacts between bodies which do not collide', () => {
+      const { scene, ball, delegate } = createScene()
+      ball.physicsBody.isAffectedByGravity = false
+      ball.position = new SCNVector3(0, 0, 0)
+      ball.physicsBody.resetTransform()
+      ball.physicsBody.collisionBitMask = 0
+
+      simulate(scene.physicsWorld, 0.5)
+
+      expect(delegate.begin.length).to.equal(1)
+      expect(delegate.begin[0].collisionImpulse).to.equal(0)
+      expect(delegate.begin[0].penetrationDistance).to.above(0)
+    })
   })
 
   describe('_contactTestBetweenBoxes function', () => {
@@ -156,6 +935,29 @@ describe('SCNPhysicsWorld class', () => {
     })
   })
 
+  describe('_hitTestWithSegmentGeometry function', () => {
+    it('should hit the faces of triangle strips', () => {
+      const vertices = [
+        new SCNVector3(0, 0, 0),
+        new SCNVector3(0, 0, 1),
+        new SCNVector3(1, 0, 0),
+        new SCNVector3(1, 0, 1)
+      ]
+      const source = SCNGeometrySource.geometrySourceWithVerticesCount(vertices, vertices.length)
+      const element = new SCNGeometryElement([0, 1, 2, 3], SCNGeometryPrimitiveType.triangleStrip)
+      const geometry = new SCNGeometry([source], [element])
+      const p0 = new SCNVector3(0.8, 1, 0.8)
+      const p1 = new SCNVector3(0.8, -1, 0.8)
+
+      const results = SCNPhysicsWorld._hitTestWithSegmentGeometry(p0, p1, geometry)
+
+      expect(results.length).to.equal(1)
+      expect(results[0]._faceIndex).to.equal(1)
+      // the second triangle of the strip faces the same way as the first one.
+      expect(results[0]._localNormal.y).to.within(1 - epsilon, 1 + epsilon)
+    })
+  })
+
   describe('_segmentTriangleIntersection function', () => {
     it('should return null when it does not have an intersection point', () => {
       const p0 = new SCNVector3(20, 10, 20)
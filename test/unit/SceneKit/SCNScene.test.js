@@ -1,9 +1,56 @@
+import CABasicAnimation from '../../../src/js/QuartzCore/CABasicAnimation'
+import SCNBox from '../../../src/js/SceneKit/SCNBox'
+import SCNCamera from '../../../src/js/SceneKit/SCNCamera'
+import SCNLight from '../../../src/js/SceneKit/SCNLight'
+import SCNNode from '../../../src/js/SceneKit/SCNNode'
+import SCNPhysicsBody from '../../../src/js/SceneKit/SCNPhysicsBody'
+import SCNPhysicsBodyType from '../../../src/js/SceneKit/SCNPhysicsBodyType'
 import SCNScene from '../../../src/js/SceneKit/SCNScene'
+import SCNSceneSource from '../../../src/js/SceneKit/SCNSceneSource'
+import SCNVector3 from '../../../src/js/SceneKit/SCNVector3'
+import SKColor from '../../../src/js/SpriteKit/SKColor'
 import chai from '../../../node_modules/chai/chai'
+import fs from 'fs'
+import os from 'os'
 import UnitTest from '../UnitTest'
 
 const expect = chai.expect
 
+const epsilon = 0.0001
+
+const createScene = () => {
+  const scene = new SCNScene()
+  scene.fogStartDistance = 5
+  scene.physicsWorld.gravity = new SCNVector3(0, -2, 0)
+
+  const box = new SCNBox(1, 2, 3, 0)
+  box.firstMaterial.diffuse.contents = new SKColor(1, 0, 0, 1)
+  const boxNode = new SCNNode(box)
+  boxNode.name = 'box'
+  boxNode.position = new SCNVector3(1, 2, 3)
+  boxNode.physicsBody = new SCNPhysicsBody(SCNPhysicsBodyType.dynamic, null)
+  boxNode.physicsBody.mass = 3
+  const anim = new CABasicAnimation('position')
+  anim.toValue = new SCNVector3(0, 5, 0)
+  anim.duration = 2
+  boxNode.addAnimationForKey(anim, 'move')
+  scene.rootNode.addChildNode(boxNode)
+
+  const lightNode = new SCNNode()
+  lightNode.name = 'light'
+  lightNode.light = new SCNLight()
+  lightNode.light.intensity = 500
+  boxNode.addChildNode(lightNode)
+
+  const cameraNode = new SCNNode()
+  cameraNode.name = 'camera'
+  cameraNode.camera = new SCNCamera()
+  cameraNode.camera.zFar = 50
+  scene.rootNode.addChildNode(cameraNode)
+
+  return scene
+}
+
 describe('SCNScene class', () => {
 
   /*
@@ -60,5 +107,143 @@ describe('SCNScene class', () => {
     })
   })
   */
-})
 
+  describe('writeTo function', () => {
+    const path = `${os.tmpdir()}/jscenekit_writeTo_test.json`
+    const scnPath = `${os.tmpdir()}/jscenekit_writeTo_test.scn`
+    const noExtensionPath = `${os.tmpdir()}/jscenekit_writeTo_test`
+
+    afterEach(() => {
+      for(const file of [path, scnPath, noExtensionPath]){
+        if(fs.existsSync(file)){
+          fs.unlinkSync(file)
+        }
+      }
+    })
+
+    it('should write a scene which can be read by SCNSceneSource', () => {
+      const progress = []
+      const result = createScene().writeTo(`file://${path}`, null, null, (totalProgress, error) => {
+        expect(error).to.be.null
+        progress.push(totalProgress)
+      })
+      expect(result).to.be.true
+      expect(progress[progress.length - 1]).to.equal(1.0)
+
+      const data = fs.readFileSync(path, 'utf8')
+      const scene = new SCNSceneSource(data).scene()
+      expect(scene).to.be.an.instanceof(SCNScene)
+      expect(scene.fogStartDistance).to.equal(5)
+      expect(scene.physicsWorld.gravity.y).to.be.closeTo(-2, epsilon)
+
+      const boxNode = scene.rootNode.childNodeWithNameRecursively('box', false)
+      expect(boxNode.position.z).to.be.closeTo(3, epsilon)
+      expect(boxNode.geometry).to.be.an.instanceof(SCNBox)
+      expect(boxNode.geometry.length).to.be.closeTo(3, epsilon)
+      expect(boxNode.geometry.geometryElements).to.have.lengthOf(1)
+      expect(boxNode.geometry.firstMaterial.diffuse.contents.red).to.be.closeTo(1, epsilon)
+      expect(boxNode.physicsBody.type).to.equal(SCNPhysicsBodyType.dynamic)
+      expect(boxNode.physicsBody.mass).to.equal(3)
+
+      const anim = boxNode.animationForKey('move')
+      expect(anim).to.be.an.instanceof(CABasicAnimation)
+      expect(anim.keyPath).to.equal('position')
+      expect(anim.duration).to.equal(2)
+      expect(anim.toValue.y).to.be.closeTo(5, epsilon)
+
+      const lightNode = boxNode.childNodeWithNameRecursively('light', false)
+      expect(lightNode.light.intensity).to.equal(500)
+      const cameraNode = scene.rootNode.childNodeWithNameRecursively('camera', false)
+      expect(cameraNode.camera.zFar).to.equal(50)
+    })
+
+    it('should archive a .scn file with NSKeyedArchiver', () => {
+      const progress = []
+      const result = createScene().writeTo(`file://${scnPath}`, null, null, (totalProgress, error) => {
+        expect(error).to.be.null
+        progress.push(totalProgress)
+      })
+      expect(result).to.be.true
+      expect(progress[progress.length - 1]).to.equal(1.0)
+
+      const data = fs.readFileSync(scnPath)
+      expect(data.toString('ascii', 0, 8)).to.equal('bplist00')
+      const scene = new SCNSceneSource(data).scene()
+      expect(scene).to.be.an.instanceof(SCNScene)
+      expect(scene.fogStartDistance).to.equal(5)
+      expect(scene.physicsWorld.gravity.y).to.be.closeTo(-2, epsilon)
+
+      const boxNode = scene.rootNode.childNodeWithNameRecursively('box', false)
+      expect(boxNode.position.z).to.be.closeTo(3, epsilon)
+      expect(boxNode.geometry).to.be.an.instanceof(SCNBox)
+      expect(boxNode.geometry.height).to.be.closeTo(2, epsilon)
+      expect(boxNode.geometry.firstMaterial.diffuse.contents.red).to.be.closeTo(1, epsilon)
+      expect(boxNode.physicsBody.mass).to.equal(3)
+
+      const lightNode = boxNode.childNodeWithNameRecursively('light', false)
+      expect(lightNode.light.intensity).to.equal(500)
+      const cameraNode = scene.rootNode.childNodeWithNameRecursively('camera', false)
+      expect(cameraNode.camera.zFar).to.equal(50)
+    })
+
+    it('should archive a file without an extension with NSKeyedArchiver', () => {
+      expect(createScene().writeTo(noExtensionPath)).to.be.true
+      const data = fs.readFileSync(noExtensionPath)
+      expect(data.toString('ascii', 0, 8)).to.equal('bplist00')
+    })
+
+    it('should resolve texture references through the delegate', () => {
+      const scene = createScene()
+      const image = { src: 'textures/original.png' }
+      scene.background.contents = image
+      const delegate = {
+        writeWithSceneDocumentURL: (img, documentURL, originalImageURL) => {
+          expect(img).to.equal(image)
+          expect(originalImageURL).to.equal('textures/original.png')
+          return 'exported.png'
+        }
+      }
+      expect(scene.writeTo(path, null, delegate)).to.be.true
+      const data = JSON.parse(fs.readFileSync(path, 'utf8'))
+      expect(data.scene.background.contents.image).to.equal('exported.png')
+
+      expect(scene.writeTo(scnPath, null, delegate)).to.be.true
+      const archived = fs.readFileSync(scnPath)
+      expect(archived.includes('exported.png')).to.be.true
+      expect(archived.includes('textures/original.png')).to.be.false
+    })
+
+    it('should stop exporting when the progress handler sets stop', () => {
+      const progress = []
+      const result = createScene().writeTo(path, null, null, (totalProgress, error, stop) => {
+        progress.push(totalProgress)
+        stop.value = true
+      })
+      expect(result).to.be.false
+      expect(progress).to.have.lengthOf(1)
+      expect(fs.existsSync(path)).to.be.false
+    })
+
+    it('should report an error for unsupported file extensions', () => {
+      const daePath = `${os.tmpdir()}/jscenekit_writeTo_test.dae`
+      const errors = []
+      const result = createScene().writeTo(daePath, null, null, (totalProgress, error) => {
+        errors.push(error)
+      })
+      expect(result).to.be.false
+      expect(errors).to.have.lengthOf(1)
+      expect(errors[0]).to.be.an.instanceof(Error)
+      expect(fs.existsSync(daePath)).to.be.false
+    })
+
+    it('should report an error for a null url', () => {
+      const errors = []
+      const result = createScene().writeTo(null, null, null, (totalProgress, error) => {
+        errors.push(error)
+      })
+      expect(result).to.be.false
+      expect(errors).to.have.lengthOf(1)
+      expect(errors[0]).to.be.an.instanceof(Error)
+    })
+  })
+})
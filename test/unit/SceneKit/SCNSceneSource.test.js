@@ -0,0 +1,809 @@
+import CAAnimation from '../../../src/js/QuartzCore/CAAnimation'
+import CAAnimationGroup from '../../../src/js/QuartzCore/CAAnimationGroup'
+import CABasicAnimation from '../../../src/js/QuartzCore/CABasicAnimation'
+import SCNBox from '../../../src/js/SceneKit/SCNBox'
+import SCNGeometry from '../../../src/js/SceneKit/SCNGeometry'
+import SCNGeometryPrimitiveType from '../../../src/js/SceneKit/SCNGeometryPrimitiveType'
+import SCNGeometrySource from '../../../src/js/SceneKit/SCNGeometrySource'
+import SCNLight from '../../../src/js/SceneKit/SCNLight'
+import SCNMaterial from '../../../src/js/SceneKit/SCNMaterial'
+import SCNNode from '../../../src/js/SceneKit/SCNNode'
+import SCNScene from '../../../src/js/SceneKit/SCNScene'
+import SCNSceneSource from '../../../src/js/SceneKit/SCNSceneSource'
+import SCNSceneSourceStatus from '../../../src/js/SceneKit/SCNSceneSourceStatus'
+import SCNVector3 from '../../../src/js/SceneKit/SCNVector3'
+import _SCNJSONWriter from '../../../src/js/SceneKit/_SCNJSONWriter'
+import _SCNMtlLoader from '../../../src/js/SceneKit/_SCNMtlLoader'
+import chai from '../../../node_modules/chai/chai'
+
+/*global Buffer*/
+
+const expect = chai.expect
+
+const epsilon = 0.0001
+
+const createSceneData = () => {
+  const scene = new SCNScene()
+  const box = new SCNBox(1, 1, 1, 0)
+  box.name = 'boxGeometry'
+  box.firstMaterial.name = 'boxMaterial'
+  const boxNode = new SCNNode(box)
+  boxNode.name = 'box'
+  scene.rootNode.addChildNode(boxNode)
+
+  const run = new CABasicAnimation('position')
+  run.toValue = new SCNVector3(0, 0, 5)
+  run.duration = 2
+  boxNode.addAnimationForKey(run, 'run')
+  const jump = new CABasicAnimation('position')
+  jump.toValue = new SCNVector3(0, 3, 0)
+  jump.duration = 0.5
+  boxNode.addAnimationForKey(jump, 'jump')
+
+  return _SCNJSONWriter.dataWithScene(scene)
+}
+
+const objData = [
+  '# triangle',
+  'v 0.0 0.0 0.0',
+  'v 1.0 0.0 0.0',
+  'v 0.0 1.0 0.0',
+  'usemtl red',
+  'f 1 2 3',
+  ''
+].join('\n')
+
+// two triangles which share the edge between the first two vertices at a right angle.
+const foldedObjData = [
+  'v 0.0 0.0 0.0',
+  'v 1.0 0.0 0.0',
+  'v 0.0 1.0 0.0',
+  'v 0.0 0.0 -1.0',
+  'f 1 2 3',
+  'f 2 1 4',
+  ''
+].join('\n')
+
+// the folded triangles in separate smoothing groups, with a polyline and a point.
+const smoothingObjData = [
+  'v 0.0 0.0 0.0',
+  'v 1.0 0.0 0.0',
+  'v 0.0 1.0 0.0',
+  'v 0.0 0.0 -1.0',
+  's 1',
+  'f 1 2 3',
+  's 2',
+  'f 2 1 4',
+  'l 1 2 3',
+  'p 4',
+  ''
+].join('\n')
+
+// a rational quarter circle and a bilinear patch.
+const freeFormObjData = [
+  '# free-form',
+  'v 1.0 0.0 0.0',
+  'v 1.0 1.0 0.0 0.70710678',
+  'v 0.0 1.0 0.0',
+  'v 0.0 0.0 0.0',
+  'v 2.0 0.0 0.0',
+  'v 0.0 2.0 0.0',
+  'v 2.0 2.0 0.0',
+  'cstype rat bezier',
+  'deg 2',
+  'ctech cparm 4',
+  'curv 0.0 1.0 1 2 3',
+  'parm u 0.0 1.0',
+  'end',
+  'cstype bspline',
+  'deg 1 1',
+  'stech cparma 2 2',
+  'surf 0.0 1.0 0.0 1.0 4 5 \\',
+  '  6 7',
+  'parm u 0.0 0.0 1.0 1.0',
+  'parm v 0.0 0.0 1.0 1.0',
+  'end',
+  ''
+].join('\n')
+
+const mtlData = [
+  'newmtl metal',
+  'Kd 0.8 0.2 0.1',
+  'Ka xyz 0.9505 1.0 1.089',
+  'Ke 0.5',
+  'd 0.75',
+  'Pr 0.3',
+  'Pm 1.0',
+  'Pc 0.5',
+  'illum 2',
+  '',
+  'newmtl plain',
+  'illum 1',
+  'Tr 0.25',
+  ''
+].join('\n')
+
+const createNestedSceneArchive = () => {
+  const scene = new SCNScene()
+  const parent = new SCNNode()
+  parent.name = 'parent'
+  parent.position = new SCNVector3(100, 0, 0)
+  // a custom geometry so that the vertices are archived.
+  const box = new SCNBox(1, 1, 1, 0)
+  const child = new SCNNode(new SCNGeometry(box.geometrySources, box.geometryElements))
+  child.name = 'child'
+  child.position = new SCNVector3(0, 0, 100)
+  parent.addChildNode(child)
+  scene.rootNode.addChildNode(parent)
+  return JSON.parse(_SCNJSONWriter.dataWithScene(scene))
+}
+
+const normalAt = (geometry, position) => {
+  const vertex = geometry.getGeometrySourcesForSemantic(SCNGeometrySource.Semantic.vertex)[0]
+  const normal = geometry.getGeometrySourcesForSemantic(SCNGeometrySource.Semantic.normal)[0]
+  const normals = []
+  for(let i=0; i<vertex.vectorCount; i++){
+    if(vertex._scnVectorAt(i).sub(position).length() < epsilon){
+      normals.push(normal._scnVectorAt(i))
+    }
+  }
+  return normals
+}
+
+// a skinned and morphed triangle with a camera, a light and an animation.
+const createGLTF = () => {
+  const data = Buffer.alloc(244)
+  const writeFloats = (offset, values) => values.forEach((v, i) => data.writeFloatLE(v, offset + i * 4))
+  writeFloats(0, [0, 0, 0, 1, 0, 0, 0, 1, 0])
+  for(let i=0; i<3; i++){
+    data.writeUInt16LE(i, 36 + i * 2)
+  }
+  // every vertex is bound to the first joint.
+  data.fill(0, 44, 56)
+  writeFloats(56, [1, 0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0])
+  writeFloats(104, [0, 0, 0, 0, 0, 0, 0, 0, 2])
+  writeFloats(140, [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, -1, 0, 0, 1])
+  writeFloats(204, [0, 2])
+  writeFloats(212, [1, 0, 0, 1, 3, 0])
+  writeFloats(236, [0, 1])
+
+  const view = (byteOffset, byteLength) => ({ buffer: 0, byteOffset: byteOffset, byteLength: byteLength })
+  const gltf = {
+    asset: { version: '2.0', generator: 'test exporter' },
+    scene: 0,
+    scenes: [{ nodes: [0] }],
+    nodes: [
+      { name: 'root', translation: [0, 0, -5], children: [1, 2, 3, 4] },
+      { name: 'joint', translation: [1, 0, 0] },
+      { name: 'triangle', mesh: 0, skin: 0, weights: [0.5] },
+      { name: 'camera', camera: 0, rotation: [0, Math.SQRT1_2, 0, Math.SQRT1_2] },
+      { name: 'light', extensions: { KHR_lights_punctual: { light: 0 } } }
+    ],
+    meshes: [{
+      name: 'triangleMesh',
+      primitives: [{
+        attributes: { POSITION: 0, JOINTS_0: 2, WEIGHTS_0: 3 },
+        indices: 1,
+        material: 0,
+        targets: [{ POSITION: 4 }]
+      }],
+      extras: { targetNames: ['raise'] }
+    }],
+    materials: [{
+      name: 'metal',
+      pbrMetallicRoughness: { baseColorFactor: [1, 0, 0, 1], metallicFactor: 0.5, roughnessFactor: 0.25 },
+      doubleSided: true
+    }],
+    skins: [{ joints: [1], inverseBindMatrices: 5 }],
+    cameras: [{ type: 'perspective', perspective: { yfov: Math.PI / 3, znear: 0.1, zfar: 50 } }],
+    extensions: {
+      KHR_lights_punctual: {
+        lights: [{ name: 'spot', type: 'spot', color: [0, 1, 0], intensity: 2, spot: { outerConeAngle: Math.PI / 8 } }]
+      }
+    },
+    animations: [{
+      name: 'move',
+      channels: [
+        { sampler: 0, target: { node: 1, path: 'translation' } },
+        { sampler: 1, target: { node: 2, path: 'weights' } }
+      ],
+      samplers: [
+        { input: 6, output: 7, interpolation: 'LINEAR' },
+        { input: 6, output: 8, interpolation: 'STEP' }
+      ]
+    }],
+    accessors: [
+      { bufferView: 0, componentType: 5126, count: 3, type: 'VEC3' },
+      { bufferView: 1, componentType: 5123, count: 3, type: 'SCALAR' },
+      { bufferView: 2, componentType: 5121, count: 3, type: 'VEC4' },
+      { bufferView: 3, componentType: 5126, count: 3, type: 'VEC4' },
+      { bufferView: 4, componentType: 5126, count: 3, type: 'VEC3' },
+      { bufferView: 5, componentType: 5126, count: 1, type: 'MAT4' },
+      { bufferView: 6, componentType: 5126, count: 2, type: 'SCALAR' },
+      { bufferView: 7, componentType: 5126, count: 2, type: 'VEC3' },
+      { bufferView: 8, componentType: 5126, count: 2, type: 'SCALAR' }
+    ],
+    bufferViews: [
+      view(0, 36), view(36, 6), view(44, 12), view(56, 48), view(104, 36),
+      view(140, 64), view(204, 8), view(212, 24), view(236, 8)
+    ],
+    buffers: [{ byteLength: data.length }]
+  }
+  return { json: gltf, bin: data }
+}
+
+const createGLTFData = () => {
+  const gltf = createGLTF()
+  gltf.json.buffers[0].uri = `data:application/octet-stream;base64,${gltf.bin.toString('base64')}`
+  return JSON.stringify(gltf.json)
+}
+
+const createGLBData = () => {
+  const gltf = createGLTF()
+  let json = Buffer.from(JSON.stringify(gltf.json), 'utf8')
+  json = Buffer.concat([json, Buffer.alloc((4 - json.length % 4) % 4, 0x20)])
+  const chunkHeader = (length, type) => {
+    const header = Buffer.alloc(8)
+    header.writeUInt32LE(length, 0)
+    header.writeUInt32LE(type, 4)
+    return header
+  }
+  const header = Buffer.alloc(12)
+  header.writeUInt32LE(0x46546C67, 0)
+  header.writeUInt32LE(2, 4)
+  header.writeUInt32LE(12 + 8 + json.length + 8 + gltf.bin.length, 8)
+  return Buffer.concat([header, chunkHeader(json.length, 0x4E4F534A), json, chunkHeader(gltf.bin.length, 0x004E4942), gltf.bin])
+}
+
+const createDAEData = () => `<?xml version="1.0" encoding="utf-8"?>
+<COLLADA xmlns="http://www.collada.org/2005/11/COLLADASchema" version="1.4.1">
+  <asset>
+    <contributor><author>tester</author><authoring_tool>test exporter</authoring_tool></contributor>
+    <created>2017-01-01T00:00:00Z</created>
+    <unit name="centimeter" meter="0.01"/>
+    <up_axis>Z_UP</up_axis>
+  </asset>
+  <library_cameras>
+    <camera id="camera-data"><optics><technique_common><perspective>
+      <yfov>45</yfov><znear>0.5</znear><zfar>100</zfar>
+    </perspective></technique_common></optics></camera>
+  </library_cameras>
+  <library_lights>
+    <light id="light-data" name="spot"><technique_common><spot>
+      <color>1 0.5 0</color><quadratic_attenuation>1</quadratic_attenuation><falloff_angle>30</falloff_angle>
+    </spot></technique_common></light>
+  </library_lights>
+  <library_effects>
+    <effect id="red-effect"><profile_COMMON><technique sid="common"><phong>
+      <diffuse><color>1 0 0 1</color></diffuse>
+      <shininess><float>20</float></shininess>
+    </phong></technique></profile_COMMON></effect>
+  </library_effects>
+  <library_materials>
+    <material id="red-material" name="red"><instance_effect url="#red-effect"/></material>
+  </library_materials>
+  <library_geometries>
+    <geometry id="quad" name="quad"><mesh>
+      <source id="quad-positions">
+        <float_array id="quad-positions-array" count="12">0 0 0 1 0 0 1 1 0 0 1 0</float_array>
+        <technique_common><accessor source="#quad-positions-array" count="4" stride="3"/></technique_common>
+      </source>
+      <source id="quad-uvs">
+        <float_array id="quad-uvs-array" count="8">0 0 1 0 1 1 0 1</float_array>
+        <technique_common><accessor source="#quad-uvs-array" count="4" stride="2"/></technique_common>
+      </source>
+      <vertices id="quad-vertices"><input semantic="POSITION" source="#quad-positions"/></vertices>
+      <polylist material="mat" count="1">
+        <input semantic="VERTEX" source="#quad-vertices" offset="0"/>
+        <input semantic="TEXCOORD" source="#quad-uvs" offset="1" set="0"/>
+        <vcount>4</vcount>
+        <p>0 0 1 1 2 2 3 3</p>
+      </polylist>
+    </mesh></geometry>
+    <geometry id="quad-raised" name="raised"><mesh>
+      <source id="raised-positions">
+        <float_array id="raised-positions-array" count="12">0 0 1 1 0 1 1 1 1 0 1 1</float_array>
+        <technique_common><accessor source="#raised-positions-array" count="4" stride="3"/></technique_common>
+      </source>
+      <vertices id="raised-vertices"><input semantic="POSITION" source="#raised-positions"/></vertices>
+      <triangles count="2">
+        <input semantic="VERTEX" source="#raised-vertices" offset="0"/>
+        <p>0 1 2 0 2 3</p>
+      </triangles>
+    </mesh></geometry>
+  </library_geometries>
+  <library_controllers>
+    <controller id="quad-morph"><morph source="#quad" method="NORMALIZED">
+      <source id="morph-targets"><IDREF_array id="morph-targets-array" count="1">quad-raised</IDREF_array>
+        <technique_common><accessor source="#morph-targets-array" count="1" stride="1"/></technique_common></source>
+      <source id="morph-weights"><float_array id="morph-weights-array" count="1">0.25</float_array>
+        <technique_common><accessor source="#morph-weights-array" count="1" stride="1"/></technique_common></source>
+      <targets>
+        <input semantic="MORPH_TARGET" source="#morph-targets"/>
+        <input semantic="MORPH_WEIGHT" source="#morph-weights"/>
+      </targets>
+    </morph></controller>
+    <controller id="quad-skin"><skin source="#quad-morph">
+      <bind_shape_matrix>1 0 0 0 0 1 0 0 0 0 1 0 0 0 0 1</bind_shape_matrix>
+      <source id="skin-joints"><Name_array id="skin-joints-array" count="1">bone</Name_array>
+        <technique_common><accessor source="#skin-joints-array" count="1" stride="1"/></technique_common></source>
+      <source id="skin-bind-poses"><float_array id="skin-bind-poses-array" count="16">1 0 0 0 0 1 0 0 0 0 1 -1 0 0 0 1</float_array>
+        <technique_common><accessor source="#skin-bind-poses-array" count="1" stride="16"/></technique_common></source>
+      <source id="skin-weights"><float_array id="skin-weights-array" count="1">1</float_array>
+        <technique_common><accessor source="#skin-weights-array" count="1" stride="1"/></technique_common></source>
+      <joints>
+        <input semantic="JOINT" source="#skin-joints"/>
+        <input semantic="INV_BIND_MATRIX" source="#skin-bind-poses"/>
+      </joints>
+      <vertex_weights count="4">
+        <input semantic="JOINT" source="#skin-joints" offset="0"/>
+        <input semantic="WEIGHT" source="#skin-weights" offset="1"/>
+        <vcount>1 1 1 1</vcount>
+        <v>0 0 0 0 0 0 0 0</v>
+      </vertex_weights>
+    </skin></controller>
+  </library_controllers>
+  <library_animations>
+    <animation id="bone-animation" name="wave">
+      <source id="wave-input"><float_array id="wave-input-array" count="3">0 1 2</float_array>
+        <technique_common><accessor source="#wave-input-array" count="3" stride="1"/></technique_common></source>
+      <source id="wave-output"><float_array id="wave-output-array" count="3">0 90 0</float_array>
+        <technique_common><accessor source="#wave-output-array" count="3" stride="1"/></technique_common></source>
+      <sampler id="wave-sampler">
+        <input semantic="INPUT" source="#wave-input"/>
+        <input semantic="OUTPUT" source="#wave-output"/>
+      </sampler>
+      <channel source="#wave-sampler" target="bone/rotationZ.ANGLE"/>
+    </animation>
+  </library_animations>
+  <library_visual_scenes>
+    <visual_scene id="scene">
+      <node id="armature" name="armature">
+        <node id="bone" sid="bone" name="bone" type="JOINT">
+          <translate sid="location">0 0 1</translate>
+          <rotate sid="rotationZ">0 0 1 0</rotate>
+        </node>
+      </node>
+      <node id="quad-node" name="quad">
+        <matrix>1 0 0 2 0 1 0 0 0 0 1 0 0 0 0 1</matrix>
+        <instance_controller url="#quad-skin">
+          <skeleton>#bone</skeleton>
+          <bind_material><technique_common>
+            <instance_material symbol="mat" target="#red-material"/>
+          </technique_common></bind_material>
+        </instance_controller>
+      </node>
+      <node id="camera-node" name="camera">
+        <instance_camera url="#camera-data"/>
+        <instance_light url="#light-data"/>
+      </node>
+    </visual_scene>
+  </library_visual_scenes>
+  <scene><instance_visual_scene url="#scene"/></scene>
+</COLLADA>`
+
+/** @test {SCNSceneSource} */
+describe('SCNSceneSource class', () => {
+  describe('constructor', () => {
+    it('should detect the format of the data', () => {
+      expect(new SCNSceneSource(createSceneData())._format).to.equal('json')
+      expect(new SCNSceneSource(createGLTFData())._format).to.equal('gltf')
+      expect(new SCNSceneSource(createDAEData())._format).to.equal('dae')
+      expect(new SCNSceneSource(objData)._format).to.equal('obj')
+    })
+  })
+
+  describe('identifiersOfEntriesWithClass function', () => {
+    it('should list the identifiers of the entries', () => {
+      const source = new SCNSceneSource(createSceneData())
+      expect(source.identifiersOfEntriesWithClass(CAAnimation)).to.have.members(['run', 'jump'])
+      expect(source.identifiersOfEntriesWithClass(SCNGeometry)).to.have.members(['boxGeometry'])
+      expect(source.identifiersOfEntriesWithClass(SCNMaterial)).to.have.members(['boxMaterial'])
+      expect(source.identifiersOfEntriesWithClass(SCNNode)).to.include('box')
+    })
+
+    it('should index the objects in obj data', () => {
+      const source = new SCNSceneSource(objData)
+      expect(source.identifiersOfEntriesWithClass(SCNGeometry)).to.have.members(['Geometry'])
+      expect(source.identifiersOfEntriesWithClass(SCNMaterial)).to.have.members(['red'])
+    })
+  })
+
+  describe('entryWithIdentifierWithClass function', () => {
+    it('should load the entry', () => {
+      const source = new SCNSceneSource(createSceneData())
+      const jump = source.entryWithIdentifierWithClass('jump', CAAnimation)
+      expect(jump).to.be.an.instanceof(CABasicAnimation)
+      expect(jump.duration).to.be.closeTo(0.5, epsilon)
+      expect(jump.toValue.y).to.be.closeTo(3, epsilon)
+
+      expect(source.entryWithIdentifierWithClass('jump', SCNNode)).to.be.null
+      expect(source.entryWithIdentifierWithClass('walk', CAAnimation)).to.be.null
+    })
+  })
+
+  describe('entriesPassingTest function', () => {
+    it('should return the entries which pass the test', () => {
+      const source = new SCNSceneSource(createSceneData())
+      const nodes = source.entriesPassingTest((entry, identifier, stop) => {
+        return entry instanceof SCNNode && entry.geometry !== null
+      })
+      expect(nodes).to.have.lengthOf(1)
+      expect(nodes[0].name).to.equal('box')
+
+      let count = 0
+      const first = source.entriesPassingTest((entry, identifier, stop) => {
+        count += 1
+        stop.value = true
+        return true
+      })
+      expect(count).to.equal(1)
+      expect(first).to.have.lengthOf(1)
+    })
+  })
+
+  describe('scene function', () => {
+    const option = SCNSceneSource.LoadingOption
+
+    it('should convert the up axis and the unit', () => {
+      const archive = createNestedSceneArchive()
+      archive.asset.value.up_axis.value = [0, 0, 1]
+      archive.asset.value.unit.value.meter = 0.01
+      const options = new Map([[option.convertToYUp, true], [option.convertUnitsToMeters, 1.0]])
+      const scene = new SCNSceneSource(JSON.stringify(archive), options).scene()
+
+      const child = scene.rootNode.childNodeWithNameRecursively('child')
+      const position = child.worldTransform.getTranslation()
+      expect(position.x).to.be.closeTo(1, epsilon)
+      expect(position.y).to.be.closeTo(1, epsilon)
+      expect(position.z).to.be.closeTo(0, epsilon)
+    })
+
+    it('should not convert the scene without the options', () => {
+      const archive = createNestedSceneArchive()
+      archive.asset.value.up_axis.value = [0, 0, 1]
+      const scene = new SCNSceneSource(JSON.stringify(archive)).scene()
+      const child = scene.rootNode.childNodeWithNameRecursively('child')
+      expect(child.worldTransform.getTranslation().z).to.be.closeTo(100, epsilon)
+    })
+
+    it('should flatten the scene', () => {
+      const archive = createNestedSceneArchive()
+      const options = new Map([[option.flattenScene, true]])
+      const scene = new SCNSceneSource(JSON.stringify(archive), options).scene()
+
+      const children = scene.rootNode.childNodes
+      expect(children).to.have.lengthOf(1)
+      expect(children[0].name).to.equal('child')
+      expect(children[0].position.x).to.be.closeTo(100, epsilon)
+      expect(children[0].position.z).to.be.closeTo(100, epsilon)
+    })
+
+    it('should create normals with hard edges', () => {
+      const options = new Map([[option.createNormalsIfAbsent, true]])
+      const scene = new SCNSceneSource(foldedObjData, options).scene()
+      const geometry = scene.rootNode.childNodeWithNameRecursively('Geometry').geometry
+
+      const normals = normalAt(geometry, new SCNVector3(0, 0, 0))
+      expect(normals).to.have.lengthOf(2)
+      const up = normals.find((n) => n.z > 0.5)
+      expect(up.z).to.be.closeTo(1, epsilon)
+      const down = normals.find((n) => n.y < -0.5)
+      expect(down.y).to.be.closeTo(-1, epsilon)
+    })
+
+    it('should create smooth normals within the smoothing angle', () => {
+      const options = new Map([[option.createNormalsIfAbsent, true], [option._normalSmoothingAngle, 100]])
+      const scene = new SCNSceneSource(foldedObjData, options).scene()
+      const geometry = scene.rootNode.childNodeWithNameRecursively('Geometry').geometry
+
+      const normals = normalAt(geometry, new SCNVector3(0, 0, 0))
+      expect(normals).to.have.lengthOf(1)
+      expect(normals[0].y).to.be.closeTo(-Math.SQRT1_2, epsilon)
+      expect(normals[0].z).to.be.closeTo(Math.SQRT1_2, epsilon)
+
+      const tip = normalAt(geometry, new SCNVector3(0, 1, 0))
+      expect(tip[0].z).to.be.closeTo(1, epsilon)
+    })
+
+    it('should report inconsistent geometries', () => {
+      const archive = createNestedSceneArchive()
+      archive.geometries[0].elements[0].data[0] = 9999
+      const data = JSON.stringify(archive)
+      const options = new Map([[option.checkConsistency, true]])
+
+      expect(() => new SCNSceneSource(data, options).scene()).to.throw(/out of range: 9999/)
+
+      let reportedError = null
+      const scene = new SCNSceneSource(data, options).scene(null, (progress, status, error, stop) => {
+        if(status === SCNSceneSourceStatus.error){
+          reportedError = error
+        }
+      })
+      expect(scene).to.be.null
+      expect(reportedError.message).to.match(/out of range: 9999/)
+
+      // no check without the option
+      expect(new SCNSceneSource(data).scene()).to.be.an.instanceof(SCNScene)
+    })
+  })
+
+  describe('propertyForKey function', () => {
+    it('should return the metadata of the scene', () => {
+      const source = new SCNSceneSource(createSceneData())
+      const key = SCNSceneSource.PropertyKey
+      expect(source.propertyForKey(key.assetAuthoringToolKey)).to.equal('JSceneKit')
+      const unit = source.propertyForKey(key.assetUnitKey)
+      expect(unit[key.assetUnitMeterKey]).to.be.closeTo(1.0, epsilon)
+      expect(source.propertyForKey(key.assetUpAxisKey).y).to.be.closeTo(1.0, epsilon)
+      expect(source.propertyForKey(key.assetAuthorKey)).to.be.null
+    })
+  })
+
+  describe('glTF data', () => {
+    it('should load the nodes and the geometry', () => {
+      const scene = new SCNSceneSource(createGLTFData()).scene()
+      const root = scene.rootNode.childNodeWithNameRecursively('root')
+      expect(root.position.z).to.be.closeTo(-5, epsilon)
+      expect(root.childNodes.map((node) => node.name)).to.have.ordered.members(['joint', 'triangle', 'camera', 'light'])
+
+      const geometry = root.childNodeWithNameRecursively('triangle').geometry
+      expect(geometry.name).to.equal('triangleMesh')
+      const vertex = geometry.getGeometrySourcesForSemantic(SCNGeometrySource.Semantic.vertex)[0]
+      expect(vertex.vectorCount).to.equal(3)
+      expect(vertex._scnVectorAt(1).x).to.be.closeTo(1, epsilon)
+      expect(geometry.getGeometrySourcesForSemantic(SCNGeometrySource.Semantic.boneIndices)).to.have.lengthOf(0)
+      const element = geometry.geometryElements[0]
+      expect(element.primitiveType).to.equal(SCNGeometryPrimitiveType.triangles)
+      expect(element.primitiveCount).to.equal(1)
+      expect(element._indexAt(0)).to.deep.equal([0, 1, 2])
+
+      const material = geometry.firstMaterial
+      expect(material.name).to.equal('metal')
+      expect(material.lightingModel).to.equal(SCNMaterial.LightingModel.physicallyBased)
+      expect(material.diffuse.contents.red).to.be.closeTo(1, epsilon)
+      expect(material.diffuse.contents.green).to.be.closeTo(0, epsilon)
+      expect(material.metalness.contents.red).to.be.closeTo(0.5, epsilon)
+      expect(material.roughness.contents.red).to.be.closeTo(0.25, epsilon)
+      expect(material.isDoubleSided).to.be.true
+    })
+
+    it('should load the camera and the light', () => {
+      const scene = new SCNSceneSource(createGLTFData()).scene()
+      const cameraNode = scene.rootNode.childNodeWithNameRecursively('camera')
+      expect(cameraNode.camera.yFov).to.be.closeTo(60, epsilon)
+      expect(cameraNode.camera.zNear).to.be.closeTo(0.1, epsilon)
+      expect(cameraNode.camera.zFar).to.be.closeTo(50, epsilon)
+      expect(cameraNode.orientation.y).to.be.closeTo(Math.SQRT1_2, epsilon)
+
+      const light = scene.rootNode.childNodeWithNameRecursively('light').light
+      expect(light.name).to.equal('spot')
+      expect(light.type).to.equal(SCNLight.LightType.spot)
+      expect(light.color.green).to.be.closeTo(1, epsilon)
+      expect(light.intensity).to.be.closeTo(2000, epsilon)
+      expect(light.spotOuterAngle).to.be.closeTo(45, epsilon)
+    })
+
+    it('should load the skinner, the morpher and the animations', () => {
+      const scene = new SCNSceneSource(createGLTFData()).scene()
+      const joint = scene.rootNode.childNodeWithNameRecursively('joint')
+      const triangle = scene.rootNode.childNodeWithNameRecursively('triangle')
+
+      const skinner = triangle.skinner
+      expect(skinner.bones).to.have.lengthOf(1)
+      expect(skinner.bones[0]).to.equal(joint)
+      expect(skinner.baseGeometry).to.equal(triangle.geometry)
+      expect(skinner.boneInverseBindTransforms[0].m41).to.be.closeTo(-1, epsilon)
+      expect(skinner.boneWeights._vectorAt(2)).to.deep.equal([1, 0, 0, 0])
+
+      const morpher = triangle.morpher
+      expect(morpher.targets).to.have.lengthOf(1)
+      expect(morpher.targets[0].name).to.equal('raise')
+      expect(morpher.weightForTargetAt(0)).to.be.closeTo(0.5, epsilon)
+
+      const move = joint.animationForKey('move')
+      expect(move).to.be.an.instanceof(CAAnimationGroup)
+      expect(move.duration).to.be.closeTo(2, epsilon)
+      const position = move.animations[0]
+      expect(position.keyPath).to.equal('position')
+      expect(position.values[1].y).to.be.closeTo(3, epsilon)
+      expect(position.keyTimes).to.deep.equal([0, 1])
+
+      const weights = triangle.animationForKey('move').animations[0]
+      expect(weights.keyPath).to.equal('morpher.weights[0]')
+      expect(weights.calculationMode).to.equal('discrete')
+      expect(weights.values).to.deep.equal([0, 1])
+    })
+
+    it('should load GLB data', () => {
+      const source = new SCNSceneSource(createGLBData())
+      const geometry = source.entryWithIdentifierWithClass('triangleMesh', SCNGeometry)
+      const vertex = geometry.getGeometrySourcesForSemantic(SCNGeometrySource.Semantic.vertex)[0]
+      expect(vertex._scnVectorAt(2).y).to.be.closeTo(1, epsilon)
+      expect(source.identifiersOfEntriesWithClass(CAAnimation)).to.include('move')
+      expect(source.propertyForKey(SCNSceneSource.PropertyKey.assetAuthoringToolKey)).to.equal('test exporter')
+    })
+  })
+
+  describe('COLLADA data', () => {
+    it('should load the nodes and the geometry', () => {
+      const scene = new SCNSceneSource(createDAEData()).scene()
+      const node = scene.rootNode.childNodeWithNameRecursively('quad')
+      expect(node.position.x).to.be.closeTo(2, epsilon)
+
+      const geometry = node.geometry
+      expect(geometry.name).to.equal('quad')
+      const vertex = geometry.getGeometrySourcesForSemantic(SCNGeometrySource.Semantic.vertex)[0]
+      expect(vertex.vectorCount).to.equal(4)
+      const texcoord = geometry.getGeometrySourcesForSemantic(SCNGeometrySource.Semantic.texcoord)[0]
+      expect(texcoord._vectorAt(0)).to.deep.equal([0, 1])
+      const element = geometry.geometryElements[0]
+      expect(element.primitiveType).to.equal(SCNGeometryPrimitiveType.triangles)
+      expect(element.primitiveCount).to.equal(2)
+      expect(element._indexAt(1)).to.deep.equal([0, 2, 3])
+
+      const material = geometry.firstMaterial
+      expect(material.name).to.equal('red')
+      expect(material.lightingModel).to.equal(SCNMaterial.LightingModel.phong)
+      expect(material.diffuse.contents.red).to.be.closeTo(1, epsilon)
+      expect(material.diffuse.contents.green).to.be.closeTo(0, epsilon)
+      expect(material.shininess).to.be.closeTo(20, epsilon)
+    })
+
+    it('should load the camera and the light', () => {
+      const scene = new SCNSceneSource(createDAEData()).scene()
+      const cameraNode = scene.rootNode.childNodeWithNameRecursively('camera')
+      expect(cameraNode.camera.yFov).to.be.closeTo(45, epsilon)
+      expect(cameraNode.camera.zNear).to.be.closeTo(0.5, epsilon)
+      expect(cameraNode.camera.zFar).to.be.closeTo(100, epsilon)
+
+      const light = cameraNode.light
+      expect(light.name).to.equal('spot')
+      expect(light.type).to.equal(SCNLight.LightType.spot)
+      expect(light.color.green).to.be.closeTo(0.5, epsilon)
+      expect(light.attenuationFalloffExponent).to.be.closeTo(2, epsilon)
+      expect(light.spotOuterAngle).to.be.closeTo(30, epsilon)
+    })
+
+    it('should load the skinner, the morpher and the animations', () => {
+      const scene = new SCNSceneSource(createDAEData()).scene()
+      const bone = scene.rootNode.childNodeWithNameRecursively('bone')
+      const quad = scene.rootNode.childNodeWithNameRecursively('quad')
+
+      const skinner = quad.skinner
+      expect(skinner.bones).to.have.lengthOf(1)
+      expect(skinner.bones[0]).to.equal(bone)
+      expect(skinner.skeleton).to.equal(bone)
+      expect(skinner.boneInverseBindTransforms[0].m43).to.be.closeTo(-1, epsilon)
+      expect(skinner.boneWeights._vectorAt(3)).to.deep.equal([1, 0, 0, 0])
+
+      const morpher = quad.morpher
+      expect(morpher.targets).to.have.lengthOf(1)
+      expect(morpher.targets[0].name).to.equal('raised')
+      expect(morpher.targets[0].geometrySources[0]._vectorAt(2)).to.deep.equal([0, 0, 1])
+      expect(morpher.weightForTargetAt(0)).to.be.closeTo(0.25, epsilon)
+
+      const wave = bone.animationForKey('wave')
+      expect(wave).to.be.an.instanceof(CAAnimationGroup)
+      expect(wave.duration).to.be.closeTo(2, epsilon)
+      const orientation = wave.animations.find((animation) => animation.keyPath === 'orientation')
+      expect(orientation.keyTimes).to.deep.equal([0, 0.5, 1])
+      expect(orientation.values[1].z).to.be.closeTo(Math.SQRT1_2, epsilon)
+      const position = wave.animations.find((animation) => animation.keyPath === 'position')
+      expect(position.values[1].z).to.be.closeTo(1, epsilon)
+    })
+
+    it('should read the properties and convert the up axis', () => {
+      const source = new SCNSceneSource(createDAEData())
+      const key = SCNSceneSource.PropertyKey
+      expect(source.propertyForKey(key.assetAuthorKey)).to.equal('tester')
+      expect(source.propertyForKey(key.assetAuthoringToolKey)).to.equal('test exporter')
+      expect(source.propertyForKey(key.assetUnitKey)[key.assetUnitMeterKey]).to.be.closeTo(0.01, epsilon)
+      expect(source.propertyForKey(key.assetUpAxisKey).z).to.be.closeTo(1, epsilon)
+      expect(source.identifiersOfEntriesWithClass(SCNGeometry)).to.include('quad')
+
+      const options = new Map([[SCNSceneSource.LoadingOption.convertToYUp, true]])
+      const scene = new SCNSceneSource(createDAEData(), options).scene()
+      const position = scene.rootNode.childNodeWithNameRecursively('bone').worldTransform.getTranslation()
+      expect(position.y).to.be.closeTo(1, epsilon)
+      expect(position.z).to.be.closeTo(0, epsilon)
+    })
+  })
+
+  describe('obj data', () => {
+    it('should create normals for each smoothing group', () => {
+      const scene = new SCNSceneSource(smoothingObjData).scene()
+      const geometry = scene.rootNode.childNodeWithNameRecursively('Geometry').geometry
+
+      // the line doesn't have a normal.
+      const normals = normalAt(geometry, new SCNVector3(0, 0, 0)).filter((n) => n.length() > 0)
+      expect(normals).to.have.lengthOf(2)
+      expect(normals.find((n) => n.z > 0.5).z).to.be.closeTo(1, epsilon)
+      expect(normals.find((n) => n.y < -0.5).y).to.be.closeTo(-1, epsilon)
+
+      const merged = smoothingObjData.replace('s 2', 's 1')
+      const smooth = new SCNSceneSource(merged).scene().rootNode.childNodeWithNameRecursively('Geometry').geometry
+      const smoothNormals = normalAt(smooth, new SCNVector3(0, 0, 0)).filter((n) => n.length() > 0)
+      expect(smoothNormals).to.have.lengthOf(1)
+      expect(smoothNormals[0].y).to.be.closeTo(-Math.SQRT1_2, epsilon)
+      expect(smoothNormals[0].z).to.be.closeTo(Math.SQRT1_2, epsilon)
+    })
+
+    it('should create line and point elements', () => {
+      const scene = new SCNSceneSource(smoothingObjData).scene()
+      const geometry = scene.rootNode.childNodeWithNameRecursively('Geometry').geometry
+      const types = geometry.geometryElements.map((element) => element.primitiveType)
+      expect(types).to.have.ordered.members([
+        SCNGeometryPrimitiveType.triangles,
+        SCNGeometryPrimitiveType.line,
+        SCNGeometryPrimitiveType.point
+      ])
+      expect(geometry.geometryElements[1].primitiveCount).to.equal(2)
+      expect(geometry.geometryElements[2].primitiveCount).to.equal(1)
+      expect(geometry.materials).to.have.lengthOf(3)
+    })
+
+    it('should tessellate curves and surfaces', () => {
+      const scene = new SCNSceneSource(freeFormObjData).scene()
+      const geometry = scene.rootNode.childNodeWithNameRecursively('Geometry').geometry
+      const vertex = geometry.getGeometrySourcesForSemantic(SCNGeometrySource.Semantic.vertex)[0]
+
+      const surface = geometry.geometryElements[0]
+      expect(surface.primitiveType).to.equal(SCNGeometryPrimitiveType.triangles)
+      expect(surface.primitiveCount).to.equal(8)
+      const center = normalAt(geometry, new SCNVector3(1, 1, 0))
+      expect(center).to.have.lengthOf(1)
+      expect(center[0].z).to.be.closeTo(1, epsilon)
+
+      const curve = geometry.geometryElements[1]
+      expect(curve.primitiveType).to.equal(SCNGeometryPrimitiveType.line)
+      expect(curve.primitiveCount).to.equal(4)
+      for(const index of curve.data){
+        expect(vertex._scnVectorAt(index).length()).to.be.closeTo(1, epsilon)
+      }
+      const middle = vertex._scnVectorAt(curve._indexAt(1)[1])
+      expect(middle.x).to.be.closeTo(Math.SQRT1_2, epsilon)
+      expect(middle.y).to.be.closeTo(Math.SQRT1_2, epsilon)
+    })
+
+    it('should skip free-form geometry of unsupported types', () => {
+      const data = freeFormObjData.replace('cstype bspline', 'cstype cardinal')
+      const scene = new SCNSceneSource(data).scene()
+      const geometry = scene.rootNode.childNodeWithNameRecursively('Geometry').geometry
+      expect(geometry.geometryElements).to.have.lengthOf(1)
+      expect(geometry.geometryElements[0].primitiveType).to.equal(SCNGeometryPrimitiveType.line)
+    })
+
+    it('should read the materials with PBR parameters', () => {
+      const materials = _SCNMtlLoader.unarchiveObjectWithData(mtlData, '')
+      const metal = materials.metal
+      expect(metal.lightingModel).to.equal(SCNMaterial.LightingModel.physicallyBased)
+      expect(metal.diffuse.contents.green).to.be.closeTo(0.2, epsilon)
+      expect(metal.ambient.contents.red).to.be.closeTo(1, 0.01)
+      expect(metal.ambient.contents.blue).to.be.closeTo(1, 0.01)
+      expect(metal.emission.contents.blue).to.be.closeTo(0.5, epsilon)
+      expect(metal.transparency).to.be.closeTo(0.75, epsilon)
+      expect(metal.roughness.contents.red).to.be.closeTo(0.3, epsilon)
+      expect(metal.metalness.contents.red).to.be.closeTo(1, epsilon)
+      expect(metal.valueForUndefinedKey('clearCoat')).to.be.closeTo(0.5, epsilon)
+
+      const plain = materials.plain
+      expect(plain.lightingModel).to.equal(SCNMaterial.LightingModel.lambert)
+      expect(plain.transparency).to.be.closeTo(0.75, epsilon)
+    })
+
+    it('should read the texture options', () => {
+      const tokens = ['map_Kd', '-o', '0.5', '0.25', '-s', '2', '2', '1', '-clamp', 'on', '-bm', '0.5', 'my', 'texture.png']
+      const options = _SCNMtlLoader._textureOptionsOf(tokens)
+      expect(options.offset).to.deep.equal([0.5, 0.25, 0])
+      expect(options.scale).to.deep.equal([2, 2, 1])
+      expect(options.clamp).to.be.true
+      expect(options.bumpMultiplier).to.be.closeTo(0.5, epsilon)
+      expect(options.path).to.equal('my texture.png')
+
+      const plain = _SCNMtlLoader._textureOptionsOf(['map_Kd', '-clamp.png'])
+      expect(plain.path).to.equal('-clamp.png')
+      expect(plain.clamp).to.be.false
+    })
+  })
+})
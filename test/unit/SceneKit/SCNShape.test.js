@@ -0,0 +1,121 @@
+import CGMutablePath from '../../../src/js/CoreGraphics/CGMutablePath'
+import CGRect from '../../../src/js/CoreGraphics/CGRect'
+import SCNChamferMode from '../../../src/js/SceneKit/SCNChamferMode'
+import SCNGeometrySource from '../../../src/js/SceneKit/SCNGeometrySource'
+import SCNShape from '../../../src/js/SceneKit/SCNShape'
+import chai from '../../../node_modules/chai/chai'
+
+const expect = chai.expect
+
+const epsilon = 0.0001
+
+const vertexAt = (shape, index) => {
+  const data = shape.geometrySources[0].data
+  return data.slice(index * 8, index * 8 + 8)
+}
+
+// returns the area of the triangles projected onto the xy plane. counterclockwise triangles are positive.
+const projectedArea = (shape, element) => {
+  const indices = element._data
+  let area = 0
+  for(let i=0; i<indices.length; i+=3){
+    const a = vertexAt(shape, indices[i])
+    const b = vertexAt(shape, indices[i + 1])
+    const c = vertexAt(shape, indices[i + 2])
+    area += ((b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0])) * 0.5
+  }
+  return area
+}
+
+const squareWithHole = () => {
+  const path = new CGMutablePath()
+  path.addRect(CGRect.rectWithXYWidthHeight(0, 0, 4, 4))
+  path.addRect(CGRect.rectWithXYWidthHeight(1, 1, 2, 2))
+  return path
+}
+
+describe('SCNShape class', () => {
+  describe('constructor', () => {
+    it('should fill the path with the even-odd rule', () => {
+      const shape = new SCNShape(squareWithHole(), 0)
+      expect(shape.geometryElements).to.have.lengthOf(1)
+      expect(projectedArea(shape, shape.geometryElements[0])).to.be.closeTo(12, epsilon)
+
+      const normals = shape.getGeometrySourcesForSemantic(SCNGeometrySource.Semantic.normal)
+      expect(normals).to.have.lengthOf(1)
+      expect(vertexAt(shape, 0)[5]).to.equal(1)
+    })
+
+    it('should extrude the path into front, back and sides', () => {
+      const shape = new SCNShape(squareWithHole(), 2)
+      const elements = shape.geometryElements
+      expect(elements).to.have.lengthOf(3)
+      expect(projectedArea(shape, elements[0])).to.be.closeTo(12, epsilon)
+      expect(projectedArea(shape, elements[1])).to.be.closeTo(-12, epsilon)
+      // 4 outer and 4 inner edges
+      expect(elements[2].primitiveCount).to.equal(16)
+      expect(shape.boundingBox.min.z).to.be.closeTo(-1, epsilon)
+      expect(shape.boundingBox.max.z).to.be.closeTo(1, epsilon)
+      expect(shape.boundingBox.max.x).to.be.closeTo(4, epsilon)
+
+      // the side normals point away from the filled area.
+      const side = elements[2]._data
+      for(let i=0; i<side.length; i++){
+        const v = vertexAt(shape, side[i])
+        const isOuter = v[0] === 0 || v[0] === 4 || v[1] === 0 || v[1] === 4
+        const center = 2
+        const outward = (v[0] - center) * v[3] + (v[1] - center) * v[4]
+        expect(v[5]).to.be.closeTo(0, epsilon)
+        if(isOuter){
+          expect(outward).to.be.above(0)
+        }else{
+          expect(outward).to.be.below(0)
+        }
+      }
+    })
+
+    it('should create nothing for an empty path', () => {
+      const shape = new SCNShape(null, 1)
+      expect(shape.geometryElements).to.have.lengthOf(0)
+      expect(shape.geometrySources[0].vectorCount).to.equal(0)
+    })
+  })
+
+  describe('chamfer', () => {
+    it('should bevel the edges of the chosen ends', () => {
+      const path = new CGMutablePath()
+      path.addRect(CGRect.rectWithXYWidthHeight(-1, -1, 2, 2))
+      const shape = new SCNShape(path, 1)
+      shape.chamferRadius = 0.2
+      expect(shape.geometryElements).to.have.lengthOf(5)
+
+      // the front face shrinks by the chamfer radius.
+      const front = shape.geometryElements[0]
+      expect(projectedArea(shape, front)).to.be.closeTo(1.6 * 1.6, epsilon)
+      expect(shape.boundingBox.max.x).to.be.closeTo(1, epsilon)
+      expect(shape.boundingBox.max.z).to.be.closeTo(0.5, epsilon)
+
+      const chamfer = shape.geometryElements[3]._data
+      const v = vertexAt(shape, chamfer[0])
+      expect(v[5]).to.be.closeTo(Math.SQRT1_2, epsilon)
+
+      shape.chamferMode = SCNChamferMode.back
+      expect(shape.geometryElements).to.have.lengthOf(4)
+      expect(projectedArea(shape, shape.geometryElements[0])).to.be.closeTo(4, epsilon)
+      expect(projectedArea(shape, shape.geometryElements[1])).to.be.closeTo(-1.6 * 1.6, epsilon)
+    })
+  })
+
+  describe('flatness', () => {
+    it('should subdivide curves more for smaller flatness', () => {
+      const path = new CGMutablePath()
+      path.addEllipseIn(CGRect.rectWithXYWidthHeight(-5, -5, 10, 10))
+      path.flatness = 1.0
+      const coarse = new SCNShape(path, 0)
+      path.flatness = 0.01
+      const fine = new SCNShape(path, 0)
+      expect(fine.geometrySources[0].vectorCount).to.be.above(coarse.geometrySources[0].vectorCount)
+      expect(projectedArea(fine, fine.geometryElements[0])).to.be.closeTo(Math.PI * 25, 0.3)
+    })
+  })
+})
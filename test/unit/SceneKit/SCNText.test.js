@@ -0,0 +1,129 @@
+import * as Constants from '../../../src/js/constants'
+import CGRect from '../../../src/js/CoreGraphics/CGRect'
+import NSFont from '../../../src/js/AppKit/NSFont'
+import SCNText from '../../../src/js/SceneKit/SCNText'
+import _FontData from './_SCNTextFontData'
+import chai from '../../../node_modules/chai/chai'
+
+const expect = chai.expect
+
+const epsilon = 0.0001
+
+const fontName = NSFont.registerFontWithData(_FontData.trueType)
+
+const createText = (string, extrusionDepth = 0) => {
+  const text = new SCNText(string, extrusionDepth)
+  text.font = NSFont.fontWithNameSize('TestSans', 10)
+  return text
+}
+
+// returns the area of the front face.
+const frontArea = (text) => {
+  const data = text.geometrySources[0].data
+  const indices = text.geometryElements[0]._data
+  let area = 0
+  for(let i=0; i<indices.length; i+=3){
+    const a = indices[i] * 8
+    const b = indices[i + 1] * 8
+    const c = indices[i + 2] * 8
+    area += ((data[b] - data[a]) * (data[c + 1] - data[a + 1]) - (data[b + 1] - data[a + 1]) * (data[c] - data[a])) * 0.5
+  }
+  return area
+}
+
+describe('NSFont class', () => {
+  it('should read the metrics of a TrueType font', () => {
+    expect(fontName).to.equal('TestSans-Regular')
+    const font = NSFont.fontWithNameSize('TestSans', 10)
+    expect(font.fontName).to.equal('TestSans-Regular')
+    expect(font.familyName).to.equal('TestSans')
+    expect(font.ascender).to.be.closeTo(8, epsilon)
+    expect(font.descender).to.be.closeTo(-2, epsilon)
+    expect(font.withSize(20).ascender).to.be.closeTo(16, epsilon)
+    expect(NSFont.fontWithNameSize('UnknownFont', 10)).to.be.null
+  })
+
+  it('should read a WOFF font', () => {
+    const font = NSFont.fontWithDataSize(_FontData.woff, 10)
+    expect(font.fontName).to.equal('TestSans-Regular')
+    expect(font.descender).to.be.closeTo(-2, epsilon)
+    const face = font._face
+    expect(face.glyphIndexForCodePoint(0x4F)).to.equal(2)
+    expect(face.advanceWidthOfGlyph(2)).to.equal(600)
+    expect(face.kerningBetween(1, 2)).to.equal(-100)
+  })
+})
+
+describe('SCNText class', () => {
+  describe('constructor', () => {
+    it('should create the glyph outlines', () => {
+      const text = createText('AO')
+      expect(text.geometryElements).to.have.lengthOf(1)
+      // 'A' and 'O' with a hole
+      expect(frontArea(text)).to.be.closeTo(25 + 25 - 9, epsilon)
+      // 'O' is kerned toward 'A'
+      expect(text.textSize.width).to.be.closeTo(11, epsilon)
+      expect(text.textSize.height).to.be.closeTo(10, epsilon)
+      expect(text.boundingBox.min.x).to.be.closeTo(0, epsilon)
+      expect(text.boundingBox.max.x).to.be.closeTo(10, epsilon)
+      expect(text.boundingBox.min.y).to.be.closeTo(2, epsilon)
+      expect(text.boundingBox.max.y).to.be.closeTo(7, epsilon)
+    })
+
+    it('should extrude the glyphs', () => {
+      const text = createText('A', 2)
+      expect(text.geometryElements).to.have.lengthOf(3)
+      text.chamferRadius = 0.5
+      expect(text.geometryElements).to.have.lengthOf(5)
+      expect(text.boundingBox.min.z).to.be.closeTo(-1, epsilon)
+      expect(frontArea(text)).to.be.closeTo(16, epsilon)
+    })
+
+    it('should create nothing without the font', () => {
+      const text = new SCNText('A', 1)
+      text.font = new NSFont('UnknownFont', 10)
+      expect(text.geometryElements).to.have.lengthOf(0)
+      expect(text.textSize.width).to.equal(0)
+    })
+  })
+
+  describe('layout', () => {
+    it('should wrap and align the lines in the container', () => {
+      const text = createText('A A A')
+      text.containerFrame = CGRect.rectWithXYWidthHeight(0, 0, 16, 30)
+      text.isWrapped = true
+      expect(text.textSize.width).to.be.closeTo(14.5, epsilon)
+      expect(text.textSize.height).to.be.closeTo(20, epsilon)
+      expect(text.boundingBox.max.y).to.be.closeTo(27, epsilon)
+      expect(text.boundingBox.min.y).to.be.closeTo(12, epsilon)
+      expect(text.boundingBox.max.x).to.be.closeTo(13.5, epsilon)
+
+      text.alignmentMode = Constants.kCAAlignmentRight
+      expect(text.boundingBox.max.x).to.be.closeTo(15, epsilon)
+      expect(text.boundingBox.min.x).to.be.closeTo(1.5, epsilon)
+
+      text.alignmentMode = Constants.kCAAlignmentJustified
+      expect(text.boundingBox.min.x).to.be.closeTo(0, epsilon)
+      expect(text.boundingBox.max.x).to.be.closeTo(15, epsilon)
+
+      text.isWrapped = false
+      expect(text.textSize.height).to.be.closeTo(10, epsilon)
+    })
+
+    it('should truncate the text', () => {
+      const text = createText('AAAA')
+      text.containerFrame = CGRect.rectWithXYWidthHeight(0, 0, 15, 10)
+      expect(text.textSize.width).to.be.closeTo(24, epsilon)
+
+      text.truncationMode = Constants.kCATruncationEnd
+      // 'A...'
+      expect(text.textSize.width).to.be.closeTo(12, epsilon)
+      expect(frontArea(text)).to.be.closeTo(25 + 3, epsilon)
+
+      text.string = 'A\nA'
+      // 'A ...'
+      expect(text.textSize.height).to.be.closeTo(10, epsilon)
+      expect(text.textSize.width).to.be.closeTo(14.5, epsilon)
+    })
+  })
+})
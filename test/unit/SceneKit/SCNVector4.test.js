@@ -124,4 +124,70 @@ describe('SCNVector4 class', () => {
       expect(eulerAngles.z).to.within(expectZ - epsilon, expectZ + epsilon)
     })
   })
+
+  /** @test {SCNVector4#slerp} */
+  describe('slerp', () => {
+    it('should rotate at a constant angular speed', () => {
+      const q0 = new SCNVector4(0, 0, 0, 1)
+      const q1 = new SCNVector4(0, 1, 0, 2.8).rotationToQuat()
+      for(let i=1; i<4; i++){
+        const rate = i / 4
+        const rotation = q0.slerp(q1, rate).quatToRotation()
+        expect(rotation.y).to.be.closeTo(1, epsilon)
+        expect(rotation.w).to.be.closeTo(2.8 * rate, epsilon)
+      }
+    })
+
+    it('should take the shortest arc', () => {
+      const q0 = new SCNVector4(0, 0, 0, 1)
+      const q1 = new SCNVector4(0, 1, 0, 1.0).rotationToQuat().mul(-1)
+      const q = q0.slerp(q1, 0.5)
+      const rotation = q.quatToRotation()
+      expect(q.length()).to.be.closeTo(1, epsilon)
+      expect(Math.abs(rotation.w)).to.be.closeTo(0.5, epsilon)
+    })
+  })
+
+  /** @test {SCNVector4#squad} */
+  describe('squad', () => {
+    it('should pass through the key quaternions', () => {
+      const keys = [0, 1, 2, 3].map((i) => new SCNVector4(0, 0, 1, i * 0.7).rotationToQuat())
+      const a = keys[1].squadControlPoint(keys[0], keys[2])
+      const b = keys[2].squadControlPoint(keys[1], keys[3])
+      const q0 = keys[1].squad(keys[2], a, b, 0)
+      const q1 = keys[1].squad(keys[2], a, b, 1)
+      expect(q0.dot(keys[1])).to.be.closeTo(1, epsilon)
+      expect(q1.dot(keys[2])).to.be.closeTo(1, epsilon)
+    })
+
+    it('should equal slerp for evenly spaced rotations around one axis', () => {
+      const keys = [0, 1, 2, 3].map((i) => new SCNVector4(0, 0, 1, i * 0.7).rotationToQuat())
+      const a = keys[1].squadControlPoint(keys[0], keys[2])
+      const b = keys[2].squadControlPoint(keys[1], keys[3])
+      const rotation = keys[1].squad(keys[2], a, b, 0.25).quatToRotation()
+      expect(rotation.z).to.be.closeTo(1, epsilon)
+      expect(rotation.w).to.be.closeTo(0.875, epsilon)
+    })
+  })
+
+  /** @test {SCNVector4#slerpRotation} */
+  describe('slerpRotation', () => {
+    it('should keep rotations of more than 180 degrees around the same axis', () => {
+      const from = new SCNVector4(0, 1, 0, 0)
+      const to = new SCNVector4(0, 1, 0, Math.PI * 2)
+      const rotation = from.slerpRotation(to, 0.75)
+      expect(rotation.y).to.be.closeTo(1, epsilon)
+      expect(rotation.w).to.be.closeTo(Math.PI * 1.5, epsilon)
+    })
+
+    it('should interpolate between different axes', () => {
+      const from = new SCNVector4(1, 0, 0, Math.PI * 0.5)
+      const to = new SCNVector4(0, 1, 0, Math.PI * 0.5)
+      const rotation = from.slerpRotation(to, 0.5)
+      expect(rotation.x).to.be.closeTo(rotation.y, epsilon)
+      const q = rotation.rotationToQuat()
+      const expected = from.rotationToQuat().slerp(to.rotationToQuat(), 0.5)
+      expect(q.dot(expected)).to.be.closeTo(1, epsilon)
+    })
+  })
 })
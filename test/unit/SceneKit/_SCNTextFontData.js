@@ -0,0 +1,182 @@
+import zlib from 'zlib'
+/*global Buffer*/
+
+// A minimal TrueType font for the SCNText tests. unitsPerEm: 1000, ascender: 800, descender: -200
+//   glyph 0: .notdef (no outline, advance 500)
+//   glyph 1: 'A' square (0, 0)-(500, 500), advance 600
+//   glyph 2: 'O' square (0, 0)-(500, 500) with a hole (100, 100)-(400, 400), advance 600
+//   glyph 3: ' ' (no outline, advance 250)
+//   glyph 4: '.' square (0, 0)-(100, 100), advance 200
+// kerning: 'A' 'O' -100
+
+const square = (x0, y0, x1, y1) => [[x0, y0], [x0, y1], [x1, y1], [x1, y0]]
+
+const glyphs = [
+  { advance: 500, contours: [] },
+  { advance: 600, contours: [square(0, 0, 500, 500)] },
+  { advance: 600, contours: [square(0, 0, 500, 500), square(100, 100, 400, 400).reverse()] },
+  { advance: 250, contours: [] },
+  { advance: 200, contours: [square(0, 0, 100, 100)] }
+]
+
+const cmap = [[0x20, 3], [0x2E, 4], [0x41, 1], [0x4F, 2]]
+
+class Writer {
+  constructor() {
+    this.bytes = []
+  }
+  u8(v) {
+    this.bytes.push(v & 0xFF)
+    return this
+  }
+  u16(v) {
+    return this.u8(v >> 8).u8(v)
+  }
+  u32(v) {
+    return this.u16(v >>> 16).u16(v & 0xFFFF)
+  }
+  tag(str) {
+    for(let i=0; i<4; i++){
+      this.u8(str.charCodeAt(i))
+    }
+    return this
+  }
+  pad() {
+    while(this.bytes.length % 4 !== 0){
+      this.u8(0)
+    }
+    return this
+  }
+}
+
+const createTables = () => {
+  const tables = {}
+
+  const glyf = new Writer()
+  const offsets = []
+  for(const glyph of glyphs){
+    offsets.push(glyf.bytes.length)
+    if(glyph.contours.length === 0){
+      continue
+    }
+    const points = [].concat(...glyph.contours)
+    glyf.u16(glyph.contours.length).u16(0).u16(0).u16(500).u16(500)
+    let end = -1
+    for(const contour of glyph.contours){
+      end += contour.length
+      glyf.u16(end)
+    }
+    glyf.u16(0)
+    points.forEach(() => glyf.u8(0x01))
+    let prev = 0
+    points.forEach((p) => { glyf.u16(p[0] - prev); prev = p[0] })
+    prev = 0
+    points.forEach((p) => { glyf.u16(p[1] - prev); prev = p[1] })
+    glyf.pad()
+  }
+  offsets.push(glyf.bytes.length)
+  tables.glyf = glyf
+
+  const loca = new Writer()
+  offsets.forEach((offset) => loca.u32(offset))
+  tables.loca = loca
+
+  const head = new Writer()
+  head.u32(0x00010000).u32(0).u32(0).u32(0x5F0F3CF5).u16(0).u16(1000)
+  while(head.bytes.length < 50){
+    head.u8(0)
+  }
+  head.u16(1).u16(0)
+  tables.head = head
+
+  const hhea = new Writer()
+  hhea.u32(0x00010000).u16(800).u16(-200).u16(0)
+  while(hhea.bytes.length < 34){
+    hhea.u8(0)
+  }
+  hhea.u16(glyphs.length)
+  tables.hhea = hhea
+
+  tables.maxp = new Writer().u32(0x00005000).u16(glyphs.length)
+
+  const hmtx = new Writer()
+  glyphs.forEach((glyph) => hmtx.u16(glyph.advance).u16(0))
+  tables.hmtx = hmtx
+
+  const segments = cmap.concat([[0xFFFF, 0]])
+  const cmapTable = new Writer()
+  cmapTable.u16(0).u16(1).u16(3).u16(1).u32(12)
+  cmapTable.u16(4).u16(16 + segments.length * 8).u16(0).u16(segments.length * 2).u16(0).u16(0).u16(0)
+  segments.forEach((s) => cmapTable.u16(s[0]))
+  cmapTable.u16(0)
+  segments.forEach((s) => cmapTable.u16(s[0]))
+  segments.forEach((s) => cmapTable.u16(s[0] === 0xFFFF ? 1 : s[1] - s[0]))
+  segments.forEach(() => cmapTable.u16(0))
+  tables.cmap = cmapTable
+
+  tables.kern = new Writer().u16(0).u16(1).u16(0).u16(20).u16(0x0001).u16(1).u16(0).u16(0).u16(0).u16(1).u16(2).u16(-100)
+
+  const names = [[1, 'TestSans'], [6, 'TestSans-Regular']]
+  const name = new Writer()
+  name.u16(0).u16(names.length).u16(6 + names.length * 12)
+  let stringOffset = 0
+  for(const [id, str] of names){
+    name.u16(3).u16(1).u16(0x409).u16(id).u16(str.length * 2).u16(stringOffset)
+    stringOffset += str.length * 2
+  }
+  for(const [, str] of names){
+    for(let i=0; i<str.length; i++){
+      name.u16(str.charCodeAt(i))
+    }
+  }
+  tables.name = name
+
+  return tables
+}
+
+const createTrueType = (tables) => {
+  const tags = Object.keys(tables).sort()
+  const font = new Writer()
+  font.u32(0x00010000).u16(tags.length).u16(0).u16(0).u16(0)
+  let offset = 12 + tags.length * 16
+  for(const tag of tags){
+    const length = tables[tag].bytes.length
+    font.tag(tag.padEnd(4)).u32(0).u32(offset).u32(length)
+    offset += Math.ceil(length / 4) * 4
+  }
+  for(const tag of tags){
+    font.bytes.push(...tables[tag].bytes)
+    font.pad()
+  }
+  return Uint8Array.from(font.bytes)
+}
+
+const createWOFF = (tables) => {
+  const tags = Object.keys(tables).sort()
+  const data = tags.map((tag) => {
+    const orig = Uint8Array.from(tables[tag].bytes)
+    const comp = zlib.deflateSync(Buffer.from(orig))
+    return { tag, orig, body: comp.length < orig.length ? Uint8Array.from(comp) : orig }
+  })
+  const font = new Writer()
+  font.tag('wOFF').u32(0x00010000).u32(0).u16(tags.length).u16(0).u32(0).u16(1).u16(0)
+  font.u32(0).u32(0).u32(0).u32(0).u32(0)
+  let offset = 44 + tags.length * 20
+  for(const table of data){
+    font.tag(table.tag.padEnd(4)).u32(offset).u32(table.body.length).u32(table.orig.length).u32(0)
+    offset += Math.ceil(table.body.length / 4) * 4
+  }
+  for(const table of data){
+    font.bytes.push(...table.body)
+    font.pad()
+  }
+  return Uint8Array.from(font.bytes)
+}
+
+const tables = createTables()
+
+const _SCNTextFontData = {
+  trueType: createTrueType(tables),
+  woff: createWOFF(tables)
+}
+export default _SCNTextFontData